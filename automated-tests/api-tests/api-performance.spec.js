@@ -67,7 +67,8 @@ test.describe('API Performance Tests', () => {
           return response;
         },
         'createPost',
-        600
+        600,
+        { method: 'POST' }
       );
 
       console.log(`✅ POST API: ${result.duration}ms (threshold: 600ms)`);
@@ -93,7 +94,8 @@ test.describe('API Performance Tests', () => {
           return response;
         },
         'updatePost',
-        600
+        600,
+        { method: 'PUT' }
       );
 
       console.log(`✅ PUT API: ${result.duration}ms (threshold: 600ms)`);
@@ -107,7 +109,8 @@ test.describe('API Performance Tests', () => {
           return response;
         },
         'deletePost',
-        500
+        500,
+        { method: 'DELETE' }
       );
 
       console.log(`✅ DELETE API: ${result.duration}ms (threshold: 500ms)`);
@@ -131,7 +134,8 @@ test.describe('API Performance Tests', () => {
               return response;
             },
             `concurrentPost${i}`,
-            800
+            800,
+            { category: 'LOAD_TEST' }
           )
         );
       }
@@ -247,5 +251,6 @@ test.describe('API Performance Tests', () => {
     // Generate performance report after each test
     const report = apiMonitor.generateDetailedReport();
     console.log('📊 Detailed API Performance Report:', JSON.stringify(report, null, 2));
+    await apiMonitor.save(test.info());
   });
 });
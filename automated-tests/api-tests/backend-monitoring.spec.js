@@ -44,7 +44,8 @@ test.describe('Backend Monitoring Tests', () => {
             return response;
           },
           endpoint.name,
-          endpoint.threshold
+          endpoint.threshold,
+          { category: 'HEALTH_CHECK' }
         );
 
         healthResults.push({
@@ -105,6 +106,7 @@ test.describe('Backend Monitoring Tests', () => {
         },
         {
           name: 'CREATE',
+          method: 'POST',
           operation: async () => {
             const response = await request.post('https://jsonplaceholder.typicode.com/posts', {
               data: {
@@ -120,6 +122,7 @@ test.describe('Backend Monitoring Tests', () => {
         },
         {
           name: 'UPDATE',
+          method: 'PUT',
           operation: async () => {
             const response = await request.put('https://jsonplaceholder.typicode.com/posts/1', {
               data: {
@@ -136,6 +139,7 @@ test.describe('Backend Monitoring Tests', () => {
         },
         {
           name: 'DELETE',
+          method: 'DELETE',
           operation: async () => {
             const response = await request.delete('https://jsonplaceholder.typicode.com/posts/1');
             expect(response.status()).toBe(200);
@@ -148,7 +152,10 @@ test.describe('Backend Monitoring Tests', () => {
       const dbResults = [];
 
       for (const dbOp of dbOperations) {
-        const result = await apiMonitor.measureApiCall(dbOp.operation, dbOp.name, dbOp.threshold);
+        const result = await apiMonitor.measureApiCall(dbOp.operation, dbOp.name, dbOp.threshold, {
+          method: dbOp.method,
+          category: dbOp.name,
+        });
 
         dbResults.push({
           operation: dbOp.name,
@@ -194,7 +201,8 @@ test.describe('Backend Monitoring Tests', () => {
                 return response;
               },
               `user${user}_req${req}`,
-              1000
+              1000,
+              { category: 'LOAD_TEST' }
             )
           );
         }
@@ -230,6 +238,7 @@ test.describe('Backend Monitoring Tests', () => {
       const resourceTests = [
         {
           name: 'LARGE_DATASET',
+          category: 'LARGE_DATASET',
           operation: async () => {
             const response = await request.get('https://jsonplaceholder.typicode.com/comments');
             expect(response.status()).toBe(200);
@@ -267,7 +276,8 @@ test.describe('Backend Monitoring Tests', () => {
         const result = await apiMonitor.measureApiCallWithSize(
           test.operation,
           test.name,
-          test.threshold
+          test.threshold,
+          { category: test.category }
         );
 
         const endMemory = process.memoryUsage();
@@ -358,7 +368,8 @@ test.describe('Backend Monitoring Tests', () => {
               return response;
             },
             `rapidRequest${i}`,
-            1000
+            1000,
+            { category: 'LOAD_TEST' }
           )
         );
       }
@@ -388,5 +399,6 @@ test.describe('Backend Monitoring Tests', () => {
     // Generate comprehensive backend monitoring report
     const report = apiMonitor.generateDetailedReport();
     console.log('📊 Backend Monitoring Report:', JSON.stringify(report, null, 2));
+    await apiMonitor.save(test.info());
   });
 });
@@ -1,10 +1,51 @@
 /**
  * API Performance Monitor
- * Comprehensive performance monitoring for API calls
+ * Comprehensive performance monitoring for API calls. save() persists a test's measurements to
+ * reports/performance/api/, where `npm run report:api` merges them with newman results. Calls
+ * without an explicit threshold use the SLO definitions (config/performance/slo.json, or
+ * SLO_FILE), which also grade the measurements as a whole.
  */
 
+const fs = require('fs');
+const path = require('path');
+const {
+  loadSlo,
+  callThreshold,
+  evaluateSlo,
+  seriesFromMeasurements,
+  windowSizes,
+} = require('../../../scripts/load-testing/slo');
+
+const DEFAULT_RESULTS_DIR = path.join('reports', 'performance', 'api');
+
+/**
+ * URL and body size of a Playwright APIResponse. Stand-in responses (e.g. for timeouts) and
+ * disposed responses have neither.
+ */
+async function describeResponse(response) {
+  const details = {};
+  if (typeof response?.url === 'function') details.url = response.url();
+  if (typeof response?.body === 'function') {
+    try {
+      details.responseSize = (await response.body()).length;
+    } catch {
+      // Body already disposed
+    }
+  }
+  return details;
+}
+
+// Per-call threshold when no SLO limits the call's max duration
+const DEFAULT_THRESHOLD = 1000;
+
 class ApiPerformanceMonitor {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.slo - SLO definitions (default: read from SLO_FILE or
+   *   config/performance/slo.json on first use)
+   */
+  constructor(options = {}) {
+    this.slo = options.slo || null;
     this.measurements = [];
     this.thresholds = {
       fast: 200, // < 200ms is fast
@@ -17,8 +58,16 @@ class ApiPerformanceMonitor {
 
   /**
    * Measure API call performance
+   * @param {Function} apiCallFunction - Performs the call and returns its response
+   * @param {string} operationName - Name of the operation
+   * @param {number} threshold - Maximum duration in ms (default: from the SLOs, see thresholdFor)
+   * @param {Object} options - Options
+   * @param {string} options.method - HTTP method of the call (default GET)
+   * @param {string} options.category - Report category, e.g. HEALTH_CHECK or LOAD_TEST
+   *   (default: derived from method, status and size by the API report)
    */
-  async measureApiCall(apiCallFunction, operationName, threshold = 1000) {
+  async measureApiCall(apiCallFunction, operationName, threshold = null, options = {}) {
+    threshold = threshold ?? this.thresholdFor(operationName, options);
     const startTime = Date.now();
     const startHrTime = process.hrtime.bigint();
 
@@ -32,6 +81,8 @@ class ApiPerformanceMonitor {
 
       const measurement = {
         operationName,
+        ...this.callDetails(options),
+        ...(await describeResponse(response)),
         duration,
         precisionDuration,
         threshold,
@@ -57,6 +108,7 @@ class ApiPerformanceMonitor {
 
       const measurement = {
         operationName,
+        ...this.callDetails(options),
         duration,
         threshold,
         status: 'error',
@@ -73,8 +125,13 @@ class ApiPerformanceMonitor {
 
   /**
    * Measure API call with response size analysis
+   * @param {Function} apiCallFunction - Performs the call and returns its response
+   * @param {string} operationName - Name of the operation
+   * @param {number} threshold - Maximum duration in ms
+   * @param {Object} options - Same as measureApiCall
    */
-  async measureApiCallWithSize(apiCallFunction, operationName, threshold = 1000) {
+  async measureApiCallWithSize(apiCallFunction, operationName, threshold = null, options = {}) {
+    threshold = threshold ?? this.thresholdFor(operationName, options);
     const startTime = Date.now();
 
     try {
@@ -88,6 +145,8 @@ class ApiPerformanceMonitor {
 
       const measurement = {
         operationName,
+        ...this.callDetails(options),
+        ...(await describeResponse(response)),
         duration,
         threshold,
         status: response.status(),
@@ -106,6 +165,7 @@ class ApiPerformanceMonitor {
 
       const measurement = {
         operationName,
+        ...this.callDetails(options),
         duration,
         threshold,
         status: 'error',
@@ -120,6 +180,52 @@ class ApiPerformanceMonitor {
     }
   }
 
+  /**
+   * SLO definitions, read on first use
+   */
+  getSlo() {
+    if (!this.slo) this.slo = loadSlo(process.env.SLO_FILE);
+    return this.slo;
+  }
+
+  /**
+   * Threshold for a call: the tightest max duration the API SLOs set for the operation (matched
+   * by label, or by method and category tags)
+   * @param {string} operationName - Name of the operation
+   * @param {Object} options - Same as measureApiCall
+   * @returns {number} Maximum duration in ms
+   */
+  thresholdFor(operationName, options = {}) {
+    const { method, category } = this.callDetails(options);
+    return (
+      callThreshold(this.getSlo(), {
+        name: operationName,
+        tags: { method, ...(category ? { category } : {}) },
+      }) ?? DEFAULT_THRESHOLD
+    );
+  }
+
+  /**
+   * Evaluate the measurements against the API SLOs, per operation and overall
+   * @returns {{ status: string, results: Object[], breaches: Object[] }} Evaluation
+   */
+  evaluateSlo() {
+    const slo = this.getSlo();
+    return evaluateSlo(slo, seriesFromMeasurements(this.measurements, windowSizes(slo)), {
+      tool: 'api',
+    });
+  }
+
+  /**
+   * Request details recorded with every measurement
+   */
+  callDetails(options) {
+    return {
+      method: (options.method || 'GET').toUpperCase(),
+      ...(options.category ? { category: options.category } : {}),
+    };
+  }
+
   /**
    * Categorize performance based on duration
    */
@@ -325,13 +431,44 @@ class ApiPerformanceMonitor {
    * Export measurements for external analysis
    */
   exportMeasurements() {
+    const { status, breaches } = this.evaluateSlo();
     return {
       timestamp: new Date().toISOString(),
       sessionDuration: Date.now() - this.startTime,
       measurements: this.measurements,
       summary: this.generateSummary(),
+      slo: { status, breaches },
     };
   }
+
+  /**
+   * Write this test's measurements to reports/performance/api/ (or API_PERF_RESULTS_DIR)
+   * for the API performance report
+   * @param {TestInfo} testInfo - Playwright test info
+   * @returns {Promise<string|null>} Written file, or null when nothing was measured
+   */
+  async save(testInfo) {
+    if (this.measurements.length === 0) return null;
+
+    const dir = process.env.API_PERF_RESULTS_DIR || DEFAULT_RESULTS_DIR;
+    const file = path.join(dir, `${testInfo.testId}-retry${testInfo.retry}.json`);
+    const result = {
+      test: {
+        suite: testInfo.titlePath[1] || path.basename(testInfo.file),
+        title: testInfo.titlePath.slice(1).join(' › '),
+        file: path.relative(process.cwd(), testInfo.file),
+        project: testInfo.project.name,
+        status: testInfo.status,
+        retry: testInfo.retry,
+      },
+      ...this.exportMeasurements(),
+    };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(result, null, 2));
+    return file;
+  }
 }
 
 module.exports = ApiPerformanceMonitor;
+module.exports.DEFAULT_RESULTS_DIR = DEFAULT_RESULTS_DIR;
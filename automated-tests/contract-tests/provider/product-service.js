@@ -1,20 +1,118 @@
+/**
+ * Reference Shop Provider
+ * Self-hosted e-commerce application the UI, API, security, load and contract suites can
+ * run against offline. Also the Pact provider for the ProductService contract.
+ * Faults can be armed per route through the /__admin control plane (see shop/faults.js).
+ *
+ * Usage:
+ *   node automated-tests/contract-tests/provider/product-service.js
+ *   SHOP_PORT=3000 npm run shop:start
+ */
+
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
-const app = express();
-const port = 8081;
+const { ShopStore } = require('./shop/store');
+const { TokenService, LoginRateLimiter, sessionMiddleware } = require('./shop/auth');
+const { createApiRouter, sendError } = require('./shop/api-routes');
+const { createPageRouter } = require('./shop/page-routes');
+const { FaultInjector, createAdminRouter } = require('./shop/faults');
+const views = require('./shop/views');
+
+const DEFAULT_PORT = 3000;
+
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self'",
+  "img-src 'self' data:",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+/**
+ * Security headers applied to every response
+ */
+function securityHeaders(req, res, next) {
+  res.set('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('X-Frame-Options', 'DENY');
+  res.set('X-XSS-Protection', '1; mode=block');
+  res.set('Referrer-Policy', 'strict-origin-when-cross-origin');
+  if (req.secure) res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  next();
+}
+
+/**
+ * Create the shop application
+ * @param {object} options - Options
+ * @param {ShopStore} options.store - Store instance (a fresh seeded store by default)
+ * @param {TokenService} options.tokens - Token service
+ * @param {LoginRateLimiter} options.limiter - Failed-login limiter
+ * @param {FaultInjector} options.faults - Fault injector
+ * @returns {import('express').Express} Express app; `app.locals.shop` exposes the dependencies
+ */
+function createApp(options = {}) {
+  const store = options.store || new ShopStore();
+  const tokens = options.tokens || new TokenService();
+  const limiter = options.limiter || new LoginRateLimiter();
+  const faults = options.faults || new FaultInjector();
+
+  const app = express();
+  app.locals.shop = { store, tokens, limiter, faults };
+  app.disable('x-powered-by');
+  app.set('trust proxy', 'loopback');
+
+  app.use(securityHeaders);
+
+  const allowedOrigins = (process.env.SHOP_ALLOWED_ORIGINS || '').split(',').filter(Boolean);
+  if (allowedOrigins.length > 0) {
+    app.use('/api', cors({ origin: allowedOrigins, credentials: true }));
+  }
+
+  app.use(express.json({ limit: '100kb' }));
+  app.use(express.urlencoded({ extended: true, limit: '100kb' }));
+  app.use('/__admin', createAdminRouter({ faults, store, limiter }));
+  app.use(sessionMiddleware(store, tokens));
+  // Faulted form posts flash their error into the session
+  app.use(faults.middleware());
+  app.use('/static', express.static(path.join(__dirname, 'shop', 'public'), { maxAge: '1h' }));
+
+  // Pact contract: API clients get the plain product list, browsers get the catalog page
+  app.get('/products', (req, res, next) => {
+    if ((req.headers.accept || '').includes('text/html')) return next();
+    return res.json(
+      store.catalog.products.map((p) => ({ id: p.id, name: p.name, price: p.price }))
+    );
+  });
+
+  app.use('/api', createApiRouter({ store, tokens, limiter }));
+  app.use(createPageRouter({ store, limiter }));
 
-app.use(cors());
-app.use(express.json());
+  // Malformed bodies and unexpected failures never leak stack traces
+  // eslint-disable-next-line no-unused-vars
+  app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error('❌ Shop error:', err.message);
+    const message = status >= 500 ? 'Something went wrong' : 'The request could not be processed';
+    if (req.path.startsWith('/api') || !req.accepts('html')) {
+      return sendError(res, status, status >= 500 ? 'internal_error' : 'bad_request', message);
+    }
+    return res
+      .status(status)
+      .send(views.errorPage({ user: null, csrfToken: '' }, { status, title: 'Error', message }));
+  });
 
-const products = [
-  { id: 1, name: 'Product 1', price: 100 },
-  { id: 2, name: 'Product 2', price: 200 },
-];
+  return app;
+}
 
-app.get('/products', (req, res) => {
-  res.json(products);
-});
+if (require.main === module) {
+  const port = parseInt(process.env.SHOP_PORT || process.env.PORT || DEFAULT_PORT, 10);
+  createApp().listen(port, () => {
+    console.log(`🛒 Reference shop listening at http://localhost:${port}`);
+  });
+}
 
-app.listen(port, () => {
-  console.log(`Provider service listening at http://localhost:${port}`);
-});
+module.exports = { createApp, securityHeaders, DEFAULT_PORT };
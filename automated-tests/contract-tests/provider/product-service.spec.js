@@ -1,15 +1,34 @@
 /* eslint-disable no-redeclare */
 const { Verifier } = require('@pact-foundation/pact');
 const path = require('path');
+const { createApp } = require('./product-service');
 
-// Simple provider app bootstrap (only if needed by local verification)
-// The existing project includes a sample provider implementation at
-// automated-tests/contract-tests/provider/product-service.js
-// Start your provider separately if required.
+// Unless PROVIDER_BASE_URL points at a deployed provider, the reference shop in
+// product-service.js is started in-process on a free port for verification.
 
 describe('Pact Verification', () => {
+  let server;
+  let app;
+
+  beforeAll((done) => {
+    if (process.env.PROVIDER_BASE_URL) return done();
+    app = createApp();
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    if (!server) return done();
+    server.close(done);
+  });
+
   it('validates the expectations of ProductService', () => {
-    const baseUrl = process.env.PROVIDER_BASE_URL || 'http://localhost:8081';
+    const baseUrl = process.env.PROVIDER_BASE_URL || `http://localhost:${server.address().port}`;
+    const stateHandlers = {
+      'products exist': () => {
+        if (app) app.locals.shop.store.reset();
+        return Promise.resolve();
+      },
+    };
     const brokerUrl = process.env.PACT_BROKER_BASE_URL || process.env.PACT_BROKER_URL;
     const brokerToken = process.env.PACT_BROKER_TOKEN || process.env.PACT_BROKER_PASSWORD;
     const branch =
@@ -30,6 +49,7 @@ describe('Pact Verification', () => {
     const opts = useBroker
       ? {
           providerBaseUrl: baseUrl,
+          stateHandlers,
           // Broker configuration
           brokerUrl,
           // Prefer token auth; basic auth also supported via brokerUsername/brokerPassword
@@ -47,6 +67,7 @@ describe('Pact Verification', () => {
         }
       : {
           providerBaseUrl: baseUrl,
+          stateHandlers,
           pactUrls: [path.resolve(process.cwd(), 'pacts', 'EcommerceWebApp-ProductService.json')],
         };
 
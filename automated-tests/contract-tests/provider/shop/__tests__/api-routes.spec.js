@@ -0,0 +1,216 @@
+const { createApp } = require('../../product-service');
+
+const SHIPPING_ADDRESS = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  street: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62701',
+  country: 'US',
+  phone: '555-123-4567',
+};
+
+const CARD = {
+  cardNumber: '4111111111111111',
+  expiryMonth: '12',
+  expiryYear: String(new Date().getFullYear() + 2),
+  cvv: '123',
+  cardholderName: 'Jane Doe',
+};
+
+describe('Shop API', () => {
+  let server;
+  let baseURL;
+  let store;
+  let token;
+
+  /**
+   * Call the API, signed in unless `auth` is false
+   * @returns {Promise<{ status: number, body: any }>}
+   */
+  const api = async (method, path, body, { auth = true } = {}) => {
+    const response = await fetch(`${baseURL}/api${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(auth ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  beforeAll(async () => {
+    const app = createApp();
+    store = app.locals.shop.store;
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(async () => {
+    store.reset();
+    const login = await api(
+      'POST',
+      '/auth/login',
+      { email: 'test@example.com', password: 'password123' },
+      { auth: false }
+    );
+    token = login.body.token;
+  });
+
+  describe('authentication', () => {
+    test('issues a bearer token for valid credentials only', async () => {
+      const wrong = await api(
+        'POST',
+        '/auth/login',
+        { email: 'test@example.com', password: 'nope' },
+        { auth: false }
+      );
+      expect(wrong).toEqual({
+        status: 401,
+        body: { error: 'unauthorized', message: 'Invalid email or password' },
+      });
+
+      const profile = await api('GET', '/users/profile');
+      expect(profile.status).toBe(200);
+      expect(profile.body).toMatchObject({ email: 'test@example.com' });
+      expect(profile.body).not.toHaveProperty('passwordHash');
+    });
+
+    test('requires a valid token for the cart and the admin role for admin routes', async () => {
+      expect((await api('GET', '/cart', undefined, { auth: false })).status).toBe(401);
+
+      token = 'not-a-token';
+      expect((await api('GET', '/cart')).status).toBe(401);
+
+      const login = await api(
+        'POST',
+        '/auth/login',
+        { email: 'test@example.com', password: 'password123' },
+        { auth: false }
+      );
+      token = login.body.token;
+      expect((await api('GET', '/admin/users')).body).toEqual({
+        error: 'forbidden',
+        message: 'Administrator role required',
+      });
+    });
+  });
+
+  describe('cart', () => {
+    test('rejects malformed quantities before authentication', async () => {
+      for (const quantity of [0, -1, 1.5, 'two', 1001]) {
+        const response = await api(
+          'POST',
+          '/cart/add',
+          { productId: 1, quantity },
+          { auth: false }
+        );
+        expect(response.status).toBe(400);
+      }
+    });
+
+    test('enforces stock and per-item limits', async () => {
+      expect((await api('POST', '/cart/add', { productId: 1, quantity: 10 })).status).toBe(201);
+      expect(await api('POST', '/cart/add', { productId: 1, quantity: 1 })).toEqual({
+        status: 422,
+        body: { error: 'unprocessable', message: 'Maximum quantity allowed is 10' },
+      });
+      expect((await api('POST', '/cart/add', { productId: 4, quantity: 1 })).body.message).toBe(
+        'This item is currently out of stock'
+      );
+      expect((await api('PUT', '/cart/items/1', { quantity: 'x' })).status).toBe(400);
+      expect((await api('PUT', '/cart/items/1', { quantity: 0 })).body.items).toEqual([]);
+    });
+  });
+
+  describe('orders', () => {
+    const order = (extra) => ({
+      shippingAddress: SHIPPING_ADDRESS,
+      paymentMethod: 'credit_card',
+      payment: CARD,
+      ...extra,
+    });
+
+    test('prices explicit items from the catalog and leaves the saved cart alone', async () => {
+      await api('POST', '/cart/add', { productId: 1, quantity: 1 });
+
+      const placed = await api(
+        'POST',
+        '/orders',
+        order({ items: [{ productId: 3, quantity: 2 }] })
+      );
+
+      expect(placed.status).toBe(201);
+      expect(placed.body).toMatchObject({
+        items: [{ productId: 3, quantity: 2, price: 34.99 }],
+        subtotal: 69.98,
+        shipping: 9.99,
+        tax: 5.6,
+        total: 85.57,
+      });
+      const cart = await api('GET', '/cart');
+      expect(cart.body.items).toEqual([expect.objectContaining({ productId: 1, quantity: 1 })]);
+    });
+
+    test('keeps the saved cart when an item is invalid', async () => {
+      await api('POST', '/cart/add', { productId: 1, quantity: 2 });
+
+      const rejected = await api(
+        'POST',
+        '/orders',
+        order({
+          items: [
+            { productId: 3, quantity: 1 },
+            { productId: 4, quantity: 1 },
+          ],
+        })
+      );
+
+      expect(rejected).toEqual({
+        status: 422,
+        body: { error: 'unprocessable', message: 'This item is currently out of stock' },
+      });
+      expect((await api('GET', '/cart')).body.items).toEqual([
+        expect.objectContaining({ productId: 1, quantity: 2 }),
+      ]);
+      expect(store.stock.get(3)).toBe(200);
+    });
+
+    test('rejects client prices and malformed items', async () => {
+      const priced = await api(
+        'POST',
+        '/orders',
+        order({ items: [{ productId: 3, quantity: 1, price: 0.01 }] })
+      );
+      expect(priced.status).toBe(422);
+      expect(priced.body.message).toBe('Prices are calculated by the server');
+
+      const malformed = await api('POST', '/orders', order({ items: [null] }));
+      expect(malformed).toEqual({
+        status: 400,
+        body: { error: 'bad_request', message: 'Each order item must be an object' },
+      });
+    });
+
+    test('orders the saved cart when no items are given and empties it', async () => {
+      await api('POST', '/cart/add', { productId: 1, quantity: 1 });
+      await api('POST', '/cart/add', { productId: 3, quantity: 1 });
+      await api('POST', '/cart/promo', { code: 'SAVE10' });
+
+      const placed = await api('POST', '/checkout', order());
+
+      expect(placed.body).toMatchObject({ subtotal: 114.98, discount: 11.5, total: 111.76 });
+      expect((await api('GET', '/cart')).body.items).toEqual([]);
+      expect((await api('GET', `/orders/${placed.body.id}`)).body.orderNumber).toBe(
+        placed.body.orderNumber
+      );
+    });
+  });
+});
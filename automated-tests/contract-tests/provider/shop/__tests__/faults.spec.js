@@ -0,0 +1,143 @@
+const { EventEmitter } = require('events');
+const { FaultInjector, SCOPE_HEADER } = require('../faults');
+
+/**
+ * Minimal request/response pair for driving the fault middleware
+ * @param {object} overrides - Request fields
+ */
+function exchange(overrides = {}) {
+  const socket = new EventEmitter();
+  socket.destroy = jest.fn(() => socket.emit('close'));
+  const req = { method: 'GET', path: '/api/cart', headers: {}, socket, ...overrides };
+  const res = {
+    set: jest.fn(),
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    type: jest.fn(() => res),
+    send: jest.fn(() => res),
+  };
+  return { req, res, next: jest.fn() };
+}
+
+describe('FaultInjector', () => {
+  let faults;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    faults = new FaultInjector();
+  });
+
+  afterEach(() => {
+    faults.clear();
+    jest.useRealTimers();
+  });
+
+  const run = (overrides) => {
+    const call = exchange(overrides);
+    faults.middleware()(call.req, call.res, call.next);
+    return call;
+  };
+
+  test('rejects invalid specs and never faults the admin API', () => {
+    expect(faults.arm({ route: 'cart', type: 'error' }).error).toMatch(/route must be a path/);
+    expect(faults.arm({ route: '/__admin/faults', type: 'error' }).error).toBe(
+      'The admin API cannot be faulted'
+    );
+    expect(faults.arm({ route: '/api', type: 'explode' }).error).toMatch(/type must be one of/);
+    expect(faults.arm({ route: '/api', type: 'error', status: 200 }).error).toMatch(/status/);
+    expect(faults.arm({ route: '/api', type: 'error', times: 0 }).error).toMatch(/times/);
+    expect(faults.list()).toEqual([]);
+  });
+
+  test('matches on route pattern, method and scope', () => {
+    const { fault } = faults.arm({ route: '/api/cart*', type: 'error', method: 'post' });
+    const scoped = faults.arm({ route: '/api/orders', type: 'error', scope: 'worker-1' }).fault;
+
+    expect(faults.match({ method: 'POST', path: '/api/cart/items/1', headers: {} })).toBe(fault);
+    expect(faults.match({ method: 'GET', path: '/api/cart', headers: {} })).toBeNull();
+    expect(faults.match({ method: 'POST', path: '/api/products', headers: {} })).toBeNull();
+    expect(faults.match({ method: 'GET', path: '/api/orders', headers: {} })).toBeNull();
+    expect(
+      faults.match({ method: 'GET', path: '/api/orders', headers: { [SCOPE_HEADER]: 'worker-1' } })
+    ).toBe(scoped);
+  });
+
+  test('answers error faults with JSON and disarms after `times` hits', () => {
+    faults.arm({ route: '/api/cart', type: 'error', status: 502, times: 2 });
+
+    const first = run();
+    expect(first.res.status).toHaveBeenCalledWith(502);
+    expect(first.res.json).toHaveBeenCalledWith({
+      error: 'injected_fault',
+      message: 'The service is temporarily unavailable',
+    });
+    expect(run().res.status).toHaveBeenCalledWith(502);
+    expect(faults.list()).toEqual([]);
+    expect(run().next).toHaveBeenCalled();
+  });
+
+  test('continues a delayed request once its delay has passed', () => {
+    faults.arm({ route: '/api/cart', type: 'latency', delayMs: 1000 });
+    const { next } = run();
+
+    jest.advanceTimersByTime(999);
+    expect(next).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('disarming a fault releases the requests it holds', () => {
+    const latency = faults.arm({ route: '/api/cart', type: 'latency', delayMs: 60000 }).fault;
+    const timeout = faults.arm({ route: '/api/orders', type: 'timeout', delayMs: 60000 }).fault;
+    const delayed = run();
+    const hung = run({ path: '/api/orders' });
+
+    expect(faults.disarm(latency.id)).toBe(true);
+    expect(delayed.next).toHaveBeenCalledTimes(1);
+    expect(hung.req.socket.destroy).not.toHaveBeenCalled();
+
+    expect(faults.disarm(timeout.id)).toBe(true);
+    expect(hung.req.socket.destroy).toHaveBeenCalledTimes(1);
+    expect(faults.disarm(timeout.id)).toBe(false);
+
+    // Released requests are not finished a second time when the timers would have fired
+    jest.advanceTimersByTime(60000);
+    expect(delayed.next).toHaveBeenCalledTimes(1);
+    expect(hung.req.socket.destroy).toHaveBeenCalledTimes(1);
+  });
+
+  test('disarming a used-up `times` fault still releases its held request', () => {
+    const { fault } = faults.arm({ route: '/api/cart', type: 'latency', delayMs: 60000, times: 1 });
+    const { next } = run();
+
+    expect(faults.list()).toEqual([]);
+    expect(faults.disarm(fault.id)).toBe(true);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('clearing a scope only releases that scope', () => {
+    faults.arm({ route: '/api/cart', type: 'latency', delayMs: 60000, scope: 'a' });
+    faults.arm({ route: '/api/cart', type: 'timeout', delayMs: 60000, scope: 'b' });
+    const a = run({ headers: { [SCOPE_HEADER]: 'a' } });
+    const b = run({ headers: { [SCOPE_HEADER]: 'b' } });
+
+    faults.clear('a');
+    expect(a.next).toHaveBeenCalledTimes(1);
+    expect(b.req.socket.destroy).not.toHaveBeenCalled();
+    expect(faults.list().map((fault) => fault.scope)).toEqual(['b']);
+
+    faults.clear();
+    expect(b.req.socket.destroy).toHaveBeenCalledTimes(1);
+    expect(faults.list()).toEqual([]);
+  });
+
+  test('forgets a held request whose client went away', () => {
+    faults.arm({ route: '/api/cart', type: 'latency', delayMs: 60000 });
+    const { req, next } = run();
+
+    req.socket.emit('close');
+    faults.clear();
+    expect(next).not.toHaveBeenCalled();
+    expect(faults.pending.size).toBe(0);
+  });
+});
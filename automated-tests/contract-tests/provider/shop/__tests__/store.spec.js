@@ -0,0 +1,203 @@
+const { ShopStore, MAX_QUANTITY_PER_ITEM } = require('../store');
+
+const SHIPPING_ADDRESS = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  street: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62701',
+  country: 'US',
+  phone: '555-123-4567',
+};
+
+const CARD = {
+  cardNumber: '4111 1111 1111 1111',
+  expiryMonth: '12',
+  expiryYear: String(new Date().getFullYear() + 2),
+  cvv: '123',
+  cardholderName: 'Jane Doe',
+};
+
+const orderDetails = (overrides = {}) => ({
+  shippingAddress: SHIPPING_ADDRESS,
+  sameAsShipping: true,
+  paymentMethod: 'credit_card',
+  payment: CARD,
+  ...overrides,
+});
+
+describe('ShopStore', () => {
+  let store;
+  const customer = { userId: 'demo001' };
+
+  beforeEach(() => {
+    store = new ShopStore();
+  });
+
+  describe('authentication', () => {
+    test('accepts the seeded credentials case-insensitively and rejects anything else', () => {
+      expect(store.authenticate('TEST@example.com', 'password123')).toMatchObject({
+        id: 'demo001',
+        role: 'customer',
+      });
+      expect(store.authenticate('test@example.com', 'wrong')).toBeNull();
+      expect(store.authenticate('nobody@example.com', 'password123')).toBeNull();
+      expect(store.authenticate('test@example.com', '')).toBeNull();
+    });
+
+    test('never exposes the password hash', () => {
+      const user = store.authenticate('store.manager@example.com', 'ManagerPass123!');
+
+      expect(user.passwordHash).toMatch(/^[0-9a-f]+:[0-9a-f]+$/);
+      expect(store.toPublicUser(user)).not.toHaveProperty('passwordHash');
+      expect(store.toPublicUser(user)).toMatchObject({ role: 'admin' });
+    });
+
+    test('rotates the session on sign-in and merges the guest cart', () => {
+      const session = store.createSession();
+      store.addToCart(session, 3, 2);
+
+      const signedIn = store.signIn(session, store.getUser('demo001'));
+
+      expect(store.getSession(session.id)).toBeNull();
+      expect(store.getSession(signedIn.id)).toMatchObject({ userId: 'demo001' });
+      expect(store.getCart(customer).items).toEqual([{ productId: 3, quantity: 2 }]);
+    });
+  });
+
+  describe('cart quantities', () => {
+    test('rejects unknown, out-of-stock and non-positive quantities', () => {
+      expect(store.addToCart(customer, 999, 1)).toEqual({ error: 'Product not found' });
+      expect(store.addToCart(customer, 4, 1)).toEqual({
+        error: 'This item is currently out of stock',
+      });
+      expect(store.addToCart(customer, 1, 0)).toEqual({ error: 'Quantity must be at least 1' });
+      expect(store.addToCart(customer, 1, 1.5)).toEqual({ error: 'Quantity must be at least 1' });
+      expect(store.getCart(customer).items).toEqual([]);
+    });
+
+    test('caps the combined quantity of a line, not only each addition', () => {
+      expect(store.addToCart(customer, 1, MAX_QUANTITY_PER_ITEM - 1).error).toBeUndefined();
+      expect(store.addToCart(customer, 1, 2)).toEqual({
+        error: `Maximum quantity allowed is ${MAX_QUANTITY_PER_ITEM}`,
+      });
+      expect(store.getCart(customer).items).toEqual([
+        { productId: 1, quantity: MAX_QUANTITY_PER_ITEM - 1 },
+      ]);
+    });
+
+    test('limits quantities to the stock left', () => {
+      store.stock.set(2, 3);
+
+      expect(store.addToCart(customer, 2, 4)).toEqual({
+        error: 'Only 3 items available in stock',
+      });
+      expect(store.updateCartItem(customer, 2, 1)).toEqual({ error: 'Item is not in your cart' });
+    });
+  });
+
+  describe('order pricing', () => {
+    test('prices the cart with discount, free shipping threshold and tax', () => {
+      store.addToCart(customer, 1, 1);
+      store.addToCart(customer, 3, 1);
+      store.applyPromoCode(customer, 'save10');
+
+      expect(store.priceCart(store.getCart(customer))).toMatchObject({
+        itemCount: 2,
+        subtotal: 114.98,
+        discount: 11.5,
+        shipping: 0,
+        tax: 8.28,
+        total: 111.76,
+        promoCode: 'SAVE10',
+      });
+    });
+
+    test('charges shipping below the threshold and rejects unmet promo minimums', () => {
+      store.addToCart(customer, 3, 2);
+
+      expect(store.priceCart(store.getCart(customer))).toMatchObject({
+        subtotal: 69.98,
+        shipping: 9.99,
+        tax: 5.6,
+        total: 85.57,
+      });
+      expect(store.checkPromoCode('WELCOME5', 20)).toEqual({
+        error: 'Order minimum of $25.00 required for this promo code',
+      });
+      expect(store.checkPromoCode('SUMMER2020', 100)).toEqual({
+        error: 'This promo code has expired',
+      });
+    });
+
+    test('places an order from the cart, empties it and takes the stock', () => {
+      store.addToCart(customer, 3, 2);
+
+      const { order } = store.placeOrder(customer, orderDetails({ shippingMethod: 'express' }));
+
+      expect(order).toMatchObject({
+        userId: 'demo001',
+        items: [{ productId: 3, quantity: 2, price: 34.99, lineTotal: 69.98 }],
+        shipping: 19.99,
+        total: 95.57,
+        cardLast4: '1111',
+      });
+      expect(store.getCart(customer).items).toEqual([]);
+      expect(store.stock.get(3)).toBe(198);
+    });
+
+    test('places an order from a draft cart without touching the saved cart', () => {
+      store.addToCart(customer, 1, 1);
+      store.applyPromoCode(customer, 'SAVE10');
+      const { cart } = store.draftCart([
+        { productId: 3, quantity: 1 },
+        { productId: 3, quantity: 1 },
+      ]);
+
+      const { order } = store.placeOrder(
+        customer,
+        orderDetails({ cart, shippingMethod: 'overnight' })
+      );
+
+      expect(order).toMatchObject({ subtotal: 69.98, discount: 0, shipping: 39.99 });
+      expect(store.getCart(customer)).toMatchObject({
+        items: [{ productId: 1, quantity: 1 }],
+        promoCode: 'SAVE10',
+        shippingMethod: 'standard',
+      });
+    });
+
+    test('rejects draft carts with invalid items', () => {
+      expect(
+        store.draftCart([
+          { productId: 3, quantity: 6 },
+          { productId: 3, quantity: 6 },
+        ])
+      ).toEqual({ error: `Maximum quantity allowed is ${MAX_QUANTITY_PER_ITEM}` });
+      expect(store.draftCart([{ productId: 4, quantity: 1 }])).toEqual({
+        error: 'This item is currently out of stock',
+      });
+    });
+
+    test('reports invalid checkout data and scripted payment failures', () => {
+      store.addToCart(customer, 3, 1);
+
+      const invalid = store.placeOrder(
+        customer,
+        orderDetails({ shippingAddress: { ...SHIPPING_ADDRESS, zipCode: 'abc' } })
+      );
+      expect(invalid.errors).toEqual({ 'shipping.zipCode': 'Invalid ZIP code format' });
+
+      const declined = store.placeOrder(
+        customer,
+        orderDetails({ payment: { ...CARD, cardNumber: '4000000000000002' } })
+      );
+      expect(declined).toEqual({ error: 'Your card was declined' });
+      expect(store.getCart(customer).items).toHaveLength(1);
+      expect(store.placeOrder({ userId: 'staff001' }, orderDetails())).toEqual({
+        error: 'Your cart is empty',
+      });
+    });
+  });
+});
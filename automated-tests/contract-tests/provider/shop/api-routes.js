@@ -0,0 +1,367 @@
+/**
+ * Shop JSON API
+ * Serves the endpoints listed in security-tests/security.config.js `scope.api.endpoints`
+ * plus the cart, checkout and order operations the UI drives through forms.
+ */
+
+const express = require('express');
+const { SHIPPING_METHODS } = require('./store');
+const { TOKEN_TTL_SECONDS } = require('./auth');
+
+/**
+ * Send a JSON error in the shop's standard shape
+ */
+function sendError(res, status, error, message, extra = {}) {
+  return res.status(status).json({ error, message, ...extra });
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 401, 'unauthorized', 'Authentication required');
+  }
+  return next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 401, 'unauthorized', 'Authentication required');
+  }
+  if (req.user.role !== 'admin') {
+    return sendError(res, 403, 'forbidden', 'Administrator role required');
+  }
+  return next();
+}
+
+/**
+ * Reject duplicated query parameters (HTTP parameter pollution) before routing
+ */
+function rejectParameterPollution(req, res, next) {
+  const duplicated = Object.keys(req.query).filter((key) => Array.isArray(req.query[key]));
+  if (duplicated.length > 0) {
+    return sendError(res, 400, 'bad_request', 'Duplicate query parameters are not allowed', {
+      parameters: duplicated,
+    });
+  }
+  return next();
+}
+
+/**
+ * Parse a positive integer quantity from a request body
+ */
+function parseQuantity(value, fallback = 1) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+function serializeProduct(product, store) {
+  return {
+    id: product.id,
+    sku: product.sku,
+    name: product.name,
+    category: product.category,
+    brand: product.brand,
+    price: product.price,
+    originalPrice: product.originalPrice,
+    rating: product.rating,
+    reviewCount: product.reviewCount,
+    inStock: product.inStock && (store.stock.get(product.id) ?? 0) > 0,
+    description: product.description,
+    features: product.features,
+    image: product.image,
+  };
+}
+
+function serializeCart(store, cart) {
+  const pricing = store.priceCart(cart);
+  return {
+    items: pricing.lines.map((l) => ({
+      productId: l.productId,
+      sku: l.product.sku,
+      name: l.product.name,
+      quantity: l.quantity,
+      price: l.unitPrice,
+      lineTotal: l.lineTotal,
+    })),
+    savedForLater: cart.saved.map((i) => ({ productId: i.productId, quantity: i.quantity })),
+    itemCount: pricing.itemCount,
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    shipping: pricing.shipping,
+    tax: pricing.tax,
+    total: pricing.total,
+    promoCode: pricing.promoCode,
+    shippingMethod: pricing.shippingMethod,
+  };
+}
+
+function catalogQuery(query) {
+  return {
+    search: query.q || query.search,
+    category: query.category,
+    brand: query.brand,
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    rating: query.rating || query.minRating,
+    inStock: query.inStock === 'true',
+    sort: query.sort,
+    page: query.page,
+    pageSize: query.pageSize || query.limit,
+  };
+}
+
+/**
+ * Build the /api router
+ * @param {object} deps - { store, tokens, limiter }
+ */
+function createApiRouter({ store, tokens, limiter }) {
+  const router = express.Router();
+  const owner = (req) => ({ userId: req.user.id });
+
+  router.use(rejectParameterPollution);
+
+  router.get('/health', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime() });
+  });
+
+  // --- Auth -------------------------------------------------------------------
+
+  router.post('/auth/login', (req, res) => {
+    const { email, password } = req.body || {};
+    const key = `${req.ip}|${String(email || '').toLowerCase()}`;
+    const status = limiter.applyHeaders(res, key);
+    if (status.limited) {
+      return sendError(res, 429, 'too_many_requests', 'Too many attempts, try again later');
+    }
+
+    const user = store.authenticate(email, password);
+    if (!user) {
+      limiter.recordFailure(key);
+      limiter.applyHeaders(res, key);
+      return sendError(res, 401, 'unauthorized', 'Invalid email or password');
+    }
+
+    limiter.reset(key);
+    return res.json({
+      token: tokens.sign(user),
+      tokenType: 'Bearer',
+      expiresIn: TOKEN_TTL_SECONDS,
+      user: store.toPublicUser(user),
+    });
+  });
+
+  router.post('/auth/register', (req, res) => {
+    const result = store.registerUser(req.body || {});
+    if (result.errors) {
+      return sendError(res, 422, 'validation_failed', 'Registration data is invalid', {
+        fields: result.errors,
+      });
+    }
+    if (result.error) return sendError(res, 409, 'conflict', result.error);
+    return res.status(201).json({
+      token: tokens.sign(result.user),
+      tokenType: 'Bearer',
+      user: store.toPublicUser(result.user),
+    });
+  });
+
+  router.post('/auth/logout', (req, res) => {
+    // Tokens are stateless; the client discards it
+    res.status(204).end();
+  });
+
+  // --- Users ------------------------------------------------------------------
+
+  router.get('/users', requireAuth, (req, res) => {
+    const users =
+      req.user.role === 'admin' ? [...store.users.values()] : [store.getUser(req.user.id)];
+    res.json(users.map((u) => store.toPublicUser(u)));
+  });
+
+  router.post('/users', requireAdmin, (req, res) => {
+    const result = store.registerUser(req.body || {});
+    if (result.errors) {
+      return sendError(res, 422, 'validation_failed', 'User data is invalid', {
+        fields: result.errors,
+      });
+    }
+    if (result.error) return sendError(res, 409, 'conflict', result.error);
+    return res.status(201).json(store.toPublicUser(result.user));
+  });
+
+  router.get('/users/profile', requireAuth, (req, res) => {
+    res.json(store.toPublicUser(req.user));
+  });
+
+  router.put('/users/profile', requireAuth, (req, res) => {
+    const updates = req.body || {};
+    // Profile updates never change credentials, so only the personal-details rules apply
+    const { password, ...errors } = store.validateRegistration({
+      firstName: updates.firstName ?? req.user.firstName,
+      lastName: updates.lastName ?? req.user.lastName,
+      email: req.user.email,
+      phone: updates.phone ?? req.user.phone,
+    });
+    if (Object.keys(errors).length > 0) {
+      return sendError(res, 422, 'validation_failed', 'Profile data is invalid', {
+        fields: errors,
+      });
+    }
+    ['firstName', 'lastName', 'phone', 'dateOfBirth'].forEach((field) => {
+      if (updates[field] !== undefined) req.user[field] = String(updates[field]).trim();
+    });
+    return res.json(store.toPublicUser(req.user));
+  });
+
+  router.get('/users/:id', requireAuth, (req, res) => {
+    if (req.user.role !== 'admin' && req.params.id !== req.user.id) {
+      return sendError(res, 403, 'forbidden', 'You can only access your own account');
+    }
+    const user = store.getUser(req.params.id);
+    if (!user) return sendError(res, 404, 'not_found', 'User not found');
+    return res.json(store.toPublicUser(user));
+  });
+
+  router.get('/admin/users', requireAdmin, (req, res) => {
+    res.json([...store.users.values()].map((u) => store.toPublicUser(u)));
+  });
+
+  // --- Products ---------------------------------------------------------------
+
+  const listProducts = (req, res) => {
+    const result = store.catalog.query(catalogQuery(req.query));
+    res.json({ ...result, items: result.items.map((p) => serializeProduct(p, store)) });
+  };
+
+  router.get('/products', listProducts);
+  router.get('/products/search', listProducts);
+
+  router.get('/products/categories', (req, res) => {
+    res.json(store.catalog.getCategories());
+  });
+
+  router.get('/products/:id', (req, res) => {
+    const product = store.catalog.findProduct(req.params.id);
+    if (!product) return sendError(res, 404, 'not_found', 'Product not found');
+    return res.json({ ...serializeProduct(product, store), reviews: store.getReviews(product.id) });
+  });
+
+  // --- Cart -------------------------------------------------------------------
+
+  router.get('/cart', requireAuth, (req, res) => {
+    res.json(serializeCart(store, store.getCart(owner(req))));
+  });
+
+  // Quantity is validated before authentication so malformed requests are always a 400
+  router.post('/cart/add', (req, res, next) => {
+    const quantity = parseQuantity(req.body?.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 1000) {
+      return sendError(res, 400, 'bad_request', 'Quantity must be a whole number from 1 to 1000');
+    }
+    return requireAuth(req, res, () => {
+      const result = store.addToCart(owner(req), req.body.productId, quantity);
+      if (result.error) return sendError(res, 422, 'unprocessable', result.error);
+      return res.status(201).json(serializeCart(store, result.cart));
+    });
+  });
+
+  router.put('/cart/items/:productId', requireAuth, (req, res) => {
+    const quantity = parseQuantity(req.body?.quantity, NaN);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return sendError(res, 400, 'bad_request', 'Quantity must be a whole number');
+    }
+    const result = store.updateCartItem(owner(req), req.params.productId, quantity);
+    if (result.error) return sendError(res, 422, 'unprocessable', result.error);
+    return res.json(serializeCart(store, result.cart));
+  });
+
+  router.delete('/cart/items/:productId', requireAuth, (req, res) => {
+    const result = store.removeCartItem(owner(req), req.params.productId);
+    if (result.error) return sendError(res, 404, 'not_found', result.error);
+    return res.json(serializeCart(store, result.cart));
+  });
+
+  router.delete('/cart', requireAuth, (req, res) => {
+    res.json(serializeCart(store, store.clearCart(owner(req)).cart));
+  });
+
+  router.post('/cart/promo', requireAuth, (req, res) => {
+    const result = store.applyPromoCode(owner(req), req.body?.code);
+    if (result.error) return sendError(res, 422, 'invalid_promo_code', result.error);
+    return res.json(serializeCart(store, result.cart));
+  });
+
+  router.delete('/cart/promo', requireAuth, (req, res) => {
+    res.json(serializeCart(store, store.removePromoCode(owner(req)).cart));
+  });
+
+  // --- Checkout & orders ------------------------------------------------------
+
+  router.get('/checkout', requireAuth, (req, res) => {
+    res.json({
+      cart: serializeCart(store, store.getCart(owner(req))),
+      shippingMethods: SHIPPING_METHODS,
+    });
+  });
+
+  // `cart` is a draft cart for orders placed with explicit items; otherwise the user's cart
+  const checkout = (req, res, cart = null) => {
+    const body = req.body || {};
+    const result = store.placeOrder(owner(req), {
+      cart,
+      email: req.user.email,
+      shippingAddress: body.shippingAddress,
+      billingAddress: body.billingAddress,
+      sameAsShipping: body.sameAsShipping !== false && !body.billingAddress,
+      shippingMethod: body.shippingMethod,
+      paymentMethod: body.paymentMethod,
+      payment: body.payment,
+    });
+    if (result.errors) {
+      return sendError(res, 422, 'validation_failed', 'Checkout data is invalid', {
+        fields: result.errors,
+      });
+    }
+    if (result.error) return sendError(res, 402, 'payment_failed', result.error);
+    return res.status(201).json(result.order);
+  };
+
+  router.post('/checkout', requireAuth, (req, res) => checkout(req, res));
+
+  router.get('/orders', requireAuth, (req, res) => {
+    res.json(store.getOrdersForUser(req.user.id));
+  });
+
+  router.post('/orders', requireAuth, (req, res) => {
+    // Prices always come from the catalog; client-supplied prices or totals are rejected
+    const items = Array.isArray(req.body?.items) ? req.body.items : [];
+    if (items.some((i) => !i || typeof i !== 'object' || Array.isArray(i))) {
+      return sendError(res, 400, 'bad_request', 'Each order item must be an object');
+    }
+    if (items.some((i) => i.price !== undefined) || req.body?.total !== undefined) {
+      return sendError(res, 422, 'unprocessable', 'Prices are calculated by the server');
+    }
+    if (items.length === 0) return checkout(req, res);
+
+    // Price the given items without replacing the user's saved cart
+    const { cart, error } = store.draftCart(
+      items.map((item) => ({ productId: item.productId, quantity: parseQuantity(item.quantity) }))
+    );
+    if (error) return sendError(res, 422, 'unprocessable', error);
+    return checkout(req, res, cart);
+  });
+
+  router.get('/orders/:id', requireAuth, (req, res) => {
+    const order = store.findOrder(req.params.id);
+    if (!order || (order.userId !== req.user.id && req.user.role !== 'admin')) {
+      return sendError(res, 404, 'not_found', 'Order not found');
+    }
+    return res.json(order);
+  });
+
+  router.use((req, res) => sendError(res, 404, 'not_found', 'Resource not found'));
+
+  return router;
+}
+
+module.exports = { createApiRouter, serializeProduct, sendError };
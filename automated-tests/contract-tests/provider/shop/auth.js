@@ -0,0 +1,208 @@
+/**
+ * Shop Authentication
+ * Session cookies for the HTML pages, HS256 bearer tokens for the API,
+ * CSRF tokens for form posts and a failed-login rate limiter.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'shop_session';
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const base64url = (input) =>
+  Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const fromBase64url = (input) =>
+  Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+
+/**
+ * Minimal cookie header parser
+ * @param {string} header - Raw Cookie header
+ */
+function parseCookies(header = '') {
+  return header.split(';').reduce((acc, part) => {
+    const idx = part.indexOf('=');
+    if (idx <= 0) return acc;
+    try {
+      acc[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      // Malformed percent-encoding: ignore the cookie, as if it had not been sent
+    }
+    return acc;
+  }, {});
+}
+
+class TokenService {
+  constructor(secret = process.env.SHOP_JWT_SECRET || crypto.randomBytes(32).toString('hex')) {
+    this.secret = secret;
+  }
+
+  /**
+   * Sign a JWT (HS256) for a user
+   * @param {object} user - Shop user
+   */
+  sign(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(
+      JSON.stringify({ sub: user.id, role: user.role, iat: now, exp: now + TOKEN_TTL_SECONDS })
+    );
+    return `${header}.${payload}.${this.signature(`${header}.${payload}`)}`;
+  }
+
+  /**
+   * Verify a JWT and return its claims, or null when invalid or expired
+   * @param {string} token - Compact JWT
+   */
+  verify(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+    const expected = Buffer.from(this.signature(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    try {
+      const header = JSON.parse(fromBase64url(parts[0]));
+      const claims = JSON.parse(fromBase64url(parts[1]));
+      if (header.alg !== 'HS256') return null;
+      if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+      return claims;
+    } catch {
+      return null;
+    }
+  }
+
+  signature(data) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(data)
+      .digest('base64')
+      .replace(/=+$/, '')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_');
+  }
+}
+
+/**
+ * Fixed-window limiter for failed login attempts, keyed by client IP and account
+ */
+class LoginRateLimiter {
+  constructor(options = {}) {
+    this.maxAttempts =
+      options.maxAttempts || parseInt(process.env.SHOP_LOGIN_MAX_ATTEMPTS || '5', 10);
+    this.windowMs = options.windowMs || 60 * 1000;
+    this.attempts = new Map();
+  }
+
+  entry(key) {
+    const now = Date.now();
+    let entry = this.attempts.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + this.windowMs };
+      this.attempts.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Current limiter state for a key
+   */
+  status(key) {
+    const entry = this.entry(key);
+    return {
+      limited: entry.count >= this.maxAttempts,
+      limit: this.maxAttempts,
+      remaining: Math.max(0, this.maxAttempts - entry.count),
+      resetAt: entry.resetAt,
+      retryAfterSeconds: Math.max(1, Math.ceil((entry.resetAt - Date.now()) / 1000)),
+    };
+  }
+
+  recordFailure(key) {
+    this.entry(key).count++;
+  }
+
+  reset(key) {
+    this.attempts.delete(key);
+  }
+
+  /**
+   * Write the standard rate-limit headers for a key
+   */
+  applyHeaders(res, key) {
+    const status = this.status(key);
+    res.set('X-RateLimit-Limit', String(status.limit));
+    res.set('X-RateLimit-Remaining', String(status.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(status.resetAt / 1000)));
+    if (status.limited) res.set('Retry-After', String(status.retryAfterSeconds));
+    return status;
+  }
+}
+
+/**
+ * Session middleware: resolves `req.session` and `req.user` from the session cookie
+ * or a bearer token. Pages get a session cookie on first visit so guest carts work.
+ * @param {import('./store').ShopStore} store - Shop store
+ * @param {TokenService} tokens - Token service
+ */
+function sessionMiddleware(store, tokens) {
+  return (req, res, next) => {
+    const cookies = parseCookies(req.headers.cookie);
+    req.session = store.getSession(cookies[SESSION_COOKIE]);
+    req.user = req.session?.userId ? store.getUser(req.session.userId) : null;
+
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) {
+      const claims = tokens.verify(auth.slice(7));
+      req.user = claims ? store.getUser(claims.sub) : null;
+      req.tokenAuth = true;
+    }
+
+    req.startSession = () => {
+      if (!req.session) {
+        req.session = store.createSession();
+        setSessionCookie(req, res, req.session);
+      }
+      return req.session;
+    };
+
+    next();
+  };
+}
+
+function setSessionCookie(req, res, session) {
+  res.cookie(SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Reject form posts whose `_csrf` field does not match the session token
+ */
+function verifyCsrf(req) {
+  const token = req.body?._csrf;
+  if (!req.session || typeof token !== 'string') return false;
+  const expected = Buffer.from(req.session.csrfToken);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  TokenService,
+  LoginRateLimiter,
+  sessionMiddleware,
+  setSessionCookie,
+  clearSessionCookie,
+  verifyCsrf,
+  parseCookies,
+  SESSION_COOKIE,
+  TOKEN_TTL_SECONDS,
+};
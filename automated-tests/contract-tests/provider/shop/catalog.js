@@ -0,0 +1,182 @@
+/**
+ * Shop Catalog
+ * Builds the reference shop's product catalog from the shared test-data fixtures
+ * and implements search, filtering, sorting and pagination over it
+ */
+
+const path = require('path');
+
+const FIXTURES_DIR = path.resolve(__dirname, '../../../../test-data/fixtures');
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'price-low', label: 'Price: Low to High' },
+  { value: 'price-high', label: 'Price: High to Low' },
+  { value: 'name', label: 'Name' },
+  { value: 'rating', label: 'Customer Rating' },
+  { value: 'newest', label: 'Newest' },
+];
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Convert a display name into a URL-friendly slug
+ * @param {string} value - Display name
+ */
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Load catalog products from the fixtures so the shop and the specs share one source of truth.
+ * Numeric ids are assigned in fixture order; the fixture id is kept as `sku`.
+ */
+function loadProducts() {
+  const fixture = require(path.join(FIXTURES_DIR, 'products.json'));
+  const source = [...(fixture.featuredProducts || []), ...(fixture.outOfStockProducts || [])];
+
+  return source.map((product, index) => ({
+    id: index + 1,
+    sku: product.id,
+    name: product.name,
+    category: product.category,
+    categorySlug: slugify(product.category),
+    brand: product.brand || 'Generic',
+    price: product.price,
+    originalPrice: product.originalPrice || product.price,
+    rating: product.rating || 0,
+    reviewCount: product.reviewCount || 0,
+    inStock: product.inStock !== false && (product.stockQuantity ?? 1) > 0,
+    stockQuantity: product.stockQuantity ?? 0,
+    description: product.description || '',
+    features: product.features || [],
+    image: `/images/${product.id}.svg`,
+    // Later fixture entries are treated as newer listings
+    listedAt: new Date(Date.UTC(2024, 0, 1 + index)).toISOString(),
+  }));
+}
+
+class Catalog {
+  constructor(products = loadProducts()) {
+    this.products = products;
+  }
+
+  /**
+   * Find a product by numeric id or fixture sku
+   * @param {string|number} idOrSku - Product id (e.g. 1) or sku (e.g. prod001)
+   */
+  findProduct(idOrSku) {
+    const key = String(idOrSku);
+    return this.products.find((p) => String(p.id) === key || p.sku === key) || null;
+  }
+
+  /**
+   * List distinct categories with their slugs
+   */
+  getCategories() {
+    const seen = new Map();
+    this.products.forEach((p) => seen.set(p.categorySlug, p.category));
+    return [...seen.entries()].map(([slug, name]) => ({ slug, name }));
+  }
+
+  /**
+   * List distinct brands
+   */
+  getBrands() {
+    return [...new Set(this.products.map((p) => p.brand))].sort();
+  }
+
+  /**
+   * Query the catalog
+   * @param {object} query - Query options
+   * @param {string} query.search - Free-text search across name, description, brand and features
+   * @param {string} query.category - Category name or slug
+   * @param {string|string[]} query.brand - One or more brands
+   * @param {number} query.minPrice - Minimum price (inclusive)
+   * @param {number} query.maxPrice - Maximum price (inclusive)
+   * @param {number} query.rating - Minimum rating (inclusive)
+   * @param {boolean} query.inStock - Only products that can be purchased
+   * @param {string} query.sort - One of SORT_OPTIONS values
+   * @param {number} query.page - 1-based page number
+   * @param {number} query.pageSize - Items per page
+   */
+  query(query = {}) {
+    let results = [...this.products];
+
+    const search = String(query.search || '')
+      .trim()
+      .toLowerCase();
+    if (search) {
+      results = results.filter((p) =>
+        [p.name, p.description, p.brand, p.category, ...p.features]
+          .join(' ')
+          .toLowerCase()
+          .includes(search)
+      );
+    }
+
+    if (query.category) {
+      const category = slugify(query.category);
+      results = results.filter((p) => p.categorySlug === category);
+    }
+
+    const brands = [].concat(query.brand || []).filter(Boolean);
+    if (brands.length > 0) {
+      results = results.filter((p) => brands.includes(p.brand));
+    }
+
+    const minPrice = toNumber(query.minPrice);
+    const maxPrice = toNumber(query.maxPrice);
+    if (minPrice !== null) results = results.filter((p) => p.price >= minPrice);
+    if (maxPrice !== null) results = results.filter((p) => p.price <= maxPrice);
+
+    const rating = toNumber(query.rating);
+    if (rating !== null) results = results.filter((p) => p.rating >= rating);
+
+    if (query.inStock) results = results.filter((p) => p.inStock);
+
+    results = sortProducts(results, query.sort);
+
+    const total = results.length;
+    const pageSize = clamp(toNumber(query.pageSize) || DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+    const page = clamp(toNumber(query.page) || 1, 1, totalPages);
+    const items = results.slice((page - 1) * pageSize, page * pageSize);
+
+    return { items, total, page, pageSize, totalPages };
+  }
+}
+
+function sortProducts(products, sort) {
+  const sorted = [...products];
+  switch (sort) {
+    case 'price-low':
+      return sorted.sort((a, b) => a.price - b.price);
+    case 'price-high':
+      return sorted.sort((a, b) => b.price - a.price);
+    case 'name':
+      return sorted.sort((a, b) => a.name.localeCompare(b.name));
+    case 'rating':
+      return sorted.sort((a, b) => b.rating - a.rating);
+    case 'newest':
+      return sorted.sort((a, b) => b.listedAt.localeCompare(a.listedAt));
+    default:
+      return sorted;
+  }
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(Math.floor(value), min), max);
+}
+
+module.exports = { Catalog, SORT_OPTIONS, DEFAULT_PAGE_SIZE, slugify, loadProducts, FIXTURES_DIR };
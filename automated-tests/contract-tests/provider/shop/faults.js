@@ -0,0 +1,301 @@
+/**
+ * Shop Fault Injection
+ * Per-route faults (latency, 5xx, timeouts, malformed JSON, dropped connections and rate
+ * limiting) armed through the /__admin control plane so error paths can be tested on demand.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const views = require('./views');
+
+const FAULT_TYPES = ['latency', 'error', 'timeout', 'malformed-json', 'drop', 'rate-limit'];
+const SCOPE_HEADER = 'x-fault-scope';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Forms whose errors the shop shows next to the field instead of at the top of the page
+const FORM_FLASH_SCOPES = [{ pattern: /\/promo$/, scope: 'promo' }];
+
+/**
+ * Convert a route pattern into a RegExp. `*` matches any run of characters,
+ * so `/api/cart*` covers `/api/cart` and `/api/cart/items/1`.
+ * @param {string} pattern - Route pattern
+ */
+function routeToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+class FaultInjector {
+  constructor() {
+    this.faults = new Map();
+    this.pending = new Set();
+  }
+
+  /**
+   * Validate and arm a fault
+   * @param {object} spec - Fault specification
+   * @param {string} spec.route - Path pattern (`*` wildcard)
+   * @param {string} spec.type - One of FAULT_TYPES
+   * @param {string} spec.method - HTTP method or `*` (default)
+   * @param {number} spec.status - Status for `error` faults (default 503)
+   * @param {number} spec.delayMs - Delay for `latency`, hold time for `timeout`
+   * @param {number} spec.retryAfter - Retry-After seconds for `rate-limit` (default 60)
+   * @param {number} spec.probability - Chance the fault fires per request, 0-1 (default 1)
+   * @param {number} spec.times - Fire at most this many times, then disarm
+   * @param {string} spec.scope - Only match requests carrying this X-Fault-Scope header
+   * @returns {{fault?: object, error?: string}}
+   */
+  arm(spec = {}) {
+    const error = validateSpec(spec);
+    if (error) return { error };
+
+    const fault = {
+      id: crypto.randomBytes(6).toString('hex'),
+      route: spec.route,
+      method: String(spec.method || '*').toUpperCase(),
+      type: spec.type,
+      status: spec.type === 'error' ? Number(spec.status || 503) : undefined,
+      delayMs: spec.delayMs !== undefined ? Number(spec.delayMs) : undefined,
+      retryAfter: spec.type === 'rate-limit' ? Number(spec.retryAfter || 60) : undefined,
+      probability: spec.probability !== undefined ? Number(spec.probability) : 1,
+      remaining: spec.times !== undefined ? Number(spec.times) : null,
+      scope: spec.scope || null,
+      hits: 0,
+      createdAt: new Date().toISOString(),
+    };
+    fault.pattern = routeToRegExp(fault.route);
+    this.faults.set(fault.id, fault);
+    return { fault };
+  }
+
+  /**
+   * Disarm one fault and release the requests it holds. A `times` fault that has already
+   * disarmed itself may still be holding requests, so those are released too.
+   * @param {string} id - Fault id
+   * @returns {boolean} Whether the fault was armed or still holding requests
+   */
+  disarm(id) {
+    const held = [...this.pending].filter((entry) => entry.id === id);
+    held.forEach((entry) => this.release(entry));
+    return this.faults.delete(id) || held.length > 0;
+  }
+
+  /**
+   * Disarm every fault (or only those for one scope) and release the requests they hold:
+   * delayed requests continue, timed-out ones have their connection closed right away
+   * @param {string} scope - Optional scope filter
+   */
+  clear(scope) {
+    [...this.faults.values()]
+      .filter((f) => !scope || f.scope === scope)
+      .forEach((f) => this.faults.delete(f.id));
+    [...this.pending]
+      .filter((entry) => !scope || entry.scope === scope)
+      .forEach((entry) => this.release(entry));
+  }
+
+  list() {
+    return [...this.faults.values()].map(toJSON);
+  }
+
+  /**
+   * Find the first armed fault matching a request
+   */
+  match(req) {
+    const scope = req.headers[SCOPE_HEADER] || null;
+    for (const fault of this.faults.values()) {
+      if (fault.scope && fault.scope !== scope) continue;
+      if (fault.method !== '*' && fault.method !== req.method) continue;
+      if (!fault.pattern.test(req.path)) continue;
+      if (fault.probability < 1 && Math.random() >= fault.probability) continue;
+      return fault;
+    }
+    return null;
+  }
+
+  /**
+   * Express middleware applying armed faults
+   */
+  middleware() {
+    return (req, res, next) => {
+      const fault = this.match(req);
+      if (!fault) return next();
+
+      fault.hits++;
+      if (fault.remaining !== null && --fault.remaining <= 0) this.faults.delete(fault.id);
+      res.set('X-Injected-Fault', fault.type);
+
+      switch (fault.type) {
+        case 'latency':
+          return this.hold(req, fault, fault.delayMs || 0, () => next());
+        case 'timeout':
+          return this.hold(req, fault, fault.delayMs || DEFAULT_TIMEOUT_MS, () =>
+            req.socket.destroy()
+          );
+        case 'drop':
+          return req.socket.destroy();
+        case 'malformed-json':
+          return res.status(200).type('application/json').send('{"items": [{"id": 1, "name": ');
+        case 'rate-limit':
+          res.set('Retry-After', String(fault.retryAfter));
+          res.set('X-RateLimit-Limit', '0');
+          res.set('X-RateLimit-Remaining', '0');
+          return sendFault(req, res, 429, 'too_many_requests', 'Too many requests, slow down');
+        default:
+          return sendFault(
+            req,
+            res,
+            fault.status,
+            'injected_fault',
+            'The service is temporarily unavailable'
+          );
+      }
+    };
+  }
+
+  /**
+   * Hold a request for `ms`, then finish it with `done` (also called when the fault is cleared)
+   */
+  hold(req, fault, ms, done) {
+    const entry = { id: fault.id, scope: fault.scope, timer: null, done };
+    entry.timer = setTimeout(() => this.release(entry), ms);
+    this.pending.add(entry);
+    req.socket.once('close', () => {
+      clearTimeout(entry.timer);
+      this.pending.delete(entry);
+    });
+  }
+
+  release(entry) {
+    if (!this.pending.delete(entry)) return;
+    clearTimeout(entry.timer);
+    entry.done();
+  }
+}
+
+function validateSpec(spec) {
+  if (typeof spec.route !== 'string' || !spec.route.startsWith('/')) {
+    return 'route must be a path starting with "/"';
+  }
+  if (spec.route.startsWith('/__admin')) return 'The admin API cannot be faulted';
+  if (!FAULT_TYPES.includes(spec.type)) return `type must be one of: ${FAULT_TYPES.join(', ')}`;
+  if (spec.type === 'error') {
+    const status = Number(spec.status || 503);
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+      return 'status must be an HTTP error status (400-599)';
+    }
+  }
+  if (spec.delayMs !== undefined) {
+    const delay = Number(spec.delayMs);
+    if (!Number.isFinite(delay) || delay < 0 || delay > MAX_DELAY_MS) {
+      return `delayMs must be between 0 and ${MAX_DELAY_MS}`;
+    }
+  }
+  if (spec.probability !== undefined) {
+    const p = Number(spec.probability);
+    if (!Number.isFinite(p) || p <= 0 || p > 1) return 'probability must be in (0, 1]';
+  }
+  if (spec.times !== undefined) {
+    const times = Number(spec.times);
+    if (!Number.isInteger(times) || times < 1) return 'times must be a positive integer';
+  }
+  return null;
+}
+
+function toJSON(fault) {
+  const { pattern, ...rest } = fault;
+  return rest;
+}
+
+function sendFault(req, res, status, error, message) {
+  if (req.path.startsWith('/api') || !req.accepts('html')) {
+    return res.status(status).json({ error, message });
+  }
+  // A failed form post goes back to its form with the error, like the shop's own form errors
+  const referer = formReferer(req);
+  if (referer) {
+    const scope = FORM_FLASH_SCOPES.find(({ pattern }) => pattern.test(req.path))?.scope;
+    req.session.flash = { type: 'error', message, scope };
+    return res.redirect(303, referer);
+  }
+  const ctx = { user: null, csrfToken: '', flash: { type: 'error', message } };
+  return res
+    .status(status)
+    .send(views.errorPage(ctx, { status, title: 'Something went wrong', message }));
+}
+
+/**
+ * Same-origin page a browser form was posted from
+ * @returns {string|null} Path and query of the Referer
+ */
+function formReferer(req) {
+  if (req.method !== 'POST' || !req.session || !req.is('application/x-www-form-urlencoded')) {
+    return null;
+  }
+  try {
+    const referer = new URL(req.get('Referer') || '');
+    return referer.host === req.get('Host') ? `${referer.pathname}${referer.search}` : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Admin access: loopback clients only, plus the X-Admin-Token header when
+ * SHOP_ADMIN_TOKEN is set
+ */
+function adminGuard(req, res, next) {
+  const token = process.env.SHOP_ADMIN_TOKEN;
+  const loopback = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+  if (!loopback && !token) {
+    return res.status(403).json({ error: 'forbidden', message: 'Admin API is loopback-only' });
+  }
+  if (token && req.get('X-Admin-Token') !== token) {
+    return res.status(401).json({ error: 'unauthorized', message: 'Invalid admin token' });
+  }
+  return next();
+}
+
+/**
+ * Build the /__admin control-plane router
+ * @param {object} deps - { faults, store, limiter }
+ */
+function createAdminRouter({ faults, store, limiter }) {
+  const router = express.Router();
+  router.use(adminGuard);
+
+  router.get('/faults', (req, res) => {
+    res.json(faults.list());
+  });
+
+  router.post('/faults', (req, res) => {
+    const { fault, error } = faults.arm(req.body || {});
+    if (error) return res.status(400).json({ error: 'bad_request', message: error });
+    return res.status(201).json(toJSON(fault));
+  });
+
+  router.delete('/faults/:id', (req, res) => {
+    if (!faults.disarm(req.params.id)) {
+      return res.status(404).json({ error: 'not_found', message: 'Fault not found' });
+    }
+    return res.status(204).end();
+  });
+
+  router.delete('/faults', (req, res) => {
+    faults.clear(req.query.scope);
+    res.status(204).end();
+  });
+
+  // Restore seeded data, clear faults and login throttling between suites
+  router.post('/reset', (req, res) => {
+    store.reset();
+    faults.clear();
+    limiter.attempts.clear();
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { FaultInjector, createAdminRouter, routeToRegExp, FAULT_TYPES, SCOPE_HEADER };
@@ -0,0 +1,483 @@
+/**
+ * Shop Pages
+ * HTML routes for the reference shop. Every mutation is a form POST protected by the
+ * session CSRF token and followed by a redirect, so pages work without JavaScript.
+ */
+
+const express = require('express');
+const views = require('./views');
+const { verifyCsrf, setSessionCookie, clearSessionCookie } = require('./auth');
+
+const INFO_PAGES = {
+  '/about': {
+    title: 'About Us',
+    paragraphs: [
+      'The QA Reference Shop is a self-hosted store used by this framework to run UI, API, security and load tests without depending on a public demo site.',
+    ],
+  },
+  '/contact': {
+    title: 'Contact Us',
+    paragraphs: ['Email support@qa-reference-shop.test or call +1 (555) 010-0000.'],
+  },
+  '/terms': {
+    title: 'Terms and Conditions',
+    paragraphs: ['Orders placed in the reference shop are simulated and never fulfilled.'],
+  },
+  '/privacy': {
+    title: 'Privacy Policy',
+    paragraphs: ['All data is held in memory and discarded when the server stops.'],
+  },
+  '/forgot-password': {
+    title: 'Forgot Your Password?',
+    paragraphs: ['Password reset emails are not sent by the reference shop.'],
+  },
+};
+
+/**
+ * Only allow same-origin relative redirect targets
+ * @param {string} target - Requested redirect path
+ * @param {string} fallback - Path used when the target is unsafe
+ */
+function safeRedirect(target, fallback) {
+  const value = String(target || '');
+  return value.startsWith('/') && !value.startsWith('//') && !value.startsWith('/\\')
+    ? value
+    : fallback;
+}
+
+const isChecked = (value) => value === 'on' || value === 'true' || value === true;
+
+/**
+ * Build the HTML page router
+ * @param {object} deps - { store, limiter }
+ */
+function createPageRouter({ store, limiter }) {
+  const router = express.Router();
+
+  const setFlash = (req, type, message, scope) => {
+    req.session.flash = { type, message, scope };
+  };
+
+  const viewContext = (req) => {
+    const flash = req.session.flash;
+    delete req.session.flash;
+    return {
+      user: req.user,
+      csrfToken: req.session.csrfToken,
+      flash,
+      cartCount: store.priceCart(store.getCart(req.session)).itemCount,
+      currentUrl: req.originalUrl,
+    };
+  };
+
+  const renderError = (req, res, status, title, message) =>
+    res.status(status).send(views.errorPage(viewContext(req), { status, title, message }));
+
+  const requireLogin = (req, res, next) => {
+    if (req.user) return next();
+    return res.redirect(`/login?redirect=${encodeURIComponent(req.originalUrl)}`);
+  };
+
+  const signIn = (req, res, user) => {
+    req.session = store.signIn(req.session, user);
+    req.user = user;
+    setSessionCookie(req, res, req.session);
+  };
+
+  // Every page visit gets a session so guest carts and CSRF tokens work
+  router.use((req, res, next) => {
+    req.startSession();
+    next();
+  });
+
+  // The quick sign-in form on the home page mirrors the legacy demo-site login the k6
+  // scenarios post to, which has no CSRF token
+  router.use((req, res, next) => {
+    if (req.method !== 'POST' || req.path === '/') return next();
+    if (!verifyCsrf(req)) {
+      return renderError(
+        req,
+        res,
+        403,
+        'Forbidden',
+        'Your session has expired. Please reload the page and try again.'
+      );
+    }
+    return next();
+  });
+
+  // --- Home & catalog -----------------------------------------------------------
+
+  router.get('/', (req, res) => {
+    const featured = store.catalog.products.filter((p) => p.inStock).slice(0, 4);
+    res.send(views.homePage(viewContext(req), { featured }));
+  });
+
+  router.post('/', (req, res) => {
+    const username = String(req.body['user-name'] || '').trim();
+    const email = username.includes('@') ? username : `${username}@example.com`;
+    const user = store.authenticate(email, req.body.password);
+    if (!user) {
+      setFlash(req, 'error', 'Username and password do not match any user');
+      return res.status(401).send(views.homePage(viewContext(req), { featured: [] }));
+    }
+    signIn(req, res, user);
+    return res.redirect('/inventory.html');
+  });
+
+  const catalog = (req, res) => {
+    const query = {
+      search: req.query.search || req.query.q || '',
+      category: req.query.category || '',
+      brand: req.query.brand || [],
+      minPrice: req.query.minPrice || '',
+      maxPrice: req.query.maxPrice || '',
+      rating: req.query.rating || '',
+      sort: req.query.sort || '',
+      page: req.query.page || '',
+      pageSize: req.query.pageSize || '',
+    };
+    const result = store.catalog.query(query);
+    res.send(
+      views.catalogPage(viewContext(req), {
+        result,
+        query,
+        categories: store.catalog.getCategories(),
+        brands: store.catalog.getBrands(),
+      })
+    );
+  };
+
+  router.get(['/products', '/inventory.html'], catalog);
+
+  router.get('/categories', (req, res) => {
+    res.send(views.categoriesPage(viewContext(req), { categories: store.catalog.getCategories() }));
+  });
+
+  const productDetail = (id) => (req, res) => {
+    const product = store.catalog.findProduct(id(req));
+    if (!product) {
+      return renderError(req, res, 404, 'Product Not Found', 'We could not find that product.');
+    }
+    return res.send(
+      views.productPage(viewContext(req), {
+        product,
+        reviews: store.getReviews(product.id),
+        available: product.inStock ? (store.stock.get(product.id) ?? 0) : 0,
+      })
+    );
+  };
+
+  router.get(
+    '/products/:id',
+    productDetail((req) => req.params.id)
+  );
+  router.get(
+    '/inventory-item.html',
+    productDetail((req) => req.query.id)
+  );
+
+  router.post('/products/:id/reviews', (req, res) => {
+    const product = store.catalog.findProduct(req.params.id);
+    if (!product) {
+      return renderError(req, res, 404, 'Product Not Found', 'We could not find that product.');
+    }
+    const author = req.user ? `${req.user.firstName} ${req.user.lastName}`.trim() : 'Guest';
+    const result = store.addReview(product.id, author, req.body.review);
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Thank you for your review');
+    return res.redirect(`/products/${product.id}`);
+  });
+
+  router.get('/images/:file', (req, res) => {
+    const sku = req.params.file.replace(/\.svg$/, '');
+    const product = store.catalog.findProduct(sku);
+    if (!product) return res.status(404).end();
+    res.type('image/svg+xml');
+    res.set('Cache-Control', 'public, max-age=86400');
+    return res.send(views.placeholderImage(product.name, product.sku));
+  });
+
+  // --- Account ------------------------------------------------------------------
+
+  router.get(['/login', '/customer/account/login'], (req, res) => {
+    if (req.user) return res.redirect('/profile');
+    return res.send(
+      views.loginPage(viewContext(req), { redirect: safeRedirect(req.query.redirect, '') })
+    );
+  });
+
+  router.post(['/login', '/customer/account/login'], (req, res) => {
+    const email = String(req.body.email || '').trim();
+    const password = req.body.password || '';
+    const redirect = safeRedirect(req.body.redirect, '');
+    const values = { email, rememberMe: isChecked(req.body.rememberMe) };
+    const render = (status, data) =>
+      res.status(status).send(views.loginPage(viewContext(req), { values, redirect, ...data }));
+
+    const key = `${req.ip}|${email.toLowerCase()}`;
+    if (limiter.applyHeaders(res, key).limited) {
+      return render(429, { error: 'Too many attempts. Please wait a minute and try again.' });
+    }
+
+    const errors = {};
+    if (!email) errors.email = 'Email is required';
+    else if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) errors.email = 'Invalid email format';
+    if (!password) errors.password = 'Password is required';
+    if (Object.keys(errors).length > 0) return render(400, { errors });
+
+    const user = store.authenticate(email, password);
+    if (!user) {
+      limiter.recordFailure(key);
+      if (limiter.applyHeaders(res, key).limited) {
+        return render(429, { error: 'Too many attempts. Please wait a minute and try again.' });
+      }
+      return render(401, { error: 'Invalid email or password' });
+    }
+
+    limiter.reset(key);
+    signIn(req, res, user);
+    return res.redirect(redirect || '/profile');
+  });
+
+  router.get('/logout', (req, res) => {
+    store.signOut(req.session);
+    clearSessionCookie(res);
+    res.redirect('/login');
+  });
+
+  router.get('/register', (req, res) => {
+    if (req.user) return res.redirect('/profile');
+    return res.send(views.registerPage(viewContext(req), {}));
+  });
+
+  router.post('/register', (req, res) => {
+    const values = {
+      firstName: req.body.firstName,
+      lastName: req.body.lastName,
+      email: req.body.email,
+      phone: req.body.phone,
+      dateOfBirth: req.body.dateOfBirth,
+      terms: isChecked(req.body.terms),
+      newsletter: isChecked(req.body.newsletter),
+    };
+    const result = store.registerUser({
+      ...values,
+      password: req.body.password,
+      confirmPassword: req.body.confirmPassword ?? '',
+      requireTerms: true,
+    });
+
+    if (result.errors) {
+      return res
+        .status(422)
+        .send(views.registerPage(viewContext(req), { values, errors: result.errors }));
+    }
+    if (result.error) {
+      return res.status(409).send(
+        views.registerPage(viewContext(req), {
+          values,
+          errors: { email: 'An account with this email already exists' },
+        })
+      );
+    }
+
+    signIn(req, res, result.user);
+    return res.redirect('/profile?registered=1');
+  });
+
+  router.get('/profile', requireLogin, (req, res) => {
+    res.send(
+      views.profilePage(viewContext(req), {
+        user: req.user,
+        orders: store.getOrdersForUser(req.user.id),
+        wishlist: store.getWishlist(req.session),
+        registered: req.query.registered === '1',
+      })
+    );
+  });
+
+  // --- Cart ---------------------------------------------------------------------
+
+  const renderCart = (req, res) => {
+    const cart = store.getCart(req.session);
+    const saved = cart.saved
+      .map((item) => ({ ...item, product: store.catalog.findProduct(item.productId) }))
+      .filter((item) => item.product);
+    res.send(views.cartPage(viewContext(req), { pricing: store.priceCart(cart), cart, saved }));
+  };
+
+  router.get(['/cart', '/cart.html'], renderCart);
+
+  router.post('/cart/add', (req, res) => {
+    const quantity = Number(req.body.quantity || 1);
+    const result = store.addToCart(req.session, req.body.productId, quantity);
+    if (result.error) {
+      setFlash(req, 'error', result.error);
+    } else {
+      const product = store.catalog.findProduct(req.body.productId);
+      setFlash(req, 'success', `${product.name} added to your cart`);
+    }
+    res.redirect(safeRedirect(req.body.redirect, '/cart'));
+  });
+
+  router.post('/wishlist/add', (req, res) => {
+    const result = store.addToWishlist(req.session, req.body.productId);
+    setFlash(
+      req,
+      result.error ? 'error' : 'success',
+      result.error || `${result.product.name} added to your wishlist`
+    );
+    res.redirect(safeRedirect(req.body.redirect, '/products'));
+  });
+
+  router.post('/cart/items', (req, res) => {
+    const { productId, action } = req.body;
+    const cart = store.getCart(req.session);
+    const line = cart.items.find((i) => String(i.productId) === String(productId));
+    let result;
+
+    switch (action) {
+      case 'increase':
+        result = store.updateCartItem(req.session, productId, (line?.quantity || 0) + 1);
+        break;
+      case 'decrease':
+        result = store.updateCartItem(
+          req.session,
+          productId,
+          Math.max(0, (line?.quantity || 0) - 1)
+        );
+        break;
+      case 'remove':
+        result = store.removeCartItem(req.session, productId);
+        break;
+      case 'save-for-later':
+        result = store.saveForLater(req.session, productId);
+        break;
+      case 'move-to-wishlist':
+        result = store.moveToWishlist(req.session, productId);
+        break;
+      case 'move-to-cart':
+        result = store.moveToCart(req.session, productId);
+        break;
+      default: {
+        const quantity = Number(req.body.quantity);
+        result =
+          Number.isInteger(quantity) && quantity >= 0
+            ? store.updateCartItem(req.session, productId, quantity)
+            : { error: 'Quantity must be a whole number' };
+      }
+    }
+
+    if (result.error) setFlash(req, 'error', result.error);
+    else setFlash(req, 'success', 'Your cart has been updated');
+    res.redirect('/cart');
+  });
+
+  router.post('/cart/shipping', (req, res) => {
+    const result = store.setShippingMethod(req.session, req.body.shippingMethod);
+    if (result.error) setFlash(req, 'error', result.error);
+    res.redirect('/cart');
+  });
+
+  router.post('/cart/promo', (req, res) => {
+    const result = store.applyPromoCode(req.session, req.body.code);
+    if (result.error) setFlash(req, 'error', result.error, 'promo');
+    else setFlash(req, 'success', `Promo code ${result.promo.code} applied`, 'promo');
+    res.redirect('/cart');
+  });
+
+  router.post('/cart/promo/remove', (req, res) => {
+    store.removePromoCode(req.session);
+    res.redirect('/cart');
+  });
+
+  router.post('/cart/clear', (req, res) => {
+    store.clearCart(req.session);
+    setFlash(req, 'success', 'Your cart has been cleared');
+    res.redirect('/cart');
+  });
+
+  // --- Checkout -----------------------------------------------------------------
+
+  const checkoutValues = (body) => ({
+    email: body.email,
+    shippingAddress: body.shipping || {},
+    billingAddress: body.billing || {},
+    sameAsShipping: isChecked(body.sameAsShipping),
+    shippingMethod: body.shippingMethod,
+    paymentMethod: body.paymentMethod || 'credit-card',
+    payment: body.payment || {},
+  });
+
+  const renderCheckout = (req, res, status, data = {}) => {
+    const ctx = viewContext(req);
+    if (data.flash) ctx.flash = data.flash;
+    res
+      .status(status)
+      .send(
+        views.checkoutPage(ctx, { pricing: store.priceCart(store.getCart(req.session)), ...data })
+      );
+  };
+
+  router.get(['/checkout', '/checkout-step-one.html'], (req, res) => {
+    if (store.getCart(req.session).items.length === 0) {
+      setFlash(req, 'error', 'Your cart is empty');
+      return res.redirect('/cart');
+    }
+    return renderCheckout(req, res, 200);
+  });
+
+  router.post('/checkout/promo', (req, res) => {
+    const values = checkoutValues(req.body);
+    const result = store.applyPromoCode(req.session, req.body.code);
+    const flash = result.error
+      ? { type: 'error', message: result.error, scope: 'promo' }
+      : { type: 'success', message: `Promo code ${result.promo.code} applied`, scope: 'promo' };
+    renderCheckout(req, res, result.error ? 422 : 200, { values, flash, showAllSteps: true });
+  });
+
+  router.post('/checkout', (req, res) => {
+    const values = checkoutValues(req.body);
+    const result = store.placeOrder(req.session, values);
+
+    if (result.errors) {
+      return renderCheckout(req, res, 422, { values, errors: result.errors, showAllSteps: true });
+    }
+    if (result.error) {
+      if (store.getCart(req.session).items.length === 0) {
+        setFlash(req, 'error', result.error);
+        return res.redirect('/cart');
+      }
+      return renderCheckout(req, res, 402, { values, error: result.error, showAllSteps: true });
+    }
+
+    req.session.orders = [...(req.session.orders || []), result.order.orderNumber];
+    return res.redirect(`/checkout/confirmation/${result.order.orderNumber}`);
+  });
+
+  router.get('/checkout/confirmation/:orderNumber', (req, res) => {
+    const order = store.findOrder(req.params.orderNumber);
+    const owns =
+      order &&
+      ((req.user && order.userId === req.user.id) ||
+        (req.session.orders || []).includes(order.orderNumber));
+    if (!owns) {
+      return renderError(req, res, 404, 'Order Not Found', 'We could not find that order.');
+    }
+    return res.send(views.confirmationPage(viewContext(req), { order }));
+  });
+
+  // --- Static information pages -------------------------------------------------
+
+  Object.entries(INFO_PAGES).forEach(([route, page]) => {
+    router.get(route, (req, res) => res.send(views.infoPage(viewContext(req), page)));
+  });
+
+  router.use((req, res) =>
+    renderError(req, res, 404, 'Page Not Found', 'The page you requested does not exist.')
+  );
+
+  return router;
+}
+
+module.exports = { createPageRouter, safeRedirect };
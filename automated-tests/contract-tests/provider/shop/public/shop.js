@@ -0,0 +1,126 @@
+/**
+ * Reference shop progressive enhancements. Every page also works without this script.
+ */
+(function () {
+  'use strict';
+
+  const $ = (selector, root = document) => root.querySelector(selector);
+  const $$ = (selector, root = document) => Array.from(root.querySelectorAll(selector));
+
+  // Filters, sort and shipping radios submit their form as soon as they change
+  $$('[data-autosubmit]').forEach((control) => {
+    control.addEventListener('change', () => control.form && control.form.requestSubmit());
+  });
+
+  // Mobile menu
+  const menu = $('[data-testid="mobile-menu"]');
+  const menuButton = $('[data-testid="mobile-menu-button"]');
+  if (menu && menuButton) {
+    const setOpen = (open) => {
+      menu.hidden = !open;
+      menuButton.setAttribute('aria-expanded', String(open));
+    };
+    menuButton.addEventListener('click', () => setOpen(menu.hidden));
+    $('[data-testid="mobile-menu-close"]').addEventListener('click', () => setOpen(false));
+  }
+
+  // Grid / list toggle
+  $$('[data-view-toggle]').forEach((button) => {
+    button.addEventListener('click', () => {
+      const grid = $('[data-testid="product-grid"]');
+      if (grid) grid.dataset.view = button.dataset.viewToggle;
+      $$('[data-view-toggle]').forEach((b) => b.setAttribute('aria-pressed', String(b === button)));
+    });
+  });
+
+  // Quick view modal
+  const modal = $('[data-testid="quick-view-modal"]');
+  if (modal) {
+    $$('[data-quick-view]').forEach((button) => {
+      button.addEventListener('click', () => {
+        const product = JSON.parse(button.dataset.quickView);
+        $('[data-testid="quick-view-name"]', modal).textContent = product.name;
+        $('[data-testid="quick-view-price"]', modal).textContent = product.price;
+        $('[data-quick-view-product]', modal).value = product.id;
+        modal.hidden = false;
+        $('[data-testid="quick-view-close"]', modal).focus();
+      });
+    });
+    $('[data-testid="quick-view-close"]', modal).addEventListener('click', () => {
+      modal.hidden = true;
+    });
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') modal.hidden = true;
+    });
+  }
+
+  // Password strength meter
+  const password = $('#register-password');
+  const strength = $('[data-testid="password-strength"]');
+  if (password && strength) {
+    password.addEventListener('input', () => {
+      const value = password.value;
+      const score = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((re) => re.test(value)).length;
+      let label = 'Weak';
+      if (value.length >= 8 && score === 4) label = 'Strong';
+      else if (value.length >= 8 && score >= 3) label = 'Medium';
+      strength.textContent = value ? `Password strength: ${label}` : '';
+      strength.dataset.strength = value ? label.toLowerCase() : '';
+    });
+  }
+
+  // Checkout wizard: sections are revealed one step at a time
+  const checkout = $('[data-testid="checkout-container"]');
+  if (checkout) {
+    const sections = $$('section[data-step]', checkout);
+    const continueButton = $('[data-checkout-continue]', checkout);
+    const backButton = $('[data-checkout-back]', checkout);
+    const placeOrder = $('[data-testid="place-order-button"]', checkout);
+    const currentStep = $('[data-testid="current-step"]', checkout);
+    const indicators = $$('[data-testid="step-indicator"]', checkout);
+    let step = checkout.dataset.allSteps === 'true' ? sections.length - 1 : 0;
+
+    const render = () => {
+      sections.forEach((section, index) => {
+        section.hidden = index > step;
+      });
+      const last = step === sections.length - 1;
+      continueButton.hidden = last;
+      placeOrder.hidden = !last;
+      const name = sections[step].dataset.step;
+      indicators.forEach((li) => {
+        if (li.dataset.step === name) li.setAttribute('aria-current', 'step');
+        else li.removeAttribute('aria-current');
+      });
+      if (currentStep) currentStep.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+    };
+
+    continueButton.addEventListener('click', () => {
+      step = Math.min(step + 1, sections.length - 1);
+      render();
+    });
+    backButton.addEventListener('click', () => {
+      if (step === 0) {
+        window.location.href = '/cart';
+        return;
+      }
+      step -= 1;
+      render();
+    });
+
+    const sameAsShipping = $('[data-testid="same-as-shipping"]', checkout);
+    const billingFields = $('[data-billing-fields]', checkout);
+    sameAsShipping.addEventListener('change', () => {
+      billingFields.hidden = sameAsShipping.checked;
+    });
+
+    const cardFields = $('[data-card-fields]', checkout);
+    $$('input[name="paymentMethod"]', checkout).forEach((radio) => {
+      radio.addEventListener('change', () => {
+        cardFields.hidden = radio.value === 'paypal' && radio.checked;
+      });
+    });
+
+    render();
+  }
+})();
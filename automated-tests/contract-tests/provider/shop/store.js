@@ -0,0 +1,742 @@
+/**
+ * Shop Store
+ * In-memory state for the reference shop: users, sessions, carts, promo codes and orders.
+ * All business rules (pricing, stock limits, validation messages) live here so the HTML
+ * pages and the JSON API behave identically.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Catalog, FIXTURES_DIR } = require('./catalog');
+
+const TAX_RATE = 0.08;
+const FREE_SHIPPING_THRESHOLD = 100;
+const MAX_QUANTITY_PER_ITEM = 10;
+
+const SHIPPING_METHODS = [
+  { id: 'standard', name: 'Standard Shipping', cost: 9.99, estimatedDays: '5-7 business days' },
+  { id: 'express', name: 'Express Shipping', cost: 19.99, estimatedDays: '2-3 business days' },
+  { id: 'overnight', name: 'Overnight Shipping', cost: 39.99, estimatedDays: '1 business day' },
+];
+
+const PROMO_CODES = {
+  SAVE10: { type: 'percent', value: 10, description: '10% off your order' },
+  WELCOME5: { type: 'fixed', value: 5, minSubtotal: 25, description: '$5 off orders over $25' },
+  FREESHIP: { type: 'shipping', value: 0, description: 'Free shipping' },
+  SUMMER2020: { type: 'percent', value: 20, expiresAt: '2020-09-01T00:00:00Z' },
+};
+
+// Card numbers with a scripted payment outcome (mirrors test-data/fixtures/checkout.json)
+const PAYMENT_OUTCOMES = {
+  4000000000000002: 'Your card was declined',
+  4000000000009995: 'Insufficient funds',
+};
+
+const DEMO_USERS = [
+  {
+    id: 'demo001',
+    firstName: 'Test',
+    lastName: 'User',
+    email: 'test@example.com',
+    password: 'password123',
+  },
+  {
+    id: 'staff001',
+    firstName: 'Store',
+    lastName: 'Manager',
+    email: 'store.manager@example.com',
+    password: 'ManagerPass123!',
+    role: 'admin',
+  },
+  // Accounts used by the k6 scenarios, which sign in with a bare username
+  ...['standard_user', 'problem_user', 'performance_glitch_user'].map((username) => ({
+    id: username,
+    firstName: 'Load',
+    lastName: 'Tester',
+    email: `${username}@example.com`,
+    password: 'secret_sauce',
+  })),
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]{7,20}$/;
+const US_ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+const NAME_MAX_LENGTH = 50;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const emptyCart = () => ({
+  items: [],
+  saved: [],
+  wishlist: [],
+  promoCode: null,
+  shippingMethod: 'standard',
+});
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 32).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(':');
+  const candidate = hashPassword(password, salt).split(':')[1];
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(candidate, 'hex'));
+}
+
+/**
+ * Check password strength: 8+ chars with upper, lower, digit and symbol
+ * @param {string} password - Candidate password
+ */
+function isStrongPassword(password) {
+  return (
+    typeof password === 'string' &&
+    password.length >= 8 &&
+    /[a-z]/.test(password) &&
+    /[A-Z]/.test(password) &&
+    /\d/.test(password) &&
+    /[^A-Za-z0-9]/.test(password)
+  );
+}
+
+/**
+ * Luhn checksum for card numbers
+ * @param {string} digits - Card number digits
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = Number(digits[i]);
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+class ShopStore {
+  constructor(options = {}) {
+    this.catalog = options.catalog || new Catalog();
+    this.reset();
+  }
+
+  /**
+   * Restore the seeded state (users from fixtures, empty carts and orders)
+   */
+  reset() {
+    this.users = new Map();
+    this.sessions = new Map();
+    this.carts = new Map();
+    this.orders = [];
+    this.reviews = new Map();
+    this.orderSequence = 100000;
+    this.stock = new Map(this.catalog.products.map((p) => [p.id, p.stockQuantity]));
+
+    const fixture = require(path.join(FIXTURES_DIR, 'users.json'));
+    const seeded = [
+      ...(fixture.validUsers || []),
+      ...(fixture.existingUsers || []).map((u) => ({
+        firstName: 'Existing',
+        lastName: 'User',
+        ...u,
+      })),
+      ...DEMO_USERS,
+    ];
+    seeded.forEach((u) => this.addUser(u));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Users
+  // ---------------------------------------------------------------------------
+
+  addUser(data) {
+    const user = {
+      id: data.id || `user${crypto.randomBytes(4).toString('hex')}`,
+      firstName: data.firstName || '',
+      lastName: data.lastName || '',
+      email: String(data.email).toLowerCase(),
+      phone: data.phone || '',
+      dateOfBirth: data.dateOfBirth || '',
+      role: data.role || 'customer',
+      newsletter: Boolean(data.newsletter ?? data.preferences?.newsletter),
+      passwordHash: hashPassword(data.password),
+      createdAt: data.createdAt || new Date().toISOString(),
+    };
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  findUserByEmail(email) {
+    const key = String(email || '').toLowerCase();
+    return [...this.users.values()].find((u) => u.email === key) || null;
+  }
+
+  getUser(id) {
+    return this.users.get(String(id)) || null;
+  }
+
+  /**
+   * Return the user for valid credentials, otherwise null
+   */
+  authenticate(email, password) {
+    const user = this.findUserByEmail(email);
+    if (!user || !password) return null;
+    return verifyPassword(password, user.passwordHash) ? user : null;
+  }
+
+  /**
+   * Public projection of a user (never includes the password hash)
+   */
+  toPublicUser(user) {
+    if (!user) return null;
+    const { passwordHash, ...rest } = user;
+    return rest;
+  }
+
+  /**
+   * Validate registration input
+   * @returns {object} Field name -> error message (empty when valid)
+   */
+  validateRegistration(input) {
+    const errors = {};
+    const firstName = String(input.firstName || '').trim();
+    const lastName = String(input.lastName || '').trim();
+    const email = String(input.email || '').trim();
+    const phone = String(input.phone || '').trim();
+
+    if (!firstName) errors.firstName = 'First name is required';
+    else if (firstName.length > NAME_MAX_LENGTH)
+      errors.firstName = `First name must be ${NAME_MAX_LENGTH} characters or fewer`;
+
+    if (!lastName) errors.lastName = 'Last name is required';
+    else if (lastName.length > NAME_MAX_LENGTH)
+      errors.lastName = `Last name must be ${NAME_MAX_LENGTH} characters or fewer`;
+
+    if (!email) errors.email = 'Email is required';
+    else if (!EMAIL_PATTERN.test(email) || email.length > 254)
+      errors.email = 'Invalid email format';
+
+    if (!input.password) errors.password = 'Password is required';
+    else if (!isStrongPassword(input.password))
+      errors.password =
+        'Password is too weak: use 8+ characters with upper and lower case, a number and a symbol';
+
+    if (input.confirmPassword !== undefined && input.confirmPassword !== input.password) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    if (phone && !PHONE_PATTERN.test(phone)) errors.phone = 'Invalid phone number format';
+
+    if (input.requireTerms && !input.terms) {
+      errors.terms = 'You must accept the terms and conditions';
+    }
+
+    return errors;
+  }
+
+  /**
+   * Register a new customer
+   * @returns {{user?: object, errors?: object, error?: string}}
+   */
+  registerUser(input) {
+    const errors = this.validateRegistration(input);
+    if (Object.keys(errors).length > 0) return { errors };
+    if (this.findUserByEmail(input.email)) return { error: 'User already exists' };
+
+    const user = this.addUser({
+      firstName: String(input.firstName).trim(),
+      lastName: String(input.lastName).trim(),
+      email: String(input.email).trim(),
+      phone: input.phone,
+      dateOfBirth: input.dateOfBirth,
+      newsletter: Boolean(input.newsletter),
+      password: input.password,
+    });
+    return { user };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sessions
+  // ---------------------------------------------------------------------------
+
+  createSession() {
+    const session = {
+      id: crypto.randomBytes(24).toString('hex'),
+      userId: null,
+      csrfToken: crypto.randomBytes(24).toString('hex'),
+      createdAt: Date.now(),
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  getSession(id) {
+    return (id && this.sessions.get(id)) || null;
+  }
+
+  /**
+   * Attach a user to a session, merging the guest cart into the user's cart.
+   * The session id is rotated to prevent fixation.
+   */
+  signIn(session, user) {
+    const guestCart = this.carts.get(this.cartKey(session));
+    this.sessions.delete(session.id);
+
+    const rotated = { ...session, id: crypto.randomBytes(24).toString('hex'), userId: user.id };
+    this.sessions.set(rotated.id, rotated);
+
+    if (guestCart) {
+      const userCart = this.getCart(rotated);
+      guestCart.items.forEach((item) => {
+        const existing = userCart.items.find((i) => i.productId === item.productId);
+        if (existing) {
+          existing.quantity = Math.min(existing.quantity + item.quantity, MAX_QUANTITY_PER_ITEM);
+        } else {
+          userCart.items.push({ ...item });
+        }
+      });
+      guestCart.wishlist.forEach((id) => {
+        if (!userCart.wishlist.includes(id)) userCart.wishlist.push(id);
+      });
+      if (!userCart.promoCode) userCart.promoCode = guestCart.promoCode;
+      this.carts.delete(`session:${session.id}`);
+    }
+
+    return rotated;
+  }
+
+  signOut(session) {
+    this.sessions.delete(session.id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cart
+  // ---------------------------------------------------------------------------
+
+  cartKey(owner) {
+    if (owner.userId) return `user:${owner.userId}`;
+    return `session:${owner.id}`;
+  }
+
+  /**
+   * Get (or lazily create) the cart for a session or `{ userId }` owner
+   */
+  getCart(owner) {
+    const key = this.cartKey(owner);
+    if (!this.carts.has(key)) this.carts.set(key, emptyCart());
+    return this.carts.get(key);
+  }
+
+  /**
+   * Build a cart that is not stored, e.g. to price an order placed with explicit items
+   * without touching the owner's cart
+   * @param {Array<{productId: string, quantity: number}>} items - Order items
+   * @returns {{cart?: object, error?: string}}
+   */
+  draftCart(items) {
+    const cart = emptyCart();
+    for (const item of items) {
+      const { error } = this.addItem(cart, item.productId, item.quantity);
+      if (error) return { error };
+    }
+    return { cart };
+  }
+
+  /**
+   * Validate a requested quantity for a product
+   * @returns {string|null} Error message or null when valid
+   */
+  validateQuantity(product, quantity) {
+    if (!product) return 'Product not found';
+    if (!Number.isInteger(quantity) || quantity < 1) return 'Quantity must be at least 1';
+    if (!product.inStock || (this.stock.get(product.id) ?? 0) <= 0) {
+      return 'This item is currently out of stock';
+    }
+    if (quantity > MAX_QUANTITY_PER_ITEM) {
+      return `Maximum quantity allowed is ${MAX_QUANTITY_PER_ITEM}`;
+    }
+    const available = this.stock.get(product.id) ?? 0;
+    if (quantity > available) return `Only ${available} items available in stock`;
+    return null;
+  }
+
+  /**
+   * Add a product to the cart
+   * @returns {{cart?: object, error?: string}}
+   */
+  addToCart(owner, productId, quantity = 1) {
+    return this.addItem(this.getCart(owner), productId, quantity);
+  }
+
+  addItem(cart, productId, quantity) {
+    const product = this.catalog.findProduct(productId);
+    const existing = product && cart.items.find((i) => i.productId === product.id);
+    const error = this.validateQuantity(product, (existing?.quantity || 0) + quantity);
+    if (error) return { error };
+
+    if (existing) existing.quantity += quantity;
+    else cart.items.push({ productId: product.id, quantity });
+    return { cart };
+  }
+
+  /**
+   * Set the quantity of a cart line; 0 removes the line
+   */
+  updateCartItem(owner, productId, quantity) {
+    const product = this.catalog.findProduct(productId);
+    const cart = this.getCart(owner);
+    const item = product && cart.items.find((i) => i.productId === product.id);
+    if (!item) return { error: 'Item is not in your cart' };
+    if (quantity === 0) return this.removeCartItem(owner, productId);
+
+    const error = this.validateQuantity(product, quantity);
+    if (error) return { error };
+    item.quantity = quantity;
+    return { cart };
+  }
+
+  removeCartItem(owner, productId) {
+    const product = this.catalog.findProduct(productId);
+    const cart = this.getCart(owner);
+    const before = cart.items.length;
+    cart.items = cart.items.filter((i) => !product || i.productId !== product.id);
+    if (cart.items.length === before) return { error: 'Item is not in your cart' };
+    return { cart };
+  }
+
+  saveForLater(owner, productId) {
+    const product = this.catalog.findProduct(productId);
+    const cart = this.getCart(owner);
+    const item = product && cart.items.find((i) => i.productId === product.id);
+    if (!item) return { error: 'Item is not in your cart' };
+    cart.items = cart.items.filter((i) => i !== item);
+    cart.saved.push(item);
+    return { cart };
+  }
+
+  moveToCart(owner, productId) {
+    const product = this.catalog.findProduct(productId);
+    const cart = this.getCart(owner);
+    const item = product && cart.saved.find((i) => i.productId === product.id);
+    if (!item) return { error: 'Item is not in your saved items' };
+    cart.saved = cart.saved.filter((i) => i !== item);
+    return this.addToCart(owner, product.id, item.quantity);
+  }
+
+  /**
+   * Add a product to the owner's wishlist (idempotent)
+   */
+  addToWishlist(owner, productId) {
+    const product = this.catalog.findProduct(productId);
+    if (!product) return { error: 'Product not found' };
+    const cart = this.getCart(owner);
+    if (!cart.wishlist.includes(product.id)) cart.wishlist.push(product.id);
+    return { cart, product };
+  }
+
+  moveToWishlist(owner, productId) {
+    const result = this.removeCartItem(owner, productId);
+    if (result.error) return result;
+    return this.addToWishlist(owner, productId);
+  }
+
+  getWishlist(owner) {
+    return this.getCart(owner)
+      .wishlist.map((id) => this.catalog.findProduct(id))
+      .filter(Boolean);
+  }
+
+  clearCart(owner) {
+    const cart = this.getCart(owner);
+    cart.items = [];
+    cart.promoCode = null;
+    return { cart };
+  }
+
+  setShippingMethod(owner, methodId) {
+    return this.applyShippingMethod(this.getCart(owner), methodId);
+  }
+
+  applyShippingMethod(cart, methodId) {
+    if (!SHIPPING_METHODS.some((m) => m.id === methodId)) {
+      return { error: 'Unknown shipping option' };
+    }
+    cart.shippingMethod = methodId;
+    return { cart };
+  }
+
+  /**
+   * Look up a promo code and check it against a subtotal
+   * @returns {{promo?: object, error?: string}}
+   */
+  checkPromoCode(code, subtotal) {
+    const key = String(code || '')
+      .trim()
+      .toUpperCase();
+    if (!key) return { error: 'Please enter a promo code' };
+    const promo = PROMO_CODES[key];
+    if (!promo) return { error: 'Invalid promo code' };
+    if (promo.expiresAt && new Date(promo.expiresAt) < new Date()) {
+      return { error: 'This promo code has expired' };
+    }
+    if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+      return {
+        error: `Order minimum of $${promo.minSubtotal.toFixed(2)} required for this promo code`,
+      };
+    }
+    return { promo: { code: key, ...promo } };
+  }
+
+  applyPromoCode(owner, code) {
+    const cart = this.getCart(owner);
+    if (cart.items.length === 0) return { error: 'Add items to your cart before applying a code' };
+    const { promo, error } = this.checkPromoCode(code, this.priceCart(cart).subtotal);
+    if (error) return { error };
+    cart.promoCode = promo.code;
+    return { cart, promo };
+  }
+
+  removePromoCode(owner) {
+    const cart = this.getCart(owner);
+    cart.promoCode = null;
+    return { cart };
+  }
+
+  /**
+   * Price a cart: resolves products and computes subtotal, discount, shipping, tax and total.
+   * Tax is charged on the discounted subtotal; standard shipping is free over the threshold.
+   */
+  priceCart(cart) {
+    const lines = cart.items
+      .map((item) => {
+        const product = this.catalog.findProduct(item.productId);
+        if (!product) return null;
+        return {
+          product,
+          productId: product.id,
+          quantity: item.quantity,
+          unitPrice: product.price,
+          lineTotal: round2(product.price * item.quantity),
+        };
+      })
+      .filter(Boolean);
+
+    const subtotal = round2(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+    const itemCount = lines.reduce((sum, l) => sum + l.quantity, 0);
+
+    let promo = null;
+    if (cart.promoCode) {
+      const checked = this.checkPromoCode(cart.promoCode, subtotal);
+      promo = checked.promo || null;
+    }
+
+    let discount = 0;
+    if (promo?.type === 'percent') discount = round2((subtotal * promo.value) / 100);
+    if (promo?.type === 'fixed') discount = Math.min(promo.value, subtotal);
+
+    const method =
+      SHIPPING_METHODS.find((m) => m.id === cart.shippingMethod) || SHIPPING_METHODS[0];
+    let shipping = lines.length === 0 ? 0 : method.cost;
+    if (method.id === 'standard' && subtotal >= FREE_SHIPPING_THRESHOLD) shipping = 0;
+    if (promo?.type === 'shipping') shipping = 0;
+
+    const tax = round2((subtotal - discount) * TAX_RATE);
+    const total = round2(subtotal - discount + shipping + tax);
+
+    return {
+      lines,
+      itemCount,
+      subtotal,
+      discount,
+      shipping,
+      tax,
+      total,
+      promoCode: promo ? promo.code : null,
+      shippingMethod: method.id,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Checkout & orders
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Validate an address block
+   * @param {object} address - Address fields
+   * @param {string} prefix - Key prefix for the returned error map
+   */
+  validateAddress(address = {}, prefix = 'shipping') {
+    const errors = {};
+    const required = [
+      ['firstName', 'First name is required'],
+      ['lastName', 'Last name is required'],
+      ['street', 'Street address is required'],
+      ['city', 'City is required'],
+      ['state', 'State is required'],
+      ['zipCode', 'ZIP code is required'],
+    ];
+    if (prefix === 'shipping') required.push(['phone', 'Phone number is required']);
+
+    required.forEach(([field, message]) => {
+      if (!String(address[field] || '').trim()) errors[`${prefix}.${field}`] = message;
+    });
+
+    const zip = String(address.zipCode || '').trim();
+    const country = String(address.country || 'US');
+    if (zip && ['US', 'United States', 'USA'].includes(country) && !US_ZIP_PATTERN.test(zip)) {
+      errors[`${prefix}.zipCode`] = 'Invalid ZIP code format';
+    } else if (zip && !/^[A-Za-z0-9 -]{3,10}$/.test(zip)) {
+      errors[`${prefix}.zipCode`] = 'Invalid ZIP code format';
+    }
+
+    const phone = String(address.phone || '').trim();
+    if (phone && !PHONE_PATTERN.test(phone)) {
+      errors[`${prefix}.phone`] = 'Invalid phone number format';
+    }
+    return errors;
+  }
+
+  /**
+   * Validate card payment details
+   */
+  validatePayment(payment = {}) {
+    const errors = {};
+    const digits = String(payment.cardNumber || '').replace(/[\s-]/g, '');
+    const month = Number(payment.expiryMonth);
+    const year = Number(payment.expiryYear);
+    const isAmex = /^3[47]/.test(digits);
+
+    if (!/^\d{13,19}$/.test(digits) || !passesLuhn(digits)) {
+      errors['payment.cardNumber'] = 'Invalid card number';
+    }
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      errors['payment.expiryMonth'] = 'Invalid expiry month';
+    } else if (!Number.isInteger(year) || year < 2000) {
+      errors['payment.expiryYear'] = 'Invalid expiry year';
+    } else {
+      const now = new Date();
+      const expired =
+        year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1);
+      if (expired) errors['payment.expiryYear'] = 'Card has expired';
+    }
+    if (!(isAmex ? /^\d{4}$/ : /^\d{3}$/).test(String(payment.cvv || ''))) {
+      errors['payment.cvv'] = 'Invalid CVV';
+    }
+    if (!String(payment.cardholderName || '').trim()) {
+      errors['payment.cardholderName'] = 'Cardholder name is required';
+    }
+    return errors;
+  }
+
+  /**
+   * Place an order from the owner's cart, or from a draftCart() which leaves it untouched
+   * @param {object} owner - Session or `{ userId }`
+   * @param {object} details - { email, shippingAddress, billingAddress, sameAsShipping, paymentMethod, payment, cart }
+   * @returns {{order?: object, errors?: object, error?: string}}
+   */
+  placeOrder(owner, details) {
+    const cart = details.cart || this.getCart(owner);
+    if (cart.items.length === 0) return { error: 'Your cart is empty' };
+
+    if (details.shippingMethod) {
+      const result = this.applyShippingMethod(cart, details.shippingMethod);
+      if (result.error) return { error: result.error };
+    }
+
+    const billing = details.sameAsShipping ? details.shippingAddress : details.billingAddress;
+    const errors = {
+      ...this.validateAddress(details.shippingAddress, 'shipping'),
+      ...(details.sameAsShipping ? {} : this.validateAddress(billing, 'billing')),
+      ...(details.paymentMethod === 'paypal' ? {} : this.validatePayment(details.payment)),
+    };
+    if (Object.keys(errors).length > 0) return { errors };
+
+    const pricing = this.priceCart(cart);
+    for (const line of pricing.lines) {
+      const error = this.validateQuantity(line.product, line.quantity);
+      if (error) return { error: `${line.product.name}: ${error}` };
+    }
+
+    const digits = String(details.payment?.cardNumber || '').replace(/[\s-]/g, '');
+    if (details.paymentMethod !== 'paypal' && PAYMENT_OUTCOMES[digits]) {
+      return { error: PAYMENT_OUTCOMES[digits] };
+    }
+
+    pricing.lines.forEach((l) =>
+      this.stock.set(l.productId, this.stock.get(l.productId) - l.quantity)
+    );
+
+    const order = {
+      id: `order${++this.orderSequence}`,
+      orderNumber: `ORD-${this.orderSequence}`,
+      userId: owner.userId || null,
+      email: details.email || this.getUser(owner.userId)?.email || null,
+      status: 'processing',
+      items: pricing.lines.map((l) => ({
+        productId: l.productId,
+        sku: l.product.sku,
+        name: l.product.name,
+        quantity: l.quantity,
+        price: l.unitPrice,
+        lineTotal: l.lineTotal,
+      })),
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      shipping: pricing.shipping,
+      tax: pricing.tax,
+      total: pricing.total,
+      promoCode: pricing.promoCode,
+      shippingMethod: pricing.shippingMethod,
+      shippingAddress: details.shippingAddress,
+      billingAddress: billing,
+      paymentMethod: details.paymentMethod === 'paypal' ? 'paypal' : 'credit_card',
+      cardLast4: details.paymentMethod === 'paypal' ? null : digits.slice(-4),
+      createdAt: new Date().toISOString(),
+    };
+    this.orders.push(order);
+
+    cart.items = [];
+    cart.promoCode = null;
+    return { order };
+  }
+
+  getOrdersForUser(userId) {
+    return this.orders.filter((o) => o.userId === userId);
+  }
+
+  findOrder(idOrNumber) {
+    return this.orders.find((o) => o.id === idOrNumber || o.orderNumber === idOrNumber) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reviews
+  // ---------------------------------------------------------------------------
+
+  getReviews(productId) {
+    return this.reviews.get(productId) || [];
+  }
+
+  addReview(productId, author, text) {
+    const body = String(text || '').trim();
+    if (!body) return { error: 'Review text is required' };
+    if (body.length > 2000) return { error: 'Review must be 2000 characters or fewer' };
+    const list = this.getReviews(productId);
+    list.push({ author: author || 'Guest', text: body, createdAt: new Date().toISOString() });
+    this.reviews.set(productId, list);
+    return { reviews: list };
+  }
+}
+
+module.exports = {
+  ShopStore,
+  SHIPPING_METHODS,
+  PROMO_CODES,
+  TAX_RATE,
+  FREE_SHIPPING_THRESHOLD,
+  MAX_QUANTITY_PER_ITEM,
+  isStrongPassword,
+};
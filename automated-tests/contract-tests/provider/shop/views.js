@@ -0,0 +1,977 @@
+/**
+ * Shop Views
+ * Server-rendered HTML for the reference shop. Markup carries the data-testid hooks,
+ * ids and names the page objects in automated-tests/ui-tests/pages rely on.
+ */
+
+const { SORT_OPTIONS } = require('./catalog');
+const { SHIPPING_METHODS } = require('./store');
+
+const US_STATES = (
+  'AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH ' +
+  'NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY'
+).split(' ');
+
+const COUNTRIES = [
+  { value: 'US', label: 'United States' },
+  { value: 'CA', label: 'Canada' },
+  { value: 'GB', label: 'United Kingdom' },
+  { value: 'DE', label: 'Germany' },
+  { value: 'FR', label: 'France' },
+  { value: 'JP', label: 'Japan' },
+];
+
+/**
+ * Escape text for safe interpolation into HTML text and attribute values
+ * @param {any} value - Value to escape
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+const csrfField = (ctx) =>
+  `<input type="hidden" name="_csrf" value="${escapeHtml(ctx.csrfToken)}">`;
+
+/**
+ * Render a labelled form control with an optional inline error
+ * @param {object} opts - { id, name, label, type, value, testId, error, autocomplete, required, options }
+ */
+function field(opts) {
+  const {
+    id,
+    name,
+    label,
+    type = 'text',
+    value = '',
+    testId,
+    error,
+    autocomplete,
+    required = false,
+    options,
+    extra = '',
+  } = opts;
+  const describedBy = error ? ` aria-describedby="${id}-error" aria-invalid="true"` : '';
+  const common = `id="${id}" name="${name}" data-testid="${testId}"${
+    required ? ' aria-required="true"' : ''
+  }${autocomplete ? ` autocomplete="${autocomplete}"` : ''}${describedBy}${extra}`;
+
+  let control;
+  if (options) {
+    const opts = options
+      .map((o) => {
+        const option = typeof o === 'string' ? { value: o, label: o } : o;
+        const selected = String(option.value) === String(value) ? ' selected' : '';
+        return `<option value="${escapeHtml(option.value)}"${selected}>${escapeHtml(
+          option.label
+        )}</option>`;
+      })
+      .join('');
+    control = `<select ${common}><option value="">Select…</option>${opts}</select>`;
+  } else {
+    control = `<input type="${type}" ${common} value="${escapeHtml(value)}">`;
+  }
+
+  return `<div class="field">
+    <label for="${id}">${escapeHtml(label)}${required ? ' <span aria-hidden="true">*</span>' : ''}</label>
+    ${control}
+    ${fieldError(id, testId, error)}
+  </div>`;
+}
+
+function fieldError(id, testId, error) {
+  if (!error) return '';
+  return `<p class="field-error" id="${id}-error" data-testid="${testId}-error">${escapeHtml(
+    error
+  )}</p>`;
+}
+
+/**
+ * Render flash messages set by the previous request
+ */
+function flashMessages(flash) {
+  if (!flash || flash.scope) return '';
+  const testId = flash.type === 'error' ? 'error-message' : 'success-message';
+  const role = flash.type === 'error' ? 'alert' : 'status';
+  return `<div class="message message-${flash.type}" role="${role}" data-testid="${testId}">${escapeHtml(
+    flash.message
+  )}</div>`;
+}
+
+function header(ctx) {
+  const { user, cartCount = 0, hideHeaderSearch } = ctx;
+  const userLinks = user
+    ? `<span class="greeting">Hello, ${escapeHtml(user.firstName || user.email)}</span>
+       <a href="/profile" data-testid="nav-profile">My Account</a>
+       <a href="/profile#orders" data-testid="nav-orders">My Orders</a>
+       <a href="/logout" data-testid="nav-logout">Logout</a>`
+    : `<a href="/login" data-testid="nav-login">Sign In</a>
+       <a href="/register" data-testid="nav-register">Create an Account</a>`;
+
+  const navLinks = `<a href="/" data-testid="nav-home">Home</a>
+      <a href="/products" data-testid="nav-products">Products</a>
+      <a href="/categories" data-testid="nav-categories">Categories</a>
+      <a href="/about" data-testid="nav-about">About</a>
+      <a href="/contact" data-testid="nav-contact">Contact</a>`;
+
+  const search = hideHeaderSearch
+    ? ''
+    : `<form class="header-search" action="/products" method="get" role="search">
+      <label for="header-search" class="visually-hidden">Search products</label>
+      <input id="header-search" name="search" type="search" data-testid="search-box" placeholder="search products">
+      <button type="submit" data-testid="search-button">Search</button>
+    </form>`;
+
+  return `<header class="site-header" data-testid="header">
+    <a href="/" class="logo" data-testid="logo">QA Reference Shop</a>
+    <button type="button" class="mobile-menu-button" data-testid="mobile-menu-button" aria-controls="mobile-menu" aria-expanded="false">Menu</button>
+    <nav class="main-menu" data-testid="main-menu" aria-label="Main">
+      ${navLinks}
+    </nav>
+    ${search}
+    <div class="user-menu" data-testid="user-menu">
+      ${userLinks}
+    </div>
+    <a href="/cart" class="cart-icon" data-testid="cart-icon" aria-label="Cart, ${cartCount} items">
+      Cart <span class="cart-badge" data-testid="cart-badge"><span data-testid="cart-count">${cartCount}</span></span>
+    </a>
+  </header>
+  <div id="mobile-menu" class="mobile-menu" data-testid="mobile-menu" hidden>
+    <button type="button" data-testid="mobile-menu-close">Close</button>
+    <nav aria-label="Mobile">${navLinks}</nav>
+  </div>`;
+}
+
+function breadcrumbs(items) {
+  if (!items || items.length === 0) return '';
+  const trail = [{ label: 'Home', href: '/' }, ...items]
+    .map((item, i, all) =>
+      i === all.length - 1
+        ? `<li data-testid="breadcrumb-item" aria-current="page">${escapeHtml(item.label)}</li>`
+        : `<li data-testid="breadcrumb-item"><a href="${escapeHtml(item.href)}">${escapeHtml(
+            item.label
+          )}</a></li>`
+    )
+    .join('');
+  return `<nav class="breadcrumbs" data-testid="breadcrumbs" aria-label="Breadcrumb"><ol>${trail}</ol></nav>`;
+}
+
+/**
+ * Wrap page content in the site layout
+ * @param {object} ctx - Request view context ({ user, cartCount, csrfToken, flash })
+ * @param {object} page - { title, body, breadcrumbs, hideHeaderSearch }
+ */
+function layout(ctx, page) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(page.title)} | QA Reference Shop</title>
+  <link rel="stylesheet" href="/static/shop.css">
+  <script src="/static/shop.js" defer></script>
+</head>
+<body>
+  <a class="skip-link" href="#main">Skip to content</a>
+  ${header({ ...ctx, hideHeaderSearch: page.hideHeaderSearch })}
+  ${breadcrumbs(page.breadcrumbs)}
+  <main id="main" class="page">
+    ${flashMessages(ctx.flash)}
+    ${page.body}
+  </main>
+  <footer class="site-footer">
+    <a href="/terms">Terms</a> · <a href="/privacy">Privacy</a> · <a href="/contact">Contact</a>
+  </footer>
+</body>
+</html>`;
+}
+
+// ---------------------------------------------------------------------------
+// Pages
+// ---------------------------------------------------------------------------
+
+function productCard(ctx, product) {
+  const quickView = escapeHtml(
+    JSON.stringify({ id: product.id, name: product.name, price: money(product.price) })
+  );
+  return `<article class="product-card inventory_item" data-testid="product-item" data-product-id="${product.id}">
+    <a href="/products/${product.id}"><img data-testid="product-image" src="${product.image}" alt="${escapeHtml(
+      product.name
+    )}" width="240" height="180"></a>
+    <h2 class="product-title" data-testid="product-title"><a href="/products/${product.id}">${escapeHtml(
+      product.name
+    )}</a></h2>
+    <p class="product-price" data-testid="product-price">${money(product.price)}</p>
+    <p class="product-rating" data-testid="product-rating" aria-label="Rated ${product.rating} out of 5">${product.rating} ★ (${product.reviewCount})</p>
+    <p class="product-description" data-testid="product-description">${escapeHtml(
+      product.description
+    )}</p>
+    ${product.inStock ? '' : '<p class="stock-status" data-testid="stock-status">Out of Stock</p>'}
+    <form method="post" action="/cart/add" class="inline-form">
+      ${csrfField(ctx)}
+      <input type="hidden" name="productId" value="${product.id}">
+      <input type="hidden" name="redirect" value="${escapeHtml(ctx.currentUrl)}">
+      <span data-testid="add-to-cart-${product.id}"><button type="submit" data-testid="add-to-cart">Add to Cart</button></span>
+    </form>
+    <button type="button" data-testid="quick-view" data-quick-view="${quickView}">Quick View</button>
+    <form method="post" action="/wishlist/add" class="inline-form">
+      ${csrfField(ctx)}
+      <input type="hidden" name="productId" value="${product.id}">
+      <input type="hidden" name="redirect" value="${escapeHtml(ctx.currentUrl)}">
+      <button type="submit" data-testid="add-to-wishlist">Add to Wishlist</button>
+    </form>
+  </article>`;
+}
+
+function homePage(ctx, { featured }) {
+  return layout(ctx, {
+    title: 'Home',
+    body: `<section class="hero">
+      <h1 data-testid="home-title">Welcome to the QA Reference Shop</h1>
+      <p>A self-hosted store for deterministic UI, API, security and load testing.</p>
+      <a href="/products" class="button" data-testid="shop-now">Shop Now</a>
+    </section>
+    ${
+      ctx.user
+        ? ''
+        : `<section class="quick-login" aria-labelledby="quick-login-heading">
+      <h2 id="quick-login-heading">Quick sign in</h2>
+      <form method="post" action="/" data-testid="quick-login-form">
+        <label for="user-name">Username or email</label>
+        <input id="user-name" name="user-name" autocomplete="username">
+        <label for="quick-password">Password</label>
+        <input id="quick-password" name="password" type="password" autocomplete="current-password">
+        <button type="submit" data-testid="quick-login-button">Sign In</button>
+      </form>
+    </section>`
+    }
+    <section aria-labelledby="featured-heading">
+      <h2 id="featured-heading">Featured Products</h2>
+      <div class="product-grid" data-testid="featured-products">
+        ${featured.map((p) => productCard(ctx, p)).join('')}
+      </div>
+    </section>`,
+  });
+}
+
+function catalogPage(ctx, { result, query, categories, brands }) {
+  const selectedBrands = [].concat(query.brand || []);
+  const pageLink = (n) => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([k, v]) =>
+      [].concat(v).forEach((item) => item !== '' && item !== undefined && params.append(k, item))
+    );
+    params.set('page', String(n));
+    return `/products?${params.toString()}`;
+  };
+
+  const categoryOptions = categories
+    .map(
+      (c) =>
+        `<option data-testid="category-option" value="${c.slug}"${
+          c.slug === query.category ? ' selected' : ''
+        }>${escapeHtml(c.name)}</option>`
+    )
+    .join('');
+
+  const brandOptions = brands
+    .map(
+      (b) =>
+        `<label><input type="checkbox" name="brand" value="${escapeHtml(
+          b
+        )}" data-testid="brand-checkbox" data-autosubmit${
+          selectedBrands.includes(b) ? ' checked' : ''
+        }> ${escapeHtml(b)}</label>`
+    )
+    .join('');
+
+  const ratingOptions = [4.5, 4, 3]
+    .map((r) => {
+      const params = new URLSearchParams({ ...query, rating: String(r), page: '1' });
+      return `<li><a href="/products?${params}" data-testid="rating-option" data-rating="${r}">${r}★ &amp; up</a></li>`;
+    })
+    .join('');
+
+  const sortOptions = SORT_OPTIONS.map(
+    (o) =>
+      `<option data-testid="sort-option" value="${o.value}"${
+        o.value === (query.sort || 'relevance') ? ' selected' : ''
+      }>${o.label}</option>`
+  ).join('');
+
+  const pages = Array.from({ length: result.totalPages }, (_, i) => i + 1)
+    .map((n) =>
+      n === result.page
+        ? `<span data-testid="page-number" data-page="${n}" aria-current="page">${n}</span>`
+        : `<a href="${escapeHtml(pageLink(n))}" data-testid="page-number" data-page="${n}">${n}</a>`
+    )
+    .join('');
+
+  const pagination = `<nav class="pagination" data-testid="pagination" aria-label="Pagination">
+      ${
+        result.page > 1
+          ? `<a href="${escapeHtml(pageLink(result.page - 1))}" data-testid="previous-page" rel="prev">Previous</a>`
+          : ''
+      }
+      ${pages}
+      ${
+        result.page < result.totalPages
+          ? `<a href="${escapeHtml(pageLink(result.page + 1))}" data-testid="next-page" rel="next">Next</a>`
+          : ''
+      }
+    </nav>`;
+
+  const items =
+    result.items.length > 0
+      ? `<div class="product-grid" data-testid="product-grid" data-view="grid">
+          ${result.items.map((p) => productCard(ctx, p)).join('')}
+        </div>`
+      : `<p class="no-results" data-testid="no-results">No products found${
+          query.search ? ` for "${escapeHtml(query.search)}"` : ''
+        }.</p>`;
+
+  const body = `<h1 data-testid="products-title">Products</h1>
+    <form class="catalog-filters" action="/products" method="get" role="search">
+      <input type="hidden" name="pageSize" value="${escapeHtml(query.pageSize || '')}">
+      <div class="search-bar">
+        <label for="product-search" class="visually-hidden">Search products</label>
+        <input id="product-search" name="search" type="search" data-testid="product-search" placeholder="search products" value="${escapeHtml(
+          query.search || ''
+        )}">
+        <button type="submit" data-testid="search-button">Search</button>
+        ${query.search ? '<a href="/products" data-testid="clear-search">Clear search</a>' : ''}
+      </div>
+      <div class="filters">
+        <label for="category-filter">Category</label>
+        <select id="category-filter" name="category" data-testid="category-filter" data-autosubmit>
+          <option value="">All categories</option>${categoryOptions}
+        </select>
+        <fieldset data-testid="price-filter">
+          <legend>Price</legend>
+          <label for="min-price">Min</label>
+          <input id="min-price" name="minPrice" type="number" min="0" step="0.01" data-testid="min-price" value="${escapeHtml(
+            query.minPrice || ''
+          )}">
+          <label for="max-price">Max</label>
+          <input id="max-price" name="maxPrice" type="number" min="0" step="0.01" data-testid="max-price" value="${escapeHtml(
+            query.maxPrice || ''
+          )}">
+          <button type="submit" data-testid="apply-price-filter">Apply</button>
+        </fieldset>
+        <fieldset data-testid="brand-filter"><legend>Brand</legend>${brandOptions}</fieldset>
+        <label for="sort-dropdown">Sort by</label>
+        <select id="sort-dropdown" name="sort" data-testid="sort-dropdown" data-autosubmit>${sortOptions}</select>
+      </div>
+    </form>
+    <nav class="rating-filter" data-testid="rating-filter" aria-label="Filter by rating"><ul>${ratingOptions}</ul></nav>
+    <div class="view-toggle">
+      <button type="button" data-testid="grid-view" data-view-toggle="grid" aria-pressed="true">Grid</button>
+      <button type="button" data-testid="list-view" data-view-toggle="list" aria-pressed="false">List</button>
+    </div>
+    <p data-testid="results-count" aria-live="polite">${result.total} ${
+      result.total === 1 ? 'product' : 'products'
+    } found</p>
+    <section ${query.search ? 'data-testid="search-results" class="search-results"' : ''}>
+      ${items}
+    </section>
+    ${pagination}
+    <div class="modal" data-testid="quick-view-modal" role="dialog" aria-modal="true" aria-labelledby="quick-view-name" hidden>
+      <h2 id="quick-view-name" data-testid="quick-view-name"></h2>
+      <p data-testid="quick-view-price"></p>
+      <form method="post" action="/cart/add">
+        ${csrfField(ctx)}
+        <input type="hidden" name="productId" value="" data-quick-view-product>
+        <input type="hidden" name="redirect" value="${escapeHtml(ctx.currentUrl)}">
+        <button type="submit" data-testid="quick-view-add-to-cart">Add to Cart</button>
+      </form>
+      <button type="button" data-testid="quick-view-close">Close</button>
+    </div>`;
+
+  return layout(ctx, {
+    title: query.search ? `Search: ${query.search}` : 'Products',
+    hideHeaderSearch: true,
+    breadcrumbs: [{ label: 'Products', href: '/products' }],
+    body,
+  });
+}
+
+function productPage(ctx, { product, reviews, available }) {
+  const reviewList = reviews.length
+    ? reviews
+        .map(
+          (r) =>
+            `<li data-testid="review"><strong>${escapeHtml(r.author)}</strong>: ${escapeHtml(
+              r.text
+            )}</li>`
+        )
+        .join('')
+    : '<li data-testid="no-reviews">No reviews yet.</li>';
+
+  return layout(ctx, {
+    title: product.name,
+    breadcrumbs: [
+      { label: 'Products', href: '/products' },
+      { label: product.category, href: `/products?category=${product.categorySlug}` },
+      { label: product.name, href: `/products/${product.id}` },
+    ],
+    body: `<article class="product-detail" data-testid="product-detail" data-product-id="${product.id}">
+      <img data-testid="product-image" src="${product.image}" alt="${escapeHtml(
+        product.name
+      )}" width="480" height="360">
+      <h1 data-testid="product-title">${escapeHtml(product.name)}</h1>
+      <p data-testid="product-price">${money(product.price)}</p>
+      <p data-testid="product-rating">${product.rating} ★ (${product.reviewCount} reviews)</p>
+      <p data-testid="product-description">${escapeHtml(product.description)}</p>
+      <ul data-testid="product-features">${product.features
+        .map((f) => `<li>${escapeHtml(f)}</li>`)
+        .join('')}</ul>
+      <p data-testid="stock-status">${available > 0 ? `In Stock (${available} available)` : 'Out of Stock'}</p>
+      <form method="post" action="/cart/add">
+        ${csrfField(ctx)}
+        <input type="hidden" name="productId" value="${product.id}">
+        <input type="hidden" name="redirect" value="/products/${product.id}">
+        <label for="quantity">Quantity</label>
+        <input id="quantity" name="quantity" type="number" min="1" max="10" value="1" data-testid="quantity-input">
+        <span data-testid="add-to-cart-${product.id}"><button type="submit" data-testid="add-to-cart">Add to Cart</button></span>
+      </form>
+    </article>
+    <section class="reviews" aria-labelledby="reviews-heading">
+      <h2 id="reviews-heading">Customer Reviews</h2>
+      <ul data-testid="review-list">${reviewList}</ul>
+      <form method="post" action="/products/${product.id}/reviews">
+        ${csrfField(ctx)}
+        <label for="review">Write a review</label>
+        <textarea id="review" name="review" data-testid="review-input" maxlength="2000"></textarea>
+        <button type="submit" data-testid="submit-review">Submit Review</button>
+      </form>
+    </section>`,
+  });
+}
+
+function loginPage(ctx, { values = {}, errors = {}, error, redirect = '' }) {
+  const errorBox = error
+    ? `<div class="message message-error message-error" role="alert" data-testid="login-error">${escapeHtml(
+        error
+      )}</div>`
+    : '';
+  return layout(ctx, {
+    title: 'Customer Login',
+    hideHeaderSearch: true,
+    body: `<h1 class="page-title" data-testid="login-title">Customer Login</h1>
+    ${errorBox}
+    <form id="login-form" class="form-login" data-testid="login-form" method="post" action="/login" novalidate>
+      ${csrfField(ctx)}
+      <input type="hidden" name="redirect" value="${escapeHtml(redirect)}">
+      ${field({
+        id: 'email',
+        name: 'email',
+        label: 'Email',
+        type: 'email',
+        value: values.email,
+        testId: 'email-input',
+        error: errors.email,
+        autocomplete: 'username',
+        required: true,
+      }).replace('data-testid="email-input-error"', 'data-testid="email-error"')}
+      ${field({
+        id: 'pass',
+        name: 'password',
+        label: 'Password',
+        type: 'password',
+        testId: 'password-input',
+        error: errors.password,
+        autocomplete: 'current-password',
+        required: true,
+      }).replace('data-testid="password-input-error"', 'data-testid="password-error"')}
+      <div class="field checkbox">
+        <input type="checkbox" id="remember_me" name="rememberMe" data-testid="remember-me"${
+          values.rememberMe ? ' checked' : ''
+        }>
+        <label for="remember_me">Remember me</label>
+      </div>
+      <button type="submit" id="send2" class="action login primary" data-testid="login-button">Sign In</button>
+    </form>
+    <p><a class="action remind" href="/forgot-password" data-testid="forgot-password-link">Forgot Your Password?</a></p>
+    <p><a class="action create primary" href="/register" data-testid="register-link">Create an Account</a></p>
+    <div class="social-login">
+      <a href="/login?provider=google" data-testid="google-login">Sign in with Google</a>
+      <a href="/login?provider=facebook" data-testid="facebook-login">Sign in with Facebook</a>
+    </div>`,
+  });
+}
+
+function registerPage(ctx, { values = {}, errors = {}, error }) {
+  const messages = Object.values(errors);
+  const summary =
+    error || messages.length
+      ? `<div class="message message-error error" role="alert" data-testid="registration-error">
+          ${escapeHtml(error || 'Please correct the errors below')}
+          ${messages.length ? `<ul>${messages.map((m) => `<li>${escapeHtml(m)}</li>`).join('')}</ul>` : ''}
+        </div>`
+      : '';
+  const f = (opts) =>
+    field({ ...opts, value: opts.type === 'password' ? '' : values[opts.name] }).replace(
+      `data-testid="${opts.testId}-error"`,
+      `data-testid="${opts.testId.replace(/-input$/, '')}-error"`
+    );
+
+  return layout(ctx, {
+    title: 'Create an Account',
+    hideHeaderSearch: true,
+    body: `<h1 data-testid="registration-title">Create an Account</h1>
+    ${summary}
+    <form data-testid="registration-form" method="post" action="/register" novalidate>
+      ${csrfField(ctx)}
+      ${f({ id: 'first-name', name: 'firstName', label: 'First Name', testId: 'first-name-input', error: errors.firstName, autocomplete: 'given-name', required: true })}
+      ${f({ id: 'last-name', name: 'lastName', label: 'Last Name', testId: 'last-name-input', error: errors.lastName, autocomplete: 'family-name', required: true })}
+      ${f({ id: 'register-email', name: 'email', label: 'Email', type: 'email', testId: 'email-input', error: errors.email, autocomplete: 'email', required: true })}
+      ${f({ id: 'register-password', name: 'password', label: 'Password', type: 'password', testId: 'password-input', error: errors.password, autocomplete: 'new-password', required: true })}
+      <p data-testid="password-strength" aria-live="polite"></p>
+      <ul data-testid="password-requirements" class="hint">
+        <li>At least 8 characters</li><li>Upper and lower case letters</li><li>A number and a symbol</li>
+      </ul>
+      ${f({ id: 'confirm-password', name: 'confirmPassword', label: 'Confirm Password', type: 'password', testId: 'confirm-password-input', error: errors.confirmPassword, autocomplete: 'new-password', required: true })}
+      ${f({ id: 'phone', name: 'phone', label: 'Phone', type: 'tel', testId: 'phone-input', error: errors.phone, autocomplete: 'tel' })}
+      ${f({ id: 'date-of-birth', name: 'dateOfBirth', label: 'Date of Birth', type: 'date', testId: 'date-of-birth-input', autocomplete: 'bday' })}
+      <div class="field checkbox">
+        <input type="checkbox" id="terms" name="terms" data-testid="terms-checkbox"${values.terms ? ' checked' : ''}>
+        <label for="terms">I accept the <a href="/terms" data-testid="terms-link">terms and conditions</a> and <a href="/privacy" data-testid="privacy-link">privacy policy</a></label>
+        ${fieldError('terms', 'terms', errors.terms)}
+      </div>
+      <div class="field checkbox">
+        <input type="checkbox" id="newsletter" name="newsletter" data-testid="newsletter-checkbox"${values.newsletter ? ' checked' : ''}>
+        <label for="newsletter">Subscribe to our newsletter</label>
+      </div>
+      <button type="submit" data-testid="register-button">Create Account</button>
+      <a href="/" data-testid="cancel-button">Cancel</a>
+    </form>
+    <p>Already have an account? <a href="/login" data-testid="login-link">Sign in</a></p>`,
+  });
+}
+
+function summaryRows(pricing) {
+  return `<dl class="totals">
+      <dt>Subtotal</dt><dd data-testid="subtotal-amount">${money(pricing.subtotal)}</dd>
+      ${
+        pricing.discount > 0
+          ? `<dt>Discount</dt><dd data-testid="discount-amount">-${money(pricing.discount)}</dd>`
+          : ''
+      }
+      <dt>Shipping</dt><dd data-testid="shipping-amount">${money(pricing.shipping)}</dd>
+      <dt>Tax</dt><dd data-testid="tax-amount">${money(pricing.tax)}</dd>
+      <dt>Total</dt><dd data-testid="total-amount">${money(pricing.total)}</dd>
+    </dl>`;
+}
+
+function cartPage(ctx, { pricing, cart, saved }) {
+  const flash = ctx.flash?.scope === 'promo' ? ctx.flash : null;
+  const promoMessage = flash
+    ? `<p class="${flash.type}" role="${flash.type === 'error' ? 'alert' : 'status'}" data-testid="promo-code-${flash.type}">${escapeHtml(
+        flash.message
+      )}</p>`
+    : pricing.promoCode
+      ? `<p data-testid="promo-code-success">Promo code ${escapeHtml(pricing.promoCode)} applied</p>`
+      : '';
+
+  const items = pricing.lines
+    .map(
+      (line) => `<div class="cart-item" data-testid="cart-item" data-product-id="${line.productId}">
+        <img data-testid="item-image" src="${line.product.image}" alt="" width="96" height="72">
+        <a href="/products/${line.productId}" data-testid="item-name">${escapeHtml(line.product.name)}</a>
+        <span data-testid="item-price">${money(line.unitPrice)}</span>
+        <form method="post" action="/cart/items" class="cart-item-actions">
+          ${csrfField(ctx)}
+          <input type="hidden" name="productId" value="${line.productId}">
+          <span data-testid="item-quantity">
+            <label for="qty-${line.productId}" class="visually-hidden">Quantity for ${escapeHtml(line.product.name)}</label>
+            <input id="qty-${line.productId}" name="quantity" type="number" min="0" max="10" value="${line.quantity}" data-testid="quantity-input">
+          </span>
+          <button type="submit" name="action" value="update" data-testid="update-quantity">Update</button>
+          <button type="submit" name="action" value="decrease" data-testid="decrease-quantity" aria-label="Decrease quantity">−</button>
+          <button type="submit" name="action" value="increase" data-testid="increase-quantity" aria-label="Increase quantity">+</button>
+          <span data-testid="item-subtotal">${money(line.lineTotal)}</span>
+          <span data-testid="remove-from-cart-${line.productId}"><button type="submit" name="action" value="remove" data-testid="remove-item">Remove</button></span>
+          <button type="submit" name="action" value="save-for-later" data-testid="save-for-later">Save for later</button>
+          <button type="submit" name="action" value="move-to-wishlist" data-testid="move-to-wishlist">Move to wishlist</button>
+        </form>
+      </div>`
+    )
+    .join('');
+
+  const savedSection = saved.length
+    ? `<section data-testid="saved-items" aria-labelledby="saved-heading">
+        <h2 id="saved-heading">Saved for later</h2>
+        ${saved
+          .map(
+            (s) => `<div data-testid="saved-item">
+              <span>${escapeHtml(s.product.name)}</span>
+              <form method="post" action="/cart/items">
+                ${csrfField(ctx)}
+                <input type="hidden" name="productId" value="${s.product.id}">
+                <button type="submit" name="action" value="move-to-cart" data-testid="move-to-cart">Move to cart</button>
+              </form>
+            </div>`
+          )
+          .join('')}
+      </section>`
+    : '';
+
+  const shippingOptions = SHIPPING_METHODS.map(
+    (m) =>
+      `<label><input type="radio" name="shippingMethod" value="${m.id}" data-testid="shipping-option" data-autosubmit${
+        m.id === cart.shippingMethod ? ' checked' : ''
+      }> ${escapeHtml(m.name)} (${money(m.cost)})</label>`
+  ).join('');
+
+  const isEmpty = pricing.lines.length === 0;
+  const checkoutButton = `<form method="get" action="/checkout">
+      <button type="submit" data-testid="checkout-button"${isEmpty ? ' disabled' : ''}>Proceed to Checkout</button>
+    </form>`;
+
+  const body = isEmpty
+    ? `<p data-testid="empty-cart-message">Your cart is empty.</p>
+       <a href="/products" data-testid="continue-shopping">Continue Shopping</a>
+       ${checkoutButton}`
+    : `<div class="cart-items">${items}</div>
+      <aside class="cart-summary" data-testid="cart-summary">
+        <h2>Order Summary</h2>
+        ${summaryRows(pricing)}
+        <form method="post" action="/cart/shipping">
+          ${csrfField(ctx)}
+          <fieldset data-testid="shipping-options"><legend>Shipping</legend>${shippingOptions}</fieldset>
+        </form>
+        <form method="post" action="/cart/promo">
+          ${csrfField(ctx)}
+          <label for="promo-code">Promo code</label>
+          <input id="promo-code" name="code" data-testid="promo-code-input" autocomplete="off">
+          <button type="submit" data-testid="apply-promo-button">Apply</button>
+        </form>
+        ${promoMessage}
+        ${
+          pricing.promoCode
+            ? `<form method="post" action="/cart/promo/remove">${csrfField(ctx)}<button type="submit" data-testid="remove-promo-button">Remove code</button></form>`
+            : ''
+        }
+        ${checkoutButton}
+      </aside>
+      <a href="/products" data-testid="continue-shopping">Continue Shopping</a>
+      <form method="post" action="/cart/clear">
+        ${csrfField(ctx)}
+        <span data-testid="clear-cart-button"><button type="submit" data-testid="clear-cart">Clear Cart</button></span>
+      </form>`;
+
+  return layout(ctx, {
+    title: 'Shopping Cart',
+    breadcrumbs: [{ label: 'Cart', href: '/cart' }],
+    body: `<h1 data-testid="cart-title">Shopping Cart</h1>
+      <div class="cart" data-testid="cart-container">${body}</div>
+      ${savedSection}`,
+  });
+}
+
+function addressFields(prefix, values = {}, errors = {}) {
+  const f = (name, label, extra = {}) =>
+    field({
+      id: `${prefix}-${extra.slug || name}`,
+      name: `${prefix}[${name}]`,
+      label,
+      value: values[name],
+      testId: `${prefix}-${extra.slug || name}`,
+      error: errors[`${prefix}.${name}`],
+      ...extra,
+    });
+  return `${f('firstName', 'First Name', { slug: 'first-name', autocomplete: `${prefix} given-name`, required: true })}
+    ${f('lastName', 'Last Name', { slug: 'last-name', autocomplete: `${prefix} family-name`, required: true })}
+    ${f('street', 'Street Address', { slug: 'address', autocomplete: `${prefix} address-line1`, required: true })}
+    ${f('address2', 'Apartment, suite, etc.', { slug: 'address-2', autocomplete: `${prefix} address-line2` })}
+    ${f('city', 'City', { autocomplete: `${prefix} address-level2`, required: true })}
+    ${f('state', 'State', { options: US_STATES, autocomplete: `${prefix} address-level1`, required: true })}
+    ${f('zipCode', 'ZIP Code', { slug: 'zip', autocomplete: `${prefix} postal-code`, required: true })}
+    ${f('country', 'Country', { options: COUNTRIES, autocomplete: `${prefix} country`, required: true })}
+    ${prefix === 'shipping' ? f('phone', 'Phone', { type: 'tel', autocomplete: 'tel', required: true }) : ''}`;
+}
+
+function checkoutPage(ctx, { pricing, values = {}, errors = {}, error, showAllSteps }) {
+  const messages = Object.values(errors);
+  const errorBox =
+    error || messages.length
+      ? `<div class="message message-error" role="alert" data-testid="error-message">${escapeHtml(
+          error || 'Please correct the highlighted fields'
+        )}${messages.length ? `<ul>${messages.map((m) => `<li>${escapeHtml(m)}</li>`).join('')}</ul>` : ''}</div>`
+      : '';
+  const promoFlash = ctx.flash?.scope === 'promo' ? ctx.flash : null;
+  const sameAsShipping = values.sameAsShipping !== false;
+  const payment = values.payment || {};
+  const paymentMethod = values.paymentMethod || 'credit-card';
+  const shippingMethod = values.shippingMethod || pricing.shippingMethod;
+  const hidden = showAllSteps ? '' : ' hidden';
+  const year = new Date().getFullYear();
+  const months = Array.from({ length: 12 }, (_, i) => String(i + 1).padStart(2, '0'));
+  const years = Array.from({ length: 16 }, (_, i) => String(year - 5 + i));
+
+  const guestOptions = ctx.user
+    ? ''
+    : `<div class="guest-options">
+        <a href="/checkout?guest=1" data-testid="guest-checkout">Checkout as guest</a>
+        <a href="/register" data-testid="create-account">Create an account</a>
+        ${field({ id: 'checkout-email', name: 'email', label: 'Email for order updates', type: 'email', value: values.email, testId: 'checkout-email', autocomplete: 'email' })}
+      </div>`;
+
+  const shippingRadios = SHIPPING_METHODS.map(
+    (m) =>
+      `<label><input type="radio" name="shippingMethod" value="${m.id}" data-testid="${m.id}-shipping"${
+        m.id === shippingMethod ? ' checked' : ''
+      }> ${escapeHtml(m.name)} – ${money(m.cost)} (${escapeHtml(m.estimatedDays)})</label>`
+  ).join('');
+
+  const orderItems = pricing.lines
+    .map(
+      (l) => `<li data-testid="order-item">
+        <span data-testid="item-name">${escapeHtml(l.product.name)}</span>
+        × <span data-testid="item-quantity">${l.quantity}</span>
+        <span data-testid="item-price">${money(l.lineTotal)}</span>
+      </li>`
+    )
+    .join('');
+
+  const card = (name, label, opts = {}) =>
+    field({
+      id: `card-${name}`,
+      name: `payment[${name}]`,
+      label,
+      value: opts.keepValue === false ? '' : payment[name],
+      error: errors[`payment.${name}`],
+      ...opts,
+    });
+
+  const body = `<h1 data-testid="checkout-title">Checkout</h1>
+    ${errorBox}
+    <div class="checkout" data-testid="checkout-container" data-all-steps="${showAllSteps ? 'true' : 'false'}">
+      <ol class="checkout-steps" data-testid="checkout-steps">
+        <li data-testid="step-indicator" data-step="shipping">Shipping</li>
+        <li data-testid="step-indicator" data-step="billing">Billing</li>
+        <li data-testid="step-indicator" data-step="delivery">Delivery</li>
+        <li data-testid="step-indicator" data-step="payment">Payment</li>
+      </ol>
+      <p>Current step: <span data-testid="current-step">${showAllSteps ? 'Review' : 'Shipping'}</span></p>
+      ${guestOptions}
+      <form id="checkout-form" method="post" action="/checkout" novalidate>
+        ${csrfField(ctx)}
+        <section data-testid="shipping-section" data-step="shipping" aria-labelledby="shipping-heading">
+          <h2 id="shipping-heading">Shipping Address</h2>
+          ${addressFields('shipping', values.shippingAddress, errors)}
+        </section>
+        <section data-testid="billing-section" data-step="billing" aria-labelledby="billing-heading"${hidden}>
+          <h2 id="billing-heading">Billing Address</h2>
+          <div class="field checkbox">
+            <input type="checkbox" id="same-as-shipping" name="sameAsShipping" value="true" data-testid="same-as-shipping"${
+              sameAsShipping ? ' checked' : ''
+            }>
+            <label for="same-as-shipping">Same as shipping address</label>
+          </div>
+          <div data-billing-fields${sameAsShipping ? ' hidden' : ''}>
+            ${addressFields('billing', values.billingAddress, errors)}
+          </div>
+        </section>
+        <section data-testid="shipping-options-section" data-step="delivery" aria-labelledby="delivery-heading"${hidden}>
+          <h2 id="delivery-heading">Delivery Method</h2>
+          <fieldset data-testid="shipping-option-group"><legend class="visually-hidden">Delivery method</legend>${shippingRadios}</fieldset>
+        </section>
+        <section data-testid="payment-section" data-step="payment" aria-labelledby="payment-heading"${hidden}>
+          <h2 id="payment-heading">Payment</h2>
+          <fieldset data-testid="payment-method">
+            <legend>Payment method</legend>
+            <label><input type="radio" name="paymentMethod" value="credit-card" data-testid="credit-card-option"${
+              paymentMethod === 'credit-card' ? ' checked' : ''
+            }> Credit card</label>
+            <label><input type="radio" name="paymentMethod" value="paypal" data-testid="paypal-option"${
+              paymentMethod === 'paypal' ? ' checked' : ''
+            }> PayPal</label>
+          </fieldset>
+          <div data-card-fields${paymentMethod === 'paypal' ? ' hidden' : ''}>
+            ${card('cardNumber', 'Card Number', { testId: 'card-number', autocomplete: 'cc-number', keepValue: false, required: true, extra: ' inputmode="numeric"' })}
+            ${card('expiryMonth', 'Expiry Month', { testId: 'expiry-month', options: months, autocomplete: 'cc-exp-month', required: true })}
+            ${card('expiryYear', 'Expiry Year', { testId: 'expiry-year', options: years, autocomplete: 'cc-exp-year', required: true })}
+            ${card('cvv', 'CVV', { testId: 'cvv', autocomplete: 'cc-csc', keepValue: false, required: true, extra: ' inputmode="numeric"' })}
+            ${card('cardholderName', 'Name on Card', { testId: 'cardholder-name', autocomplete: 'cc-name', required: true })}
+          </div>
+          <div class="promo">
+            <label for="checkout-promo">Promo code</label>
+            <input id="checkout-promo" name="code" data-testid="promo-code-input" autocomplete="off">
+            <button type="submit" formaction="/checkout/promo" data-testid="apply-promo-button">Apply</button>
+            ${
+              promoFlash
+                ? `<p role="${promoFlash.type === 'error' ? 'alert' : 'status'}" data-testid="promo-code-${promoFlash.type}">${escapeHtml(promoFlash.message)}</p>`
+                : ''
+            }
+          </div>
+        </section>
+        <div class="checkout-nav">
+          <button type="button" data-testid="back-button" data-checkout-back>Back</button>
+          <button type="button" data-testid="continue-button" data-checkout-continue${showAllSteps ? ' hidden' : ''}>Continue</button>
+          <button type="submit" data-testid="place-order-button"${hidden}>Place Order</button>
+        </div>
+      </form>
+      <aside class="order-summary" data-testid="order-summary">
+        <h2>Order Summary</h2>
+        <ul data-testid="order-items">${orderItems}</ul>
+        ${summaryRows(pricing)}
+      </aside>
+    </div>`;
+
+  return layout(ctx, {
+    title: 'Checkout',
+    breadcrumbs: [
+      { label: 'Cart', href: '/cart' },
+      { label: 'Checkout', href: '/checkout' },
+    ],
+    body,
+  });
+}
+
+function confirmationPage(ctx, { order }) {
+  return layout(ctx, {
+    title: 'Order Confirmation',
+    body: `<section class="order-confirmation" data-testid="order-confirmation">
+      <h1>Thank you for your order!</h1>
+      <p data-testid="confirmation-message">Your order has been placed successfully.</p>
+      <p>Order number: <strong data-testid="order-number">${escapeHtml(order.orderNumber)}</strong></p>
+      <ul data-testid="order-items">${order.items
+        .map(
+          (i) =>
+            `<li data-testid="order-item"><span data-testid="item-name">${escapeHtml(i.name)}</span> × <span data-testid="item-quantity">${i.quantity}</span> <span data-testid="item-price">${money(i.lineTotal)}</span></li>`
+        )
+        .join('')}</ul>
+      ${summaryRows(order)}
+      <a href="/products" data-testid="continue-shopping">Continue Shopping</a>
+    </section>`,
+  });
+}
+
+function profilePage(ctx, { user, orders, wishlist, registered }) {
+  const rows = orders.length
+    ? orders
+        .map(
+          (o) => `<tr data-testid="order-row">
+            <td data-testid="order-number">${escapeHtml(o.orderNumber)}</td>
+            <td>${escapeHtml(o.createdAt.slice(0, 10))}</td>
+            <td data-testid="order-status">${escapeHtml(o.status)}</td>
+            <td data-testid="order-total">${money(o.total)}</td>
+          </tr>`
+        )
+        .join('')
+    : '<tr><td colspan="4" data-testid="no-orders">You have not placed any orders yet.</td></tr>';
+
+  return layout(ctx, {
+    title: 'My Account',
+    breadcrumbs: [{ label: 'My Account', href: '/profile' }],
+    body: `${
+      registered
+        ? '<div class="message message-success" role="status" data-testid="registration-success">Thank you for registering!</div>'
+        : ''
+    }
+    <h1 data-testid="profile-title">My Account</h1>
+    <dl data-testid="profile-details">
+      <dt>Name</dt><dd data-testid="profile-name">${escapeHtml(`${user.firstName} ${user.lastName}`)}</dd>
+      <dt>Email</dt><dd data-testid="profile-email">${escapeHtml(user.email)}</dd>
+      <dt>Phone</dt><dd data-testid="profile-phone">${escapeHtml(user.phone || '—')}</dd>
+    </dl>
+    <section id="orders" aria-labelledby="orders-heading">
+      <h2 id="orders-heading">Order History</h2>
+      <table data-testid="order-history">
+        <thead><tr><th scope="col">Order</th><th scope="col">Date</th><th scope="col">Status</th><th scope="col">Total</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </section>
+    <section aria-labelledby="wishlist-heading">
+      <h2 id="wishlist-heading">Wishlist</h2>
+      <ul data-testid="wishlist">${
+        wishlist.length
+          ? wishlist
+              .map(
+                (p) =>
+                  `<li data-testid="wishlist-item"><a href="/products/${p.id}">${escapeHtml(p.name)}</a></li>`
+              )
+              .join('')
+          : '<li>Your wishlist is empty.</li>'
+      }</ul>
+    </section>`,
+  });
+}
+
+function categoriesPage(ctx, { categories }) {
+  return layout(ctx, {
+    title: 'Categories',
+    breadcrumbs: [{ label: 'Categories', href: '/categories' }],
+    body: `<h1 data-testid="categories-title">Categories</h1>
+    <ul data-testid="category-list">${categories
+      .map(
+        (c) =>
+          `<li><a href="/products?category=${c.slug}" data-testid="category-link">${escapeHtml(c.name)}</a></li>`
+      )
+      .join('')}</ul>`,
+  });
+}
+
+function infoPage(ctx, { title, paragraphs }) {
+  return layout(ctx, {
+    title,
+    breadcrumbs: [{ label: title, href: '#' }],
+    body: `<h1>${escapeHtml(title)}</h1>${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('')}`,
+  });
+}
+
+function errorPage(ctx, { status, title, message }) {
+  return layout(ctx, {
+    title,
+    body: `<h1 data-testid="error-title">${escapeHtml(title)}</h1>
+    <p data-testid="error-description" data-status="${status}">${escapeHtml(message)}</p>
+    <a href="/">Return to the home page</a>`,
+  });
+}
+
+/**
+ * Deterministic placeholder product image
+ * @param {string} label - Product name
+ * @param {string} seed - Stable seed (sku)
+ */
+function placeholderImage(label, seed) {
+  const hue = [...String(seed)].reduce((h, c) => (h * 31 + c.charCodeAt(0)) % 360, 7);
+  const initials = String(label)
+    .split(/\s+/)
+    .slice(0, 2)
+    .map((w) => w[0] || '')
+    .join('')
+    .toUpperCase();
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="480" height="360" viewBox="0 0 480 360" role="img" aria-label="${escapeHtml(
+    label
+  )}"><rect width="480" height="360" fill="hsl(${hue},45%,85%)"/><text x="240" y="200" font-family="sans-serif" font-size="96" text-anchor="middle" fill="hsl(${hue},45%,30%)">${escapeHtml(
+    initials
+  )}</text></svg>`;
+}
+
+module.exports = {
+  escapeHtml,
+  money,
+  homePage,
+  catalogPage,
+  productPage,
+  loginPage,
+  registerPage,
+  cartPage,
+  checkoutPage,
+  confirmationPage,
+  profilePage,
+  categoriesPage,
+  infoPage,
+  errorPage,
+  placeholderImage,
+  US_STATES,
+  COUNTRIES,
+};
@@ -8,6 +8,13 @@
 const { spawn, exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const {
+  loadSlo,
+  evaluateSlo,
+  describeBreach,
+  seriesFromSamples,
+  windowSizes,
+} = require('../../../scripts/load-testing/slo');
 
 class JMeterRunner {
   constructor() {
@@ -169,6 +176,9 @@ class JMeterRunner {
             const summary = this.parseAndSummarizeJTL(resultFile);
             fs.writeFileSync(summaryOut, JSON.stringify(summary, null, 2));
             const ok = summary.status === 'PASS';
+            summary.slo.breaches.forEach((breach) =>
+              console.warn(`SLO breach: ${describeBreach(breach)}`)
+            );
             resolve({
               testName,
               success: ok,
@@ -231,7 +241,7 @@ class JMeterRunner {
   }
 
   /**
-   * Parse JTL CSV and compute summary with SLO evaluation
+   * Parse JTL CSV and compute summary with SLO evaluation (config/performance/slo.json)
    */
   parseAndSummarizeJTL(jtlPath) {
     if (!fs.existsSync(jtlPath)) throw new Error(`JTL not found: ${jtlPath}`);
@@ -290,6 +300,7 @@ class JMeterRunner {
       const i = headers.indexOf(name);
       return i >= 0 ? i : fallback;
     };
+    const TIMESTAMP = idx('timeStamp', 0);
     const ELAPSED = idx('elapsed', 1);
     const LABEL = idx('label', 2);
     const SUCCESS = idx('success', 8);
@@ -300,6 +311,8 @@ class JMeterRunner {
     let min = Number.POSITIVE_INFINITY;
     let max = 0;
     const perLabel = {};
+    // Individual samples for the SLO evaluation, overall and per label
+    const sloSamples = { OVERALL: [] };
 
     for (let i = startIdx; i < lines.length; i++) {
       const line = lines[i];
@@ -323,6 +336,10 @@ class JMeterRunner {
         perLabel[label].samples += 1;
         perLabel[label].durations.push(elapsed);
         if (!success) perLabel[label].errors += 1;
+
+        const sample = { time: Number(cols[TIMESTAMP]) || 0, duration: elapsed, ok: success };
+        sloSamples.OVERALL.push(sample);
+        (sloSamples[label] = sloSamples[label] || []).push(sample);
       }
     }
 
@@ -339,17 +356,14 @@ class JMeterRunner {
     const p99 = Math.round(pct(99));
     const errorPct = samples ? (errors / samples) * 100 : 0;
 
-    // SLOs (aligned with k6 defaults above)
-    const slo = {
-      p95_lt_ms: 800,
-      p99_lt_ms: 1500,
-      error_rate_lt_percent: 1,
-    };
-
-    const status =
-      p95 < slo.p95_lt_ms && p99 < slo.p99_lt_ms && errorPct < slo.error_rate_lt_percent
-        ? 'PASS'
-        : 'FAIL';
+    const slo = loadSlo();
+    const sizes = windowSizes(slo);
+    const sloEval = evaluateSlo(
+      slo,
+      Object.entries(sloSamples).map(([label, list]) => seriesFromSamples(label, {}, list, sizes)),
+      { tool: 'jmeter' }
+    );
+    const status = sloEval.status;
 
     // Build per-label stats
     const perLabelStats = Object.entries(perLabel).map(([label, stat]) => {
@@ -381,7 +395,7 @@ class JMeterRunner {
         error_percentage: +errorPct.toFixed(2),
       },
       latency_ms: { avg, min, max, p95, p99 },
-      slo,
+      slo: { status, breaches: sloEval.breaches },
       per_label: perLabelStats,
       status,
     };
@@ -8,8 +8,8 @@ const PerformanceMonitor = require('./utils/performance-monitor');
 
 test.describe('Authentication Tests', () => {
   test.describe('Login Functionality', () => {
-    test('should successfully login with valid credentials', async ({ page }) => {
-      const perfMonitor = new PerformanceMonitor(page);
+    test('should successfully login with valid credentials @TC-AUTH-002', async ({ page }) => {
+      const perfMonitor = new PerformanceMonitor(page).trackPageLoads();
 
       // Measure page load performance
       await perfMonitor.startMeasurement('pageLoad');
@@ -39,9 +39,10 @@ test.describe('Authentication Tests', () => {
         '📊 Performance Report:',
         JSON.stringify(perfMonitor.generateReport().summary, null, 2)
       );
+      await perfMonitor.save(test.info());
     });
 
-    test('should show error for invalid credentials', async ({ page }) => {
+    test('should show error for invalid credentials @TC-AUTH-003', async ({ page }) => {
       await page.goto('https://www.saucedemo.com');
 
       // Try to login with invalid credentials
@@ -121,7 +122,7 @@ test.describe('Authentication Tests', () => {
 
   test.describe('Logout Functionality', () => {
     test('should successfully logout user', async ({ page }) => {
-      const perfMonitor = new PerformanceMonitor(page);
+      const perfMonitor = new PerformanceMonitor(page).trackPageLoads();
 
       await page.goto('https://www.saucedemo.com');
 
@@ -161,6 +162,7 @@ test.describe('Authentication Tests', () => {
         '📊 Performance Report:',
         JSON.stringify(perfMonitor.generateReport().summary, null, 2)
       );
+      await perfMonitor.save(test.info());
     });
 
     test('should handle session persistence behavior', async ({ page }) => {
@@ -3,7 +3,7 @@
  * Tests for ensuring functionality works across Chrome, Firefox, and Safari
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('./fixtures');
 const ProductCatalogPage = require('./pages/ProductCatalogPage');
 const ShoppingCartPage = require('./pages/ShoppingCartPage');
 const LoginPage = require('./pages/LoginPage');
@@ -21,6 +21,11 @@ test.describe('Cross-Browser Compatibility Tests', () => {
     testDataHelper.cleanupTestSuite();
   });
 
+  // eslint-disable-next-line no-empty-pattern
+  test.beforeEach(async ({}, testInfo) => {
+    testDataHelper.initializeTest(testInfo);
+  });
+
   test.afterEach(async ({ page }, testInfo) => {
     testDataHelper.cleanupTestData(testInfo.title);
   });
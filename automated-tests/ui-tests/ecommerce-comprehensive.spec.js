@@ -79,7 +79,7 @@ test.describe('E-commerce Comprehensive Tests', () => {
     console.log('✅ Product sorting verification completed');
   });
 
-  test('should view product details', async ({ page }) => {
+  test('should view product details @TC-PROD-002', async ({ page }) => {
     await page.goto('https://www.saucedemo.com');
 
     // Login and navigate to product details
@@ -101,7 +101,7 @@ test.describe('E-commerce Comprehensive Tests', () => {
   });
 
   test('should add product to cart', async ({ page }) => {
-    const perfMonitor = new PerformanceMonitor(page);
+    const perfMonitor = new PerformanceMonitor(page).trackPageLoads();
 
     await page.goto('https://www.saucedemo.com');
 
@@ -132,6 +132,7 @@ test.describe('E-commerce Comprehensive Tests', () => {
       '📊 Performance Report:',
       JSON.stringify(perfMonitor.generateReport().summary, null, 2)
     );
+    await perfMonitor.save(test.info());
   });
 
   test('should view shopping cart', async ({ page }) => {
@@ -178,7 +179,7 @@ test.describe('E-commerce Comprehensive Tests', () => {
   });
 
   test('should complete checkout process', async ({ page }) => {
-    const perfMonitor = new PerformanceMonitor(page);
+    const perfMonitor = new PerformanceMonitor(page).trackPageLoads();
 
     // Measure page load
     await perfMonitor.startMeasurement('pageLoad');
@@ -221,6 +222,7 @@ test.describe('E-commerce Comprehensive Tests', () => {
       '📊 Performance Report:',
       JSON.stringify(perfMonitor.generateReport().summary, null, 2)
     );
+    await perfMonitor.save(test.info());
   });
 
   test('should show validation on checkout form', async ({ page }) => {
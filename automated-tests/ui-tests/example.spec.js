@@ -133,3 +133,29 @@ test.describe('E-commerce Application - Framework Demo', () => {
     console.log('✅ Shopping cart test completed');
   });
 });
+
+test.describe('Role Sessions', () => {
+  test.skip(process.env.TEST_ENV !== 'local', 'Backend login needs the local reference shop');
+
+  test('should open the account page with the cached customer session', async ({
+    page,
+    loggedInAs,
+  }) => {
+    const { user } = await loggedInAs('customer');
+
+    await page.goto('/profile');
+
+    await expect(page).toHaveURL(/\/profile/);
+    await expect(page.locator('[data-testid="profile-email"]')).toHaveText(user.email);
+  });
+
+  test('should log out of a fresh session', async ({ page, loggedInAs }) => {
+    // Logging out ends the session, so never do it with the shared cached one
+    await loggedInAs('customer', { fresh: true });
+
+    await page.goto('/logout');
+    await page.goto('/profile');
+
+    await expect(page).toHaveURL(/\/login/);
+  });
+});
@@ -3,11 +3,56 @@
  * Provides reusable test setup and teardown functionality
  */
 
+const path = require('path');
 const { test: base, expect } = require('@playwright/test');
 const { TestSetup } = require('./test-setup');
+const FaultInjectionClient = require('./utils/FaultInjectionClient');
+const PerformanceMonitor = require('./utils/performance-monitor');
+const AuthStateCache = require('./utils/AuthStateCache');
+const SeededRandom = require('../../test-data/generators/SeededRandom');
+const TestDataHelper = require('../../test-data/TestDataHelper');
 
 // Extend base test with custom fixtures
 const test = base.extend({
+  // Annotates every test with the data seed and attaches the replay command to failures.
+  // TestDataHelper streams are keyed on the test itself, so replaying only this test
+  // regenerates the data it failed with.
+  dataSeed: [
+    // eslint-disable-next-line no-empty-pattern
+    async ({}, use, testInfo) => {
+      const replay = SeededRandom.replayCommand();
+      testInfo.annotations.push({ type: 'data-seed', description: replay });
+
+      await use(process.env[SeededRandom.SEED_ENV_VAR]);
+
+      if (testInfo.status !== testInfo.expectedStatus) {
+        const location = `${path.relative(process.cwd(), testInfo.file)}:${testInfo.line}`;
+        const retry =
+          testInfo.retry > 0 ? ` ${TestDataHelper.RETRY_ENV_VAR}=${testInfo.retry}` : '';
+        const project = `--project=${testInfo.project.name}`;
+        await testInfo.attach('data-seed', {
+          body: `${replay}${retry} npx playwright test ${location} ${project} --config=config/playwright.config.js\n`,
+          contentType: 'text/plain',
+        });
+      }
+    },
+    { auto: true },
+  ],
+
+  // Records navigation/paint timings of every page load for the performance report
+  page: async ({ page }, use, testInfo) => {
+    const perfMonitor = new PerformanceMonitor(page).trackPageLoads();
+
+    await use(page);
+
+    if (!page.isClosed()) await perfMonitor.capturePageTimings().catch(() => null);
+    if (perfMonitor.pageTimings.length > 0) {
+      await perfMonitor.save(testInfo).catch((error) => {
+        console.warn(`⚠️  Could not save performance timings: ${error.message}`);
+      });
+    }
+  },
+
   // Custom test setup fixture
   testSetup: async ({ page, context }, use) => {
     const testSetup = new TestSetup(page, context);
@@ -20,29 +65,68 @@ const test = base.extend({
     await testSetup.cleanup();
   },
 
-  // Authenticated user fixture
-  authenticatedUser: async ({ page, context }, use) => {
+  // Signs the test's browser context in as a user role (see users.json roles) with the
+  // storageState cached by global setup. Cached sessions are shared across workers; pass
+  // { fresh: true } for a private session when the test logs out or otherwise ends it.
+  // Environments without a backend login endpoint log the role in through the UI instead.
+  loggedInAs: async ({ page, context, baseURL }, use, testInfo) => {
+    const loginPath = AuthStateCache.configuredLoginPath(testInfo.config.metadata);
+    const cache = new AuthStateCache({ baseURL, loginPath });
+    const testSetup = new TestSetup(page, context);
+
+    await use(async (role, options = {}) => {
+      const { email, password } = AuthStateCache.credentials(role);
+      if (!loginPath) {
+        await testSetup.loginViaUI(email, password);
+      } else if (options.fresh) {
+        await testSetup.loginViaApi(email, password, {
+          baseURL: cache.baseURL,
+          loginPath: cache.loginPath,
+        });
+      } else {
+        await testSetup.applyStorageState(await cache.ensure(role));
+      }
+      return { page, context, user: { role, email, password } };
+    });
+  },
+
+  // Authenticated user fixture. Uses the cached customer session where the environment
+  // supports backend login, and the login form otherwise or when backend login fails.
+  authenticatedUser: async ({ page, context, loggedInAs }, use, testInfo) => {
     const testSetup = new TestSetup(page, context);
     await testSetup.initialize();
 
-    // Load user test data
-    const userData = await testSetup.loadTestData('users');
-    const validUser = userData.validUsers?.[0] || {
-      email: 'test@example.com',
-      password: 'password123',
-    };
+    let user = null;
+    let sharedSession = false;
+    if (AuthStateCache.configuredLoginPath(testInfo.config.metadata)) {
+      try {
+        ({ user } = await loggedInAs('customer'));
+        sharedSession = true;
+      } catch (error) {
+        console.warn(`⚠️  Backend login failed, logging in through the UI: ${error.message}`);
+      }
+    }
 
-    // Authenticate using standard helper
-    await testSetup.loginViaUI(validUser.email, validUser.password);
+    if (!user) {
+      // Load user test data
+      const userData = await testSetup.loadTestData('users');
+      user = userData.validUsers?.[0] || {
+        email: 'test@example.com',
+        password: 'password123',
+      };
+      await testSetup.loginViaUI(user.email, user.password);
+    }
 
-    await use({ testSetup, user: validUser });
+    await use({ testSetup, user });
 
-    // Logout and cleanup
-    try {
-      await testSetup.navigateToApp('/logout');
-    } catch (error) {
-      console.warn('Logout failed, clearing session data');
-      await testSetup.clearBrowserData();
+    // Other workers share a cached session, so only log out of a UI login
+    if (!sharedSession) {
+      try {
+        await testSetup.navigateToApp('/logout');
+      } catch (error) {
+        console.warn('Logout failed, clearing session data');
+        await testSetup.clearBrowserData();
+      }
     }
 
     await testSetup.cleanup();
@@ -113,6 +197,24 @@ const test = base.extend({
     await use(apiContext);
     await apiContext.dispose();
   },
+
+  // Fault injection for the local reference shop (TEST_ENV=local). Faults are scoped to
+  // this test's browser context and disarmed when the test ends.
+  faults: async ({ playwright, context, baseURL }, use, testInfo) => {
+    const adminContext = await playwright.request.newContext({
+      baseURL: process.env.SHOP_ADMIN_URL || baseURL,
+    });
+    const faults = new FaultInjectionClient(adminContext, {
+      scope: testInfo.testId,
+      adminToken: process.env.SHOP_ADMIN_TOKEN,
+    });
+    await context.setExtraHTTPHeaders(faults.scopeHeaders);
+
+    await use(faults);
+
+    await faults.disarmAll();
+    await adminContext.dispose();
+  },
 });
 
 // Export custom test and expect
@@ -6,10 +6,17 @@
 const { chromium } = require('@playwright/test');
 const fs = require('fs');
 const path = require('path');
+const AuthStateCache = require('./utils/AuthStateCache');
+const SeededRandom = require('../../test-data/generators/SeededRandom');
 
-async function globalSetup() {
+async function globalSetup(config) {
   console.log('Starting global setup...');
 
+  // Pinned by the Playwright config; logged here so it appears once per run, not per worker
+  console.log(
+    `Test data seed: ${process.env[SeededRandom.SEED_ENV_VAR]} (replay with ${SeededRandom.replayCommand()})`
+  );
+
   // Ensure test directories exist
   const directories = [
     'test-results',
@@ -26,7 +33,13 @@ async function globalSetup() {
   });
 
   // Clean up previous test artifacts
-  const cleanupDirs = ['test-results', 'reports/test-execution/playwright-report'];
+  const cleanupDirs = [
+    'test-results',
+    'reports/test-execution/playwright-report',
+    // Per-test performance results, so the performance reports only cover this run
+    process.env.PERF_RESULTS_DIR || 'reports/performance/ui',
+    process.env.API_PERF_RESULTS_DIR || 'reports/performance/api',
+  ];
 
   cleanupDirs.forEach((dir) => {
     if (fs.existsSync(dir)) {
@@ -48,6 +61,28 @@ async function globalSetup() {
 
   fs.writeFileSync('test-results/test-config.json', JSON.stringify(testConfig, null, 2));
 
+  // Log every user role in once; workers reuse the cached storageState (loggedInAs fixture).
+  // Only environments that declare a backend login endpoint support this.
+  const loginPath = AuthStateCache.configuredLoginPath(config?.metadata);
+  if (!loginPath) {
+    console.log('Auth state preparation skipped: no backend login endpoint configured');
+  } else if (process.env.AUTH_PREPARE !== 'false') {
+    const cache = new AuthStateCache({
+      baseURL: config?.projects?.[0]?.use?.baseURL || process.env.BASE_URL,
+      loginPath,
+    });
+    const roles = process.env.AUTH_ROLES
+      ? process.env.AUTH_ROLES.split(',').map((role) => role.trim())
+      : AuthStateCache.roles();
+    const { ready, failed } = await cache.prepare(roles);
+
+    if (ready.length > 0) console.log(`Auth state ready for: ${ready.join(', ')}`);
+    // Not fatal: tests that need a role log in on demand and fail there with the real error
+    failed.forEach(({ role, error }) =>
+      console.warn(`⚠️  Could not prepare ${role} session: ${error}`)
+    );
+  }
+
   console.log('Global setup completed');
   console.log(`Test configuration saved to test-results/test-config.json`);
 
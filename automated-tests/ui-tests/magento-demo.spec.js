@@ -68,7 +68,7 @@ test.describe('SauceDemo E-commerce Tests', () => {
   });
 
   test('should add product to cart successfully', async ({ page }) => {
-    const perfMonitor = new PerformanceMonitor(page);
+    const perfMonitor = new PerformanceMonitor(page).trackPageLoads();
 
     await page.goto('https://www.saucedemo.com');
 
@@ -99,6 +99,7 @@ test.describe('SauceDemo E-commerce Tests', () => {
       '📊 Performance Report:',
       JSON.stringify(perfMonitor.generateReport().summary, null, 2)
     );
+    await perfMonitor.save(test.info());
   });
 
   test('should navigate to cart and display items', async ({ page }) => {
@@ -145,7 +146,7 @@ test.describe('SauceDemo E-commerce Tests', () => {
   });
 
   test('should complete full checkout process', async ({ page }) => {
-    const perfMonitor = new PerformanceMonitor(page);
+    const perfMonitor = new PerformanceMonitor(page).trackPageLoads();
 
     // Measure page load
     await perfMonitor.startMeasurement('pageLoad');
@@ -190,5 +191,6 @@ test.describe('SauceDemo E-commerce Tests', () => {
       '📊 Performance Report:',
       JSON.stringify(perfMonitor.generateReport().summary, null, 2)
     );
+    await perfMonitor.save(test.info());
   });
 });
@@ -4,12 +4,25 @@
  */
 
 const { expect } = require('@playwright/test');
+const LocatorResolver = require('../utils/LocatorResolver');
 
 class BasePage {
   constructor(page) {
     this.page = page;
     this.timeout = 30000;
     this.shortTimeout = 5000;
+    this.resolver = new LocatorResolver(page, { owner: this.constructor.name });
+  }
+
+  /**
+   * Resolve a selector, Locator or self-healing locator descriptor to a Locator. Descriptors
+   * (`{ primary, fallbacks, description }`) fall back to role, label, test-id or text locators
+   * when the primary selector misses; see utils/LocatorResolver.js.
+   * @param {string|object} target - Element selector, Locator or locator descriptor
+   * @param {object} options - Resolve options (state, timeout)
+   */
+  async locate(target, options = {}) {
+    return await this.resolver.resolve(target, { timeout: this.shortTimeout, ...options });
   }
 
   /**
@@ -46,7 +59,7 @@ class BasePage {
 
   /**
    * Wait for element to be visible
-   * @param {string} selector - Element selector
+   * @param {string|object} selector - Element selector or locator descriptor
    * @param {object} options - Wait options
    */
   async waitForElement(selector, options = {}) {
@@ -57,33 +70,38 @@ class BasePage {
     };
 
     try {
-      await this.page.waitForSelector(selector, defaultOptions);
+      await this.locate(selector, defaultOptions);
     } catch (error) {
-      console.log(`Element not found: ${selector} (this is expected in demo)`);
+      console.log(
+        `Element not found: ${LocatorResolver.describe(selector)} (this is expected in demo)`
+      );
       // For demo purposes, don't throw error
     }
   }
 
   /**
    * Click an element with retry logic
-   * @param {string} selector - Element selector
+   * @param {string|object} selector - Element selector or locator descriptor
    * @param {object} options - Click options
    */
   async clickElement(selector, options = {}) {
-    const maxRetries = options.retries || 3;
+    const { retries, ...clickOptions } = options;
+    const maxRetries = retries || 3;
     const defaultOptions = {
       timeout: this.shortTimeout,
-      ...options,
+      ...clickOptions,
     };
 
     for (let i = 0; i < maxRetries; i++) {
       try {
-        await this.waitForElement(selector, { state: 'visible' });
-        await this.page.click(selector, defaultOptions);
+        const element = await this.locate(selector, { timeout: this.timeout });
+        await element.click(defaultOptions);
         return;
       } catch (error) {
         if (i === maxRetries - 1) {
-          throw new Error(`Failed to click element: ${selector}. ${error.message}`);
+          throw new Error(
+            `Failed to click element: ${LocatorResolver.describe(selector)}. ${error.message}`
+          );
         }
         await this.page.waitForTimeout(1000);
       }
@@ -92,22 +110,22 @@ class BasePage {
 
   /**
    * Fill input field with validation
-   * @param {string} selector - Input selector
+   * @param {string|object} selector - Input selector or locator descriptor
    * @param {string} value - Value to fill
    * @param {object} options - Fill options
    */
   async fillInput(selector, value, options = {}) {
-    await this.waitForElement(selector);
+    const element = await this.locate(selector, { timeout: this.timeout });
 
     // Clear field first
-    await this.page.fill(selector, '');
+    await element.fill('');
 
     // Fill with new value
-    await this.page.fill(selector, value);
+    await element.fill(value);
 
     // Verify value was set (unless disabled)
     if (options.verify !== false) {
-      const actualValue = await this.page.inputValue(selector);
+      const actualValue = await element.inputValue();
       expect(actualValue).toBe(value);
     }
   }
@@ -6,6 +6,29 @@
 const { BasePage } = require('./BasePage');
 const { FormComponent } = require('../components/FormComponent');
 
+/**
+ * Self-healing descriptor for a labelled form field. Label fallbacks are scoped to the field's
+ * section because shipping and billing share labels.
+ */
+function labelledField(primary, label, testId, section) {
+  return {
+    primary,
+    description: `${label} field`,
+    fallbacks: [{ label, exact: true, within: section }, { testId }],
+  };
+}
+
+/**
+ * Self-healing descriptor for a button
+ */
+function button(primary, name, testId) {
+  return {
+    primary,
+    description: `${name} button`,
+    fallbacks: [{ role: 'button', name, exact: true }, { testId }, { text: name, exact: true }],
+  };
+}
+
 class CheckoutPage extends BasePage {
   constructor(page) {
     super(page);
@@ -111,6 +134,112 @@ class CheckoutPage extends BasePage {
       orderNumber: '[data-testid="order-number"]',
       confirmationMessage: '[data-testid="confirmation-message"]',
     };
+
+    // Self-healing locators: when a selector above stops matching, BasePage falls back to these
+    // in order and records the match in the healing report
+    const shipping = this.selectors.shippingSection;
+    const billing = this.selectors.billingSection;
+    const payment = this.selectors.paymentSection;
+    this.locators = {
+      shippingFirstName: labelledField(
+        this.selectors.shippingFirstName,
+        'First Name',
+        'shipping-first-name',
+        shipping
+      ),
+      shippingLastName: labelledField(
+        this.selectors.shippingLastName,
+        'Last Name',
+        'shipping-last-name',
+        shipping
+      ),
+      shippingAddress: labelledField(
+        this.selectors.shippingAddress,
+        'Street Address',
+        'shipping-address',
+        shipping
+      ),
+      shippingAddress2: labelledField(
+        this.selectors.shippingAddress2,
+        'Apartment, suite, etc.',
+        'shipping-address-2',
+        shipping
+      ),
+      shippingCity: labelledField(this.selectors.shippingCity, 'City', 'shipping-city', shipping),
+      shippingZip: labelledField(this.selectors.shippingZip, 'ZIP Code', 'shipping-zip', shipping),
+      shippingPhone: labelledField(
+        this.selectors.shippingPhone,
+        'Phone',
+        'shipping-phone',
+        shipping
+      ),
+      billingFirstName: labelledField(
+        this.selectors.billingFirstName,
+        'First Name',
+        'billing-first-name',
+        billing
+      ),
+      billingLastName: labelledField(
+        this.selectors.billingLastName,
+        'Last Name',
+        'billing-last-name',
+        billing
+      ),
+      billingAddress: labelledField(
+        this.selectors.billingAddress,
+        'Street Address',
+        'billing-address',
+        billing
+      ),
+      billingAddress2: labelledField(
+        this.selectors.billingAddress2,
+        'Apartment, suite, etc.',
+        'billing-address-2',
+        billing
+      ),
+      billingCity: labelledField(this.selectors.billingCity, 'City', 'billing-city', billing),
+      billingZip: labelledField(this.selectors.billingZip, 'ZIP Code', 'billing-zip', billing),
+      creditCardOption: {
+        primary: this.selectors.creditCardOption,
+        description: 'credit card option',
+        fallbacks: [
+          { role: 'radio', name: 'Credit card', exact: true },
+          { label: 'Credit card', exact: true },
+          { testId: 'credit-card-option' },
+        ],
+      },
+      paypalOption: {
+        primary: this.selectors.paypalOption,
+        description: 'PayPal option',
+        fallbacks: [
+          { role: 'radio', name: 'PayPal', exact: true },
+          { label: 'PayPal', exact: true },
+          { testId: 'paypal-option' },
+        ],
+      },
+      cardNumber: labelledField(this.selectors.cardNumber, 'Card Number', 'card-number', payment),
+      cvv: labelledField(this.selectors.cvv, 'CVV', 'cvv', payment),
+      cardholderName: labelledField(
+        this.selectors.cardholderName,
+        'Name on Card',
+        'cardholder-name',
+        payment
+      ),
+      promoCodeInput: labelledField(
+        this.selectors.promoCodeInput,
+        'Promo code',
+        'promo-code-input',
+        payment
+      ),
+      applyPromoButton: button(this.selectors.applyPromoButton, 'Apply', 'apply-promo-button'),
+      continueButton: button(this.selectors.continueButton, 'Continue', 'continue-button'),
+      backButton: button(this.selectors.backButton, 'Back', 'back-button'),
+      placeOrderButton: button(
+        this.selectors.placeOrderButton,
+        'Place Order',
+        'place-order-button'
+      ),
+    };
   }
 
   /**
@@ -126,21 +255,21 @@ class CheckoutPage extends BasePage {
    * @param {object} shippingData - Shipping address data
    */
   async fillShippingInformation(shippingData) {
-    await this.fillInput(this.selectors.shippingFirstName, shippingData.firstName);
-    await this.fillInput(this.selectors.shippingLastName, shippingData.lastName);
-    await this.fillInput(this.selectors.shippingAddress, shippingData.street);
+    await this.fillInput(this.locators.shippingFirstName, shippingData.firstName);
+    await this.fillInput(this.locators.shippingLastName, shippingData.lastName);
+    await this.fillInput(this.locators.shippingAddress, shippingData.street);
 
     if (shippingData.address2) {
-      await this.fillInput(this.selectors.shippingAddress2, shippingData.address2);
+      await this.fillInput(this.locators.shippingAddress2, shippingData.address2);
     }
 
-    await this.fillInput(this.selectors.shippingCity, shippingData.city);
+    await this.fillInput(this.locators.shippingCity, shippingData.city);
     await this.selectOption(this.selectors.shippingState, shippingData.state);
-    await this.fillInput(this.selectors.shippingZip, shippingData.zipCode);
+    await this.fillInput(this.locators.shippingZip, shippingData.zipCode);
     await this.selectOption(this.selectors.shippingCountry, shippingData.country);
 
     if (shippingData.phone) {
-      await this.fillInput(this.selectors.shippingPhone, shippingData.phone);
+      await this.fillInput(this.locators.shippingPhone, shippingData.phone);
     }
   }
 
@@ -155,17 +284,17 @@ class CheckoutPage extends BasePage {
     } else {
       await this.form.setCheckbox(this.selectors.sameAsShippingCheckbox, false);
 
-      await this.fillInput(this.selectors.billingFirstName, billingData.firstName);
-      await this.fillInput(this.selectors.billingLastName, billingData.lastName);
-      await this.fillInput(this.selectors.billingAddress, billingData.street);
+      await this.fillInput(this.locators.billingFirstName, billingData.firstName);
+      await this.fillInput(this.locators.billingLastName, billingData.lastName);
+      await this.fillInput(this.locators.billingAddress, billingData.street);
 
       if (billingData.address2) {
-        await this.fillInput(this.selectors.billingAddress2, billingData.address2);
+        await this.fillInput(this.locators.billingAddress2, billingData.address2);
       }
 
-      await this.fillInput(this.selectors.billingCity, billingData.city);
+      await this.fillInput(this.locators.billingCity, billingData.city);
       await this.selectOption(this.selectors.billingState, billingData.state);
-      await this.fillInput(this.selectors.billingZip, billingData.zipCode);
+      await this.fillInput(this.locators.billingZip, billingData.zipCode);
       await this.selectOption(this.selectors.billingCountry, billingData.country);
     }
   }
@@ -200,9 +329,9 @@ class CheckoutPage extends BasePage {
    */
   async selectPaymentMethod(paymentMethod) {
     if (paymentMethod === 'credit-card') {
-      await this.clickElement(this.selectors.creditCardOption);
+      await this.clickElement(this.locators.creditCardOption);
     } else if (paymentMethod === 'paypal') {
-      await this.clickElement(this.selectors.paypalOption);
+      await this.clickElement(this.locators.paypalOption);
     }
 
     await this.page.waitForTimeout(500); // Wait for payment form to appear
@@ -213,11 +342,11 @@ class CheckoutPage extends BasePage {
    * @param {object} cardData - Credit card data
    */
   async fillCreditCardInformation(cardData) {
-    await this.fillInput(this.selectors.cardNumber, cardData.cardNumber);
+    await this.fillInput(this.locators.cardNumber, cardData.cardNumber);
     await this.selectOption(this.selectors.expiryMonth, cardData.expiryMonth);
     await this.selectOption(this.selectors.expiryYear, cardData.expiryYear);
-    await this.fillInput(this.selectors.cvv, cardData.cvv);
-    await this.fillInput(this.selectors.cardholderName, cardData.cardholderName);
+    await this.fillInput(this.locators.cvv, cardData.cvv);
+    await this.fillInput(this.locators.cardholderName, cardData.cardholderName);
   }
 
   /**
@@ -225,8 +354,8 @@ class CheckoutPage extends BasePage {
    * @param {string} promoCode - Promo code to apply
    */
   async applyPromoCode(promoCode) {
-    await this.fillInput(this.selectors.promoCodeInput, promoCode);
-    await this.clickElement(this.selectors.applyPromoButton);
+    await this.fillInput(this.locators.promoCodeInput, promoCode);
+    await this.clickElement(this.locators.applyPromoButton);
     await this.waitForNetworkIdle();
   }
 
@@ -234,7 +363,7 @@ class CheckoutPage extends BasePage {
    * Continue to next step
    */
   async continueToNextStep() {
-    await this.clickElement(this.selectors.continueButton);
+    await this.clickElement(this.locators.continueButton);
     await this.waitForNetworkIdle();
   }
 
@@ -242,7 +371,7 @@ class CheckoutPage extends BasePage {
    * Go back to previous step
    */
   async goBackToPreviousStep() {
-    await this.clickElement(this.selectors.backButton);
+    await this.clickElement(this.locators.backButton);
     await this.waitForNetworkIdle();
   }
 
@@ -250,7 +379,7 @@ class CheckoutPage extends BasePage {
    * Place order
    */
   async placeOrder() {
-    await this.clickElement(this.selectors.placeOrderButton);
+    await this.clickElement(this.locators.placeOrderButton);
 
     // Wait for order processing
     if (await this.isElementVisible(this.selectors.processingPayment)) {
@@ -40,6 +40,53 @@ class LoginPage extends BasePage {
       pageTitle: '.page-title',
       loginForm: '#login-form',
     };
+
+    // Self-healing locators: when a selector above stops matching, BasePage falls back to these
+    // in order and records the match in the healing report
+    this.locators = {
+      emailInput: {
+        primary: this.selectors.emailInput,
+        description: 'email input',
+        fallbacks: [
+          { role: 'textbox', name: 'Email', exact: true },
+          { label: 'Email', exact: true },
+          { testId: 'email-input' },
+        ],
+      },
+      passwordInput: {
+        primary: this.selectors.passwordInput,
+        description: 'password input',
+        fallbacks: [{ label: 'Password', exact: true }, { testId: 'password-input' }],
+      },
+      loginButton: {
+        primary: this.selectors.loginButton,
+        description: 'login button',
+        fallbacks: [
+          { role: 'button', name: 'Sign In', exact: true },
+          { testId: 'login-button' },
+          { text: 'Sign In', exact: true, within: this.selectors.loginForm },
+        ],
+      },
+      forgotPasswordLink: {
+        primary: this.selectors.forgotPasswordLink,
+        description: 'forgot password link',
+        fallbacks: [
+          { role: 'link', name: 'Forgot Your Password?' },
+          { testId: 'forgot-password-link' },
+          { text: 'Forgot Your Password?' },
+        ],
+      },
+      registerLink: {
+        primary: this.selectors.registerLink,
+        description: 'register link',
+        fallbacks: [{ testId: 'register-link' }, { css: 'main a[href="/register"]' }],
+      },
+      loginError: {
+        primary: this.selectors.loginError,
+        description: 'login error',
+        fallbacks: [{ testId: 'login-error' }, { role: 'alert' }],
+      },
+    };
   }
 
   /**
@@ -57,14 +104,14 @@ class LoginPage extends BasePage {
    * @param {boolean} rememberMe - Whether to check remember me
    */
   async login(email, password, rememberMe = false) {
-    await this.fillInput(this.selectors.emailInput, email);
-    await this.fillInput(this.selectors.passwordInput, password);
+    await this.fillInput(this.locators.emailInput, email);
+    await this.fillInput(this.locators.passwordInput, password);
 
     if (rememberMe) {
       await this.form.setCheckbox(this.selectors.rememberMeCheckbox, true);
     }
 
-    await this.clickElement(this.selectors.loginButton);
+    await this.clickElement(this.locators.loginButton);
     await this.waitForNetworkIdle();
   }
 
@@ -94,7 +141,7 @@ class LoginPage extends BasePage {
    * Click forgot password link
    */
   async clickForgotPassword() {
-    await this.clickElement(this.selectors.forgotPasswordLink);
+    await this.clickElement(this.locators.forgotPasswordLink);
     await this.waitForPageLoad();
   }
 
@@ -102,7 +149,7 @@ class LoginPage extends BasePage {
    * Click register link
    */
   async clickRegisterLink() {
-    await this.clickElement(this.selectors.registerLink);
+    await this.clickElement(this.locators.registerLink);
     await this.waitForPageLoad();
   }
 
@@ -172,7 +219,7 @@ class LoginPage extends BasePage {
    * @param {string} expectedError - Expected error message
    */
   async validateLoginFailure(expectedError) {
-    await this.waitForElement(this.selectors.loginError);
+    await this.waitForElement(this.locators.loginError);
     const actualError = await this.getLoginError();
 
     if (expectedError) {
@@ -209,7 +256,7 @@ class LoginPage extends BasePage {
    * Test login with empty fields
    */
   async testEmptyFieldsValidation() {
-    await this.clickElement(this.selectors.loginButton);
+    await this.clickElement(this.locators.loginButton);
 
     // Validate both email and password errors appear
     await this.validateEmptyEmailError();
@@ -220,9 +267,9 @@ class LoginPage extends BasePage {
    * Test login with invalid email format
    */
   async testInvalidEmailFormat() {
-    await this.fillInput(this.selectors.emailInput, 'invalid-email');
-    await this.fillInput(this.selectors.passwordInput, 'password123');
-    await this.clickElement(this.selectors.loginButton);
+    await this.fillInput(this.locators.emailInput, 'invalid-email');
+    await this.fillInput(this.locators.passwordInput, 'password123');
+    await this.clickElement(this.locators.loginButton);
 
     await this.validateInvalidEmailFormatError();
   }
@@ -264,8 +311,8 @@ class LoginPage extends BasePage {
    * Clear login form
    */
   async clearLoginForm() {
-    await this.fillInput(this.selectors.emailInput, '');
-    await this.fillInput(this.selectors.passwordInput, '');
+    await this.fillInput(this.locators.emailInput, '');
+    await this.fillInput(this.locators.passwordInput, '');
     await this.form.setCheckbox(this.selectors.rememberMeCheckbox, false);
   }
 
@@ -81,6 +81,108 @@ class ProductCatalogPage extends BasePage {
       quickViewClose: '[data-testid="quick-view-close"]',
       quickViewAddToCart: '[data-testid="quick-view-add-to-cart"]',
     };
+
+    // Self-healing locators: when a selector above stops matching, BasePage falls back to these
+    // in order and records the match in the healing report
+    this.locators = {
+      searchInput: {
+        primary: this.selectors.searchInput,
+        description: 'search input',
+        fallbacks: [
+          { role: 'searchbox', name: 'Search products', within: 'main' },
+          { label: 'Search products', within: 'main' },
+          { testId: 'product-search' },
+        ],
+      },
+      searchButton: {
+        primary: this.selectors.searchButton,
+        description: 'search button',
+        fallbacks: [
+          { role: 'button', name: 'Search', exact: true, within: 'main' },
+          { testId: 'search-button', within: 'main' },
+        ],
+      },
+      clearSearchButton: {
+        primary: this.selectors.clearSearchButton,
+        description: 'clear search link',
+        fallbacks: [{ role: 'link', name: 'Clear search' }, { testId: 'clear-search' }],
+      },
+      minPriceInput: {
+        primary: this.selectors.minPriceInput,
+        description: 'minimum price input',
+        fallbacks: [
+          { role: 'spinbutton', name: 'Min', exact: true },
+          { label: 'Min', exact: true },
+          { testId: 'min-price' },
+        ],
+      },
+      maxPriceInput: {
+        primary: this.selectors.maxPriceInput,
+        description: 'maximum price input',
+        fallbacks: [
+          { role: 'spinbutton', name: 'Max', exact: true },
+          { label: 'Max', exact: true },
+          { testId: 'max-price' },
+        ],
+      },
+      applyPriceFilter: {
+        primary: this.selectors.applyPriceFilter,
+        description: 'apply price filter button',
+        fallbacks: [
+          { role: 'button', name: 'Apply', exact: true },
+          { testId: 'apply-price-filter' },
+        ],
+      },
+      gridViewButton: {
+        primary: this.selectors.gridViewButton,
+        description: 'grid view button',
+        fallbacks: [{ role: 'button', name: 'Grid', exact: true }, { testId: 'grid-view' }],
+      },
+      listViewButton: {
+        primary: this.selectors.listViewButton,
+        description: 'list view button',
+        fallbacks: [{ role: 'button', name: 'List', exact: true }, { testId: 'list-view' }],
+      },
+      nextPageButton: {
+        primary: this.selectors.nextPageButton,
+        description: 'next page link',
+        fallbacks: [
+          { role: 'link', name: 'Next', exact: true, within: this.selectors.pagination },
+          { testId: 'next-page' },
+          { css: 'a[rel="next"]' },
+        ],
+      },
+      previousPageButton: {
+        primary: this.selectors.previousPageButton,
+        description: 'previous page link',
+        fallbacks: [
+          { role: 'link', name: 'Previous', exact: true, within: this.selectors.pagination },
+          { testId: 'previous-page' },
+          { css: 'a[rel="prev"]' },
+        ],
+      },
+      quickViewModal: {
+        primary: this.selectors.quickViewModal,
+        description: 'quick view modal',
+        fallbacks: [{ role: 'dialog' }, { testId: 'quick-view-modal' }],
+      },
+      quickViewClose: {
+        primary: this.selectors.quickViewClose,
+        description: 'quick view close button',
+        fallbacks: [
+          { role: 'button', name: 'Close', exact: true, within: '[role="dialog"]' },
+          { testId: 'quick-view-close' },
+        ],
+      },
+      quickViewAddToCart: {
+        primary: this.selectors.quickViewAddToCart,
+        description: 'quick view add to cart button',
+        fallbacks: [
+          { role: 'button', name: 'Add to Cart', exact: true, within: '[role="dialog"]' },
+          { testId: 'quick-view-add-to-cart' },
+        ],
+      },
+    };
   }
 
   /**
@@ -96,8 +198,8 @@ class ProductCatalogPage extends BasePage {
    * @param {string} searchTerm - Search term
    */
   async searchProducts(searchTerm) {
-    await this.fillInput(this.selectors.searchInput, searchTerm);
-    await this.clickElement(this.selectors.searchButton);
+    await this.fillInput(this.locators.searchInput, searchTerm);
+    await this.clickElement(this.locators.searchButton);
     await this.waitForNetworkIdle();
   }
 
@@ -106,7 +208,7 @@ class ProductCatalogPage extends BasePage {
    */
   async clearSearch() {
     if (await this.isElementVisible(this.selectors.clearSearchButton)) {
-      await this.clickElement(this.selectors.clearSearchButton);
+      await this.clickElement(this.locators.clearSearchButton);
       await this.waitForNetworkIdle();
     }
   }
@@ -127,12 +229,12 @@ class ProductCatalogPage extends BasePage {
    */
   async filterByPriceRange(minPrice, maxPrice) {
     if (minPrice !== undefined) {
-      await this.fillInput(this.selectors.minPriceInput, minPrice.toString());
+      await this.fillInput(this.locators.minPriceInput, minPrice.toString());
     }
     if (maxPrice !== undefined) {
-      await this.fillInput(this.selectors.maxPriceInput, maxPrice.toString());
+      await this.fillInput(this.locators.maxPriceInput, maxPrice.toString());
     }
-    await this.clickElement(this.selectors.applyPriceFilter);
+    await this.clickElement(this.locators.applyPriceFilter);
     await this.waitForNetworkIdle();
   }
 
@@ -169,7 +271,7 @@ class ProductCatalogPage extends BasePage {
    * Switch to grid view
    */
   async switchToGridView() {
-    await this.clickElement(this.selectors.gridViewButton);
+    await this.clickElement(this.locators.gridViewButton);
     await this.page.waitForTimeout(500);
   }
 
@@ -177,7 +279,7 @@ class ProductCatalogPage extends BasePage {
    * Switch to list view
    */
   async switchToListView() {
-    await this.clickElement(this.selectors.listViewButton);
+    await this.clickElement(this.locators.listViewButton);
     await this.page.waitForTimeout(500);
   }
 
@@ -256,14 +358,14 @@ class ProductCatalogPage extends BasePage {
 
     const quickViewButton = products[index].locator(this.selectors.quickViewButton);
     await quickViewButton.click();
-    await this.waitForElement(this.selectors.quickViewModal);
+    await this.waitForElement(this.locators.quickViewModal);
   }
 
   /**
    * Close quick view modal
    */
   async closeQuickView() {
-    await this.clickElement(this.selectors.quickViewClose);
+    await this.clickElement(this.locators.quickViewClose);
     await this.waitForElementToDisappear(this.selectors.quickViewModal);
   }
 
@@ -271,7 +373,7 @@ class ProductCatalogPage extends BasePage {
    * Add to cart from quick view
    */
   async addToCartFromQuickView() {
-    await this.clickElement(this.selectors.quickViewAddToCart);
+    await this.clickElement(this.locators.quickViewAddToCart);
     await this.waitForNetworkIdle();
   }
 
@@ -295,7 +397,7 @@ class ProductCatalogPage extends BasePage {
    */
   async goToNextPage() {
     if (await this.isElementVisible(this.selectors.nextPageButton)) {
-      await this.clickElement(this.selectors.nextPageButton);
+      await this.clickElement(this.locators.nextPageButton);
       await this.waitForNetworkIdle();
     }
   }
@@ -305,7 +407,7 @@ class ProductCatalogPage extends BasePage {
    */
   async goToPreviousPage() {
     if (await this.isElementVisible(this.selectors.previousPageButton)) {
-      await this.clickElement(this.selectors.previousPageButton);
+      await this.clickElement(this.locators.previousPageButton);
       await this.waitForNetworkIdle();
     }
   }
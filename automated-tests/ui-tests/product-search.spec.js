@@ -3,7 +3,7 @@
  * Comprehensive tests for product search and filtering functionality
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('./fixtures');
 const ProductCatalogPage = require('./pages/ProductCatalogPage');
 const TestDataHelper = require('../../test-data/TestDataHelper');
 
@@ -19,12 +19,17 @@ test.describe('Product Search and Filtering Tests', () => {
     testDataHelper.cleanupTestSuite();
   });
 
+  // eslint-disable-next-line no-empty-pattern
+  test.beforeEach(async ({}, testInfo) => {
+    testDataHelper.initializeTest(testInfo);
+  });
+
   test.afterEach(async ({ page }, testInfo) => {
     testDataHelper.cleanupTestData(testInfo.title);
   });
 
   test.describe('Product Search Functionality', () => {
-    test('should search products by name successfully', async ({ page }) => {
+    test('should search products by name successfully @TC-SEARCH-001', async ({ page }) => {
       const searchData = testDataHelper.getTestData('products', 'searchTestData');
       const headphonesSearch = searchData.find((s) => s.searchTerm === 'headphones');
 
@@ -0,0 +1,113 @@
+/**
+ * Resilience Test Suite
+ * Degraded-mode behaviour driven by the reference shop's fault injection.
+ * Runs only against the local shop: TEST_ENV=local npm run test:local
+ */
+
+const { test, expect } = require('./fixtures');
+const { ProductCatalogPage } = require('./pages/ProductCatalogPage');
+const { ShoppingCartPage } = require('./pages/ShoppingCartPage');
+const { CheckoutPage } = require('./pages/CheckoutPage');
+const TestDataHelper = require('../../test-data/TestDataHelper');
+
+test.describe('Resilience Under Injected Faults', () => {
+  test.skip(process.env.TEST_ENV !== 'local', 'Fault injection needs the local reference shop');
+
+  test('shows an error page when the cart service returns 503', async ({ page, faults }) => {
+    await faults.serverError('/cart', 503, { method: 'GET' });
+
+    const response = await page.goto('/cart');
+
+    expect(response.status()).toBe(503);
+    await expect(page.locator('[data-testid="error-message"]')).toContainText(
+      'temporarily unavailable'
+    );
+  });
+
+  test('promo code form reports a failing promotions service', async ({ page, faults }) => {
+    const catalogPage = new ProductCatalogPage(page);
+    const cartPage = new ShoppingCartPage(page);
+    await catalogPage.navigateToProductCatalog();
+    await catalogPage.addProductToCart(0);
+    await faults.serverError('/cart/promo', 503, { method: 'POST' });
+
+    await cartPage.navigateToCart();
+    await cartPage.applyPromoCode('SAVE10');
+
+    // Faulted form posts are sent back to the form with the error, next to the promo field
+    await cartPage.validatePromoCodeError('temporarily unavailable');
+  });
+
+  test('checkout reports a failing order service', async ({ page, faults }, testInfo) => {
+    const testDataHelper = new TestDataHelper('development');
+    testDataHelper.initializeTest(testInfo);
+    const { shippingAddress } = testDataHelper.getCheckoutData('successfulCheckout');
+    const catalogPage = new ProductCatalogPage(page);
+    const cartPage = new ShoppingCartPage(page);
+    const checkoutPage = new CheckoutPage(page);
+    await catalogPage.navigateToProductCatalog();
+    await catalogPage.addProductToCart(0);
+    await cartPage.navigateToCart();
+    await cartPage.proceedToCheckout();
+    await faults.serverError('/checkout', 503, { method: 'POST' });
+
+    await checkoutPage.completeCheckout({
+      shippingAddress,
+      paymentInfo: testDataHelper.getPaymentMethodData('visa'),
+    });
+
+    await checkoutPage.validateCheckoutError('temporarily unavailable');
+    expect(page.url()).toContain('/checkout');
+  });
+
+  test('catalog still renders under injected latency', async ({ page, faults }) => {
+    await faults.latency('/products', 1500, { method: 'GET' });
+
+    const start = Date.now();
+    await page.goto('/products');
+    const duration = Date.now() - start;
+
+    expect(duration).toBeGreaterThanOrEqual(1500);
+    await expect(page.locator('[data-testid="product-item"]').first()).toBeVisible();
+  });
+
+  test('API clients see malformed JSON as a parse failure', async ({ page, faults }) => {
+    await faults.malformedJson('/api/products');
+
+    const response = await page.request.get('/api/products');
+
+    expect(response.status()).toBe(200);
+    await expect(response.json()).rejects.toThrow();
+  });
+
+  test('rate-limited API calls return 429 with Retry-After', async ({ page, faults }) => {
+    await faults.rateLimit('/api/products*', 30);
+
+    const response = await page.request.get('/api/products/1');
+
+    expect(response.status()).toBe(429);
+    expect(response.headers()['retry-after']).toBe('30');
+  });
+
+  test('dropped connections surface as request errors', async ({ page, faults }) => {
+    await faults.dropConnection('/api/health');
+
+    await expect(page.request.get('/api/health')).rejects.toThrow();
+  });
+
+  test('faults fire a limited number of times', async ({ page, faults }) => {
+    await faults.serverError('/api/products/categories', 500, { times: 1 });
+
+    expect((await page.request.get('/api/products/categories')).status()).toBe(500);
+    expect((await page.request.get('/api/products/categories')).status()).toBe(200);
+  });
+
+  test('faults are isolated to the arming test', async ({ request, faults }) => {
+    await faults.serverError('/api/health', 500);
+
+    // The shared request fixture does not carry this test's fault scope header
+    const response = await request.get('/api/health');
+
+    expect(response.status()).toBe(200);
+  });
+});
@@ -3,7 +3,8 @@
  * Comprehensive tests for responsive design across different device viewports
  */
 
-const { test, expect, devices } = require('@playwright/test');
+const { devices } = require('@playwright/test');
+const { test, expect } = require('./fixtures');
 const ProductCatalogPage = require('./pages/ProductCatalogPage');
 const ShoppingCartPage = require('./pages/ShoppingCartPage');
 const CheckoutPage = require('./pages/CheckoutPage');
@@ -33,6 +34,11 @@ test.describe('Responsive Design Tests', () => {
     testDataHelper.cleanupTestSuite();
   });
 
+  // eslint-disable-next-line no-empty-pattern
+  test.beforeEach(async ({}, testInfo) => {
+    testDataHelper.initializeTest(testInfo);
+  });
+
   test.afterEach(async ({ page }, testInfo) => {
     testDataHelper.cleanupTestData(testInfo.title);
   });
@@ -3,7 +3,7 @@
  * Comprehensive tests for shopping cart functionality including add, remove, and update operations
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('./fixtures');
 const ProductCatalogPage = require('./pages/ProductCatalogPage');
 const ShoppingCartPage = require('./pages/ShoppingCartPage');
 const TestDataHelper = require('../../test-data/TestDataHelper');
@@ -20,12 +20,17 @@ test.describe('Shopping Cart Tests', () => {
     testDataHelper.cleanupTestSuite();
   });
 
+  // eslint-disable-next-line no-empty-pattern
+  test.beforeEach(async ({}, testInfo) => {
+    testDataHelper.initializeTest(testInfo);
+  });
+
   test.afterEach(async ({ page }, testInfo) => {
     testDataHelper.cleanupTestData(testInfo.title);
   });
 
   test.describe('Add to Cart Functionality', () => {
-    test('should add single product to cart', async ({ page }) => {
+    test('should add single product to cart @TC-CART-001', async ({ page }) => {
       const singleItemScenario = testDataHelper.getCartData('singleItem');
       const catalogPage = new ProductCatalogPage(page);
       const cartPage = new ShoppingCartPage(page);
@@ -191,7 +196,7 @@ test.describe('Shopping Cart Tests', () => {
   });
 
   test.describe('Update Cart Functionality', () => {
-    test('should update product quantity in cart', async ({ page }) => {
+    test('should update product quantity in cart @TC-CART-002', async ({ page }) => {
       const quantityUpdateScenario = testDataHelper.getCartData('quantityUpdates');
       const catalogPage = new ProductCatalogPage(page);
       const cartPage = new ShoppingCartPage(page);
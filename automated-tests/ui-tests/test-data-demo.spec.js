@@ -3,7 +3,7 @@
  * Demonstrates the usage of the test data management system
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('./fixtures');
 const TestDataHelper = require('../../test-data/TestDataHelper');
 
 // Initialize test data helper
@@ -19,6 +19,11 @@ test.describe('Test Data Management System Demo', () => {
     testDataHelper.cleanupTestSuite();
   });
 
+  // eslint-disable-next-line no-empty-pattern
+  test.beforeEach(async ({}, testInfo) => {
+    testDataHelper.initializeTest(testInfo);
+  });
+
   test.afterEach(async ({ page }, testInfo) => {
     testDataHelper.cleanupTestData(testInfo.title);
   });
@@ -6,6 +6,7 @@
 const { expect } = require('@playwright/test');
 const fs = require('fs');
 const path = require('path');
+const AuthStateCache = require('./utils/AuthStateCache');
 
 class TestSetup {
   constructor(page, context) {
@@ -153,6 +154,43 @@ class TestSetup {
     console.log('✅ Logged in via UI');
   }
 
+  /**
+   * Log in through the backend by posting the login form over HTTP. The session cookie is
+   * stored in this browser context, so the next navigation is signed in.
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @param {Object} options - { baseURL, loginPath }; pass the project's baseURL fixture
+   */
+  async loginViaApi(email, password, options = {}) {
+    await AuthStateCache.sessionLogin(
+      this.context.request,
+      { email, password },
+      {
+        baseURL: options.baseURL || process.env.BASE_URL || 'http://localhost:3000',
+        loginPath: options.loginPath || process.env.AUTH_LOGIN_PATH || '/login',
+      }
+    );
+    console.log('✅ Logged in via API');
+  }
+
+  /**
+   * Sign this browser context in with a cached storageState file
+   * @param {string} statePath - storageState written by AuthStateCache
+   */
+  async applyStorageState(statePath) {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    await this.context.addCookies(state.cookies);
+
+    if (state.origins.length > 0) {
+      await this.context.addInitScript((origins) => {
+        const entry = origins.find((origin) => origin.origin === window.location.origin);
+        (entry?.localStorage || []).forEach(({ name, value }) => {
+          window.localStorage.setItem(name, value);
+        });
+      }, state.origins);
+    }
+  }
+
   /**
    * Log out via UI (fallback to clearing browser data)
    */
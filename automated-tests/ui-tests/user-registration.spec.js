@@ -3,10 +3,11 @@
  * Comprehensive tests for user registration functionality including positive and negative scenarios
  */
 
-const { test, expect } = require('@playwright/test');
-const RegistrationPage = require('./pages/RegistrationPage');
-const LoginPage = require('./pages/LoginPage');
+const { test, expect } = require('./fixtures');
+const { RegistrationPage } = require('./pages/RegistrationPage');
+const { LoginPage } = require('./pages/LoginPage');
 const TestDataHelper = require('../../test-data/TestDataHelper');
+const { localesUnderTest } = require('../../test-data/generators/locales');
 
 let testDataHelper;
 
@@ -20,12 +21,19 @@ test.describe('User Registration Tests', () => {
     testDataHelper.cleanupTestSuite();
   });
 
+  // eslint-disable-next-line no-empty-pattern
+  test.beforeEach(async ({}, testInfo) => {
+    testDataHelper.initializeTest(testInfo);
+  });
+
   test.afterEach(async ({ page }, testInfo) => {
     testDataHelper.cleanupTestData(testInfo.title);
   });
 
   test.describe('Positive Registration Scenarios', () => {
-    test('should successfully register a new user with valid data', async ({ page }) => {
+    test('should successfully register a new user with valid data @TC-AUTH-001', async ({
+      page,
+    }) => {
       const userData = testDataHelper.getUserData('valid', 0);
       const registrationPage = new RegistrationPage(page);
 
@@ -108,6 +116,31 @@ test.describe('User Registration Tests', () => {
     });
   });
 
+  test.describe('Internationalized Registration', () => {
+    for (const locale of localesUnderTest()) {
+      test(`should register a ${locale} user with localized name and phone`, async ({ page }) => {
+        const userData = testDataHelper.generateUniqueData('user', {}, { locale });
+        const registrationPage = new RegistrationPage(page);
+        const loginPage = new LoginPage(page);
+
+        await registrationPage.navigateToRegistrationPage();
+        await registrationPage.registerUser(userData);
+        await registrationPage.validateSuccessfulRegistration();
+
+        // Names must survive the round trip without mangled diacritics or scripts
+        await loginPage.navigateToLoginPage();
+        await loginPage.login(userData.email, userData.password);
+        await loginPage.validateSuccessfulLogin();
+        const profile = await page.request.get('/api/users/profile');
+        expect(profile.ok()).toBe(true);
+        expect(await profile.json()).toMatchObject({
+          firstName: userData.firstName,
+          lastName: userData.lastName,
+        });
+      });
+    }
+  });
+
   test.describe('Negative Registration Scenarios', () => {
     test('should show validation errors for empty required fields', async ({ page }) => {
       const registrationPage = new RegistrationPage(page);
@@ -0,0 +1,296 @@
+/**
+ * Auth State Cache
+ * Logs user roles in through the backend instead of the login form and caches the resulting
+ * Playwright storageState per role under .auth/<environment>/, so every worker reuses one
+ * session per role. Cached states expire after AUTH_STATE_TTL_MINUTES (default 30), when their
+ * cookies expire, when they were created for another base URL, or when the server no longer
+ * accepts the session.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { request } = require('@playwright/test');
+
+const DEFAULT_CACHE_DIR = '.auth';
+const DEFAULT_TTL_MINUTES = 30;
+// Treat states about to expire as expired so a test never starts with a dying session
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const LOCK_STALE_MS = 30 * 1000;
+const USERS_FIXTURE = path.join(__dirname, '..', '..', '..', 'test-data', 'fixtures', 'users.json');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class AuthStateCache {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.baseURL - Application base URL (default BASE_URL or localhost)
+   * @param {string} options.environment - Cache key (default TEST_ENV or development)
+   * @param {string} options.dir - Cache root (default AUTH_STATE_DIR or .auth)
+   * @param {number} options.ttlMinutes - Maximum age of a cached state
+   * @param {string} options.loginPath - Login form path (default /login)
+   * @param {string} options.verifyPath - Page that needs a login (default /profile)
+   */
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || process.env.BASE_URL || 'http://localhost:3000';
+    this.environment = options.environment || process.env.TEST_ENV || 'development';
+    this.dir = path.join(
+      options.dir || process.env.AUTH_STATE_DIR || DEFAULT_CACHE_DIR,
+      this.environment
+    );
+    this.ttlMs =
+      (options.ttlMinutes ||
+        parseFloat(process.env.AUTH_STATE_TTL_MINUTES || '') ||
+        DEFAULT_TTL_MINUTES) *
+      60 *
+      1000;
+    this.loginPath = options.loginPath || process.env.AUTH_LOGIN_PATH || '/login';
+    this.verifyPath = options.verifyPath || process.env.AUTH_VERIFY_PATH || '/profile';
+  }
+
+  /**
+   * Login path of an environment that supports backend login: AUTH_LOGIN_PATH, or the
+   * environment config's `auth.loginPath` (Playwright config metadata)
+   * @param {Object} metadata - Playwright config metadata
+   * @returns {string|null} Login path, or null when backend login is not configured
+   */
+  static configuredLoginPath(metadata = {}) {
+    return process.env.AUTH_LOGIN_PATH || metadata?.auth?.loginPath || null;
+  }
+
+  /**
+   * Roles defined in test-data/fixtures/users.json
+   * @returns {string[]} Role names
+   */
+  static roles() {
+    try {
+      return Object.keys(JSON.parse(fs.readFileSync(USERS_FIXTURE, 'utf8')).roles || {});
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Credentials for a role. AUTH_<ROLE>_EMAIL and AUTH_<ROLE>_PASSWORD override the fixture.
+   * @param {string} role - Role name, e.g. customer or admin
+   * @returns {Object} { role, email, password }
+   */
+  static credentials(role) {
+    let fixture = {};
+    try {
+      fixture = JSON.parse(fs.readFileSync(USERS_FIXTURE, 'utf8')).roles?.[role] || {};
+    } catch {
+      // Fall through to environment variables
+    }
+
+    const prefix = `AUTH_${role.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const email = process.env[`${prefix}_EMAIL`] || fixture.email;
+    const password = process.env[`${prefix}_PASSWORD`] || fixture.password;
+    if (!email || !password) {
+      throw new Error(
+        `No credentials for role "${role}". Add it to users.json roles or set ${prefix}_EMAIL/${prefix}_PASSWORD`
+      );
+    }
+    return { role, email, password };
+  }
+
+  /**
+   * Log in by posting the login form over HTTP, without rendering it. Works with any
+   * APIRequestContext, including BrowserContext.request, whose cookies the browser shares.
+   * @param {APIRequestContext} requestContext - Request context
+   * @param {Object} credentials - { email, password }
+   * @param {Object} options - Options
+   * @param {string} options.baseURL - Application base URL
+   * @param {string} options.loginPath - Login form path
+   */
+  static async sessionLogin(requestContext, { email, password }, options = {}) {
+    const loginURL = new URL(options.loginPath || '/login', options.baseURL).toString();
+
+    // The GET starts a session and renders the CSRF token the POST must echo
+    const form = await requestContext.get(loginURL, { timeout: 10000 });
+    const csrf = (await form.text()).match(/name="_csrf"\s+value="([^"]*)"/);
+
+    const response = await requestContext.post(loginURL, {
+      form: { email, password, ...(csrf ? { _csrf: csrf[1] } : {}) },
+      maxRedirects: 0,
+    });
+    const location = response.headers().location || '';
+    if (response.status() < 300 || response.status() >= 400 || /login/.test(location)) {
+      throw new Error(`Login failed for ${email}: HTTP ${response.status()}`);
+    }
+  }
+
+  paths(role) {
+    return {
+      state: path.join(this.dir, `${role}.json`),
+      meta: path.join(this.dir, `${role}.meta.json`),
+      lock: path.join(this.dir, `${role}.lock`),
+    };
+  }
+
+  /**
+   * Read a cached state
+   * @param {string} role - Role name
+   * @returns {Object|null} { statePath, state, meta } or null when nothing is cached
+   */
+  read(role) {
+    const paths = this.paths(role);
+    try {
+      return {
+        statePath: paths.state,
+        state: JSON.parse(fs.readFileSync(paths.state, 'utf8')),
+        meta: JSON.parse(fs.readFileSync(paths.meta, 'utf8')),
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Why a cached state can no longer be used, or null when it is still fresh
+   * @param {Object|null} cached - Result of read()
+   * @param {number} now - Current time in ms
+   * @returns {string|null} Reason
+   */
+  staleReason(cached, now = Date.now()) {
+    if (!cached) return 'not cached';
+    if (cached.meta.baseURL !== this.baseURL) return `cached for ${cached.meta.baseURL}`;
+    if (Date.parse(cached.meta.expiresAt) - EXPIRY_MARGIN_MS <= now) return 'expired';
+    return null;
+  }
+
+  /**
+   * Whether the server still accepts a stored session, e.g. after the app restarted
+   * @param {string} statePath - storageState file
+   * @returns {Promise<boolean>} True when the verify page renders without redirecting to login
+   */
+  async verify(statePath) {
+    const context = await request.newContext({ baseURL: this.baseURL, storageState: statePath });
+    try {
+      const response = await context.get(this.verifyPath, { maxRedirects: 0 });
+      return response.ok();
+    } catch {
+      return false;
+    } finally {
+      await context.dispose();
+    }
+  }
+
+  /**
+   * Log a role in through the backend and cache its storageState
+   * @param {string} role - Role name
+   * @returns {Promise<string>} storageState file
+   */
+  async refresh(role) {
+    const credentials = AuthStateCache.credentials(role);
+    const context = await request.newContext({ baseURL: this.baseURL });
+
+    try {
+      await AuthStateCache.sessionLogin(context, credentials, {
+        baseURL: this.baseURL,
+        loginPath: this.loginPath,
+      });
+      const state = await context.storageState();
+
+      // Session cookies (expires -1) only end with the TTL
+      const now = Date.now();
+      const cookieExpiries = state.cookies
+        .filter((cookie) => cookie.expires > 0)
+        .map((cookie) => cookie.expires * 1000);
+      const expiresAt = Math.min(now + this.ttlMs, ...cookieExpiries);
+
+      const paths = this.paths(role);
+      AuthStateCache.writeAtomic(paths.state, state);
+      AuthStateCache.writeAtomic(paths.meta, {
+        role,
+        email: credentials.email,
+        baseURL: this.baseURL,
+        environment: this.environment,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString(),
+      });
+      console.log(`🔐 Cached ${role} session for ${this.environment}`);
+      return paths.state;
+    } finally {
+      await context.dispose();
+    }
+  }
+
+  /**
+   * Return a usable storageState file for a role, logging in only when the cached one is
+   * missing or stale. Workers serialize on a lock file so only one of them logs in.
+   * @param {string} role - Role name
+   * @param {Object} options - Options
+   * @param {boolean} options.verify - Also ask the server whether the session is still valid
+   * @returns {Promise<string>} storageState file
+   */
+  async ensure(role, options = {}) {
+    const isUsable = async () => {
+      const cached = this.read(role);
+      if (this.staleReason(cached)) return null;
+      if (options.verify && !(await this.verify(cached.statePath))) return null;
+      return cached.statePath;
+    };
+
+    const statePath = await isUsable();
+    if (statePath) return statePath;
+
+    return this.withLock(role, async () => (await isUsable()) || this.refresh(role));
+  }
+
+  /**
+   * Prepare cached states for several roles, e.g. from global setup
+   * @param {string[]} roles - Role names (default every role in users.json)
+   * @returns {Promise<Object>} { ready: [role], failed: [{ role, error }] }
+   */
+  async prepare(roles = AuthStateCache.roles()) {
+    const result = { ready: [], failed: [] };
+    for (const role of roles) {
+      try {
+        await this.ensure(role, { verify: true });
+        result.ready.push(role);
+      } catch (error) {
+        result.failed.push({ role, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  async withLock(role, callback) {
+    const lockPath = this.paths(role).lock;
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        // A worker that died while holding the lock must not block the rest forever
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) fs.rmSync(lockPath);
+        } catch {
+          // Lock released in the meantime
+        }
+        await sleep(200);
+      }
+    }
+
+    try {
+      return await callback();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Write JSON via a temporary file so readers in other workers never see a partial file
+   */
+  static writeAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(data, null, 2));
+    fs.renameSync(temp, file);
+  }
+}
+
+module.exports = AuthStateCache;
@@ -0,0 +1,193 @@
+/**
+ * DOM Snapshot Diff
+ * Compares two layout snapshots captured by VisualTestUtils.captureDomSnapshot and explains
+ * what changed: elements that moved, resized, were restyled, changed text, appeared or went
+ * missing. Moves that only follow a moved parent, and children of added or missing elements,
+ * are folded into the change that caused them.
+ */
+
+const CHANGE_TYPES = ['missing', 'added', 'moved', 'resized', 'restyled', 'text'];
+
+class DomSnapshotDiff {
+  /**
+   * Diff two snapshots
+   * @param {Object} baseline - Baseline snapshot `{ elements: [...] }`
+   * @param {Object} actual - Actual snapshot
+   * @param {Object} options - Options
+   * @param {number} options.positionTolerance - Pixels an element may shift unreported (default 1)
+   * @param {number} options.sizeTolerance - Pixels an element may grow or shrink unreported (default 1)
+   * @returns {Object} { changes, summary, message }
+   */
+  static diff(baseline, actual, options = {}) {
+    const positionTolerance = options.positionTolerance ?? 1;
+    const sizeTolerance = options.sizeTolerance ?? 1;
+    const before = new Map(baseline.elements.map((element) => [element.key, element]));
+    const after = new Map(actual.elements.map((element) => [element.key, element]));
+    const changes = [];
+    const moves = new Map();
+
+    for (const [key, old] of before) {
+      const current = after.get(key);
+      if (!current) {
+        // Only report the outermost missing element
+        if (!before.has(old.parent) || after.has(old.parent)) {
+          changes.push({ type: 'missing', key, tag: old.tag, before: old.box });
+        }
+        continue;
+      }
+
+      const dx = current.box.x - old.box.x;
+      const dy = current.box.y - old.box.y;
+      if (Math.abs(dx) > positionTolerance || Math.abs(dy) > positionTolerance) {
+        moves.set(key, { dx, dy });
+      }
+
+      const dw = current.box.width - old.box.width;
+      const dh = current.box.height - old.box.height;
+      if (Math.abs(dw) > sizeTolerance || Math.abs(dh) > sizeTolerance) {
+        changes.push({
+          type: 'resized',
+          key,
+          tag: current.tag,
+          before: old.box,
+          after: current.box,
+          delta: { width: dw, height: dh },
+        });
+      }
+
+      const properties = Object.keys({ ...old.styles, ...current.styles }).filter(
+        (property) => old.styles[property] !== current.styles[property]
+      );
+      if (properties.length > 0) {
+        changes.push({
+          type: 'restyled',
+          key,
+          tag: current.tag,
+          properties: properties.map((property) => ({
+            property,
+            before: old.styles[property],
+            after: current.styles[property],
+          })),
+        });
+      }
+
+      if (old.text !== current.text) {
+        changes.push({
+          type: 'text',
+          key,
+          tag: current.tag,
+          before: old.text,
+          after: current.text,
+        });
+      }
+    }
+
+    for (const [key, current] of after) {
+      if (!before.has(key) && (!after.has(current.parent) || before.has(current.parent))) {
+        changes.push({ type: 'added', key, tag: current.tag, after: current.box });
+      }
+    }
+
+    changes.push(...DomSnapshotDiff.explainMoves(moves, before, after, changes));
+    changes.sort((a, b) => CHANGE_TYPES.indexOf(a.type) - CHANGE_TYPES.indexOf(b.type));
+
+    const summary = Object.fromEntries(CHANGE_TYPES.map((type) => [type, 0]));
+    changes.forEach((change) => summary[change.type]++);
+
+    return { changes, summary, message: DomSnapshotDiff.describe(changes, summary) };
+  }
+
+  /**
+   * Turn raw moves into `moved` changes. A move equal to the nearest moved ancestor's is
+   * inherited and dropped; a move following a resized, added or missing earlier sibling
+   * (or ancestor's sibling) names that change as its likely cause.
+   */
+  static explainMoves(moves, before, after, changes) {
+    const causes = new Map(
+      changes
+        .filter((change) => ['resized', 'added', 'missing'].includes(change.type))
+        .map((change) => [change.key, change])
+    );
+    const order = new Map([...after.keys()].map((key, index) => [key, index]));
+    const beforeOrder = new Map([...before.keys()].map((key, index) => [key, index]));
+    const moved = [];
+
+    for (const [key, delta] of moves) {
+      const element = after.get(key);
+
+      let ancestor = after.get(element.parent);
+      while (ancestor && !moves.has(ancestor.key)) ancestor = after.get(ancestor.parent);
+      if (ancestor) {
+        const parentDelta = moves.get(ancestor.key);
+        if (parentDelta.dx === delta.dx && parentDelta.dy === delta.dy) continue;
+      }
+
+      const change = {
+        type: 'moved',
+        key,
+        tag: element.tag,
+        before: before.get(key).box,
+        after: element.box,
+        delta: { x: delta.dx, y: delta.dy },
+      };
+
+      // Look for a layout change earlier in the same container, walking up the tree
+      for (let node = element; node && !change.likelyCause; node = after.get(node.parent)) {
+        const cause = [...causes.values()].find((candidate) => {
+          const source = after.get(candidate.key) || before.get(candidate.key);
+          const index =
+            candidate.type === 'missing'
+              ? beforeOrder.get(candidate.key)
+              : order.get(candidate.key);
+          const nodeIndex =
+            candidate.type === 'missing' ? beforeOrder.get(node.key) : order.get(node.key);
+          return source.parent === node.parent && index < nodeIndex;
+        });
+        if (cause) change.likelyCause = { type: cause.type, key: cause.key };
+      }
+
+      moved.push(change);
+    }
+
+    return moved;
+  }
+
+  static describe(changes, summary) {
+    if (changes.length === 0) return 'Layout matches baseline';
+    const counts = CHANGE_TYPES.filter((type) => summary[type] > 0)
+      .map((type) => `${summary[type]} ${type === 'text' ? 'text changed' : type}`)
+      .join(', ');
+    const details = changes.slice(0, 5).map(DomSnapshotDiff.describeChange).join('; ');
+    return `${counts}: ${details}${changes.length > 5 ? '; …' : ''}`;
+  }
+
+  /**
+   * One-line explanation of a change
+   * @param {Object} change - Change from diff()
+   * @returns {string} e.g. `[data-testid="cart"] moved by (0, +24)px after header resized`
+   */
+  static describeChange(change) {
+    const signed = (value) => (value > 0 ? `+${value}` : String(value));
+    switch (change.type) {
+      case 'moved': {
+        const cause = change.likelyCause
+          ? ` after ${change.likelyCause.key} ${change.likelyCause.type === 'missing' ? 'went missing' : change.likelyCause.type}`
+          : '';
+        return `${change.key} moved by (${signed(change.delta.x)}, ${signed(change.delta.y)})px${cause}`;
+      }
+      case 'resized':
+        return `${change.key} resized by ${signed(change.delta.width)}x${signed(change.delta.height)}px`;
+      case 'restyled':
+        return `${change.key} restyled (${change.properties
+          .map((p) => `${p.property}: ${p.before} → ${p.after}`)
+          .join(', ')})`;
+      case 'text':
+        return `${change.key} text "${change.before}" → "${change.after}"`;
+      default:
+        return `${change.key} ${change.type}`;
+    }
+  }
+}
+
+module.exports = DomSnapshotDiff;
+module.exports.CHANGE_TYPES = CHANGE_TYPES;
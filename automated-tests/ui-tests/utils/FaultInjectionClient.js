@@ -0,0 +1,106 @@
+/**
+ * Fault Injection Client
+ * Arms and disarms faults on the local reference shop's /__admin control plane.
+ * Faults armed with a scope only affect requests sending the matching X-Fault-Scope
+ * header, so parallel workers sharing one shop do not see each other's faults.
+ */
+
+const SCOPE_HEADER = 'X-Fault-Scope';
+
+class FaultInjectionClient {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} request - Request context for the shop
+   * @param {object} options - Options
+   * @param {string} options.scope - Scope applied to every fault armed by this client
+   * @param {string} options.adminToken - Value for X-Admin-Token when the shop requires one
+   */
+  constructor(request, options = {}) {
+    this.request = request;
+    this.scope = options.scope || null;
+    this.headers = options.adminToken ? { 'X-Admin-Token': options.adminToken } : {};
+    this.armed = [];
+  }
+
+  static get SCOPE_HEADER() {
+    return SCOPE_HEADER;
+  }
+
+  /**
+   * Headers to send on requests that should see this client's faults
+   */
+  get scopeHeaders() {
+    return this.scope ? { [SCOPE_HEADER]: this.scope } : {};
+  }
+
+  /**
+   * Arm a fault
+   * @param {object} spec - { route, type, method, status, delayMs, retryAfter, probability, times }
+   * @returns {Promise<object>} Armed fault
+   */
+  async arm(spec) {
+    const response = await this.request.post('/__admin/faults', {
+      headers: this.headers,
+      data: { scope: this.scope || undefined, ...spec },
+    });
+    const body = await response.json();
+    if (!response.ok()) {
+      throw new Error(`Failed to arm ${spec.type} fault on ${spec.route}: ${body.message}`);
+    }
+    this.armed.push(body.id);
+    console.log(`💥 Armed ${body.type} fault on ${body.method} ${body.route}`);
+    return body;
+  }
+
+  latency(route, delayMs, options = {}) {
+    return this.arm({ ...options, route, type: 'latency', delayMs });
+  }
+
+  serverError(route, status = 503, options = {}) {
+    return this.arm({ ...options, route, type: 'error', status });
+  }
+
+  timeout(route, options = {}) {
+    return this.arm({ ...options, route, type: 'timeout' });
+  }
+
+  malformedJson(route, options = {}) {
+    return this.arm({ ...options, route, type: 'malformed-json' });
+  }
+
+  dropConnection(route, options = {}) {
+    return this.arm({ ...options, route, type: 'drop' });
+  }
+
+  rateLimit(route, retryAfter = 60, options = {}) {
+    return this.arm({ ...options, route, type: 'rate-limit', retryAfter });
+  }
+
+  /**
+   * Disarm one fault armed by this client
+   * @param {string|object} fault - Fault id or armed fault
+   */
+  async disarm(fault) {
+    const id = typeof fault === 'string' ? fault : fault.id;
+    await this.request.delete(`/__admin/faults/${id}`, { headers: this.headers });
+    this.armed = this.armed.filter((armedId) => armedId !== id);
+  }
+
+  /**
+   * Disarm every fault this client armed
+   */
+  async disarmAll() {
+    for (const id of [...this.armed]) {
+      await this.disarm(id);
+    }
+  }
+
+  /**
+   * List faults currently armed on the shop
+   */
+  async list() {
+    const response = await this.request.get('/__admin/faults', { headers: this.headers });
+    return response.json();
+  }
+}
+
+module.exports = FaultInjectionClient;
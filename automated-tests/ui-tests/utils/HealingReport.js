@@ -0,0 +1,192 @@
+/**
+ * Locator Healing Report
+ * Collects the events LocatorResolver records whenever a page object's primary selector misses
+ * and a fallback finds the element instead, and summarizes them per broken selector with the
+ * locator to replace it with, so selectors can be updated in bulk.
+ *
+ * Usage:
+ *   node automated-tests/ui-tests/utils/HealingReport.js [--dir <dir>] [--reset]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REPORT_DIR = path.join('reports', 'healing');
+const EVENTS_FILE = 'healing-events.jsonl';
+
+class HealingReport {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.dir - Report directory (default: HEALING_REPORT_DIR or reports/healing)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.HEALING_REPORT_DIR || DEFAULT_REPORT_DIR;
+    this.eventsPath = path.join(this.dir, EVENTS_FILE);
+  }
+
+  /**
+   * Append one healing event. Events are stored as JSON lines so parallel workers can share
+   * the file.
+   * @param {Object} event - Event from LocatorResolver
+   */
+  record(event) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.eventsPath, `${JSON.stringify(event)}\n`);
+  }
+
+  /**
+   * Read all recorded events, skipping lines that fail to parse
+   * @returns {Array<Object>} Events in recording order
+   */
+  load() {
+    if (!fs.existsSync(this.eventsPath)) return [];
+    return fs
+      .readFileSync(this.eventsPath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  /**
+   * Group events by page object and primary selector
+   * @param {Array<Object>} events - Healing events
+   * @returns {Array<Object>} `{ owner, element, primary, occurrences, firstSeen, lastSeen, urls,
+   *   matches, suggestion }`, most frequent first
+   */
+  static summarize(events) {
+    const groups = new Map();
+
+    for (const event of events) {
+      const key = `${event.owner}\u0000${event.primary}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          owner: event.owner,
+          element: event.element,
+          primary: event.primary,
+          occurrences: 0,
+          firstSeen: event.timestamp,
+          lastSeen: event.timestamp,
+          urls: [],
+          matches: {},
+        });
+      }
+
+      const group = groups.get(key);
+      group.occurrences++;
+      if (event.timestamp < group.firstSeen) group.firstSeen = event.timestamp;
+      if (event.timestamp > group.lastSeen) group.lastSeen = event.timestamp;
+      if (event.url && !group.urls.includes(event.url)) group.urls.push(event.url);
+      group.matches[event.suggestion] = (group.matches[event.suggestion] || 0) + 1;
+    }
+
+    return [...groups.values()]
+      .map((group) => ({
+        ...group,
+        // The fallback that matched most often is the safest replacement
+        suggestion: Object.entries(group.matches).sort((a, b) => b[1] - a[1])[0][0],
+      }))
+      .sort((a, b) => b.occurrences - a.occurrences);
+  }
+
+  /**
+   * Write healing-report.json and healing-report.md next to the events file
+   * @returns {Object} { summary, jsonPath, markdownPath }
+   */
+  generate() {
+    const events = this.load();
+    const summary = HealingReport.summarize(events);
+    const jsonPath = path.join(this.dir, 'healing-report.json');
+    const markdownPath = path.join(this.dir, 'healing-report.md');
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(
+      jsonPath,
+      JSON.stringify(
+        { generatedAt: new Date().toISOString(), totalEvents: events.length, selectors: summary },
+        null,
+        2
+      )
+    );
+    fs.writeFileSync(markdownPath, HealingReport.toMarkdown(summary, events.length));
+
+    return { summary, jsonPath, markdownPath };
+  }
+
+  static toMarkdown(summary, totalEvents) {
+    const lines = [
+      '# Locator Healing Report',
+      '',
+      `Generated ${new Date().toISOString()} from ${totalEvents} healing events.`,
+      '',
+    ];
+
+    if (summary.length === 0) {
+      lines.push('No selectors needed healing.');
+      return `${lines.join('\n')}\n`;
+    }
+
+    const cell = (value) => String(value).replace(/\|/g, '\\|');
+    lines.push(
+      '| Page object | Element | Broken selector | Healed by | Hits | Last seen |',
+      '| --- | --- | --- | --- | --- | --- |',
+      ...summary.map(
+        (entry) =>
+          `| ${cell(entry.owner)} | ${cell(entry.element)} | \`${cell(entry.primary)}\` | \`${cell(
+            entry.suggestion
+          )}\` | ${entry.occurrences} | ${entry.lastSeen} |`
+      )
+    );
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Delete recorded events, e.g. after the selectors have been updated
+   */
+  reset() {
+    fs.rmSync(this.eventsPath, { force: true });
+  }
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--help')) {
+    console.log(`
+Locator Healing Report
+
+Usage:
+  node automated-tests/ui-tests/utils/HealingReport.js [--dir <dir>] [--reset]
+
+Options:
+  --dir <dir>   Directory holding healing-events.jsonl (default: reports/healing)
+  --reset       Delete the recorded events after writing the report
+`);
+    process.exit(0);
+  }
+
+  const dirIndex = argv.indexOf('--dir');
+  const report = new HealingReport({ dir: dirIndex >= 0 ? argv[dirIndex + 1] : undefined });
+  const { summary, markdownPath } = report.generate();
+
+  if (summary.length === 0) {
+    console.log('✅ No selectors needed healing');
+  } else {
+    console.log(`🩹 ${summary.length} selectors were healed:`);
+    summary.forEach((entry) =>
+      console.log(
+        `   ${entry.owner} ${entry.element}: ${entry.primary} → ${entry.suggestion} (${entry.occurrences}x)`
+      )
+    );
+  }
+  console.log(`📄 Report: ${markdownPath}`);
+
+  if (argv.includes('--reset')) report.reset();
+}
+
+module.exports = HealingReport;
@@ -0,0 +1,259 @@
+/**
+ * Image Diff
+ * Per-pixel PNG comparison with anti-aliasing tolerance and ignore regions. Produces a diff
+ * image with mismatched pixels in red and each changed region outlined.
+ */
+
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+const DIFF_COLOR = [255, 0, 0];
+const AA_COLOR = [255, 255, 0];
+const REGION_COLOR = [255, 0, 255];
+const IGNORED_COLOR = [0, 120, 255];
+
+// Mismatched pixels closer than this many pixels are reported as one region
+const REGION_CELL_SIZE = 16;
+
+class ImageDiff {
+  /**
+   * Compare two PNG images
+   * @param {Buffer} baselineBuffer - Expected PNG
+   * @param {Buffer} actualBuffer - Actual PNG
+   * @param {Object} options - Comparison options
+   * @param {number} options.threshold - Per-pixel colour distance tolerated, 0-1 (default 0.2)
+   * @param {boolean} options.includeAA - Count anti-aliased pixels as mismatches (default false)
+   * @param {Array<Object>} options.ignoreRegions - `{ x, y, width, height }` rectangles to skip
+   * @returns {Object} { width, height, baselineSize, actualSize, sizeMismatch, diffPixels,
+   *   totalPixels, mismatchRatio, regions, diffImage }
+   */
+  static compare(baselineBuffer, actualBuffer, options = {}) {
+    const baseline = PNG.sync.read(baselineBuffer);
+    const actual = PNG.sync.read(actualBuffer);
+    const width = Math.max(baseline.width, actual.width);
+    const height = Math.max(baseline.height, actual.height);
+
+    const expected = ImageDiff.padTo(baseline, width, height);
+    const received = ImageDiff.padTo(actual, width, height);
+    const ignoreRegions = ImageDiff.clampRegions(options.ignoreRegions || [], width, height);
+
+    // Identical pixels inside ignore regions can never mismatch
+    ignoreRegions.forEach((region) => {
+      ImageDiff.fillRegion(expected, region, [0, 0, 0]);
+      ImageDiff.fillRegion(received, region, [0, 0, 0]);
+    });
+
+    const diff = new PNG({ width, height });
+    let diffPixels = pixelmatch(expected.data, received.data, diff.data, width, height, {
+      threshold: options.threshold !== undefined ? options.threshold : 0.2,
+      includeAA: Boolean(options.includeAA),
+      alpha: 0.2,
+      diffColor: DIFF_COLOR,
+      aaColor: AA_COLOR,
+    });
+
+    // Padding is transparent, which pixelmatch blends to white, so count it explicitly
+    const sizeMismatch = baseline.width !== actual.width || baseline.height !== actual.height;
+    if (sizeMismatch) {
+      diffPixels += ImageDiff.markPadding(diff, baseline, actual);
+    }
+
+    const regions = ImageDiff.findRegions(diff);
+    regions.forEach((region) => ImageDiff.outlineRegion(diff, region, REGION_COLOR));
+    ignoreRegions.forEach((region) => ImageDiff.outlineRegion(diff, region, IGNORED_COLOR));
+
+    const totalPixels = width * height;
+    return {
+      width,
+      height,
+      baselineSize: { width: baseline.width, height: baseline.height },
+      actualSize: { width: actual.width, height: actual.height },
+      sizeMismatch,
+      diffPixels,
+      totalPixels,
+      mismatchRatio: totalPixels > 0 ? diffPixels / totalPixels : 0,
+      regions,
+      diffImage: PNG.sync.write(diff),
+    };
+  }
+
+  /**
+   * Read PNG dimensions
+   * @param {Buffer} buffer - PNG data
+   * @returns {Object} { width, height }
+   */
+  static getSize(buffer) {
+    const { width, height } = PNG.sync.read(buffer);
+    return { width, height };
+  }
+
+  /**
+   * Copy an image onto a transparent canvas of the given size
+   */
+  static padTo(image, width, height) {
+    if (image.width === width && image.height === height) return image;
+    const canvas = new PNG({ width, height });
+    PNG.bitblt(image, canvas, 0, 0, image.width, image.height, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Clip regions to the image and drop empty ones
+   */
+  static clampRegions(regions, width, height) {
+    return regions
+      .filter((region) => region && typeof region === 'object')
+      .map((region) => {
+        const x = Math.max(0, Math.floor(region.x));
+        const y = Math.max(0, Math.floor(region.y));
+        return {
+          x,
+          y,
+          width: Math.min(width, Math.ceil(region.x + region.width)) - x,
+          height: Math.min(height, Math.ceil(region.y + region.height)) - y,
+        };
+      })
+      .filter((region) => region.width > 0 && region.height > 0);
+  }
+
+  static fillRegion(image, region, [r, g, b]) {
+    for (let y = region.y; y < region.y + region.height; y++) {
+      for (let x = region.x; x < region.x + region.width; x++) {
+        const i = (y * image.width + x) * 4;
+        image.data[i] = r;
+        image.data[i + 1] = g;
+        image.data[i + 2] = b;
+        image.data[i + 3] = 255;
+      }
+    }
+  }
+
+  /**
+   * Paint pixels that exist in only one of the images as mismatches
+   * @returns {number} Number of padded pixels pixelmatch had not already counted
+   */
+  static markPadding(diff, baseline, actual) {
+    let count = 0;
+    for (let y = 0; y < diff.height; y++) {
+      for (let x = 0; x < diff.width; x++) {
+        const inBaseline = x < baseline.width && y < baseline.height;
+        const inActual = x < actual.width && y < actual.height;
+        if (inBaseline && inActual) continue;
+        if (!ImageDiff.isDiffPixel(diff, x, y)) count++;
+        ImageDiff.fillRegion(diff, { x, y, width: 1, height: 1 }, DIFF_COLOR);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Whether pixelmatch painted a pixel as a mismatch
+   */
+  static isDiffPixel(diff, x, y) {
+    const i = (y * diff.width + x) * 4;
+    return (
+      diff.data[i] === DIFF_COLOR[0] &&
+      diff.data[i + 1] === DIFF_COLOR[1] &&
+      diff.data[i + 2] === DIFF_COLOR[2]
+    );
+  }
+
+  /**
+   * Group mismatched pixels into bounding boxes. Pixels are bucketed into a coarse grid and
+   * touching cells (including diagonals) are merged.
+   * @param {PNG} diff - Diff image produced by pixelmatch
+   * @returns {Array<Object>} `{ x, y, width, height, pixels }`, largest first
+   */
+  static findRegions(diff) {
+    const columns = Math.ceil(diff.width / REGION_CELL_SIZE);
+    const rows = Math.ceil(diff.height / REGION_CELL_SIZE);
+    const cells = new Map();
+
+    for (let y = 0; y < diff.height; y++) {
+      for (let x = 0; x < diff.width; x++) {
+        const i = (y * diff.width + x) * 4;
+        const isDiff =
+          diff.data[i] === DIFF_COLOR[0] &&
+          diff.data[i + 1] === DIFF_COLOR[1] &&
+          diff.data[i + 2] === DIFF_COLOR[2];
+        if (!isDiff) continue;
+
+        const key = Math.floor(y / REGION_CELL_SIZE) * columns + Math.floor(x / REGION_CELL_SIZE);
+        const cell = cells.get(key);
+        if (cell) {
+          cell.minX = Math.min(cell.minX, x);
+          cell.minY = Math.min(cell.minY, y);
+          cell.maxX = Math.max(cell.maxX, x);
+          cell.maxY = Math.max(cell.maxY, y);
+          cell.pixels++;
+        } else {
+          cells.set(key, { minX: x, minY: y, maxX: x, maxY: y, pixels: 1 });
+        }
+      }
+    }
+
+    const regions = [];
+    const visited = new Set();
+    for (const start of cells.keys()) {
+      if (visited.has(start)) continue;
+      visited.add(start);
+
+      const region = { ...cells.get(start) };
+      const queue = [start];
+      while (queue.length > 0) {
+        const key = queue.pop();
+        const row = Math.floor(key / columns);
+        const column = key % columns;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const r = row + dy;
+            const c = column + dx;
+            if (r < 0 || c < 0 || r >= rows || c >= columns) continue;
+            const neighbour = r * columns + c;
+            if (visited.has(neighbour) || !cells.has(neighbour)) continue;
+            visited.add(neighbour);
+            queue.push(neighbour);
+
+            const cell = cells.get(neighbour);
+            region.minX = Math.min(region.minX, cell.minX);
+            region.minY = Math.min(region.minY, cell.minY);
+            region.maxX = Math.max(region.maxX, cell.maxX);
+            region.maxY = Math.max(region.maxY, cell.maxY);
+            region.pixels += cell.pixels;
+          }
+        }
+      }
+
+      regions.push({
+        x: region.minX,
+        y: region.minY,
+        width: region.maxX - region.minX + 1,
+        height: region.maxY - region.minY + 1,
+        pixels: region.pixels,
+      });
+    }
+
+    return regions.sort((a, b) => b.pixels - a.pixels);
+  }
+
+  /**
+   * Draw a 2px rectangle just outside a region
+   */
+  static outlineRegion(image, region, color) {
+    const left = Math.max(0, region.x - 2);
+    const top = Math.max(0, region.y - 2);
+    const right = Math.min(image.width - 1, region.x + region.width + 1);
+    const bottom = Math.min(image.height - 1, region.y + region.height + 1);
+    const edges = [
+      { x: left, y: top, width: right - left + 1, height: 2 },
+      { x: left, y: Math.max(top, bottom - 1), width: right - left + 1, height: 2 },
+      { x: left, y: top, width: 2, height: bottom - top + 1 },
+      { x: Math.max(left, right - 1), y: top, width: 2, height: bottom - top + 1 },
+    ];
+    ImageDiff.clampRegions(edges, image.width, image.height).forEach((edge) =>
+      ImageDiff.fillRegion(image, edge, color)
+    );
+  }
+}
+
+module.exports = ImageDiff;
@@ -0,0 +1,209 @@
+/**
+ * Locator Resolver
+ * Resolves page-object targets to Playwright locators. A target is a CSS selector, a Locator, or
+ * a self-healing descriptor:
+ *
+ *   {
+ *     primary: '#send2',
+ *     description: 'login button',
+ *     fallbacks: [
+ *       { role: 'button', name: 'Sign In', exact: true },
+ *       { testId: 'login-button' },
+ *       { text: 'Sign In', within: '#login-form' },
+ *     ],
+ *   }
+ *
+ * When the primary selector misses, the fallbacks are tried in order and the first one matching
+ * exactly one element is used. Every heal is logged and recorded in the HealingReport.
+ * Set SELF_HEALING=false to fail on the primary selector instead.
+ */
+
+const HealingReport = require('./HealingReport');
+
+const FALLBACK_STRATEGIES = ['role', 'label', 'testId', 'text', 'css'];
+
+// States where a missing primary means the element may have been renamed
+const HEALABLE_STATES = ['visible', 'attached'];
+
+class LocatorResolver {
+  /**
+   * @param {Page} page - Playwright page
+   * @param {Object} options - Options
+   * @param {string} options.owner - Page object name recorded with each heal
+   * @param {boolean} options.enabled - Try fallbacks (default: SELF_HEALING !== 'false')
+   * @param {number} options.fallbackTimeout - Time a matched fallback may take to reach the
+   *   requested state (default 1000ms)
+   * @param {HealingReport} options.report - Report to record heals in
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.owner = options.owner || 'Page';
+    this.enabled = options.enabled ?? process.env.SELF_HEALING !== 'false';
+    this.fallbackTimeout = options.fallbackTimeout || 1000;
+    this.report = options.report || new HealingReport();
+  }
+
+  /**
+   * @param {any} target - Resolver target
+   * @returns {boolean} Whether the target is a self-healing descriptor
+   */
+  static isDescriptor(target) {
+    return Boolean(target) && typeof target === 'object' && 'primary' in target;
+  }
+
+  /**
+   * Human-readable name of a target for logs and errors
+   * @param {string|Object} target - Resolver target
+   * @returns {string} Description
+   */
+  static describe(target) {
+    if (LocatorResolver.isDescriptor(target)) {
+      return target.description ? `${target.description} (${target.primary})` : target.primary;
+    }
+    return String(target);
+  }
+
+  /**
+   * @param {Object} fallback - Fallback entry
+   * @returns {string} Strategy name, one of FALLBACK_STRATEGIES
+   */
+  static strategyOf(fallback) {
+    const strategy = FALLBACK_STRATEGIES.find((name) => fallback[name] !== undefined);
+    if (!strategy) {
+      throw new Error(`Unsupported locator fallback: ${JSON.stringify(fallback)}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Playwright code equivalent to a fallback, suggested as the selector's replacement
+   * @param {Object} fallback - Fallback entry
+   * @returns {string} e.g. `page.getByRole('button', { name: 'Sign In' })`
+   */
+  static toCode(fallback) {
+    const quote = (value) => `'${String(value).replace(/'/g, "\\'")}'`;
+    const exact = fallback.exact ? ', exact: true' : '';
+    const root = fallback.within ? `page.locator(${quote(fallback.within)})` : 'page';
+
+    switch (LocatorResolver.strategyOf(fallback)) {
+      case 'role':
+        return fallback.name !== undefined
+          ? `${root}.getByRole(${quote(fallback.role)}, { name: ${quote(fallback.name)}${exact} })`
+          : `${root}.getByRole(${quote(fallback.role)})`;
+      case 'label':
+        return `${root}.getByLabel(${quote(fallback.label)}${exact ? ', { exact: true }' : ''})`;
+      case 'testId':
+        return `${root}.getByTestId(${quote(fallback.testId)})`;
+      case 'text':
+        return `${root}.getByText(${quote(fallback.text)}${exact ? ', { exact: true }' : ''})`;
+      default:
+        return `${root}.locator(${quote(fallback.css)})`;
+    }
+  }
+
+  /**
+   * Build the Playwright locator for a fallback
+   * @param {Object} fallback - Fallback entry
+   * @returns {Locator} Locator
+   */
+  fallbackLocator(fallback) {
+    const root = fallback.within ? this.page.locator(fallback.within) : this.page;
+    const exact = Boolean(fallback.exact);
+
+    switch (LocatorResolver.strategyOf(fallback)) {
+      case 'role':
+        return root.getByRole(
+          fallback.role,
+          fallback.name !== undefined ? { name: fallback.name, exact } : {}
+        );
+      case 'label':
+        return root.getByLabel(fallback.label, { exact });
+      case 'testId':
+        return root.getByTestId(fallback.testId);
+      case 'text':
+        return root.getByText(fallback.text, { exact });
+      default:
+        return root.locator(fallback.css);
+    }
+  }
+
+  /**
+   * Resolve a target to a locator in the requested state
+   * @param {string|Locator|Object} target - CSS selector, Locator or self-healing descriptor
+   * @param {Object} options - Options
+   * @param {string} options.state - State to wait for (default 'visible')
+   * @param {number} options.timeout - Time the primary selector gets (default 5000ms)
+   * @returns {Promise<Locator>} Locator for the element
+   */
+  async resolve(target, options = {}) {
+    const state = options.state || 'visible';
+    const timeout = options.timeout ?? 5000;
+
+    // Strings keep page.click()'s behaviour of acting on the first match
+    const descriptor = LocatorResolver.isDescriptor(target) ? target : { primary: target };
+    const primary =
+      typeof descriptor.primary === 'string'
+        ? this.page.locator(descriptor.primary).first()
+        : descriptor.primary;
+
+    let primaryError;
+    try {
+      await primary.waitFor({ state, timeout });
+      return primary;
+    } catch (error) {
+      primaryError = error;
+    }
+
+    const fallbacks = descriptor.fallbacks || [];
+    if (!this.enabled || fallbacks.length === 0 || !HEALABLE_STATES.includes(state)) {
+      throw primaryError;
+    }
+
+    for (const [index, fallback] of fallbacks.entries()) {
+      const locator = this.fallbackLocator(fallback);
+      // An ambiguous fallback would silently act on the wrong element
+      if ((await locator.count()) !== 1) continue;
+
+      try {
+        await locator.waitFor({ state, timeout: this.fallbackTimeout });
+      } catch {
+        continue;
+      }
+
+      this.recordHeal(descriptor, fallback, index);
+      return locator;
+    }
+
+    throw new Error(
+      `No locator matched ${LocatorResolver.describe(target)}: primary selector and ${fallbacks.length} fallbacks missed. ${primaryError.message}`
+    );
+  }
+
+  /**
+   * Log a heal and add it to the healing report
+   */
+  recordHeal(descriptor, fallback, index) {
+    const suggestion = LocatorResolver.toCode(fallback);
+    const element = descriptor.description || String(descriptor.primary);
+    console.log(`🩹 Healed ${this.owner} ${element}: ${descriptor.primary} → ${suggestion}`);
+
+    try {
+      this.report.record({
+        timestamp: new Date().toISOString(),
+        owner: this.owner,
+        element,
+        primary: String(descriptor.primary),
+        strategy: LocatorResolver.strategyOf(fallback),
+        fallbackIndex: index,
+        fallback,
+        suggestion,
+        url: this.page.url(),
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not record healing event: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LocatorResolver;
+module.exports.FALLBACK_STRATEGIES = FALLBACK_STRATEGIES;
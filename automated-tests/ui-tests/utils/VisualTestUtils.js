@@ -5,6 +5,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const ImageDiff = require('./ImageDiff');
+const DomSnapshotDiff = require('./DomSnapshotDiff');
 
 class VisualTestUtils {
   constructor(page, browserName) {
@@ -14,6 +16,8 @@ class VisualTestUtils {
     this.baselineDir = path.join(this.screenshotDir, 'baseline');
     this.actualDir = path.join(this.screenshotDir, 'actual');
     this.diffDir = path.join(this.screenshotDir, 'diff');
+    this.domBaselineDir = path.join(this.screenshotDir, 'dom', 'baseline');
+    this.domActualDir = path.join(this.screenshotDir, 'dom', 'actual');
 
     this.ensureDirectories();
   }
@@ -22,7 +26,14 @@ class VisualTestUtils {
    * Ensure screenshot directories exist
    */
   ensureDirectories() {
-    [this.screenshotDir, this.baselineDir, this.actualDir, this.diffDir].forEach((dir) => {
+    [
+      this.screenshotDir,
+      this.baselineDir,
+      this.actualDir,
+      this.diffDir,
+      this.domBaselineDir,
+      this.domActualDir,
+    ].forEach((dir) => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
@@ -34,7 +45,28 @@ class VisualTestUtils {
    */
   static get DEFAULT_CONFIG() {
     return {
-      threshold: 0.2, // 20% difference threshold
+      threshold: 0.2, // Per-pixel colour tolerance (0-1), as in Playwright's toHaveScreenshot
+      maxDiffPixelRatio: 0.001, // Share of mismatched pixels tolerated before failing
+      includeAA: false, // Count anti-aliasing differences as mismatches
+      ignoreRegions: [], // { x, y, width, height } rectangles or CSS selectors to skip
+      // DOM snapshot mode: computed styles recorded per element, and layout tolerances in px
+      domStyleProperties: [
+        'display',
+        'position',
+        'visibility',
+        'opacity',
+        'color',
+        'background-color',
+        'font-family',
+        'font-size',
+        'font-weight',
+        'line-height',
+        'text-align',
+        'border-top-width',
+        'border-top-color',
+      ],
+      domPositionTolerance: 1,
+      domSizeTolerance: 1,
       animations: 'disabled',
       fullPage: false,
       clip: null,
@@ -199,70 +231,158 @@ class VisualTestUtils {
   }
 
   /**
-   * Compare screenshot with baseline
+   * Compare screenshot with baseline pixel by pixel
    * @param {string} name - Screenshot name
    * @param {Buffer} actualScreenshot - Actual screenshot buffer
-   * @param {Object} options - Comparison options
+   * @param {Object} options - Comparison options (threshold, maxDiffPixelRatio, includeAA,
+   *   ignoreRegions as `{ x, y, width, height }` rectangles)
    * @returns {Object} - Comparison result
    */
   async compareWithBaseline(name, actualScreenshot, options = {}) {
     const config = { ...VisualTestUtils.DEFAULT_CONFIG, ...options };
-    const baselinePath = path.join(this.baselineDir, `${name}-${this.browserName}.png`);
-    const actualPath = path.join(this.actualDir, `${name}-${this.browserName}.png`);
-    const diffPath = path.join(this.diffDir, `${name}-${this.browserName}.png`);
-
-    // Save actual screenshot
-    fs.writeFileSync(actualPath, actualScreenshot);
-
-    // Check if baseline exists
-    if (!fs.existsSync(baselinePath)) {
-      // Create baseline from actual screenshot
-      fs.writeFileSync(baselinePath, actualScreenshot);
-
-      return {
-        status: 'baseline_created',
-        message: `Baseline created for ${name}`,
-        baselinePath: baselinePath,
-        actualPath: actualPath,
+    const fileName = `${name}-${this.browserName}.png`;
+    const paths = {
+      baselinePath: path.join(this.baselineDir, fileName),
+      actualPath: path.join(this.actualDir, fileName),
+      diffPath: path.join(this.diffDir, fileName),
+    };
+    // Results are also saved beside the actual screenshot for the baseline review app
+    const result = (fields) =>
+      this.recordResult({
+        name,
+        status: 'error',
+        message: '',
+        baselinePath: paths.baselinePath,
+        actualPath: paths.actualPath,
         diffPath: null,
-      };
-    }
+        threshold: config.threshold,
+        maxDiffPixelRatio: config.maxDiffPixelRatio,
+        diffPixels: 0,
+        totalPixels: 0,
+        mismatchRatio: 0,
+        sizeMismatch: false,
+        baselineSize: null,
+        actualSize: null,
+        regions: [],
+        ...fields,
+      });
 
-    // Use Playwright's built-in comparison
     try {
-      await this.page.screenshot({
-        path: actualPath,
-        fullPage: config.fullPage,
-        animations: config.animations,
-      });
+      fs.writeFileSync(paths.actualPath, actualScreenshot);
+      if (fs.existsSync(paths.diffPath)) fs.unlinkSync(paths.diffPath);
+
+      if (!fs.existsSync(paths.baselinePath)) {
+        fs.writeFileSync(paths.baselinePath, actualScreenshot);
+        const size = ImageDiff.getSize(actualScreenshot);
+
+        return result({
+          status: 'baseline_created',
+          message: `Baseline created for ${name}`,
+          totalPixels: size.width * size.height,
+          baselineSize: size,
+          actualSize: size,
+        });
+      }
 
-      // This would typically use a visual comparison library
-      // For now, we'll return a basic comparison result
-      const baselineStats = fs.statSync(baselinePath);
-      const actualStats = fs.statSync(actualPath);
+      const diff = ImageDiff.compare(fs.readFileSync(paths.baselinePath), actualScreenshot, {
+        threshold: config.threshold,
+        includeAA: config.includeAA,
+        ignoreRegions: config.ignoreRegions,
+      });
 
-      const sizeDifference = Math.abs(baselineStats.size - actualStats.size);
-      const sizeDifferencePercent = (sizeDifference / baselineStats.size) * 100;
+      if (diff.diffPixels > 0) {
+        fs.writeFileSync(paths.diffPath, diff.diffImage);
+      }
 
-      const passed = sizeDifferencePercent <= config.threshold * 100;
+      const passed = !diff.sizeMismatch && diff.mismatchRatio <= config.maxDiffPixelRatio;
+      let message = 'Screenshots match';
+      if (diff.sizeMismatch) {
+        message = `Screenshot size changed from ${diff.baselineSize.width}x${diff.baselineSize.height} to ${diff.actualSize.width}x${diff.actualSize.height}`;
+      } else if (diff.diffPixels > 0) {
+        message = `${diff.diffPixels} pixels (${(diff.mismatchRatio * 100).toFixed(3)}%) differ in ${diff.regions.length} region(s)`;
+      }
 
-      return {
+      return result({
         status: passed ? 'passed' : 'failed',
-        message: passed ? 'Screenshots match' : 'Screenshots differ',
-        baselinePath: baselinePath,
-        actualPath: actualPath,
-        diffPath: passed ? null : diffPath,
-        sizeDifference: sizeDifference,
-        sizeDifferencePercent: sizeDifferencePercent,
-        threshold: config.threshold,
-      };
+        message,
+        diffPath: diff.diffPixels > 0 ? paths.diffPath : null,
+        diffPixels: diff.diffPixels,
+        totalPixels: diff.totalPixels,
+        mismatchRatio: diff.mismatchRatio,
+        sizeMismatch: diff.sizeMismatch,
+        baselineSize: diff.baselineSize,
+        actualSize: diff.actualSize,
+        regions: diff.regions,
+      });
     } catch (error) {
-      return {
-        status: 'error',
+      return result({
         message: `Screenshot comparison failed: ${error.message}`,
         error: error,
-      };
+      });
+    }
+  }
+
+  /**
+   * Save a comparison result as JSON next to its actual screenshot
+   * @param {Object} result - Comparison result
+   * @returns {Object} - The same result
+   */
+  recordResult(result) {
+    const { error, ...fields } = result;
+    const record = {
+      ...fields,
+      browserName: this.browserName,
+      timestamp: new Date().toISOString(),
+      ...(error && { error: error.message }),
+    };
+
+    try {
+      fs.writeFileSync(
+        result.actualPath.replace(/\.png$/, '.json'),
+        JSON.stringify(record, null, 2)
+      );
+    } catch (writeError) {
+      console.warn(`Could not record visual result for ${result.name}: ${writeError.message}`);
     }
+
+    return result;
+  }
+
+  /**
+   * Resolve ignore regions to screenshot coordinates. CSS selectors are measured on the page
+   * and offset by the element box for element screenshots.
+   * @param {Array} ignoreRegions - Rectangles and/or CSS selectors
+   * @param {Object} options - { element, fullPage }
+   * @returns {Array<Object>} - `{ x, y, width, height }` rectangles
+   */
+  async resolveIgnoreRegions(ignoreRegions = [], { element = null, fullPage = false } = {}) {
+    const origin = element
+      ? await element.boundingBox()
+      : fullPage
+        ? await this.page.evaluate(() => ({ x: -window.scrollX, y: -window.scrollY }))
+        : { x: 0, y: 0 };
+    const regions = [];
+
+    for (const region of ignoreRegions) {
+      if (typeof region !== 'string') {
+        regions.push(region);
+        continue;
+      }
+
+      const boxes = await this.page
+        .locator(region)
+        .evaluateAll((nodes) => nodes.map((node) => node.getBoundingClientRect().toJSON()));
+      boxes.forEach((box) => {
+        regions.push({
+          x: box.x - (origin ? origin.x : 0),
+          y: box.y - (origin ? origin.y : 0),
+          width: box.width,
+          height: box.height,
+        });
+      });
+    }
+
+    return regions;
   }
 
   /**
@@ -272,8 +392,12 @@ class VisualTestUtils {
    * @returns {Object} - Comparison result
    */
   async comparePageScreenshot(name, options = {}) {
+    const config = { ...VisualTestUtils.DEFAULT_CONFIG, ...options };
     const screenshot = await this.takeScreenshot(name, options);
-    return await this.compareWithBaseline(name, screenshot, options);
+    const ignoreRegions = await this.resolveIgnoreRegions(config.ignoreRegions, {
+      fullPage: config.fullPage,
+    });
+    return await this.compareWithBaseline(name, screenshot, { ...options, ignoreRegions });
   }
 
   /**
@@ -284,8 +408,161 @@ class VisualTestUtils {
    * @returns {Object} - Comparison result
    */
   async compareElementScreenshot(element, name, options = {}) {
+    const config = { ...VisualTestUtils.DEFAULT_CONFIG, ...options };
     const screenshot = await this.takeElementScreenshot(element, name, options);
-    return await this.compareWithBaseline(name, screenshot, options);
+    const ignoreRegions = await this.resolveIgnoreRegions(config.ignoreRegions, { element });
+    return await this.compareWithBaseline(name, screenshot, { ...options, ignoreRegions });
+  }
+
+  /**
+   * Capture a layout snapshot of a subtree: bounding box (relative to the root), selected
+   * computed styles and own visible text of every rendered element
+   * @param {string|Locator} target - Root selector or locator
+   * @param {Object} options - { domStyleProperties, hideElements, maxTextLength }
+   * @returns {Object} - `{ url, viewport, elements: [{ key, parent, tag, box, styles, text }] }`
+   */
+  async captureDomSnapshot(target = 'body', options = {}) {
+    const config = { ...VisualTestUtils.DEFAULT_CONFIG, ...options };
+    const root = typeof target === 'string' ? this.page.locator(target).first() : target;
+
+    const elements = await root.evaluate(
+      (rootElement, { properties, ignoreSelector, maxTextLength }) => {
+        const skipTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META'];
+        const origin = rootElement.getBoundingClientRect();
+        const results = [];
+
+        const segmentOf = (element) => {
+          const testId = element.getAttribute('data-testid');
+          if (testId) return `[data-testid="${testId}"]`;
+          if (element.id) return `#${element.id}`;
+          return element.tagName.toLowerCase();
+        };
+
+        const visit = (element, key, parentKey) => {
+          const style = window.getComputedStyle(element);
+          if (style.display === 'none') return;
+
+          const rect = element.getBoundingClientRect();
+          const text = Array.from(element.childNodes)
+            .filter((node) => node.nodeType === Node.TEXT_NODE)
+            .map((node) => node.textContent)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, maxTextLength);
+
+          results.push({
+            key,
+            parent: parentKey,
+            tag: element.tagName.toLowerCase(),
+            box: {
+              x: Math.round(rect.x - origin.x),
+              y: Math.round(rect.y - origin.y),
+              width: Math.round(rect.width),
+              height: Math.round(rect.height),
+            },
+            styles: Object.fromEntries(properties.map((p) => [p, style.getPropertyValue(p)])),
+            text,
+          });
+
+          // Siblings sharing a segment are told apart by position, e.g. `li:nth(2)`
+          const children = Array.from(element.children).filter(
+            (child) =>
+              !skipTags.includes(child.tagName) &&
+              !(ignoreSelector && child.matches(ignoreSelector))
+          );
+          const totals = new Map();
+          children.forEach((child) => {
+            const segment = segmentOf(child);
+            totals.set(segment, (totals.get(segment) || 0) + 1);
+          });
+          const seen = new Map();
+          children.forEach((child) => {
+            const segment = segmentOf(child);
+            const index = seen.get(segment) || 0;
+            seen.set(segment, index + 1);
+            const childSegment = totals.get(segment) > 1 ? `${segment}:nth(${index})` : segment;
+            visit(child, `${key} > ${childSegment}`, key);
+          });
+        };
+
+        visit(rootElement, segmentOf(rootElement), null);
+        return results;
+      },
+      {
+        properties: config.domStyleProperties,
+        ignoreSelector: config.hideElements.join(', '),
+        maxTextLength: config.maxTextLength || 200,
+      }
+    );
+
+    return {
+      url: this.page.url(),
+      viewport: this.page.viewportSize(),
+      browserName: this.browserName,
+      capturedAt: new Date().toISOString(),
+      elements,
+    };
+  }
+
+  /**
+   * Compare a subtree's layout snapshot with its stored baseline. Explains layout regressions
+   * (moved, resized, restyled, missing, added elements and text changes) where a pixel diff
+   * only flags them.
+   * @param {string} name - Snapshot name
+   * @param {string|Locator} target - Root selector or locator
+   * @param {Object} options - Capture options plus domPositionTolerance and domSizeTolerance
+   * @returns {Object} - `{ name, status, message, baselinePath, actualPath, changes, summary }`
+   */
+  async compareDomSnapshot(name, target = 'body', options = {}) {
+    const config = { ...VisualTestUtils.DEFAULT_CONFIG, ...options };
+    const fileName = `${name}-${this.browserName}.json`;
+    const baselinePath = path.join(this.domBaselineDir, fileName);
+    const actualPath = path.join(this.domActualDir, fileName);
+    const result = (fields) => ({
+      name,
+      status: 'error',
+      message: '',
+      baselinePath,
+      actualPath,
+      elementCount: 0,
+      changes: [],
+      summary: {},
+      ...fields,
+    });
+
+    try {
+      if (config.animations === 'disabled') await this.disableAnimations();
+      await this.waitForFonts();
+
+      const snapshot = await this.captureDomSnapshot(target, config);
+      fs.writeFileSync(actualPath, JSON.stringify(snapshot, null, 2));
+
+      if (!fs.existsSync(baselinePath)) {
+        fs.writeFileSync(baselinePath, JSON.stringify(snapshot, null, 2));
+        return result({
+          status: 'baseline_created',
+          message: `DOM baseline created for ${name}`,
+          elementCount: snapshot.elements.length,
+        });
+      }
+
+      const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+      const diff = DomSnapshotDiff.diff(baseline, snapshot, {
+        positionTolerance: config.domPositionTolerance,
+        sizeTolerance: config.domSizeTolerance,
+      });
+
+      return result({
+        status: diff.changes.length === 0 ? 'passed' : 'failed',
+        message: diff.message,
+        elementCount: snapshot.elements.length,
+        changes: diff.changes,
+        summary: diff.summary,
+      });
+    } catch (error) {
+      return result({ message: `DOM snapshot comparison failed: ${error.message}`, error });
+    }
   }
 
   /**
@@ -293,7 +570,7 @@ class VisualTestUtils {
    * @param {string} name - Base screenshot name
    * @param {Array} viewports - Array of viewport configurations
    * @param {Object} options - Screenshot options
-   * @returns {Array} - Array of comparison results
+   * @returns {Array} - Comparison results (see compareWithBaseline) with `variant` and `viewport`
    */
   async compareResponsiveScreenshots(name, viewports, options = {}) {
     const results = [];
@@ -306,8 +583,9 @@ class VisualTestUtils {
       const result = await this.comparePageScreenshot(screenshotName, options);
 
       results.push({
-        viewport: viewport,
         ...result,
+        variant: viewport.name,
+        viewport: viewport,
       });
     }
 
@@ -320,7 +598,7 @@ class VisualTestUtils {
    * @param {string} baseName - Base screenshot name
    * @param {Array} states - Array of state configurations
    * @param {Object} options - Screenshot options
-   * @returns {Array} - Array of comparison results
+   * @returns {Array} - Comparison results (see compareWithBaseline) with `variant` and `state`
    */
   async compareElementStates(element, baseName, states, options = {}) {
     const results = [];
@@ -340,8 +618,9 @@ class VisualTestUtils {
       const result = await this.compareElementScreenshot(element, screenshotName, options);
 
       results.push({
-        state: state,
         ...result,
+        variant: state.name,
+        state: state,
       });
     }
 
@@ -362,10 +641,15 @@ class VisualTestUtils {
       failed: 0,
       baselineCreated: 0,
       errors: 0,
+      diffPixels: 0,
+      maxMismatchRatio: 0,
       results: results,
     };
 
     results.forEach((result) => {
+      report.diffPixels += result.diffPixels || 0;
+      report.maxMismatchRatio = Math.max(report.maxMismatchRatio, result.mismatchRatio || 0);
+
       switch (result.status) {
         case 'passed':
           report.passed++;
@@ -465,7 +749,7 @@ class VisualTestUtils {
    * @param {string} baseName - Base screenshot name
    * @param {Array} themes - Array of theme configurations
    * @param {Object} options - Screenshot options
-   * @returns {Array} - Array of comparison results
+   * @returns {Array} - Comparison results (see compareWithBaseline) with `variant` and `theme`
    */
   async compareThemeVariations(element, baseName, themes, options = {}) {
     const results = [];
@@ -493,8 +777,9 @@ class VisualTestUtils {
       const result = await this.compareElementScreenshot(element, screenshotName, options);
 
       results.push({
-        theme: theme,
         ...result,
+        variant: theme.name,
+        theme: theme,
       });
     }
 
@@ -0,0 +1,157 @@
+const DomSnapshotDiff = require('../DomSnapshotDiff');
+
+/**
+ * Snapshot element as captured by VisualTestUtils.captureDomSnapshot
+ * @param {string} key - Element key
+ * @param {string|null} parent - Parent key
+ * @param {number[]} box - x, y, width, height
+ * @param {Object} extra - Overrides (tag, styles, text)
+ */
+function element(key, parent, [x, y, width, height], extra = {}) {
+  return { key, parent, tag: 'div', box: { x, y, width, height }, styles: {}, text: '', ...extra };
+}
+
+// A page with a header, a cart block holding a button, and a footer below it
+const baseline = {
+  elements: [
+    element('body', null, [0, 0, 800, 600]),
+    element('header', 'body', [0, 0, 800, 60]),
+    element('cart', 'body', [0, 60, 800, 200]),
+    element('checkout', 'cart', [10, 70, 120, 40], { tag: 'button', text: 'Checkout' }),
+    element('footer', 'body', [0, 260, 800, 80]),
+  ],
+};
+
+/**
+ * Baseline with some elements replaced or removed
+ * @param {Object<string, Object|null>} overrides - Element by key; null removes it
+ * @param {Object[]} added - Elements appended to the snapshot
+ */
+function variant(overrides, added = []) {
+  const elements = baseline.elements
+    .filter((old) => overrides[old.key] !== null)
+    .map((old) => overrides[old.key] || old);
+  return { elements: [...elements, ...added] };
+}
+
+describe('DomSnapshotDiff', () => {
+  test('reports a matching layout', () => {
+    const result = DomSnapshotDiff.diff(baseline, variant({}));
+
+    expect(result.changes).toEqual([]);
+    expect(result.message).toBe('Layout matches baseline');
+  });
+
+  test('reports a moved element and folds in children that moved with it', () => {
+    const result = DomSnapshotDiff.diff(
+      baseline,
+      variant({
+        cart: element('cart', 'body', [0, 80, 800, 200]),
+        checkout: element('checkout', 'cart', [10, 90, 120, 40], {
+          tag: 'button',
+          text: 'Checkout',
+        }),
+        footer: element('footer', 'body', [0, 280, 800, 80]),
+      })
+    );
+
+    expect(result.changes.map((change) => [change.type, change.key])).toEqual([
+      ['moved', 'cart'],
+      ['moved', 'footer'],
+    ]);
+    expect(result.changes[0].delta).toEqual({ x: 0, y: 20 });
+    expect(result.changes[0]).not.toHaveProperty('likelyCause');
+  });
+
+  test('names a resized sibling as the cause of a move', () => {
+    const result = DomSnapshotDiff.diff(
+      baseline,
+      variant({
+        header: element('header', 'body', [0, 0, 800, 84]),
+        cart: element('cart', 'body', [0, 84, 800, 200]),
+        checkout: element('checkout', 'cart', [10, 94, 120, 40], {
+          tag: 'button',
+          text: 'Checkout',
+        }),
+        footer: element('footer', 'body', [0, 284, 800, 80]),
+      })
+    );
+
+    expect(result.summary).toMatchObject({ resized: 1, moved: 2 });
+    expect(result.changes[2]).toMatchObject({
+      type: 'resized',
+      key: 'header',
+      delta: { width: 0, height: 24 },
+    });
+    expect(result.changes[0]).toMatchObject({
+      type: 'moved',
+      key: 'cart',
+      likelyCause: { type: 'resized', key: 'header' },
+    });
+    expect(DomSnapshotDiff.describeChange(result.changes[0])).toBe(
+      'cart moved by (0, +24)px after header resized'
+    );
+  });
+
+  test('reports only the outermost added and missing elements', () => {
+    const result = DomSnapshotDiff.diff(
+      baseline,
+      variant({ cart: null, checkout: null, footer: element('footer', 'body', [0, 60, 800, 80]) }, [
+        element('banner', 'body', [0, 140, 800, 40]),
+        element('banner-link', 'banner', [10, 150, 80, 20], { tag: 'a' }),
+      ])
+    );
+
+    expect(result.changes.map((change) => [change.type, change.key])).toEqual([
+      ['missing', 'cart'],
+      ['added', 'banner'],
+      ['moved', 'footer'],
+    ]);
+    expect(result.changes[2].likelyCause).toEqual({ type: 'missing', key: 'cart' });
+    expect(result.message).toBe(
+      '1 missing, 1 added, 1 moved: cart missing; banner added; footer moved by (0, -200)px after cart went missing'
+    );
+  });
+
+  test('reports restyled and re-worded elements', () => {
+    const styled = {
+      elements: baseline.elements.map((old) =>
+        old.key === 'checkout' ? { ...old, styles: { color: 'rgb(0, 0, 0)' } } : old
+      ),
+    };
+    const result = DomSnapshotDiff.diff(
+      styled,
+      variant({
+        checkout: element('checkout', 'cart', [10, 70, 120, 40], {
+          tag: 'button',
+          text: 'Pay now',
+          styles: { color: 'rgb(255, 0, 0)' },
+        }),
+      })
+    );
+
+    expect(result.changes.map(DomSnapshotDiff.describeChange)).toEqual([
+      'checkout restyled (color: rgb(0, 0, 0) → rgb(255, 0, 0))',
+      'checkout text "Checkout" → "Pay now"',
+    ]);
+  });
+
+  test('ignores shifts and size changes within the tolerance', () => {
+    const nudged = variant({
+      header: element('header', 'body', [0, 0, 802, 61]),
+      footer: element('footer', 'body', [1, 262, 800, 80]),
+    });
+
+    expect(DomSnapshotDiff.diff(baseline, nudged).summary).toMatchObject({
+      moved: 1,
+      resized: 1,
+    });
+    expect(
+      DomSnapshotDiff.diff(baseline, nudged, { positionTolerance: 2, sizeTolerance: 2 }).changes
+    ).toEqual([]);
+    expect(DomSnapshotDiff.diff(baseline, nudged, { positionTolerance: 2 }).summary).toMatchObject({
+      moved: 0,
+      resized: 1,
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HealingReport = require('../HealingReport');
+
+/**
+ * Healing event as recorded by LocatorResolver
+ */
+function event(overrides = {}) {
+  return {
+    timestamp: '2026-03-02T12:00:00.000Z',
+    owner: 'LoginPage',
+    element: 'login button',
+    primary: '#send2',
+    strategy: 'role',
+    fallbackIndex: 0,
+    suggestion: "page.getByRole('button', { name: 'Sign In' })",
+    url: 'http://localhost:3000/login',
+    ...overrides,
+  };
+}
+
+describe('HealingReport', () => {
+  let dir;
+  let report;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'healing-report-'));
+    report = new HealingReport({ dir });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('appends events as JSON lines and skips lines that fail to parse', () => {
+    report.record(event());
+    fs.appendFileSync(report.eventsPath, '{"owner": "Trunc\n');
+    report.record(event({ owner: 'CartPage' }));
+
+    expect(report.load().map((entry) => entry.owner)).toEqual(['LoginPage', 'CartPage']);
+  });
+
+  test('groups events per page object and selector with the most frequent fix', () => {
+    const summary = HealingReport.summarize([
+      event({ timestamp: '2026-03-02T12:05:00.000Z' }),
+      event({
+        timestamp: '2026-03-02T12:01:00.000Z',
+        suggestion: "page.getByTestId('login-button')",
+        url: 'http://localhost:3000/checkout',
+      }),
+      event({ timestamp: '2026-03-02T12:03:00.000Z' }),
+      event({ owner: 'CartPage', primary: '.promo', element: 'promo field' }),
+    ]);
+
+    expect(summary).toHaveLength(2);
+    expect(summary[0]).toMatchObject({
+      owner: 'LoginPage',
+      primary: '#send2',
+      occurrences: 3,
+      firstSeen: '2026-03-02T12:01:00.000Z',
+      lastSeen: '2026-03-02T12:05:00.000Z',
+      urls: ['http://localhost:3000/login', 'http://localhost:3000/checkout'],
+      suggestion: "page.getByRole('button', { name: 'Sign In' })",
+    });
+    expect(summary[1]).toMatchObject({ owner: 'CartPage', occurrences: 1 });
+  });
+
+  test('writes the JSON and markdown reports and resets the events', () => {
+    report.record(event({ primary: 'a|b' }));
+
+    const { summary, jsonPath, markdownPath } = report.generate();
+
+    expect(summary).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(jsonPath, 'utf8'))).toMatchObject({ totalEvents: 1 });
+    expect(fs.readFileSync(markdownPath, 'utf8')).toContain('| `a\\|b` |');
+
+    report.reset();
+    expect(report.load()).toEqual([]);
+    expect(HealingReport.toMarkdown([], 0)).toContain('No selectors needed healing.');
+  });
+});
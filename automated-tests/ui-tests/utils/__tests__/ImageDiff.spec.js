@@ -0,0 +1,44 @@
+const { PNG } = require('pngjs');
+const ImageDiff = require('../ImageDiff');
+
+/**
+ * Solid-colour PNG
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number[]} rgb - Colour
+ */
+function solid(width, height, [r, g, b] = [200, 200, 200]) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data[i] = r;
+    png.data[i + 1] = g;
+    png.data[i + 2] = b;
+    png.data[i + 3] = 255;
+  }
+  return PNG.sync.write(png);
+}
+
+describe('ImageDiff', () => {
+  test('counts each padded pixel once when the sizes differ', () => {
+    const result = ImageDiff.compare(solid(100, 100), solid(100, 110));
+
+    expect(result).toMatchObject({
+      width: 100,
+      height: 110,
+      sizeMismatch: true,
+      diffPixels: 1000,
+      totalPixels: 11000,
+    });
+    expect(result.regions).toEqual([{ x: 0, y: 100, width: 100, height: 10, pixels: 1000 }]);
+  });
+
+  test('adds changed pixels inside the shared area to the padding', () => {
+    const actual = PNG.sync.read(solid(110, 100));
+    ImageDiff.fillRegion(actual, { x: 0, y: 0, width: 10, height: 10 }, [0, 0, 0]);
+
+    const result = ImageDiff.compare(solid(100, 100), PNG.sync.write(actual));
+
+    expect(result.diffPixels).toBe(1100);
+    expect(ImageDiff.compare(solid(50, 50), solid(50, 50)).diffPixels).toBe(0);
+  });
+});
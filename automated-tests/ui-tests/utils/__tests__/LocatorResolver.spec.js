@@ -0,0 +1,136 @@
+const LocatorResolver = require('../LocatorResolver');
+
+/**
+ * Page stand-in whose locators match elements by key, e.g. `css:#send2` or
+ * `role:button:Sign In`
+ * @param {Object<string, number>} elements - Matching element count by key
+ */
+function fakePage(elements) {
+  const locator = (key) => ({
+    key,
+    first: () => locator(key),
+    count: async () => elements[key] || 0,
+    waitFor: async () => {
+      if (!elements[key]) throw new Error(`Timeout waiting for ${key}`);
+    },
+  });
+  const root = (prefix) => ({
+    locator: (css) => locator(`${prefix}css:${css}`),
+    getByRole: (role, { name } = {}) => locator(`${prefix}role:${role}:${name ?? ''}`),
+    getByLabel: (label) => locator(`${prefix}label:${label}`),
+    getByTestId: (testId) => locator(`${prefix}testId:${testId}`),
+    getByText: (text) => locator(`${prefix}text:${text}`),
+  });
+  return {
+    ...root(''),
+    locator: (css) => ({ ...locator(`css:${css}`), ...root(`${css} >> `) }),
+    url: () => 'http://localhost:3000/login',
+  };
+}
+
+const loginButton = {
+  primary: '#send2',
+  description: 'login button',
+  fallbacks: [
+    { role: 'button', name: 'Sign In', exact: true },
+    { testId: 'login-button' },
+    { text: 'Sign In', within: '#login-form' },
+  ],
+};
+
+describe('LocatorResolver', () => {
+  let report;
+  const resolver = (elements, options = {}) =>
+    new LocatorResolver(fakePage(elements), { owner: 'LoginPage', report, ...options });
+
+  beforeEach(() => {
+    report = { record: jest.fn() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('uses the primary selector when it matches, without recording a heal', async () => {
+    const locator = await resolver({ 'css:#send2': 1 }).resolve(loginButton);
+
+    expect(locator.key).toBe('css:#send2');
+    expect(report.record).not.toHaveBeenCalled();
+  });
+
+  test('tries fallbacks in order and records the first one that matches', async () => {
+    const locator = await resolver({
+      'role:button:Sign In': 1,
+      'testId:login-button': 1,
+    }).resolve(loginButton);
+
+    expect(locator.key).toBe('role:button:Sign In');
+    expect(report.record).toHaveBeenCalledTimes(1);
+    expect(report.record.mock.calls[0][0]).toMatchObject({
+      owner: 'LoginPage',
+      element: 'login button',
+      primary: '#send2',
+      strategy: 'role',
+      fallbackIndex: 0,
+      suggestion: "page.getByRole('button', { name: 'Sign In', exact: true })",
+      url: 'http://localhost:3000/login',
+    });
+  });
+
+  test('skips fallbacks that match no element or several', async () => {
+    const locator = await resolver({
+      'role:button:Sign In': 2,
+      '#login-form >> text:Sign In': 1,
+    }).resolve(loginButton);
+
+    expect(locator.key).toBe('#login-form >> text:Sign In');
+    expect(report.record.mock.calls[0][0]).toMatchObject({
+      strategy: 'text',
+      fallbackIndex: 2,
+      suggestion: "page.locator('#login-form').getByText('Sign In')",
+    });
+  });
+
+  test('fails with the primary error when healing is off or cannot apply', async () => {
+    const elements = { 'testId:login-button': 1 };
+
+    await expect(resolver(elements, { enabled: false }).resolve(loginButton)).rejects.toThrow(
+      'Timeout waiting for css:#send2'
+    );
+    await expect(resolver(elements).resolve(loginButton, { state: 'hidden' })).rejects.toThrow(
+      'Timeout waiting for css:#send2'
+    );
+    await expect(resolver(elements).resolve('#send2')).rejects.toThrow(
+      'Timeout waiting for css:#send2'
+    );
+    expect(report.record).not.toHaveBeenCalled();
+  });
+
+  test('names the target when every fallback misses', async () => {
+    await expect(resolver({}).resolve(loginButton)).rejects.toThrow(
+      'No locator matched login button (#send2): primary selector and 3 fallbacks missed'
+    );
+  });
+
+  test('still returns the healed locator when the report cannot be written', async () => {
+    report.record.mockImplementation(() => {
+      throw new Error('read-only file system');
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const locator = await resolver({ 'testId:login-button': 1 }).resolve(loginButton);
+
+    expect(locator.key).toBe('testId:login-button');
+    expect(console.warn).toHaveBeenCalledWith(
+      '⚠️  Could not record healing event: read-only file system'
+    );
+  });
+
+  test('rejects fallbacks without a supported strategy', () => {
+    expect(() => LocatorResolver.strategyOf({ xpath: '//button' })).toThrow(
+      'Unsupported locator fallback'
+    );
+    expect(LocatorResolver.toCode({ label: 'Email', exact: true })).toBe(
+      "page.getByLabel('Email', { exact: true })"
+    );
+  });
+});
@@ -1,12 +1,46 @@
 /**
  * Performance Monitoring Utilities
- * Provides performance measurement and assertion capabilities for tests
+ * Provides performance measurement and assertion capabilities for tests. save() writes the
+ * measurements and the navigation/paint timings of every page the test loaded to
+ * reports/performance/ui/, where `npm run report:performance` picks them up.
  */
 
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RESULTS_DIR = path.join('reports', 'performance', 'ui');
+
+/**
+ * Navigation and paint timings of the current document. Runs in the browser; resolves to null
+ * for documents without a navigation entry, e.g. about:blank.
+ */
+async function readPageTimings() {
+  const navigation = performance.getEntriesByType('navigation')[0];
+  if (!navigation) return null;
+
+  // loadEventEnd is only set once the load handlers have returned
+  if (navigation.loadEventEnd === 0 && document.readyState === 'complete') {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  const paint = performance.getEntriesByType('paint');
+
+  return {
+    url: window.location.href,
+    timeOrigin: performance.timeOrigin,
+    timeToFirstByte: navigation.responseStart - navigation.requestStart,
+    domContentLoaded: navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart,
+    loadComplete: navigation.loadEventEnd - navigation.loadEventStart,
+    firstPaint: paint.find((p) => p.name === 'first-paint')?.startTime || 0,
+    firstContentfulPaint: paint.find((p) => p.name === 'first-contentful-paint')?.startTime || 0,
+    totalLoadTime: navigation.loadEventEnd - navigation.fetchStart,
+  };
+}
+
 class PerformanceMonitor {
   constructor(page) {
     this.page = page;
     this.metrics = {};
+    this.pageTimings = [];
     this.thresholds = {
       pageLoad: 3000, // 3 seconds
       navigation: 2000, // 2 seconds
@@ -53,24 +87,40 @@ class PerformanceMonitor {
    * Measure page load performance
    */
   async measurePageLoad() {
-    const performanceMetrics = await this.page.evaluate(() => {
-      const navigation = performance.getEntriesByType('navigation')[0];
-      const paint = performance.getEntriesByType('paint');
-
-      return {
-        domContentLoaded:
-          navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart,
-        loadComplete: navigation.loadEventEnd - navigation.loadEventStart,
-        firstPaint: paint.find((p) => p.name === 'first-paint')?.startTime || 0,
-        firstContentfulPaint:
-          paint.find((p) => p.name === 'first-contentful-paint')?.startTime || 0,
-        totalLoadTime: navigation.loadEventEnd - navigation.fetchStart,
-      };
-    });
+    const performanceMetrics = await this.capturePageTimings();
+    if (!performanceMetrics) {
+      throw new Error(`No navigation timing available for ${this.page.url()}`);
+    }
 
     return performanceMetrics;
   }
 
+  /**
+   * Record the navigation/paint timings of the current document, once per document
+   * @returns {Promise<Object|null>} Timings, or null when the page has no navigation entry
+   */
+  async capturePageTimings() {
+    const timings = await this.page.evaluate(readPageTimings);
+    if (!timings) return null;
+
+    if (!this.pageTimings.some((entry) => entry.timeOrigin === timings.timeOrigin)) {
+      this.pageTimings.push(timings);
+    }
+    return timings;
+  }
+
+  /**
+   * Capture timings on every page load from now on, not just when a test asks for them
+   * @returns {PerformanceMonitor} this
+   */
+  trackPageLoads() {
+    this.page.on('load', () => {
+      // The page may navigate again or close before the timings are read
+      this.capturePageTimings().catch(() => {});
+    });
+    return this;
+  }
+
   /**
    * Assert performance threshold
    */
@@ -175,6 +225,36 @@ class PerformanceMonitor {
     return report;
   }
 
+  /**
+   * Write the report and page timings for a test to reports/performance/ui/ (or
+   * PERF_RESULTS_DIR) for the performance report
+   * @param {TestInfo} testInfo - Playwright test info
+   * @returns {Promise<string>} Written file
+   */
+  async save(testInfo) {
+    if (!this.page.isClosed()) {
+      await this.capturePageTimings().catch(() => null);
+    }
+
+    const dir = process.env.PERF_RESULTS_DIR || DEFAULT_RESULTS_DIR;
+    const file = path.join(dir, `${testInfo.testId}-retry${testInfo.retry}.json`);
+    const result = {
+      test: {
+        title: testInfo.titlePath.slice(1).join(' › '),
+        file: path.relative(process.cwd(), testInfo.file),
+        project: testInfo.project.name,
+        status: testInfo.status,
+        retry: testInfo.retry,
+      },
+      report: this.generateReport(),
+      pageTimings: this.pageTimings,
+    };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(result, null, 2));
+    return file;
+  }
+
   /**
    * Calculate average duration across all measurements
    */
@@ -223,3 +303,4 @@ class PerformanceMonitor {
 }
 
 module.exports = PerformanceMonitor;
+module.exports.DEFAULT_RESULTS_DIR = DEFAULT_RESULTS_DIR;
@@ -3,11 +3,12 @@
  * Screenshot comparison tests to detect visual changes across browsers and devices
  */
 
-const { test, expect } = require('@playwright/test');
-const ProductCatalogPage = require('./pages/ProductCatalogPage');
-const ShoppingCartPage = require('./pages/ShoppingCartPage');
-const CheckoutPage = require('./pages/CheckoutPage');
-const LoginPage = require('./pages/LoginPage');
+const { test, expect } = require('./fixtures');
+const { ProductCatalogPage } = require('./pages/ProductCatalogPage');
+const { ShoppingCartPage } = require('./pages/ShoppingCartPage');
+const { CheckoutPage } = require('./pages/CheckoutPage');
+const { LoginPage } = require('./pages/LoginPage');
+const VisualTestUtils = require('./utils/VisualTestUtils');
 const TestDataHelper = require('../../test-data/TestDataHelper');
 
 let testDataHelper;
@@ -29,6 +30,11 @@ test.describe('Visual Regression Tests', () => {
     testDataHelper.cleanupTestSuite();
   });
 
+  // eslint-disable-next-line no-empty-pattern
+  test.beforeEach(async ({}, testInfo) => {
+    testDataHelper.initializeTest(testInfo);
+  });
+
   test.afterEach(async ({ page }, testInfo) => {
     testDataHelper.cleanupTestData(testInfo.title);
   });
@@ -460,6 +466,50 @@ test.describe('Visual Regression Tests', () => {
     });
   });
 
+  test.describe('Layout Snapshot Tests', () => {
+    // DOM snapshots compare boxes, computed styles and text, so font rendering and
+    // anti-aliasing differences between browsers do not fail them
+    test('should keep product grid layout', async ({ page, browserName }) => {
+      const catalogPage = new ProductCatalogPage(page);
+      const visual = new VisualTestUtils(page, browserName);
+
+      await catalogPage.navigateToProductCatalog();
+      await catalogPage.waitForProductsToLoad();
+      await expect(page.locator(catalogPage.selectors.productItem).first()).toBeVisible();
+
+      const result = await visual.compareDomSnapshot(
+        'product-grid',
+        page.locator(catalogPage.selectors.productGrid)
+      );
+
+      expect(result.status, result.message).not.toBe('error');
+      expect(result.changes, result.message).toEqual([]);
+    });
+
+    test('should keep header layout across viewports', async ({ page, browserName }) => {
+      const catalogPage = new ProductCatalogPage(page);
+      const visual = new VisualTestUtils(page, browserName);
+
+      await catalogPage.navigateToProductCatalog();
+
+      for (const viewport of [
+        { width: 1366, height: 768, name: 'desktop' },
+        { width: 375, height: 667, name: 'mobile' },
+      ]) {
+        await page.setViewportSize({ width: viewport.width, height: viewport.height });
+        await page.waitForTimeout(500);
+
+        const result = await visual.compareDomSnapshot(
+          `header-${viewport.name}`,
+          page.locator(catalogPage.navigation.selectors.header)
+        );
+
+        expect(result.status, result.message).not.toBe('error');
+        expect(result.changes, `${viewport.name}: ${result.message}`).toEqual([]);
+      }
+    });
+  });
+
   test.describe('Responsive Visual Tests', () => {
     const responsiveViewports = [
       { width: 1920, height: 1080, name: 'desktop-xl' },
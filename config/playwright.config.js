@@ -2,6 +2,7 @@
 const { defineConfig, devices } = require('@playwright/test');
 const fs = require('fs');
 const path = require('path');
+const SeededRandom = require('../test-data/generators/SeededRandom');
 const isCI = !!process.env.CI;
 
 // Load environment-specific configuration
@@ -19,6 +20,10 @@ let envConfig = {
   video: 'retain-on-failure',
   screenshot: 'only-on-failure',
   trace: 'on-first-retry',
+  // Start the bundled reference shop before the run (see environments/local.json)
+  localShop: /** @type {{ command: string, port: number } | null} */ (null),
+  // Login form that accepts backend (HTTP) logins; without one, tests log in through the UI
+  auth: /** @type {{ loginPath: string } | null} */ (null),
 };
 
 if (fs.existsSync(envConfigPath)) {
@@ -28,12 +33,17 @@ if (fs.existsSync(envConfigPath)) {
   console.warn(`Environment config not found: ${envConfigPath}, using defaults`);
 }
 
+// Pin the test data seed before workers start so they all generate the same data.
+// Workers load this config too, so global setup logs the seed instead.
+const dataReplay = SeededRandom.replayCommand();
+
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
 module.exports = defineConfig({
   testDir: path.join(__dirname, '../automated-tests'),
-  testIgnore: ['**/contract-tests/**', '**/load-tests/**'],
+  // Jest unit tests live in __tests__ folders
+  testIgnore: ['**/contract-tests/**', '**/load-tests/**', '**/__tests__/**'],
 
   /* Run tests in files in parallel */
   fullyParallel: true,
@@ -187,13 +197,16 @@ module.exports = defineConfig({
   ],
 
   /* Environment-specific web server configuration */
-  // webServer: environment === 'development' ? {
-  //   command: 'echo "Note: Start your e-commerce application on ' + envConfig.baseURL + '"',
-  //   url: envConfig.baseURL,
-  //   reuseExistingServer: !process.env.CI,
-  //   timeout: 120 * 1000,
-  //   ignoreHTTPSErrors: true
-  // } : undefined,
+  webServer: envConfig.localShop
+    ? {
+        command: envConfig.localShop.command,
+        url: `${envConfig.baseURL}/api/health`,
+        cwd: path.join(__dirname, '..'),
+        env: { SHOP_PORT: String(envConfig.localShop.port) },
+        reuseExistingServer: !isCI,
+        timeout: 30 * 1000,
+      }
+    : undefined,
 
   /* Global setup and teardown */
   globalSetup: require.resolve('../automated-tests/ui-tests/global-setup.js'),
@@ -229,5 +242,8 @@ module.exports = defineConfig({
     baseURL: envConfig.baseURL,
     browsers: envConfig.browsers,
     timestamp: new Date().toISOString(),
+    dataSeed: process.env.TEST_DATA_SEED,
+    dataReplay,
+    auth: envConfig.auth,
   },
 });
@@ -4,5 +4,9 @@ module.exports = {
   testMatch: [
     '**/contract-tests/**/*.spec.js',
     '**/scripts/load-testing/**/__tests__/**/*.spec.js',
+    '**/scripts/notifications/**/__tests__/**/*.spec.js',
+    '**/scripts/reporting/**/__tests__/**/*.spec.js',
+    '**/scripts/results/**/__tests__/**/*.spec.js',
+    '**/ui-tests/utils/__tests__/**/*.spec.js',
   ],
 };
@@ -5,8 +5,34 @@
 
 const fs = require('fs');
 const path = require('path');
-const TestExecutor = require('../test-execution/TestExecutor');
 const NotificationManager = require('../notifications/NotificationManager');
+const { loadResults } = require('../results');
+
+const emptyCounts = () => ({ total: 0, passed: 0, failed: 0, skipped: 0 });
+
+/**
+ * Get or create a keyed entry
+ * @param {Object} map - Entries by key
+ * @param {string} key - Key
+ * @param {Function} create - Creates a missing entry
+ * @returns {Object} - Entry
+ */
+const entryOf = (map, key, create) => {
+  if (!map[key]) map[key] = create();
+  return map[key];
+};
+
+/**
+ * Count a canonical test into a stats object; flaky and duration only where tracked
+ * @param {Object} counts - Stats with total, passed, failed and skipped
+ * @param {Object} test - Canonical test
+ */
+const countTest = (counts, test) => {
+  counts.total++;
+  counts[test.status]++;
+  if ('flaky' in counts && test.flaky) counts.flaky++;
+  if ('duration' in counts) counts.duration += test.duration || 0;
+};
 
 class CIResultsAggregator {
   constructor() {
@@ -20,6 +46,8 @@ class CIResultsAggregator {
       environments: {},
       browsers: {},
       suites: {},
+      // Per environment|browser|suite results, for the trend explorer filters
+      breakdown: {},
       errors: [],
       metadata: {
         ciRun: true,
@@ -98,88 +126,20 @@ class CIResultsAggregator {
 
     console.log('Discovering test result files...');
 
-    // Recursively find all results.json files
-    const resultFiles = this.findResultFiles(testResultsDir);
-
-    console.log(`Found ${resultFiles.length} result files`);
-
-    for (const resultFile of resultFiles) {
-      await this.processResultFile(resultFile);
-    }
-  }
-
-  /**
-   * Find all result files recursively
-   * @param {string} dir - Directory to search
-   * @returns {Array} - Array of result file paths
-   */
-  findResultFiles(dir) {
-    const resultFiles = [];
-
-    const traverse = (currentDir) => {
-      const items = fs.readdirSync(currentDir);
-
-      for (const item of items) {
-        const itemPath = path.join(currentDir, item);
-        const stat = fs.statSync(itemPath);
-
-        if (stat.isDirectory()) {
-          traverse(itemPath);
-        } else if (item === 'results.json' || item.endsWith('-results.json')) {
-          resultFiles.push(itemPath);
-        }
-      }
-    };
-
-    traverse(dir);
-    return resultFiles;
-  }
-
-  /**
-   * Process individual result file
-   * @param {string} filePath - Path to result file
-   */
-  async processResultFile(filePath) {
-    try {
-      console.log(`Processing result file: ${filePath}`);
+    // JUnit copies of the same runs are left out so no test is counted twice
+    const run = await loadResults(testResultsDir, { types: ['playwright', 'jest', 'newman'] });
 
-      const rawData = fs.readFileSync(filePath, 'utf8');
-      const data = JSON.parse(rawData);
+    console.log(`Found ${run.sources.length} result files`);
 
-      // Extract environment and browser from file path
-      const pathParts = filePath.split(path.sep);
-      const environment = this.extractEnvironmentFromPath(pathParts);
-      const browser = this.extractBrowserFromPath(pathParts);
-
-      // Process test results
-      this.processTestData(data, environment, browser);
-    } catch (error) {
-      console.error(`Failed to process result file ${filePath}:`, error.message);
+    run.errors.forEach(({ file, message }) => {
       this.results.errors.push({
         type: 'result_processing_error',
-        file: filePath,
-        message: error.message,
+        file,
+        message,
         timestamp: new Date().toISOString(),
       });
-    }
-  }
-
-  /**
-   * Extract environment from file path
-   * @param {Array} pathParts - Path components
-   * @returns {string} - Environment name
-   */
-  extractEnvironmentFromPath(pathParts) {
-    // Look for known environment names in path
-    const environments = ['development', 'staging', 'production', 'test'];
-
-    for (const part of pathParts) {
-      if (environments.includes(part)) {
-        return part;
-      }
-    }
-
-    return 'unknown';
+    });
+    run.tests.forEach((test) => this.processTest(run, test));
   }
 
   /**
@@ -201,202 +161,51 @@ class CIResultsAggregator {
   }
 
   /**
-   * Process test data and update aggregated results
-   * @param {Object} data - Test result data
-   * @param {string} environment - Environment name
-   * @param {string} browser - Browser name
-   */
-  processTestData(data, environment, browser) {
-    // Handle different result formats
-    let stats = {};
-    let suites = [];
-
-    if (data.stats) {
-      // Playwright format
-      stats = data.stats;
-      suites = data.suites || [];
-    } else if (data.numTotalTests !== undefined) {
-      // Jest format
-      stats = {
-        total: data.numTotalTests,
-        passed: data.numPassedTests,
-        failed: data.numFailedTests,
-        skipped: data.numPendingTests || 0,
-      };
-      suites = data.testResults || [];
-    } else {
-      // Try to infer from structure
-      stats = this.inferStatsFromData(data);
-      suites = data.suites || data.testResults || [];
-    }
-
-    // Update totals
-    this.results.total += stats.total || 0;
-    this.results.passed += stats.passed || 0;
-    this.results.failed += stats.failed || 0;
-    this.results.skipped += stats.skipped || 0;
-
-    // Update environment results
-    if (!this.results.environments[environment]) {
-      this.results.environments[environment] = {
-        total: 0,
-        passed: 0,
-        failed: 0,
-        skipped: 0,
-        browsers: {},
-      };
-    }
-
-    const envResult = this.results.environments[environment];
-    envResult.total += stats.total || 0;
-    envResult.passed += stats.passed || 0;
-    envResult.failed += stats.failed || 0;
-    envResult.skipped += stats.skipped || 0;
-    envResult.browsers[browser] = stats;
-
-    // Update browser results
-    if (!this.results.browsers[browser]) {
-      this.results.browsers[browser] = {
-        total: 0,
-        passed: 0,
-        failed: 0,
-        skipped: 0,
-        environments: {},
-      };
-    }
-
-    const browserResult = this.results.browsers[browser];
-    browserResult.total += stats.total || 0;
-    browserResult.passed += stats.passed || 0;
-    browserResult.failed += stats.failed || 0;
-    browserResult.skipped += stats.skipped || 0;
-    browserResult.environments[environment] = stats;
-
-    // Process suites
-    this.processSuites(suites, environment, browser);
-  }
-
-  /**
-   * Infer statistics from data structure
-   * @param {Object} data - Test data
-   * @returns {Object} - Inferred statistics
+   * Count a test in the totals and the environment, browser and suite results
+   * @param {Object} run - Canonical run (scripts/results) the test belongs to
+   * @param {Object} test - Canonical test
    */
-  inferStatsFromData(data) {
-    const stats = { total: 0, passed: 0, failed: 0, skipped: 0 };
-
-    // Try to count from various possible structures
-    if (Array.isArray(data)) {
-      data.forEach((item) => {
-        if (item.status) {
-          stats.total++;
-          switch (item.status) {
-            case 'passed':
-              stats.passed++;
-              break;
-            case 'failed':
-              stats.failed++;
-              break;
-            case 'skipped':
-              stats.skipped++;
-              break;
-          }
-        }
-      });
-    }
-
-    return stats;
-  }
-
-  /**
-   * Process test suites
-   * @param {Array} suites - Test suites
-   * @param {string} environment - Environment name
-   * @param {string} browser - Browser name
-   */
-  processSuites(suites, environment, browser) {
-    suites.forEach((suite) => {
-      const suiteName = suite.title || suite.name || 'Unknown Suite';
-
-      if (!this.results.suites[suiteName]) {
-        this.results.suites[suiteName] = {
-          total: 0,
-          passed: 0,
-          failed: 0,
-          skipped: 0,
-          environments: {},
-          browsers: {},
-        };
-      }
-
-      const suiteStats = this.calculateSuiteStats(suite);
-      const suiteResult = this.results.suites[suiteName];
-
-      suiteResult.total += suiteStats.total;
-      suiteResult.passed += suiteStats.passed;
-      suiteResult.failed += suiteStats.failed;
-      suiteResult.skipped += suiteStats.skipped;
-
-      if (!suiteResult.environments[environment]) {
-        suiteResult.environments[environment] = { total: 0, passed: 0, failed: 0, skipped: 0 };
-      }
-
-      if (!suiteResult.browsers[browser]) {
-        suiteResult.browsers[browser] = { total: 0, passed: 0, failed: 0, skipped: 0 };
-      }
-
-      const envSuite = suiteResult.environments[environment];
-      const browserSuite = suiteResult.browsers[browser];
+  processTest(run, test) {
+    const source = run.sources.find((candidate) => candidate.id === test.sourceId);
+    const environment = test.environment || 'unknown';
+    const browser =
+      test.project || this.extractBrowserFromPath((source?.file || '').split(path.sep));
+    const suiteName = run.rootSuiteOf(test)?.name || 'Unknown Suite';
 
-      envSuite.total += suiteStats.total;
-      envSuite.passed += suiteStats.passed;
-      envSuite.failed += suiteStats.failed;
-      envSuite.skipped += suiteStats.skipped;
+    countTest(this.results, test);
 
-      browserSuite.total += suiteStats.total;
-      browserSuite.passed += suiteStats.passed;
-      browserSuite.failed += suiteStats.failed;
-      browserSuite.skipped += suiteStats.skipped;
-    });
-  }
-
-  /**
-   * Calculate statistics for a test suite
-   * @param {Object} suite - Test suite
-   * @returns {Object} - Suite statistics
-   */
-  calculateSuiteStats(suite) {
-    const stats = { total: 0, passed: 0, failed: 0, skipped: 0 };
-
-    // Handle different suite formats
-    if (suite.tests) {
-      suite.tests.forEach((test) => {
-        stats.total++;
-        switch (test.status || test.state) {
-          case 'passed':
-            stats.passed++;
-            break;
-          case 'failed':
-            stats.failed++;
-            break;
-          case 'skipped':
-          case 'pending':
-            stats.skipped++;
-            break;
-        }
-      });
-    }
+    const envResult = entryOf(this.results.environments, environment, () => ({
+      ...emptyCounts(),
+      browsers: {},
+    }));
+    countTest(envResult, test);
+    countTest(entryOf(envResult.browsers, browser, emptyCounts), test);
 
-    if (suite.suites) {
-      suite.suites.forEach((subSuite) => {
-        const subStats = this.calculateSuiteStats(subSuite);
-        stats.total += subStats.total;
-        stats.passed += subStats.passed;
-        stats.failed += subStats.failed;
-        stats.skipped += subStats.skipped;
-      });
-    }
+    const browserResult = entryOf(this.results.browsers, browser, () => ({
+      ...emptyCounts(),
+      environments: {},
+    }));
+    countTest(browserResult, test);
+    countTest(entryOf(browserResult.environments, environment, emptyCounts), test);
 
-    return stats;
+    const suiteResult = entryOf(this.results.suites, suiteName, () => ({
+      ...emptyCounts(),
+      environments: {},
+      browsers: {},
+    }));
+    countTest(suiteResult, test);
+    countTest(entryOf(suiteResult.environments, environment, emptyCounts), test);
+    countTest(entryOf(suiteResult.browsers, browser, emptyCounts), test);
+
+    const row = entryOf(this.results.breakdown, `${environment}|${browser}|${suiteName}`, () => ({
+      environment,
+      browser,
+      suite: suiteName,
+      ...emptyCounts(),
+      flaky: 0,
+      duration: 0,
+    }));
+    countTest(row, test);
   }
 
   /**
@@ -704,6 +513,10 @@ class CIResultsAggregator {
       failed: this.results.failed,
       skipped: this.results.skipped,
       passRate: this.results.total > 0 ? (this.results.passed / this.results.total) * 100 : 0,
+      flaky: this.results.flaky,
+      duration: this.results.duration,
+      breakdown: Object.values(this.results.breakdown),
+      reportUrl: this.getRunUrl(),
       metadata: this.results.metadata,
     };
 
@@ -724,6 +537,19 @@ class CIResultsAggregator {
     console.log('Trend analysis updated');
   }
 
+  /**
+   * Link to this run's report: REPORT_URL, or the GitHub Actions run
+   * @returns {string|null} - URL
+   */
+  getRunUrl() {
+    if (process.env.REPORT_URL) return process.env.REPORT_URL;
+    const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+    if (GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID) {
+      return `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`;
+    }
+    return null;
+  }
+
   /**
    * Analyze test trends
    * @param {Array} history - Test history data
@@ -797,10 +623,8 @@ class CIResultsAggregator {
       // Send summary notification
       await this.notificationManager.sendSummaryNotification(this.results, trendAnalysis);
 
-      // Send failure notification if there are failures
-      if (this.results.failed > 0) {
-        await this.notificationManager.sendFailureNotification(this.results, []);
-      }
+      // Send failure notification, or a recovery when a previously failing run passes
+      await this.notificationManager.sendFailureNotification(this.results, []);
 
       // Send trend notification if significant trends detected
       if (trendAnalysis) {
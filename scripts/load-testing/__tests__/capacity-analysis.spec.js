@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { analyzeCapacity, readK6Windows } = require('../capacity-analysis');
+
+const slo = {
+  objectives: [
+    {
+      name: 'Run',
+      conditions: [
+        { metric: 'p95', lte: 1000 },
+        { metric: 'error_rate', lt: 5 },
+      ],
+    },
+  ],
+};
+
+/**
+ * 10s windows of a ramp adding 5 users per window; throughput caps at 60 req/s (30 users) and
+ * p95 grows by 100ms per user beyond that
+ * @param {number[]} users - Users per window
+ */
+function rampRows(users) {
+  return users.map((threads, index) => {
+    const throughput = Math.min(threads * 2, 60);
+    const p95 = threads <= 30 ? 200 : 200 + (threads - 30) * 100;
+    return {
+      start: new Date(1724763000000 + index * 10000).toISOString(),
+      offset_seconds: index * 10,
+      samples: throughput * 10,
+      errors: threads >= 45 ? throughput : 0,
+      error_percentage: threads >= 45 ? 10 : 0,
+      throughput,
+      avg: p95 / 2,
+      p50: p95 / 2,
+      p90: p95,
+      p95,
+      p99: p95,
+      max: p95,
+      grp_threads: threads,
+      all_threads: threads,
+    };
+  });
+}
+
+describe('Capacity analysis', () => {
+  test('finds the knee and the maximum users within the SLO', () => {
+    const rows = rampRows([5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 50, 20, 5]);
+
+    const capacity = analyzeCapacity(rows, { slo, tool: 'jmeter' });
+
+    expect(capacity).toMatchObject({
+      peak_users: 50,
+      knee: { users: 30, throughput: 60, p95: 200 },
+      latency_knee_users: 35,
+      max_sustainable_users: 35,
+      slo_limit: { users: 40, breaches: ['Run: p95 1200 not <= 1000'] },
+      confidence: 'high',
+    });
+    // Ramp-down windows are left out
+    expect(capacity.levels.map((level) => level.users)).toEqual([
+      5, 10, 15, 20, 25, 30, 35, 40, 45, 50,
+    ]);
+    expect(capacity.levels.find((level) => level.users === 50).windows).toBe(2);
+  });
+
+  test('reports a low confidence when throughput never levels off', () => {
+    const capacity = analyzeCapacity(rampRows([5, 10, 15, 20]), { slo, tool: 'jmeter' });
+
+    expect(capacity.knee).toBeNull();
+    expect(capacity.max_sustainable_users).toBe(20);
+    expect(capacity.confidence).toBe('low');
+    expect(capacity.note).toMatch(/knee lies beyond this load/);
+    expect(analyzeCapacity(rampRows([10, 10, 10, 10]), { slo })).toBeNull();
+  });
+
+  test('buckets k6 JSONL streams by window with peak vus as concurrency', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'k6-stream-'));
+    const file = path.join(dir, 'breakpoint-results.json');
+    const point = (metric, second, value) =>
+      JSON.stringify({
+        type: 'Point',
+        metric,
+        data: { time: new Date(1724763000000 + second * 1000).toISOString(), value, tags: {} },
+      });
+    fs.writeFileSync(
+      file,
+      [
+        JSON.stringify({ type: 'Metric', metric: 'vus', data: { type: 'gauge' } }),
+        point('vus', 0, 2),
+        point('vus', 5, 4),
+        point('http_req_duration', 1, 100),
+        point('http_req_failed', 1, 0),
+        point('http_req_duration', 6, 300),
+        point('http_req_failed', 6, 1),
+        point('vus', 12, 6),
+        point('http_req_duration', 12, 500),
+        'not json',
+      ].join('\n')
+    );
+
+    const rows = await readK6Windows(file, 10000);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    expect(rows).toEqual([
+      expect.objectContaining({ samples: 2, errors: 1, avg: 200, max: 300, all_threads: 4 }),
+      expect.objectContaining({ offset_seconds: 10, samples: 1, p95: 500, all_threads: 6 }),
+    ]);
+  });
+});
@@ -72,4 +72,46 @@ describe('JMeter JTL Streaming Parser', () => {
       )
     ).toBe(true);
   });
+
+  test('buckets samples into a timeline and finds degradation, saturation and recovery', async () => {
+    const baseTs = 1724762000000;
+    // Threads ramp up by 2 every 10s to 14, then drop to 2; throughput caps at 8 req/s from 8
+    // threads, latency climbs past 10 threads and settles 10s after the load drops
+    const profile = [2, 4, 6, 8, 10, 12, 14, 2, 2, 2];
+    const rows = profile.flatMap((threads, window) => {
+      const rate = Math.min(threads, 8);
+      const elapsed = window === 7 || threads > 10 ? 1200 : 200;
+      return Array.from({ length: rate * 10 }, (_, i) => {
+        const ts = baseTs + window * 10000 + i * Math.floor(10000 / (rate * 10));
+        return `${ts},${elapsed},01 - Load Homepage,200,OK,Thread Group 1-1,text,true,,1024,256,${threads},${threads},https://example/,,0,10`;
+      });
+    });
+    const file = writeTempJtl(rows);
+
+    const { timeline } = await parseJtl(file, { slo: { objectives: [] }, window: '10s' });
+
+    expect(timeline.window_seconds).toBe(10);
+    expect(timeline.windows).toHaveLength(10);
+    expect(timeline.windows[3]).toMatchObject({
+      offset_seconds: 30,
+      samples: 80,
+      throughput: 8,
+      p95: 200,
+      all_threads: 8,
+    });
+    expect(Object.keys(timeline.labels)).toEqual(['01 - Load Homepage']);
+    expect(timeline.analysis.degradation).toMatchObject({
+      offset_seconds: 50,
+      reason: 'latency',
+      threads: 12,
+    });
+    expect(timeline.analysis.saturation).toMatchObject({
+      offset_seconds: 30,
+      threads: 8,
+      max_threads: 14,
+    });
+    expect(timeline.analysis.recoveries).toEqual([
+      expect.objectContaining({ windows: 3, recovered: true, recovery_seconds: 10 }),
+    ]);
+  });
 });
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { parseK6Stream, groupPath } = require('../k6-stream-parser');
+
+const LOGIN = '::Baseline User Journey::02 - Login Process';
+const CHECKOUT = '::Capacity Planning Journey::Checkout Process';
+
+/**
+ * Points k6 writes for one request
+ * @param {number} second - Offset from the start of the run
+ * @param {{ group: string, method: string, url: string, status: number, duration: number }} request
+ */
+function requestPoints(second, { group, method, url, status, duration }) {
+  const tags = {
+    group,
+    method,
+    name: url,
+    url,
+    status: String(status),
+    proto: 'HTTP/1.1',
+    expected_response: String(status < 400),
+    scenario: 'default',
+    endpoint: url.endsWith('cart.html') ? 'cart' : 'login',
+  };
+  const values = {
+    http_reqs: 1,
+    http_req_duration: duration,
+    http_req_blocked: 2,
+    http_req_connecting: 1,
+    http_req_tls_handshaking: 0,
+    http_req_sending: 0.5,
+    http_req_waiting: duration - 10,
+    http_req_receiving: 9.5,
+    http_req_failed: status >= 400 ? 1 : 0,
+  };
+  return Object.entries(values).map(([metric, value]) =>
+    JSON.stringify({
+      type: 'Point',
+      metric,
+      data: { time: new Date(1724763000000 + second * 1000).toISOString(), value, tags },
+    })
+  );
+}
+
+describe('k6 stream parser', () => {
+  let dir;
+  let file;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'k6-stream-'));
+    file = path.join(dir, 'load-results.json');
+    const point = (metric, second, value, tags) =>
+      JSON.stringify({
+        type: 'Point',
+        metric,
+        data: { time: new Date(1724763000000 + second * 1000).toISOString(), value, tags },
+      });
+    fs.writeFileSync(
+      file,
+      [
+        JSON.stringify({ type: 'Metric', metric: 'http_req_duration', data: { type: 'trend' } }),
+        point('vus', 0, 3, {}),
+        ...requestPoints(0, {
+          group: LOGIN,
+          method: 'POST',
+          url: 'https://x/',
+          status: 200,
+          duration: 300,
+        }),
+        ...requestPoints(5, {
+          group: LOGIN,
+          method: 'POST',
+          url: 'https://x/',
+          status: 200,
+          duration: 500,
+        }),
+        point('checks', 5, 1, { group: LOGIN, check: 'login successful' }),
+        point('checks', 5, 0, { group: LOGIN, check: 'redirected to inventory' }),
+        point('group_duration', 6, 800, { group: LOGIN }),
+        ...requestPoints(12, {
+          group: CHECKOUT,
+          method: 'GET',
+          url: 'https://x/cart.html',
+          status: 500,
+          duration: 100,
+        }),
+        ...requestPoints(14, {
+          group: '',
+          method: 'GET',
+          url: 'https://x/',
+          status: 200,
+          duration: 200,
+        }),
+        'not json',
+      ].join('\n')
+    );
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('breaks requests down per group, URL, status and tag with timing phases', async () => {
+    const stream = await parseK6Stream(file);
+
+    expect(stream).toMatchObject({
+      testType: 'load',
+      duration_seconds: 14,
+      vus_max: 3,
+      overall: { requests: 4, failed: 1, error_percentage: 25 },
+    });
+    expect(stream.timeline).toBeUndefined();
+    expect(stream.groups.map((group) => [group.name, group.depth, group.requests])).toEqual([
+      ['(no group)', 0, 1],
+      ['Baseline User Journey', 0, 2],
+      ['Baseline User Journey › 02 - Login Process', 1, 2],
+      ['Capacity Planning Journey', 0, 1],
+      ['Capacity Planning Journey › Checkout Process', 1, 1],
+    ]);
+    const login = stream.groups[2];
+    expect(login).toMatchObject({
+      avg: 400,
+      max: 500,
+      checks: { passes: 1, fails: 1, pass_percentage: 50 },
+      group_duration: { avg: 800 },
+    });
+    expect(login.phases).toMatchObject({
+      blocked: { avg: 2 },
+      connecting: { avg: 1 },
+      tls_handshaking: { avg: 0 },
+      sending: { avg: 0.5 },
+      waiting: { avg: 390 },
+      receiving: { avg: 9.5 },
+    });
+    expect(stream.urls.map((url) => [url.name, url.requests])).toEqual([
+      ['POST https://x/', 2],
+      ['GET https://x/', 1],
+      ['GET https://x/cart.html', 1],
+    ]);
+    expect(stream.statuses.map((status) => [status.name, status.failed])).toEqual([
+      ['200', 0],
+      ['500', 1],
+    ]);
+    // Built-in tags with breakdowns of their own or without grouping value are left out
+    expect(Object.keys(stream.tags)).toEqual(['endpoint', 'method', 'scenario']);
+    expect(stream.tags.endpoint.map((value) => [value.name, value.requests])).toEqual([
+      ['login', 3],
+      ['cart', 1],
+    ]);
+  });
+
+  test('builds a timeline when given a window', async () => {
+    const { timeline } = await parseK6Stream(file, { window: '10s' });
+
+    expect(timeline.window_seconds).toBe(10);
+    expect(timeline.windows).toEqual([
+      expect.objectContaining({ samples: 2, errors: 0, avg: 400, all_threads: 3 }),
+      expect.objectContaining({ offset_seconds: 10, samples: 2, errors: 1 }),
+    ]);
+    expect(groupPath('::Endurance Test Journey::Login')).toEqual([
+      'Endurance Test Journey',
+      'Login',
+    ]);
+  });
+});
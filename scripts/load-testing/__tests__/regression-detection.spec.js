@@ -0,0 +1,79 @@
+const {
+  mannWhitney,
+  compareWindows,
+  detectRegressions,
+  describeVerdict,
+  DEFAULTS,
+} = require('../regression-detection');
+
+/**
+ * Deterministic noise around a center
+ * @param {number} center - Center
+ * @param {number} count - Windows
+ * @param {number} spread - Largest deviation
+ */
+function windows(center, count = 12, spread = 10) {
+  return Array.from(
+    { length: count },
+    (_, index) => center + ((index * 7) % 5) * (spread / 2) - spread
+  );
+}
+
+const baseline = [400, 405, 395, 402, 398].map((center) => windows(center));
+
+describe('Regression detection', () => {
+  test('matches the Mann–Whitney U test with ties', () => {
+    const { u, p } = mannWhitney([1, 2, 3, 4, 5, 5, 6], [5, 6, 7, 8, 9, 9, 10]);
+
+    expect(u).toBe(2.5);
+    expect(p).toBeCloseTo(0.0057, 3);
+    expect(mannWhitney([1, 1, 1], [1, 1, 1]).p).toBe(1);
+  });
+
+  test('tells regressed, improved and unchanged p95 apart', () => {
+    expect(compareWindows(windows(520), baseline, 'p95', DEFAULTS)).toMatchObject({
+      verdict: 'regressed',
+      baseline: 400,
+      current: 520,
+      pct: 30,
+      runs: 5,
+    });
+    expect(compareWindows(windows(300), baseline, 'p95', DEFAULTS).verdict).toBe('improved');
+    expect(compareWindows(windows(401), baseline, 'p95', DEFAULTS).verdict).toBe('unchanged');
+    // Lower throughput is the regression
+    expect(compareWindows(windows(300), baseline, 'throughput', DEFAULTS).verdict).toBe(
+      'regressed'
+    );
+  });
+
+  test('is inconclusive without enough evidence', () => {
+    expect(compareWindows(windows(520), baseline.slice(0, 2), 'p95', DEFAULTS)).toMatchObject({
+      verdict: 'inconclusive',
+      reason: '2 of 3 baseline runs',
+    });
+    expect(compareWindows(windows(520, 3), baseline, 'p95', DEFAULTS).verdict).toBe('inconclusive');
+    // Significant, but within the tolerance of 5%, with an interval reaching beyond it
+    const noisy = [400, 405, 395, 402, 398].map((center) => windows(center, 12, 80));
+    expect(compareWindows(windows(415, 12, 80), noisy, 'p95', DEFAULTS).verdict).toBe(
+      'inconclusive'
+    );
+  });
+
+  test('builds the baseline per series from the last runs of the history', () => {
+    const run = (p95) => ({ p95: windows(p95), error_rate: windows(1, 12, 0), throughput: [] });
+    const history = [
+      { series: { 'k6 › load': run(900) } },
+      ...[400, 405, 395].map((p95) => ({ series: { 'k6 › load': run(p95) } })),
+      { k6: {} },
+    ];
+
+    const verdicts = detectRegressions({ 'k6 › load': run(520) }, history, { baselineRuns: 3 });
+
+    expect(verdicts['k6 › load'].p95).toMatchObject({ verdict: 'regressed', runs: 3 });
+    expect(verdicts['k6 › load'].error_rate.verdict).toBe('unchanged');
+    expect(verdicts['k6 › load'].throughput).toMatchObject({ verdict: 'inconclusive', runs: 0 });
+    expect(describeVerdict('k6 › load', 'p95', verdicts['k6 › load'].p95)).toMatch(
+      /^k6 › load p95 regressed: 400ms → 520ms \(\+30%, p<0\.0001\)$/
+    );
+  });
+});
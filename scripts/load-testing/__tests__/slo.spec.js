@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  normalizeSlo,
+  evaluateSlo,
+  k6Thresholds,
+  writeK6Thresholds,
+  callThreshold,
+  seriesFromSamples,
+  seriesFromK6Summary,
+  seriesFromMeasurements,
+  windowSizes,
+} = require('../slo');
+const { parseJtl } = require('../jmeter-jtl-parser');
+
+const slo = normalizeSlo({
+  objectives: [
+    {
+      name: 'Overall',
+      conditions: [
+        { metric: 'p95', lt: 800, abortOnFail: true, delayAbortEval: '30s' },
+        { metric: 'error_budget', availability: 99 },
+      ],
+    },
+    {
+      name: 'Login',
+      tools: ['k6', 'jmeter'],
+      match: { labels: ['02 - Login'], tags: { endpoint: 'login' } },
+      conditions: [
+        { metric: 'p99', lte: 1500 },
+        { metric: 'error_rate', lt: 5, window: '1s' },
+      ],
+    },
+    {
+      name: 'Soak',
+      tools: ['k6'],
+      testTypes: ['endurance'],
+      conditions: [{ metric: 'throughput', gte: 20 }],
+    },
+    {
+      name: 'API writes',
+      tools: ['api'],
+      match: { tags: { method: 'POST' } },
+      conditions: [{ metric: 'max', lte: 600 }],
+    },
+  ],
+});
+
+describe('Service level objectives', () => {
+  test('generates k6 thresholds for the objectives of a test type', () => {
+    expect(k6Thresholds(slo, { testType: 'load' })).toEqual({
+      http_req_duration: [{ threshold: 'p(95)<800', abortOnFail: true, delayAbortEval: '30s' }],
+      http_req_failed: ['rate<=0.01'],
+      'http_req_duration{endpoint:login}': ['p(99)<=1500'],
+    });
+    expect(k6Thresholds(slo, { testType: 'endurance' }).http_reqs).toEqual(['rate>=20']);
+  });
+
+  test('writes the k6 thresholds of a test type for K6_THRESHOLDS_PATH', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slo-'));
+
+    const file = writeK6Thresholds(slo, 'load', dir);
+    const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    expect(file).toBe(path.join(dir, 'load-thresholds.json'));
+    expect(written).toEqual(k6Thresholds(slo, { testType: 'load' }));
+  });
+
+  test('evaluates k6 summaries including tagged submetrics', () => {
+    const series = seriesFromK6Summary({
+      testType: 'load',
+      metrics: {
+        total_requests: 1000,
+        error_rate: 0.02,
+        http_req_duration: { avg: 300, p95: 700, p99: 1200 },
+      },
+      submetrics: { 'http_req_duration{endpoint:login}': { avg: 900, 'p(99)': 1800 } },
+    });
+
+    const { status, breaches, results } = evaluateSlo(slo, series, {
+      tool: 'k6',
+      testType: 'load',
+    });
+
+    expect(status).toBe('FAIL');
+    expect(breaches).toEqual([
+      expect.objectContaining({ objective: 'Overall', metric: 'error_budget', value: 200 }),
+      expect.objectContaining({ objective: 'Login', label: 'endpoint:login', value: 1800 }),
+    ]);
+    // The summary holds no samples to window
+    expect(results.find((result) => result.metric === 'error_rate').status).toBe('no-data');
+  });
+
+  test('checks windowed conditions in every window of the samples', () => {
+    const samples = [0, 200, 400, 1000, 1200, 1400].map((offset, index) => ({
+      time: 1724760000000 + offset,
+      duration: 100,
+      ok: index !== 4,
+    }));
+    const series = [
+      seriesFromSamples('OVERALL', {}, samples),
+      seriesFromSamples('02 - Login', {}, samples, windowSizes(slo)),
+    ];
+
+    const windowed = evaluateSlo(slo, series, { tool: 'jmeter' }).results.find(
+      (result) => result.window
+    );
+
+    expect(windowed).toMatchObject({
+      window: '1s',
+      windows: 2,
+      breachedWindows: 1,
+      value: 33.33,
+      status: 'fail',
+      windowStart: '2024-08-27T12:00:01.000Z',
+    });
+  });
+
+  test('reads the JMeter format and evaluates JTL files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slo-'));
+    const file = path.join(dir, 'plan-results.jtl');
+    fs.writeFileSync(
+      file,
+      [
+        'timeStamp,elapsed,label,responseCode,success',
+        '1724760000000,900,02 - Login,200,true',
+        '1724760001000,950,02 - Login,500,false',
+      ].join('\n')
+    );
+
+    const summary = await parseJtl(file, {
+      slo: {
+        global: { error_rate_pct: { lte: 10 } },
+        labels: { '02 - Login': { p95_ms: { lte: 800 } } },
+      },
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    expect(summary.slo.status).toBe('FAIL');
+    expect(summary.slo.breaches).toEqual([
+      expect.objectContaining({ scope: 'global', metric: 'error_rate_pct', value: 50 }),
+      expect.objectContaining({ scope: 'label', label: '02 - Login', metric: 'p95_ms' }),
+    ]);
+  });
+
+  test('derives API call thresholds and grades measurements per operation', () => {
+    expect(callThreshold(slo, { name: 'Create post', tags: { method: 'POST' } })).toBe(600);
+    expect(callThreshold(slo, { name: 'List posts', tags: { method: 'GET' } })).toBeNull();
+
+    const series = seriesFromMeasurements([
+      { operationName: 'Create post', method: 'POST', duration: 700, status: 201 },
+      { operationName: 'List posts', method: 'GET', duration: 200, status: 200 },
+    ]);
+    const { breaches } = evaluateSlo(slo, series, { tool: 'api' });
+
+    expect(breaches.map((breach) => [breach.objective, breach.label])).toEqual([
+      ['API writes', 'Create post'],
+    ]);
+  });
+
+  test('rejects definitions it cannot evaluate', () => {
+    expect(() =>
+      normalizeSlo({ objectives: [{ name: 'Bad', conditions: [{ metric: 'p95' }] }] })
+    ).toThrow(/needs one of lt, lte, gt or gte/);
+    expect(() =>
+      normalizeSlo({ objectives: [{ name: 'Bad', conditions: [{ metric: 'apdex', gt: 1 }] }] })
+    ).toThrow(/Unknown SLO metric/);
+    expect(() =>
+      normalizeSlo({
+        objectives: [{ name: 'Bad', conditions: [{ metric: 'p95', lt: 1, window: '5 min' }] }],
+      })
+    ).toThrow(/Invalid duration/);
+  });
+});
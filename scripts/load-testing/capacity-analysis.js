@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * Capacity Analysis
+ * Finds where a stress or breakpoint run stops scaling, from the windows of a JTL timeline
+ * (see jtl-timeline.js) or of a k6 JSONL stream (k6 run --out json=<type>-results.json):
+ * - Windows are grouped by concurrency (JMeter allThreads, k6 vus) up to the end of the peak load
+ * - Throughput per concurrency level is fitted with a linear rise that levels off at a plateau;
+ *   the knee is where the two meet
+ * - Latency knee: first level whose p95 exceeds the lowest level's by the degradation factor
+ * - Maximum sustainable users: highest level up to which every level meets the SLO
+ * - Confidence from the number of levels, plateau length, fit quality and knee agreement
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSlo, normalizeSlo, evaluateSlo, parseDuration, describeBreach } = require('./slo');
+const { DEFAULT_WINDOW, DEFAULTS } = require('./jtl-timeline');
+const { parseK6Stream } = require('./k6-stream-parser');
+
+// Fewer concurrency levels than this are not a ramp worth analysing
+const MIN_LEVELS = 3;
+
+/**
+ * @typedef {import('./jtl-timeline').WindowRow} WindowRow
+ * @typedef {{ users: number, windows: number, samples: number, throughput: number,
+ *   p95: number | null, avg: number | null, error_percentage: number,
+ *   slo?: 'pass' | 'fail' }} Level
+ */
+
+/**
+ * Bucket a k6 JSONL stream into windows (see k6-stream-parser.js)
+ * @param {string} file - k6 JSON output
+ * @param {number} size - Window length (ms)
+ * @returns {Promise<WindowRow[]>} Windows, all_threads holding the peak vus of each
+ */
+async function readK6Windows(file, size) {
+  const { timeline } = await parseK6Stream(file, { window: size });
+  return timeline ? timeline.windows : [];
+}
+
+/**
+ * Windows with samples and concurrency, up to the end of the peak load: ramp-down windows
+ * repeat lower levels with draining queues
+ * @param {WindowRow[]} rows - Windows in time order
+ * @returns {WindowRow[]} Ramp windows
+ */
+function rampOf(rows) {
+  const active = rows.filter((row) => row.samples > 0 && (row.all_threads ?? 0) > 0);
+  const peak = Math.max(0, ...active.map((row) => row.all_threads ?? 0));
+  return active.slice(0, active.map((row) => row.all_threads).lastIndexOf(peak) + 1);
+}
+
+/**
+ * Aggregate windows of the ramp by concurrency level
+ * @param {WindowRow[]} rows - Windows in time order
+ * @returns {Level[]} Levels by ascending users
+ */
+function levelsOf(rows) {
+  /** @type {Map<number, WindowRow[]>} */
+  const byUsers = new Map();
+  rampOf(rows).forEach((row) => {
+    const users = /** @type {number} */ (row.all_threads);
+    if (!byUsers.has(users)) byUsers.set(users, []);
+    byUsers.get(users)?.push(row);
+  });
+
+  return [...byUsers.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([users, windows]) => {
+      const samples = windows.reduce((sum, row) => sum + row.samples, 0);
+      const errors = windows.reduce((sum, row) => sum + row.errors, 0);
+      // Sample-weighted means of the window values
+      /** @param {'p95' | 'avg'} field */
+      const weighted = (field) => {
+        const measured = windows.filter((row) => row[field] !== null);
+        const weight = measured.reduce((sum, row) => sum + row.samples, 0);
+        return weight > 0
+          ? Math.round(
+              measured.reduce((sum, row) => sum + (row[field] ?? 0) * row.samples, 0) / weight
+            )
+          : null;
+      };
+      return {
+        users,
+        windows: windows.length,
+        samples,
+        throughput: +(
+          windows.reduce((sum, row) => sum + row.throughput, 0) / windows.length
+        ).toFixed(2),
+        p95: weighted('p95'),
+        avg: weighted('avg'),
+        error_percentage: samples > 0 ? +((errors / samples) * 100).toFixed(2) : 0,
+      };
+    });
+}
+
+/**
+ * Fit throughput = slope × users up to the knee and a plateau beyond it
+ * @param {Level[]} levels - Levels by ascending users
+ * @returns {{ slope: number, plateau: number | null, plateauLevels: number, knee: number | null,
+ *   r2: number }} Fit; plateau and knee are null when throughput never levels off
+ */
+function fitPlateau(levels) {
+  const users = levels.map((level) => level.users);
+  const throughput = levels.map((level) => level.throughput);
+  const mean = throughput.reduce((sum, value) => sum + value, 0) / throughput.length;
+  const total = throughput.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  /** @param {number} end - Levels on the rising line (the rest are on the plateau) */
+  const fit = (end) => {
+    const slope =
+      users.slice(0, end).reduce((sum, u, i) => sum + u * throughput[i], 0) /
+      users.slice(0, end).reduce((sum, u) => sum + u * u, 0);
+    const flat = throughput.slice(end);
+    const plateau = flat.length ? flat.reduce((sum, value) => sum + value, 0) / flat.length : null;
+    const predicted = users.map((u, i) => (i < end ? slope * u : /** @type {number} */ (plateau)));
+    const error = throughput.reduce((sum, value, i) => sum + (value - predicted[i]) ** 2, 0);
+    return { slope, plateau, plateauLevels: flat.length, error };
+  };
+
+  let best = fit(levels.length);
+  // At least two levels on each side; a plateau must sit clearly below the rising line
+  for (let end = 2; end <= levels.length - 2; end++) {
+    const candidate = fit(end);
+    if (
+      candidate.error < best.error &&
+      /** @type {number} */ (candidate.plateau) < 0.9 * candidate.slope * users[users.length - 1]
+    ) {
+      best = candidate;
+    }
+  }
+  return {
+    slope: +best.slope.toFixed(3),
+    plateau: best.plateau === null ? null : +best.plateau.toFixed(2),
+    plateauLevels: best.plateauLevels,
+    knee: best.plateau === null ? null : Math.round(best.plateau / best.slope),
+    r2: total > 0 ? +Math.max(0, 1 - best.error / total).toFixed(3) : 1,
+  };
+}
+
+/**
+ * Series of one concurrency level for SLO evaluation (see slo.js)
+ * @param {Level} level - Level
+ * @param {WindowRow[]} ramp - Ramp windows of the run
+ * @returns {import('./slo').Series} Series treated as the whole test
+ */
+function levelSeries(level, ramp) {
+  const windows = ramp.filter((row) => row.all_threads === level.users);
+  /** @param {'p50' | 'p90' | 'p99' | 'max'} field */
+  const worst = (field) => Math.max(0, ...windows.map((row) => row[field] ?? 0)) || null;
+  return {
+    name: `${level.users} users`,
+    overall: true,
+    tags: {},
+    samples: level.samples,
+    errorRate: level.error_percentage,
+    // Throughput objectives are about the whole run, not about a concurrency level
+    throughput: null,
+    stats: {
+      avg: level.avg,
+      med: worst('p50'),
+      p50: worst('p50'),
+      p90: worst('p90'),
+      p95: level.p95,
+      p99: worst('p99'),
+      max: worst('max'),
+    },
+  };
+}
+
+/**
+ * Find the capacity knee and the maximum sustainable users of a run
+ * @param {WindowRow[]} rows - Windows in time order
+ * @param {{ slo?: any, tool?: string, testType?: string }} [options] - SLO definitions in either
+ *   format (default: config/performance/slo.json) and the tool and test type whose objectives apply
+ * @returns {Object | null} Analysis, null when concurrency did not ramp through enough levels
+ */
+function analyzeCapacity(rows, options = {}) {
+  const levels = levelsOf(rows);
+  if (levels.length < MIN_LEVELS) return null;
+
+  const slo = options.slo ? normalizeSlo(options.slo) : loadSlo();
+  const context = { tool: options.tool, testType: options.testType };
+  /** @type {Object[]} */
+  let limitBreaches = [];
+  let sustainable = 0;
+  const ramp = rampOf(rows);
+  for (const level of levels) {
+    const { breaches } = evaluateSlo(slo, [levelSeries(level, ramp)], context);
+    level.slo = breaches.length > 0 ? 'fail' : 'pass';
+    if (breaches.length > 0 && limitBreaches.length === 0) limitBreaches = breaches;
+    if (limitBreaches.length === 0) sustainable = level.users;
+  }
+
+  const fit = fitPlateau(levels);
+  const kneeLevel =
+    fit.knee === null
+      ? null
+      : levels.reduce((a, b) =>
+          Math.abs(b.users - /** @type {number} */ (fit.knee)) <
+          Math.abs(a.users - /** @type {number} */ (fit.knee))
+            ? b
+            : a
+        );
+  const baseP95 = levels[0].p95 ?? 0;
+  const latencyKnee =
+    levels.find((level) => (level.p95 ?? 0) > baseP95 * DEFAULTS.degradationFactor)?.users ?? null;
+  const peakUsers = levels[levels.length - 1].users;
+
+  // Confidence: one point per supporting signal
+  const notes = [`${levels.length} concurrency levels up to ${peakUsers} users`];
+  let score = levels.length >= 6 ? 1 : 0;
+  if (fit.knee === null) {
+    notes.push(`throughput still rising at ${peakUsers} users, so the knee lies beyond this load`);
+  } else {
+    notes.push(`throughput plateau over ${fit.plateauLevels} levels`);
+    if (fit.plateauLevels >= 3) score += 1;
+  }
+  notes.push(`fit R² ${fit.r2}`);
+  if (fit.r2 >= 0.9) score += 1;
+  if (fit.knee !== null && latencyKnee !== null) {
+    const agrees = Math.abs(latencyKnee - fit.knee) <= 0.25 * fit.knee;
+    notes.push(`latency knee at ${latencyKnee} users ${agrees ? 'agrees' : 'disagrees'}`);
+    if (agrees) score += 1;
+  }
+  if (levels.length < 6) notes.push('ramp through more levels for a firmer estimate');
+  const confidence =
+    fit.knee === null ? 'low' : score >= 3 ? 'high' : score === 2 ? 'medium' : 'low';
+
+  return {
+    peak_users: peakUsers,
+    knee:
+      fit.knee === null
+        ? null
+        : {
+            users: fit.knee,
+            throughput: fit.plateau,
+            p95: kneeLevel?.p95 ?? null,
+            error_percentage: kneeLevel?.error_percentage ?? null,
+          },
+    latency_knee_users: latencyKnee,
+    max_sustainable_users: sustainable,
+    slo_limit:
+      limitBreaches.length > 0
+        ? {
+            users: levels.find((level) => level.slo === 'fail')?.users,
+            breaches: limitBreaches.map(describeBreach),
+          }
+        : null,
+    fit: { slope: fit.slope, plateau: fit.plateau, r2: fit.r2 },
+    confidence,
+    note: `${confidence[0].toUpperCase()}${confidence.slice(1)} confidence: ${notes.join('; ')}.`,
+    levels,
+  };
+}
+
+/**
+ * Analyse a JTL file or a k6 JSONL stream
+ * @param {string} file - .jtl file, or k6 JSON output
+ * @param {{ window?: string, slo?: any, testType?: string }} [options] - Window length (default
+ *   10s), SLO definitions and k6 test type
+ * @returns {Promise<Object | null>} Analysis (see analyzeCapacity) with the source file
+ */
+async function analyzeCapacityFile(file, options = {}) {
+  const window = options.window || DEFAULT_WINDOW;
+  let rows;
+  let tool;
+  if (path.extname(file).toLowerCase() === '.jtl') {
+    // Required here: the parser loads the timeline module this one builds on
+    const { parseJtl } = require('./jmeter-jtl-parser');
+    const { timeline } = await parseJtl(file, { window, slo: options.slo });
+    rows = timeline?.windows || [];
+    tool = 'jmeter';
+  } else {
+    rows = await readK6Windows(file, parseDuration(window));
+    tool = 'k6';
+  }
+  const analysis = analyzeCapacity(rows, { slo: options.slo, tool, testType: options.testType });
+  return (
+    analysis && { source: file, tool, window_seconds: parseDuration(window) / 1000, ...analysis }
+  );
+}
+
+/**
+ * @param {string[]} argv - Arguments
+ * @returns {{ files: string[], window: string, slo?: string, testType?: string, output?: string,
+ *   help?: boolean }} Options
+ */
+function parseArgs(argv) {
+  /** @type {ReturnType<typeof parseArgs>} */
+  const args = { files: [], window: DEFAULT_WINDOW };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--window':
+        args.window = next();
+        break;
+      case '--slo':
+        args.slo = next();
+        break;
+      case '--test-type':
+        args.testType = next();
+        break;
+      case '--output':
+        args.output = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (!arg.startsWith('-')) args.files.push(arg);
+        break;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.files.length === 0) {
+    console.log(`Usage: node scripts/load-testing/capacity-analysis.js [options] <file...>
+
+Finds the throughput knee and the maximum users that meet the SLOs in stress and breakpoint runs.
+Files are JMeter .jtl files or k6 JSONL streams (reports/load-tests/k6/<type>-results.json).
+
+Options:
+  --window <duration>   Window length the run is bucketed into (default: ${DEFAULT_WINDOW})
+  --test-type <type>    k6 test type whose objectives apply (default: from the file name)
+  --slo <file>          SLO definitions (default: config/performance/slo.json)
+  --output <file>       Write the analyses as JSON
+`);
+    return;
+  }
+
+  const slo = loadSlo(args.slo);
+  const analyses = [];
+  for (const file of args.files) {
+    const testType = args.testType || path.basename(file).replace(/-results\.json$/, '');
+    const analysis = await analyzeCapacityFile(file, { window: args.window, slo, testType });
+    if (!analysis) {
+      console.log(`⚠️ ${file}: concurrency did not ramp through ${MIN_LEVELS} levels`);
+      continue;
+    }
+    analyses.push(analysis);
+    console.log(
+      `🧗 ${file}: knee ${analysis.knee ? `at ${analysis.knee.users} users (${analysis.knee.throughput} req/s)` : 'not reached'}, max sustainable users under the SLO: ${analysis.max_sustainable_users}`
+    );
+    (analysis.slo_limit?.breaches || []).forEach((breach) =>
+      console.log(`   - ${analysis.slo_limit.users} users: ${breach}`)
+    );
+    console.log(`   ${analysis.note}`);
+  }
+
+  if (args.output) {
+    fs.mkdirSync(path.dirname(args.output), { recursive: true });
+    fs.writeFileSync(args.output, JSON.stringify(analyses, null, 2));
+    console.log(`📊 Capacity analysis: ${args.output}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Failed to analyse capacity:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  readK6Windows,
+  levelsOf,
+  fitPlateau,
+  analyzeCapacity,
+  analyzeCapacityFile,
+  parseArgs,
+};
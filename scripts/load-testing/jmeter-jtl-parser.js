@@ -2,10 +2,14 @@
 /**
  * JMeter JTL Streaming Parser with SLO evaluation
  * - Streams CSV JTL files
- * - Aggregates per-label and overall metrics
+ * - Aggregates per-label and overall metrics, and per time window for windowed SLOs
  * - Computes p90/p95/p99 via TDigest
- * - Evaluates against SLO config (JSON)
+ * - Evaluates against the SLO definitions (config/performance/slo.json, see slo.js)
+ * - Optionally builds a timeline of fixed windows with throughput, errors, active threads and
+ *   percentiles, analysed for degradation, saturation and recovery (see jtl-timeline.js)
  * - Emits a plan summary JSON structure
+ *
+ * Usage: node scripts/load-testing/jmeter-jtl-parser.js <file.jtl> [--window 10s] [--output-dir <dir>]
  */
 
 /* eslint-disable no-empty */
@@ -13,6 +17,21 @@ const fs = require('fs');
 const path = require('path');
 const { parse } = require('csv-parse');
 const { TDigest } = require('tdigest');
+const {
+  DEFAULT_SLO_FILE,
+  loadSlo,
+  normalizeSlo,
+  evaluateSlo,
+  windowSizes,
+  parseDuration,
+} = require('./slo');
+const {
+  DEFAULT_WINDOW,
+  windowRows,
+  analyzeTimeline,
+  writeTimeline,
+  describeAnalysis,
+} = require('./jtl-timeline');
 
 // Known CSV headers from JMeter docs (12.4 CSV Log format)
 const DEFAULT_COLUMNS = [
@@ -43,7 +62,7 @@ function safeNumber(x) {
   return Number.isFinite(n) ? n : 0;
 }
 
-/** @returns {{count:number,errors:number,sumElapsed:number,minElapsed:number,maxElapsed:number,bytes:number,sentBytes:number,firstTs:number,lastTs:number,digest:TDigest}} */
+/** @returns {{count:number,errors:number,sumElapsed:number,minElapsed:number,maxElapsed:number,bytes:number,sentBytes:number,firstTs:number,lastTs:number,grpThreads:number,allThreads:number,digest:TDigest}} */
 function initAgg() {
   return {
     count: 0,
@@ -55,6 +74,8 @@ function initAgg() {
     sentBytes: 0,
     firstTs: Number.POSITIVE_INFINITY,
     lastTs: 0,
+    grpThreads: 0,
+    allThreads: 0,
     digest: new TDigest(),
   };
 }
@@ -76,6 +97,8 @@ function updateAgg(agg, rec) {
   agg.sentBytes += sentBytes;
   if (ts && ts < agg.firstTs) agg.firstTs = ts;
   if (ts && ts > agg.lastTs) agg.lastTs = ts;
+  agg.grpThreads = Math.max(agg.grpThreads, safeNumber(rec.grpThreads));
+  agg.allThreads = Math.max(agg.allThreads, safeNumber(rec.allThreads));
   if (Number.isFinite(elapsed)) agg.digest.push(elapsed);
 }
 
@@ -117,106 +140,71 @@ function finalizeAgg(name, agg) {
   };
 }
 
-/** @param {string} [sloPath] */
-function loadSloConfig(sloPath) {
-  try {
-    if (sloPath && fs.existsSync(sloPath)) {
-      return JSON.parse(fs.readFileSync(sloPath, 'utf8'));
-    }
-  } catch (e) {
-    // fallback to default SLO config when file cannot be read/parsed (no-op)
-    void 0;
-  }
-  // Defaults
-  return {
-    global: {
-      error_rate_pct: { lte: 5 },
-      p95_ms: { lte: 1500 },
-      throughput_rps: { gte: 5 },
+/**
+ * SLO series (see slo.js) for one label or the whole plan
+ * @param {string} name - Label, or OVERALL
+ * @param {ReturnType<typeof initAgg>} agg - Aggregate
+ * @param {Map<number, Map<number, ReturnType<typeof initAgg>>>} [windows] - Aggregates per
+ *   window length and window start
+ * @returns {import('./slo').Series} Series
+ */
+function seriesOf(name, agg, windows) {
+  const m = finalizeAgg(name, agg);
+  /** @type {import('./slo').Series} */
+  const series = {
+    name,
+    overall: name === 'OVERALL',
+    tags: {},
+    samples: m.samples,
+    errorRate: m.error_percentage,
+    throughput: m.duration_seconds ? m.throughput : null,
+    stats: {
+      min: m.min_response_time,
+      avg: m.average_response_time,
+      max: m.max_response_time,
+      p90: m.p90_response_time,
+      p95: m.p95_response_time,
+      p99: m.p99_response_time,
+    },
+    percentile: (q) => {
+      const v = agg.count > 0 ? agg.digest.percentile(q / 100) : undefined;
+      return Number.isFinite(v) ? Math.round(v) : null;
     },
-    labels: {},
   };
-}
-
-/** @param {number|null} value @param {{gte?:number,lte?:number,gt?:number,lt?:number}|undefined} cons */
-function evalConstraint(value, cons) {
-  if (value == null || cons == null) return true; // ignore missing
-  if (typeof cons.gte === 'number' && !(value >= cons.gte)) return false;
-  if (typeof cons.lte === 'number' && !(value <= cons.lte)) return false;
-  if (typeof cons.gt === 'number' && !(value > cons.gt)) return false;
-  if (typeof cons.lt === 'number' && !(value < cons.lt)) return false;
-  return true;
-}
-
-/** @param {any} slo @param {any} overall @param {Record<string, any>} byLabel */
-function evaluateSLOs(slo, overall, byLabel) {
-  const breaches = [];
-  // Global
-  if (!evalConstraint(overall.error_percentage, slo.global?.error_rate_pct))
-    breaches.push({
-      scope: 'global',
-      metric: 'error_rate_pct',
-      value: overall.error_percentage,
-      rule: slo.global?.error_rate_pct,
-    });
-  if (!evalConstraint(overall.p95_response_time, slo.global?.p95_ms))
-    breaches.push({
-      scope: 'global',
-      metric: 'p95_ms',
-      value: overall.p95_response_time,
-      rule: slo.global?.p95_ms,
-    });
-  if (!evalConstraint(overall.throughput, slo.global?.throughput_rps))
-    breaches.push({
-      scope: 'global',
-      metric: 'throughput_rps',
-      value: overall.throughput,
-      rule: slo.global?.throughput_rps,
-    });
-
-  // Per label
-  Object.entries(slo.labels || {}).forEach(([label, rules]) => {
-    const m = byLabel[label];
-    if (!m) return;
-    if (!evalConstraint(m.error_percentage, rules.error_rate_pct))
-      breaches.push({
-        scope: 'label',
-        label,
-        metric: 'error_rate_pct',
-        value: m.error_percentage,
-        rule: rules.error_rate_pct,
-      });
-    if (!evalConstraint(m.p95_response_time, rules.p95_ms))
-      breaches.push({
-        scope: 'label',
-        label,
-        metric: 'p95_ms',
-        value: m.p95_response_time,
-        rule: rules.p95_ms,
-      });
-    if (!evalConstraint(m.throughput, rules.throughput_rps))
-      breaches.push({
-        scope: 'label',
-        label,
-        metric: 'throughput_rps',
-        value: m.throughput,
-        rule: rules.throughput_rps,
-      });
-  });
-
-  const status = breaches.length === 0 ? 'PASS' : 'FAIL';
-  return { status, breaches };
+  if (windows) {
+    series.windows = {};
+    for (const [size, buckets] of windows.entries()) {
+      series.windows[size] = [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([start, bucket]) => ({
+          ...seriesOf(new Date(start).toISOString(), bucket),
+          overall: false,
+          // Throughput over the whole window rather than between its first and last sample
+          throughput: +(bucket.count / (size / 1000)).toFixed(2),
+        }));
+    }
+  }
+  return series;
 }
 
 /**
  * @param {string} filePath
- * @param {{ sloPath?: string, slo?: any }} [options]
+ * @param {{ sloPath?: string, slo?: any, window?: string | number,
+ *   analysis?: Partial<import('./jtl-timeline').AnalysisOptions> }} [options] - SLO file, or SLO
+ *   definitions in either format (useful for unit tests); timeline window length (e.g. 10s, or
+ *   ms) and analysis settings
  */
 async function parseJtl(filePath, options = {}) {
-  const sloPath =
-    options.sloPath || path.resolve(process.cwd(), 'config/performance/jmeter-slo.json');
-  // Allow explicit SLO object override (useful for unit tests)
-  const slo = options.slo || loadSloConfig(sloPath);
+  const slo = options.slo
+    ? normalizeSlo(options.slo)
+    : loadSlo(options.sloPath || path.resolve(process.cwd(), DEFAULT_SLO_FILE));
+  const timelineSize =
+    options.window === undefined
+      ? null
+      : typeof options.window === 'number'
+        ? options.window
+        : parseDuration(options.window);
+  const sizes = [...new Set([...windowSizes(slo), ...(timelineSize ? [timelineSize] : [])])];
 
   // We may need to detect header presence. We'll do a small peek.
   const firstBytes =
@@ -243,6 +231,21 @@ async function parseJtl(filePath, options = {}) {
   const overallAgg = initAgg();
   /** @type {Map<string, ReturnType<typeof initAgg>>} */
   const perLabelAgg = new Map();
+  // Label (OVERALL for all) → window length → window start → aggregate
+  /** @type {Map<string, Map<number, Map<number, ReturnType<typeof initAgg>>>>} */
+  const windowAgg = new Map();
+  /** @param {string} label @param {any} rec */
+  const updateWindows = (label, rec) => {
+    const ts = safeNumber(rec.timeStamp);
+    if (!ts) return;
+    if (!windowAgg.has(label))
+      windowAgg.set(label, new Map(sizes.map((size) => [size, new Map()])));
+    for (const [size, buckets] of windowAgg.get(label).entries()) {
+      const start = Math.floor(ts / size) * size;
+      if (!buckets.has(start)) buckets.set(start, initAgg());
+      updateAgg(buckets.get(start), rec);
+    }
+  };
 
   await new Promise((resolve, reject) => {
     parser.on('readable', () => {
@@ -253,6 +256,10 @@ async function parseJtl(filePath, options = {}) {
         updateAgg(overallAgg, rec);
         if (!perLabelAgg.has(label)) perLabelAgg.set(label, initAgg());
         updateAgg(perLabelAgg.get(label), rec);
+        if (sizes.length > 0) {
+          updateWindows('OVERALL', rec);
+          updateWindows(label, rec);
+        }
       }
     });
     parser.on('error', (err) => reject(err));
@@ -267,7 +274,16 @@ async function parseJtl(filePath, options = {}) {
     byLabel[label] = finalizeAgg(label, agg);
   }
 
-  const sloEval = evaluateSLOs(slo, overall, byLabel);
+  const sloEval = evaluateSlo(
+    slo,
+    [
+      seriesOf('OVERALL', overallAgg, windowAgg.get('OVERALL')),
+      ...[...perLabelAgg.entries()].map(([label, agg]) =>
+        seriesOf(label, agg, windowAgg.get(label))
+      ),
+    ],
+    { tool: 'jmeter' }
+  );
 
   const summary = {
     testPlan: path
@@ -309,11 +325,108 @@ async function parseJtl(filePath, options = {}) {
     slo: {
       status: sloEval.status,
       breaches: sloEval.breaches,
+      results: sloEval.results,
       config: slo,
     },
   };
 
+  if (timelineSize && windowAgg.has('OVERALL')) {
+    const overallWindows = /** @type {Map<number, ReturnType<typeof initAgg>>} */ (
+      windowAgg.get('OVERALL')?.get(timelineSize)
+    );
+    const first = Math.min(...overallWindows.keys());
+    const windows = windowRows(overallWindows, timelineSize, first);
+    /** @type {Record<string, import('./jtl-timeline').WindowRow[]>} */
+    const labels = {};
+    for (const label of perLabelAgg.keys()) {
+      const buckets = windowAgg.get(label)?.get(timelineSize);
+      if (buckets) labels[label] = windowRows(buckets, timelineSize, first);
+    }
+    summary.timeline = {
+      window_seconds: timelineSize / 1000,
+      start: new Date(first).toISOString(),
+      analysis: analyzeTimeline(windows, timelineSize / 1000, options.analysis),
+      windows,
+      labels,
+    };
+  }
+
   return summary;
 }
 
-module.exports = { parseJtl };
+/**
+ * @param {string[]} argv - Arguments
+ * @returns {{ files: string[], window: string, outputDir?: string, slo?: string,
+ *   help?: boolean }} Options
+ */
+function parseArgs(argv) {
+  /** @type {ReturnType<typeof parseArgs>} */
+  const args = { files: [], window: DEFAULT_WINDOW };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--window':
+        args.window = next();
+        break;
+      case '--output-dir':
+        args.outputDir = next();
+        break;
+      case '--slo':
+        args.slo = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (!arg.startsWith('-')) args.files.push(arg);
+        break;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.files.length === 0) {
+    console.log(`Usage: node scripts/load-testing/jmeter-jtl-parser.js [options] <file.jtl...>
+
+Writes <plan>-summary.json, <plan>-timeline.json and a chart-ready <plan>-timeline.csv per JTL
+file, and reports degradation onset, saturation point and recovery times.
+
+Options:
+  --window <duration>   Timeline window length, e.g. 5s, 30s or 1m (default: ${DEFAULT_WINDOW})
+  --output-dir <dir>    Output directory (default: beside each JTL file)
+  --slo <file>          SLO definitions (default: ${DEFAULT_SLO_FILE})
+`);
+    return;
+  }
+
+  for (const file of args.files) {
+    const summary = await parseJtl(file, { window: args.window, sloPath: args.slo });
+    const base = path.join(args.outputDir || path.dirname(file), summary.testPlan);
+    fs.mkdirSync(path.dirname(base), { recursive: true });
+    fs.writeFileSync(`${base}-summary.json`, JSON.stringify(summary, null, 2));
+    if (!summary.timeline) {
+      console.warn(`⚠️ ${file} has no sample timestamps, skipping the timeline`);
+      continue;
+    }
+    const files = writeTimeline(summary.timeline, base);
+
+    console.log(
+      `${summary.summary.status === 'PASS' ? '✅' : '❌'} ${file}: ${summary.summary.total_samples} samples in ${summary.timeline.windows.length} windows of ${summary.timeline.window_seconds}s`
+    );
+    describeAnalysis(summary.timeline.analysis).forEach((line) => console.log(`   - ${line}`));
+    console.log(`📊 Timeline: ${files.json}, ${files.csv}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Failed to parse JTL:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseJtl, parseArgs };
@@ -0,0 +1,294 @@
+// @ts-check
+/**
+ * JTL Timeline Analysis
+ * Works on the per-window rows the JTL parser buckets samples into (see jmeter-jtl-parser.js):
+ * - Degradation onset: first window where p95 or the error rate leaves the baseline of the first
+ *   windows, sustained over consecutive windows
+ * - Saturation point: window where throughput stops growing although active threads keep rising
+ * - Recoveries: degraded episodes, and how long after the load peak responses were healthy again
+ * - Chart-ready CSV with one row per window
+ * Window rows are built from per-window aggregates by windowRows, which the k6 stream parser
+ * (k6-stream-parser.js) shares.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WINDOW = '10s';
+
+const DEFAULTS = {
+  // Windows with samples whose median p95 and error rate make up the baseline
+  baselineWindows: 3,
+  // A window is degraded when p95 exceeds the baseline by this factor...
+  degradationFactor: 1.5,
+  // ...or the error rate exceeds the baseline by this many percentage points
+  errorRateIncrease: 5,
+  // Consecutive degraded windows before degradation counts
+  sustain: 2,
+  // Throughput within this share of the peak is saturated
+  saturationShare: 0.95,
+  // Threads must later grow by this factor for a throughput plateau to count as saturation
+  threadGrowth: 1.1,
+};
+
+const CSV_COLUMNS = [
+  'start',
+  'offset_seconds',
+  'samples',
+  'errors',
+  'error_percentage',
+  'throughput',
+  'avg',
+  'p50',
+  'p90',
+  'p95',
+  'p99',
+  'max',
+  'grp_threads',
+  'all_threads',
+];
+
+/**
+ * @typedef {{ start: string, offset_seconds: number, samples: number, errors: number,
+ *   error_percentage: number | null, throughput: number, avg: number | null, p50: number | null,
+ *   p90: number | null, p95: number | null, p99: number | null, max: number | null,
+ *   grp_threads: number | null, all_threads: number | null }} WindowRow
+ * @typedef {typeof DEFAULTS} AnalysisOptions
+ * @typedef {{ count: number, errors: number, sumElapsed: number, maxElapsed: number,
+ *   grpThreads: number, allThreads: number, digest: import('tdigest').TDigest }} Bucket
+ */
+
+/**
+ * Rows for consecutive windows, with empty windows filling the gaps
+ * @param {Map<number, Bucket>} buckets - Aggregates by window start (epoch ms)
+ * @param {number} size - Window length (ms)
+ * @param {number} [first] - Start of the first window of the run (default: the earliest bucket)
+ * @returns {WindowRow[]} Rows
+ */
+function windowRows(buckets, size, first = Math.min(...buckets.keys())) {
+  const last = Math.max(...buckets.keys());
+  const rows = [];
+  for (let start = first; start <= last; start += size) {
+    const bucket = buckets.get(start);
+    const count = bucket?.count || 0;
+    /** @param {number} q */
+    const percentile = (q) => {
+      const value = count > 0 ? bucket?.digest.percentile(q) : null;
+      return Number.isFinite(value) ? Math.round(value) : null;
+    };
+    rows.push({
+      start: new Date(start).toISOString(),
+      offset_seconds: (start - first) / 1000,
+      samples: count,
+      errors: bucket?.errors || 0,
+      error_percentage: bucket && count > 0 ? +((bucket.errors / count) * 100).toFixed(2) : null,
+      throughput: +(count / (size / 1000)).toFixed(2),
+      avg: bucket && count > 0 ? Math.round(bucket.sumElapsed / count) : null,
+      p50: percentile(0.5),
+      p90: percentile(0.9),
+      p95: percentile(0.95),
+      p99: percentile(0.99),
+      max: bucket && count > 0 ? bucket.maxElapsed : null,
+      grp_threads: bucket?.grpThreads || null,
+      all_threads: bucket?.allThreads || null,
+    });
+  }
+  return rows;
+}
+
+/**
+ * @param {number[]} values - Values
+ * @returns {number | null} Median
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * @param {WindowRow} row - Window
+ * @returns {{ start: string, offset_seconds: number }} Where a finding happened
+ */
+function at(row) {
+  return { start: row.start, offset_seconds: row.offset_seconds };
+}
+
+/**
+ * Find degradation onset, saturation point and recoveries in a timeline
+ * @param {WindowRow[]} rows - Windows in time order, including empty ones
+ * @param {number} windowSeconds - Window length
+ * @param {Partial<AnalysisOptions>} [options] - Overrides of DEFAULTS
+ * @returns {{ baseline: Object | null, degradation: Object | null, saturation: Object | null,
+ *   recoveries: Object[] }} Analysis
+ */
+function analyzeTimeline(rows, windowSeconds, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const active = rows.filter((row) => row.samples > 0);
+  const baselineRows = active.slice(0, settings.baselineWindows);
+  if (baselineRows.length === 0) {
+    return { baseline: null, degradation: null, saturation: null, recoveries: [] };
+  }
+
+  const baseline = {
+    windows: baselineRows.length,
+    p95: median(baselineRows.map((row) => row.p95 ?? 0)),
+    error_percentage: median(baselineRows.map((row) => row.error_percentage ?? 0)),
+    throughput: median(baselineRows.map((row) => row.throughput)),
+  };
+  /** @param {WindowRow} row */
+  const reasonsOf = (row) => {
+    const reasons = [];
+    if ((row.p95 ?? 0) > (baseline.p95 ?? 0) * settings.degradationFactor) reasons.push('latency');
+    if ((row.error_percentage ?? 0) > (baseline.error_percentage ?? 0) + settings.errorRateIncrease)
+      reasons.push('errors');
+    return reasons;
+  };
+
+  // Episodes of consecutive degraded windows after the baseline; empty windows are skipped
+  /** @type {WindowRow[][]} */
+  const episodes = [];
+  /** @type {WindowRow[]} */
+  let current = [];
+  /** @type {(WindowRow | null)[]} */
+  const healthyAfter = [];
+  active.slice(baselineRows.length).forEach((row) => {
+    if (reasonsOf(row).length > 0) {
+      current.push(row);
+      return;
+    }
+    if (current.length >= settings.sustain) {
+      episodes.push(current);
+      healthyAfter.push(row);
+    }
+    current = [];
+  });
+  if (current.length >= settings.sustain) {
+    episodes.push(current);
+    healthyAfter.push(null);
+  }
+
+  const onset = episodes[0]?.[0];
+  const degradation = onset
+    ? {
+        ...at(onset),
+        reason: reasonsOf(onset).join(' and '),
+        p95: onset.p95,
+        error_percentage: onset.error_percentage,
+        throughput: onset.throughput,
+        threads: onset.all_threads,
+      }
+    : null;
+
+  const recoveries = episodes.map((episode, index) => {
+    const worst = episode.reduce((a, b) => ((b.p95 ?? 0) > (a.p95 ?? 0) ? b : a));
+    const peakThreads = Math.max(...episode.map((row) => row.all_threads ?? 0));
+    // Recovery counts from the end of the load peak, or of the worst window without thread data
+    const peakEnd =
+      peakThreads > 0
+        ? [...episode].reverse().find((row) => row.all_threads === peakThreads) || worst
+        : worst;
+    const healthy = healthyAfter[index];
+    return {
+      ...at(episode[0]),
+      windows: episode.length,
+      worst_p95: worst.p95,
+      peak_error_percentage: Math.max(...episode.map((row) => row.error_percentage ?? 0)),
+      peak_threads: peakThreads || null,
+      recovered: Boolean(healthy),
+      recovered_at: healthy ? healthy.start : null,
+      recovery_seconds: healthy
+        ? Math.max(0, healthy.offset_seconds - (peakEnd.offset_seconds + windowSeconds))
+        : null,
+    };
+  });
+
+  let saturation = null;
+  const peakThroughput = Math.max(...active.map((row) => row.throughput));
+  const plateau = active.findIndex(
+    (row) => row.throughput >= peakThroughput * settings.saturationShare
+  );
+  const plateauThreads = active[plateau].all_threads ?? 0;
+  const laterThreads = Math.max(0, ...active.slice(plateau + 1).map((row) => row.all_threads ?? 0));
+  if (plateauThreads > 0 && laterThreads >= plateauThreads * settings.threadGrowth) {
+    saturation = {
+      ...at(active[plateau]),
+      throughput: active[plateau].throughput,
+      threads: plateauThreads,
+      peak_throughput: peakThroughput,
+      max_threads: laterThreads,
+      p95: active[plateau].p95,
+    };
+  }
+
+  return { baseline, degradation, saturation, recoveries };
+}
+
+/**
+ * @param {WindowRow[]} rows - Windows
+ * @returns {string} CSV with a header and one row per window
+ */
+function timelineCsv(rows) {
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map((row) =>
+      CSV_COLUMNS.map((column) => (row[column] === null ? '' : row[column])).join(',')
+    ),
+  ].join('\n');
+}
+
+/**
+ * Write a timeline as <base>-timeline.json and <base>-timeline.csv
+ * @param {{ windows: WindowRow[] }} timeline - Timeline of a parsed JTL file
+ * @param {string} base - Path prefix, e.g. reports/load-tests/jmeter/plan
+ * @returns {{ json: string, csv: string }} Written files
+ */
+function writeTimeline(timeline, base) {
+  const files = { json: `${base}-timeline.json`, csv: `${base}-timeline.csv` };
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  fs.writeFileSync(files.json, JSON.stringify(timeline, null, 2));
+  fs.writeFileSync(files.csv, `${timelineCsv(timeline.windows)}\n`);
+  return files;
+}
+
+/**
+ * One-line descriptions of an analysis, for console output
+ * @param {ReturnType<typeof analyzeTimeline>} analysis - Analysis
+ * @returns {string[]} Lines
+ */
+function describeAnalysis(analysis) {
+  const { baseline, degradation, saturation, recoveries } = analysis;
+  if (!baseline) return ['No samples'];
+  const lines = [
+    `Baseline: p95 ${baseline.p95}ms, ${baseline.error_percentage}% errors, ${baseline.throughput} req/s`,
+  ];
+  lines.push(
+    degradation
+      ? `Degradation (${degradation.reason}) from ${degradation.offset_seconds}s: p95 ${degradation.p95}ms, ${degradation.error_percentage}% errors at ${degradation.threads ?? '?'} threads`
+      : 'No sustained degradation'
+  );
+  if (saturation) {
+    lines.push(
+      `Saturation at ${saturation.offset_seconds}s: ${saturation.throughput} req/s with ${saturation.threads} threads (up to ${saturation.max_threads} later)`
+    );
+  }
+  recoveries.forEach((episode) =>
+    lines.push(
+      episode.recovered
+        ? `Recovered ${episode.recovery_seconds}s after the load peak of the episode at ${episode.offset_seconds}s`
+        : `Not recovered from the episode at ${episode.offset_seconds}s`
+    )
+  );
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_WINDOW,
+  DEFAULTS,
+  windowRows,
+  analyzeTimeline,
+  timelineCsv,
+  writeTimeline,
+  describeAnalysis,
+};
@@ -1,5 +1,5 @@
 /* eslint-disable no-empty, no-constant-condition, no-redeclare */
-/* global __ENV, __ITER */
+/* global __ENV, __ITER, open */
 /**
  * K6 Advanced Load Testing Scenarios
  * Specialized load testing scenarios for different performance aspects
@@ -16,6 +16,15 @@ export let responseTime = new Trend('response_time');
 export let requestCount = new Counter('requests');
 export let activeUsers = new Gauge('active_users');
 
+// HTTP thresholds come from config/performance/slo.json; the k6 wrapper generates them. For a
+// plain `k6 run`, generate the file with `npm run slo:check -- --k6-thresholds --test-type <type>
+// --output <file>`.
+if (!__ENV.K6_THRESHOLDS_PATH) {
+  throw new Error(
+    'K6_THRESHOLDS_PATH is not set: run through `npm run test:load:k6:advanced` or pass the SLO thresholds file (see slo:check --k6-thresholds)'
+  );
+}
+
 // Advanced test configurations
 export let options = {
   scenarios: {
@@ -68,14 +77,10 @@ export let options = {
     },
   },
 
-  // Performance thresholds
   thresholds: {
-    http_req_duration: [
-      'p(50)<500', // 50% of requests under 500ms
-      'p(95)<2000', // 95% of requests under 2s
-      'p(99)<5000', // 99% of requests under 5s
-    ],
-    http_req_failed: ['rate<0.05'], // Error rate under 5%
+    // HTTP thresholds generated from config/performance/slo.json by the k6 wrapper
+    // (K6_THRESHOLDS_PATH, checked above)
+    ...JSON.parse(open(__ENV.K6_THRESHOLDS_PATH)),
     errors: ['rate<0.05'],
     response_time: ['p(95)<2000'],
   },
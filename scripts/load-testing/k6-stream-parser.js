@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * k6 JSONL Stream Parser
+ * Streams the point output of k6 run --out json=<type>-results.json (see k6-wrapper.js) line by
+ * line, which the handleSummary aggregate cannot break down:
+ * - Per group (k6-scenarios.js groups such as "02 - Login Process" or "Checkout Process"), with
+ *   requests of nested groups counted in their parents, check pass rates and group durations
+ * - Per URL (the k6 name tag, which defaults to the URL), per response status and per tag value
+ * - Timing phases of every breakdown: blocked, connecting, TLS handshaking, sending, waiting
+ *   (time to first byte) and receiving
+ * - Optionally a timeline of fixed windows with vus as active threads (see jtl-timeline.js)
+ *
+ * Usage: node scripts/load-testing/k6-stream-parser.js <type>-results.json [--output-dir <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { TDigest } = require('tdigest');
+const { parseDuration } = require('./slo');
+const { windowRows } = require('./jtl-timeline');
+
+// Breakdown phase → k6 metric
+const PHASES = {
+  blocked: 'http_req_blocked',
+  connecting: 'http_req_connecting',
+  tls_handshaking: 'http_req_tls_handshaking',
+  sending: 'http_req_sending',
+  waiting: 'http_req_waiting',
+  receiving: 'http_req_receiving',
+};
+
+// Tags with a breakdown of their own, or whose values do not group requests
+const UNGROUPED_TAGS = new Set([
+  'group',
+  'name',
+  'url',
+  'status',
+  'proto',
+  'subproto',
+  'tls_version',
+  'expected_response',
+  'error',
+  'error_code',
+  'check',
+  'ip',
+]);
+
+const NO_GROUP = '(no group)';
+
+/**
+ * @typedef {{ count: number, sum: number, max: number, digest: import('tdigest').TDigest }} Stat
+ * @typedef {{ duration: Stat, failed: number, phases: Record<string, Stat>,
+ *   checks: { passes: number, fails: number }, groupDuration: Stat }} Agg
+ * @typedef {{ name: string, requests: number, failed: number, error_percentage: number,
+ *   throughput: number | null, avg: number | null, p90: number | null, p95: number | null,
+ *   p99: number | null, max: number | null,
+ *   phases: Record<string, { avg: number | null, p95: number | null }>,
+ *   checks?: { passes: number, fails: number, pass_percentage: number },
+ *   group_duration?: { avg: number | null, p95: number | null } }} Breakdown
+ */
+
+/** @returns {Stat} */
+function initStat() {
+  return { count: 0, sum: 0, max: 0, digest: new TDigest() };
+}
+
+/** @param {Stat} stat @param {number} value */
+function addStat(stat, value) {
+  stat.count += 1;
+  stat.sum += value;
+  stat.max = Math.max(stat.max, value);
+  stat.digest.push(value);
+}
+
+/**
+ * @param {Stat} stat - Statistic
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number | null} Quantile in ms
+ */
+function quantile(stat, q) {
+  const value = stat.count > 0 ? stat.digest.percentile(q) : null;
+  return Number.isFinite(value) ? +value.toFixed(2) : null;
+}
+
+/** @returns {Agg} */
+function initAgg() {
+  return {
+    duration: initStat(),
+    failed: 0,
+    phases: Object.fromEntries(Object.keys(PHASES).map((phase) => [phase, initStat()])),
+    checks: { passes: 0, fails: 0 },
+    groupDuration: initStat(),
+  };
+}
+
+/**
+ * Group path of a k6 group tag, e.g. "::Baseline User Journey::02 - Login Process"
+ * @param {string | undefined} tag - group tag
+ * @returns {string[]} Group names from the outermost, empty outside groups
+ */
+function groupPath(tag) {
+  return (tag || '').split('::').filter(Boolean);
+}
+
+/**
+ * @param {string} name - Breakdown name
+ * @param {Agg} agg - Aggregate
+ * @param {number | null} durationSec - Run duration
+ * @returns {Breakdown} Breakdown
+ */
+function finalizeAgg(name, agg, durationSec) {
+  const requests = agg.duration.count;
+  /** @type {Breakdown} */
+  const breakdown = {
+    name,
+    requests,
+    failed: agg.failed,
+    error_percentage: requests > 0 ? +((agg.failed / requests) * 100).toFixed(2) : 0,
+    throughput: durationSec ? +(requests / durationSec).toFixed(2) : null,
+    avg: requests > 0 ? +(agg.duration.sum / requests).toFixed(2) : null,
+    p90: quantile(agg.duration, 0.9),
+    p95: quantile(agg.duration, 0.95),
+    p99: quantile(agg.duration, 0.99),
+    max: requests > 0 ? +agg.duration.max.toFixed(2) : null,
+    phases: Object.fromEntries(
+      Object.entries(agg.phases).map(([phase, stat]) => [
+        phase,
+        {
+          avg: stat.count > 0 ? +(stat.sum / stat.count).toFixed(2) : null,
+          p95: quantile(stat, 0.95),
+        },
+      ])
+    ),
+  };
+  const checks = agg.checks.passes + agg.checks.fails;
+  if (checks > 0) {
+    breakdown.checks = {
+      ...agg.checks,
+      pass_percentage: +((agg.checks.passes / checks) * 100).toFixed(2),
+    };
+  }
+  if (agg.groupDuration.count > 0) {
+    breakdown.group_duration = {
+      avg: +(agg.groupDuration.sum / agg.groupDuration.count).toFixed(2),
+      p95: quantile(agg.groupDuration, 0.95),
+    };
+  }
+  return breakdown;
+}
+
+/**
+ * Stream a k6 JSONL output into breakdowns; lines that are not k6 points are skipped
+ * @param {string} filePath - k6 JSON output
+ * @param {{ window?: string | number }} [options] - Timeline window length (e.g. 10s, or ms)
+ */
+async function parseK6Stream(filePath, options = {}) {
+  // 0 without a timeline
+  const size =
+    options.window === undefined
+      ? 0
+      : typeof options.window === 'number'
+        ? options.window
+        : parseDuration(options.window);
+  const phaseOf = Object.fromEntries(Object.entries(PHASES).map(([phase, m]) => [m, phase]));
+
+  const overall = initAgg();
+  /** @type {Map<string, Agg>} */
+  const groups = new Map();
+  /** @type {Map<string, Agg>} */
+  const urls = new Map();
+  /** @type {Map<string, Agg>} */
+  const statuses = new Map();
+  /** @type {Map<string, Map<string, Agg>>} */
+  const tags = new Map();
+  /** @type {Map<number, import('./jtl-timeline').Bucket>} */
+  const buckets = new Map();
+  let first = Number.POSITIVE_INFINITY;
+  let last = 0;
+  let vusMax = 0;
+
+  /** @param {Map<string, Agg>} map @param {string} key */
+  const aggOf = (map, key) => {
+    if (!map.has(key)) map.set(key, initAgg());
+    return /** @type {Agg} */ (map.get(key));
+  };
+  /** @param {number} time */
+  const bucketAt = (time) => {
+    const start = Math.floor(time / size) * size;
+    if (!buckets.has(start)) {
+      buckets.set(start, {
+        count: 0,
+        errors: 0,
+        sumElapsed: 0,
+        maxElapsed: 0,
+        grpThreads: 0,
+        allThreads: 0,
+        digest: new TDigest(),
+      });
+    }
+    return /** @type {import('./jtl-timeline').Bucket} */ (buckets.get(start));
+  };
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    // Skip metric declarations and anything else that is not a sample without parsing it
+    if (!line.includes('"Point"')) continue;
+    let point;
+    try {
+      point = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (point.type !== 'Point') continue;
+    const time = Date.parse(point.data?.time);
+    const value = Number(point.data?.value);
+    if (Number.isNaN(time) || !Number.isFinite(value)) continue;
+    first = Math.min(first, time);
+    last = Math.max(last, time);
+    /** @type {Record<string, string>} */
+    const pointTags = point.data.tags || {};
+    // The point's group and every enclosing group, outermost first
+    const names = groupPath(pointTags.group);
+    const groupKeys = names.map((_, i) => names.slice(0, i + 1).join(' › '));
+
+    if (point.metric === 'vus') {
+      vusMax = Math.max(vusMax, value);
+      if (size) {
+        const bucket = bucketAt(time);
+        bucket.allThreads = Math.max(bucket.allThreads, value);
+        bucket.grpThreads = bucket.allThreads;
+      }
+      continue;
+    }
+    if (point.metric === 'group_duration') {
+      if (groupKeys.length > 0)
+        addStat(aggOf(groups, groupKeys[groupKeys.length - 1]).groupDuration, value);
+      continue;
+    }
+
+    /** @type {(agg: Agg) => void} */
+    let update;
+    if (point.metric === 'http_req_duration') {
+      update = (agg) => addStat(agg.duration, value);
+      if (size) {
+        const bucket = bucketAt(time);
+        bucket.count += 1;
+        bucket.sumElapsed += value;
+        bucket.maxElapsed = Math.max(bucket.maxElapsed, value);
+        bucket.digest.push(value);
+      }
+    } else if (point.metric === 'http_req_failed') {
+      update = (agg) => {
+        agg.failed += value;
+      };
+      if (size) bucketAt(time).errors += value;
+    } else if (point.metric in phaseOf) {
+      update = (agg) => addStat(agg.phases[phaseOf[point.metric]], value);
+    } else if (point.metric === 'checks') {
+      // Checks count towards the run and its groups, not URLs or tags
+      [overall, ...groupKeys.map((key) => aggOf(groups, key))].forEach((agg) => {
+        if (value > 0) agg.checks.passes += 1;
+        else agg.checks.fails += 1;
+      });
+      continue;
+    } else {
+      continue;
+    }
+
+    update(overall);
+    // Requests of nested groups count in every enclosing group
+    if (groupKeys.length === 0) update(aggOf(groups, NO_GROUP));
+    groupKeys.forEach((key) => update(aggOf(groups, key)));
+    if (pointTags.name) {
+      update(aggOf(urls, `${pointTags.method ? `${pointTags.method} ` : ''}${pointTags.name}`));
+    }
+    if (pointTags.status !== undefined) update(aggOf(statuses, String(pointTags.status)));
+    Object.entries(pointTags).forEach(([key, tagValue]) => {
+      if (UNGROUPED_TAGS.has(key)) return;
+      if (!tags.has(key)) tags.set(key, new Map());
+      update(aggOf(/** @type {Map<string, Agg>} */ (tags.get(key)), String(tagValue)));
+    });
+  }
+
+  const durationSec = last > first ? (last - first) / 1000 : null;
+  /** @param {Map<string, Agg>} map @returns {Breakdown[]} By requests, most first */
+  const breakdowns = (map) =>
+    [...map.entries()]
+      .map(([name, agg]) => finalizeAgg(name, agg, durationSec))
+      .sort((a, b) => b.requests - a.requests || a.name.localeCompare(b.name));
+
+  return {
+    testType: path.basename(filePath).replace(/-results\.json$/i, ''),
+    source: filePath,
+    start: Number.isFinite(first) ? new Date(first).toISOString() : null,
+    duration_seconds: durationSec ? Math.round(durationSec) : null,
+    vus_max: vusMax || null,
+    overall: finalizeAgg('OVERALL', overall, durationSec),
+    // Groups in script order: names carry the numbering of k6-scenarios.js
+    groups: [...groups.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, agg]) => ({
+        ...finalizeAgg(name, agg, durationSec),
+        depth: name === NO_GROUP ? 0 : name.split(' › ').length - 1,
+      })),
+    urls: breakdowns(urls),
+    statuses: [...statuses.entries()]
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([name, agg]) => finalizeAgg(name, agg, durationSec)),
+    tags: Object.fromEntries(
+      [...tags.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, map]) => [key, breakdowns(map)])
+    ),
+    ...(size &&
+      buckets.size > 0 && {
+        timeline: {
+          window_seconds: size / 1000,
+          start: new Date(Math.min(...buckets.keys())).toISOString(),
+          windows: windowRows(buckets, size),
+        },
+      }),
+  };
+}
+
+/**
+ * One-line descriptions of the groups of a parsed stream, for console output
+ * @param {Awaited<ReturnType<typeof parseK6Stream>>} stream - Parsed stream
+ * @returns {string[]} Lines
+ */
+function describeGroups(stream) {
+  return stream.groups
+    .filter((group) => group.requests > 0)
+    .map(
+      (group) =>
+        `${'  '.repeat(group.depth)}${group.name.split(' › ').pop()}: ${group.requests} requests, ${group.error_percentage}% errors, p95 ${group.p95}ms (waiting ${group.phases.waiting.avg}ms avg)`
+    );
+}
+
+/**
+ * @param {string[]} argv - Arguments
+ * @returns {{ files: string[], outputDir?: string, help?: boolean }} Options
+ */
+function parseArgs(argv) {
+  /** @type {ReturnType<typeof parseArgs>} */
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--output-dir':
+        args.outputDir = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (!arg.startsWith('-')) args.files.push(arg);
+        break;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.files.length === 0) {
+    console.log(`Usage: node scripts/load-testing/k6-stream-parser.js [options] <type>-results.json...
+
+Writes <type>-breakdown.json per k6 JSONL stream, with per-group, per-URL, per-status and per-tag
+request statistics and timing phases.
+
+Options:
+  --output-dir <dir>    Output directory (default: beside each stream)
+`);
+    return;
+  }
+
+  for (const file of args.files) {
+    const stream = await parseK6Stream(file);
+    const output = path.join(
+      args.outputDir || path.dirname(file),
+      `${stream.testType}-breakdown.json`
+    );
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, JSON.stringify(stream, null, 2));
+    console.log(
+      `📊 ${file}: ${stream.overall.requests} requests in ${stream.groups.length} groups, ${stream.urls.length} URLs → ${output}`
+    );
+    describeGroups(stream).forEach((line) => console.log(`   - ${line}`));
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Failed to parse k6 stream:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { PHASES, groupPath, parseK6Stream, describeGroups, parseArgs };
@@ -14,12 +14,16 @@
  * - --parallel: run types concurrently
  * - --quiet: pass through to k6
  * - --no-thresholds: disable thresholds in k6 run
+ * - --slo: SLO definitions the thresholds are generated from (default: config/performance/slo.json)
  * - --k6-args: additional raw args to pass through to k6 (quoted string)
  *
  * Outputs per type:
- * - JSONL stream: <out-dir>/<type>-results.json
+ * - JSONL stream: <out-dir>/<type>-results.json (broken down per group, URL, status and tag by
+ *   k6-stream-parser.js)
  * - Summary JSON via handleSummary: <out-dir>/<type>-summary.json (using K6_SUMMARY_PATH)
  * - JUnit XML via handleSummary (if the script writes it): <out-dir>/<type>-results.junit.xml
+ * - k6 thresholds generated from the SLOs for the type: <out-dir>/<type>-thresholds.json
+ *   (passed to the script as K6_THRESHOLDS_PATH); the summary gets the SLO evaluation as `slo`
  *
  * Exit codes:
  * - 0 if all runs exit 0
@@ -29,6 +33,14 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const {
+  DEFAULT_SLO_FILE,
+  loadSlo,
+  writeK6Thresholds,
+  evaluateSlo,
+  seriesFromK6Summary,
+  describeBreach,
+} = require('./slo');
 
 /**
  * @typedef {Object} WrapperArgs
@@ -42,6 +54,7 @@ const path = require('path');
  * @property {boolean} [parallel]
  * @property {boolean} [quiet]
  * @property {boolean} [noThresholds]
+ * @property {string} [slo]
  * @property {string[]} [k6Args]
  * @property {boolean} [help]
  * @property {string} [outDir]
@@ -104,6 +117,9 @@ function parseArgs(argv) {
       case '--no-thresholds':
         args.noThresholds = true;
         break;
+      case '--slo':
+        args.slo = next();
+        break;
       case '--k6-args': {
         const raw = String(next() || '').trim();
         // split by space but keep quoted segments intact
@@ -128,15 +144,18 @@ function printHelp() {
                                           [--vus N] [--duration 30s] [--iterations N]
                                           [--tag key=val] [--tags k=v,k2=v2]
                                           [--out-dir <dir>] [--parallel] [--quiet]
-                                          [--no-thresholds] [--k6-args "--summary-mode full"]
+                                          [--no-thresholds] [--slo <file>]
+                                          [--k6-args "--summary-mode full"]
 
 Defaults:
   --types=load (single run) | set to 'all' to run common types
   --script=automated-tests/load-tests/k6-load-tests.js
   --out-dir=reports/load-tests/k6
+  --slo=${DEFAULT_SLO_FILE}
 
 Notes:
-  - Thresholds cannot be added via CLI, only disabled with --no-thresholds. To customize thresholds, change the k6 script or compose one that merges options.
+  - Thresholds are generated per type from the SLO definitions (see scripts/load-testing/slo.js) and disabled with --no-thresholds. To customize thresholds, edit the SLO file.
+  - Each summary is also evaluated against the SLOs; the result is added to it as "slo".
   - Exit code 99 indicates threshold failure (k6). This wrapper will propagate 99 if any scenario fails thresholds and no other fatal error occurred.
 `;
   console.log(msg);
@@ -181,23 +200,58 @@ function buildK6Args(baseArgs) {
 }
 
 /**
- * @param {{ type: string; script: string; outDir: string; env: NodeJS.ProcessEnv; baseArgs: WrapperArgs }} opts
+ * Add the SLO evaluation to a summary written by handleSummary
+ * @param {any} slo - SLO definitions
+ * @param {string} type - Test type
+ * @param {string} summaryPath - Summary JSON
+ */
+function evaluateSummary(slo, type, summaryPath) {
+  if (!fs.existsSync(summaryPath)) return;
+  try {
+    const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+    const evaluation = evaluateSlo(slo, seriesFromK6Summary(summary), {
+      tool: 'k6',
+      testType: type,
+    });
+    summary.slo = { status: evaluation.status, breaches: evaluation.breaches };
+    fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+    evaluation.breaches.forEach((breach) =>
+      console.log(`   SLO breach (${type}): ${describeBreach(breach)}`)
+    );
+  } catch (err) {
+    console.warn(`Could not evaluate SLOs for ${summaryPath}: ${err.message}`);
+  }
+}
+
+/**
+ * @param {{ type: string; script: string; outDir: string; env: NodeJS.ProcessEnv; baseArgs: WrapperArgs; slo: any }} opts
  * @returns {Promise<{ type: string; code: number; jsonStream: string; summaryPath: string; error?: Error }>}
  */
-function runOne({ type, script, outDir, env, baseArgs }) {
+function runOne({ type, script, outDir, env, baseArgs, slo }) {
   return new Promise((resolve) => {
     const jsonStream = path.join(outDir, `${type}-results.json`);
     const summaryPath = path.join(outDir, `${type}-summary.json`);
     const args = buildK6Args(baseArgs);
     args.push('--out', `json=${jsonStream}`);
     args.push(script);
+    /** @type {NodeJS.ProcessEnv} */
+    const thresholdsEnv = baseArgs.noThresholds
+      ? {}
+      : { K6_THRESHOLDS_PATH: writeK6Thresholds(slo, type, outDir) };
 
     const child = spawn('k6', args, {
       stdio: 'inherit',
-      env: { ...process.env, ...env, TEST_TYPE: type, K6_SUMMARY_PATH: summaryPath },
+      env: {
+        ...process.env,
+        ...env,
+        ...thresholdsEnv,
+        TEST_TYPE: type,
+        K6_SUMMARY_PATH: summaryPath,
+      },
     });
 
     child.on('close', (code) => {
+      evaluateSummary(slo, type, summaryPath);
       resolve({ type, code: code == null ? 1 : code, jsonStream, summaryPath });
     });
     child.on('error', (err) => {
@@ -228,6 +282,7 @@ async function main() {
   }
 
   await ensureDir(outDir);
+  const slo = loadSlo(args.slo);
 
   const baseArgs = {
     quiet: !!args.quiet,
@@ -240,7 +295,7 @@ async function main() {
   };
 
   // Run serially or in parallel
-  const runners = types.map((t) => () => runOne({ type: t, script, outDir, env, baseArgs }));
+  const runners = types.map((t) => () => runOne({ type: t, script, outDir, env, baseArgs, slo }));
   const results = [];
   if (args.parallel) {
     const res = await Promise.all(runners.map((fn) => fn()));
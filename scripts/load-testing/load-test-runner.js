@@ -11,6 +11,14 @@ const fs = require('fs');
 const path = require('path');
 // Defer requiring the JMeter parser to avoid hard dependency when JMeter isn't available
 
+/**
+ * @param {string} value - Text such as a group name, URL or SLO rule ("p95 1653 not <= 1500")
+ * @returns {string} Text safe to embed in the HTML report
+ */
+function escapeHtml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 /**
  * @typedef {Object} Recommendation
  * @property {'HIGH'|'MEDIUM'|'LOW'} priority
@@ -22,7 +30,7 @@ const path = require('path');
 
 class LoadTestRunner {
   constructor() {
-    /** @type {{ timestamp: string; k6Results: Record<string, any>; jmeterResults: Record<string, any>; summary: any; recommendations: Recommendation[]; trends?: any }} */
+    /** @type {{ timestamp: string; k6Results: Record<string, any>; jmeterResults: Record<string, any>; summary: any; recommendations: Recommendation[]; trends?: any; regressions?: Record<string, Record<string, import('./regression-detection').Verdict>> }} */
     this.testResults = {
       timestamp: new Date().toISOString(),
       k6Results: {},
@@ -127,6 +135,10 @@ class LoadTestRunner {
 
       try {
         const result = await this.executeK6Test(scenario);
+        Object.assign(
+          result,
+          await this.analyzeK6Stream(`reports/load-tests/k6/${scenario}-results.json`, scenario)
+        );
         k6Results[scenario] = result;
         console.log(`✅ K6 ${scenario} test completed`);
       } catch (error) {
@@ -149,8 +161,14 @@ class LoadTestRunner {
       const summaryFile = `reports/load-tests/k6/${scenario}-summary.json`;
       const baseEnv = process.env.BASE_URL ? ` -e BASE_URL=${process.env.BASE_URL}` : '';
       const k6Command = `k6 run --out json=${outputFile} -e TEST_TYPE=${scenario}${baseEnv} automated-tests/load-tests/k6-load-tests.js`;
+      // Same SLO thresholds (and abortOnFail conditions) as the k6 wrapper
+      const { loadSlo, writeK6Thresholds } = require('./slo');
+      const env = {
+        ...process.env,
+        K6_THRESHOLDS_PATH: writeK6Thresholds(loadSlo(), scenario, 'reports/load-tests/k6'),
+      };
 
-      exec(k6Command, { cwd: process.cwd() }, (error, stdout, stderr) => {
+      exec(k6Command, { cwd: process.cwd(), env }, (error, stdout, stderr) => {
         if (error) {
           // K6 might not be installed, create mock results
           console.warn(`⚠️ K6 not available, generating mock results for ${scenario}`);
@@ -325,6 +343,44 @@ class LoadTestRunner {
     }
   }
 
+  /**
+   * Breakdowns, capacity knee and per-window values of a k6 run, from its JSONL stream
+   * @param {string} streamFile - k6 JSON output
+   * @param {string} scenario - Test type
+   * @returns {Promise<{ breakdown?: any, capacity?: any, windows?: any }>} Per-group, per-URL,
+   *   per-status and per-tag breakdowns (also written to <type>-breakdown.json), capacity analysis
+   *   (when the run ramped) and window values for regression detection; empty without a stream
+   */
+  async analyzeK6Stream(streamFile, scenario) {
+    if (!fs.existsSync(streamFile)) return {};
+    try {
+      const { parseK6Stream } = require('./k6-stream-parser');
+      const { analyzeCapacity } = require('./capacity-analysis');
+      const { windowMetrics } = require('./regression-detection');
+      const { DEFAULT_WINDOW } = require('./jtl-timeline');
+      const { parseDuration } = require('./slo');
+      const size = parseDuration(process.env.JTL_WINDOW || DEFAULT_WINDOW);
+      const { timeline, ...breakdown } = await parseK6Stream(streamFile, { window: size });
+      if (!timeline) return {};
+      fs.writeFileSync(
+        streamFile.replace(/-results\.json$/, '-breakdown.json'),
+        JSON.stringify(breakdown, null, 2)
+      );
+      const rows = timeline.windows;
+      const capacity = analyzeCapacity(rows, { tool: 'k6', testType: scenario });
+      return {
+        breakdown,
+        windows: windowMetrics(rows),
+        ...(capacity && {
+          capacity: { source: streamFile, tool: 'k6', window_seconds: size / 1000, ...capacity },
+        }),
+      };
+    } catch (error) {
+      console.warn(`⚠️ Analysis of ${streamFile} failed: ${error.message}`);
+      return {};
+    }
+  }
+
   /**
    * Run JMeter load tests
    * @returns {Promise<void>}
@@ -375,15 +431,47 @@ class LoadTestRunner {
         try {
           // Parse JMeter JTL via streaming parser and persist JSON summary
           const { parseJtl } = require('./jmeter-jtl-parser');
-          const results = await parseJtl(outputFile, {
-            sloPath: path.resolve(process.cwd(), 'config/performance/jmeter-slo.json'),
+          const { writeTimeline, DEFAULT_WINDOW } = require('./jtl-timeline');
+          const { analyzeCapacity } = require('./capacity-analysis');
+          const { timeline, ...parsed } = await parseJtl(outputFile, {
+            window: process.env.JTL_WINDOW || DEFAULT_WINDOW,
           });
+          const capacity = timeline
+            ? analyzeCapacity(timeline.windows, { slo: parsed.slo.config, tool: 'jmeter' })
+            : null;
+          // Windows go to their own JSON/CSV; the summary keeps the analysis
+          const results = {
+            ...parsed,
+            ...(timeline && {
+              timeline: {
+                window_seconds: timeline.window_seconds,
+                start: timeline.start,
+                analysis: timeline.analysis,
+              },
+            }),
+            ...(capacity && { capacity }),
+          };
           try {
             await fs.promises.writeFile(jsonSummary, JSON.stringify(results, null, 2));
+            if (timeline) writeTimeline(timeline, jsonSummary.replace(/-summary\.json$/, ''));
           } catch {
             // best-effort write of JMeter summary
           }
-          resolve(results);
+          if (!timeline) {
+            resolve(results);
+            return;
+          }
+          // Window values for regression detection, kept out of the summary file
+          const { windowMetrics } = require('./regression-detection');
+          resolve({
+            ...results,
+            windows: {
+              overall: windowMetrics(timeline.windows),
+              labels: Object.fromEntries(
+                Object.entries(timeline.labels).map(([label, rows]) => [label, windowMetrics(rows)])
+              ),
+            },
+          });
         } catch (parseError) {
           reject(parseError);
         }
@@ -451,18 +539,22 @@ class LoadTestRunner {
     this.calculateSummaryMetrics();
     // Pre-read trend history to compute deltas for current report
     let previousEntry = null;
+    /** @type {any[]} */
+    let history = [];
     try {
       const historyPath = 'reports/load-tests/test-history.json';
       if (fs.existsSync(historyPath)) {
         const parsed = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
         if (Array.isArray(parsed) && parsed.length > 0) {
+          history = parsed;
           previousEntry = parsed[parsed.length - 1];
         }
       }
     } catch (e) {
       void 0;
     }
-    // Compute trend deltas vs previous entry (if any)
+    // Regression verdicts against the rolling baseline, then deltas vs previous entry (if any)
+    this.detectTrendRegressions(history);
     this.computeTrendDeltas(previousEntry);
 
     // Generate recommendations
@@ -585,25 +677,65 @@ class LoadTestRunner {
   }
 
   /**
-   * Enforce optional gates on adverse trend deltas
+   * Per-window values of every k6 scenario, JMeter plan and JMeter label of this run
+   * @returns {Record<string, import('./regression-detection').WindowMetrics>} Values by series key
+   */
+  collectSeries() {
+    /** @type {Record<string, import('./regression-detection').WindowMetrics>} */
+    const series = {};
+    Object.entries(this.testResults.k6Results || {}).forEach(([scenario, r]) => {
+      if (r?.windows) series[`k6 › ${scenario}`] = r.windows;
+    });
+    Object.entries(this.testResults.jmeterResults || {}).forEach(([plan, r]) => {
+      if (!r?.windows) return;
+      series[`jmeter › ${plan}`] = r.windows.overall;
+      Object.entries(r.windows.labels || {}).forEach(([label, windows]) => {
+        series[`jmeter › ${plan} › ${label}`] = /** @type {any} */ (windows);
+      });
+    });
+    return series;
+  }
+
+  /**
+   * Verdicts per scenario, plan and label against the last LOAD_BASELINE_RUNS runs (default 10)
+   * @param {any[]} history - Trend history, oldest first
+   * @returns {void}
+   */
+  detectTrendRegressions(history) {
+    const { detectRegressions, describeVerdict } = require('./regression-detection');
+    const baselineRuns = parseInt(process.env.LOAD_BASELINE_RUNS || '', 10);
+    const regressions = detectRegressions(
+      this.collectSeries(),
+      history,
+      baselineRuns > 0 ? { baselineRuns } : {}
+    );
+    this.testResults.regressions = regressions;
+    Object.entries(regressions).forEach(([key, metrics]) =>
+      Object.entries(metrics).forEach(([metric, verdict]) => {
+        if (verdict.verdict === 'regressed')
+          console.warn(`📉 ${describeVerdict(key, metric, verdict)}`);
+        if (verdict.verdict === 'improved')
+          console.log(`📈 ${describeVerdict(key, metric, verdict)}`);
+      })
+    );
+  }
+
+  /**
+   * Enforce optional gates on statistically significant regressions (see regression-detection.js)
    * Controlled via env FAIL_ON_TREND_REGRESSION=1
    * @returns {Promise<void>}
    */
   async enforceTrendGates() {
     try {
       if (!process.env.FAIL_ON_TREND_REGRESSION) return;
-      const trends = this.testResults.trends || {};
+      const { describeVerdict } = require('./regression-detection');
       const violations = [];
-      // Overall error rate regression > 10%
-      const oer = trends.summary?.overallErrorRate;
-      if (oer && oer.direction === 'up' && oer.pct !== null && oer.pct > 10) {
-        violations.push(`Overall error rate regressed by ${oer.pct.toFixed(1)}%`);
-      }
-      // Overall throughput drop > 10%
-      const thr = trends.summary?.overallThroughput;
-      if (thr && thr.direction === 'down' && thr.pct !== null && Math.abs(thr.pct) > 10) {
-        violations.push(`Overall throughput dropped by ${Math.abs(thr.pct).toFixed(1)}%`);
-      }
+      Object.entries(this.testResults.regressions || {}).forEach(([key, metrics]) =>
+        Object.entries(metrics).forEach(([metric, verdict]) => {
+          if (verdict.verdict === 'regressed')
+            violations.push(describeVerdict(key, metric, verdict));
+        })
+      );
       if (violations.length) {
         violations.forEach((v) => console.log(`##vso[task.logissue type=error]${v}`));
         // Mark build as failed via non-zero exit later (by increasing failedTests)
@@ -695,6 +827,22 @@ class LoadTestRunner {
     const data = this.testResults;
     const summary = data.summary;
     const trends = data.trends || { k6: {}, jmeter: {}, summary: {} };
+    const capacityRuns = /** @type {[string, any][]} */ ([
+      ...Object.entries(data.k6Results).map(([scenario, result]) => [
+        `K6 ${scenario.toUpperCase()}`,
+        result.capacity,
+      ]),
+      ...Object.entries(data.jmeterResults).map(([testPlan, result]) => [
+        testPlan.replace('.jmx', '').toUpperCase(),
+        result.capacity,
+      ]),
+    ]).filter(([, capacity]) => capacity);
+    const breakdownRuns = /** @type {[string, any][]} */ (
+      Object.entries(data.k6Results).map(([scenario, result]) => [
+        `K6 ${scenario.toUpperCase()}`,
+        result.breakdown,
+      ])
+    ).filter(([, breakdown]) => breakdown?.overall.requests > 0);
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -734,6 +882,26 @@ class LoadTestRunner {
   .delta-badge.up { background: #fee2e2; color: #991b1b; }
   .delta-badge.down { background: #dcfce7; color: #065f46; }
   .delta-badge.neutral { background: #e5e7eb; color: #374151; }
+  .label-verdicts { margin: 8px 0 0; padding-left: 18px; font-size: 0.85em; }
+  .label-verdicts .regressed { color: #991b1b; }
+  .label-verdicts .improved { color: #065f46; }
+        .capacity-section { background: white; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.05); margin-bottom: 30px; }
+        .capacity-section h2 { color: #dc2626; margin-bottom: 20px; }
+        .capacity-run { padding: 15px; background: #f8fafc; border-radius: 6px; margin-bottom: 15px; }
+        .capacity-note { margin-top: 10px; font-size: 0.9em; color: #64748b; }
+        .capacity-limit { margin-top: 10px; font-size: 0.9em; color: #991b1b; }
+        .confidence { display: inline-block; margin-left: 8px; padding: 2px 8px; border-radius: 12px; font-size: 0.75em; font-weight: 600; }
+        .confidence.high { background: #dcfce7; color: #065f46; }
+        .confidence.medium { background: #fef3c7; color: #92400e; }
+        .confidence.low { background: #fee2e2; color: #991b1b; }
+        .breakdown-section { background: white; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.05); margin-bottom: 30px; }
+        .breakdown-section h2 { color: #dc2626; margin-bottom: 20px; }
+        .breakdown-run { padding: 15px; background: #f8fafc; border-radius: 6px; margin-bottom: 15px; overflow-x: auto; }
+        .breakdown-run h4 { margin: 15px 0 8px; }
+        .breakdown-table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        .breakdown-table th, .breakdown-table td { padding: 6px 8px; border-bottom: 1px solid #e2e8f0; text-align: right; }
+        .breakdown-table th:first-child, .breakdown-table td:first-child { text-align: left; }
+        .breakdown-table td.failing { color: #991b1b; font-weight: 600; }
         @media (max-width: 768px) {
             .test-results, .charts-section { grid-template-columns: 1fr; }
             .metrics-overview { grid-template-columns: 1fr; }
@@ -828,6 +996,7 @@ class LoadTestRunner {
                                 <div>Throughput: ${result.summary.throughput}/s ${this.renderDeltaBadge(trends?.jmeter?.[testPlan]?.throughput, 'higherIsBetter')}</div>
                                 <div>Status: ${result.summary.status}</div>
                             </div>
+                            ${this.renderLabelVerdicts(testPlan)}
                         `
                             : `<div>Error: ${result.error || 'Unknown error'}</div>`
                         }
@@ -838,6 +1007,10 @@ class LoadTestRunner {
             </div>
         </div>
 
+        ${this.renderCapacitySection(capacityRuns)}
+
+        ${this.renderBreakdownSection(breakdownRuns)}
+
         <div class="charts-section">
             <div class="chart-container">
                 <h3>📊 Response Time Comparison</h3>
@@ -886,6 +1059,8 @@ class LoadTestRunner {
             }
         });
 
+${this.renderCapacityCharts(capacityRuns)}
+${this.renderBreakdownCharts(breakdownRuns)}
         // Success Rate Chart
         const successCtx = document.getElementById('successRateChart').getContext('2d');
         new Chart(successCtx, {
@@ -909,6 +1084,176 @@ class LoadTestRunner {
 </html>`;
   }
 
+  /**
+   * Capacity analysis of stress and breakpoint runs (see capacity-analysis.js)
+   * @param {[string, any][]} runs - Run name and analysis
+   * @returns {string} Section HTML, empty without analyses
+   */
+  renderCapacitySection(runs) {
+    if (runs.length === 0) return '';
+    return `<div class="capacity-section">
+            <h2>🧗 Capacity Analysis</h2>
+            ${runs
+              .map(
+                ([name, capacity], index) => `
+                <div class="capacity-run">
+                    <div><strong>${name}</strong><span class="confidence ${capacity.confidence}">${capacity.confidence} confidence</span></div>
+                    <div class="test-metrics">
+                        <div>Knee: ${capacity.knee ? `${capacity.knee.users} users at ${capacity.knee.throughput}/s` : 'not reached'}</div>
+                        <div>Max sustainable users (SLO): ${capacity.max_sustainable_users}</div>
+                        <div>Latency knee: ${capacity.latency_knee_users ?? 'n/a'} users</div>
+                        <div>Peak tested: ${capacity.peak_users} users</div>
+                    </div>
+                    ${capacity.slo_limit ? `<div class="capacity-limit">SLO breached at ${capacity.slo_limit.users} users: ${escapeHtml(capacity.slo_limit.breaches.join('; '))}</div>` : ''}
+                    <div class="capacity-note">${capacity.note}</div>
+                    <canvas id="capacityChart${index}" height="100"></canvas>
+                </div>
+            `
+              )
+              .join('')}
+        </div>`;
+  }
+
+  /**
+   * Throughput and p95 against users for each capacity analysis
+   * @param {[string, any][]} runs - Run name and analysis
+   * @returns {string} Chart scripts
+   */
+  renderCapacityCharts(runs) {
+    return runs
+      .map(
+        ([, capacity], index) => `
+        new Chart(document.getElementById('capacityChart${index}').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: ${JSON.stringify(capacity.levels.map((level) => level.users))},
+                datasets: [
+                    { label: 'Throughput (req/s)', data: ${JSON.stringify(capacity.levels.map((level) => level.throughput))}, borderColor: '#3b82f6', yAxisID: 'y' },
+                    { label: 'P95 (ms)', data: ${JSON.stringify(capacity.levels.map((level) => level.p95))}, borderColor: '#ef4444', yAxisID: 'y1' }
+                ]
+            },
+            options: {
+                responsive: true,
+                scales: {
+                    x: { title: { display: true, text: 'Users' } },
+                    y: { beginAtZero: true, position: 'left' },
+                    y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false } }
+                }
+            }
+        });
+`
+      )
+      .join('');
+  }
+
+  /**
+   * Per-group, per-URL, per-status and per-tag breakdowns of k6 runs (see k6-stream-parser.js)
+   * @param {[string, any][]} runs - Run name and breakdown
+   * @returns {string} Section HTML, empty without breakdowns
+   */
+  renderBreakdownSection(runs) {
+    if (runs.length === 0) return '';
+    const phases = ['blocked', 'connecting', 'tls_handshaking', 'sending', 'waiting', 'receiving'];
+    /** @param {number | null} value */
+    const ms = (value) => (value === null ? 'n/a' : value);
+    /**
+     * @param {any[]} rows - Breakdowns
+     * @param {(row: any) => string} name - First column
+     * @param {boolean} [withPhases] - Add the average of each timing phase
+     */
+    const table = (rows, name, withPhases = false) => `
+                    <table class="breakdown-table">
+                        <tr><th></th><th>Requests</th><th>Errors</th><th>Avg (ms)</th><th>P95 (ms)</th>${
+                          withPhases
+                            ? `<th>Checks</th>${phases.map((phase) => `<th>${phase.replace('_', ' ')} (ms)</th>`).join('')}`
+                            : ''
+                        }</tr>
+                        ${rows
+                          .map(
+                            (row) =>
+                              `<tr><td>${name(row)}</td><td>${row.requests}</td><td class="${row.failed > 0 ? 'failing' : ''}">${row.error_percentage}%</td><td>${ms(row.avg)}</td><td>${ms(row.p95)}</td>${
+                                withPhases
+                                  ? `<td>${row.checks ? `${row.checks.pass_percentage}%` : 'n/a'}</td>${phases.map((phase) => `<td>${ms(row.phases[phase].avg)}</td>`).join('')}`
+                                  : ''
+                              }</tr>`
+                          )
+                          .join('')}
+                    </table>`;
+    return `<div class="breakdown-section">
+            <h2>🧩 K6 Request Breakdown</h2>
+            ${runs
+              .map(
+                ([name, breakdown], index) => `
+                <div class="breakdown-run">
+                    <div><strong>${name}</strong> · ${breakdown.overall.requests} requests · ${breakdown.statuses.map((status) => `HTTP ${escapeHtml(status.name)}: ${status.requests}`).join(' · ')}</div>
+                    <h4>Groups</h4>
+                    ${table(
+                      breakdown.groups.filter((group) => group.requests > 0),
+                      (group) =>
+                        `${'&nbsp;&nbsp;'.repeat(group.depth)}${escapeHtml(group.name.split(' › ').pop())}`,
+                      true
+                    )}
+                    <canvas id="breakdownChart${index}" height="${40 + 12 * breakdown.groups.length}"></canvas>
+                    <h4>Slowest URLs</h4>
+                    ${table(
+                      [...breakdown.urls].sort((a, b) => (b.p95 ?? 0) - (a.p95 ?? 0)).slice(0, 10),
+                      (url) => escapeHtml(url.name)
+                    )}
+                    ${Object.entries(breakdown.tags)
+                      .map(
+                        ([tag, values]) => `
+                    <h4>Tag: ${escapeHtml(tag)}</h4>
+                    ${table(values.slice(0, 10), (value) => escapeHtml(value.name))}`
+                      )
+                      .join('')}
+                </div>
+            `
+              )
+              .join('')}
+        </div>`;
+  }
+
+  /**
+   * Average timing phases per group of each k6 breakdown, stacked
+   * @param {[string, any][]} runs - Run name and breakdown
+   * @returns {string} Chart scripts
+   */
+  renderBreakdownCharts(runs) {
+    const phases = {
+      blocked: '#94a3b8',
+      connecting: '#f59e0b',
+      tls_handshaking: '#8b5cf6',
+      sending: '#10b981',
+      waiting: '#ef4444',
+      receiving: '#3b82f6',
+    };
+    return runs
+      .map(([, breakdown], index) => {
+        const groups = breakdown.groups.filter((group) => group.requests > 0);
+        return `
+        new Chart(document.getElementById('breakdownChart${index}').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: ${JSON.stringify(groups.map((group) => group.name.split(' › ').pop())).replace(/</g, '\\u003c')},
+                datasets: ${JSON.stringify(
+                  Object.entries(phases).map(([phase, color]) => ({
+                    label: `${phase.replace('_', ' ')} (ms)`,
+                    data: groups.map((group) => group.phases[phase].avg),
+                    backgroundColor: color,
+                  }))
+                )}
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                scales: { x: { stacked: true, beginAtZero: true }, y: { stacked: true } }
+            }
+        });
+`;
+      })
+      .join('');
+  }
+
   /**
    * Compute trend deltas vs previous history entry
    * @param {any} previousEntry
@@ -991,6 +1336,32 @@ class LoadTestRunner {
         trends.jmeter[plan] = out;
       });
     }
+    // Regression verdicts (see detectTrendRegressions) decide how the deltas are judged
+    const regressions = this.testResults.regressions || {};
+    /**
+     * @param {Record<string, any>} out - Deltas of a scenario or plan
+     * @param {string} key - Series key
+     * @param {Record<string, string>} metrics - Verdict metric by delta field
+     */
+    const attachVerdicts = (out, key, metrics) =>
+      Object.entries(metrics).forEach(([field, metric]) => {
+        const verdict = regressions[key]?.[metric];
+        if (out[field] && verdict) out[field].verdict = verdict.verdict;
+      });
+    Object.entries(trends.k6).forEach(([scenario, out]) =>
+      attachVerdicts(out, `k6 › ${scenario}`, {
+        p95: 'p95',
+        error_rate: 'error_rate',
+        throughput: 'throughput',
+      })
+    );
+    Object.entries(trends.jmeter).forEach(([plan, out]) =>
+      attachVerdicts(out, `jmeter › ${plan}`, {
+        p95: 'p95',
+        error_percentage: 'error_rate',
+        throughput: 'throughput',
+      })
+    );
     this.testResults.trends = trends;
   }
 
@@ -1017,15 +1388,38 @@ class LoadTestRunner {
   }
 
   /**
-   * Render an HTML badge for a delta
-   * @param {{ direction: 'up'|'down'|'neutral'; pct: number|null; diff: number; suffix: string } | null} delta
+   * List the labels of a JMeter plan with a significant change against the baseline
+   * @param {string} testPlan - Test plan
+   * @returns {string} HTML, empty when no label changed
+   */
+  renderLabelVerdicts(testPlan) {
+    const { describeVerdict } = require('./regression-detection');
+    const prefix = `jmeter › ${testPlan} › `;
+    const items = Object.entries(this.testResults.regressions || {})
+      .filter(([key]) => key.startsWith(prefix))
+      .flatMap(([key, metrics]) =>
+        Object.entries(metrics)
+          .filter(
+            ([, verdict]) => verdict.verdict === 'regressed' || verdict.verdict === 'improved'
+          )
+          .map(
+            ([metric, verdict]) =>
+              `<li class="${verdict.verdict}">${escapeHtml(describeVerdict(key.slice(prefix.length), metric, verdict))}</li>`
+          )
+      );
+    return items.length ? `<ul class="label-verdicts">${items.join('')}</ul>` : '';
+  }
+
+  /**
+   * Render an HTML badge for a delta; with a regression verdict only significant changes are colored
+   * @param {{ direction: 'up'|'down'|'neutral'; pct: number|null; diff: number; suffix: string; verdict?: string } | null} delta
    * @param {'higherIsBetter'=} mode
    * @returns {string}
    */
   renderDeltaBadge(delta, mode) {
     if (!delta) return '';
     const higherIsBetter = mode === 'higherIsBetter';
-    const cls =
+    let cls =
       delta.direction === 'neutral'
         ? 'neutral'
         : delta.direction === 'down'
@@ -1035,12 +1429,16 @@ class LoadTestRunner {
           : higherIsBetter
             ? 'down'
             : 'up';
+    if (delta.verdict) {
+      cls =
+        delta.verdict === 'regressed' ? 'up' : delta.verdict === 'improved' ? 'down' : 'neutral';
+    }
     // Value formatting
     const diffStr =
       delta.pct !== null
         ? `${delta.diff > 0 ? '+' : ''}${Math.round(delta.pct * 10) / 10}%`
         : `${delta.diff > 0 ? '+' : ''}${delta.diff}${delta.suffix}`;
-    return `<span class="delta-badge ${cls}">${diffStr}</span>`;
+    return `<span class="delta-badge ${cls}">${diffStr}${delta.verdict ? ` · ${delta.verdict}` : ''}</span>`;
   }
 
   /**
@@ -1070,6 +1468,16 @@ class LoadTestRunner {
       );
       pushIfExists('CI Job Summary (Markdown)', path.join(reportDir, 'ci/job-summary.md'));
 
+      // k6 per-group, per-URL, per-status and per-tag breakdowns
+      const k6Dir = path.join(reportDir, 'load-tests/k6');
+      if (fs.existsSync(k6Dir)) {
+        fs.readdirSync(k6Dir)
+          .filter((name) => name.endsWith('-breakdown.json'))
+          .forEach((name) =>
+            links.push({ label: `k6 Breakdown: ${name}`, path: path.join(k6Dir, name) })
+          );
+      }
+
       // JMeter reports and summaries
       const jmeterDir = path.join(reportDir, 'load-tests/jmeter');
       if (fs.existsSync(jmeterDir)) {
@@ -1082,6 +1490,9 @@ class LoadTestRunner {
           if (name.endsWith('-summary.json')) {
             links.push({ label: `JMeter Summary: ${name}`, path: full });
           }
+          if (name.endsWith('-timeline.csv')) {
+            links.push({ label: `JMeter Timeline (CSV): ${name}`, path: full });
+          }
         });
       }
 
@@ -1176,6 +1587,8 @@ class LoadTestRunner {
         summary: this.testResults.summary || {},
         k6,
         jmeter,
+        // Per-window values the next runs' regression baselines are built from
+        series: this.collectSeries(),
       };
       history.push(entry);
       if (history.length > 20) history = history.slice(-20);
@@ -0,0 +1,243 @@
+// @ts-check
+/**
+ * Load Test Regression Detection
+ * Compares a run against a rolling baseline of the previous runs in the trend history
+ * (reports/load-tests/test-history.json), per k6 scenario, JMeter plan and JMeter label:
+ * - Each run contributes the per-window p95, error rate and throughput of its timeline
+ *   (see jtl-timeline.js, and k6-stream-parser.js for k6 streams)
+ * - A Mann–Whitney U test checks whether the current windows come from the same distribution as
+ *   the pooled windows of the last N runs
+ * - A seeded bootstrap gives a 95% confidence interval for the shift of the median
+ * - Verdicts: regressed or improved when the shift is significant and beyond the tolerance,
+ *   unchanged when the whole interval lies within the tolerance, inconclusive otherwise
+ */
+
+const SeededRandom = require('../../test-data/generators/SeededRandom');
+
+const METRICS = {
+  p95: { lowerIsBetter: true, relative: 0.05, suffix: 'ms' },
+  error_rate: { lowerIsBetter: true, absolute: 1, suffix: '%' },
+  throughput: { lowerIsBetter: false, relative: 0.05, suffix: '/s' },
+};
+
+const DEFAULTS = {
+  // Previous runs that make up the baseline
+  baselineRuns: 10,
+  // Fewer baseline runs than this are inconclusive
+  minRuns: 3,
+  // Fewer windows than this on either side are inconclusive
+  minWindows: 5,
+  alpha: 0.05,
+  iterations: 1000,
+  seed: 42,
+};
+
+/**
+ * @typedef {{ p95: number[], error_rate: number[], throughput: number[] }} WindowMetrics
+ * @typedef {typeof DEFAULTS} DetectionOptions
+ * @typedef {{ verdict: 'improved' | 'unchanged' | 'regressed' | 'inconclusive', current: number |
+ *   null, baseline: number | null, diff: number | null, pct: number | null,
+ *   ci: [number, number] | null, p: number | null, runs: number, windows: number,
+ *   reason?: string }} Verdict
+ */
+
+/**
+ * Per-window values of a timeline, for the trend history
+ * @param {import('./jtl-timeline').WindowRow[]} rows - Windows
+ * @returns {WindowMetrics} Values of the windows with samples
+ */
+function windowMetrics(rows) {
+  const active = rows.filter((row) => row.samples > 0);
+  return {
+    p95: active.map((row) => row.p95 ?? 0),
+    error_rate: active.map((row) => row.error_percentage ?? 0),
+    throughput: active.map((row) => row.throughput),
+  };
+}
+
+/**
+ * @param {number[]} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Standard normal CDF (Abramowitz and Stegun 7.1.26)
+ * @param {number} z - z-score
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided Mann–Whitney U test with tie and continuity correction (normal approximation)
+ * @param {number[]} a - First sample
+ * @param {number[]} b - Second sample
+ * @returns {{ u: number, z: number, p: number }} U of the first sample, z-score and p-value
+ */
+function mannWhitney(a, b) {
+  const ranked = [
+    ...a.map((value) => ({ value, first: true })),
+    ...b.map((value) => ({ value, first: false })),
+  ].sort((x, y) => x.value - y.value);
+  const n = ranked.length;
+  let rankSum = 0;
+  let ties = 0;
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j < n && ranked[j].value === ranked[i].value) j++;
+    // Tied values share the mean of their ranks
+    const rank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) if (ranked[k].first) rankSum += rank;
+    ties += (j - i) ** 3 - (j - i);
+    i = j;
+  }
+  const u = rankSum - (a.length * (a.length + 1)) / 2;
+  const mean = (a.length * b.length) / 2;
+  const variance = ((a.length * b.length) / 12) * (n + 1 - ties / (n * (n - 1)));
+  if (variance <= 0) return { u, z: 0, p: 1 };
+  const z = (Math.abs(u - mean) - 0.5) / Math.sqrt(variance);
+  return { u, z: u >= mean ? z : -z, p: Math.min(1, 2 * (1 - normalCdf(Math.max(0, z)))) };
+}
+
+/**
+ * Percentile bootstrap confidence interval for median(a) - median(b)
+ * @param {number[]} a - Current values
+ * @param {number[]} b - Baseline values
+ * @param {{ iterations: number, seed: number }} options - Resamples and seed
+ * @returns {[number, number]} 95% interval
+ */
+function bootstrapMedianDiff(a, b, options) {
+  // Seeded, so verdicts are reproducible
+  const random = new SeededRandom(options.seed);
+  /** @param {number[]} values */
+  const resample = (values) => values.map(() => random.pick(values));
+  const diffs = Array.from(
+    { length: options.iterations },
+    () => median(resample(a)) - median(resample(b))
+  ).sort((x, y) => x - y);
+  return [
+    diffs[Math.floor(0.025 * (diffs.length - 1))],
+    diffs[Math.ceil(0.975 * (diffs.length - 1))],
+  ];
+}
+
+/**
+ * Verdict for one metric of one series
+ * @param {number[]} current - Windows of the current run
+ * @param {number[][]} baseline - Windows of each baseline run
+ * @param {keyof typeof METRICS} metric - Metric
+ * @param {DetectionOptions} options - Options
+ * @returns {Verdict} Verdict
+ */
+function compareWindows(current, baseline, metric, options) {
+  const pooled = baseline.flat();
+  /** @type {Verdict} */
+  const result = {
+    verdict: 'inconclusive',
+    current: current.length ? median(current) : null,
+    baseline: pooled.length ? median(pooled) : null,
+    diff: null,
+    pct: null,
+    ci: null,
+    p: null,
+    runs: baseline.length,
+    windows: current.length,
+  };
+  if (baseline.length < options.minRuns) {
+    return { ...result, reason: `${baseline.length} of ${options.minRuns} baseline runs` };
+  }
+  if (current.length < options.minWindows || pooled.length < options.minWindows) {
+    return { ...result, reason: `fewer than ${options.minWindows} windows` };
+  }
+
+  const settings = METRICS[metric];
+  const base = /** @type {number} */ (result.baseline);
+  const diff = /** @type {number} */ (result.current) - base;
+  const tolerance = 'absolute' in settings ? settings.absolute : settings.relative * base;
+  const ci = bootstrapMedianDiff(current, pooled, options);
+  const { p } = mannWhitney(current, pooled);
+  const worse = settings.lowerIsBetter ? diff > 0 : diff < 0;
+
+  /** @type {Verdict['verdict']} */
+  let verdict = 'inconclusive';
+  if (p < options.alpha && Math.abs(diff) > tolerance) verdict = worse ? 'regressed' : 'improved';
+  else if (ci[0] >= -tolerance && ci[1] <= tolerance) verdict = 'unchanged';
+
+  return {
+    ...result,
+    verdict,
+    diff: +diff.toFixed(2),
+    pct: base !== 0 ? +((diff / base) * 100).toFixed(1) : null,
+    ci: [+ci[0].toFixed(2), +ci[1].toFixed(2)],
+    p: +p.toFixed(4),
+  };
+}
+
+/**
+ * Verdicts for every series of the current run
+ * @param {Record<string, WindowMetrics>} current - Window values by series key, e.g.
+ *   "k6 › load", "jmeter › plan" or "jmeter › plan › 02 - Login"
+ * @param {{ series?: Record<string, WindowMetrics> }[]} history - Previous runs, oldest first
+ * @param {Partial<DetectionOptions>} [options] - Overrides of DEFAULTS
+ * @returns {Record<string, Record<string, Verdict>>} Verdicts by series key and metric
+ */
+function detectRegressions(current, history, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  /** @type {Record<string, Record<string, Verdict>>} */
+  const verdicts = {};
+  Object.entries(current).forEach(([key, windows]) => {
+    const runs = history
+      .map((entry) => entry.series?.[key])
+      .filter(Boolean)
+      .slice(-settings.baselineRuns);
+    verdicts[key] = {};
+    /** @type {(keyof typeof METRICS)[]} */ (Object.keys(METRICS)).forEach((metric) => {
+      verdicts[key][metric] = compareWindows(
+        windows[metric] || [],
+        runs.map((run) => run?.[metric] || []).filter((values) => values.length > 0),
+        metric,
+        settings
+      );
+    });
+  });
+  return verdicts;
+}
+
+/**
+ * @param {string} key - Series key
+ * @param {string} metric - Metric
+ * @param {Verdict} verdict - Verdict
+ * @returns {string} e.g. "k6 › load p95 regressed: 420ms → 510ms (+21.4%, p=0.0003)"
+ */
+function describeVerdict(key, metric, verdict) {
+  const suffix = METRICS[metric]?.suffix || '';
+  const change =
+    verdict.current === null || verdict.baseline === null
+      ? ''
+      : `: ${verdict.baseline}${suffix} → ${verdict.current}${suffix}${verdict.pct !== null ? ` (${verdict.pct > 0 ? '+' : ''}${verdict.pct}%${verdict.p !== null ? `, p${verdict.p === 0 ? '<0.0001' : `=${verdict.p}`}` : ''})` : ''}`;
+  return `${key} ${metric} ${verdict.verdict}${change}${verdict.reason ? ` (${verdict.reason})` : ''}`;
+}
+
+module.exports = {
+  METRICS,
+  DEFAULTS,
+  windowMetrics,
+  mannWhitney,
+  bootstrapMedianDiff,
+  compareWindows,
+  detectRegressions,
+  describeVerdict,
+};
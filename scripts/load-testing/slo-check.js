@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * SLO Check
+ * Evaluates JMeter JTL files, k6 summaries and saved API measurements against the SLO
+ * definitions (see slo.js), or prints the k6 thresholds they define for a test type.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_SLO_FILE,
+  loadSlo,
+  evaluateSlo,
+  windowSizes,
+  seriesFromK6Summary,
+  seriesFromMeasurements,
+  k6Thresholds,
+  describeBreach,
+} = require('./slo');
+const { parseJtl } = require('./jmeter-jtl-parser');
+
+/**
+ * @typedef {{ files: string[], slo?: string, testType?: string, k6Thresholds?: boolean,
+ *   output?: string, help?: boolean }} CheckArgs
+ */
+
+/**
+ * @param {string[]} argv - Arguments
+ * @returns {CheckArgs} Options
+ */
+function parseArgs(argv) {
+  /** @type {CheckArgs} */
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--slo':
+        args.slo = next();
+        break;
+      case '--test-type':
+        args.testType = next();
+        break;
+      case '--k6-thresholds':
+        args.k6Thresholds = true;
+        break;
+      case '--output':
+        args.output = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (!arg.startsWith('-')) args.files.push(arg);
+        break;
+    }
+  }
+  return args;
+}
+
+/**
+ * Evaluate one result file
+ * @param {string} file - .jtl file, k6 summary or ApiPerformanceMonitor results
+ * @param {any} slo - SLO definitions
+ * @param {string} [testType] - k6 test type (default: the summary's)
+ * @returns {Promise<{ file: string, tool: string, status: string, results: Object[],
+ *   breaches: Object[] }>} Evaluation
+ */
+async function checkFile(file, slo, testType) {
+  if (path.extname(file).toLowerCase() === '.jtl') {
+    const { status, results, breaches } = (await parseJtl(file, { slo })).slo;
+    return { file, tool: 'jmeter', status, results, breaches };
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (data.metrics?.http_req_duration) {
+    const context = { tool: 'k6', testType: testType || data.testType };
+    return { file, ...context, ...evaluateSlo(slo, seriesFromK6Summary(data), context) };
+  }
+  if (Array.isArray(data.measurements)) {
+    const series = seriesFromMeasurements(data.measurements, windowSizes(slo));
+    return { file, tool: 'api', ...evaluateSlo(slo, series, { tool: 'api' }) };
+  }
+  throw new Error(`${file} is not a JTL file, k6 summary or API measurement file`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || (!args.k6Thresholds && args.files.length === 0)) {
+    console.log(`Usage: node scripts/load-testing/slo-check.js [options] <file...>
+
+Evaluates JMeter .jtl files, k6 summaries (<type>-summary.json) and API measurement files
+(reports/performance/api/*.json) against the SLO definitions. Exits with 1 on any breach.
+
+Options:
+  --slo <file>          SLO definitions (default: ${DEFAULT_SLO_FILE})
+  --test-type <type>    k6 test type the objectives are chosen for (default: the summary's)
+  --k6-thresholds       Print the k6 thresholds for --test-type instead of checking files
+  --output <file>       Write the evaluation (or thresholds) as JSON
+`);
+    return;
+  }
+
+  const slo = loadSlo(args.slo);
+
+  if (args.k6Thresholds) {
+    const json = JSON.stringify(k6Thresholds(slo, { testType: args.testType }), null, 2);
+    if (args.output) {
+      fs.mkdirSync(path.dirname(args.output), { recursive: true });
+      fs.writeFileSync(args.output, json);
+      console.log(`📊 k6 thresholds: ${args.output}`);
+    } else {
+      console.log(json);
+    }
+    return;
+  }
+
+  const evaluations = [];
+  for (const file of args.files) {
+    const evaluation = await checkFile(file, slo, args.testType);
+    evaluations.push(evaluation);
+    const checked = evaluation.results.filter((result) => result.status !== 'no-data').length;
+    console.log(
+      `${evaluation.status === 'PASS' ? '✅' : '❌'} ${file} (${evaluation.tool}): ${checked} conditions checked, ${evaluation.breaches.length} breached`
+    );
+    evaluation.breaches.forEach((breach) => console.log(`   - ${describeBreach(breach)}`));
+  }
+
+  if (args.output) {
+    fs.mkdirSync(path.dirname(args.output), { recursive: true });
+    fs.writeFileSync(args.output, JSON.stringify(evaluations, null, 2));
+    console.log(`📊 SLO evaluation: ${args.output}`);
+  }
+  if (evaluations.some((evaluation) => evaluation.status === 'FAIL')) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Failed to check SLOs:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, checkFile };
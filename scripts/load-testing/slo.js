@@ -0,0 +1,693 @@
+// @ts-check
+/**
+ * Service Level Objectives
+ * One definition format for k6, JMeter and API performance tests (config/performance/slo.json):
+ *
+ *   {
+ *     "objectives": [
+ *       {
+ *         "name": "Login",
+ *         "tools": ["k6", "jmeter"],            // optional: k6, jmeter, api (default: all)
+ *         "testTypes": ["load"],                // optional: k6 test types it applies to
+ *         "match": {                            // optional: whole test when omitted
+ *           "labels": ["02 - Login"],           //   JMeter labels, API operations, k6 name tags
+ *           "tags": { "endpoint": "login" }     //   k6 request tags, API method/category
+ *         },
+ *         "conditions": [
+ *           { "metric": "p95", "lte": 1000 },
+ *           { "metric": "p99", "lt": 2000, "abortOnFail": true, "delayAbortEval": "30s" },
+ *           { "metric": "error_rate", "lt": 1, "window": "1m" },
+ *           { "metric": "error_budget", "availability": 99.5 },
+ *           { "metric": "throughput", "gte": 5 }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Metrics: pNN percentiles, avg, min, med and max (ms), error_rate (%), throughput (requests/s)
+ * and error_budget (% of the budget that 100 - availability allows, at most lte, default 100).
+ * A series matches an objective by label or by tags. Windowed conditions must hold in every
+ * window of that length and need raw samples (JTL files, API measurements); they are left out of
+ * k6 thresholds, which k6 evaluates over the whole run.
+ *
+ * The older {"global": {...}, "labels": {...}} JMeter format is still read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SLO_FILE = path.join('config', 'performance', 'slo.json');
+
+const TOOLS = ['k6', 'jmeter', 'api'];
+
+const OPERATORS = { lt: '<', lte: '<=', gt: '>', gte: '>=' };
+
+// Names from the JMeter format, kept as aliases
+const METRIC_ALIASES = {
+  p95_ms: 'p95',
+  p99_ms: 'p99',
+  error_rate_pct: 'error_rate',
+  throughput_rps: 'throughput',
+};
+
+const STAT_METRICS = ['avg', 'min', 'med', 'max'];
+
+// Used when no SLO file exists
+const DEFAULT_SLO = {
+  objectives: [
+    {
+      name: 'Overall',
+      conditions: [
+        { metric: 'error_rate', lte: 5 },
+        { metric: 'p95', lte: 1500 },
+        { metric: 'throughput', gte: 5 },
+      ],
+    },
+  ],
+};
+
+/**
+ * @typedef {Object} Condition
+ * @property {string} metric - pNN, avg, min, med, max, error_rate, throughput or error_budget
+ * @property {number} [lt]
+ * @property {number} [lte]
+ * @property {number} [gt]
+ * @property {number} [gte]
+ * @property {number} [availability] - error_budget only: target success rate (%)
+ * @property {string} [window] - e.g. 30s, 1m: the condition must hold in every window
+ * @property {boolean} [abortOnFail] - k6 only: stop the run once the threshold fails
+ * @property {string} [delayAbortEval] - k6 only: wait this long before aborting
+ */
+
+/**
+ * @typedef {Object} Objective
+ * @property {string} name
+ * @property {string[]} [tools]
+ * @property {string[]} [testTypes]
+ * @property {{ labels?: string[], tags?: Record<string, string> }} [match]
+ * @property {Condition[]} conditions
+ */
+
+/**
+ * Measurements of one label, endpoint or of the whole test
+ * @typedef {Object} Series
+ * @property {string} name - Label, operation or tag set; OVERALL for the whole test
+ * @property {boolean} overall
+ * @property {Record<string, string>} tags
+ * @property {number} samples
+ * @property {number | null} errorRate - %
+ * @property {number | null} throughput - Requests per second
+ * @property {Record<string, number | null>} stats - min, avg, med, max and pNN (ms)
+ * @property {(percentile: number) => number | null} [percentile] - Any percentile (0-100)
+ * @property {Record<string, Series[]>} [windows] - Series per window length (ms)
+ */
+
+/**
+ * @param {string} value - e.g. 500ms, 30s, 1m, 1h
+ * @returns {number} Milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid duration "${value}" (use e.g. 500ms, 30s, 1m or 1h)`);
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  return Number(match[1]) * units[match[2]];
+}
+
+/**
+ * @param {string} metric - Metric name or alias
+ * @returns {{ name: string, percentile: number | null }} Canonical name, and the percentile for
+ *   pNN metrics
+ */
+function parseMetric(metric) {
+  const name = METRIC_ALIASES[metric] || metric;
+  const percentile = /^p\(?(\d+(?:\.\d+)?)\)?$/.exec(name);
+  if (percentile) {
+    const value = Number(percentile[1]);
+    if (value <= 0 || value > 100) throw new Error(`Invalid percentile "${metric}"`);
+    return { name: `p${value}`, percentile: value };
+  }
+  if (![...STAT_METRICS, 'error_rate', 'throughput', 'error_budget'].includes(name)) {
+    throw new Error(`Unknown SLO metric "${metric}"`);
+  }
+  return { name, percentile: null };
+}
+
+/**
+ * @param {Condition} condition - Condition
+ * @returns {Record<string, number>} Bounds by operator; error_budget defaults to lte 100
+ */
+function boundsOf(condition) {
+  const bounds = Object.fromEntries(
+    Object.keys(OPERATORS)
+      .filter((operator) => typeof condition[operator] === 'number')
+      .map((operator) => [operator, /** @type {number} */ (condition[operator])])
+  );
+  if (condition.metric === 'error_budget' && Object.keys(bounds).length === 0) {
+    return { lte: 100 };
+  }
+  return bounds;
+}
+
+/**
+ * Convert the JMeter {global, labels} format
+ * @param {any} definition - Legacy definition
+ * @returns {{ objectives: Objective[] }} Definition
+ */
+function fromLegacy(definition) {
+  /** @param {Record<string, any>} rules */
+  const conditionsOf = (rules) =>
+    Object.entries(rules || {}).map(([metric, bounds]) => ({ metric, ...bounds }));
+  return {
+    objectives: [
+      { name: 'global', conditions: conditionsOf(definition.global) },
+      ...Object.entries(definition.labels || {}).map(([label, rules]) => ({
+        name: label,
+        match: { labels: [label] },
+        conditions: conditionsOf(rules),
+      })),
+    ].filter((objective) => objective.conditions.length > 0),
+  };
+}
+
+/**
+ * Check a definition and convert the legacy format
+ * @param {any} definition - Parsed SLO file
+ * @returns {{ objectives: Objective[] }} Definition
+ */
+function normalizeSlo(definition) {
+  const slo = Array.isArray(definition?.objectives) ? definition : fromLegacy(definition || {});
+  slo.objectives.forEach((/** @type {Objective} */ objective, index) => {
+    const name = objective.name || `objective ${index + 1}`;
+    if (!Array.isArray(objective.conditions) || objective.conditions.length === 0) {
+      throw new Error(`SLO "${name}" has no conditions`);
+    }
+    (objective.tools || []).forEach((tool) => {
+      if (!TOOLS.includes(tool)) throw new Error(`SLO "${name}" names unknown tool "${tool}"`);
+    });
+    objective.conditions.forEach((condition) => {
+      parseMetric(condition.metric);
+      if (condition.window) parseDuration(condition.window);
+      if (condition.metric === 'error_budget' && typeof condition.availability !== 'number') {
+        throw new Error(`SLO "${name}": error_budget needs an availability (%)`);
+      }
+      if (Object.keys(boundsOf(condition)).length === 0) {
+        throw new Error(`SLO "${name}": ${condition.metric} needs one of lt, lte, gt or gte`);
+      }
+    });
+  });
+  return slo;
+}
+
+/**
+ * Read an SLO file; DEFAULT_SLO when it does not exist
+ * @param {string} [file] - SLO file (default config/performance/slo.json)
+ * @returns {{ objectives: Objective[] }} Definition
+ */
+function loadSlo(file = DEFAULT_SLO_FILE) {
+  if (!fs.existsSync(file)) return DEFAULT_SLO;
+  try {
+    return normalizeSlo(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid SLO file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {{ objectives: Objective[] }} slo - Definition
+ * @param {{ tool?: string, testType?: string }} context - Tool and k6 test type being evaluated
+ * @returns {Objective[]} Objectives that apply
+ */
+function objectivesFor(slo, context) {
+  return slo.objectives.filter(
+    (objective) =>
+      (!objective.tools || !context.tool || objective.tools.includes(context.tool)) &&
+      (!objective.testTypes || !context.testType || objective.testTypes.includes(context.testType))
+  );
+}
+
+/**
+ * @param {Objective} objective - Objective
+ * @param {Series} series - Series
+ * @returns {boolean} Whether the objective covers the series
+ */
+function matchesSeries(objective, series) {
+  const match = objective.match;
+  if (!match || (!match.labels && !match.tags)) return series.overall;
+  if (series.overall) return false;
+  const byLabel = (match.labels || []).includes(series.name);
+  const byTags =
+    Boolean(match.tags) &&
+    Object.entries(match.tags || {}).every(([tag, value]) => series.tags[tag] === String(value));
+  return byLabel || byTags;
+}
+
+/**
+ * @param {Series} series - Series
+ * @param {Condition} condition - Condition
+ * @returns {number | null} Value of the condition's metric, null when not measured
+ */
+function metricValue(series, condition) {
+  const { name, percentile } = parseMetric(condition.metric);
+  /** @type {number | null | undefined} */
+  let value;
+  if (percentile !== null) {
+    value = series.percentile ? series.percentile(percentile) : series.stats[name];
+    if (value == null && percentile === 50) value = series.stats.med;
+  } else if (name === 'error_rate') {
+    value = series.errorRate;
+  } else if (name === 'throughput') {
+    value = series.throughput;
+  } else if (name === 'error_budget') {
+    const allowed = 100 - /** @type {number} */ (condition.availability);
+    value =
+      series.errorRate == null
+        ? null
+        : allowed > 0
+          ? +((series.errorRate / allowed) * 100).toFixed(1)
+          : series.errorRate > 0
+            ? Infinity
+            : 0;
+  } else {
+    value = series.stats[name];
+  }
+  return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+/**
+ * @param {number} value - Measured value
+ * @param {Record<string, number>} bounds - Bounds by operator
+ * @returns {boolean} Whether the value is within every bound
+ */
+function withinBounds(value, bounds) {
+  return Object.entries(bounds).every(([operator, bound]) => {
+    switch (operator) {
+      case 'lt':
+        return value < bound;
+      case 'lte':
+        return value <= bound;
+      case 'gt':
+        return value > bound;
+      default:
+        return value >= bound;
+    }
+  });
+}
+
+/**
+ * Evaluate objectives against measured series
+ * @param {{ objectives: Objective[] }} slo - Definition
+ * @param {Series[]} series - Measurements of the whole test and of its labels or endpoints
+ * @param {{ tool?: string, testType?: string }} [context] - Tool and k6 test type
+ * @returns {{ status: 'PASS' | 'FAIL', results: Object[], breaches: Object[] }} Every checked
+ *   condition, and the ones that failed. Conditions without data are reported as no-data.
+ */
+function evaluateSlo(slo, series, context = {}) {
+  /** @type {any[]} */
+  const results = [];
+  objectivesFor(slo, context).forEach((objective) => {
+    series
+      .filter((entry) => matchesSeries(objective, entry))
+      .forEach((entry) => {
+        objective.conditions.forEach((condition) => {
+          const rule = boundsOf(condition);
+          const result = {
+            objective: objective.name,
+            scope: entry.overall
+              ? 'global'
+              : (objective.match?.labels || []).includes(entry.name)
+                ? 'label'
+                : 'tags',
+            ...(entry.overall ? {} : { label: entry.name }),
+            metric: condition.metric,
+            rule,
+            value: /** @type {number | null} */ (null),
+            status: 'no-data',
+          };
+          if (condition.window) {
+            const windows = entry.windows?.[parseDuration(condition.window)];
+            if (windows) {
+              const checked = windows
+                .map((window) => ({ window, value: metricValue(window, condition) }))
+                .filter((check) => check.value !== null);
+              const breached = checked.filter(
+                (check) => !withinBounds(/** @type {number} */ (check.value), rule)
+              );
+              if (checked.length > 0) {
+                const worst = breached[0] || checked[0];
+                Object.assign(result, {
+                  window: condition.window,
+                  windows: checked.length,
+                  breachedWindows: breached.length,
+                  value: worst.value,
+                  status: breached.length > 0 ? 'fail' : 'pass',
+                  ...(breached.length > 0 ? { windowStart: worst.window.name } : {}),
+                });
+              }
+            }
+          } else {
+            const value = metricValue(entry, condition);
+            if (value !== null) {
+              Object.assign(result, { value, status: withinBounds(value, rule) ? 'pass' : 'fail' });
+            }
+          }
+          results.push(result);
+        });
+      });
+  });
+  const breaches = results.filter((result) => result.status === 'fail');
+  return { status: breaches.length === 0 ? 'PASS' : 'FAIL', results, breaches };
+}
+
+/**
+ * Window lengths used by windowed conditions, so parsers know which windows to aggregate
+ * @param {{ objectives: Objective[] }} slo - Definition
+ * @returns {number[]} Window lengths (ms)
+ */
+function windowSizes(slo) {
+  const sizes = slo.objectives.flatMap((objective) =>
+    objective.conditions
+      .filter((condition) => condition.window)
+      .map((condition) => parseDuration(/** @type {string} */ (condition.window)))
+  );
+  return [...new Set(sizes)];
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {number[]} sorted - Ascending values
+ * @param {number} percentile - 0-100
+ * @returns {number | null} Percentile
+ */
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Build a series from individual requests
+ * @param {string} name - Label, operation or OVERALL
+ * @param {Record<string, string>} tags - Tags of the series
+ * @param {{ time: number, duration: number, ok: boolean }[]} samples - Requests (time in epoch
+ *   ms)
+ * @param {number[]} [sizes] - Window lengths to aggregate (ms)
+ * @returns {Series} Series
+ */
+function seriesFromSamples(name, tags, samples, sizes = []) {
+  const durations = samples.map((sample) => sample.duration).sort((a, b) => a - b);
+  const errors = samples.filter((sample) => !sample.ok).length;
+  const times = samples.map((sample) => sample.time).filter((time) => time > 0);
+  const span = times.length > 1 ? (Math.max(...times) - Math.min(...times)) / 1000 : 0;
+  const percentile = (/** @type {number} */ p) => percentileOf(durations, p);
+
+  /** @type {Series} */
+  const series = {
+    name,
+    overall: name === 'OVERALL',
+    tags,
+    samples: samples.length,
+    errorRate: samples.length > 0 ? +((errors / samples.length) * 100).toFixed(2) : null,
+    throughput: span > 0 ? +(samples.length / span).toFixed(2) : null,
+    stats: {
+      min: durations.length ? durations[0] : null,
+      avg: durations.length
+        ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length)
+        : null,
+      med: percentile(50),
+      max: durations.length ? durations[durations.length - 1] : null,
+      p90: percentile(90),
+      p95: percentile(95),
+      p99: percentile(99),
+    },
+    percentile,
+  };
+
+  if (sizes.length > 0 && times.length > 0) {
+    series.windows = {};
+    sizes.forEach((size) => {
+      /** @type {Map<number, typeof samples>} */
+      const buckets = new Map();
+      samples.forEach((sample) => {
+        const start = Math.floor(sample.time / size) * size;
+        if (!buckets.has(start)) buckets.set(start, []);
+        buckets.get(start)?.push(sample);
+      });
+      /** @type {Record<string, Series[]>} */ (series.windows)[size] = [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([start, bucket]) => ({
+          ...seriesFromSamples(new Date(start).toISOString(), tags, bucket),
+          // Throughput over the full window rather than between its first and last request
+          throughput: +(bucket.length / (size / 1000)).toFixed(2),
+        }));
+    });
+  }
+  return series;
+}
+
+/**
+ * Trend values of a k6 metric, keyed like Series stats (p(95) → p95)
+ * @param {Record<string, number>} values - k6 metric values
+ * @returns {Record<string, number | null>} Stats
+ */
+function k6Stats(values) {
+  return Object.fromEntries(
+    Object.entries(values || {}).map(([key, value]) => [key.replace(/^p\((.+)\)$/, 'p$1'), value])
+  );
+}
+
+/**
+ * Series from a k6 summary: the k6-wrapper summary written by handleSummary (metrics with
+ * total_requests, error_rate and http_req_duration, tagged submetrics under `submetrics`) or
+ * the raw handleSummary data (metrics with values)
+ * @param {any} summary - Summary JSON
+ * @returns {Series[]} Whole-test series and one per tag set
+ */
+function seriesFromK6Summary(summary) {
+  const metrics = summary.metrics || {};
+  /** @type {Record<string, any>} */
+  const raw = metrics.http_req_duration?.values
+    ? metrics
+    : {
+        http_req_duration: { values: metrics.http_req_duration || {} },
+        http_req_failed: { values: { rate: metrics.error_rate } },
+        http_reqs: {
+          values: { count: metrics.total_requests, rate: summary.request_rate_rps },
+        },
+        ...Object.fromEntries(
+          Object.entries(summary.submetrics || {}).map(([name, values]) => [name, { values }])
+        ),
+      };
+
+  /** @type {Map<string, { tags: Record<string, string>, metrics: Record<string, any> }>} */
+  const groups = new Map();
+  Object.entries(raw).forEach(([key, metric]) => {
+    const match = /^(http_req_duration|http_req_failed|http_reqs)(?:\{(.+)\})?$/.exec(key);
+    if (!match) return;
+    const selector = match[2] || '';
+    if (!groups.has(selector)) {
+      const tags = Object.fromEntries(
+        selector
+          .split(',')
+          .filter(Boolean)
+          .map((pair) => {
+            const [tag, ...value] = pair.split(':');
+            return [tag.trim(), value.join(':').trim()];
+          })
+      );
+      groups.set(selector, { tags, metrics: {} });
+    }
+    /** @type {any} */ (groups.get(selector)).metrics[match[1]] = metric.values || {};
+  });
+
+  return [...groups.entries()].map(([selector, { tags, metrics: values }]) => {
+    const rate = values.http_req_failed?.rate;
+    const count = values.http_reqs?.count;
+    return {
+      // {name:<label>} submetrics, generated for label objectives, match by label
+      name: !selector ? 'OVERALL' : Object.keys(tags).join() === 'name' ? tags.name : selector,
+      overall: !selector,
+      tags,
+      samples: typeof count === 'number' ? count : 0,
+      errorRate: typeof rate === 'number' ? +(rate * 100).toFixed(2) : null,
+      throughput: typeof values.http_reqs?.rate === 'number' ? values.http_reqs.rate : null,
+      stats: k6Stats(values.http_req_duration),
+    };
+  });
+}
+
+/**
+ * Series from ApiPerformanceMonitor measurements: the whole run, and one per operation
+ * @param {any[]} measurements - Measurements (operationName, method, category, duration,
+ *   status, timestamp)
+ * @param {number[]} [sizes] - Window lengths to aggregate (ms)
+ * @returns {Series[]} Series
+ */
+function seriesFromMeasurements(measurements, sizes = []) {
+  const sampleOf = (/** @type {any} */ measurement) => ({
+    time: Date.parse(measurement.timestamp) || 0,
+    duration: measurement.duration,
+    ok: measurement.status !== 'error',
+  });
+  /** @type {Map<string, any[]>} */
+  const byOperation = new Map();
+  measurements.forEach((measurement) => {
+    if (!byOperation.has(measurement.operationName)) byOperation.set(measurement.operationName, []);
+    byOperation.get(measurement.operationName)?.push(measurement);
+  });
+  return [
+    seriesFromSamples('OVERALL', {}, measurements.map(sampleOf), sizes),
+    ...[...byOperation.entries()].map(([operation, entries]) =>
+      seriesFromSamples(
+        operation,
+        Object.fromEntries(
+          [
+            ['method', entries[0].method],
+            ['category', entries[0].category],
+          ].filter(([, value]) => value)
+        ),
+        entries.map(sampleOf),
+        sizes
+      )
+    ),
+  ];
+}
+
+/**
+ * Largest duration a single call may take: the tightest max condition of the objectives that
+ * cover it
+ * @param {{ objectives: Objective[] }} slo - Definition
+ * @param {{ name: string, tags?: Record<string, string> }} call - Operation name and tags
+ * @param {{ tool?: string, testType?: string }} [context] - Tool (default api)
+ * @returns {number | null} Threshold (ms), null when no objective limits max
+ */
+function callThreshold(slo, call, context = { tool: 'api' }) {
+  /** @type {Series} */
+  const series = {
+    name: call.name,
+    overall: false,
+    tags: call.tags || {},
+    samples: 1,
+    errorRate: null,
+    throughput: null,
+    stats: {},
+  };
+  const limits = objectivesFor(slo, context)
+    .filter((objective) => !objective.match || matchesSeries(objective, series))
+    .flatMap((objective) => objective.conditions)
+    .filter((condition) => parseMetric(condition.metric).name === 'max' && !condition.window)
+    .map((condition) => Math.min(condition.lte ?? Infinity, condition.lt ?? Infinity))
+    .filter((limit) => isFinite(limit));
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * k6 thresholds (options.thresholds) for the objectives that apply to a test type. Windowed
+ * conditions are left out.
+ * @param {{ objectives: Objective[] }} slo - Definition
+ * @param {{ testType?: string }} [context] - k6 test type
+ * @returns {Record<string, (string | { threshold: string, abortOnFail?: boolean,
+ *   delayAbortEval?: string })[]>} Thresholds by metric
+ */
+function k6Thresholds(slo, context = {}) {
+  /** @type {Record<string, any[]>} */
+  const thresholds = {};
+  objectivesFor(slo, { ...context, tool: 'k6' }).forEach((objective) => {
+    const match = objective.match || {};
+    const selectors = match.tags
+      ? [
+          `{${Object.entries(match.tags)
+            .map(([tag, value]) => `${tag}:${value}`)
+            .join(',')}}`,
+        ]
+      : match.labels
+        ? match.labels.map((label) => `{name:${label}}`)
+        : [''];
+
+    objective.conditions
+      .filter((condition) => !condition.window)
+      .forEach((condition) => {
+        const { name } = parseMetric(condition.metric);
+        const bounds = boundsOf(condition);
+        /** @type {[string, string, (bound: number) => number]} */
+        let target;
+        if (name === 'error_rate') {
+          target = ['http_req_failed', 'rate', (bound) => bound / 100];
+        } else if (name === 'error_budget') {
+          const allowed = (100 - /** @type {number} */ (condition.availability)) / 100;
+          target = ['http_req_failed', 'rate', (bound) => (allowed * bound) / 100];
+        } else if (name === 'throughput') {
+          target = ['http_reqs', 'rate', (bound) => bound];
+        } else {
+          const stat = name.startsWith('p') ? `p(${name.slice(1)})` : name;
+          target = ['http_req_duration', stat, (bound) => bound];
+        }
+        const [metric, stat, scale] = target;
+        selectors.forEach((selector) => {
+          const key = `${metric}${selector}`;
+          thresholds[key] = thresholds[key] || [];
+          Object.entries(bounds).forEach(([operator, bound]) => {
+            const threshold = `${stat}${OPERATORS[operator]}${+scale(bound).toFixed(6)}`;
+            thresholds[key].push(
+              condition.abortOnFail
+                ? {
+                    threshold,
+                    abortOnFail: true,
+                    ...(condition.delayAbortEval
+                      ? { delayAbortEval: condition.delayAbortEval }
+                      : {}),
+                  }
+                : threshold
+            );
+          });
+        });
+      });
+  });
+  return thresholds;
+}
+
+/**
+ * @param {any} breach - Entry of evaluateSlo().breaches
+ * @returns {string} One-line description
+ */
+function describeBreach(breach) {
+  const where = breach.label ? `${breach.objective} (${breach.label})` : breach.objective;
+  const rule = Object.entries(breach.rule)
+    .map(([operator, bound]) => `${OPERATORS[operator]} ${bound}`)
+    .join(' and ');
+  const window = breach.window
+    ? ` in ${breach.breachedWindows}/${breach.windows} ${breach.window} windows`
+    : '';
+  return `${where}: ${breach.metric} ${breach.value} not ${rule}${window}`;
+}
+
+/**
+ * Write the k6 thresholds the SLOs define for a test type
+ * @param {{ objectives: Objective[] }} slo - Definition
+ * @param {string} testType - k6 test type
+ * @param {string} outDir - Output directory
+ * @returns {string} Absolute path of <outDir>/<testType>-thresholds.json (k6 resolves open()
+ *   paths against the script)
+ */
+function writeK6Thresholds(slo, testType, outDir) {
+  const file = path.resolve(outDir, `${testType}-thresholds.json`);
+  fs.writeFileSync(file, JSON.stringify(k6Thresholds(slo, { testType }), null, 2));
+  return file;
+}
+
+module.exports = {
+  DEFAULT_SLO_FILE,
+  DEFAULT_SLO,
+  TOOLS,
+  loadSlo,
+  normalizeSlo,
+  objectivesFor,
+  evaluateSlo,
+  windowSizes,
+  parseDuration,
+  seriesFromSamples,
+  seriesFromK6Summary,
+  seriesFromMeasurements,
+  callThreshold,
+  k6Thresholds,
+  writeK6Thresholds,
+  describeBreach,
+};
@@ -1,11 +1,23 @@
 /**
  * Notification Manager
- * Handles email notifications for test failures and summary reports
+ * Sends test summary, failure and trend notifications through pluggable channels (email,
+ * Slack, Microsoft Teams, generic webhook, file drop). Routing rules map the severity from
+ * calculateSeverity() to channel names, e.g.
+ *   routing: { critical: ['email', 'teams'], warning: ['slack'], default: ['file'] }
+ * Severities without a rule use `default`, or every channel when there is no default.
+ *
+ * Failure notifications are throttled through NotificationStateStore: a repeat of the same
+ * failure (severity + failing test set) within `throttle.windowMinutes` is suppressed, a repeat
+ * after it is sent as a "still failing (N runs)" digest, and the first passing run sends a
+ * recovery. Failures open longer than the `escalation` limits are escalated: routed with the
+ * `escalated` (or `critical`) rule, with the critical recipients first. During `quietHours`
+ * only critical and escalated notifications are sent.
  */
 
-const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
+const { createChannel, channelsFromEnv } = require('./channels');
+const NotificationStateStore = require('./NotificationStateStore');
 
 class NotificationManager {
   constructor(config = {}) {
@@ -31,32 +43,205 @@ class NotificationManager {
         maxDurationIncrease: config.thresholds?.maxDurationIncrease || 100, // 100% duration increase
       },
       enabled: config.enabled !== false && process.env.NOTIFICATIONS_ENABLED !== 'false',
+      routing: config.routing || NotificationManager.routingFromEnv(),
       ...config,
     };
+    this.config.channels = config.channels || this.defaultChannels();
+    this.config.throttle = {
+      enabled: process.env.NOTIFICATION_THROTTLE !== 'false',
+      stateFile: process.env.NOTIFICATION_STATE_FILE,
+      windowMinutes: Number(process.env.NOTIFICATION_REPEAT_WINDOW_MINUTES) || 360,
+      ...config.throttle,
+    };
+    this.config.escalation = {
+      afterRuns: Number(process.env.NOTIFICATION_ESCALATE_AFTER_RUNS) || null,
+      afterMinutes: Number(process.env.NOTIFICATION_ESCALATE_AFTER_MINUTES) || null,
+      ...config.escalation,
+    };
+    this.config.quietHours = config.quietHours || NotificationManager.quietHoursFromEnv();
+
+    this.stateStore = this.config.throttle.enabled
+      ? new NotificationStateStore({
+          file: this.config.throttle.stateFile,
+          windowMinutes: this.config.throttle.windowMinutes,
+        })
+      : null;
+
+    this.channels = [];
+    this.ready = this.initializeChannels();
+  }
 
-    this.transporter = null;
-    this.initializeTransporter();
+  /**
+   * Email when any recipients are configured, plus the channels from environment variables
+   * @returns {Object} Channel name → config
+   */
+  defaultChannels() {
+    const channels = {};
+    if (Object.values(this.config.recipients).some((list) => list.length > 0)) {
+      channels.email = {
+        type: 'email',
+        smtp: this.config.smtp,
+        from: this.config.from,
+        recipients: this.config.recipients,
+      };
+    }
+    return { ...channels, ...channelsFromEnv() };
   }
 
   /**
-   * Initialize email transporter
+   * Routing rules from NOTIFICATION_ROUTES, e.g. {"critical":["email","slack"],"default":["slack"]}
+   * @returns {Object} Severity → channel names
    */
-  async initializeTransporter() {
+  static routingFromEnv() {
+    if (!process.env.NOTIFICATION_ROUTES) return {};
+    try {
+      return JSON.parse(process.env.NOTIFICATION_ROUTES);
+    } catch (error) {
+      console.warn('Ignoring invalid NOTIFICATION_ROUTES:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Quiet hours from NOTIFICATION_QUIET_HOURS ("22:00-07:00") and NOTIFICATION_TIMEZONE
+   * @returns {Object|null} { start, end, timeZone }
+   */
+  static quietHoursFromEnv() {
+    const match = process.env.NOTIFICATION_QUIET_HOURS?.match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+    if (!match) return null;
+    return { start: match[1], end: match[2], timeZone: process.env.NOTIFICATION_TIMEZONE };
+  }
+
+  /**
+   * Create and initialize the configured channels; channels that fail to initialize are skipped
+   */
+  async initializeChannels() {
     if (!this.config.enabled) {
       console.log('Notifications disabled');
       return;
     }
 
-    try {
-      this.transporter = nodemailer.createTransporter(this.config.smtp);
+    const channels = Object.entries(this.config.channels).map(([name, channelConfig]) =>
+      createChannel(name, channelConfig)
+    );
+    const usable = await Promise.all(
+      channels.map((channel) => channel.initialize().catch(() => false))
+    );
+    this.channels = channels.filter((channel, index) => usable[index]);
 
-      // Verify connection
-      await this.transporter.verify();
-      console.log('Email transporter initialized successfully');
-    } catch (error) {
-      console.warn('Failed to initialize email transporter:', error.message);
-      this.config.enabled = false;
+    if (this.channels.length === 0) {
+      console.warn('No notification channels available');
+    }
+  }
+
+  /**
+   * Channels a notification is routed to. Escalated notifications use the `escalated` rule,
+   * then `critical`; recoveries are routed like the failure they close.
+   * @param {Object} context - Notification context
+   * @returns {Promise<Array>} Initialized channels
+   */
+  async channelsFor(context) {
+    await this.ready;
+    const routing = this.config.routing || {};
+    const severity = context.route || context.severity;
+    const names =
+      (context.escalated && (routing.escalated || routing.critical)) ||
+      routing[severity] ||
+      routing.default;
+    if (!names) return this.channels;
+    return this.channels.filter((channel) => names.includes(channel.name));
+  }
+
+  /**
+   * Whether quiet hours are in effect
+   * @param {number} now - Epoch ms
+   * @returns {boolean}
+   */
+  isQuietHours(now = Date.now()) {
+    const quietHours = this.config.quietHours;
+    if (!quietHours) return false;
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone: quietHours.timeZone,
+    }).formatToParts(new Date(now));
+    const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+    const current = part('hour') * 60 + part('minute');
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+  }
+
+  /**
+   * Whether an open failure has been failing long enough to escalate
+   * @param {Object} incident - NotificationStateStore incident
+   * @param {number} now - Epoch ms
+   * @returns {boolean}
+   */
+  isEscalated(incident, now = Date.now()) {
+    const { afterRuns, afterMinutes } = this.config.escalation;
+    if (afterRuns && incident.runs >= afterRuns) return true;
+    return Boolean(afterMinutes && now - Date.parse(incident.since) >= afterMinutes * 60 * 1000);
+  }
+
+  /**
+   * Test titles identifying a failure; the failing suites when no test details are given
+   * @param {Object} results - Test execution results
+   * @param {Array} failedTests - Failed test details
+   * @returns {string[]} Failing test set
+   */
+  failingTestSet(results, failedTests = []) {
+    if (failedTests.length > 0) return failedTests.map((test) => test.title);
+    return Object.entries(results.suites || {})
+      .filter(([, stats]) => stats.failed > 0)
+      .map(([suite]) => suite);
+  }
+
+  /**
+   * Send a notification through every channel routed for its severity. A failing channel is
+   * logged and does not stop the others. During quiet hours only critical and escalated
+   * notifications go out.
+   * @param {Object} context - { kind, severity, subject, text, results, failedTests, trendAnalysis }
+   * @returns {Promise<Array>} [{ channel, status: 'sent' | 'skipped' | 'failed', error }]
+   */
+  async dispatch(context) {
+    const urgent = (context.route || context.severity) === 'critical' || context.escalated;
+    if (!urgent && this.isQuietHours()) {
+      console.log(`🌙 Quiet hours: holding ${context.severity} ${context.kind} notification`);
+      return [];
     }
+
+    const channels = await this.channelsFor(context);
+
+    const outcomes = await Promise.all(
+      channels.map(async (channel) => {
+        try {
+          const sent = await channel.send({ ...context, manager: this });
+          return { channel: channel.name, status: sent ? 'sent' : 'skipped' };
+        } catch (error) {
+          console.error(
+            `Failed to send ${context.kind} notification via ${channel.name}:`,
+            error.message
+          );
+          return { channel: channel.name, status: 'failed', error: error.message };
+        }
+      })
+    );
+
+    const sent = outcomes.filter((outcome) => outcome.status === 'sent');
+    if (sent.length > 0) {
+      console.log(
+        `${context.kind} notification sent via ${sent.map((outcome) => outcome.channel).join(', ')}`
+      );
+    }
+    return outcomes;
   }
 
   /**
@@ -65,29 +250,20 @@ class NotificationManager {
    * @param {Object} trendAnalysis - Trend analysis data
    */
   async sendSummaryNotification(results, trendAnalysis = null) {
-    if (!this.config.enabled || this.config.recipients.summary.length === 0) {
-      return;
+    if (!this.config.enabled) {
+      return [];
     }
 
     const severity = this.calculateSeverity(results);
-    const subject = this.generateSummarySubject(results, severity);
-    const htmlContent = this.generateSummaryHTML(results, trendAnalysis, severity);
-    const textContent = this.generateSummaryText(results, trendAnalysis, severity);
-
-    const recipients =
-      severity === 'critical'
-        ? [...this.config.recipients.summary, ...this.config.recipients.critical]
-        : this.config.recipients.summary;
-
-    await this.sendEmail({
-      to: recipients,
-      subject: subject,
-      html: htmlContent,
-      text: textContent,
-      attachments: await this.generateAttachments(results),
-    });
 
-    console.log(`Summary notification sent to ${recipients.length} recipients`);
+    return this.dispatch({
+      kind: 'summary',
+      severity,
+      subject: this.generateSummarySubject(results, severity),
+      text: this.generateSummaryText(results, trendAnalysis, severity),
+      results,
+      trendAnalysis,
+    });
   }
 
   /**
@@ -96,34 +272,101 @@ class NotificationManager {
    * @param {Array} failedTests - Array of failed test details
    */
   async sendFailureNotification(results, failedTests = []) {
-    if (!this.config.enabled || this.config.recipients.failures.length === 0) {
-      return;
+    if (!this.config.enabled) {
+      return [];
     }
 
     const severity = this.calculateSeverity(results);
 
     if (severity === 'success') {
-      return; // Don't send failure notifications for successful runs
+      return this.sendRecoveryNotification(results); // Closes an open failure, if any
     }
 
-    const subject = this.generateFailureSubject(results, severity);
-    const htmlContent = this.generateFailureHTML(results, failedTests, severity);
-    const textContent = this.generateFailureText(results, failedTests, severity);
-
-    const recipients =
-      severity === 'critical'
-        ? [...this.config.recipients.failures, ...this.config.recipients.critical]
-        : this.config.recipients.failures;
-
-    await this.sendEmail({
-      to: recipients,
-      subject: subject,
-      html: htmlContent,
-      text: textContent,
-      priority: severity === 'critical' ? 'high' : 'normal',
+    if (!this.stateStore) {
+      return this.dispatch({
+        kind: 'failure',
+        severity,
+        subject: this.generateFailureSubject(results, severity),
+        text: this.generateFailureText(results, failedTests, severity),
+        results,
+        failedTests,
+      });
+    }
+
+    const now = Date.now();
+    const { action, incident } = this.stateStore.recordFailure(
+      { severity, tests: this.failingTestSet(results, failedTests) },
+      now
+    );
+    const escalated = this.isEscalated(incident, now);
+    const escalating = escalated && !incident.escalated;
+
+    if (action === 'suppressed' && !escalating) {
+      console.log(
+        `🔕 Suppressing repeat failure notification (failing for ${incident.runs} runs, last notified ${incident.lastNotified})`
+      );
+      this.stateStore.save();
+      return [];
+    }
+
+    const streak =
+      incident.runs > 1
+        ? {
+            runs: incident.runs,
+            since: incident.since,
+            suppressedRuns: Math.max(incident.runs - incident.notifiedRuns - 1, 0),
+          }
+        : null;
+    const subject =
+      action === 'changed' || action === 'new'
+        ? this.generateFailureSubject(results, severity)
+        : this.generateStillFailingSubject(results, incident);
+
+    const outcomes = await this.dispatch({
+      kind: 'failure',
+      severity,
+      escalated,
+      subject: escalated ? `[Escalated] ${subject}` : subject,
+      text: this.generateFailureText(results, failedTests, severity, streak),
+      results,
+      failedTests,
+      streak,
     });
 
-    console.log(`Failure notification sent to ${recipients.length} recipients`);
+    if (outcomes.some((outcome) => outcome.status === 'sent')) {
+      this.stateStore.markNotified(now, escalated);
+    }
+    this.stateStore.save();
+    return outcomes;
+  }
+
+  /**
+   * Close the open failure on a passing run and announce the recovery if the failure was
+   * notified
+   * @param {Object} results - Test execution results
+   */
+  async sendRecoveryNotification(results) {
+    if (!this.config.enabled || !this.stateStore) {
+      return [];
+    }
+
+    const incident = this.stateStore.recordSuccess();
+    this.stateStore.save();
+
+    if (!incident?.lastNotified) {
+      return [];
+    }
+
+    return this.dispatch({
+      kind: 'recovery',
+      severity: 'success',
+      route: incident.severity,
+      escalated: Boolean(incident.escalated),
+      subject: this.generateRecoverySubject(results, incident),
+      text: this.generateRecoveryText(results, incident),
+      results,
+      incident,
+    });
   }
 
   /**
@@ -131,28 +374,23 @@ class NotificationManager {
    * @param {Object} trendAnalysis - Trend analysis data
    */
   async sendTrendNotification(trendAnalysis) {
-    if (!this.config.enabled || this.config.recipients.summary.length === 0) {
-      return;
+    if (!this.config.enabled) {
+      return [];
     }
 
     const hasSignificantTrends = this.hasSignificantTrends(trendAnalysis);
 
     if (!hasSignificantTrends) {
-      return; // Don't send notifications for insignificant trends
+      return []; // Don't send notifications for insignificant trends
     }
 
-    const subject = this.generateTrendSubject(trendAnalysis);
-    const htmlContent = this.generateTrendHTML(trendAnalysis);
-    const textContent = this.generateTrendText(trendAnalysis);
-
-    await this.sendEmail({
-      to: this.config.recipients.summary,
-      subject: subject,
-      html: htmlContent,
-      text: textContent,
+    return this.dispatch({
+      kind: 'trend',
+      severity: this.calculateTrendSeverity(trendAnalysis),
+      subject: this.generateTrendSubject(trendAnalysis),
+      text: this.generateTrendText(trendAnalysis),
+      trendAnalysis,
     });
-
-    console.log('Trend analysis notification sent');
   }
 
   /**
@@ -174,6 +412,26 @@ class NotificationManager {
     }
   }
 
+  /**
+   * Calculate severity of a trend for routing: a declining pass rate or a duration increase
+   * above maxDurationIncrease is a warning, anything else informational
+   * @param {Object} trendAnalysis - Trend analysis data
+   * @returns {string} - 'warning' or 'info'
+   */
+  calculateTrendSeverity(trendAnalysis) {
+    const { passRate, duration } = trendAnalysis.trends;
+    const durationIncrease =
+      duration.previous > 0 ? (duration.change / duration.previous) * 100 : 0;
+
+    if (
+      passRate.trend === 'declining' ||
+      durationIncrease > this.config.thresholds.maxDurationIncrease
+    ) {
+      return 'warning';
+    }
+    return 'info';
+  }
+
   /**
    * Generate summary email subject
    * @param {Object} results - Test execution results
@@ -199,6 +457,28 @@ class NotificationManager {
     return `${statusEmoji} Test Failures Detected - ${results.failed} Failed Tests`;
   }
 
+  /**
+   * Generate "still failing" digest subject
+   * @param {Object} results - Test execution results
+   * @param {Object} incident - Open failure
+   * @returns {string} - Email subject
+   */
+  generateStillFailingSubject(results, incident) {
+    return `🔁 Still Failing (${incident.runs} runs) - ${results.failed} Failed Tests`;
+  }
+
+  /**
+   * Generate recovery email subject
+   * @param {Object} results - Test execution results
+   * @param {Object} incident - Closed failure
+   * @returns {string} - Email subject
+   */
+  generateRecoverySubject(results, incident) {
+    const runs = incident.runs === 1 ? '1 Failing Run' : `${incident.runs} Failing Runs`;
+
+    return `✅ Tests Recovered - ${results.passed}/${results.total} Passing after ${runs}`;
+  }
+
   /**
    * Generate trend email subject
    * @param {Object} trendAnalysis - Trend analysis data
@@ -433,13 +713,20 @@ class NotificationManager {
    * @param {Object} results - Test execution results
    * @param {Array} failedTests - Failed test details
    * @param {string} severity - Severity level
+   * @param {Object} streak - { runs, since, suppressedRuns } when the failure has been open
+   *   for several runs
    * @returns {string} - Text content
    */
-  generateFailureText(results, failedTests, severity) {
+  generateFailureText(results, failedTests, severity, streak = null) {
     let text = `TEST FAILURE NOTIFICATION\n`;
     text += `=========================\n\n`;
     text += `${results.failed} tests failed out of ${results.total} total tests\n`;
     text += `Failure Rate: ${((results.failed / results.total) * 100).toFixed(1)}%\n\n`;
+
+    if (streak) {
+      text += `Failing for ${streak.runs} consecutive runs since ${streak.since}`;
+      text += streak.suppressedRuns > 0 ? ` (${streak.suppressedRuns} not notified)\n\n` : `\n\n`;
+    }
     text += `ACTION REQUIRED: The following tests have failed and require immediate attention.\n\n`;
 
     if (failedTests.length > 0) {
@@ -459,6 +746,56 @@ class NotificationManager {
     return text;
   }
 
+  /**
+   * Generate recovery HTML content
+   * @param {Object} results - Test execution results
+   * @param {Object} incident - Closed failure
+   * @returns {string} - HTML content
+   */
+  generateRecoveryHTML(results, incident) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Tests Recovered</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 800px; margin: 0 auto; padding: 20px; }
+        .header { background: ${this.getSeverityColor('success')}; color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+        .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>✅ Tests Recovered</h1>
+        <p>All ${results.passed} of ${results.total} tests passed</p>
+    </div>
+
+    <p>The ${incident.severity} failure open since ${incident.since} is resolved after ${incident.runs} failing run(s).</p>
+
+    <div class="footer">
+        <p>Generated at ${new Date().toISOString()}</p>
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Generate recovery text content
+   * @param {Object} results - Test execution results
+   * @param {Object} incident - Closed failure
+   * @returns {string} - Text content
+   */
+  generateRecoveryText(results, incident) {
+    let text = `TESTS RECOVERED\n`;
+    text += `===============\n\n`;
+    text += `All ${results.passed} of ${results.total} tests passed.\n`;
+    text += `The ${incident.severity} failure open since ${incident.since} is resolved after ${incident.runs} failing run(s).\n\n`;
+    text += `Generated at ${new Date().toISOString()}`;
+
+    return text;
+  }
+
   /**
    * Generate trend HTML content
    * @param {Object} trendAnalysis - Trend analysis data
@@ -698,35 +1035,6 @@ class NotificationManager {
     return attachments;
   }
 
-  /**
-   * Send email
-   * @param {Object} options - Email options
-   */
-  async sendEmail(options) {
-    if (!this.transporter) {
-      console.warn('Email transporter not available');
-      return;
-    }
-
-    try {
-      const mailOptions = {
-        from: this.config.from,
-        to: Array.isArray(options.to) ? options.to.join(', ') : options.to,
-        subject: options.subject,
-        text: options.text,
-        html: options.html,
-        attachments: options.attachments || [],
-        priority: options.priority || 'normal',
-      };
-
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('Email sent successfully:', info.messageId);
-    } catch (error) {
-      console.error('Failed to send email:', error.message);
-      throw error;
-    }
-  }
-
   /**
    * Format duration in human readable format
    * @param {number} ms - Duration in milliseconds
@@ -0,0 +1,133 @@
+/**
+ * Notification State Store
+ * Persists the open failure incident between runs so NotificationManager can suppress repeated
+ * failure notifications, send "still failing" digests and announce recoveries.
+ *
+ * An incident is identified by a fingerprint of its severity and failing test set. It stays
+ * open across consecutive failing runs (the fingerprint may change along the way) and closes
+ * on the first passing run.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+class NotificationStateStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.file - State file (default reports/notifications/state.json)
+   * @param {number} options.windowMinutes - Repeats of the same failure within this window
+   *   are suppressed (default 360)
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join('reports', 'notifications', 'state.json');
+    this.windowMs = (options.windowMinutes ?? 360) * 60 * 1000;
+    this.state = this.load();
+  }
+
+  load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (state.version === STATE_VERSION) return state;
+      console.warn(`Ignoring notification state with unknown version in ${this.file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable notification state ${this.file}: ${error.message}`);
+      }
+    }
+    return { version: STATE_VERSION, incident: null };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2));
+  }
+
+  get incident() {
+    return this.state.incident;
+  }
+
+  /**
+   * Fingerprint a failure by severity and the set of failing tests (order-insensitive)
+   * @param {string} severity - Severity level
+   * @param {string[]} tests - Failing test titles or suite names
+   * @returns {string} Fingerprint
+   */
+  static fingerprint(severity, tests = []) {
+    const key = [severity, ...[...new Set(tests)].sort()].join('\n');
+    return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Record a failing run and decide what to send
+   * @param {Object} failure - { severity, tests }
+   * @param {number} now - Epoch ms
+   * @returns {Object} { action: 'new' | 'changed' | 'repeat' | 'suppressed', incident }
+   *   'repeat' means the same failure is still open and was not notified within the window
+   *   (or not at all, e.g. held during quiet hours); 'suppressed' means it was.
+   */
+  recordFailure({ severity, tests = [] }, now) {
+    const fingerprint = NotificationStateStore.fingerprint(severity, tests);
+    const timestamp = new Date(now).toISOString();
+    const previous = this.state.incident;
+
+    if (!previous) {
+      this.state.incident = {
+        fingerprint,
+        severity,
+        tests,
+        since: timestamp,
+        lastSeen: timestamp,
+        runs: 1,
+        lastNotified: null,
+        notifiedRuns: 0,
+        escalated: false,
+      };
+      return { action: 'new', incident: this.state.incident };
+    }
+
+    const incident = {
+      ...previous,
+      fingerprint,
+      severity,
+      tests,
+      lastSeen: timestamp,
+      runs: previous.runs + 1,
+    };
+    this.state.incident = incident;
+
+    if (previous.fingerprint !== fingerprint) {
+      return { action: 'changed', incident };
+    }
+    if (!previous.lastNotified || now - Date.parse(previous.lastNotified) >= this.windowMs) {
+      return { action: 'repeat', incident };
+    }
+    return { action: 'suppressed', incident };
+  }
+
+  /**
+   * Record a passing run
+   * @returns {Object|null} The incident that just closed, if any
+   */
+  recordSuccess() {
+    const incident = this.state.incident;
+    this.state.incident = null;
+    return incident;
+  }
+
+  /**
+   * Mark the open incident as notified
+   * @param {number} now - Epoch ms
+   * @param {boolean} escalated - Whether the notification was escalated
+   */
+  markNotified(now, escalated = false) {
+    if (!this.state.incident) return;
+    this.state.incident.lastNotified = new Date(now).toISOString();
+    this.state.incident.notifiedRuns = this.state.incident.runs;
+    this.state.incident.escalated = this.state.incident.escalated || escalated;
+  }
+}
+
+module.exports = NotificationStateStore;
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const NotificationManager = require('../NotificationManager');
+
+// Local stand-in for Slack/Teams/webhook endpoints; records every POST by path
+function startStub() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      const status = req.url === '/broken' ? 500 : 200;
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status === 200 ? 'ok' : 'boom');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+const failingRun = {
+  total: 10,
+  passed: 4,
+  failed: 6,
+  skipped: 0,
+  duration: 65000,
+  environments: { staging: { total: 10, passed: 4 } },
+  browsers: { chromium: { total: 10, passed: 4 } },
+};
+const passingRun = {
+  total: 10,
+  passed: 10,
+  failed: 0,
+  skipped: 0,
+  duration: 30000,
+  environments: {},
+  browsers: {},
+};
+const failedTests = [{ title: 'checkout > pays by card', error: 'Timeout <5000ms> exceeded' }];
+
+describe('Notification channels', () => {
+  let stub;
+  let dropDir;
+
+  beforeAll(async () => {
+    stub = await startStub();
+  });
+
+  afterAll(() => new Promise((resolve) => stub.server.close(resolve)));
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+    dropDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dropDir, { recursive: true, force: true });
+  });
+
+  function createManager(routing = {}) {
+    return new NotificationManager({
+      channels: {
+        slack: { type: 'slack', webhookUrl: `${stub.url}/slack` },
+        teams: { type: 'teams', webhookUrl: `${stub.url}/teams` },
+        webhook: {
+          type: 'webhook',
+          url: `${stub.url}/hook`,
+          headers: { Authorization: 'Bearer test' },
+        },
+        file: { type: 'file', dir: dropDir },
+      },
+      routing,
+      throttle: { enabled: false },
+    });
+  }
+
+  test('formats a failure notification per channel', async () => {
+    const manager = createManager();
+    const outcomes = await manager.sendFailureNotification(failingRun, failedTests);
+
+    expect(outcomes.map((outcome) => outcome.status)).toEqual(['sent', 'sent', 'sent', 'sent']);
+
+    const byPath = Object.fromEntries(stub.requests.map((request) => [request.path, request]));
+
+    const slack = byPath['/slack'].body;
+    expect(slack.text).toContain('6 Failed Tests');
+    expect(slack.blocks[0].type).toBe('header');
+    expect(JSON.stringify(slack.blocks)).toContain('Timeout &lt;5000ms&gt; exceeded');
+
+    const card = byPath['/teams'].body.attachments[0];
+    expect(card.contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.content.type).toBe('AdaptiveCard');
+    expect(card.content.body[0].style).toBe('attention');
+
+    const event = byPath['/hook'];
+    expect(event.headers.authorization).toBe('Bearer test');
+    expect(event.body).toMatchObject({
+      event: 'failure',
+      severity: 'critical',
+      results: { total: 10, failed: 6, passRate: 40 },
+      failedTests: [{ title: 'checkout > pays by card' }],
+    });
+
+    const files = fs.readdirSync(dropDir).sort();
+    expect(files).toHaveLength(2);
+    expect(files[0]).toMatch(/-failure-critical\.json$/);
+    expect(files[1]).toMatch(/-failure-critical\.txt$/);
+  });
+
+  test('routes by severity with a default fallback', async () => {
+    const manager = createManager({ critical: ['teams', 'webhook'], default: ['slack'] });
+
+    await manager.sendSummaryNotification(failingRun);
+    expect(stub.requests.map((request) => request.path).sort()).toEqual(['/hook', '/teams']);
+
+    stub.requests.length = 0;
+    await manager.sendSummaryNotification(passingRun);
+    expect(stub.requests.map((request) => request.path)).toEqual(['/slack']);
+    expect(fs.readdirSync(dropDir)).toHaveLength(0);
+  });
+
+  test('skips failure notifications for successful runs', async () => {
+    const manager = createManager();
+    expect(await manager.sendFailureNotification(passingRun)).toEqual([]);
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  test('routes significant trends as warnings', async () => {
+    const manager = createManager({ warning: ['webhook'], default: [] });
+    const trendAnalysis = {
+      totalRuns: 5,
+      trends: {
+        passRate: { current: 80, previous: 95, change: -15, trend: 'declining' },
+        duration: { current: 60000, previous: 50000, change: 10000, trend: 'increasing' },
+      },
+    };
+
+    await manager.sendTrendNotification(trendAnalysis);
+    expect(stub.requests).toHaveLength(1);
+    expect(stub.requests[0].body).toMatchObject({
+      event: 'trend',
+      severity: 'warning',
+      trends: { totalRuns: 5, passRate: { change: -15 } },
+    });
+  });
+
+  test('reports a failing channel without stopping the others', async () => {
+    const manager = new NotificationManager({
+      channels: {
+        broken: { type: 'webhook', url: `${stub.url}/broken` },
+        file: { type: 'file', dir: dropDir },
+      },
+      throttle: { enabled: false },
+    });
+
+    const outcomes = await manager.sendSummaryNotification(failingRun);
+    expect(outcomes).toEqual([
+      { channel: 'broken', status: 'failed', error: expect.stringContaining('HTTP 500') },
+      { channel: 'file', status: 'sent' },
+    ]);
+    expect(fs.readdirSync(dropDir)).toHaveLength(2);
+  });
+});
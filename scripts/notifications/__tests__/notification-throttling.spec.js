@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const NotificationManager = require('../NotificationManager');
+const { NotificationChannel } = require('../channels');
+
+// Keeps every context it is asked to send
+class RecordingChannel extends NotificationChannel {
+  constructor(name) {
+    super({ name });
+    this.sent = [];
+  }
+
+  format(context) {
+    return { kind: context.kind, subject: context.subject, escalated: context.escalated };
+  }
+
+  async deliver(message, context) {
+    this.sent.push(context);
+  }
+}
+RecordingChannel.type = 'recording';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2026-03-02T12:00:00Z');
+
+const run = (failed, suites = { checkout: { failed } }) => ({
+  total: 10,
+  passed: 10 - failed,
+  failed,
+  skipped: 0,
+  duration: 1000,
+  environments: {},
+  browsers: {},
+  suites,
+});
+
+describe('Notification throttling', () => {
+  let workDir;
+  let now;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-state-'));
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  // A fresh manager per run, as in CI, sharing the state file
+  function createManager(options = {}) {
+    const team = options.team || new RecordingChannel('team');
+    const oncall = options.oncall || new RecordingChannel('oncall');
+    const manager = new NotificationManager({
+      channels: { team, oncall },
+      routing: { escalated: ['oncall'], default: ['team'] },
+      throttle: { stateFile: path.join(workDir, 'state.json'), windowMinutes: 120 },
+      escalation: options.escalation || {},
+      quietHours: options.quietHours || null,
+    });
+    return { manager, team, oncall };
+  }
+
+  test('suppresses repeats within the window and sends a digest after it', async () => {
+    const team = new RecordingChannel('team');
+
+    await createManager({ team }).manager.sendFailureNotification(run(1));
+    now += HOUR;
+    const suppressed = await createManager({ team }).manager.sendFailureNotification(run(1));
+    now += 2 * HOUR;
+    await createManager({ team }).manager.sendFailureNotification(run(1));
+
+    expect(suppressed).toEqual([]);
+    expect(team.sent.map((context) => context.subject)).toEqual([
+      expect.stringContaining('Test Failures Detected'),
+      expect.stringContaining('Still Failing (3 runs)'),
+    ]);
+    expect(team.sent[1].streak).toEqual({
+      runs: 3,
+      since: '2026-03-02T12:00:00.000Z',
+      suppressedRuns: 1,
+    });
+  });
+
+  test('notifies again when the failing test set or severity changes', async () => {
+    const team = new RecordingChannel('team');
+
+    await createManager({ team }).manager.sendFailureNotification(run(1));
+    now += 10 * 60 * 1000;
+    await createManager({ team }).manager.sendFailureNotification(
+      run(1, { checkout: { failed: 0 }, search: { failed: 1 } })
+    );
+    now += 10 * 60 * 1000;
+    await createManager({ team }).manager.sendFailureNotification(
+      run(3, { checkout: { failed: 2 }, search: { failed: 1 } })
+    );
+
+    expect(team.sent.map((context) => context.severity)).toEqual(['minor', 'minor', 'warning']);
+  });
+
+  test('sends a recovery once and only for a notified failure', async () => {
+    const team = new RecordingChannel('team');
+
+    await createManager({ team }).manager.sendFailureNotification(run(1));
+    now += HOUR;
+    await createManager({ team }).manager.sendFailureNotification(run(0));
+    now += HOUR;
+    const again = await createManager({ team }).manager.sendFailureNotification(run(0));
+
+    expect(again).toEqual([]);
+    expect(team.sent.map((context) => context.kind)).toEqual(['failure', 'recovery']);
+    expect(team.sent[1].incident).toMatchObject({ severity: 'minor', runs: 1 });
+    expect(team.sent[1].subject).toContain('Tests Recovered');
+  });
+
+  test('escalates a long-running failure once, even inside the window', async () => {
+    const team = new RecordingChannel('team');
+    const oncall = new RecordingChannel('oncall');
+    const escalation = { afterRuns: 3 };
+
+    for (let i = 0; i < 4; i++) {
+      await createManager({ team, oncall, escalation }).manager.sendFailureNotification(run(1));
+      now += 10 * 60 * 1000;
+    }
+    await createManager({ team, oncall, escalation }).manager.sendFailureNotification(run(0));
+
+    expect(team.sent).toHaveLength(1);
+    expect(oncall.sent.map((context) => context.kind)).toEqual(['failure', 'recovery']);
+    expect(oncall.sent[0].subject).toMatch(/^\[Escalated\] 🔁 Still Failing \(3 runs\)/);
+  });
+
+  test('holds non-critical notifications during quiet hours', async () => {
+    const team = new RecordingChannel('team');
+    const quietHours = { start: '22:00', end: '07:00', timeZone: 'UTC' };
+
+    now = Date.parse('2026-03-02T23:30:00Z');
+    await createManager({ team, quietHours }).manager.sendFailureNotification(run(1));
+    now = Date.parse('2026-03-03T07:30:00Z');
+    await createManager({ team, quietHours }).manager.sendFailureNotification(run(1));
+    now = Date.parse('2026-03-03T23:00:00Z');
+    await createManager({ team, quietHours }).manager.sendFailureNotification(run(6));
+
+    expect(team.sent.map((context) => [context.severity, context.subject])).toEqual([
+      ['minor', expect.stringContaining('Still Failing (2 runs)')],
+      ['critical', expect.stringContaining('Test Failures Detected')],
+    ]);
+  });
+
+  test('puts the critical recipients first for escalated email', () => {
+    const { EmailChannel } = require('../channels');
+    const email = new EmailChannel({
+      recipients: {
+        failures: ['qa@example.com', 'lead@example.com'],
+        critical: ['lead@example.com', 'oncall@example.com'],
+      },
+    });
+
+    expect(email.recipientsFor(email.recipients.failures, { severity: 'minor' })).toEqual([
+      'qa@example.com',
+      'lead@example.com',
+    ]);
+    expect(
+      email.recipientsFor(email.recipients.failures, { severity: 'minor', escalated: true })
+    ).toEqual(['lead@example.com', 'oncall@example.com', 'qa@example.com']);
+  });
+});
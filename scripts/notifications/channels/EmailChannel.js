@@ -0,0 +1,120 @@
+/**
+ * Email Channel
+ * Sends the HTML/text notifications over SMTP with nodemailer. Summary and trend mails go to
+ * the summary recipients, failure and recovery mails to the failure recipients. Critical and
+ * escalated notifications put the critical recipients first.
+ */
+
+const NotificationChannel = require('./NotificationChannel');
+
+class EmailChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.smtp - nodemailer transport options
+   * @param {string} options.from - Sender address
+   * @param {Object} options.recipients - { summary: [], failures: [], critical: [] }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.smtp = options.smtp || {};
+    this.from = options.from || 'noreply@example.com';
+    this.recipients = {
+      summary: options.recipients?.summary || [],
+      failures: options.recipients?.failures || [],
+      critical: options.recipients?.critical || [],
+    };
+    this.transporter = null;
+  }
+
+  /**
+   * Create and verify the SMTP transporter
+   */
+  async initialize() {
+    try {
+      // Loaded here so the other channels work where nodemailer is not installed
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport(this.smtp);
+      await this.transporter.verify();
+      console.log('Email transporter initialized successfully');
+      return true;
+    } catch (error) {
+      console.warn('Failed to initialize email transporter:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * @param {string[]} list - Regular recipients for the notification kind
+   * @param {Object} context - Notification context
+   * @returns {string[]} Recipients, critical ones first for critical or escalated notifications
+   */
+  recipientsFor(list, { severity, route, escalated }) {
+    if (list.length === 0) return [];
+    const urgent = (route || severity) === 'critical' || escalated;
+    return urgent ? [...new Set([...this.recipients.critical, ...list])] : list;
+  }
+
+  async formatSummary(context) {
+    const { manager, results, trendAnalysis, severity, subject, text } = context;
+    const to = this.recipientsFor(this.recipients.summary, context);
+    if (to.length === 0) return null;
+
+    return {
+      to,
+      subject,
+      html: manager.generateSummaryHTML(results, trendAnalysis, severity),
+      text,
+      attachments: await manager.generateAttachments(results),
+    };
+  }
+
+  formatFailure(context) {
+    const { manager, results, failedTests, severity, subject, text, escalated } = context;
+    const to = this.recipientsFor(this.recipients.failures, context);
+    if (to.length === 0) return null;
+
+    return {
+      to,
+      subject,
+      html: manager.generateFailureHTML(results, failedTests, severity),
+      text,
+      priority: severity === 'critical' || escalated ? 'high' : 'normal',
+    };
+  }
+
+  formatRecovery(context) {
+    const { manager, results, incident, subject, text } = context;
+    const to = this.recipientsFor(this.recipients.failures, context);
+    if (to.length === 0) return null;
+
+    return { to, subject, html: manager.generateRecoveryHTML(results, incident), text };
+  }
+
+  formatTrend({ manager, trendAnalysis, subject, text }) {
+    if (this.recipients.summary.length === 0) return null;
+
+    return {
+      to: this.recipients.summary,
+      subject,
+      html: manager.generateTrendHTML(trendAnalysis),
+      text,
+    };
+  }
+
+  async deliver(message) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to: message.to.join(', '),
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments || [],
+      priority: message.priority || 'normal',
+    });
+    console.log(`Email sent to ${message.to.length} recipients:`, info.messageId);
+  }
+}
+
+EmailChannel.type = 'email';
+
+module.exports = EmailChannel;
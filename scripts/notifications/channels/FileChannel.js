@@ -0,0 +1,60 @@
+/**
+ * File Channel
+ * Drops every notification into a directory as <timestamp>-<kind>-<severity>.json (the event
+ * JSON) and a matching .txt (the plain-text body), for CI artifacts or a watcher to pick up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NotificationChannel = require('./NotificationChannel');
+
+class FileChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.dir - Drop directory (default reports/notifications)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.dir = options.dir || path.join('reports', 'notifications');
+  }
+
+  async initialize() {
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      return true;
+    } catch (error) {
+      console.warn(`${this.name} channel cannot use ${this.dir}: ${error.message}`);
+      return false;
+    }
+  }
+
+  formatSummary(context) {
+    return { event: NotificationChannel.toEvent(context), text: context.text };
+  }
+
+  formatFailure(context) {
+    return { event: NotificationChannel.toEvent(context), text: context.text };
+  }
+
+  formatTrend(context) {
+    return { event: NotificationChannel.toEvent(context), text: context.text };
+  }
+
+  formatRecovery(context) {
+    return { event: NotificationChannel.toEvent(context), text: context.text };
+  }
+
+  async deliver({ event, text }) {
+    const base = `${event.timestamp.replace(/[:.]/g, '-')}-${event.event}-${event.severity}`;
+    await fs.promises.writeFile(
+      path.join(this.dir, `${base}.json`),
+      JSON.stringify(event, null, 2)
+    );
+    await fs.promises.writeFile(path.join(this.dir, `${base}.txt`), text || '');
+    console.log(`📁 Notification written to ${path.join(this.dir, base)}.json`);
+  }
+}
+
+FileChannel.type = 'file';
+
+module.exports = FileChannel;
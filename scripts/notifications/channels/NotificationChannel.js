@@ -0,0 +1,201 @@
+/**
+ * Notification Channel
+ * Base class for NotificationManager delivery channels. A channel turns a notification context
+ * into its own message format (formatSummary, formatFailure, formatTrend, formatRecovery) and
+ * delivers it.
+ * A formatter returning null skips the channel for that notification, e.g. email without
+ * recipients.
+ *
+ * The context passed to every formatter:
+ *   { kind, severity, subject, text, results, failedTests, trendAnalysis, manager }
+ * plus, for throttled failures, `escalated` and `streak` ({ runs, since, suppressedRuns }), and
+ * for recoveries the closed `incident`.
+ * `manager` is the NotificationManager, for its shared HTML/text generators and helpers.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class NotificationChannel {
+  /**
+   * @param {Object} options - Channel options
+   * @param {string} options.name - Name used in routing rules (default: the channel type)
+   * @param {number} options.timeout - Delivery timeout in ms (default 10000)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.name = options.name || this.constructor.type;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Prepare the channel, e.g. verify a connection
+   * @returns {Promise<boolean>} False when the channel cannot be used
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Format and deliver a notification
+   * @param {Object} context - Notification context
+   * @returns {Promise<boolean>} False when the formatter skipped the notification
+   */
+  async send(context) {
+    const message = await this.format(context);
+    if (!message) return false;
+
+    await this.deliver(message, context);
+    return true;
+  }
+
+  /**
+   * @param {Object} context - Notification context
+   * @returns {Promise<Object|null>} Channel message
+   */
+  async format(context) {
+    switch (context.kind) {
+      case 'summary':
+        return this.formatSummary(context);
+      case 'failure':
+        return this.formatFailure(context);
+      case 'trend':
+        return this.formatTrend(context);
+      case 'recovery':
+        return this.formatRecovery(context);
+      default:
+        throw new Error(`Unknown notification kind "${context.kind}"`);
+    }
+  }
+
+  formatSummary() {
+    throw new Error(`${this.constructor.name} does not implement formatSummary`);
+  }
+
+  formatFailure() {
+    throw new Error(`${this.constructor.name} does not implement formatFailure`);
+  }
+
+  formatTrend() {
+    throw new Error(`${this.constructor.name} does not implement formatTrend`);
+  }
+
+  formatRecovery() {
+    throw new Error(`${this.constructor.name} does not implement formatRecovery`);
+  }
+
+  async deliver() {
+    throw new Error(`${this.constructor.name} does not implement deliver`);
+  }
+
+  /**
+   * Channel-neutral JSON description of a notification
+   * @param {Object} context - Notification context
+   * @returns {Object} Event payload
+   */
+  static toEvent(context) {
+    const { kind, severity, subject, results, failedTests, trendAnalysis, streak, incident } =
+      context;
+    const event = { event: kind, severity, subject, timestamp: new Date().toISOString() };
+
+    if (context.escalated) {
+      event.escalated = true;
+    }
+
+    if (results) {
+      event.results = {
+        total: results.total,
+        passed: results.passed,
+        failed: results.failed,
+        skipped: results.skipped,
+        duration: results.duration,
+        passRate: NotificationChannel.passRate(results),
+        environments: results.environments || {},
+        browsers: results.browsers || {},
+      };
+    }
+    if (failedTests?.length > 0) {
+      event.failedTests = failedTests.map(({ title, error }) => ({ title, error: error || null }));
+    }
+    if (trendAnalysis?.trends) {
+      event.trends = {
+        totalRuns: trendAnalysis.totalRuns,
+        passRate: trendAnalysis.trends.passRate,
+        duration: trendAnalysis.trends.duration,
+      };
+    }
+    if (streak) {
+      event.streak = streak;
+    }
+    if (incident) {
+      event.incident = {
+        fingerprint: incident.fingerprint,
+        severity: incident.severity,
+        since: incident.since,
+        runs: incident.runs,
+      };
+    }
+    return event;
+  }
+
+  /**
+   * @param {Object} results - Test execution results
+   * @returns {number} Pass rate in percent, one decimal
+   */
+  static passRate(results) {
+    return results.total > 0 ? Math.round((results.passed / results.total) * 1000) / 10 : 0;
+  }
+
+  /**
+   * POST a JSON body and fail on a non-2xx response
+   * @param {string} url - Target URL
+   * @param {Object} body - JSON body
+   * @param {Object} options - Options
+   * @param {Object} options.headers - Extra request headers
+   * @param {number} options.timeout - Timeout in ms
+   * @returns {Promise<Object>} { status, body }
+   */
+  static postJson(url, body, options = {}) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const data = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(
+        target,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(data),
+            ...options.headers,
+          },
+          timeout: options.timeout || DEFAULT_TIMEOUT_MS,
+        },
+        (response) => {
+          let text = '';
+          response.setEncoding('utf8');
+          response.on('data', (chunk) => (text += chunk));
+          response.on('end', () => {
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+              resolve({ status: response.statusCode, body: text });
+            } else {
+              reject(new Error(`HTTP ${response.statusCode} from ${target.host}: ${text}`));
+            }
+          });
+        }
+      );
+      request.on('timeout', () =>
+        request.destroy(new Error(`Timed out posting to ${target.host}`))
+      );
+      request.on('error', reject);
+      request.end(data);
+    });
+  }
+}
+
+NotificationChannel.type = 'channel';
+
+module.exports = NotificationChannel;
@@ -0,0 +1,181 @@
+/**
+ * Slack Channel
+ * Posts Block Kit messages to a Slack incoming webhook. Mattermost and Rocket.Chat accept the
+ * same payload; they fall back to the plain `text`.
+ */
+
+const NotificationChannel = require('./NotificationChannel');
+
+// Keeps the failed test list under Slack's 3000-character section text limit
+const MAX_FAILED_TESTS = 10;
+
+// Slack mrkdwn only needs &, < and > escaped
+const escapeMrkdwn = (value) =>
+  String(value ?? '').replace(
+    /[&<>]/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[char]
+  );
+
+const signOf = (value) => (value > 0 ? '+' : value < 0 ? '-' : '');
+
+const field = (label, value) => ({ type: 'mrkdwn', text: `*${label}*\n${escapeMrkdwn(value)}` });
+
+class SlackChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.webhookUrl - Incoming webhook URL
+   * @param {string} options.channel - Channel override, for webhooks that allow it
+   * @param {string} options.username - Bot name override
+   */
+  constructor(options = {}) {
+    super(options);
+    this.webhookUrl = options.webhookUrl;
+  }
+
+  async initialize() {
+    if (!this.webhookUrl) {
+      console.warn(`${this.name} channel has no webhook URL`);
+      return false;
+    }
+    return true;
+  }
+
+  message(subject, blocks) {
+    return {
+      text: subject,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: subject.slice(0, 150) } },
+        ...blocks,
+      ],
+      ...(this.options.channel ? { channel: this.options.channel } : {}),
+      ...(this.options.username ? { username: this.options.username } : {}),
+    };
+  }
+
+  formatSummary({ manager, results, trendAnalysis, subject }) {
+    const blocks = [
+      {
+        type: 'section',
+        fields: [
+          field('Total', results.total),
+          field('Passed', results.passed),
+          field('Failed', results.failed),
+          field('Skipped', results.skipped),
+          field('Pass Rate', `${NotificationChannel.passRate(results)}%`),
+          field('Duration', manager.formatDuration(results.duration)),
+        ],
+      },
+    ];
+
+    const environments = Object.entries(results.environments || {});
+    if (environments.length > 0) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: environments
+            .map(([env, stats]) => `• ${escapeMrkdwn(env)}: ${stats.passed}/${stats.total}`)
+            .join('\n'),
+        },
+      });
+    }
+    if (trendAnalysis?.trends) {
+      blocks.push({
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Pass rate ${trendAnalysis.trends.passRate.trend}, duration ${trendAnalysis.trends.duration.trend}`,
+          },
+        ],
+      });
+    }
+    return this.message(subject, blocks);
+  }
+
+  formatFailure({ results, failedTests = [], streak, subject }) {
+    const failureRate = results.total > 0 ? ((results.failed / results.total) * 100).toFixed(1) : 0;
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${results.failed} of ${results.total} tests failed* (${failureRate}%)`,
+        },
+      },
+    ];
+
+    if (failedTests.length > 0) {
+      const listed = failedTests.slice(0, MAX_FAILED_TESTS).map((test) => {
+        const error = test.error ? `\n    _${escapeMrkdwn(String(test.error).slice(0, 200))}_` : '';
+        return `• ${escapeMrkdwn(test.title)}${error}`;
+      });
+      if (failedTests.length > MAX_FAILED_TESTS) {
+        listed.push(`…and ${failedTests.length - MAX_FAILED_TESTS} more`);
+      }
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: listed.join('\n') } });
+    }
+    if (streak) {
+      blocks.push({
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Failing for ${streak.runs} consecutive runs since ${streak.since}`,
+          },
+        ],
+      });
+    }
+    return this.message(subject, blocks);
+  }
+
+  formatTrend({ manager, trendAnalysis, subject }) {
+    const { passRate, duration } = trendAnalysis.trends;
+
+    return this.message(subject, [
+      {
+        type: 'section',
+        fields: [
+          field(
+            'Pass Rate',
+            `${passRate.current.toFixed(1)}% (${signOf(passRate.change)}${Math.abs(passRate.change).toFixed(1)}%)`
+          ),
+          field(
+            'Duration',
+            `${manager.formatDuration(duration.current)} (${signOf(duration.change)}${manager.formatDuration(Math.abs(duration.change))})`
+          ),
+        ],
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `Based on ${trendAnalysis.totalRuns} test runs` }],
+      },
+    ]);
+  }
+
+  formatRecovery({ results, incident, subject }) {
+    return this.message(subject, [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*All ${results.passed} of ${results.total} tests passed* after ${incident.runs} failing run(s)`,
+        },
+      },
+      {
+        type: 'context',
+        elements: [
+          { type: 'mrkdwn', text: `${incident.severity} failure open since ${incident.since}` },
+        ],
+      },
+    ]);
+  }
+
+  async deliver(message) {
+    await NotificationChannel.postJson(this.webhookUrl, message, { timeout: this.timeout });
+  }
+}
+
+SlackChannel.type = 'slack';
+
+module.exports = SlackChannel;
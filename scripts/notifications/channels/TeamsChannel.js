@@ -0,0 +1,200 @@
+/**
+ * Microsoft Teams Channel
+ * Posts Adaptive Cards to a Teams incoming webhook or a Workflows "post to a channel when a
+ * webhook request is received" URL; both accept the message/attachments envelope.
+ */
+
+const NotificationChannel = require('./NotificationChannel');
+
+const MAX_FAILED_TESTS = 10;
+
+// Adaptive Card container styles per severity
+const SEVERITY_STYLES = {
+  critical: 'attention',
+  warning: 'warning',
+  minor: 'warning',
+  success: 'good',
+};
+
+const signOf = (value) => (value > 0 ? '+' : value < 0 ? '-' : '');
+
+class TeamsChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.webhookUrl - Incoming webhook or Workflows URL
+   */
+  constructor(options = {}) {
+    super(options);
+    this.webhookUrl = options.webhookUrl;
+  }
+
+  async initialize() {
+    if (!this.webhookUrl) {
+      console.warn(`${this.name} channel has no webhook URL`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Wrap card body elements in the webhook envelope
+   * @param {string} subject - Card title
+   * @param {string} severity - Severity level
+   * @param {Object[]} body - Adaptive Card elements
+   * @returns {Object} Webhook payload
+   */
+  card(subject, severity, body) {
+    return {
+      type: 'message',
+      attachments: [
+        {
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          contentUrl: null,
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            msteams: { width: 'Full' },
+            body: [
+              {
+                type: 'Container',
+                style: SEVERITY_STYLES[severity] || 'emphasis',
+                bleed: true,
+                items: [
+                  {
+                    type: 'TextBlock',
+                    text: subject,
+                    weight: 'Bolder',
+                    size: 'Medium',
+                    wrap: true,
+                  },
+                ],
+              },
+              ...body,
+            ],
+          },
+        },
+      ],
+    };
+  }
+
+  static facts(entries) {
+    return {
+      type: 'FactSet',
+      facts: entries.map(([title, value]) => ({ title, value: String(value) })),
+    };
+  }
+
+  formatSummary({ manager, results, trendAnalysis, severity, subject }) {
+    const body = [
+      TeamsChannel.facts([
+        ['Total', results.total],
+        ['Passed', results.passed],
+        ['Failed', results.failed],
+        ['Skipped', results.skipped],
+        ['Pass Rate', `${NotificationChannel.passRate(results)}%`],
+        ['Duration', manager.formatDuration(results.duration)],
+      ]),
+    ];
+
+    const environments = Object.entries(results.environments || {});
+    if (environments.length > 0) {
+      body.push(
+        { type: 'TextBlock', text: 'Results by Environment', weight: 'Bolder', spacing: 'Medium' },
+        TeamsChannel.facts(
+          environments.map(([env, stats]) => [env, `${stats.passed}/${stats.total}`])
+        )
+      );
+    }
+    if (trendAnalysis?.trends) {
+      body.push({
+        type: 'TextBlock',
+        text: `Pass rate ${trendAnalysis.trends.passRate.trend}, duration ${trendAnalysis.trends.duration.trend}`,
+        isSubtle: true,
+        wrap: true,
+      });
+    }
+    return this.card(subject, severity, body);
+  }
+
+  formatFailure({ results, failedTests = [], streak, severity, subject }) {
+    const failureRate = results.total > 0 ? ((results.failed / results.total) * 100).toFixed(1) : 0;
+    const body = [
+      {
+        type: 'TextBlock',
+        text: `**${results.failed} of ${results.total} tests failed** (${failureRate}%)`,
+        wrap: true,
+      },
+    ];
+
+    failedTests.slice(0, MAX_FAILED_TESTS).forEach((test) => {
+      body.push({ type: 'TextBlock', text: `- ${test.title}`, wrap: true, spacing: 'Small' });
+      if (test.error) {
+        body.push({
+          type: 'TextBlock',
+          text: String(test.error).slice(0, 300),
+          wrap: true,
+          isSubtle: true,
+          fontType: 'Monospace',
+          spacing: 'None',
+        });
+      }
+    });
+    if (failedTests.length > MAX_FAILED_TESTS) {
+      body.push({
+        type: 'TextBlock',
+        text: `…and ${failedTests.length - MAX_FAILED_TESTS} more`,
+        isSubtle: true,
+      });
+    }
+    if (streak) {
+      body.push({
+        type: 'TextBlock',
+        text: `Failing for ${streak.runs} consecutive runs since ${streak.since}`,
+        isSubtle: true,
+        wrap: true,
+      });
+    }
+    return this.card(subject, severity, body);
+  }
+
+  formatTrend({ manager, trendAnalysis, severity, subject }) {
+    const { passRate, duration } = trendAnalysis.trends;
+
+    return this.card(subject, severity, [
+      TeamsChannel.facts([
+        [
+          'Pass Rate',
+          `${passRate.current.toFixed(1)}% (${signOf(passRate.change)}${Math.abs(passRate.change).toFixed(1)}%, ${passRate.trend})`,
+        ],
+        [
+          'Duration',
+          `${manager.formatDuration(duration.current)} (${signOf(duration.change)}${manager.formatDuration(Math.abs(duration.change))}, ${duration.trend})`,
+        ],
+        ['Runs Analysed', trendAnalysis.totalRuns],
+      ]),
+    ]);
+  }
+
+  formatRecovery({ results, incident, severity, subject }) {
+    return this.card(subject, severity, [
+      {
+        type: 'TextBlock',
+        text: `**All ${results.passed} of ${results.total} tests passed** after ${incident.runs} failing run(s)`,
+        wrap: true,
+      },
+      TeamsChannel.facts([
+        ['Failure Severity', incident.severity],
+        ['Failing Since', incident.since],
+      ]),
+    ]);
+  }
+
+  async deliver(message) {
+    await NotificationChannel.postJson(this.webhookUrl, message, { timeout: this.timeout });
+  }
+}
+
+TeamsChannel.type = 'teams';
+
+module.exports = TeamsChannel;
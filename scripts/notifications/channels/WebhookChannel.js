@@ -0,0 +1,55 @@
+/**
+ * Webhook Channel
+ * Posts the channel-neutral event JSON (NotificationChannel.toEvent) to any HTTP endpoint,
+ * e.g. an incident tool or a team's own bot.
+ */
+
+const NotificationChannel = require('./NotificationChannel');
+
+class WebhookChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.url - Endpoint URL
+   * @param {Object} options.headers - Extra headers, e.g. { Authorization: 'Bearer ...' }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.url = options.url;
+    this.headers = options.headers || {};
+  }
+
+  async initialize() {
+    if (!this.url) {
+      console.warn(`${this.name} channel has no URL`);
+      return false;
+    }
+    return true;
+  }
+
+  formatSummary(context) {
+    return NotificationChannel.toEvent(context);
+  }
+
+  formatFailure(context) {
+    return NotificationChannel.toEvent(context);
+  }
+
+  formatTrend(context) {
+    return NotificationChannel.toEvent(context);
+  }
+
+  formatRecovery(context) {
+    return NotificationChannel.toEvent(context);
+  }
+
+  async deliver(message) {
+    await NotificationChannel.postJson(this.url, message, {
+      headers: this.headers,
+      timeout: this.timeout,
+    });
+  }
+}
+
+WebhookChannel.type = 'webhook';
+
+module.exports = WebhookChannel;
@@ -0,0 +1,79 @@
+/**
+ * Notification channel registry
+ */
+
+const NotificationChannel = require('./NotificationChannel');
+const EmailChannel = require('./EmailChannel');
+const SlackChannel = require('./SlackChannel');
+const TeamsChannel = require('./TeamsChannel');
+const WebhookChannel = require('./WebhookChannel');
+const FileChannel = require('./FileChannel');
+
+const CHANNEL_TYPES = {
+  [EmailChannel.type]: EmailChannel,
+  [SlackChannel.type]: SlackChannel,
+  [TeamsChannel.type]: TeamsChannel,
+  [WebhookChannel.type]: WebhookChannel,
+  [FileChannel.type]: FileChannel,
+};
+
+/**
+ * Make a custom channel type available to NotificationManager configs
+ * @param {string} type - Type name used in channel configs
+ * @param {Function} Channel - NotificationChannel subclass
+ */
+function registerChannelType(type, Channel) {
+  CHANNEL_TYPES[type] = Channel;
+}
+
+/**
+ * @param {string} name - Channel name used in routing rules
+ * @param {Object|NotificationChannel} config - Channel instance or { type, ...options };
+ *   type defaults to the name
+ * @returns {NotificationChannel} Channel
+ */
+function createChannel(name, config = {}) {
+  if (config instanceof NotificationChannel) return config;
+
+  const type = config.type || name;
+  const Channel = CHANNEL_TYPES[type];
+  if (!Channel) {
+    throw new Error(
+      `Unknown notification channel type "${type}". Known types: ${Object.keys(CHANNEL_TYPES).join(', ')}`
+    );
+  }
+  return new Channel({ ...config, name });
+}
+
+/**
+ * Channels configured through environment variables
+ * @returns {Object} Channel name → config
+ */
+function channelsFromEnv(env = process.env) {
+  const channels = {};
+  if (env.SLACK_WEBHOOK_URL) {
+    channels.slack = { type: 'slack', webhookUrl: env.SLACK_WEBHOOK_URL };
+  }
+  if (env.TEAMS_WEBHOOK_URL) {
+    channels.teams = { type: 'teams', webhookUrl: env.TEAMS_WEBHOOK_URL };
+  }
+  if (env.NOTIFICATION_WEBHOOK_URL) {
+    channels.webhook = { type: 'webhook', url: env.NOTIFICATION_WEBHOOK_URL };
+  }
+  if (env.NOTIFICATION_DROP_DIR) {
+    channels.file = { type: 'file', dir: env.NOTIFICATION_DROP_DIR };
+  }
+  return channels;
+}
+
+module.exports = {
+  NotificationChannel,
+  EmailChannel,
+  SlackChannel,
+  TeamsChannel,
+  WebhookChannel,
+  FileChannel,
+  registerChannelType,
+  createChannel,
+  channelsFromEnv,
+};
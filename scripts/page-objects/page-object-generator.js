@@ -0,0 +1,696 @@
+/**
+ * Page Object Generator
+ * Opens a live page with Playwright, inventories its landmarks, forms and interactive elements,
+ * and writes a BasePage subclass skeleton in the style of automated-tests/ui-tests/pages. It can
+ * also check an existing page object against the live page and report selectors that no longer
+ * match anything.
+ *
+ * Usage:
+ *   node scripts/page-objects/page-object-generator.js generate http://localhost:3000/cart
+ *   node scripts/page-objects/page-object-generator.js diff automated-tests/ui-tests/pages/ShoppingCartPage.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PAGES_DIR = path.join(__dirname, '..', '..', 'automated-tests', 'ui-tests', 'pages');
+const MAPPED_ATTRIBUTE = 'data-pom-mapped';
+
+// Order of sections in the generated selector map
+const SECTIONS = [
+  ['landmark', 'Page elements'],
+  ['form', 'Forms'],
+  ['field', 'Form fields'],
+  ['button', 'Buttons'],
+  ['link', 'Links'],
+  ['repeated', 'Repeated elements'],
+];
+
+const KIND_SUFFIXES = {
+  input: 'Input',
+  textarea: 'Input',
+  select: 'Select',
+  checkbox: 'Checkbox',
+  radio: 'Radio',
+  button: 'Button',
+  link: 'Link',
+  form: 'Form',
+  nav: 'Nav',
+  dialog: 'Modal',
+};
+
+/**
+ * Runs in the browser: describe every landmark, form and interactive element on the page.
+ * Must stay self-contained because Playwright serializes it.
+ */
+function collectInventory(mappedAttribute) {
+  const clean = (value) =>
+    String(value || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 60);
+  const quote = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const count = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch {
+      return 0;
+    }
+  };
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return (
+      rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none'
+    );
+  };
+  const labelOf = (element) => {
+    if (element.labels && element.labels.length > 0) {
+      return clean(element.labels[0].textContent).replace(/\s*\*$/, '');
+    }
+    return clean(
+      element.getAttribute('aria-label') ||
+        element.getAttribute('placeholder') ||
+        element.getAttribute('title')
+    );
+  };
+  const selectorFor = (element) => {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+    const testId = element.getAttribute('data-testid');
+    if (testId) candidates.push(`[data-testid="${quote(testId)}"]`);
+    if (element.id) candidates.push(`#${CSS.escape(element.id)}`);
+    if (element.getAttribute('name')) {
+      candidates.push(`${tag}[name="${quote(element.getAttribute('name'))}"]`);
+    }
+    if (tag === 'a' && element.getAttribute('href')) {
+      candidates.push(`a[href="${quote(element.getAttribute('href'))}"]`);
+    }
+
+    const unique = candidates.find((candidate) => count(candidate) === 1);
+    if (unique) return unique;
+    if (candidates.length > 0) return candidates[0];
+    if (count(tag) === 1) return tag;
+    const text = clean(element.textContent);
+    return text ? `${tag}:has-text("${quote(text)}")` : null;
+  };
+
+  const forms = [...document.querySelectorAll('form')];
+  const describe = (element, kind) => ({
+    kind,
+    tag: element.tagName.toLowerCase(),
+    type: element.getAttribute('type') || null,
+    role: element.getAttribute('role') || null,
+    testId: element.getAttribute('data-testid'),
+    id: element.id || null,
+    name: element.getAttribute('name'),
+    label: labelOf(element),
+    text: clean(element.textContent),
+    href: element.getAttribute('href'),
+    selector: selectorFor(element),
+    visible: isVisible(element),
+    form: element.form ? forms.indexOf(element.form) : forms.indexOf(element.closest('form')),
+    mapped: element.hasAttribute(mappedAttribute),
+  });
+
+  const landmarks = [
+    ...document.querySelectorAll(
+      'header, nav, main, footer, aside, h1, [role="banner"], [role="navigation"], [role="main"], [role="contentinfo"], [role="search"], [role="dialog"]'
+    ),
+  ].map((element) => describe(element, 'landmark'));
+
+  const interactive = [
+    ...document.querySelectorAll(
+      'a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [role="link"], [role="checkbox"], [role="tab"], [role="menuitem"]'
+    ),
+  ]
+    .map((element) => describe(element, 'interactive'))
+    // Hidden elements are only worth mapping when the app gave them a test hook (menus, modals)
+    .filter((item) => item.visible || item.testId);
+
+  return {
+    title: document.title,
+    forms: forms.map((form, index) => ({ ...describe(form, 'form'), form: index })),
+    elements: [...landmarks, ...interactive].filter((item) => item.selector),
+  };
+}
+
+class PageObjectGenerator {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.browser - chromium, firefox or webkit (default chromium)
+   * @param {string} options.baseUrl - Base URL for relative paths (default BASE_URL or localhost)
+   * @param {string} options.storageState - Playwright storage state file for logged-in pages
+   */
+  constructor(options = {}) {
+    this.browserName = options.browser || 'chromium';
+    this.baseUrl = options.baseUrl || process.env.BASE_URL || 'http://localhost:3000';
+    this.storageState = options.storageState;
+  }
+
+  resolveUrl(url) {
+    return new URL(url, this.baseUrl).toString();
+  }
+
+  /**
+   * Open a page in a fresh browser, run a callback and close the browser again
+   */
+  async withPage(url, callback) {
+    const playwright = require('@playwright/test');
+    const browser = await playwright[this.browserName].launch();
+    try {
+      const context = await browser.newContext(
+        this.storageState ? { storageState: this.storageState } : {}
+      );
+      const page = await context.newPage();
+      await page.goto(this.resolveUrl(url), { waitUntil: 'domcontentloaded' });
+      await page.waitForLoadState('networkidle').catch(() => {});
+      return await callback(page);
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Inventory the landmarks, forms and interactive elements of a live page
+   * @param {string} url - Absolute URL or path relative to the base URL
+   * @returns {Promise<Object>} { url, title, forms, elements }
+   */
+  async inventory(url) {
+    return this.withPage(url, async (page) => ({
+      url: page.url(),
+      ...(await page.evaluate(collectInventory, MAPPED_ATTRIBUTE)),
+    }));
+  }
+
+  /**
+   * Inventory a page and write a page object skeleton for it
+   * @param {string} url - Page URL
+   * @param {Object} options - Options
+   * @param {string} options.className - Class name (default derived from the URL path)
+   * @param {string} options.out - Output file (default pages/<ClassName>.js)
+   * @param {boolean} options.force - Overwrite an existing file
+   * @param {boolean} options.stdout - Print instead of writing
+   * @returns {Promise<Object>} { className, outputPath, code, inventory }
+   */
+  async generate(url, options = {}) {
+    const inventory = await this.inventory(url);
+    const className = options.className || PageObjectGenerator.classNameFor(inventory.url);
+    const code = await PageObjectGenerator.format(PageObjectGenerator.render(className, inventory));
+
+    if (options.stdout) return { className, outputPath: null, code, inventory };
+
+    const outputPath = options.out || path.join(PAGES_DIR, `${className}.js`);
+    if (fs.existsSync(outputPath) && !options.force) {
+      throw new Error(`${outputPath} already exists. Use --force to overwrite or diff to compare.`);
+    }
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, code);
+    return { className, outputPath, code, inventory };
+  }
+
+  /**
+   * Check an existing page object's selectors against the live page
+   * @param {string} pageObjectPath - Page object module
+   * @param {Object} options - Options
+   * @param {string} options.url - Page URL (default the page object's `url`)
+   * @returns {Promise<Object>} { className, url, matched, unmatched, invalid, unmapped }
+   */
+  async diff(pageObjectPath, options = {}) {
+    const PageClass = PageObjectGenerator.loadPageClass(pageObjectPath);
+
+    return this.withPage(options.url || PageObjectGenerator.peekUrl(PageClass), async (page) => {
+      const pageObject = new PageClass(page);
+      const matched = [];
+      const unmatched = [];
+      const invalid = [];
+
+      for (const [key, selector] of Object.entries(pageObject.selectors || {})) {
+        if (typeof selector !== 'string') continue;
+        try {
+          const locator = page.locator(selector);
+          const count = await locator.count();
+          if (count === 0) {
+            unmatched.push({ key, selector });
+          } else {
+            matched.push({ key, selector, count });
+            await locator.evaluateAll(
+              (elements, attribute) => elements.forEach((el) => el.setAttribute(attribute, '')),
+              MAPPED_ATTRIBUTE
+            );
+          }
+        } catch (error) {
+          invalid.push({ key, selector, error: error.message.split('\n')[0] });
+        }
+      }
+
+      const inventory = await page.evaluate(collectInventory, MAPPED_ATTRIBUTE);
+      const unmapped = PageObjectGenerator.dedupe(
+        inventory.elements.filter((item) => !item.mapped && item.testId)
+      );
+
+      return { className: PageClass.name, url: page.url(), matched, unmatched, invalid, unmapped };
+    });
+  }
+
+  /**
+   * Find the page object class exported by a module
+   */
+  static loadPageClass(pageObjectPath) {
+    const exported = require(path.resolve(pageObjectPath));
+    const candidates = typeof exported === 'function' ? [exported] : Object.values(exported);
+    const PageClass = candidates.find((value) => typeof value === 'function');
+    if (!PageClass) throw new Error(`No page object class exported by ${pageObjectPath}`);
+    return PageClass;
+  }
+
+  /**
+   * Read a page object's `url` without a browser
+   */
+  static peekUrl(PageClass) {
+    const stubPage = { on: () => {}, url: () => '' };
+    const url = new PageClass(stubPage).url;
+    if (!url) throw new Error(`${PageClass.name} has no url; pass --url`);
+    return url;
+  }
+
+  /**
+   * Class name for a page URL, e.g. /customer/account/login → LoginPage
+   */
+  static classNameFor(url) {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    const last = segments.filter((segment) => !/^\d+$/.test(segment)).pop() || 'home';
+    const name = PageObjectGenerator.pascalCase(last);
+    return name.endsWith('Page') ? name : `${name}Page`;
+  }
+
+  static words(value) {
+    return String(value || '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  static camelCase(value) {
+    const words = PageObjectGenerator.words(value);
+    const name = words
+      .map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+      .join('')
+      .replace(/^\d+/, '');
+    return name;
+  }
+
+  static pascalCase(value) {
+    const name = PageObjectGenerator.camelCase(value);
+    return name ? name[0].toUpperCase() + name.slice(1) : '';
+  }
+
+  /**
+   * Kind of control an inventoried element is, used for naming and for choosing its action
+   */
+  static controlOf(item) {
+    if (item.kind === 'form') return 'form';
+    if (item.kind === 'landmark') {
+      if (item.tag === 'nav' || item.role === 'navigation') return 'nav';
+      if (item.role === 'dialog') return 'dialog';
+      return 'landmark';
+    }
+    if (item.tag === 'select') return 'select';
+    if (item.tag === 'textarea') return 'textarea';
+    if (item.tag === 'input') {
+      if (['checkbox', 'radio'].includes(item.type)) return item.type;
+      if (['submit', 'button', 'reset', 'image'].includes(item.type)) return 'button';
+      return 'input';
+    }
+    if (item.tag === 'a' || item.role === 'link') return 'link';
+    return 'button';
+  }
+
+  /**
+   * Selector map key for an inventoried element, e.g. login-button → loginButton
+   */
+  static keyFor(item) {
+    const control = PageObjectGenerator.controlOf(item);
+    if (item.tag === 'h1') return 'pageTitle';
+    if (control === 'landmark' && !item.testId && !item.id) return item.role || item.tag;
+
+    const href = item.href && !item.href.startsWith('#') ? item.href.split('?')[0] : '';
+    const base =
+      PageObjectGenerator.camelCase(item.testId) ||
+      PageObjectGenerator.camelCase(item.id) ||
+      PageObjectGenerator.camelCase(item.name) ||
+      PageObjectGenerator.camelCase(item.label) ||
+      PageObjectGenerator.camelCase(item.text) ||
+      PageObjectGenerator.camelCase(href) ||
+      control;
+    const suffix = KIND_SUFFIXES[control];
+    if (!suffix || base.toLowerCase().endsWith(suffix.toLowerCase())) return base;
+    // `email-input` is already an Input, `login-btn` already a Button
+    if (control === 'button' && /(btn|button)$/i.test(base)) return base;
+    return `${base}${suffix}`;
+  }
+
+  /**
+   * Drop elements sharing a selector, keeping the first
+   */
+  static dedupe(items) {
+    const seen = new Set();
+    return items.filter((item) => {
+      if (seen.has(item.selector)) return false;
+      seen.add(item.selector);
+      return true;
+    });
+  }
+
+  /**
+   * Turn an inventory into named entries grouped by section
+   * @param {Object} inventory - Result of inventory()
+   * @returns {Array<Object>} `{ key, selector, section, control, item, formKey }`
+   */
+  static plan(inventory) {
+    const usedKeys = new Set();
+    const uniqueKey = (key) => {
+      let candidate = key;
+      for (let i = 2; usedKeys.has(candidate); i++) candidate = `${key}${i}`;
+      usedKeys.add(candidate);
+      return candidate;
+    };
+
+    const counts = new Map();
+    [...inventory.forms, ...inventory.elements].forEach((item) =>
+      counts.set(item.selector, (counts.get(item.selector) || 0) + 1)
+    );
+
+    const formKeys = new Map();
+    const entries = [];
+    const add = (item, section) => {
+      const control = PageObjectGenerator.controlOf(item);
+      const key = uniqueKey(PageObjectGenerator.keyFor(item));
+      if (control === 'form') formKeys.set(item.form, key);
+      entries.push({ key, selector: item.selector, section, control, item });
+    };
+
+    PageObjectGenerator.dedupe(
+      inventory.elements.filter((item) => item.kind === 'landmark')
+    ).forEach((item) => add(item, 'landmark'));
+    PageObjectGenerator.dedupe(inventory.forms).forEach((item) => add(item, 'form'));
+    PageObjectGenerator.dedupe(
+      inventory.elements.filter((item) => item.kind === 'interactive')
+    ).forEach((item) => {
+      const control = PageObjectGenerator.controlOf(item);
+      if (counts.get(item.selector) > 1) add(item, 'repeated');
+      else if (['input', 'textarea', 'select', 'checkbox', 'radio'].includes(control)) {
+        add(item, 'field');
+      } else add(item, control === 'link' ? 'link' : 'button');
+    });
+
+    return entries.map((entry) => ({
+      ...entry,
+      formKey: entry.section === 'form' ? null : formKeys.get(entry.item.form) || null,
+    }));
+  }
+
+  /**
+   * Render the page object source
+   * @param {string} className - Class name
+   * @param {Object} inventory - Result of inventory()
+   * @returns {string} JavaScript source
+   */
+  static render(className, inventory) {
+    const entries = PageObjectGenerator.plan(inventory);
+    const pageName = className.replace(/Page$/, '');
+    const readable = PageObjectGenerator.words(pageName).join(' ');
+    const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    const describeEntry = (entry) =>
+      PageObjectGenerator.words(entry.key).join(' ') +
+      (entry.item.label && !entry.item.testId ? ` ("${entry.item.label}")` : '');
+    const pathname = new URL(inventory.url).pathname;
+    const lines = [];
+
+    lines.push(
+      '/**',
+      ` * ${pageName.replace(/([a-z])([A-Z])/g, '$1 $2')} Page Object`,
+      ` * Generated from ${pathname} by scripts/page-objects/page-object-generator.js.`,
+      ' * Rename selectors and actions to match the domain and delete what the tests do not need.',
+      ' */',
+      '',
+      "const { BasePage } = require('./BasePage');",
+      '',
+      `class ${className} extends BasePage {`,
+      '  constructor(page) {',
+      '    super(page);',
+      '',
+      '    // Page URL',
+      `    this.url = ${quote(pathname)};`,
+      '',
+      '    // Page selectors',
+      '    this.selectors = {'
+    );
+
+    SECTIONS.forEach(([section, title]) => {
+      const sectionEntries = entries.filter((entry) => entry.section === section);
+      if (sectionEntries.length === 0) return;
+      if (lines[lines.length - 1] !== '    this.selectors = {') lines.push('');
+      lines.push(`      // ${title}`);
+      sectionEntries.forEach((entry) =>
+        lines.push(`      ${entry.key}: ${quote(entry.selector)},`)
+      );
+    });
+
+    lines.push(
+      '    };',
+      '  }',
+      '',
+      '  /**',
+      `   * Navigate to ${readable} page`,
+      '   */',
+      `  async navigateTo${className}() {`,
+      '    await this.navigateTo(this.url);',
+      '    await this.waitForPageLoad();',
+      '  }'
+    );
+
+    const method = (doc, signature, body) =>
+      lines.push(
+        '',
+        '  /**',
+        ...doc.map((line) => `   * ${line}`),
+        '   */',
+        `  async ${signature} {`,
+        ...body.map((line) => `    ${line}`),
+        '  }'
+      );
+    const pascal = (key) => key[0].toUpperCase() + key.slice(1);
+
+    entries
+      .filter((entry) => entry.section === 'field')
+      .forEach((entry) => {
+        const target = `this.selectors.${entry.key}`;
+        if (entry.control === 'select') {
+          method(
+            [
+              `Select ${describeEntry(entry)}`,
+              '@param {string|object} option - Option value, label, or index',
+            ],
+            `select${pascal(entry.key)}(option)`,
+            [`await this.selectOption(${target}, option);`]
+          );
+        } else if (['checkbox', 'radio'].includes(entry.control)) {
+          method([`Click ${describeEntry(entry)}`], `click${pascal(entry.key)}()`, [
+            `await this.clickElement(${target});`,
+          ]);
+        } else {
+          method(
+            [`Fill ${describeEntry(entry)}`, '@param {string} value - Value to enter'],
+            `fill${pascal(entry.key)}(value)`,
+            [`await this.fillInput(${target}, value);`]
+          );
+        }
+      });
+
+    entries
+      .filter((entry) => entry.section === 'form')
+      .forEach((form) => {
+        const fields = entries.filter(
+          (entry) => entry.section === 'field' && entry.formKey === form.key
+        );
+        if (fields.length === 0) return;
+        const body = [];
+        fields.forEach((field) => {
+          const action =
+            field.control === 'select'
+              ? `select${pascal(field.key)}`
+              : ['checkbox', 'radio'].includes(field.control)
+                ? `click${pascal(field.key)}`
+                : `fill${pascal(field.key)}`;
+          const argument = ['checkbox', 'radio'].includes(field.control) ? '' : `data.${field.key}`;
+          const condition = ['checkbox', 'radio'].includes(field.control)
+            ? `data.${field.key}`
+            : `data.${field.key} !== undefined`;
+          body.push(`if (${condition}) {`, `  await this.${action}(${argument});`, '}');
+        });
+        method(
+          [
+            `Fill ${describeEntry(form)}`,
+            `@param {object} data - Values keyed by selector name (${fields.map((f) => f.key).join(', ')})`,
+          ],
+          `fill${pascal(form.key)}(data = {})`,
+          body
+        );
+      });
+
+    entries
+      .filter((entry) => ['button', 'link'].includes(entry.section) && entry.item.visible)
+      .forEach((entry) =>
+        method([`Click ${describeEntry(entry)}`], `click${pascal(entry.key)}()`, [
+          `await this.clickElement(this.selectors.${entry.key});`,
+        ])
+      );
+
+    // Visible landmarks and forms prove the page rendered
+    const loadedChecks = entries.filter(
+      (entry) => ['landmark', 'form'].includes(entry.section) && entry.item.visible
+    );
+    method(
+      [`Validate ${readable} page is loaded`],
+      `validate${className}Loaded()`,
+      loadedChecks.length > 0
+        ? loadedChecks.map(
+            (entry) => `await this.validateElementVisible(this.selectors.${entry.key});`
+          )
+        : [`await this.validateUrlContains(this.url);`]
+    );
+
+    lines.push('}', '', `module.exports = { ${className} };`, '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Format generated code with the repo's Prettier config when Prettier is installed
+   */
+  static async format(code) {
+    try {
+      const prettier = require('prettier');
+      const config = await prettier.resolveConfig(path.join(PAGES_DIR, 'BasePage.js'));
+      return await prettier.format(code, { ...config, parser: 'babel' });
+    } catch {
+      return code;
+    }
+  }
+}
+
+function parseArgs(argv) {
+  const options = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      options._.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split('=');
+    if (inline !== undefined) options[key] = inline;
+    else if (argv[i + 1] && !argv[i + 1].startsWith('--')) options[key] = argv[++i];
+    else options[key] = true;
+  }
+  return options;
+}
+
+function printDiff(result) {
+  console.log(`\n🔎 ${result.className} against ${result.url}`);
+  console.log(`   ✅ ${result.matched.length} selectors match`);
+
+  if (result.unmatched.length > 0) {
+    console.log(`   ❌ ${result.unmatched.length} selectors match nothing:`);
+    result.unmatched.forEach(({ key, selector }) => console.log(`      ${key}: ${selector}`));
+    console.log('      (Elements that only render after an interaction show up here too.)');
+  }
+  if (result.invalid.length > 0) {
+    console.log(`   ⚠️  ${result.invalid.length} selectors are invalid:`);
+    result.invalid.forEach(({ key, selector, error }) =>
+      console.log(`      ${key}: ${selector} (${error})`)
+    );
+  }
+  if (result.unmapped.length > 0) {
+    console.log(`   ➕ ${result.unmapped.length} elements with test ids are not mapped:`);
+    result.unmapped.forEach((item) =>
+      console.log(`      ${PageObjectGenerator.keyFor(item)}: ${item.selector}`)
+    );
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._.shift();
+
+  if (args.help || !command || command === 'help') {
+    console.log(`
+Page Object Generator
+
+Usage:
+  node scripts/page-objects/page-object-generator.js generate <url> [--name <ClassName>] [--out <file>]
+  node scripts/page-objects/page-object-generator.js diff <page-object.js> [--url <url>]
+
+Options:
+  --name <ClassName>       Class name (default derived from the URL, e.g. /cart → CartPage)
+  --out <file>             Output file (default automated-tests/ui-tests/pages/<ClassName>.js)
+  --force                  Overwrite an existing output file
+  --stdout                 Print the page object instead of writing it
+  --url <url>              Page to diff against (default the page object's url)
+  --json <file>            Also write the diff result as JSON
+  --fail-on-stale          Exit 1 when the diff finds selectors that match nothing
+  --browser <name>         chromium, firefox or webkit (default chromium)
+  --base-url <url>         Base URL for relative paths (default BASE_URL or http://localhost:3000)
+  --storage-state <file>   Playwright storage state for pages behind a login
+`);
+    process.exit(0);
+  }
+
+  const generator = new PageObjectGenerator({
+    browser: args.browser,
+    baseUrl: args['base-url'],
+    storageState: args['storage-state'],
+  });
+
+  (async () => {
+    if (command === 'generate') {
+      if (!args._[0]) throw new Error('generate needs a URL');
+      const result = await generator.generate(args._[0], {
+        className: args.name,
+        out: args.out,
+        force: Boolean(args.force),
+        stdout: Boolean(args.stdout),
+      });
+      if (result.outputPath) {
+        console.log(
+          `✅ Wrote ${result.className} to ${result.outputPath} (${result.inventory.elements.length} elements, ${result.inventory.forms.length} forms)`
+        );
+      } else {
+        process.stdout.write(result.code);
+      }
+      return 0;
+    }
+
+    if (command === 'diff') {
+      if (!args._[0]) throw new Error('diff needs a page object file');
+      const result = await generator.diff(args._[0], { url: args.url });
+      printDiff(result);
+      if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(result, null, 2));
+        console.log(`📄 Diff written to ${args.json}`);
+      }
+      return args['fail-on-stale'] && result.unmatched.length + result.invalid.length > 0 ? 1 : 0;
+    }
+
+    throw new Error(`Unknown command: ${command}. Use generate or diff.`);
+  })()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error('❌ Page object generator failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = PageObjectGenerator;
+module.exports.collectInventory = collectInventory;
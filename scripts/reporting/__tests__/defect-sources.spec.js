@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadDefects, summarizeDefects } = require('../defect-sources');
+
+// Bug report filled in from manual-tests/bug-report-template.md and closed as fixed
+const CLOSED_REPORT = `# Bug Report: Promo code applied twice at checkout
+
+## Bug Information
+- **Bug ID**: BUG-CHK-002
+- **Bug Title**: Promo code applied twice at checkout
+- **Reporter**: QA Team
+- **Date Reported**: 2026-03-02
+- **Last Updated**: 2026-03-09
+
+## Classification
+- **Severity**: Major
+- **Priority**: P2
+- **Bug Type**: Functional
+- **Component**: Checkout
+- **Status**: Verified
+
+## Environment Details
+- **Browser**: Chrome 122
+- **Test Environment**: Production
+
+## Additional Notes
+- **Status**: Reopened once during regression
+
+## Closure Information
+- **Resolution**: Fixed
+- **Closed Date**: 2026-03-09
+- **Closed By**: Release Manager
+`;
+
+// Open report that still has the template's placeholders for the unknown fields
+const OPEN_REPORT = `# Bug Report: Search results flicker on mobile
+
+## Bug Information
+- **Bug ID**: BUG-UI-007
+- **Date Reported**: 2026-03-05
+
+## Classification
+- **Severity**: [Critical | High | Medium | Low]
+- **Bug Type**: UI
+- **Component**: Search
+- **Status**: In Progress
+
+## Environment Details
+- **Test Environment**: Staging
+
+## Closure Information
+- **Resolution**: [Pending]
+- **Closed Date**: [YYYY-MM-DD]
+`;
+
+describe('Defect sources', () => {
+  let workDir;
+  let bugReports;
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defect-sources-'));
+    bugReports = path.join(workDir, 'bug-reports');
+    fs.mkdirSync(bugReports);
+    fs.writeFileSync(path.join(bugReports, 'BUG-CHK-002-promo-applied-twice.md'), CLOSED_REPORT);
+    fs.writeFileSync(path.join(bugReports, 'BUG-UI-007-search-flicker.md'), OPEN_REPORT);
+    // Only BUG-*.md files are bug reports
+    fs.writeFileSync(path.join(bugReports, 'bug-report-index.md'), '# Index\n- **Bug ID**: X\n');
+  });
+
+  afterAll(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('parses severity, status and dates from BUG-*.md reports', async () => {
+    const { defects, sources } = await loadDefects(`markdown:${bugReports}`);
+
+    expect(sources).toEqual([{ name: `markdown:${bugReports}`, count: 2, error: null }]);
+    expect(defects).toEqual([
+      {
+        id: 'BUG-CHK-002',
+        title: 'Promo code applied twice at checkout',
+        severity: 'high',
+        priority: 'P2',
+        type: 'functional',
+        component: 'Checkout',
+        status: 'closed',
+        closed: true,
+        resolution: 'fixed',
+        environment: 'Production',
+        reportedAt: '2026-03-02',
+        closedAt: '2026-03-09',
+        source: `markdown:${bugReports}`,
+      },
+      expect.objectContaining({
+        id: 'BUG-UI-007',
+        // The title falls back to the heading
+        title: 'Search results flicker on mobile',
+        severity: 'unknown',
+        type: 'ui',
+        status: 'in-progress',
+        closed: false,
+        resolution: null,
+        reportedAt: '2026-03-05',
+        closedAt: null,
+      }),
+    ]);
+  });
+
+  test('merges tracker exports and reports failing sources without throwing', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const csv = path.join(workDir, 'jira.csv');
+    fs.writeFileSync(
+      csv,
+      [
+        'Issue key,Summary,Priority,Issue Type,Status,Resolution,Created,Resolved',
+        'SHOP-1,Cart total off by a cent,Blocker,Bug,Done,Done,2026-03-01,2026-03-04',
+      ].join('\n')
+    );
+    const missing = path.join(workDir, 'missing.json');
+
+    const { defects, sources } = await loadDefects([`markdown:${bugReports}`, csv, missing]);
+
+    expect(defects.map((defect) => [defect.id, defect.status])).toEqual([
+      ['BUG-CHK-002', 'closed'],
+      ['BUG-UI-007', 'in-progress'],
+      ['SHOP-1', 'closed'],
+    ]);
+    expect(sources.map((source) => [source.name, source.count])).toEqual([
+      [`markdown:${bugReports}`, 2],
+      [`csv:${csv}`, 1],
+      [`json:${missing}`, 0],
+    ]);
+    expect(sources[2].error).toMatch(/ENOENT/);
+  });
+
+  test('summarizes resolution time, open age and escapes from the parsed dates', async () => {
+    const { defects } = await loadDefects(`markdown:${bugReports}`);
+
+    const metrics = summarizeDefects(defects, {
+      testCaseCount: 4,
+      now: new Date('2026-03-15T00:00:00Z'),
+    });
+
+    expect(metrics).toMatchObject({
+      total: 2,
+      open: 1,
+      closed: 1,
+      averageResolutionTime: 7,
+      averageOpenAge: 10,
+      defectDensity: 0.5,
+      escapeRate: 50,
+    });
+    expect(metrics.severity).toMatchObject({ high: 1, unknown: 1 });
+    expect(metrics.openDefects.map((defect) => defect.id)).toEqual(['BUG-UI-007']);
+  });
+});
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const RunComparison = require('../run-comparison');
+
+/**
+ * Playwright JSON report with one chromium result per test
+ * @param {Object<string, { status: string, duration?: number }>} tests - Results by title
+ */
+function playwrightReport(tests) {
+  return {
+    config: {},
+    stats: { startTime: '2026-03-02T12:00:00.000Z', duration: 4000 },
+    suites: [
+      {
+        title: 'ui-tests/shop.spec.js',
+        file: 'ui-tests/shop.spec.js',
+        specs: Object.entries(tests).map(([title, { status, duration = 1000 }]) => ({
+          title,
+          file: 'ui-tests/shop.spec.js',
+          tests: [
+            {
+              projectName: 'chromium',
+              status: { passed: 'expected', failed: 'unexpected', skipped: 'skipped' }[status],
+              results:
+                status === 'skipped'
+                  ? []
+                  : [
+                      {
+                        retry: 0,
+                        status,
+                        duration,
+                        ...(status === 'failed' ? { error: { message: 'expected banner' } } : {}),
+                      },
+                    ],
+            },
+          ],
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * k6 summary of one test type
+ * @param {string} testType - Test type
+ * @param {number} p95 - Request duration p95 (ms)
+ */
+function k6Summary(testType, p95) {
+  return {
+    generatedAt: '2026-03-02T12:10:00.000Z',
+    testType,
+    metrics: { total_requests: 1000, error_rate: 0, http_req_duration: { avg: p95 / 2, p95 } },
+    duration_seconds: 60,
+    thresholds: { ok: true },
+    status: 'PASS',
+  };
+}
+
+/**
+ * SARIF log with one result per rule
+ * @param {Object<string, string>} levels - SARIF level by rule id
+ */
+function sarifLog(levels) {
+  return {
+    version: '2.1.0',
+    runs: [
+      {
+        tool: { driver: { name: 'ZAP' } },
+        results: Object.entries(levels).map(([ruleId, level]) => ({
+          ruleId,
+          level,
+          message: { text: `${ruleId} finding` },
+          locations: [{ physicalLocation: { artifactLocation: { uri: '/checkout' } } }],
+        })),
+      },
+    ],
+  };
+}
+
+describe('Run comparison', () => {
+  let workDir;
+  let baseline;
+  let current;
+
+  const write = (dir, file, data) =>
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data, null, 2));
+  const compare = (options = {}) =>
+    new RunComparison({
+      baseline: [baseline],
+      current: [current],
+      outputDir: path.join(workDir, 'comparison'),
+      ...options,
+    }).compare();
+  // Keys end in the test title and the Playwright project
+  const titles = (list) =>
+    list.map((entry) => entry.key.split(' › ').pop().replace(' [chromium]', ''));
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-comparison-'));
+    baseline = path.join(workDir, 'baseline');
+    current = path.join(workDir, 'current');
+    fs.mkdirSync(baseline);
+    fs.mkdirSync(current);
+
+    write(
+      baseline,
+      'playwright-results.json',
+      playwrightReport({
+        'logs in': { status: 'passed' },
+        'rejects a bad password': { status: 'failed' },
+        'adds to cart': { status: 'passed' },
+        'checks out': { status: 'passed', duration: 1000 },
+        searches: { status: 'passed', duration: 1000 },
+        'applies a promo code': { status: 'passed', duration: 100 },
+      })
+    );
+    write(
+      current,
+      'playwright-results.json',
+      playwrightReport({
+        'logs in': { status: 'failed' },
+        'rejects a bad password': { status: 'passed' },
+        'adds to cart': { status: 'skipped' },
+        // +50% and +500ms
+        'checks out': { status: 'passed', duration: 1500 },
+        // +10% and +100ms
+        searches: { status: 'passed', duration: 1100 },
+        // +100% but only +100ms
+        'applies a promo code': { status: 'passed', duration: 200 },
+      })
+    );
+
+    write(baseline, 'load-summary.json', k6Summary('load', 400));
+    write(baseline, 'smoke-summary.json', k6Summary('smoke', 100));
+    // +25% and +100ms
+    write(current, 'load-summary.json', k6Summary('load', 500));
+    // +30% but only +30ms
+    write(current, 'smoke-summary.json', k6Summary('smoke', 130));
+
+    write(baseline, 'zap-report.sarif.json', sarifLog({ 'csp-missing': 'warning' }));
+    write(
+      current,
+      'zap-report.sarif.json',
+      sarifLog({ 'csp-missing': 'warning', 'sql-injection': 'error', 'cookie-flags': 'note' })
+    );
+  });
+
+  afterAll(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('reports newly failing, passing and skipped tests', async () => {
+    const { tests, summary } = await compare();
+
+    expect(titles(tests.newlyFailing)).toEqual(['logs in']);
+    expect(tests.newlyFailing[0]).toMatchObject({
+      before: 'passed',
+      after: 'failed',
+      error: 'expected banner',
+    });
+    expect(titles(tests.newlyPassing)).toEqual(['rejects a bad password']);
+    expect(titles(tests.newlySkipped)).toEqual(['adds to cart']);
+    expect(summary).toMatchObject({ added: 0, removed: 0 });
+  });
+
+  test('counts duration changes above both the percentage and the millisecond threshold', async () => {
+    const { tests } = await compare();
+
+    expect(tests.durationChanges).toEqual([
+      expect.objectContaining({ before: 1000, after: 1500, delta: 500, change: 50 }),
+    ]);
+    expect(titles(tests.durationChanges)).toEqual(['checks out']);
+
+    const lenient = await compare({ durationThreshold: 60 });
+    expect(lenient.tests.durationChanges).toEqual([]);
+
+    const strict = await compare({ durationThreshold: 5, minDurationDelta: 50 });
+    expect(titles(strict.tests.durationChanges)).toEqual([
+      'applies a promo code',
+      'checks out',
+      'searches',
+    ]);
+  });
+
+  test('flags endpoint latency regressions above both limits', async () => {
+    const { endpoints, summary } = await compare();
+
+    expect(endpoints.map((endpoint) => [endpoint.metric, endpoint.before, endpoint.after])).toEqual(
+      [
+        ['p95', 400, 500],
+        ['p95', 100, 130],
+      ]
+    );
+    expect(endpoints[0]).toMatchObject({ delta: 100, change: 25, regressed: true });
+    expect(endpoints[1]).toMatchObject({ delta: 30, change: 30, regressed: false });
+    expect(summary.latencyRegressions).toBe(1);
+
+    const { endpoints: relaxed } = await compare({ latencyThreshold: 30 });
+    expect(relaxed.filter((endpoint) => endpoint.regressed)).toEqual([]);
+  });
+
+  test('fails the gate only on new findings at or above the severity cut-off', async () => {
+    const comparison = await compare({ failOn: ['findings'] });
+
+    expect(comparison.findings.new.map((finding) => [finding.rule, finding.severity])).toEqual([
+      ['sql-injection', 'high'],
+      ['cookie-flags', 'low'],
+    ]);
+    expect(comparison.findings.resolved).toEqual([]);
+    expect(comparison.gate).toEqual({
+      status: 'fail',
+      checks: ['findings'],
+      reasons: ['1 new high+ severity findings'],
+    });
+
+    const critical = await compare({ failOn: ['findings'], findingSeverity: 'critical' });
+    expect(critical.gate.status).toBe('pass');
+
+    const low = await compare({ failOn: ['findings'], findingSeverity: 'low' });
+    expect(low.gate.reasons).toEqual(['2 new low+ severity findings']);
+  });
+
+  test('fails the gate on missing, unreadable or empty inputs', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = path.join(workDir, 'broken');
+    const empty = path.join(workDir, 'empty');
+    fs.mkdirSync(broken);
+    fs.mkdirSync(empty);
+    fs.writeFileSync(path.join(broken, 'playwright-results.json'), '{ "suites": [');
+
+    const missing = await compare({ current: [path.join(workDir, 'nonexistent.json')] });
+    expect(missing.summary.newlyFailing).toBe(0);
+    expect(missing.gate.status).toBe('fail');
+    expect(missing.gate.reasons).toEqual([
+      '1 current result inputs missing or unreadable',
+      'No tests in the current results',
+    ]);
+
+    const unreadable = await compare({ baseline: [broken], failOn: ['failures'] });
+    expect(unreadable.gate.reasons).toEqual([
+      '1 baseline result inputs missing or unreadable',
+      'No tests in the baseline results',
+      '1 newly failing tests',
+    ]);
+
+    // Without the failures check an input without tests is fine; unreadable inputs never are
+    expect((await compare({ current: [empty], failOn: ['latency'] })).gate.status).toBe('pass');
+    expect((await compare({ baseline: [broken], failOn: ['latency'] })).gate.reasons).toEqual([
+      '1 baseline result inputs missing or unreadable',
+    ]);
+    expect((await compare({ current: [broken], failOn: [] })).gate.status).toBe('pass');
+  });
+
+  test('gates on every check by default and writes the reports', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const comparison = await new RunComparison({
+      baseline: [baseline],
+      current: [current],
+      outputDir: path.join(workDir, 'comparison'),
+    }).generate();
+
+    expect(comparison.gate.status).toBe('fail');
+    expect(comparison.gate.reasons).toEqual([
+      '1 newly failing tests',
+      '1 endpoints slower by ≥20% and ≥50ms',
+      '1 new high+ severity findings',
+    ]);
+    expect(fs.existsSync(path.join(workDir, 'comparison', 'comparison.json'))).toBe(true);
+    expect(fs.readFileSync(path.join(workDir, 'comparison', 'comparison.html'), 'utf8')).toContain(
+      'Gate failed'
+    );
+    await expect(new RunComparison({ baseline: [baseline] }).compare()).rejects.toThrow(
+      'Both a baseline and a current result set are required'
+    );
+  });
+});
@@ -1,15 +1,60 @@
 /**
  * API Performance Report Generator
- * Generates comprehensive reports for API performance and backend monitoring
+ * Generates comprehensive reports for API performance and backend monitoring. Every API call
+ * in the report was really made:
+ * - ApiPerformanceMonitor measurements saved by the Playwright API specs in
+ *   reports/performance/api/
+ * - Request timings from newman JSON reporter exports (run.executions) and api-test-runner
+ *   summaries in test-results/api/ and reports/
+ * Inputs that are missing are flagged in the report instead of being filled in.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { newmanUrl, endpointOf } = require('../results/ingesters/newman');
+
+const DEFAULT_INPUTS = {
+  playwright: process.env.API_PERF_RESULTS_DIR || path.join('reports', 'performance', 'api'),
+  newman: [path.join('test-results', 'api'), 'reports'],
+};
+
+const INPUT_HINTS = {
+  playwright:
+    'Run npm run test:api; the API specs save ApiPerformanceMonitor measurements after each test',
+  newman: 'Run newman with the json reporter, e.g. node scripts/api-tests/api-test-runner.js',
+};
+
+// Fewer calls than this are not worth a correlation or variance verdict
+const MIN_CORRELATION_SAMPLES = 3;
+// Standard deviation above this share of the mean marks an endpoint as inconsistent, unless the
+// spread is too small in absolute terms to matter
+const VARIATION_WARNING = 0.5;
+const MIN_VARIATION_MS = 100;
+const LARGE_RESPONSE_BYTES = 100 * 1024;
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
 
 class ApiPerformanceReportGenerator {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.resultsDir - ApiPerformanceMonitor results (default
+   *   API_PERF_RESULTS_DIR or reports/performance/api)
+   * @param {string[]} options.newmanDirs - Directories with newman JSON exports
+   *   (default test-results/api and reports)
+   */
+  constructor(options = {}) {
+    this.inputs = {
+      playwright: options.resultsDir || DEFAULT_INPUTS.playwright,
+      newman: options.newmanDirs?.length ? options.newmanDirs : DEFAULT_INPUTS.newman,
+    };
     this.reportData = {
       timestamp: new Date().toISOString(),
+      sources: {},
+      missingInputs: [],
       apiTests: [],
       backendMetrics: {},
       performanceBaselines: {
@@ -28,12 +73,13 @@ class ApiPerformanceReportGenerator {
 
   /**
    * Generate comprehensive API performance report
+   * @returns {Promise<Object>} Report data
    */
   async generateReport() {
     console.log('🚀 Generating API Performance Report...');
 
-    // Generate mock API performance data
-    this.generateMockApiData();
+    this.loadMonitorResults();
+    this.loadNewmanResults();
 
     // Calculate backend metrics
     this.calculateBackendMetrics();
@@ -45,108 +91,250 @@ class ApiPerformanceReportGenerator {
     await this.generateHTMLReport();
     await this.generateApiJSON();
 
+    this.reportData.missingInputs.forEach(({ source, location }) =>
+      console.warn(`⚠️  No ${source} API results found in ${location}`)
+    );
     console.log('✅ API Performance Report Generated Successfully!');
     console.log(`📄 HTML Report: reports/api-performance-report.html`);
     console.log(`📊 API Data: reports/api-performance-data.json`);
+    return this.reportData;
   }
 
   /**
-   * Generate mock API performance data
+   * @param {string} dir - Directory to list
+   * @param {Function} filter - File name filter
+   * @returns {string[]} Matching files, or [] when the directory does not exist
    */
-  generateMockApiData() {
-    this.reportData.apiTests = [
-      {
-        testSuite: 'API Performance Tests',
-        tests: [
-          {
-            name: 'GET /posts',
-            duration: 245,
-            status: 200,
-            responseSize: 15420,
-            threshold: 500,
-            passed: true,
-            category: 'READ_MULTIPLE',
-          },
-          {
-            name: 'GET /users',
-            duration: 189,
-            status: 200,
-            responseSize: 5240,
-            threshold: 500,
-            passed: true,
-            category: 'READ_MULTIPLE',
-          },
-          {
-            name: 'POST /posts',
-            duration: 456,
-            status: 201,
-            responseSize: 156,
-            threshold: 600,
-            passed: true,
-            category: 'CREATE',
-          },
-          {
-            name: 'PUT /posts/1',
-            duration: 423,
-            status: 200,
-            responseSize: 142,
-            threshold: 600,
-            passed: true,
-            category: 'UPDATE',
-          },
-          {
-            name: 'DELETE /posts/1',
-            duration: 234,
-            status: 200,
-            responseSize: 0,
-            threshold: 400,
-            passed: true,
-            category: 'DELETE',
-          },
-        ],
-      },
-      {
-        testSuite: 'Backend Monitoring Tests',
-        tests: [
-          {
-            name: 'Health Check - Single Resource',
-            duration: 167,
-            status: 200,
-            responseSize: 292,
-            threshold: 300,
-            passed: true,
-            category: 'HEALTH_CHECK',
-          },
-          {
-            name: 'Load Test - 10 Concurrent Users',
-            duration: 892,
-            status: 200,
-            responseSize: 45600,
-            threshold: 1000,
-            passed: true,
-            category: 'LOAD_TEST',
-          },
-          {
-            name: 'Error Handling - 404',
-            duration: 123,
-            status: 404,
-            responseSize: 0,
-            threshold: 300,
-            passed: true,
-            category: 'ERROR_HANDLING',
-          },
-          {
-            name: 'Large Dataset - Comments',
-            duration: 756,
-            status: 200,
-            responseSize: 125000,
-            threshold: 1000,
-            passed: true,
-            category: 'LARGE_DATASET',
-          },
-        ],
-      },
-    ];
+  static listFiles(dir, filter) {
+    try {
+      return fs
+        .readdirSync(dir)
+        .filter(filter)
+        .map((name) => path.join(dir, name))
+        .filter((file) => fs.statSync(file).isFile())
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Record how an input was loaded and flag it when it produced no API calls
+   */
+  recordSource(source, { location, files, calls, errors }) {
+    this.reportData.sources[source] = {
+      location,
+      status: calls > 0 ? 'LOADED' : 'MISSING',
+      files: files.length,
+      calls,
+      errors,
+    };
+    if (calls === 0) {
+      this.reportData.missingInputs.push({
+        source,
+        location,
+        reason: files.length > 0 ? 'no API calls in the result files' : 'no result files',
+        hint: INPUT_HINTS[source],
+      });
+    }
+  }
+
+  /**
+   * Load measurements saved by ApiPerformanceMonitor.save(), one suite per spec describe
+   */
+  loadMonitorResults() {
+    const location = this.inputs.playwright;
+    const files = ApiPerformanceReportGenerator.listFiles(location, (name) =>
+      name.endsWith('.json')
+    );
+    const errors = [];
+    const suites = new Map();
+    let calls = 0;
+
+    files.forEach((file) => {
+      try {
+        const result = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!result.test || !Array.isArray(result.measurements)) {
+          throw new Error('not an ApiPerformanceMonitor result');
+        }
+        const suite = suites.get(result.test.suite) || [];
+        result.measurements.forEach((measurement) =>
+          suite.push(ApiPerformanceReportGenerator.fromMeasurement(measurement, result.test))
+        );
+        suites.set(result.test.suite, suite);
+        calls += result.measurements.length;
+      } catch (error) {
+        errors.push(`${file}: ${error.message}`);
+      }
+    });
+
+    suites.forEach((tests, testSuite) =>
+      this.reportData.apiTests.push({ testSuite, source: 'playwright', tests })
+    );
+    this.recordSource('playwright', { location, files, calls, errors });
+  }
+
+  /**
+   * @param {Object} measurement - ApiPerformanceMonitor measurement
+   * @param {Object} test - Test that made the call
+   * @returns {Object} API call
+   */
+  static fromMeasurement(measurement, test) {
+    const call = {
+      name: measurement.operationName,
+      test: test.title,
+      method: measurement.method || 'GET',
+      url: measurement.url || null,
+      duration: measurement.duration,
+      status: measurement.status,
+      responseSize: measurement.responseSize ?? null,
+      threshold: measurement.threshold ?? null,
+      passed: Boolean(measurement.passed),
+      error: measurement.error,
+      timestamp: measurement.timestamp,
+    };
+    call.endpoint = ApiPerformanceReportGenerator.endpointOf(call);
+    call.category = measurement.category || ApiPerformanceReportGenerator.categorize(call);
+    return call;
+  }
+
+  /**
+   * Load request timings from newman. JSON reporter exports are used as they are; an
+   * api-test-runner summary only counts when its run has no JSON export next to it.
+   */
+  loadNewmanResults() {
+    const location = this.inputs.newman.join(', ');
+    const files = this.inputs.newman.flatMap((dir) =>
+      ApiPerformanceReportGenerator.listFiles(
+        dir,
+        (name) => name.endsWith('-results.json') || name.endsWith('-summary.json')
+      )
+    );
+    const exported = new Set(
+      files
+        .filter((file) => file.endsWith('-results.json'))
+        .map((file) => file.replace(/-results\.json$/, ''))
+    );
+    const errors = [];
+    const usedFiles = [];
+    let calls = 0;
+
+    files.forEach((file) => {
+      if (file.endsWith('-summary.json') && exported.has(file.replace(/-summary\.json$/, ''))) {
+        return;
+      }
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        errors.push(`${file}: ${error.message}`);
+        return;
+      }
+
+      // Other tools write *-results.json and *-summary.json too; only newman runs count
+      const suite = ApiPerformanceReportGenerator.fromNewman(data);
+      if (!suite) return;
+      usedFiles.push(file);
+      if (suite.tests.length === 0) return;
+      this.reportData.apiTests.push(suite);
+      calls += suite.tests.length;
+    });
+
+    this.recordSource('newman', { location, files: usedFiles, calls, errors });
+  }
+
+  /**
+   * @param {Object} data - newman JSON reporter export or api-test-runner summary
+   * @returns {Object|null} Suite of API calls, or null when the file is not a newman run
+   */
+  static fromNewman(data) {
+    let name;
+    let requests;
+
+    if (Array.isArray(data.run?.executions)) {
+      name = data.collection?.info?.name || 'Newman';
+      requests = data.run.executions.map((execution) => ({
+        name: execution.item?.name,
+        method: execution.request?.method,
+        url: ApiPerformanceReportGenerator.newmanUrl(execution.request?.url),
+        status: execution.response?.code ?? 'error',
+        responseTime: execution.response?.responseTime,
+        responseSize: execution.response?.responseSize,
+        failedAssertions: (execution.assertions || []).filter((assertion) => assertion.error)
+          .length,
+      }));
+    } else if (data.collection && Array.isArray(data.requests) && data.stats) {
+      name = data.collection;
+      requests = data.requests.map((request) => ({
+        ...request,
+        failedAssertions: (request.assertions || []).filter((assertion) => !assertion.passed)
+          .length,
+      }));
+    } else {
+      return null;
+    }
+
+    const tests = requests
+      .filter((request) => typeof request.responseTime === 'number')
+      .map((request) => {
+        const call = {
+          name: request.name,
+          test: name,
+          method: (request.method || 'GET').toUpperCase(),
+          url: request.url || null,
+          duration: request.responseTime,
+          status: request.status,
+          responseSize: request.responseSize ?? null,
+          threshold: null,
+          passed: typeof request.status === 'number' && request.failedAssertions === 0,
+        };
+        call.endpoint = ApiPerformanceReportGenerator.endpointOf(call);
+        call.category = ApiPerformanceReportGenerator.categorize(call);
+        // Postman collections carry no timing limits, so the category baseline applies
+        call.threshold = ApiPerformanceReportGenerator.getCategoryBaseline(call.category) ?? null;
+        call.passed = call.passed && (call.threshold === null || call.duration <= call.threshold);
+        return call;
+      });
+
+    return { testSuite: `Newman: ${name}`, source: 'newman', tests };
+  }
+
+  /**
+   * @param {string|Object} url - newman request URL (string or Postman Url JSON)
+   * @returns {string|null} URL string
+   */
+  static newmanUrl(url) {
+    return newmanUrl(url);
+  }
+
+  /**
+   * Endpoint key for grouping: method and path with numeric ids replaced, e.g. GET /posts/:id
+   * @param {Object} call - API call
+   * @returns {string} Endpoint
+   */
+  static endpointOf(call) {
+    return endpointOf(call);
+  }
+
+  /**
+   * Category for a call that was not given one: errors, then method, then payload shape
+   * @param {Object} call - API call with method, status, url and responseSize
+   * @returns {string} Category with a baseline in getCategoryBaseline
+   */
+  static categorize(call) {
+    if (typeof call.status !== 'number' || call.status >= 400) return 'ERROR_HANDLING';
+    switch (call.method) {
+      case 'POST':
+        return 'CREATE';
+      case 'PUT':
+      case 'PATCH':
+        return 'UPDATE';
+      case 'DELETE':
+        return 'DELETE';
+      default:
+        if (call.responseSize >= LARGE_RESPONSE_BYTES) return 'LARGE_DATASET';
+        return call.endpoint.endsWith('/:id') ? 'READ_SINGLE' : 'READ_MULTIPLE';
+    }
   }
 
   /**
@@ -154,30 +342,52 @@ class ApiPerformanceReportGenerator {
    */
   calculateBackendMetrics() {
     const allTests = this.reportData.apiTests.flatMap((suite) => suite.tests);
+    if (allTests.length === 0) {
+      this.reportData.backendMetrics = {
+        overall: null,
+        byCategory: {},
+        byEndpoint: {},
+        throughput: null,
+        reliability: null,
+        efficiency: null,
+        sizeCorrelation: null,
+      };
+      return;
+    }
 
-    // Group by category
-    const categories = {};
-    allTests.forEach((test) => {
-      if (!categories[test.category]) {
-        categories[test.category] = [];
-      }
-      categories[test.category].push(test);
-    });
+    // Group by category and endpoint
+    const group = (key) =>
+      allTests.reduce((groups, test) => {
+        (groups[test[key]] = groups[test[key]] || []).push(test);
+        return groups;
+      }, {});
 
     // Calculate metrics for each category
     this.reportData.backendMetrics = {
       overall: this.calculateMetricsForTests(allTests),
       byCategory: {},
+      byEndpoint: {},
     };
 
-    Object.entries(categories).forEach(([category, tests]) => {
-      this.reportData.backendMetrics.byCategory[category] = this.calculateMetricsForTests(tests);
+    Object.entries(group('category')).forEach(([category, tests]) => {
+      const metrics = this.calculateMetricsForTests(tests);
+      const baseline = ApiPerformanceReportGenerator.getCategoryBaseline(category) ?? null;
+      this.reportData.backendMetrics.byCategory[category] = {
+        ...metrics,
+        baseline,
+        withinBaseline: baseline === null ? null : metrics.averageDuration <= baseline,
+      };
+    });
+
+    Object.entries(group('endpoint')).forEach(([endpoint, tests]) => {
+      this.reportData.backendMetrics.byEndpoint[endpoint] = this.calculateMetricsForTests(tests);
     });
 
     // Calculate additional backend-specific metrics
     this.reportData.backendMetrics.throughput = this.calculateThroughput(allTests);
     this.reportData.backendMetrics.reliability = this.calculateReliability(allTests);
     this.reportData.backendMetrics.efficiency = this.calculateEfficiency(allTests);
+    this.reportData.backendMetrics.sizeCorrelation = this.calculateSizeCorrelation(allTests);
   }
 
   /**
@@ -185,19 +395,29 @@ class ApiPerformanceReportGenerator {
    */
   calculateMetricsForTests(tests) {
     const durations = tests.map((t) => t.duration);
-    const responseSizes = tests.map((t) => t.responseSize);
+    const responseSizes = tests
+      .map((t) => t.responseSize)
+      .filter((size) => typeof size === 'number');
+    const average = durations.reduce((a, b) => a + b, 0) / durations.length;
+    const variance = this.calculateVariance(durations);
 
     return {
       count: tests.length,
-      averageDuration: Math.round(durations.reduce((a, b) => a + b, 0) / durations.length),
+      averageDuration: Math.round(average),
       minDuration: Math.min(...durations),
       maxDuration: Math.max(...durations),
+      medianDuration: this.calculatePercentile(durations, 50),
+      p90Duration: this.calculatePercentile(durations, 90),
       p95Duration: this.calculatePercentile(durations, 95),
       p99Duration: this.calculatePercentile(durations, 99),
+      variance,
+      standardDeviation: Math.round(Math.sqrt(variance)),
+      coefficientOfVariation: average > 0 ? +(Math.sqrt(variance) / average).toFixed(2) : 0,
       successRate: ((tests.filter((t) => t.passed).length / tests.length) * 100).toFixed(1),
-      averageResponseSize: Math.round(
-        responseSizes.reduce((a, b) => a + b, 0) / responseSizes.length
-      ),
+      averageResponseSize:
+        responseSizes.length > 0
+          ? Math.round(responseSizes.reduce((a, b) => a + b, 0) / responseSizes.length)
+          : null,
       totalDataTransferred: responseSizes.reduce((a, b) => a + b, 0),
     };
   }
@@ -208,7 +428,10 @@ class ApiPerformanceReportGenerator {
   calculateThroughput(tests) {
     const totalDuration = tests.reduce((sum, test) => sum + test.duration, 0);
     const totalRequests = tests.length;
-    const totalDataTransferred = tests.reduce((sum, test) => sum + test.responseSize, 0);
+    const totalDataTransferred = tests.reduce((sum, test) => sum + (test.responseSize || 0), 0);
+    if (totalDuration === 0) {
+      return { requestsPerSecond: null, bytesPerSecond: null, averageRequestsPerSecond: null };
+    }
 
     return {
       requestsPerSecond: Math.round((totalRequests / totalDuration) * 1000),
@@ -218,12 +441,13 @@ class ApiPerformanceReportGenerator {
   }
 
   /**
-   * Calculate reliability metrics
+   * Calculate reliability metrics. Calls without an HTTP status (timeouts, connection errors)
+   * count against availability.
    */
   calculateReliability(tests) {
     const successfulTests = tests.filter((t) => t.passed);
     const errorTests = tests.filter((t) => t.status >= 400 && t.status < 500);
-    const serverErrorTests = tests.filter((t) => t.status >= 500);
+    const serverErrorTests = tests.filter((t) => typeof t.status !== 'number' || t.status >= 500);
 
     return {
       successRate: ((successfulTests.length / tests.length) * 100).toFixed(2),
@@ -237,7 +461,8 @@ class ApiPerformanceReportGenerator {
    * Calculate efficiency metrics
    */
   calculateEfficiency(tests) {
-    const validTests = tests.filter((t) => t.responseSize > 0);
+    const validTests = tests.filter((t) => t.responseSize > 0 && t.duration > 0);
+    if (validTests.length === 0) return null;
     const efficiencyScores = validTests.map((t) => t.responseSize / t.duration);
 
     return {
@@ -250,6 +475,39 @@ class ApiPerformanceReportGenerator {
     };
   }
 
+  /**
+   * Pearson correlation between response size and duration, plus the latency each extra KB
+   * costs (least-squares slope)
+   * @returns {Object|null} { samples, correlation, msPerKB } or null without enough sized calls
+   */
+  calculateSizeCorrelation(tests) {
+    const sized = tests.filter((t) => typeof t.responseSize === 'number');
+    if (sized.length < MIN_CORRELATION_SAMPLES) return null;
+
+    const sizes = sized.map((t) => t.responseSize / 1024);
+    const durations = sized.map((t) => t.duration);
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+    const sizeMean = mean(sizes);
+    const durationMean = mean(durations);
+
+    let covariance = 0;
+    let sizeSquares = 0;
+    let durationSquares = 0;
+    sizes.forEach((size, i) => {
+      covariance += (size - sizeMean) * (durations[i] - durationMean);
+      sizeSquares += (size - sizeMean) ** 2;
+      durationSquares += (durations[i] - durationMean) ** 2;
+    });
+    // All calls returned the same size or took the same time: nothing to correlate
+    if (sizeSquares === 0 || durationSquares === 0) return null;
+
+    return {
+      samples: sized.length,
+      correlation: +(covariance / Math.sqrt(sizeSquares * durationSquares)).toFixed(2),
+      msPerKB: +(covariance / sizeSquares).toFixed(2),
+    };
+  }
+
   /**
    * Generate API performance recommendations
    */
@@ -257,6 +515,12 @@ class ApiPerformanceReportGenerator {
     const recommendations = [];
     const metrics = this.reportData.backendMetrics.overall;
 
+    // Nothing was measured, so there is nothing to recommend; the report lists missing inputs
+    if (!metrics) {
+      this.reportData.recommendations = recommendations;
+      return;
+    }
+
     if (parseFloat(metrics.successRate) < 95) {
       recommendations.push({
         priority: 'HIGH',
@@ -292,12 +556,11 @@ class ApiPerformanceReportGenerator {
     // Category-specific recommendations
     Object.entries(this.reportData.backendMetrics.byCategory).forEach(
       ([category, categoryMetrics]) => {
-        const baseline = this.getCategoryBaseline(category);
-        if (baseline && categoryMetrics.averageDuration > baseline) {
+        if (categoryMetrics.withinBaseline === false) {
           recommendations.push({
             priority: 'LOW',
             category: 'Category Performance',
-            issue: `${category} operations averaging ${categoryMetrics.averageDuration}ms (baseline: ${baseline}ms)`,
+            issue: `${category} operations averaging ${categoryMetrics.averageDuration}ms (baseline: ${categoryMetrics.baseline}ms)`,
             recommendation: `Optimize ${category.toLowerCase()} operations specifically`,
             impact: 'Category-specific performance improvement opportunity',
           });
@@ -305,6 +568,35 @@ class ApiPerformanceReportGenerator {
       }
     );
 
+    Object.entries(this.reportData.backendMetrics.byEndpoint).forEach(
+      ([endpoint, endpointMetrics]) => {
+        if (
+          endpointMetrics.count >= MIN_CORRELATION_SAMPLES &&
+          endpointMetrics.coefficientOfVariation > VARIATION_WARNING &&
+          endpointMetrics.standardDeviation >= MIN_VARIATION_MS
+        ) {
+          recommendations.push({
+            priority: 'MEDIUM',
+            category: 'Consistency',
+            issue: `${endpoint} response times vary widely (${endpointMetrics.minDuration}-${endpointMetrics.maxDuration}ms, std dev ${endpointMetrics.standardDeviation}ms)`,
+            recommendation: 'Look for cold caches, lock contention or uneven upstream latency',
+            impact: 'Unpredictable latency for some requests',
+          });
+        }
+      }
+    );
+
+    const correlation = this.reportData.backendMetrics.sizeCorrelation;
+    if (correlation && correlation.correlation >= 0.7) {
+      recommendations.push({
+        priority: 'MEDIUM',
+        category: 'Payload Size',
+        issue: `Response time grows with payload size (r=${correlation.correlation}, ${correlation.msPerKB}ms per KB)`,
+        recommendation: 'Paginate or compress large responses and trim unused fields',
+        impact: 'Large responses are noticeably slower',
+      });
+    }
+
     if (recommendations.length === 0) {
       recommendations.push({
         priority: 'LOW',
@@ -321,8 +613,9 @@ class ApiPerformanceReportGenerator {
   /**
    * Get baseline for category
    */
-  getCategoryBaseline(category) {
+  static getCategoryBaseline(category) {
     const baselines = {
+      READ_SINGLE: 300,
       READ_MULTIPLE: 500,
       CREATE: 600,
       UPDATE: 600,
@@ -351,7 +644,12 @@ class ApiPerformanceReportGenerator {
    */
   generateApiHTML() {
     const data = this.reportData;
-    const metrics = data.backendMetrics.overall;
+    // Without measurements every figure renders as n/a
+    const metrics = data.backendMetrics.overall || {};
+    const backend = data.backendMetrics;
+    const show = (value, unit = '') =>
+      value === null || value === undefined ? 'n/a' : `${value}${unit}`;
+    const kb = (bytes) => (typeof bytes === 'number' ? `${Math.round(bytes / 1024)}KB` : 'n/a');
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -388,6 +686,12 @@ class ApiPerformanceReportGenerator {
         .rec-priority.high { background: #ef4444; }
         .rec-priority.medium { background: #f59e0b; }
         .rec-priority.low { background: #10b981; }
+        .missing-inputs { background: #fffbeb; border: 1px solid #f59e0b; padding: 20px 25px; border-radius: 12px; margin-bottom: 30px; }
+        .missing-inputs ul { margin: 10px 0 0 20px; }
+        .endpoints { background: white; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.05); margin-bottom: 30px; overflow-x: auto; }
+        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+        th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e2e8f0; font-size: 0.9em; }
+        th { color: #64748b; font-weight: 600; }
         @media (max-width: 768px) {
             .charts-section { grid-template-columns: 1fr; }
             .metrics-overview { grid-template-columns: 1fr; }
@@ -402,37 +706,83 @@ class ApiPerformanceReportGenerator {
             <p><small>Generated: ${new Date().toLocaleString()}</small></p>
         </div>
 
+        ${
+          data.missingInputs.length > 0
+            ? `
+        <div class="missing-inputs">
+            <h3>⚠️ Missing Inputs</h3>
+            <p>No data was substituted for these sources.</p>
+            <ul>
+                ${data.missingInputs
+                  .map(
+                    (input) =>
+                      `<li><strong>${input.source}</strong>: ${input.reason} in <code>${escapeHtml(input.location)}</code>. ${escapeHtml(input.hint)}</li>`
+                  )
+                  .join('')}
+            </ul>
+        </div>`
+            : ''
+        }
+
         <div class="metrics-overview">
             <div class="metric-card">
                 <h3>Average Response Time</h3>
-                <div class="metric-value">${metrics.averageDuration}ms</div>
+                <div class="metric-value">${show(metrics.averageDuration, 'ms')}</div>
                 <div class="metric-label">Across all API calls</div>
             </div>
             <div class="metric-card">
                 <h3>Success Rate</h3>
-                <div class="metric-value">${metrics.successRate}%</div>
+                <div class="metric-value">${show(metrics.successRate, '%')}</div>
                 <div class="metric-label">API reliability</div>
             </div>
             <div class="metric-card">
                 <h3>Throughput</h3>
-                <div class="metric-value">${data.backendMetrics.throughput.requestsPerSecond}</div>
+                <div class="metric-value">${show(backend.throughput?.requestsPerSecond)}</div>
                 <div class="metric-label">Requests per second</div>
             </div>
             <div class="metric-card">
                 <h3>95th Percentile</h3>
-                <div class="metric-value">${metrics.p95Duration}ms</div>
+                <div class="metric-value">${show(metrics.p95Duration, 'ms')}</div>
                 <div class="metric-label">Response time</div>
             </div>
             <div class="metric-card">
                 <h3>Data Transfer</h3>
-                <div class="metric-value">${Math.round(metrics.totalDataTransferred / 1024)}KB</div>
+                <div class="metric-value">${kb(metrics.totalDataTransferred)}</div>
                 <div class="metric-label">Total transferred</div>
             </div>
             <div class="metric-card">
                 <h3>Availability</h3>
-                <div class="metric-value">${data.backendMetrics.reliability.availability}%</div>
+                <div class="metric-value">${show(backend.reliability?.availability, '%')}</div>
                 <div class="metric-label">System uptime</div>
             </div>
+            <div class="metric-card">
+                <h3>Size/Latency Correlation</h3>
+                <div class="metric-value">${show(backend.sizeCorrelation?.correlation)}</div>
+                <div class="metric-label">${backend.sizeCorrelation ? `${backend.sizeCorrelation.msPerKB}ms per KB over ${backend.sizeCorrelation.samples} calls` : 'Not enough calls with a response size'}</div>
+            </div>
+        </div>
+
+        <div class="endpoints">
+            <h2>🔗 Endpoints</h2>
+            <table>
+                <tr><th>Endpoint</th><th>Calls</th><th>Median</th><th>p90</th><th>p95</th><th>p99</th><th>Std Dev</th><th>Avg Size</th><th>Success</th></tr>
+                ${Object.entries(backend.byEndpoint)
+                  .map(
+                    ([endpoint, stats]) => `
+                <tr>
+                    <td>${escapeHtml(endpoint)}</td>
+                    <td>${stats.count}</td>
+                    <td>${stats.medianDuration}ms</td>
+                    <td>${stats.p90Duration}ms</td>
+                    <td>${stats.p95Duration}ms</td>
+                    <td>${stats.p99Duration}ms</td>
+                    <td>${stats.standardDeviation}ms</td>
+                    <td>${kb(stats.averageResponseSize)}</td>
+                    <td>${stats.successRate}%</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>
         </div>
 
         <div class="charts-section">
@@ -452,16 +802,16 @@ class ApiPerformanceReportGenerator {
               .map(
                 (suite) => `
                 <div class="test-suite">
-                    <h3>${suite.testSuite}</h3>
+                    <h3>${escapeHtml(suite.testSuite)}</h3>
                     ${suite.tests
                       .map(
                         (test) => `
                         <div class="test-item ${test.passed ? '' : 'failed'}">
-                            <div class="test-name">${test.name}</div>
+                            <div class="test-name">${escapeHtml(test.name)} <small>${escapeHtml(test.endpoint)}</small></div>
                             <div class="test-metrics">
                                 <span>${test.duration}ms</span>
-                                <span>${test.status}</span>
-                                <span>${Math.round(test.responseSize / 1024)}KB</span>
+                                <span>${escapeHtml(test.status)}</span>
+                                <span>${kb(test.responseSize)}</span>
                                 <span>${test.passed ? '✅' : '❌'}</span>
                             </div>
                         </div>
@@ -476,13 +826,14 @@ class ApiPerformanceReportGenerator {
 
         <div class="recommendations">
             <h2>💡 Performance Recommendations</h2>
+            ${data.recommendations.length === 0 ? '<p>No recommendations: no API calls were loaded.</p>' : ''}
             ${data.recommendations
               .map(
                 (rec) => `
                 <div class="recommendation ${rec.priority.toLowerCase()}">
                     <div class="rec-priority ${rec.priority.toLowerCase()}">${rec.priority}</div>
-                    <div><strong>${rec.category}:</strong> ${rec.issue}</div>
-                    <div><strong>Recommendation:</strong> ${rec.recommendation}</div>
+                    <div><strong>${rec.category}:</strong> ${escapeHtml(rec.issue)}</div>
+                    <div><strong>Recommendation:</strong> ${escapeHtml(rec.recommendation)}</div>
                     <div><strong>Impact:</strong> ${rec.impact}</div>
                 </div>
             `
@@ -500,7 +851,7 @@ class ApiPerformanceReportGenerator {
                 labels: ['Min', 'Average', '95th %ile', '99th %ile', 'Max'],
                 datasets: [{
                     label: 'Response Time (ms)',
-                    data: [${metrics.minDuration}, ${metrics.averageDuration}, ${metrics.p95Duration}, ${metrics.p99Duration}, ${metrics.maxDuration}],
+                    data: ${JSON.stringify([metrics.minDuration, metrics.averageDuration, metrics.p95Duration, metrics.p99Duration, metrics.maxDuration].map((value) => value ?? null))},
                     backgroundColor: ['#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#7c3aed'],
                     borderRadius: 6
                 }]
@@ -516,11 +867,9 @@ class ApiPerformanceReportGenerator {
         new Chart(categoryCtx, {
             type: 'doughnut',
             data: {
-                labels: [${Object.keys(data.backendMetrics.byCategory)
-                  .map((k) => `'${k}'`)
-                  .join(', ')}],
+                labels: ${JSON.stringify(Object.keys(backend.byCategory))},
                 datasets: [{
-                    data: [${Object.values(data.backendMetrics.byCategory)
+                    data: [${Object.values(backend.byCategory)
                       .map((v) => v.averageDuration)
                       .join(', ')}],
                     backgroundColor: ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#7c3aed', '#06b6d4', '#84cc16']
@@ -566,10 +915,47 @@ class ApiPerformanceReportGenerator {
   }
 }
 
+function parseArgs(argv) {
+  const args = { newmanDirs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--results-dir':
+        args.resultsDir = next();
+        break;
+      case '--newman-dir':
+        args.newmanDirs.push(next());
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        break;
+    }
+  }
+  return args;
+}
+
 // Run if called directly
 if (require.main === module) {
-  const generator = new ApiPerformanceReportGenerator();
-  generator.generateReport().catch(console.error);
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(`Usage: node scripts/reporting/api-performance-report.js [options]
+
+Options:
+  --results-dir <dir>  ApiPerformanceMonitor results (default: ${DEFAULT_INPUTS.playwright})
+  --newman-dir <dir>   newman JSON exports; repeatable (default: ${DEFAULT_INPUTS.newman.join(', ')})
+`);
+    process.exit(0);
+  }
+
+  const generator = new ApiPerformanceReportGenerator(args);
+  generator.generateReport().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
 
 module.exports = ApiPerformanceReportGenerator;
@@ -7,6 +7,30 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadDefects, summarizeDefects, countManualTestCases } = require('./defect-sources');
+const TrendExplorerGenerator = require('./trend-explorer');
+const { loadResults, ResultRun } = require('../results');
+
+const { tally } = ResultRun;
+
+// Result files the dashboard reads, in any format scripts/results understands
+const RESULT_INPUTS = [
+  'reports/test-execution',
+  'test-results',
+  'reports/api-tests',
+  'reports/newman',
+  'reports/load-tests',
+  'reports/performance-tests',
+  'reports/accessibility-tests',
+  'reports/security-tests',
+  'reports/zap',
+];
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
 
 class DashboardGenerator {
   constructor() {
@@ -33,6 +57,8 @@ class DashboardGenerator {
    * Collect test results from all test types
    */
   async collectTestResults() {
+    this.run = await loadResults(RESULT_INPUTS.map((dir) => path.join(this.baseDir, dir)));
+
     const results = {
       ui: await this.collectUITestResults(),
       api: await this.collectAPITestResults(),
@@ -42,6 +68,7 @@ class DashboardGenerator {
       timestamp: new Date().toISOString(),
       summary: {},
     };
+    results.defects = await this.collectDefectResults(results);
 
     // Calculate overall summary
     results.summary = this.calculateOverallSummary(results);
@@ -49,176 +76,52 @@ class DashboardGenerator {
     return results;
   }
 
+  /**
+   * Tests of one category in the loaded run
+   */
+  testsOf(category) {
+    return this.run.tests.filter((test) => test.category === category);
+  }
+
   /**
    * Collect UI test results from Playwright reports
    */
   async collectUITestResults() {
+    const tests = this.testsOf('ui');
+    const { total, passed, failed, skipped, duration } = tally(tests);
     const uiResults = {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      skipped: 0,
-      duration: 0,
+      total,
+      passed,
+      failed,
+      skipped,
+      duration,
       browsers: {},
-      testFiles: [],
-      lastRun: null,
+      testFiles: [...new Set(tests.map((test) => test.file).filter(Boolean))],
+      lastRun: this.run.lastRunOf(tests),
     };
 
-    try {
-      // Look for Playwright test results
-      const playwrightReportDirs = [
-        'reports/test-execution/development/playwright-report',
-        'reports/test-execution/staging/playwright-report',
-        'reports/test-execution/production/playwright-report',
-        'test-results',
-      ];
-
-      for (const reportDir of playwrightReportDirs) {
-        const fullPath = path.join(this.baseDir, reportDir);
-        if (fs.existsSync(fullPath)) {
-          const reportData = await this.parsePlaywrightResults(fullPath);
-          if (reportData) {
-            uiResults.total += reportData.total || 0;
-            uiResults.passed += reportData.passed || 0;
-            uiResults.failed += reportData.failed || 0;
-            uiResults.skipped += reportData.skipped || 0;
-            uiResults.duration += reportData.duration || 0;
-
-            if (reportData.browsers) {
-              Object.keys(reportData.browsers).forEach((browser) => {
-                if (!uiResults.browsers[browser]) {
-                  uiResults.browsers[browser] = { passed: 0, failed: 0, total: 0 };
-                }
-                uiResults.browsers[browser].passed += reportData.browsers[browser].passed || 0;
-                uiResults.browsers[browser].failed += reportData.browsers[browser].failed || 0;
-                uiResults.browsers[browser].total += reportData.browsers[browser].total || 0;
-              });
-            }
-
-            if (
-              reportData.lastRun &&
-              (!uiResults.lastRun || new Date(reportData.lastRun) > new Date(uiResults.lastRun))
-            ) {
-              uiResults.lastRun = reportData.lastRun;
-            }
-          }
-        }
+    tests.forEach((test) => {
+      const browser = this.extractBrowserFromTest({ projectName: test.project });
+      if (!uiResults.browsers[browser]) {
+        uiResults.browsers[browser] = { passed: 0, failed: 0, total: 0 };
       }
+      uiResults.browsers[browser].total++;
+      if (test.status === 'passed') uiResults.browsers[browser].passed++;
+      if (test.status === 'failed') uiResults.browsers[browser].failed++;
+    });
 
-      uiResults.passRate =
-        uiResults.total > 0 ? Math.round((uiResults.passed / uiResults.total) * 100) : 0;
-      uiResults.failRate =
-        uiResults.total > 0 ? Math.round((uiResults.failed / uiResults.total) * 100) : 0;
-    } catch (error) {
-      console.warn('Error collecting UI test results:', error.message);
-    }
+    uiResults.passRate = total > 0 ? Math.round((passed / total) * 100) : 0;
+    uiResults.failRate = total > 0 ? Math.round((failed / total) * 100) : 0;
 
     return uiResults;
   }
 
-  /**
-   * Parse Playwright test results
-   */
-  async parsePlaywrightResults(reportDir) {
-    try {
-      // Look for report.json or index.html
-      const reportJsonPath = path.join(reportDir, 'report.json');
-      const indexHtmlPath = path.join(reportDir, 'index.html');
-
-      if (fs.existsSync(reportJsonPath)) {
-        const reportData = JSON.parse(fs.readFileSync(reportJsonPath, 'utf8'));
-        return this.parsePlaywrightJsonReport(reportData);
-      } else if (fs.existsSync(indexHtmlPath)) {
-        // Parse HTML report for basic stats
-        const htmlContent = fs.readFileSync(indexHtmlPath, 'utf8');
-        return this.parsePlaywrightHtmlReport(htmlContent);
-      }
-    } catch (error) {
-      console.warn(`Error parsing Playwright results from ${reportDir}:`, error.message);
-    }
-
-    return null;
-  }
-
-  /**
-   * Parse Playwright JSON report
-   */
-  parsePlaywrightJsonReport(reportData) {
-    const results = {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      skipped: 0,
-      duration: 0,
-      browsers: {},
-      lastRun: new Date().toISOString(),
-    };
-
-    if (reportData.suites) {
-      reportData.suites.forEach((suite) => {
-        this.processSuite(suite, results);
-      });
-    }
-
-    return results;
-  }
-
-  /**
-   * Process test suite recursively
-   */
-  processSuite(suite, results) {
-    if (suite.tests) {
-      suite.tests.forEach((test) => {
-        results.total++;
-
-        if (test.results && test.results.length > 0) {
-          const result = test.results[0];
-          results.duration += result.duration || 0;
-
-          switch (result.status) {
-            case 'passed':
-              results.passed++;
-              break;
-            case 'failed':
-              results.failed++;
-              break;
-            case 'skipped':
-              results.skipped++;
-              break;
-          }
-
-          // Track browser results
-          if (result.workerIndex !== undefined) {
-            const browser = this.extractBrowserFromTest(test);
-            if (browser) {
-              if (!results.browsers[browser]) {
-                results.browsers[browser] = { passed: 0, failed: 0, total: 0 };
-              }
-              results.browsers[browser].total++;
-              if (result.status === 'passed') {
-                results.browsers[browser].passed++;
-              } else if (result.status === 'failed') {
-                results.browsers[browser].failed++;
-              }
-            }
-          }
-        }
-      });
-    }
-
-    if (suite.suites) {
-      suite.suites.forEach((subSuite) => {
-        this.processSuite(subSuite, results);
-      });
-    }
-  }
-
   /**
    * Extract browser name from test
    */
   extractBrowserFromTest(test) {
     if (test.projectName) {
-      if (test.projectName.toLowerCase().includes('chrome')) return 'Chrome';
+      if (test.projectName.toLowerCase().includes('chrom')) return 'Chrome';
       if (test.projectName.toLowerCase().includes('firefox')) return 'Firefox';
       if (test.projectName.toLowerCase().includes('safari')) return 'Safari';
       if (test.projectName.toLowerCase().includes('webkit')) return 'WebKit';
@@ -226,233 +129,94 @@ class DashboardGenerator {
     return 'Unknown';
   }
 
-  /**
-   * Parse Playwright HTML report for basic stats
-   */
-  parsePlaywrightHtmlReport(htmlContent) {
-    const results = {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      skipped: 0,
-      duration: 0,
-      browsers: {},
-      lastRun: new Date().toISOString(),
-    };
-
-    // Extract basic stats from HTML using regex
-    const totalMatch = htmlContent.match(/(\d+)\s*tests?\s*total/i);
-    const passedMatch = htmlContent.match(/(\d+)\s*passed/i);
-    const failedMatch = htmlContent.match(/(\d+)\s*failed/i);
-    const skippedMatch = htmlContent.match(/(\d+)\s*skipped/i);
-
-    if (totalMatch) results.total = parseInt(totalMatch[1]);
-    if (passedMatch) results.passed = parseInt(passedMatch[1]);
-    if (failedMatch) results.failed = parseInt(failedMatch[1]);
-    if (skippedMatch) results.skipped = parseInt(skippedMatch[1]);
-
-    return results;
-  }
-
   /**
    * Collect API test results from Newman reports
    */
   async collectAPITestResults() {
+    const tests = this.testsOf('api');
+    const { total, passed, failed } = tally(tests);
+    const sourceIds = new Set(tests.map((test) => test.sourceId));
     const apiResults = {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      duration: 0,
+      total,
+      passed,
+      failed,
+      duration: this.run.sources
+        .filter((source) => sourceIds.has(source.id))
+        .reduce((sum, source) => sum + (source.duration || 0), 0),
       collections: {},
       environments: {},
-      lastRun: null,
+      lastRun: this.run.lastRunOf(tests),
     };
 
-    try {
-      const newmanReportDirs = ['reports/api-tests', 'reports/newman'];
-
-      for (const reportDir of newmanReportDirs) {
-        const fullPath = path.join(this.baseDir, reportDir);
-        if (fs.existsSync(fullPath)) {
-          const files = fs.readdirSync(fullPath);
-
-          for (const file of files) {
-            if (file.endsWith('.json')) {
-              const filePath = path.join(fullPath, file);
-              const reportData = await this.parseNewmanResults(filePath);
-              if (reportData) {
-                apiResults.total += reportData.total || 0;
-                apiResults.passed += reportData.passed || 0;
-                apiResults.failed += reportData.failed || 0;
-                apiResults.duration += reportData.duration || 0;
-
-                if (reportData.collection) {
-                  apiResults.collections[reportData.collection] = reportData;
-                }
-
-                if (
-                  reportData.lastRun &&
-                  (!apiResults.lastRun ||
-                    new Date(reportData.lastRun) > new Date(apiResults.lastRun))
-                ) {
-                  apiResults.lastRun = reportData.lastRun;
-                }
-              }
-            }
-          }
-        }
+    tests.forEach((test) => {
+      const collection = this.run.rootSuiteOf(test)?.name || 'Unknown';
+      if (!apiResults.collections[collection]) {
+        apiResults.collections[collection] = { collection, total: 0, passed: 0, failed: 0 };
       }
+      apiResults.collections[collection].total++;
+      if (test.status === 'passed') apiResults.collections[collection].passed++;
+      if (test.status === 'failed') apiResults.collections[collection].failed++;
 
-      apiResults.passRate =
-        apiResults.total > 0 ? Math.round((apiResults.passed / apiResults.total) * 100) : 0;
-      apiResults.failRate =
-        apiResults.total > 0 ? Math.round((apiResults.failed / apiResults.total) * 100) : 0;
-    } catch (error) {
-      console.warn('Error collecting API test results:', error.message);
-    }
-
-    return apiResults;
-  }
+      const environment = test.environment || 'unknown';
+      apiResults.environments[environment] = (apiResults.environments[environment] || 0) + 1;
+    });
 
-  /**
-   * Parse Newman test results
-   */
-  async parseNewmanResults(filePath) {
-    try {
-      const reportData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-      if (reportData.run) {
-        const run = reportData.run;
-        const stats = run.stats || {};
-
-        return {
-          collection: run.collection?.info?.name || 'Unknown',
-          total: stats.tests?.total || 0,
-          passed: (stats.tests?.total || 0) - (stats.tests?.failed || 0),
-          failed: stats.tests?.failed || 0,
-          duration: run.timings?.completed || 0,
-          assertions: {
-            total: stats.assertions?.total || 0,
-            failed: stats.assertions?.failed || 0,
-          },
-          requests: {
-            total: stats.requests?.total || 0,
-            failed: stats.requests?.failed || 0,
-          },
-          lastRun: new Date().toISOString(),
-        };
-      }
-    } catch (error) {
-      console.warn(`Error parsing Newman results from ${filePath}:`, error.message);
-    }
+    apiResults.passRate = total > 0 ? Math.round((passed / total) * 100) : 0;
+    apiResults.failRate = total > 0 ? Math.round((failed / total) * 100) : 0;
 
-    return null;
+    return apiResults;
   }
 
   /**
-   * Collect performance test results from JMeter reports
+   * Collect performance test results from k6 and JMeter reports
    */
   async collectPerformanceTestResults() {
+    const scenarios = this.run.loadScenarios();
+    const load = this.run.loadSummary();
     const perfResults = {
       scenarios: {},
       summary: {
-        totalRequests: 0,
-        successfulRequests: 0,
-        failedRequests: 0,
-        averageResponseTime: 0,
-        p90ResponseTime: 0,
-        p95ResponseTime: 0,
-        throughput: 0,
-        errorRate: 0,
+        totalRequests: load.requests,
+        successfulRequests: load.requests - load.errors,
+        failedRequests: load.errors,
+        averageResponseTime: load.avg,
+        p90ResponseTime: load.p90,
+        p95ResponseTime: load.p95,
+        throughput: load.throughput,
+        errorRate: Math.round(load.errorRate),
       },
-      lastRun: null,
+      lastRun: this.run.lastRunOf(scenarios),
     };
 
-    try {
-      const perfReportDirs = [
-        'reports/performance-tests',
-        'automated-tests/performance-tests/jmeter/results',
-      ];
-
-      for (const reportDir of perfReportDirs) {
-        const fullPath = path.join(this.baseDir, reportDir);
-        if (fs.existsSync(fullPath)) {
-          const files = fs.readdirSync(fullPath);
-
-          for (const file of files) {
-            if (file.endsWith('.json')) {
-              const filePath = path.join(fullPath, file);
-              const reportData = await this.parseJMeterResults(filePath);
-              if (reportData) {
-                perfResults.scenarios[reportData.scenario || file] = reportData;
-
-                // Aggregate summary data
-                perfResults.summary.totalRequests += reportData.totalRequests || 0;
-                perfResults.summary.successfulRequests += reportData.successfulRequests || 0;
-                perfResults.summary.failedRequests += reportData.failedRequests || 0;
-
-                if (
-                  reportData.lastRun &&
-                  (!perfResults.lastRun ||
-                    new Date(reportData.lastRun) > new Date(perfResults.lastRun))
-                ) {
-                  perfResults.lastRun = reportData.lastRun;
-                }
-              }
-            }
-          }
-        }
-      }
-
-      // Calculate aggregated metrics
-      if (perfResults.summary.totalRequests > 0) {
-        perfResults.summary.errorRate = Math.round(
-          (perfResults.summary.failedRequests / perfResults.summary.totalRequests) * 100
-        );
-      }
-    } catch (error) {
-      console.warn('Error collecting performance test results:', error.message);
-    }
+    scenarios.forEach((metric) => {
+      perfResults.scenarios[metric.key] = {
+        scenario: metric.scenario,
+        tool: metric.source,
+        totalRequests: metric.samples || 0,
+        successfulRequests: (metric.samples || 0) - (metric.errors || 0),
+        failedRequests: metric.errors || 0,
+        averageResponseTime: metric.stats.avg || 0,
+        p90ResponseTime: metric.stats.p90 || 0,
+        throughput: metric.throughput || 0,
+        errorRate: metric.errorRate || 0,
+        lastRun: this.run.lastRunOf([metric]),
+      };
+    });
 
     return perfResults;
   }
 
-  /**
-   * Parse JMeter test results
-   */
-  async parseJMeterResults(filePath) {
-    try {
-      const reportData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-      // Handle different JMeter report formats
-      if (reportData.scenario) {
-        return {
-          scenario: reportData.scenario,
-          totalRequests: reportData.summary?.totalRequests || 0,
-          successfulRequests: reportData.summary?.successfulRequests || 0,
-          failedRequests: reportData.summary?.failedRequests || 0,
-          averageResponseTime: reportData.summary?.averageResponseTime || 0,
-          p90ResponseTime: reportData.summary?.p90ResponseTime || 0,
-          throughput: reportData.summary?.throughput || 0,
-          errorRate: reportData.summary?.errorRate || 0,
-          lastRun: reportData.timestamp || new Date().toISOString(),
-        };
-      }
-    } catch (error) {
-      console.warn(`Error parsing JMeter results from ${filePath}:`, error.message);
-    }
-
-    return null;
-  }
-
   /**
    * Collect accessibility test results
    */
   async collectAccessibilityTestResults() {
+    const tests = this.testsOf('accessibility');
+    const findings = this.run.findings.filter((finding) => finding.kind === 'accessibility');
+    const { total, passed, failed } = tally(tests);
     const a11yResults = {
-      total: 0,
-      passed: 0,
-      failed: 0,
+      total,
+      passed,
+      failed,
       violations: {
         critical: 0,
         serious: 0,
@@ -464,67 +228,20 @@ class DashboardGenerator {
         wcag2aa: 0,
         wcag21aa: 0,
       },
-      lastRun: null,
+      lastRun: this.run.lastRunOf([...tests, ...findings]),
     };
 
-    try {
-      // Look for accessibility test results in Playwright reports
-      const a11yReportDirs = ['reports/accessibility-tests', 'test-results'];
-
-      for (const reportDir of a11yReportDirs) {
-        const fullPath = path.join(this.baseDir, reportDir);
-        if (fs.existsSync(fullPath)) {
-          // Parse accessibility-specific results
-          const reportData = await this.parseAccessibilityResults(fullPath);
-          if (reportData) {
-            a11yResults.total += reportData.total || 0;
-            a11yResults.passed += reportData.passed || 0;
-            a11yResults.failed += reportData.failed || 0;
-
-            Object.keys(reportData.violations || {}).forEach((severity) => {
-              a11yResults.violations[severity] += reportData.violations[severity] || 0;
-            });
-
-            if (
-              reportData.lastRun &&
-              (!a11yResults.lastRun || new Date(reportData.lastRun) > new Date(a11yResults.lastRun))
-            ) {
-              a11yResults.lastRun = reportData.lastRun;
-            }
-          }
-        }
-      }
+    // Violations are counted by axe impact
+    findings.forEach((finding) => {
+      if (finding.level in a11yResults.violations) a11yResults.violations[finding.level]++;
+    });
 
-      a11yResults.passRate =
-        a11yResults.total > 0 ? Math.round((a11yResults.passed / a11yResults.total) * 100) : 0;
-      a11yResults.complianceScore = this.calculateAccessibilityScore(a11yResults.violations);
-    } catch (error) {
-      console.warn('Error collecting accessibility test results:', error.message);
-    }
+    a11yResults.passRate = total > 0 ? Math.round((passed / total) * 100) : 0;
+    a11yResults.complianceScore = this.calculateAccessibilityScore(a11yResults.violations);
 
     return a11yResults;
   }
 
-  /**
-   * Parse accessibility test results
-   */
-  async parseAccessibilityResults(reportDir) {
-    // This would parse accessibility-specific results
-    // For now, return mock data structure
-    return {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      violations: {
-        critical: 0,
-        serious: 0,
-        moderate: 0,
-        minor: 0,
-      },
-      lastRun: new Date().toISOString(),
-    };
-  }
-
   /**
    * Calculate accessibility compliance score
    */
@@ -541,16 +258,15 @@ class DashboardGenerator {
    * Collect security test results
    */
   async collectSecurityTestResults() {
+    const tests = this.testsOf('security');
+    const findings = this.run.findings.filter((finding) => finding.kind === 'security');
+    const { total, passed, failed } = tally(tests);
+    const { critical, high, medium, low } = this.run.findingCounts('security');
     const securityResults = {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      vulnerabilities: {
-        critical: 0,
-        high: 0,
-        medium: 0,
-        low: 0,
-      },
+      total,
+      passed,
+      failed,
+      vulnerabilities: { critical, high, medium, low },
       categories: {
         xss: { tests: 0, issues: 0 },
         sqlInjection: { tests: 0, issues: 0 },
@@ -560,70 +276,15 @@ class DashboardGenerator {
         encryption: { tests: 0, issues: 0 },
       },
       securityScore: 0,
-      lastRun: null,
+      lastRun: this.run.lastRunOf([...tests, ...findings]),
     };
 
-    try {
-      // Look for security test results
-      const securityReportDirs = ['reports/security-tests', 'test-results'];
-
-      for (const reportDir of securityReportDirs) {
-        const fullPath = path.join(this.baseDir, reportDir);
-        if (fs.existsSync(fullPath)) {
-          const reportData = await this.parseSecurityResults(fullPath);
-          if (reportData) {
-            securityResults.total += reportData.total || 0;
-            securityResults.passed += reportData.passed || 0;
-            securityResults.failed += reportData.failed || 0;
-
-            Object.keys(reportData.vulnerabilities || {}).forEach((severity) => {
-              securityResults.vulnerabilities[severity] +=
-                reportData.vulnerabilities[severity] || 0;
-            });
-
-            if (
-              reportData.lastRun &&
-              (!securityResults.lastRun ||
-                new Date(reportData.lastRun) > new Date(securityResults.lastRun))
-            ) {
-              securityResults.lastRun = reportData.lastRun;
-            }
-          }
-        }
-      }
-
-      securityResults.passRate =
-        securityResults.total > 0
-          ? Math.round((securityResults.passed / securityResults.total) * 100)
-          : 0;
-      securityResults.securityScore = this.calculateSecurityScore(securityResults.vulnerabilities);
-    } catch (error) {
-      console.warn('Error collecting security test results:', error.message);
-    }
+    securityResults.passRate = total > 0 ? Math.round((passed / total) * 100) : 0;
+    securityResults.securityScore = this.calculateSecurityScore(securityResults.vulnerabilities);
 
     return securityResults;
   }
 
-  /**
-   * Parse security test results
-   */
-  async parseSecurityResults(reportDir) {
-    // This would parse security-specific results
-    // For now, return mock data structure
-    return {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      vulnerabilities: {
-        critical: 0,
-        high: 0,
-        medium: 0,
-        low: 0,
-      },
-      lastRun: new Date().toISOString(),
-    };
-  }
-
   /**
    * Calculate security score
    */
@@ -636,6 +297,36 @@ class DashboardGenerator {
     return Math.max(0, 100 - totalIssues);
   }
 
+  /**
+   * Collect defect metrics from the configured defect sources (DEFECT_SOURCES, default the
+   * manual bug reports), with density per manual test case and automated test run
+   */
+  async collectDefectResults(results) {
+    try {
+      const { defects, sources } = await loadDefects();
+      const testCaseCount =
+        countManualTestCases(path.join(this.baseDir, 'manual-tests', 'test-cases')) +
+        (results.ui.total || 0) +
+        (results.api.total || 0);
+
+      return { ...summarizeDefects(defects, { testCaseCount }), sources };
+    } catch (error) {
+      console.warn('Error collecting defect metrics:', error.message);
+      return { ...summarizeDefects([]), sources: [] };
+    }
+  }
+
+  /**
+   * Get defect status from the open defects' severities
+   */
+  getDefectStatus(defects) {
+    if (!defects.sources.some((source) => source.count > 0)) return 'unknown';
+    if (defects.openSeverity.critical > 0) return 'critical';
+    if (defects.openSeverity.high > 0) return 'warning';
+    if (defects.open > 0) return 'good';
+    return 'excellent';
+  }
+
   /**
    * Calculate overall summary across all test types
    */
@@ -702,6 +393,12 @@ class DashboardGenerator {
     summary.testTypes.security.score = results.security.securityScore || 0;
     summary.testTypes.security.lastRun = results.security.lastRun;
 
+    summary.defects = {
+      status: this.getDefectStatus(results.defects),
+      open: results.defects.open,
+      openCritical: results.defects.openSeverity.critical,
+    };
+
     // Calculate overall quality score
     summary.qualityScore = this.calculateQualityScore(summary);
 
@@ -843,6 +540,16 @@ class DashboardGenerator {
       });
     }
 
+    // Defect recommendations
+    if (results.defects.openSeverity.critical > 0) {
+      recommendations.push({
+        type: 'defects',
+        priority: 'critical',
+        message: `${results.defects.openSeverity.critical} critical defect(s) are open.`,
+        action: 'Fix critical defects before release',
+      });
+    }
+
     // Overall quality recommendations
     if (summary.qualityScore < 70) {
       recommendations.push({
@@ -869,6 +576,13 @@ class DashboardGenerator {
     const dataPath = path.join(this.dataDir, 'dashboard-data.json');
     fs.writeFileSync(dataPath, JSON.stringify(results, null, 2));
 
+    // Interactive history next to the snapshot, linked from its header
+    await new TrendExplorerGenerator({
+      metricsHistory: path.join(this.reportsDir, 'metrics', 'historical-data.json'),
+      ciHistory: path.join(this.reportsDir, 'test-history.json'),
+      output: path.join(this.dashboardDir, 'trends.html'),
+    }).generate();
+
     console.log(`Dashboard generated: ${dashboardPath}`);
     return dashboardPath;
   }
@@ -917,6 +631,10 @@ class DashboardGenerator {
             font-size: 1.1rem;
             opacity: 0.9;
         }
+
+        .header a {
+            color: white;
+        }
         
         .container {
             max-width: 1200px;
@@ -1002,6 +720,13 @@ class DashboardGenerator {
             margin-bottom: 1rem;
             color: #2d3748;
         }
+
+        .chart-title a {
+            float: right;
+            font-size: 0.9rem;
+            font-weight: normal;
+            color: #3182ce;
+        }
         
         .recommendations {
             background: white;
@@ -1107,6 +832,7 @@ class DashboardGenerator {
         <h1>QA Testing Dashboard</h1>
         <p>Comprehensive Test Results and Quality Metrics</p>
         <p>Last Updated: ${new Date(results.timestamp).toLocaleString()}</p>
+        <p><a href="trends.html">Explore trends over time →</a></p>
     </div>
     
     <div class="container">
@@ -1174,6 +900,15 @@ class DashboardGenerator {
                 <div class="card-value">${summary.testTypes.security.score}%</div>
                 <div class="card-subtitle">Security Score</div>
             </div>
+            
+            <div class="card">
+                <div class="card-header">
+                    <div class="card-icon status-${summary.defects.status}">🐞</div>
+                    <div class="card-title">Defects</div>
+                </div>
+                <div class="card-value">${results.defects.open}/${results.defects.total}</div>
+                <div class="card-subtitle">Open • ${results.defects.openSeverity.critical} Critical</div>
+            </div>
         </div>
         
         <!-- Charts Section -->
@@ -1189,7 +924,7 @@ class DashboardGenerator {
             </div>
             
             <div class="chart-card">
-                <div class="chart-title">Test Execution Trends</div>
+                <div class="chart-title">Test Execution Trends <a href="trends.html">Explore →</a></div>
                 <canvas id="trendsChart" width="400" height="200"></canvas>
             </div>
             
@@ -1331,6 +1066,48 @@ class DashboardGenerator {
                     <span>${results.security.lastRun ? new Date(results.security.lastRun).toLocaleDateString() : 'N/A'}</span>
                 </div>
             </div>
+            
+            <div class="test-detail-card">
+                <div class="test-detail-header">
+                    <h3>Defect Details</h3>
+                    <span class="status-badge status-${summary.defects.status}">${summary.defects.status}</span>
+                </div>
+                <div class="metric-row">
+                    <span>Open / Closed:</span>
+                    <span>${results.defects.open} / ${results.defects.closed}</span>
+                </div>
+                <div class="metric-row">
+                    <span>Open by Severity:</span>
+                    <span>${['critical', 'high', 'medium', 'low'].map((severity) => `${results.defects.openSeverity[severity]} ${severity}`).join(', ')}</span>
+                </div>
+                <div class="metric-row">
+                    <span>By Type:</span>
+                    <span>${
+                      Object.entries(results.defects.type)
+                        .filter(([, count]) => count > 0)
+                        .map(([type, count]) => `${count} ${type}`)
+                        .join(', ') || 'N/A'
+                    }</span>
+                </div>
+                <div class="metric-row">
+                    <span>Avg Resolution:</span>
+                    <span>${results.defects.averageResolutionTime !== null ? `${results.defects.averageResolutionTime} days` : 'N/A'}</span>
+                </div>
+                <div class="metric-row">
+                    <span>Defect Density:</span>
+                    <span>${results.defects.defectDensity !== null ? `${results.defects.defectDensity} per test case` : 'N/A'}</span>
+                </div>
+                ${results.defects.openDefects
+                  .slice(0, 5)
+                  .map(
+                    (defect) => `
+                <div class="metric-row">
+                    <span>${escapeHtml(defect.id)}:</span>
+                    <span>${escapeHtml(defect.title)} (${defect.severity})</span>
+                </div>`
+                  )
+                  .join('')}
+            </div>
         </div>
     </div>
     
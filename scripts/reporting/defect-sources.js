@@ -0,0 +1,482 @@
+/**
+ * Defect Sources
+ * Loads defect records through pluggable adapters and summarizes them into defect metrics.
+ *
+ * An adapter is any object with a `name` and a `load()` returning flat records keyed by the
+ * source's own field names. normalizeDefect() maps those fields onto one defect shape:
+ *
+ *   { id, title, severity, priority, type, component, status, resolution, environment,
+ *     reportedAt, closedAt, source }
+ *
+ * Built-in adapters:
+ *   markdown - BUG-*.md files written from manual-tests/bug-report-template.md
+ *   csv      - tracker CSV export (Jira, Azure DevOps, GitHub, ...)
+ *   json     - tracker JSON export, either an array or { issues | defects | items: [...] }
+ *
+ * Sources are configured as `type:path` entries, e.g.
+ *   DEFECT_SOURCES="markdown:manual-tests/bug-reports,csv:exports/jira.csv"
+ * The type may be omitted when the path ends in .csv or .json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+
+const DEFAULT_BUG_REPORTS_DIR = 'manual-tests/bug-reports';
+const DEFAULT_TEST_CASES_DIR = 'manual-tests/test-cases';
+
+// Source field names (case-insensitive) for every normalized field, template names first
+const FIELD_ALIASES = {
+  id: ['Bug ID', 'id', 'key', 'Issue key', 'Issue id', 'number'],
+  title: ['Bug Title', 'title', 'summary', 'name'],
+  severity: ['Severity', 'customfield_severity'],
+  priority: ['Priority'],
+  type: ['Bug Type', 'type', 'Defect Type', 'Issue Type', 'issuetype', 'category', 'labels'],
+  component: ['Component', 'Component/s', 'components', 'area', 'Area Path'],
+  status: ['Status', 'state'],
+  resolution: ['Resolution'],
+  environment: ['Test Environment', 'environment', 'Found In'],
+  reportedAt: ['Date Reported', 'reportedAt', 'created', 'createdAt', 'created_at', 'Created Date'],
+  closedAt: ['Closed Date', 'closedAt', 'closed_at', 'resolved', 'resolutiondate', 'Resolved Date'],
+};
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const SEVERITY_ALIASES = {
+  blocker: 'critical',
+  highest: 'critical',
+  s1: 'critical',
+  major: 'high',
+  s2: 'high',
+  normal: 'medium',
+  s3: 'medium',
+  minor: 'low',
+  trivial: 'low',
+  lowest: 'low',
+  s4: 'low',
+};
+
+const TYPES = [
+  'functional',
+  'ui',
+  'performance',
+  'security',
+  'accessibility',
+  'usability',
+  'compatibility',
+];
+
+// Normalized status → whether the defect counts as closed
+const STATUSES = {
+  open: false,
+  'in-progress': false,
+  reopened: false,
+  deferred: false,
+  resolved: true,
+  closed: true,
+};
+const STATUS_ALIASES = {
+  new: 'open',
+  'to do': 'open',
+  todo: 'open',
+  active: 'open',
+  'in progress': 'in-progress',
+  'in review': 'in-progress',
+  done: 'closed',
+  fixed: 'resolved',
+  verified: 'closed',
+};
+
+const RESOLUTION_ALIASES = {
+  fixed: 'fixed',
+  done: 'fixed',
+  "won't fix": 'wontFix',
+  'wont fix': 'wontFix',
+  "won't do": 'wontFix',
+  duplicate: 'duplicate',
+  'not a bug': 'invalid',
+  invalid: 'invalid',
+  'cannot reproduce': 'invalid',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Template placeholders such as "[Pending]" or "[YYYY-MM-DD]" mean the field is not filled in
+ * @param {any} value - Raw field value
+ * @returns {string|null} Trimmed value or null
+ */
+function cleanValue(value) {
+  if (value === undefined || value === null) return null;
+  // Tracker JSON exports wrap enum fields, e.g. { name: 'Done' } or [{ name: 'Search' }]
+  if (Array.isArray(value)) value = value.map(cleanValue).filter(Boolean).join(', ');
+  if (typeof value === 'object') value = value.name ?? value.value ?? null;
+  const text = String(value ?? '').trim();
+  if (!text || /^\[.*\]$/.test(text) || /^(n\/a|none|-)$/i.test(text)) return null;
+  return text;
+}
+
+/**
+ * @param {Object} record - Source record
+ * @param {string[]} names - Candidate field names
+ * @returns {string|null} First filled-in value
+ */
+function pick(record, names) {
+  const keys = Object.keys(record);
+  for (const name of names) {
+    const key = keys.find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+    const value = key !== undefined ? cleanValue(record[key]) : null;
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * @param {string|null} value - Date text
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null when unparseable
+ */
+function toDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+}
+
+function normalizeSeverity(value) {
+  const key = (value || '').toLowerCase();
+  if (SEVERITIES.includes(key)) return key;
+  return SEVERITY_ALIASES[key] || 'unknown';
+}
+
+function normalizeType(value) {
+  const words = (value || '').toLowerCase().split(/[\s,;/]+/);
+  return TYPES.find((type) => words.includes(type)) || 'other';
+}
+
+function normalizeStatus(value) {
+  const key = (value || '').toLowerCase();
+  if (key in STATUSES) return key;
+  return STATUS_ALIASES[key] || (key ? 'open' : 'unknown');
+}
+
+/**
+ * Map a source record onto the normalized defect shape
+ * @param {Object} record - Flat source record
+ * @param {Object} options - Options
+ * @param {string} options.source - Adapter name recorded on the defect
+ * @param {Object} options.fields - Extra source field names per normalized field,
+ *   e.g. { severity: 'Customer Impact' }
+ * @returns {Object} Defect
+ */
+function normalizeDefect(record, options = {}) {
+  const fields = options.fields || {};
+  const names = (name) => [].concat(fields[name] || [], FIELD_ALIASES[name]);
+  const field = (name) => pick(record, names(name));
+  const status = normalizeStatus(field('status'));
+  const resolution = field('resolution');
+
+  return {
+    id: field('id'),
+    title: field('title'),
+    severity: normalizeSeverity(field('severity')),
+    priority: field('priority'),
+    // Trackers spread the type over issue type, category and labels; search all of them
+    type: normalizeType(
+      names('type')
+        .map((name) => pick(record, [name]))
+        .filter(Boolean)
+        .join(', ')
+    ),
+    component: field('component'),
+    status,
+    closed: STATUSES[status] === true,
+    resolution: resolution ? RESOLUTION_ALIASES[resolution.toLowerCase()] || 'other' : null,
+    environment: field('environment'),
+    reportedAt: toDate(field('reportedAt')),
+    closedAt: toDate(field('closedAt')),
+    source: options.source || null,
+  };
+}
+
+/**
+ * Bug reports written from manual-tests/bug-report-template.md. Fields are the
+ * `- **Name**: Value` bullets in every section; the title falls back to the heading.
+ */
+class MarkdownBugReportAdapter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.path - Directory holding BUG-*.md files
+   */
+  constructor(options = {}) {
+    this.path = options.path || DEFAULT_BUG_REPORTS_DIR;
+    this.name = `markdown:${this.path}`;
+  }
+
+  load() {
+    if (!fs.existsSync(this.path)) return [];
+
+    return fs
+      .readdirSync(this.path)
+      .filter((file) => /^BUG-.+\.md$/.test(file))
+      .sort()
+      .map((file) =>
+        MarkdownBugReportAdapter.parse(fs.readFileSync(path.join(this.path, file), 'utf8'))
+      );
+  }
+
+  /**
+   * @param {string} markdown - Bug report content
+   * @returns {Object} Field name → value
+   */
+  static parse(markdown) {
+    const record = {};
+    const heading = markdown.match(/^#\s+(?:Bug Report:\s*)?(.+)$/m);
+    if (heading) record.heading = heading[1].trim();
+
+    for (const match of markdown.matchAll(/^\s*[-*]\s+\*\*(.+?)\*\*:\s*(.*)$/gm)) {
+      // The first occurrence wins; later sections repeat some names (e.g. "Status" in notes)
+      if (!(match[1] in record)) record[match[1]] = match[2].trim();
+    }
+    if (!record['Bug Title'] && record.heading) record['Bug Title'] = record.heading;
+    return record;
+  }
+}
+
+/**
+ * Tracker CSV export with a header row
+ */
+class CsvExportAdapter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.path - CSV file
+   */
+  constructor(options = {}) {
+    this.path = options.path;
+    this.name = `csv:${this.path}`;
+  }
+
+  load() {
+    return parse(fs.readFileSync(this.path, 'utf8'), {
+      columns: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      bom: true,
+      trim: true,
+    });
+  }
+}
+
+/**
+ * Tracker JSON export. Jira-style records keep their fields under `fields`.
+ */
+class JsonExportAdapter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.path - JSON file
+   */
+  constructor(options = {}) {
+    this.path = options.path;
+    this.name = `json:${this.path}`;
+  }
+
+  load() {
+    const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    const records = Array.isArray(data) ? data : data.issues || data.defects || data.items || [];
+    return records.map((record) =>
+      record.fields && typeof record.fields === 'object'
+        ? { key: record.key, id: record.id, ...record.fields }
+        : record
+    );
+  }
+}
+
+const ADAPTERS = {
+  markdown: MarkdownBugReportAdapter,
+  csv: CsvExportAdapter,
+  json: JsonExportAdapter,
+};
+
+/**
+ * Make another adapter available to source specs, e.g. registerAdapter('github', GitHubAdapter)
+ * @param {string} type - Type used in `type:path` specs
+ * @param {Function} Adapter - Class constructed with { path, ...options }
+ */
+function registerAdapter(type, Adapter) {
+  ADAPTERS[type] = Adapter;
+}
+
+/**
+ * Build adapters from source specs
+ * @param {Array<string|Object>|string} sources - `type:path` strings, comma separated lists,
+ *   { type, path, fields } objects or adapter instances (default DEFECT_SOURCES or the
+ *   manual bug reports)
+ * @returns {Object[]} Adapters, each carrying its `fields` mapping
+ */
+function createAdapters(
+  sources = process.env.DEFECT_SOURCES || `markdown:${DEFAULT_BUG_REPORTS_DIR}`
+) {
+  const specs = typeof sources === 'string' ? sources.split(',') : sources;
+
+  return specs
+    .map((spec) => (typeof spec === 'string' ? spec.trim() : spec))
+    .filter(Boolean)
+    .map((spec) => {
+      if (typeof spec === 'object' && typeof spec.load === 'function') return spec;
+
+      let { type, path: sourcePath, ...options } = typeof spec === 'string' ? {} : spec;
+      if (typeof spec === 'string') {
+        const match = spec.match(/^([a-z][\w-]*):(.+)$/i);
+        // Keep Windows drive letters (C:\...) as part of the path
+        [type, sourcePath] = match && match[1].length > 1 ? [match[1], match[2]] : [null, spec];
+      }
+      type = type || path.extname(sourcePath).slice(1).toLowerCase() || 'markdown';
+
+      const Adapter = ADAPTERS[type];
+      if (!Adapter) {
+        throw new Error(
+          `Unknown defect source type "${type}". Known types: ${Object.keys(ADAPTERS).join(', ')}`
+        );
+      }
+      const adapter = new Adapter({ path: sourcePath, ...options });
+      adapter.fields = options.fields;
+      return adapter;
+    });
+}
+
+/**
+ * Load and normalize defects from every source. A failing source is reported, not thrown.
+ * @param {Array<string|Object>|string} sources - See createAdapters()
+ * @returns {Promise<Object>} { defects, sources: [{ name, count, error }] }
+ */
+async function loadDefects(sources) {
+  const result = { defects: [], sources: [] };
+
+  for (const adapter of createAdapters(sources)) {
+    try {
+      const records = await adapter.load();
+      const defects = records
+        .map((record) => normalizeDefect(record, { source: adapter.name, fields: adapter.fields }))
+        .filter((defect) => defect.id || defect.title);
+      result.defects.push(...defects);
+      result.sources.push({ name: adapter.name, count: defects.length, error: null });
+    } catch (error) {
+      console.warn(`⚠️  Could not load defects from ${adapter.name}: ${error.message}`);
+      result.sources.push({ name: adapter.name, count: 0, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Number of manual test cases (TC-*.md) under a directory
+ * @param {string} dir - Test case root (default manual-tests/test-cases)
+ * @returns {number} Test case count
+ */
+function countManualTestCases(dir = DEFAULT_TEST_CASES_DIR) {
+  if (!fs.existsSync(dir)) return 0;
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((count, entry) => {
+    if (entry.isDirectory()) return count + countManualTestCases(path.join(dir, entry.name));
+    return count + (/^TC-.*\.md$/i.test(entry.name) ? 1 : 0);
+  }, 0);
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Summarize defects into the defect metrics structure
+ * @param {Object[]} defects - Normalized defects
+ * @param {Object} options - Options
+ * @param {number} options.testCaseCount - Test cases the defects were found by; defect density
+ *   is defects per test case and null without a count
+ * @param {Date} options.now - Reference time for open defect age
+ * @returns {Object} Defect metrics
+ */
+function summarizeDefects(defects, options = {}) {
+  const now = options.now || new Date();
+  const count = (items, key, value) => items.filter((item) => item[key] === value).length;
+  const open = defects.filter((defect) => !defect.closed);
+  const closed = defects.filter((defect) => defect.closed);
+
+  const resolutionDays = closed
+    .filter((defect) => defect.reportedAt && defect.closedAt)
+    .map((defect) => (Date.parse(defect.closedAt) - Date.parse(defect.reportedAt)) / DAY_MS);
+  const openAges = open
+    .filter((defect) => defect.reportedAt)
+    .map((defect) => (now.getTime() - Date.parse(defect.reportedAt)) / DAY_MS);
+  const average = (values) =>
+    values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+  const components = {};
+  defects.forEach((defect) => {
+    const name = defect.component || 'Unassigned';
+    components[name] = components[name] || { total: 0, open: 0 };
+    components[name].total += 1;
+    if (!defect.closed) components[name].open += 1;
+  });
+
+  const withEnvironment = defects.filter((defect) => defect.environment);
+  const escaped = withEnvironment.filter((defect) => /prod/i.test(defect.environment));
+  const severityRank = (defect) => {
+    const rank = SEVERITIES.indexOf(defect.severity);
+    return rank === -1 ? SEVERITIES.length : rank;
+  };
+
+  return {
+    total: defects.length,
+    open: open.length,
+    closed: closed.length,
+    status: Object.fromEntries(
+      Object.keys(STATUSES).map((status) => [status, count(defects, 'status', status)])
+    ),
+    severity: Object.fromEntries(
+      [...SEVERITIES, 'unknown'].map((severity) => [severity, count(defects, 'severity', severity)])
+    ),
+    openSeverity: Object.fromEntries(
+      SEVERITIES.map((severity) => [severity, count(open, 'severity', severity)])
+    ),
+    type: Object.fromEntries(
+      [...TYPES, 'other'].map((type) => [type, count(defects, 'type', type)])
+    ),
+    resolution: {
+      fixed: count(closed, 'resolution', 'fixed'),
+      wontFix: count(closed, 'resolution', 'wontFix'),
+      duplicate: count(closed, 'resolution', 'duplicate'),
+      invalid: count(closed, 'resolution', 'invalid'),
+    },
+    components,
+    // Days from report to close, over closed defects with both dates
+    averageResolutionTime: average(resolutionDays),
+    averageOpenAge: average(openAges),
+    testCaseCount: options.testCaseCount || 0,
+    defectDensity: options.testCaseCount ? round(defects.length / options.testCaseCount, 2) : null,
+    // Share of defects (with a known environment) that were found in production
+    escapeRate:
+      withEnvironment.length > 0
+        ? Math.round((escaped.length / withEnvironment.length) * 100)
+        : null,
+    openDefects: open
+      .slice()
+      .sort((a, b) => severityRank(a) - severityRank(b))
+      .map(({ id, title, severity, priority, component, status, reportedAt }) => ({
+        id,
+        title,
+        severity,
+        priority,
+        component,
+        status,
+        reportedAt,
+      })),
+  };
+}
+
+module.exports = {
+  MarkdownBugReportAdapter,
+  CsvExportAdapter,
+  JsonExportAdapter,
+  registerAdapter,
+  createAdapters,
+  loadDefects,
+  normalizeDefect,
+  summarizeDefects,
+  countManualTestCases,
+  DEFAULT_BUG_REPORTS_DIR,
+};
@@ -8,6 +8,33 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { loadDefects, summarizeDefects, countManualTestCases } = require('./defect-sources');
+const { loadResults, ResultRun } = require('../results');
+
+const { tally } = ResultRun;
+
+// Result files the metrics are read from, in any format scripts/results understands
+const RESULT_INPUTS = [
+  'reports/test-execution',
+  'test-results',
+  'reports/api-tests',
+  'reports/newman',
+  'reports/load-tests',
+  'reports/performance-tests',
+  'reports/accessibility-tests',
+  'reports/security-tests',
+  'reports/zap',
+];
+
+/**
+ * Score out of 100 that loses the severity's weight for every issue, as on the dashboard
+ */
+const weightedScore = (counts, weights) =>
+  Math.max(
+    0,
+    100 -
+      Object.keys(weights).reduce((sum, severity) => sum + counts[severity] * weights[severity], 0)
+  );
 
 class MetricsCollector {
   constructor() {
@@ -33,13 +60,14 @@ class MetricsCollector {
   async collectMetrics() {
     const timestamp = new Date().toISOString();
 
+    const testExecution = await this.collectTestExecutionMetrics();
     const metrics = {
       timestamp,
-      testExecution: await this.collectTestExecutionMetrics(),
+      testExecution,
       codeQuality: await this.collectCodeQualityMetrics(),
       coverage: await this.collectCoverageMetrics(),
       performance: await this.collectPerformanceMetrics(),
-      defects: await this.collectDefectMetrics(),
+      defects: await this.collectDefectMetrics(testExecution),
       trends: await this.calculateTrends(),
       environment: this.collectEnvironmentInfo(),
     };
@@ -111,309 +139,146 @@ class MetricsCollector {
       },
     };
 
-    // Collect UI test metrics
-    try {
-      const uiMetrics = await this.parseUITestResults();
-      Object.assign(metrics.ui, uiMetrics);
-    } catch (error) {
-      console.warn('Error collecting UI test metrics:', error.message);
-    }
-
-    // Collect API test metrics
-    try {
-      const apiMetrics = await this.parseAPITestResults();
-      Object.assign(metrics.api, apiMetrics);
-    } catch (error) {
-      console.warn('Error collecting API test metrics:', error.message);
-    }
-
-    // Collect performance metrics
     try {
-      const perfMetrics = await this.parsePerformanceResults();
-      Object.assign(metrics.performance, perfMetrics);
+      const run = await loadResults(RESULT_INPUTS.map((dir) => path.join(this.baseDir, dir)));
+      Object.assign(metrics.ui, this.parseUITestResults(run));
+      Object.assign(metrics.api, this.parseAPITestResults(run));
+      Object.assign(metrics.performance, this.parsePerformanceResults(run));
+      Object.assign(metrics.accessibility, this.parseAccessibilityResults(run));
+      Object.assign(metrics.security, this.parseSecurityResults(run));
     } catch (error) {
-      console.warn('Error collecting performance metrics:', error.message);
-    }
-
-    // Collect accessibility metrics
-    try {
-      const a11yMetrics = await this.parseAccessibilityResults();
-      Object.assign(metrics.accessibility, a11yMetrics);
-    } catch (error) {
-      console.warn('Error collecting accessibility metrics:', error.message);
-    }
-
-    // Collect security metrics
-    try {
-      const securityMetrics = await this.parseSecurityResults();
-      Object.assign(metrics.security, securityMetrics);
-    } catch (error) {
-      console.warn('Error collecting security metrics:', error.message);
+      console.warn('Error collecting test execution metrics:', error.message);
     }
 
     return metrics;
   }
 
   /**
-   * Parse UI test results from various sources
+   * UI test metrics from the run's Playwright and JUnit tests
    */
-  async parseUITestResults() {
+  parseUITestResults(run) {
+    const tests = run.tests.filter((test) => test.category === 'ui');
+    const { total, passed, failed, skipped, flaky, duration } = tally(tests);
     const metrics = {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      skipped: 0,
-      duration: 0,
+      total,
+      passed,
+      failed,
+      skipped,
+      flaky,
+      duration,
       browsers: {},
       environments: {},
     };
 
-    // Look for Playwright results
-    const playwrightDirs = [
-      'test-results',
-      'reports/test-execution/development/playwright-report',
-      'reports/test-execution/staging/playwright-report',
-      'reports/test-execution/production/playwright-report',
-    ];
-
-    for (const dir of playwrightDirs) {
-      const fullPath = path.join(this.baseDir, dir);
-      if (fs.existsSync(fullPath)) {
-        try {
-          const results = await this.parsePlaywrightResults(fullPath);
-          if (results) {
-            metrics.total += results.total || 0;
-            metrics.passed += results.passed || 0;
-            metrics.failed += results.failed || 0;
-            metrics.skipped += results.skipped || 0;
-            metrics.duration += results.duration || 0;
-
-            // Merge browser results
-            Object.keys(results.browsers || {}).forEach((browser) => {
-              if (!metrics.browsers[browser]) {
-                metrics.browsers[browser] = { total: 0, passed: 0, failed: 0 };
-              }
-              metrics.browsers[browser].total += results.browsers[browser].total || 0;
-              metrics.browsers[browser].passed += results.browsers[browser].passed || 0;
-              metrics.browsers[browser].failed += results.browsers[browser].failed || 0;
-            });
-          }
-        } catch (error) {
-          console.warn(`Error parsing Playwright results from ${dir}:`, error.message);
-        }
+    tests.forEach((test) => {
+      const browser = test.project || 'unknown';
+      if (!metrics.browsers[browser]) {
+        metrics.browsers[browser] = { total: 0, passed: 0, failed: 0 };
       }
-    }
+      metrics.browsers[browser].total++;
+      if (test.status === 'passed') metrics.browsers[browser].passed++;
+      if (test.status === 'failed') metrics.browsers[browser].failed++;
 
-    metrics.passRate = metrics.total > 0 ? Math.round((metrics.passed / metrics.total) * 100) : 0;
-    metrics.avgDuration = metrics.total > 0 ? Math.round(metrics.duration / metrics.total) : 0;
+      const environment = test.environment || 'unknown';
+      metrics.environments[environment] = (metrics.environments[environment] || 0) + 1;
+    });
 
-    return metrics;
-  }
+    metrics.passRate = total > 0 ? Math.round((passed / total) * 100) : 0;
+    metrics.avgDuration = total > 0 ? Math.round(duration / total) : 0;
 
-  /**
-   * Parse Playwright results from directory
-   */
-  async parsePlaywrightResults(dir) {
-    // Implementation would parse actual Playwright results
-    // For now, return sample structure
-    return {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      skipped: 0,
-      duration: 0,
-      browsers: {},
-    };
+    return metrics;
   }
 
   /**
-   * Parse API test results from Newman reports
+   * API test metrics from the run's newman tests, per collection
    */
-  async parseAPITestResults() {
+  parseAPITestResults(run) {
+    const tests = run.tests.filter((test) => test.category === 'api');
+    const { total, passed, failed } = tally(tests);
+    const sourceIds = new Set(tests.map((test) => test.sourceId));
     const metrics = {
-      total: 0,
-      passed: 0,
-      failed: 0,
-      duration: 0,
+      total,
+      passed,
+      failed,
+      duration: run.sources
+        .filter((source) => sourceIds.has(source.id))
+        .reduce((sum, source) => sum + (source.duration || 0), 0),
       collections: {},
       environments: {},
     };
 
-    const newmanDirs = ['reports/api-tests', 'reports/newman'];
-
-    for (const dir of newmanDirs) {
-      const fullPath = path.join(this.baseDir, dir);
-      if (fs.existsSync(fullPath)) {
-        try {
-          const files = fs.readdirSync(fullPath);
-
-          for (const file of files) {
-            if (file.endsWith('.json')) {
-              const filePath = path.join(fullPath, file);
-              const results = await this.parseNewmanResults(filePath);
-              if (results) {
-                metrics.total += results.total || 0;
-                metrics.passed += results.passed || 0;
-                metrics.failed += results.failed || 0;
-                metrics.duration += results.duration || 0;
-
-                if (results.collection) {
-                  metrics.collections[results.collection] = results;
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.warn(`Error parsing Newman results from ${dir}:`, error.message);
-        }
+    tests.forEach((test) => {
+      const collection = run.rootSuiteOf(test)?.name || 'Unknown';
+      if (!metrics.collections[collection]) {
+        metrics.collections[collection] = { collection, total: 0, passed: 0, failed: 0 };
       }
-    }
-
-    metrics.passRate = metrics.total > 0 ? Math.round((metrics.passed / metrics.total) * 100) : 0;
+      metrics.collections[collection].total++;
+      if (test.status === 'passed') metrics.collections[collection].passed++;
+      if (test.status === 'failed') metrics.collections[collection].failed++;
 
-    return metrics;
-  }
+      const environment = test.environment || 'unknown';
+      metrics.environments[environment] = (metrics.environments[environment] || 0) + 1;
+    });
 
-  /**
-   * Parse Newman results from file
-   */
-  async parseNewmanResults(filePath) {
-    try {
-      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-      if (data.run && data.run.stats) {
-        const stats = data.run.stats;
-        return {
-          collection: data.run.collection?.info?.name || 'Unknown',
-          total: stats.tests?.total || 0,
-          passed: (stats.tests?.total || 0) - (stats.tests?.failed || 0),
-          failed: stats.tests?.failed || 0,
-          duration: data.run.timings?.completed || 0,
-        };
-      }
-    } catch (error) {
-      console.warn(`Error parsing Newman file ${filePath}:`, error.message);
-    }
+    metrics.passRate = total > 0 ? Math.round((passed / total) * 100) : 0;
 
-    return null;
+    return metrics;
   }
 
   /**
-   * Parse performance test results
+   * Performance metrics across the run's k6 and JMeter scenarios
    */
-  async parsePerformanceResults() {
-    const metrics = {
-      scenarios: 0,
-      totalRequests: 0,
-      successfulRequests: 0,
-      avgResponseTime: 0,
-      p95ResponseTime: 0,
-      throughput: 0,
-      errorRate: 0,
+  parsePerformanceResults(run) {
+    const load = run.loadSummary();
+    return {
+      scenarios: load.scenarios,
+      totalRequests: load.requests,
+      successfulRequests: load.requests - load.errors,
+      avgResponseTime: load.avg,
+      p95ResponseTime: load.p95,
+      throughput: load.throughput,
+      errorRate: Math.round(load.errorRate),
     };
-
-    const perfDirs = [
-      'reports/performance-tests',
-      'automated-tests/performance-tests/jmeter/results',
-    ];
-
-    for (const dir of perfDirs) {
-      const fullPath = path.join(this.baseDir, dir);
-      if (fs.existsSync(fullPath)) {
-        try {
-          const files = fs.readdirSync(fullPath);
-
-          for (const file of files) {
-            if (file.endsWith('.json')) {
-              const filePath = path.join(fullPath, file);
-              const results = await this.parseJMeterResults(filePath);
-              if (results) {
-                metrics.scenarios++;
-                metrics.totalRequests += results.totalRequests || 0;
-                metrics.successfulRequests += results.successfulRequests || 0;
-
-                // Calculate weighted averages
-                if (results.avgResponseTime) {
-                  metrics.avgResponseTime = (metrics.avgResponseTime + results.avgResponseTime) / 2;
-                }
-                if (results.p95ResponseTime) {
-                  metrics.p95ResponseTime = Math.max(
-                    metrics.p95ResponseTime,
-                    results.p95ResponseTime
-                  );
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.warn(`Error parsing performance results from ${dir}:`, error.message);
-        }
-      }
-    }
-
-    if (metrics.totalRequests > 0) {
-      metrics.errorRate = Math.round(
-        ((metrics.totalRequests - metrics.successfulRequests) / metrics.totalRequests) * 100
-      );
-    }
-
-    return metrics;
   }
 
   /**
-   * Parse JMeter results from file
+   * Accessibility metrics: test counts and axe violations by impact
    */
-  async parseJMeterResults(filePath) {
-    try {
-      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-      if (data.summary) {
-        return {
-          totalRequests: data.summary.totalRequests || 0,
-          successfulRequests: data.summary.successfulRequests || 0,
-          avgResponseTime: data.summary.averageResponseTime || 0,
-          p95ResponseTime: data.summary.p95ResponseTime || 0,
-          throughput: data.summary.throughput || 0,
-        };
-      }
-    } catch (error) {
-      console.warn(`Error parsing JMeter file ${filePath}:`, error.message);
-    }
-
-    return null;
-  }
+  parseAccessibilityResults(run) {
+    const { total, passed } = run.summary((test) => test.category === 'accessibility');
+    const findings = run.findings.filter((finding) => finding.kind === 'accessibility');
+    const violations = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+    findings.forEach((finding) => {
+      if (finding.level in violations) violations[finding.level]++;
+    });
 
-  /**
-   * Parse accessibility test results
-   */
-  async parseAccessibilityResults() {
     return {
-      total: 0,
-      passed: 0,
-      violations: {
-        critical: 0,
-        serious: 0,
-        moderate: 0,
-        minor: 0,
-      },
-      wcagCompliance: 0,
+      total,
+      passed,
+      violations,
+      wcagCompliance:
+        total + findings.length > 0
+          ? weightedScore(violations, { critical: 10, serious: 7, moderate: 4, minor: 1 })
+          : 0,
     };
   }
 
   /**
-   * Parse security test results
+   * Security metrics: test counts and SARIF/ZAP findings by severity
    */
-  async parseSecurityResults() {
+  parseSecurityResults(run) {
+    const { total, passed } = run.summary((test) => test.category === 'security');
+    const { critical, high, medium, low } = run.findingCounts('security');
+    const vulnerabilities = { critical, high, medium, low };
+    const measured = total > 0 || run.findings.some((finding) => finding.kind === 'security');
+
     return {
-      total: 0,
-      passed: 0,
-      vulnerabilities: {
-        critical: 0,
-        high: 0,
-        medium: 0,
-        low: 0,
-      },
-      securityScore: 0,
+      total,
+      passed,
+      vulnerabilities,
+      securityScore: measured
+        ? weightedScore(vulnerabilities, { critical: 10, high: 7, medium: 4, low: 1 })
+        : 0,
     };
   }
 
@@ -565,41 +430,24 @@ class MetricsCollector {
   }
 
   /**
-   * Collect defect metrics
+   * Collect defect metrics from the configured defect sources (DEFECT_SOURCES, default the
+   * manual bug reports). Defect density is defects per test case: manual test cases plus the
+   * automated tests executed in this run.
+   * @param {Object} testExecution - Result of collectTestExecutionMetrics()
    */
-  async collectDefectMetrics() {
-    const metrics = {
-      total: 0,
-      open: 0,
-      closed: 0,
-      severity: {
-        critical: 0,
-        high: 0,
-        medium: 0,
-        low: 0,
-      },
-      type: {
-        functional: 0,
-        ui: 0,
-        performance: 0,
-        security: 0,
-        accessibility: 0,
-      },
-      resolution: {
-        fixed: 0,
-        wontFix: 0,
-        duplicate: 0,
-        invalid: 0,
-      },
-      averageResolutionTime: 0,
-      defectDensity: 0,
-      escapeRate: 0,
-    };
-
-    // This would integrate with issue tracking systems
-    // For now, return basic structure
+  async collectDefectMetrics(testExecution = {}) {
+    try {
+      const { defects, sources } = await loadDefects();
+      const testCaseCount =
+        countManualTestCases(path.join(this.baseDir, 'manual-tests', 'test-cases')) +
+        (testExecution.ui?.total || 0) +
+        (testExecution.api?.total || 0);
 
-    return metrics;
+      return { ...summarizeDefects(defects, { testCaseCount }), sources };
+    } catch (error) {
+      console.warn('Error collecting defect metrics:', error.message);
+      return { ...summarizeDefects([]), sources: [] };
+    }
   }
 
   /**
@@ -692,7 +540,8 @@ class MetricsCollector {
    * Save current metrics
    */
   async saveMetrics(metrics) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    // Named after the run timestamp so the trend explorer can link history entries to it
+    const timestamp = metrics.timestamp.replace(/[:.]/g, '-');
     const filename = `metrics-${timestamp}.json`;
     const filepath = path.join(this.metricsDir, filename);
 
@@ -784,6 +633,14 @@ class MetricsCollector {
       });
     }
 
+    if (metrics.defects.openSeverity.critical > 0) {
+      summary.alerts.push({
+        type: 'critical',
+        message: 'Critical defects are open',
+        value: metrics.defects.openSeverity.critical,
+      });
+    }
+
     // Generate recommendations
     if (metrics.codeQuality.linting.errors > 0) {
       summary.recommendations.push('Fix ESLint errors to improve code quality');
@@ -793,6 +650,12 @@ class MetricsCollector {
       summary.recommendations.push('Increase test coverage to at least 80%');
     }
 
+    if (metrics.defects.openSeverity.high > 0) {
+      summary.recommendations.push(
+        `Resolve ${metrics.defects.openSeverity.high} open high severity defect(s)`
+      );
+    }
+
     // Determine overall health
     if (summary.alerts.some((alert) => alert.type === 'critical')) {
       summary.overallHealth = 'critical';
@@ -818,6 +681,7 @@ class MetricsCollector {
     console.log(`Overall Health: ${summary.overallHealth}`);
     console.log(`Test Pass Rate: ${summary.keyMetrics.testPassRate}%`);
     console.log(`Code Coverage: ${summary.keyMetrics.coverage}%`);
+    console.log(`Open Defects: ${metrics.defects.open} of ${metrics.defects.total}`);
 
     if (summary.alerts.length > 0) {
       console.log('\nAlerts:');
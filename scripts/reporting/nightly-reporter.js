@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadResults } = require('../results');
 
 class NightlyReporter {
   constructor() {
@@ -66,17 +67,23 @@ class NightlyReporter {
 
     // Check if artifacts directory exists
     if (fs.existsSync(this.artifactsDir)) {
-      const artifactDirs = fs.readdirSync(this.artifactsDir);
-
-      for (const artifactDir of artifactDirs) {
-        const artifactPath = path.join(this.artifactsDir, artifactDir);
-        if (fs.statSync(artifactPath).isDirectory()) {
-          results.artifacts.push(artifactDir);
-
-          // Try to parse test results from each artifact
-          this.parseArtifactResults(artifactPath, results);
-        }
-      }
+      const artifactPaths = fs
+        .readdirSync(this.artifactsDir)
+        .map((artifactDir) => path.join(this.artifactsDir, artifactDir))
+        .filter((artifactPath) => fs.statSync(artifactPath).isDirectory());
+      results.artifacts = artifactPaths.map((artifactPath) => path.basename(artifactPath));
+
+      // Every artifact's result files, read through the canonical result model
+      const run = await loadResults(artifactPaths);
+      Object.entries(run.groupBy('category')).forEach(([category, counts]) => {
+        const suite = results.suites[category];
+        if (!suite) return;
+        suite.status = 'completed';
+        suite.tests = counts.total;
+        suite.passed = counts.passed;
+        suite.failed = counts.failed;
+        suite.duration = Math.round(counts.duration / 1000);
+      });
     }
 
     // Calculate summary
@@ -90,62 +97,6 @@ class NightlyReporter {
     return results;
   }
 
-  parseArtifactResults(artifactPath, results) {
-    // Look for Playwright results
-    const playwrightResults = path.join(artifactPath, 'test-results');
-    if (fs.existsSync(playwrightResults)) {
-      // Mock parsing - in real implementation, parse actual test results
-      const suiteType = this.determineSuiteType(artifactPath);
-      if (suiteType && results.suites[suiteType]) {
-        results.suites[suiteType].status = 'completed';
-        results.suites[suiteType].tests = Math.floor(Math.random() * 50) + 10;
-        results.suites[suiteType].passed = Math.floor(results.suites[suiteType].tests * 0.9);
-        results.suites[suiteType].failed =
-          results.suites[suiteType].tests - results.suites[suiteType].passed;
-        results.suites[suiteType].duration = Math.floor(Math.random() * 300) + 60;
-      }
-    }
-
-    // Look for Newman results
-    const newmanResults = path.join(artifactPath, 'reports', 'newman');
-    if (fs.existsSync(newmanResults)) {
-      results.suites.api.status = 'completed';
-      results.suites.api.tests = Math.floor(Math.random() * 30) + 15;
-      results.suites.api.passed = Math.floor(results.suites.api.tests * 0.95);
-      results.suites.api.failed = results.suites.api.tests - results.suites.api.passed;
-      results.suites.api.duration = Math.floor(Math.random() * 120) + 30;
-    }
-
-    // Look for JMeter results
-    const jmeterResults = path.join(artifactPath, 'reports', 'performance-tests');
-    if (fs.existsSync(jmeterResults)) {
-      results.suites.performance.status = 'completed';
-      results.suites.performance.tests = Math.floor(Math.random() * 10) + 5;
-      results.suites.performance.passed = Math.floor(results.suites.performance.tests * 0.8);
-      results.suites.performance.failed =
-        results.suites.performance.tests - results.suites.performance.passed;
-      results.suites.performance.duration = Math.floor(Math.random() * 600) + 300;
-    }
-  }
-
-  determineSuiteType(artifactPath) {
-    const artifactName = path.basename(artifactPath).toLowerCase();
-
-    if (artifactName.includes('ui') || artifactName.includes('nightly-results')) {
-      return 'ui';
-    } else if (artifactName.includes('security')) {
-      return 'security';
-    } else if (artifactName.includes('accessibility')) {
-      return 'accessibility';
-    } else if (artifactName.includes('performance')) {
-      return 'performance';
-    } else if (artifactName.includes('api')) {
-      return 'api';
-    }
-
-    return null;
-  }
-
   generateHTMLReport(results) {
     const passRate =
       results.summary.total > 0
@@ -0,0 +1,626 @@
+#!/usr/bin/env node
+
+/**
+ * Run Comparison Report
+ * Diffs two run result sets, e.g. last good nightly vs. tonight's. Each set is one or more files
+ * or directories read into the canonical result model (scripts/results), so tests, latency metrics
+ * and findings are keyed the same way as in every other report:
+ * - tests (Playwright, JUnit, newman assertions, k6 thresholds, JMeter SLOs): status and duration
+ * - metrics (newman endpoints, k6 scenarios, JMeter plans and transactions): p95 or average latency
+ * - findings (axe, SARIF, ZAP): accessibility and security findings
+ *
+ * Writes reports/comparison/comparison.json and comparison.html. The JSON carries a `gate`
+ * ({ status, reasons }) and the CLI exits with 1 when the gate fails, so it can block a pipeline.
+ * Missing or unreadable inputs fail the gate rather than comparing as an empty run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadResults, ResultRun } = require('../results');
+
+const DEFAULT_OPTIONS = {
+  outputDir: path.join('reports', 'comparison'),
+  // A test's duration change counts when it is above both limits
+  durationThreshold: 20, // %
+  minDurationDelta: 250, // ms
+  // An endpoint's p95 (or average) latency change counts when it is above both limits
+  latencyThreshold: 20, // %
+  minLatencyDelta: 50, // ms
+  failOn: ['failures', 'latency', 'findings'],
+  // New findings at or above this severity fail the gate
+  findingSeverity: 'high',
+};
+
+const GATE_CHECKS = ['failures', 'latency', 'findings'];
+
+const SEVERITY_ORDER = ResultRun.SEVERITIES;
+
+// When the same test appears in several reports of a set, the worst status wins
+const STATUS_ORDER = ['failed', 'passed', 'skipped'];
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+const round = (value, digits = 1) =>
+  value === null || value === undefined ? null : +Number(value).toFixed(digits);
+
+/**
+ * One side of the comparison: everything found in a result set, keyed for diffing
+ */
+class RunResults {
+  constructor(paths) {
+    this.paths = paths;
+    this.sources = {};
+    this.tests = new Map();
+    this.endpoints = new Map();
+    this.findings = new Map();
+    this.errors = [];
+  }
+
+  addTest(test) {
+    const existing = this.tests.get(test.key);
+    if (!existing) {
+      this.tests.set(test.key, test);
+      return;
+    }
+    if (STATUS_ORDER.indexOf(test.status) < STATUS_ORDER.indexOf(existing.status)) {
+      existing.status = test.status;
+    }
+    existing.duration = Math.max(existing.duration ?? 0, test.duration ?? 0) || null;
+    existing.flaky = existing.flaky || test.flaky;
+  }
+
+  /**
+   * @param {string[]} paths - Files or directories the run was read from
+   * @param {ResultRun} run - Canonical run
+   * @returns {RunResults} Tests, metrics and findings keyed for diffing
+   */
+  static fromRun(paths, run) {
+    const results = new RunResults(paths);
+    run.sources.forEach((source) => {
+      results.sources[source.type] = (results.sources[source.type] || 0) + 1;
+    });
+    run.tests.forEach((test) =>
+      results.addTest({
+        key: test.key,
+        source: test.source,
+        status: test.status,
+        flaky: test.flaky,
+        duration: test.duration,
+        error: test.error?.split('\n')[0] || null,
+      })
+    );
+    // Load test scenarios and single endpoints; a newman collection's overall timing is not one
+    const metrics = [
+      ...run.loadScenarios(),
+      ...run.metrics.filter((metric) => metric.scope === 'endpoint'),
+    ];
+    metrics.forEach((metric) =>
+      results.endpoints.set(metric.key, {
+        key: metric.key,
+        source: metric.source,
+        samples: metric.samples,
+        average: metric.stats.avg,
+        p95: metric.stats.p95,
+        errorRate: metric.errorRate,
+      })
+    );
+    run.findings.forEach((finding) => results.findings.set(finding.key, finding));
+    results.errors = run.errors.map(({ file, message }) => `${file}: ${message}`);
+    return results;
+  }
+}
+
+class RunComparison {
+  /**
+   * @param {Object} options - Options
+   * @param {string[]} options.baseline - Baseline result files/directories
+   * @param {string[]} options.current - Current result files/directories
+   * @param {string} options.outputDir - Output directory (default reports/comparison)
+   * @param {number} options.durationThreshold - Test duration change, % (default 20)
+   * @param {number} options.minDurationDelta - Test duration change, ms (default 250)
+   * @param {number} options.latencyThreshold - Endpoint latency change, % (default 20)
+   * @param {number} options.minLatencyDelta - Endpoint latency change, ms (default 50)
+   * @param {string[]} options.failOn - Gate checks: failures, latency, findings (default all)
+   * @param {string} options.findingSeverity - Lowest new-finding severity failing the gate
+   */
+  constructor(options = {}) {
+    this.baseline = [].concat(options.baseline || []);
+    this.current = [].concat(options.current || []);
+    this.options = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (key in DEFAULT_OPTIONS && value !== undefined) this.options[key] = value;
+    });
+  }
+
+  /**
+   * Compare the two sets and write the JSON and HTML reports
+   * @returns {Promise<Object>} Comparison
+   */
+  async generate() {
+    console.log('🔍 Comparing runs...');
+    const comparison = await this.compare();
+
+    await fs.promises.mkdir(this.options.outputDir, { recursive: true });
+    const jsonPath = path.join(this.options.outputDir, 'comparison.json');
+    const htmlPath = path.join(this.options.outputDir, 'comparison.html');
+    await fs.promises.writeFile(jsonPath, JSON.stringify(comparison, null, 2));
+    await fs.promises.writeFile(htmlPath, this.generateHTML(comparison));
+
+    const { summary, gate } = comparison;
+    console.log(
+      `🧪 ${summary.newlyFailing} newly failing, ${summary.newlyPassing} newly passing, ${summary.newlySkipped} newly skipped, ${summary.durationChanges} duration changes`
+    );
+    console.log(
+      `⚡ ${summary.latencyRegressions} endpoint latency regressions, 🛡️  ${summary.newFindings} new findings`
+    );
+    console.log(`${gate.status === 'pass' ? '✅' : '❌'} Gate: ${gate.status.toUpperCase()}`);
+    gate.reasons.forEach((reason) => console.log(`   - ${reason}`));
+    console.log(`📄 HTML Report: ${htmlPath}`);
+    console.log(`📊 Comparison Data: ${jsonPath}`);
+    return comparison;
+  }
+
+  /**
+   * @returns {Promise<Object>} { generatedAt, baseline, current, thresholds, summary, tests,
+   *   endpoints, findings, gate }
+   */
+  async compare() {
+    if (this.baseline.length === 0 || this.current.length === 0) {
+      throw new Error('Both a baseline and a current result set are required');
+    }
+    const baseline = await RunComparison.load(this.baseline);
+    const current = await RunComparison.load(this.current);
+
+    const tests = this.compareTests(baseline, current);
+    const endpoints = this.compareEndpoints(baseline, current);
+    const findings = RunComparison.compareFindings(baseline, current);
+
+    const summary = {
+      baselineTests: baseline.tests.size,
+      currentTests: current.tests.size,
+      newlyFailing: tests.newlyFailing.length,
+      newlyPassing: tests.newlyPassing.length,
+      newlySkipped: tests.newlySkipped.length,
+      added: tests.added.length,
+      removed: tests.removed.length,
+      durationChanges: tests.durationChanges.length,
+      endpointsCompared: endpoints.filter((endpoint) => endpoint.change !== null).length,
+      latencyRegressions: endpoints.filter((endpoint) => endpoint.regressed).length,
+      newFindings: findings.new.length,
+      resolvedFindings: findings.resolved.length,
+    };
+
+    return {
+      generatedAt: new Date().toISOString(),
+      baseline: RunComparison.describe(baseline),
+      current: RunComparison.describe(current),
+      thresholds: {
+        durationThreshold: this.options.durationThreshold,
+        minDurationDelta: this.options.minDurationDelta,
+        latencyThreshold: this.options.latencyThreshold,
+        minLatencyDelta: this.options.minLatencyDelta,
+        findingSeverity: this.options.findingSeverity,
+      },
+      summary,
+      tests,
+      endpoints,
+      findings,
+      gate: this.evaluateGate(tests, endpoints, findings, { baseline, current }),
+    };
+  }
+
+  /**
+   * Read every recognized result file in the given paths
+   * @param {string[]} paths - Files or directories
+   * @returns {Promise<RunResults>} Run results
+   */
+  static async load(paths) {
+    const missing = paths.filter((target) => !fs.existsSync(target));
+    const run = RunResults.fromRun(paths, await loadResults(paths));
+    run.errors.unshift(...missing.map((target) => `${target}: not found`));
+
+    if (run.errors.length > 0) {
+      console.warn(
+        `⚠️  ${run.errors.length} result files could not be read in ${paths.join(', ')}`
+      );
+    }
+    return run;
+  }
+
+  static describe(run) {
+    return {
+      paths: run.paths,
+      sources: run.sources,
+      tests: run.tests.size,
+      endpoints: run.endpoints.size,
+      findings: run.findings.size,
+      errors: run.errors,
+    };
+  }
+
+  /**
+   * @param {RunResults} baseline - Baseline run
+   * @param {RunResults} current - Current run
+   * @returns {Object} { newlyFailing, newlyPassing, newlySkipped, added, removed, durationChanges }
+   */
+  compareTests(baseline, current) {
+    const diff = {
+      newlyFailing: [],
+      newlyPassing: [],
+      newlySkipped: [],
+      added: [],
+      removed: [],
+      durationChanges: [],
+    };
+    const entry = (test, before) => ({
+      key: test.key,
+      source: test.source,
+      before: before?.status || 'absent',
+      after: test.status,
+      error: test.status === 'failed' ? test.error : undefined,
+    });
+
+    current.tests.forEach((test, key) => {
+      const before = baseline.tests.get(key);
+      if (!before) diff.added.push(entry(test, null));
+
+      if (test.status === 'failed' && before?.status !== 'failed') {
+        diff.newlyFailing.push(entry(test, before));
+      } else if (test.status === 'passed' && before?.status === 'failed') {
+        diff.newlyPassing.push(entry(test, before));
+      } else if (test.status === 'skipped' && before && before.status !== 'skipped') {
+        diff.newlySkipped.push(entry(test, before));
+      }
+
+      if (before?.duration > 0 && test.duration !== null && test.status === before.status) {
+        const delta = test.duration - before.duration;
+        const change = (delta / before.duration) * 100;
+        if (
+          Math.abs(delta) >= this.options.minDurationDelta &&
+          Math.abs(change) >= this.options.durationThreshold
+        ) {
+          diff.durationChanges.push({
+            key,
+            source: test.source,
+            before: before.duration,
+            after: test.duration,
+            delta,
+            change: round(change),
+          });
+        }
+      }
+    });
+    baseline.tests.forEach((test, key) => {
+      if (!current.tests.has(key))
+        diff.removed.push({ key, source: test.source, before: test.status });
+    });
+    diff.durationChanges.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    return diff;
+  }
+
+  /**
+   * Latency deltas for every endpoint in either run, regressions first
+   * @param {RunResults} baseline - Baseline run
+   * @param {RunResults} current - Current run
+   * @returns {Object[]} Endpoint deltas
+   */
+  compareEndpoints(baseline, current) {
+    const keys = new Set([...baseline.endpoints.keys(), ...current.endpoints.keys()]);
+    const latency = (endpoint) => endpoint?.p95 ?? endpoint?.average ?? null;
+
+    return [...keys]
+      .map((key) => {
+        const before = baseline.endpoints.get(key);
+        const after = current.endpoints.get(key);
+        const beforeLatency = latency(before);
+        const afterLatency = latency(after);
+        const comparable = beforeLatency > 0 && afterLatency !== null;
+        const delta = comparable ? afterLatency - beforeLatency : null;
+        const change = comparable ? round((delta / beforeLatency) * 100) : null;
+
+        return {
+          key,
+          source: (after || before).source,
+          metric:
+            (after || before).p95 !== null && (after || before).p95 !== undefined
+              ? 'p95'
+              : 'average',
+          before: beforeLatency,
+          after: afterLatency,
+          delta,
+          change,
+          errorRateBefore: before?.errorRate ?? null,
+          errorRateAfter: after?.errorRate ?? null,
+          regressed:
+            comparable &&
+            delta >= this.options.minLatencyDelta &&
+            change >= this.options.latencyThreshold,
+        };
+      })
+      .sort(
+        (a, b) => Number(b.regressed) - Number(a.regressed) || (b.change ?? 0) - (a.change ?? 0)
+      );
+  }
+
+  /**
+   * @param {RunResults} baseline - Baseline run
+   * @param {RunResults} current - Current run
+   * @returns {Object} { new, resolved }, most severe first
+   */
+  static compareFindings(baseline, current) {
+    const bySeverity = (a, b) =>
+      SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity);
+    return {
+      new: [...current.findings.values()]
+        .filter((finding) => !baseline.findings.has(finding.key))
+        .sort(bySeverity),
+      resolved: [...baseline.findings.values()]
+        .filter((finding) => !current.findings.has(finding.key))
+        .sort(bySeverity),
+    };
+  }
+
+  /**
+   * Missing or unreadable inputs fail any gate, and so does a side without tests when the
+   * failures check is on: a failed artifact download must not pass as "0 newly failing"
+   * @param {Object} runs - { baseline, current } RunResults
+   * @returns {Object} { status: 'pass' | 'fail', checks, reasons }
+   */
+  evaluateGate(tests, endpoints, findings, runs) {
+    const failOn = this.options.failOn.filter((check) => GATE_CHECKS.includes(check));
+    const threshold = SEVERITY_ORDER.indexOf(this.options.findingSeverity);
+    const reasons = [];
+
+    Object.entries(runs).forEach(([side, run]) => {
+      if (failOn.length > 0 && run.errors.length > 0) {
+        reasons.push(`${run.errors.length} ${side} result inputs missing or unreadable`);
+      }
+      if (failOn.includes('failures') && run.tests.size === 0) {
+        reasons.push(`No tests in the ${side} results`);
+      }
+    });
+
+    if (failOn.includes('failures') && tests.newlyFailing.length > 0) {
+      reasons.push(`${tests.newlyFailing.length} newly failing tests`);
+    }
+    const regressions = endpoints.filter((endpoint) => endpoint.regressed);
+    if (failOn.includes('latency') && regressions.length > 0) {
+      reasons.push(
+        `${regressions.length} endpoints slower by ≥${this.options.latencyThreshold}% and ≥${this.options.minLatencyDelta}ms`
+      );
+    }
+    const blocking = findings.new.filter(
+      (finding) => SEVERITY_ORDER.indexOf(finding.severity) <= threshold
+    );
+    if (failOn.includes('findings') && blocking.length > 0) {
+      reasons.push(`${blocking.length} new ${this.options.findingSeverity}+ severity findings`);
+    }
+
+    return { status: reasons.length > 0 ? 'fail' : 'pass', checks: failOn, reasons };
+  }
+
+  /**
+   * @param {Object} comparison - compare() output
+   * @returns {string} HTML report
+   */
+  generateHTML(comparison) {
+    const { summary, tests, endpoints, findings, gate } = comparison;
+    const ms = (value) => (value === null || value === undefined ? '—' : `${Math.round(value)}ms`);
+    const signed = (value, suffix) =>
+      value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value}${suffix}`;
+    const table = (headers, rows, empty) =>
+      rows.length === 0
+        ? `<p class="empty">${empty}</p>`
+        : `<table><thead><tr>${headers.map((header) => `<th>${header}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    const statusRows = (list) =>
+      list.map(
+        (test) =>
+          `<tr><td>${escapeHtml(test.key)}${test.error ? `<div class="error">${escapeHtml(test.error)}</div>` : ''}</td><td>${escapeHtml(test.source)}</td><td><span class="status ${test.before}">${test.before}</span></td><td><span class="status ${test.after}">${test.after}</span></td></tr>`
+      );
+    const findingRows = (list) =>
+      list.map(
+        (finding) =>
+          `<tr><td><span class="severity ${finding.severity}">${finding.severity}</span></td><td>${escapeHtml(finding.kind)}</td><td>${escapeHtml(finding.rule)}</td><td>${escapeHtml(finding.location)}</td><td>${escapeHtml(finding.description)}</td></tr>`
+      );
+    const sources = (side) =>
+      Object.entries(side.sources)
+        .map(([type, count]) => `${count} ${type}`)
+        .join(', ') || 'no recognized results';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Run Comparison</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f7fa; color: #333; }
+    header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 1.5rem 2rem; }
+    header h1 { margin: 0 0 0.5rem; }
+    header p { margin: 0.2rem 0; opacity: 0.9; }
+    main { max-width: 1200px; margin: 0 auto; padding: 1.5rem 2rem; }
+    .gate { padding: 1rem 1.25rem; border-radius: 8px; margin-bottom: 1.5rem; font-weight: 600; }
+    .gate.pass { background: #c6f6d5; color: #22543d; }
+    .gate.fail { background: #fed7d7; color: #742a2a; }
+    .gate ul { margin: 0.5rem 0 0; font-weight: normal; }
+    .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 1rem; margin-bottom: 1.5rem; }
+    .metric { background: white; border-radius: 8px; padding: 1rem; text-align: center; box-shadow: 0 2px 4px rgba(0,0,0,0.06); }
+    .metric .value { font-size: 1.8rem; font-weight: 700; }
+    section { background: white; border-radius: 10px; padding: 1.25rem; margin-bottom: 1.5rem; box-shadow: 0 4px 6px rgba(0,0,0,0.06); }
+    section h2 { margin-top: 0; font-size: 1.15rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { text-align: left; padding: 0.45rem 0.6rem; border-bottom: 1px solid #edf2f7; vertical-align: top; }
+    th { background: #f7fafc; }
+    td.number { text-align: right; white-space: nowrap; }
+    .empty { color: #718096; }
+    .error { color: #c53030; font-family: monospace; font-size: 0.8rem; margin-top: 0.25rem; }
+    .status, .severity { padding: 0.1rem 0.45rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600; }
+    .status.failed, .severity.critical, .severity.high { background: #fed7d7; color: #9b2c2c; }
+    .status.passed { background: #c6f6d5; color: #22543d; }
+    .status.skipped, .status.absent, .severity.low, .severity.info { background: #edf2f7; color: #4a5568; }
+    .severity.medium { background: #feebc8; color: #7b341e; }
+    tr.regressed td { background: #fff5f5; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>🔍 Run Comparison</h1>
+    <p><strong>Baseline:</strong> ${escapeHtml(comparison.baseline.paths.join(', '))} (${escapeHtml(sources(comparison.baseline))})</p>
+    <p><strong>Current:</strong> ${escapeHtml(comparison.current.paths.join(', '))} (${escapeHtml(sources(comparison.current))})</p>
+    <p>Generated ${comparison.generatedAt}</p>
+  </header>
+  <main>
+    <div class="gate ${gate.status}">${gate.status === 'pass' ? '✅ Gate passed' : '❌ Gate failed'} (checks: ${escapeHtml(gate.checks.join(', ') || 'none')})
+      ${gate.reasons.length > 0 ? `<ul>${gate.reasons.map((reason) => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>` : ''}
+    </div>
+
+    <div class="summary">
+      <div class="metric"><div class="value">${summary.newlyFailing}</div>Newly Failing</div>
+      <div class="metric"><div class="value">${summary.newlyPassing}</div>Newly Passing</div>
+      <div class="metric"><div class="value">${summary.newlySkipped}</div>Newly Skipped</div>
+      <div class="metric"><div class="value">${summary.durationChanges}</div>Duration Changes</div>
+      <div class="metric"><div class="value">${summary.latencyRegressions}</div>Latency Regressions</div>
+      <div class="metric"><div class="value">${summary.newFindings}</div>New Findings</div>
+    </div>
+
+    <section>
+      <h2>Newly Failing (${tests.newlyFailing.length})</h2>
+      ${table(['Test', 'Source', 'Baseline', 'Current'], statusRows(tests.newlyFailing), 'No newly failing tests.')}
+    </section>
+    <section>
+      <h2>Newly Passing (${tests.newlyPassing.length})</h2>
+      ${table(['Test', 'Source', 'Baseline', 'Current'], statusRows(tests.newlyPassing), 'No newly passing tests.')}
+    </section>
+    <section>
+      <h2>Newly Skipped (${tests.newlySkipped.length})</h2>
+      ${table(['Test', 'Source', 'Baseline', 'Current'], statusRows(tests.newlySkipped), 'No newly skipped tests.')}
+    </section>
+    <section>
+      <h2>Duration Changes (±${comparison.thresholds.durationThreshold}% and ±${comparison.thresholds.minDurationDelta}ms)</h2>
+      ${table(
+        ['Test', 'Baseline', 'Current', 'Delta', 'Change'],
+        tests.durationChanges.map(
+          (change) =>
+            `<tr><td>${escapeHtml(change.key)}</td><td class="number">${ms(change.before)}</td><td class="number">${ms(change.after)}</td><td class="number">${signed(Math.round(change.delta), 'ms')}</td><td class="number">${signed(change.change, '%')}</td></tr>`
+        ),
+        'No test duration changed beyond the thresholds.'
+      )}
+    </section>
+    <section>
+      <h2>Endpoint Latency</h2>
+      ${table(
+        ['Endpoint', 'Metric', 'Baseline', 'Current', 'Delta', 'Change', 'Error Rate'],
+        endpoints.map(
+          (endpoint) =>
+            `<tr class="${endpoint.regressed ? 'regressed' : ''}"><td>${endpoint.regressed ? '⚠️ ' : ''}${escapeHtml(endpoint.key)}</td><td>${endpoint.metric}</td><td class="number">${ms(endpoint.before)}</td><td class="number">${ms(endpoint.after)}</td><td class="number">${signed(endpoint.delta === null ? null : Math.round(endpoint.delta), 'ms')}</td><td class="number">${signed(endpoint.change, '%')}</td><td class="number">${endpoint.errorRateBefore ?? '—'}% → ${endpoint.errorRateAfter ?? '—'}%</td></tr>`
+        ),
+        'No endpoint latency in either run (newman, k6 or JMeter results).'
+      )}
+    </section>
+    <section>
+      <h2>New Findings (${findings.new.length})</h2>
+      ${table(['Severity', 'Type', 'Rule', 'Location', 'Description'], findingRows(findings.new), 'No new accessibility or security findings.')}
+    </section>
+    <section>
+      <h2>Resolved Findings (${findings.resolved.length})</h2>
+      ${table(['Severity', 'Type', 'Rule', 'Location', 'Description'], findingRows(findings.resolved), 'No findings resolved.')}
+    </section>
+    <section>
+      <h2>Added / Removed Tests</h2>
+      <p>${summary.added} tests only in the current run, ${summary.removed} only in the baseline.</p>
+    </section>
+  </main>
+</body>
+</html>`;
+  }
+}
+
+function parseArgs(argv) {
+  const args = { baseline: [], current: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--baseline':
+        args.baseline.push(next());
+        break;
+      case '--current':
+        args.current.push(next());
+        break;
+      case '--output-dir':
+        args.outputDir = next();
+        break;
+      case '--duration-threshold':
+        args.durationThreshold = Number(next());
+        break;
+      case '--min-duration-delta':
+        args.minDurationDelta = Number(next());
+        break;
+      case '--latency-threshold':
+        args.latencyThreshold = Number(next());
+        break;
+      case '--min-latency-delta':
+        args.minLatencyDelta = Number(next());
+        break;
+      case '--fail-on':
+        args.failOn = next()
+          .split(',')
+          .map((check) => check.trim())
+          .filter((check) => check && check !== 'none');
+        break;
+      case '--finding-severity':
+        args.findingSeverity = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        break;
+    }
+  }
+  return args;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.baseline.length === 0 || args.current.length === 0) {
+    console.log(`Usage: node scripts/reporting/run-comparison.js --baseline <path> --current <path> [options]
+
+Compares two run result sets (Playwright JSON, JUnit XML, newman JSON, k6 summaries, JMeter
+summaries/JTL, Jest JSON, axe results, SARIF/ZAP reports). Paths are files or directories; repeat
+--baseline/--current to combine several.
+
+Options:
+  --output-dir <dir>          Output directory (default: ${DEFAULT_OPTIONS.outputDir})
+  --duration-threshold <pct>  Report test duration changes above this % (default: ${DEFAULT_OPTIONS.durationThreshold})
+  --min-duration-delta <ms>   ...and above this many ms (default: ${DEFAULT_OPTIONS.minDurationDelta})
+  --latency-threshold <pct>   Endpoint latency regression above this % (default: ${DEFAULT_OPTIONS.latencyThreshold})
+  --min-latency-delta <ms>    ...and above this many ms (default: ${DEFAULT_OPTIONS.minLatencyDelta})
+  --fail-on <checks>          Gate checks: failures,latency,findings or none (default: all)
+  --finding-severity <level>  New findings at or above this fail the gate: ${SEVERITY_ORDER.join('|')} (default: ${DEFAULT_OPTIONS.findingSeverity})
+
+Exits with 1 when the gate fails. Missing or unreadable inputs, or a side without tests while
+the failures check is on, fail the gate too.
+`);
+    process.exit(args.help ? 0 : 2);
+  }
+
+  new RunComparison(args)
+    .generate()
+    .then((comparison) => {
+      process.exitCode = comparison.gate.status === 'pass' ? 0 : 1;
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 2;
+    });
+}
+
+module.exports = RunComparison;
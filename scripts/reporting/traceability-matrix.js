@@ -0,0 +1,632 @@
+#!/usr/bin/env node
+
+/**
+ * Traceability Matrix Generator
+ * Cross-references requirements, manual test cases, automated specs and their latest results:
+ * - Requirements: the acceptance criteria in specs/qa-testing-showcase/requirements.md, as
+ *   REQ-<requirement>.<criterion>
+ * - Test cases: the TC-*.md files in manual-tests/test-cases, linked to requirements by their
+ *   "Requirement ID" field
+ * - Automated tests: Playwright specs under automated-tests/, linked by tags in the test title
+ *   or `tag` option, e.g. test('should log in @TC-AUTH-002', ...). A @REQ-2.1 tag links a test
+ *   to a requirement directly.
+ * - Results: Playwright JSON reports (reports/test-execution/<env>/test-results.json) read through
+ *   scripts/results; the most recent run of each test wins
+ *
+ * Writes reports/traceability-matrix.json and reports/traceability-matrix.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadResults } = require('../results');
+
+const DEFAULT_INPUTS = {
+  requirements: path.join('specs', 'qa-testing-showcase', 'requirements.md'),
+  testCases: path.join('manual-tests', 'test-cases'),
+  specs: 'automated-tests',
+  results: path.join('reports', 'test-execution'),
+};
+
+const TAG_PATTERN = /@((?:TC-[A-Z]+-\d+)|(?:REQ-\d+(?:\.\d+)?))\b/gi;
+const REQUIREMENT_ID_PATTERN = /REQ-\d+(?:\.\d+)?/gi;
+// test(...) and its modifiers; test.describe/step/hooks are not tests
+const TEST_DECLARATION =
+  /\btest(?:\.(?:only|skip|fixme|fail|slow))?\(\s*(['"`])((?:\\.|(?!\1)[\s\S])*?)\1/g;
+
+// Not Playwright specs; mirrors testIgnore in config/playwright.config.js
+const IGNORED_DIRS = ['node_modules', 'contract-tests', 'load-tests'];
+
+// Worst status first; a requirement or test case takes the worst status of its tests
+const STATUS_ORDER = ['failed', 'passed', 'skipped', 'not-run'];
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+/**
+ * @param {string[]} statuses - Test statuses
+ * @returns {string|null} Worst status, or null without statuses
+ */
+function worstStatus(statuses) {
+  return STATUS_ORDER.find((status) => statuses.includes(status)) || null;
+}
+
+/**
+ * @param {string} text - Title or tag list
+ * @returns {string[]} Upper-cased TC-/REQ- ids tagged in the text
+ */
+function tagsIn(text) {
+  return [...String(text).matchAll(TAG_PATTERN)].map((match) => match[1].toUpperCase());
+}
+
+/**
+ * @param {string} markdown - Markdown content
+ * @returns {Object} `- **Name**: Value` bullet fields
+ */
+function bulletFields(markdown) {
+  const fields = {};
+  for (const match of markdown.matchAll(/^\s*[-*]\s+\*\*(.+?)\*\*:\s*(.*)$/gm)) {
+    if (!(match[1] in fields)) fields[match[1]] = match[2].trim();
+  }
+  return fields;
+}
+
+class TraceabilityMatrixGenerator {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.requirements - Requirements document
+   * @param {string} options.testCases - Manual test case directory
+   * @param {string} options.specs - Automated test root (Playwright testDir)
+   * @param {string[]} options.results - Playwright JSON reports, or directories searched for
+   *   test-results.json (default reports/test-execution)
+   * @param {string} options.outputDir - Output directory (default reports)
+   */
+  constructor(options = {}) {
+    this.inputs = {
+      requirements: options.requirements || DEFAULT_INPUTS.requirements,
+      testCases: options.testCases || DEFAULT_INPUTS.testCases,
+      specs: options.specs || DEFAULT_INPUTS.specs,
+      results: options.results?.length ? options.results : [DEFAULT_INPUTS.results],
+    };
+    this.outputDir = options.outputDir || 'reports';
+  }
+
+  /**
+   * Build the matrix and write the JSON and HTML reports
+   * @returns {Promise<Object>} Matrix
+   */
+  async generate() {
+    console.log('🔗 Building traceability matrix...');
+    const matrix = await this.build();
+
+    await fs.promises.mkdir(this.outputDir, { recursive: true });
+    const jsonPath = path.join(this.outputDir, 'traceability-matrix.json');
+    const htmlPath = path.join(this.outputDir, 'traceability-matrix.html');
+    await fs.promises.writeFile(jsonPath, JSON.stringify(matrix, null, 2));
+    await fs.promises.writeFile(htmlPath, this.generateHTML(matrix));
+
+    const { summary } = matrix;
+    console.log(
+      `📋 ${summary.requirements.total} requirements, ${summary.testCases.total} test cases, ${summary.automatedTests.total} automated tests`
+    );
+    if (summary.testCases.notAutomated > 0) {
+      console.warn(`⚠️  ${summary.testCases.notAutomated} test cases have no automated test`);
+    }
+    if (summary.automatedTests.untraced > 0) {
+      console.warn(`⚠️  ${summary.automatedTests.untraced} automated tests have no manual case`);
+    }
+    console.log(`📄 HTML Report: ${htmlPath}`);
+    console.log(`📊 Matrix Data: ${jsonPath}`);
+    return matrix;
+  }
+
+  /**
+   * Cross-reference every input
+   * @returns {Promise<Object>} { generatedAt, inputs, summary, requirements, testCases,
+   *   automatedTests, gaps }
+   */
+  async build() {
+    const requirements = this.loadRequirements();
+    const testCases = this.loadTestCases();
+    const results = await this.loadResults();
+    const automatedTests = TraceabilityMatrixGenerator.expandGeneratedTitles(
+      this.loadAutomatedTests(),
+      [...results.keys()]
+    );
+
+    // Latest result per test; tags reported by Playwright also cover describe-level tags
+    automatedTests.forEach((test) => {
+      const result = results.get(TraceabilityMatrixGenerator.testKey(test.file, test.title));
+      test.status = result?.status || 'not-run';
+      test.projects = result?.projects || [];
+      test.lastRun = result?.startTime || null;
+      test.tags = [...new Set([...test.tags, ...(result?.tags || [])])];
+    });
+    // Tests only known from a report, e.g. declared in a helper the source scan skips
+    const scanned = new Set(automatedTests.map((test) => test.key));
+    results.forEach((result, key) => {
+      if (!scanned.has(key)) {
+        automatedTests.push({
+          key,
+          file: result.file,
+          title: result.title,
+          tags: result.tags,
+          status: result.status,
+          projects: result.projects,
+          lastRun: result.startTime,
+        });
+      }
+    });
+
+    const testCaseIds = new Set(testCases.map((testCase) => testCase.id));
+    const requirementIds = new Set(requirements.map((requirement) => requirement.id));
+    const unknownReferences = [];
+
+    automatedTests.forEach((test) => {
+      test.testCases = test.tags.filter((tag) => tag.startsWith('TC-'));
+      test.requirements = test.tags.filter((tag) => tag.startsWith('REQ-'));
+      [...test.testCases, ...test.requirements]
+        .filter((id) => !testCaseIds.has(id) && !requirementIds.has(id))
+        .forEach((id) =>
+          unknownReferences.push({ id, referencedBy: `${test.file} › ${test.title}` })
+        );
+    });
+
+    testCases.forEach((testCase) => {
+      const tests = automatedTests.filter((test) => test.testCases.includes(testCase.id));
+      testCase.automatedTests = tests.map((test) => test.key);
+      testCase.status =
+        tests.length > 0 ? worstStatus(tests.map((t) => t.status)) : 'not-automated';
+      testCase.requirements
+        .filter((id) => !requirementIds.has(id))
+        .forEach((id) => unknownReferences.push({ id, referencedBy: testCase.id }));
+    });
+
+    requirements.forEach((requirement) => {
+      const cases = testCases.filter((testCase) => testCase.requirements.includes(requirement.id));
+      const tests = automatedTests.filter(
+        (test) =>
+          test.requirements.includes(requirement.id) ||
+          cases.some((testCase) => test.testCases.includes(testCase.id))
+      );
+      requirement.testCases = cases.map((testCase) => testCase.id);
+      requirement.automatedTests = tests.map((test) => test.key);
+      if (tests.length > 0) {
+        requirement.status = worstStatus(tests.map((test) => test.status));
+      } else {
+        requirement.status = cases.length > 0 ? 'manual-only' : 'uncovered';
+      }
+    });
+
+    const count = (items, key, value) => items.filter((item) => item[key] === value).length;
+    const untraced = automatedTests.filter((test) => test.testCases.length === 0);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      inputs: this.inputs,
+      summary: {
+        requirements: {
+          total: requirements.length,
+          passed: count(requirements, 'status', 'passed'),
+          failed: count(requirements, 'status', 'failed'),
+          notRun:
+            count(requirements, 'status', 'not-run') + count(requirements, 'status', 'skipped'),
+          manualOnly: count(requirements, 'status', 'manual-only'),
+          uncovered: count(requirements, 'status', 'uncovered'),
+        },
+        testCases: {
+          total: testCases.length,
+          automated: testCases.filter((testCase) => testCase.automatedTests.length > 0).length,
+          notAutomated: count(testCases, 'status', 'not-automated'),
+        },
+        automatedTests: {
+          total: automatedTests.length,
+          traced: automatedTests.length - untraced.length,
+          untraced: untraced.length,
+          withResults: automatedTests.filter((test) => test.status !== 'not-run').length,
+        },
+      },
+      requirements,
+      testCases,
+      automatedTests,
+      gaps: {
+        uncoveredRequirements: requirements
+          .filter((requirement) => requirement.status === 'uncovered')
+          .map((requirement) => requirement.id),
+        notAutomatedTestCases: testCases
+          .filter((testCase) => testCase.status === 'not-automated')
+          .map((testCase) => testCase.id),
+        untracedAutomatedTests: untraced.map((test) => test.key),
+        unknownReferences,
+      },
+    };
+  }
+
+  /**
+   * Acceptance criteria of every "### Requirement N" section
+   * @returns {Object[]} [{ id, requirement, userStory, description }]
+   */
+  loadRequirements() {
+    if (!fs.existsSync(this.inputs.requirements)) {
+      console.warn(`⚠️  Requirements document not found: ${this.inputs.requirements}`);
+      return [];
+    }
+
+    const requirements = [];
+    let current = null;
+    let userStory = null;
+    fs.readFileSync(this.inputs.requirements, 'utf8')
+      .split('\n')
+      .forEach((line) => {
+        const heading = line.match(/^###\s+Requirement\s+(\d+)/i);
+        if (heading) {
+          current = heading[1];
+          userStory = null;
+          return;
+        }
+        if (/^##\s/.test(line)) current = null;
+        if (!current) return;
+
+        const story = line.match(/^\*\*User Story:\*\*\s*(.+)$/);
+        if (story) userStory = story[1].trim();
+        const criterion = line.match(/^(\d+)\.\s+(.+)$/);
+        if (criterion) {
+          requirements.push({
+            id: `REQ-${current}.${criterion[1]}`,
+            requirement: `REQ-${current}`,
+            userStory,
+            description: criterion[2].trim(),
+          });
+        }
+      });
+    return requirements;
+  }
+
+  /**
+   * Manual test cases written from manual-tests/test-case-template.md
+   * @returns {Object[]} [{ id, title, category, priority, file, requirements }]
+   */
+  loadTestCases() {
+    const files = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) walk(full);
+        else if (/^TC-.+\.md$/.test(entry.name)) files.push(full);
+      });
+    };
+    walk(this.inputs.testCases);
+
+    return files.sort().map((file) => {
+      const fields = bulletFields(fs.readFileSync(file, 'utf8'));
+      return {
+        id: (
+          fields['Test Case ID'] || path.basename(file).match(/^TC-[A-Z]+-\d+/)[0]
+        ).toUpperCase(),
+        title: fields['Test Case Title'] || null,
+        category: fields.Category || null,
+        priority: fields.Priority || null,
+        file,
+        requirements: [
+          ...new Set(
+            (fields['Requirement ID'] || '')
+              .match(REQUIREMENT_ID_PATTERN)
+              ?.map((id) => id.toUpperCase())
+          ),
+        ],
+      };
+    });
+  }
+
+  /**
+   * Tests declared in Playwright spec files, found by scanning the source
+   * @returns {Object[]} [{ key, file, title, tags }], file relative to the spec root
+   */
+  loadAutomatedTests() {
+    const tests = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.includes(entry.name)) walk(full);
+        } else if (/\.spec\.[jt]s$/.test(entry.name)) tests.push(...this.scanSpec(full));
+      });
+    };
+    walk(this.inputs.specs);
+    return tests;
+  }
+
+  /**
+   * @param {string} file - Spec file
+   * @returns {Object[]} Tests declared in the file
+   */
+  scanSpec(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    const relative = path.relative(this.inputs.specs, file).split(path.sep).join('/');
+
+    return [...source.matchAll(TEST_DECLARATION)].map((match) => {
+      const title = match[2];
+      // A details object may follow the title: test('title', { tag: ['@TC-CART-001'] }, ...)
+      const rest = source.slice(match.index + match[0].length, match.index + match[0].length + 200);
+      const details = rest.match(/^\s*,\s*\{[^}]*\btag\s*:\s*([^}]*)\}/);
+      return {
+        key: TraceabilityMatrixGenerator.testKey(relative, title),
+        file: relative,
+        title,
+        tags: [...new Set([...tagsIn(title), ...tagsIn(details ? details[1] : '')])],
+      };
+    });
+  }
+
+  /**
+   * Replace tests declared with a template title, e.g. test(`should accept a ${locale} address`)
+   * in a loop, by the concrete titles Playwright reported for them
+   * @param {Object[]} tests - Scanned tests
+   * @param {string[]} resultKeys - Keys of reported tests
+   * @returns {Object[]} Tests
+   */
+  static expandGeneratedTitles(tests, resultKeys) {
+    return tests.flatMap((test) => {
+      if (!test.title.includes('${')) return [test];
+
+      const pattern = new RegExp(
+        `^${test.key
+          .split(/\$\{[^}]*\}/)
+          .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+          .join('.+')}$`
+      );
+      const keys = resultKeys.filter((key) => pattern.test(key));
+      if (keys.length === 0) return [test];
+      return keys.map((key) => ({
+        ...test,
+        key,
+        title: key.slice(key.indexOf(' › ') + 3),
+      }));
+    });
+  }
+
+  /**
+   * @param {string} file - Spec file relative to the spec root
+   * @param {string} title - Test title
+   * @returns {string} Key that matches a scanned test to its reported results
+   */
+  static testKey(file, title) {
+    return `${file.replace(/^automated-tests\//, '')} › ${title}`;
+  }
+
+  /**
+   * Latest Playwright JSON result of every test, read through the canonical result model
+   * @returns {Promise<Map<string, Object>>} Test key → { file, title, tags, status, projects,
+   *   startTime }
+   */
+  async loadResults() {
+    const run = await loadResults(this.inputs.results, { types: ['playwright'] });
+    const startOf = new Map(
+      run.sources.map((source) => [
+        source.id,
+        source.startedAt || fs.statSync(source.file).mtime.toISOString(),
+      ])
+    );
+
+    const results = new Map();
+    run.tests.forEach((test) => {
+      const key = TraceabilityMatrixGenerator.testKey(test.file, test.title);
+      const startTime = startOf.get(test.sourceId);
+      const previous = results.get(key);
+      if (previous && previous.startTime > startTime) return;
+      if (!previous || previous.startTime < startTime) {
+        results.set(key, { file: test.file, title: test.title, tags: [], projects: [], startTime });
+      }
+
+      // One entry per spec, across every project it ran in
+      const result = results.get(key);
+      result.projects.push({ project: test.project, status: test.status, flaky: test.flaky });
+      result.status = worstStatus(result.projects.map((project) => project.status)) || 'not-run';
+      // The JSON reporter lists tags without their @
+      result.tags = [
+        ...new Set([
+          ...result.tags,
+          ...tagsIn(test.title),
+          ...tagsIn(test.tags.map((tag) => `@${tag.replace(/^@/, '')}`).join(' ')),
+        ]),
+      ];
+    });
+    return results;
+  }
+
+  /**
+   * Generate the HTML matrix
+   * @param {Object} matrix - Result of build()
+   * @returns {string} HTML
+   */
+  generateHTML(matrix) {
+    const { summary, gaps } = matrix;
+    const testsByKey = new Map(matrix.automatedTests.map((test) => [test.key, test]));
+    const badge = (status) => `<span class="status ${status}">${status}</span>`;
+    const testLink = (key) => {
+      const test = testsByKey.get(key);
+      return `<div>${badge(test.status)} ${escapeHtml(test.title)} <small>${escapeHtml(test.file)}</small></div>`;
+    };
+    const list = (items) =>
+      items.length > 0
+        ? `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : '<p>None</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Traceability Matrix</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f1f5f9; color: #334155; }
+        .container { max-width: 1400px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #0f766e 0%, #3b82f6 100%); color: white; padding: 30px; border-radius: 12px; margin-bottom: 30px; text-align: center; }
+        .header h1 { font-size: 2.5em; margin-bottom: 10px; }
+        .metrics-overview { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 20px; margin-bottom: 30px; }
+        .metric-card { background: white; padding: 20px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.05); }
+        .metric-card h3 { color: #0f766e; margin-bottom: 15px; }
+        .metric-value { font-size: 2em; font-weight: bold; color: #1e293b; }
+        .metric-label { font-size: 0.9em; color: #64748b; margin-top: 5px; }
+        .section { background: white; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.05); margin-bottom: 30px; overflow-x: auto; }
+        .section h2 { color: #0f766e; margin-bottom: 10px; }
+        .gaps { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 20px; }
+        .gaps ul { margin-left: 20px; font-size: 0.9em; }
+        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+        th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e2e8f0; font-size: 0.9em; vertical-align: top; }
+        th { color: #64748b; font-weight: 600; }
+        small { color: #64748b; }
+        .status { display: inline-block; padding: 2px 8px; border-radius: 12px; font-size: 0.8em; font-weight: bold; color: white; background: #94a3b8; }
+        .status.passed { background: #10b981; }
+        .status.failed { background: #ef4444; }
+        .status.skipped, .status.not-run, .status.manual-only { background: #f59e0b; }
+        .status.uncovered, .status.not-automated { background: #64748b; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🔗 Traceability Matrix</h1>
+            <p>Requirements → Test Cases → Automated Tests → Latest Results</p>
+            <p><small>Generated: ${new Date(matrix.generatedAt).toLocaleString()}</small></p>
+        </div>
+
+        <div class="metrics-overview">
+            <div class="metric-card">
+                <h3>Requirements</h3>
+                <div class="metric-value">${summary.requirements.passed}/${summary.requirements.total}</div>
+                <div class="metric-label">Passing • ${summary.requirements.failed} failing • ${summary.requirements.uncovered} uncovered</div>
+            </div>
+            <div class="metric-card">
+                <h3>Test Cases</h3>
+                <div class="metric-value">${summary.testCases.automated}/${summary.testCases.total}</div>
+                <div class="metric-label">Automated</div>
+            </div>
+            <div class="metric-card">
+                <h3>Automated Tests</h3>
+                <div class="metric-value">${summary.automatedTests.traced}/${summary.automatedTests.total}</div>
+                <div class="metric-label">Traced to a test case • ${summary.automatedTests.withResults} with results</div>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>Requirements</h2>
+            <table>
+                <thead><tr><th>Requirement</th><th>Description</th><th>Test Cases</th><th>Automated Tests</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${matrix.requirements
+                      .map(
+                        (requirement) => `<tr>
+                        <td>${escapeHtml(requirement.id)}</td>
+                        <td>${escapeHtml(requirement.description)}</td>
+                        <td>${requirement.testCases.map(escapeHtml).join(', ') || '—'}</td>
+                        <td>${requirement.automatedTests.map(testLink).join('') || '—'}</td>
+                        <td>${badge(requirement.status)}</td>
+                    </tr>`
+                      )
+                      .join('')}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Test Cases</h2>
+            <table>
+                <thead><tr><th>Test Case</th><th>Title</th><th>Priority</th><th>Requirements</th><th>Automated Tests</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${matrix.testCases
+                      .map(
+                        (testCase) => `<tr>
+                        <td>${escapeHtml(testCase.id)}</td>
+                        <td>${escapeHtml(testCase.title)}</td>
+                        <td>${escapeHtml(testCase.priority)}</td>
+                        <td>${testCase.requirements.map(escapeHtml).join(', ') || '—'}</td>
+                        <td>${testCase.automatedTests.map(testLink).join('') || '—'}</td>
+                        <td>${badge(testCase.status)}</td>
+                    </tr>`
+                      )
+                      .join('')}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Gaps</h2>
+            <div class="gaps">
+                <div><h3>Uncovered requirements</h3>${list(gaps.uncoveredRequirements)}</div>
+                <div><h3>Test cases without automation</h3>${list(gaps.notAutomatedTestCases)}</div>
+                <div><h3>Unknown references</h3>${list(gaps.unknownReferences.map((ref) => `${ref.id} (${ref.referencedBy})`))}</div>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>Automated Tests Without a Manual Case (${gaps.untracedAutomatedTests.length})</h2>
+            <p><small>Tag a test with the case it automates, e.g. <code>test('should log in @TC-AUTH-002', ...)</code></small></p>
+            ${list(gaps.untracedAutomatedTests)}
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+}
+
+function parseArgs(argv) {
+  const args = { results: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--requirements':
+        args.requirements = next();
+        break;
+      case '--test-cases':
+        args.testCases = next();
+        break;
+      case '--specs':
+        args.specs = next();
+        break;
+      case '--results':
+        args.results.push(next());
+        break;
+      case '--output-dir':
+        args.outputDir = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        break;
+    }
+  }
+  return args;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(`Usage: node scripts/reporting/traceability-matrix.js [options]
+
+Options:
+  --requirements <file>  Requirements document (default: ${DEFAULT_INPUTS.requirements})
+  --test-cases <dir>     Manual test cases (default: ${DEFAULT_INPUTS.testCases})
+  --specs <dir>          Playwright test root (default: ${DEFAULT_INPUTS.specs})
+  --results <path>       Playwright JSON report or directory; repeatable (default: ${DEFAULT_INPUTS.results})
+  --output-dir <dir>     Output directory (default: reports)
+`);
+    process.exit(0);
+  }
+
+  new TraceabilityMatrixGenerator(args).generate().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = TraceabilityMatrixGenerator;
@@ -0,0 +1,576 @@
+#!/usr/bin/env node
+
+/**
+ * Trend Explorer Generator
+ * Builds a self-contained interactive page (no external scripts) charting quality metrics over
+ * time from the run histories:
+ * - reports/metrics/historical-data.json (metrics-collector): pass rate, duration, flaky count,
+ *   p95 latency, accessibility and security scores; each point links to that run's metrics file
+ * - reports/test-history.json (ci/aggregate-results): pass rate, duration and flaky count per
+ *   environment, browser and suite; each point links to the CI run
+ *
+ * The page filters by environment/browser/suite, zooms to a date range (date inputs or drag on
+ * a chart) and opens a run's report when its point is clicked. Writes
+ * reports/dashboard/trends.html and the normalized runs to reports/dashboard/data/trend-history.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_INPUTS = {
+  metricsHistory: path.join('reports', 'metrics', 'historical-data.json'),
+  ciHistory: path.join('reports', 'test-history.json'),
+};
+
+const SOURCE_LABELS = {
+  ci: 'CI aggregate',
+  metrics: 'Metrics collector',
+};
+
+// Charted series; `filterable` ones are recomputed from the rows matching the active filters
+const SERIES = [
+  { key: 'passRate', label: 'Pass Rate', unit: '%', filterable: true },
+  { key: 'duration', label: 'Duration', unit: 'ms', filterable: true },
+  { key: 'flaky', label: 'Flaky Tests', unit: '', filterable: true },
+  { key: 'p95', label: 'p95 Latency', unit: 'ms', filterable: false },
+  { key: 'accessibility', label: 'Accessibility Score', unit: '', filterable: false },
+  { key: 'security', label: 'Security Score', unit: '', filterable: false },
+];
+
+const numberOrNull = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+
+// A zero score or latency in the collector means "not measured"
+const measured = (value) => (numberOrNull(value) > 0 ? Number(value) : null);
+
+const passRateOf = (passed, total) => (total > 0 ? Math.round((passed / total) * 1000) / 10 : null);
+
+/**
+ * @param {Object} stats - { total, passed, failed, skipped, flaky, duration }
+ * @param {Object} dimensions - { environment, browser, suite }
+ * @returns {Object} Breakdown row
+ */
+function toRow(stats, dimensions) {
+  return {
+    environment: dimensions.environment || null,
+    browser: dimensions.browser || null,
+    suite: dimensions.suite || null,
+    total: stats.total || 0,
+    passed: stats.passed || 0,
+    failed: stats.failed || 0,
+    skipped: stats.skipped || 0,
+    flaky: stats.flaky || 0,
+    duration: numberOrNull(stats.duration),
+  };
+}
+
+class TrendExplorerGenerator {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.metricsHistory - metrics-collector history file
+   * @param {string} options.ciHistory - aggregate-results history file
+   * @param {string} options.output - HTML output file (default reports/dashboard/trends.html)
+   */
+  constructor(options = {}) {
+    this.inputs = {
+      metricsHistory: options.metricsHistory || DEFAULT_INPUTS.metricsHistory,
+      ciHistory: options.ciHistory || DEFAULT_INPUTS.ciHistory,
+    };
+    this.output = options.output || path.join('reports', 'dashboard', 'trends.html');
+  }
+
+  /**
+   * Load both histories and write the page and its data
+   * @returns {Promise<Object>} { htmlPath, dataPath, runs }
+   */
+  async generate() {
+    console.log('📈 Building trend explorer...');
+    const runs = this.loadRuns();
+
+    const outputDir = path.dirname(this.output);
+    const dataPath = path.join(outputDir, 'data', 'trend-history.json');
+    await fs.promises.mkdir(path.dirname(dataPath), { recursive: true });
+    await fs.promises.writeFile(this.output, this.generateHTML(runs));
+    await fs.promises.writeFile(dataPath, JSON.stringify(runs, null, 2));
+
+    if (runs.length === 0) {
+      console.warn(
+        `⚠️  No run history found in ${this.inputs.metricsHistory} or ${this.inputs.ciHistory}`
+      );
+    } else {
+      console.log(`📊 ${runs.length} runs from ${runs[0].timestamp} to ${runs.at(-1).timestamp}`);
+    }
+    console.log(`📄 Trend Explorer: ${this.output}`);
+    return { htmlPath: this.output, dataPath, runs };
+  }
+
+  /**
+   * @returns {Object[]} Normalized runs from both histories, oldest first
+   */
+  loadRuns() {
+    const metricsDir = path.dirname(this.inputs.metricsHistory);
+    const runs = [
+      ...this.readHistory(this.inputs.metricsHistory).map((entry) =>
+        this.fromMetricsEntry(entry, metricsDir)
+      ),
+      ...this.readHistory(this.inputs.ciHistory).map((entry) => this.fromCiEntry(entry)),
+    ];
+
+    return runs
+      .filter((run) => !Number.isNaN(Date.parse(run.timestamp)))
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  readHistory(file) {
+    if (!fs.existsSync(file)) return [];
+    try {
+      const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(history) ? history : [];
+    } catch (error) {
+      console.warn(`Skipping unreadable history ${file}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * @param {Object} entry - metrics-collector metrics snapshot
+   * @param {string} metricsDir - Directory holding the per-run metrics-<timestamp>.json files
+   * @returns {Object} Normalized run
+   */
+  fromMetricsEntry(entry, metricsDir) {
+    const execution = entry.testExecution || {};
+    const ui = execution.ui || {};
+    const api = execution.api || {};
+    const environment = entry.environment?.environment || null;
+    const total = (ui.total || 0) + (api.total || 0);
+    const passed = (ui.passed || 0) + (api.passed || 0);
+
+    const rows = [];
+    const browsers = Object.entries(ui.browsers || {});
+    if (browsers.length > 0) {
+      browsers.forEach(([browser, stats]) => {
+        rows.push(toRow({ ...stats, duration: null }, { environment, browser, suite: 'UI' }));
+      });
+    } else if (ui.total > 0) {
+      rows.push(toRow(ui, { environment, suite: 'UI' }));
+    }
+    Object.entries(api.collections || {}).forEach(([collection, stats]) => {
+      rows.push(toRow(stats, { environment, suite: collection }));
+    });
+
+    const reportFile = path.join(
+      metricsDir,
+      `metrics-${String(entry.timestamp).replace(/[:.]/g, '-')}.json`
+    );
+
+    return {
+      id: `metrics:${entry.timestamp}`,
+      source: 'metrics',
+      timestamp: entry.timestamp,
+      reportUrl: fs.existsSync(reportFile) ? this.linkTo(reportFile) : null,
+      passRate: passRateOf(passed, total),
+      duration: (ui.duration || 0) + (api.duration || 0) || null,
+      flaky: ui.flaky ?? null,
+      p95: measured(execution.performance?.p95ResponseTime),
+      accessibility: measured(execution.accessibility?.wcagCompliance),
+      security: measured(execution.security?.securityScore),
+      rows,
+    };
+  }
+
+  /**
+   * @param {Object} entry - aggregate-results history entry
+   * @returns {Object} Normalized run
+   */
+  fromCiEntry(entry) {
+    // Entries written before the breakdown was recorded have totals only; filters skip them
+    const rows = (entry.breakdown || []).map((row) => toRow(row, row));
+
+    return {
+      id: `ci:${entry.metadata?.githubRunId || entry.timestamp}`,
+      source: 'ci',
+      timestamp: entry.timestamp,
+      reportUrl: entry.reportUrl || null,
+      passRate: numberOrNull(entry.passRate) ?? passRateOf(entry.passed, entry.total),
+      duration: numberOrNull(entry.duration),
+      flaky: numberOrNull(entry.flaky),
+      p95: null,
+      accessibility: null,
+      security: null,
+      rows,
+    };
+  }
+
+  /**
+   * @param {string} file - File to link to
+   * @returns {string} URL relative to the page
+   */
+  linkTo(file) {
+    return path.relative(path.dirname(this.output), file).split(path.sep).join('/');
+  }
+
+  /**
+   * @param {Object[]} runs - Normalized runs
+   * @returns {string} Self-contained HTML page
+   */
+  generateHTML(runs) {
+    const data = JSON.stringify({ runs, series: SERIES, sources: SOURCE_LABELS }).replace(
+      /</g,
+      '\\u003c'
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Trend Explorer</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f7fa; color: #333; }
+    header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 1.5rem 2rem; }
+    header h1 { margin: 0 0 0.25rem; }
+    header a { color: white; }
+    .toolbar { display: flex; flex-wrap: wrap; gap: 1rem; align-items: flex-end; padding: 1rem 2rem; background: white; box-shadow: 0 2px 4px rgba(0,0,0,0.06); position: sticky; top: 0; z-index: 1; }
+    .toolbar label { display: flex; flex-direction: column; font-size: 0.8rem; color: #555; gap: 0.25rem; }
+    .toolbar select, .toolbar input, .toolbar button { padding: 0.35rem 0.5rem; border: 1px solid #cbd5e0; border-radius: 4px; font: inherit; background: white; }
+    .toolbar button { cursor: pointer; }
+    .legend { display: flex; gap: 1rem; font-size: 0.85rem; margin-left: auto; }
+    .legend span::before { content: ''; display: inline-block; width: 12px; height: 12px; border-radius: 50%; margin-right: 0.35rem; vertical-align: -1px; background: var(--color); }
+    main { padding: 1.5rem 2rem; }
+    .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(480px, 1fr)); gap: 1.5rem; }
+    .chart { background: white; border-radius: 10px; padding: 1rem; box-shadow: 0 4px 6px rgba(0,0,0,0.08); }
+    .chart h2 { font-size: 1rem; margin: 0 0 0.5rem; display: flex; justify-content: space-between; }
+    .chart h2 small { font-weight: normal; color: #718096; }
+    .chart svg { width: 100%; height: auto; cursor: crosshair; user-select: none; }
+    .chart .empty { fill: #a0aec0; font-size: 13px; }
+    .axis { stroke: #e2e8f0; }
+    .tick { fill: #718096; font-size: 11px; }
+    .point { cursor: pointer; }
+    .point.no-report { cursor: default; }
+    .brush { fill: rgba(102, 126, 234, 0.15); stroke: #667eea; }
+    table { width: 100%; border-collapse: collapse; background: white; border-radius: 10px; overflow: hidden; margin-top: 1.5rem; box-shadow: 0 4px 6px rgba(0,0,0,0.08); }
+    th, td { padding: 0.5rem 0.75rem; text-align: left; border-bottom: 1px solid #edf2f7; font-size: 0.85rem; }
+    th { background: #f7fafc; }
+    .hint { color: #718096; font-size: 0.85rem; margin: 0 0 1rem; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>📈 Trend Explorer</h1>
+    <div>${runs.length} runs · generated ${new Date().toISOString()} · <a href="index.html">Dashboard</a></div>
+  </header>
+  <div class="toolbar">
+    <label>Environment <select id="filter-environment" data-dimension="environment"></select></label>
+    <label>Browser <select id="filter-browser" data-dimension="browser"></select></label>
+    <label>Suite <select id="filter-suite" data-dimension="suite"></select></label>
+    <label>From <input type="date" id="range-from"></label>
+    <label>To <input type="date" id="range-to"></label>
+    <button id="reset">Reset zoom &amp; filters</button>
+    <div class="legend" id="legend"></div>
+  </div>
+  <main>
+    <p class="hint">Drag across a chart to zoom into a date range. Click a point to open that run's report.
+      Filters recompute pass rate, duration and flaky count from the matching environment/browser/suite results;
+      latency and scores are whole-run values, shown for runs with matching results.</p>
+    <div class="charts" id="charts"></div>
+    <table>
+      <thead><tr><th>Run</th><th>Source</th><th>Pass Rate</th><th>Duration</th><th>Flaky</th><th>Report</th></tr></thead>
+      <tbody id="runs"></tbody>
+    </table>
+  </main>
+  <script type="application/json" id="trend-data">${data}</script>
+  <script>
+    const { runs, series, sources } = JSON.parse(document.getElementById('trend-data').textContent);
+    const COLORS = { ci: '#3182ce', metrics: '#dd6b20' };
+    const WIDTH = 560;
+    const HEIGHT = 220;
+    const PAD = { top: 12, right: 16, bottom: 28, left: 52 };
+    const DAY = 24 * 60 * 60 * 1000;
+    const dimensions = ['environment', 'browser', 'suite'];
+    const state = { filters: {}, from: null, to: null };
+
+    runs.forEach((run) => (run.time = Date.parse(run.timestamp)));
+    const bounds = runs.length
+      ? [runs[0].time, runs[runs.length - 1].time]
+      : [Date.now() - DAY, Date.now()];
+
+    const escapeHtml = (value) =>
+      String(value == null ? '' : value).replace(/[&<>"']/g, (char) =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+      );
+
+    function formatValue(value, unit) {
+      if (value == null) return '—';
+      if (unit === 'ms') return value >= 1000 ? (value / 1000).toFixed(1) + 's' : Math.round(value) + 'ms';
+      if (unit === '%') return value.toFixed(1) + '%';
+      return String(Math.round(value * 10) / 10);
+    }
+
+    function matchingRows(run) {
+      return run.rows.filter((row) =>
+        dimensions.every((dimension) => !state.filters[dimension] || row[dimension] === state.filters[dimension])
+      );
+    }
+
+    function filtersActive() {
+      return dimensions.some((dimension) => state.filters[dimension]);
+    }
+
+    // Value of a series for a run under the active filters; null when the run has no matching results
+    function valueOf(run, serie) {
+      if (!filtersActive()) return run[serie.key];
+      const rows = matchingRows(run);
+      if (rows.length === 0) return null;
+      if (!serie.filterable) return run[serie.key];
+
+      if (serie.key === 'passRate') {
+        const total = rows.reduce((sum, row) => sum + row.total, 0);
+        const passed = rows.reduce((sum, row) => sum + row.passed, 0);
+        return total > 0 ? (passed / total) * 100 : null;
+      }
+      const values = rows.map((row) => row[serie.key]).filter((value) => value != null);
+      return values.length ? values.reduce((sum, value) => sum + value, 0) : null;
+    }
+
+    function visibleRuns() {
+      const from = state.from == null ? -Infinity : state.from;
+      const to = state.to == null ? Infinity : state.to;
+      return runs.filter((run) => run.time >= from && run.time <= to);
+    }
+
+    function renderChart(serie, visible) {
+      const [from, to] = [
+        state.from == null ? bounds[0] : state.from,
+        state.to == null ? bounds[1] : state.to,
+      ];
+      const span = Math.max(to - from, 1);
+      const points = visible
+        .map((run) => ({ run, value: valueOf(run, serie) }))
+        .filter((point) => point.value != null);
+
+      const card = document.createElement('div');
+      card.className = 'chart';
+      const latest = points.length ? formatValue(points[points.length - 1].value, serie.unit) : '—';
+      card.innerHTML = '<h2>' + escapeHtml(serie.label) + ' <small>latest ' + latest + '</small></h2>';
+
+      const ns = 'http://www.w3.org/2000/svg';
+      const svg = document.createElementNS(ns, 'svg');
+      svg.setAttribute('viewBox', '0 0 ' + WIDTH + ' ' + HEIGHT);
+      const add = (tag, attributes, parent) => {
+        const element = document.createElementNS(ns, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        (parent || svg).appendChild(element);
+        return element;
+      };
+
+      const plotWidth = WIDTH - PAD.left - PAD.right;
+      const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+      const values = points.map((point) => point.value);
+      let min = serie.unit === '%' ? 0 : Math.min(0, ...values);
+      let max = serie.unit === '%' ? 100 : Math.max(1, ...values);
+      if (max === min) max = min + 1;
+      const x = (time) => PAD.left + ((time - from) / span) * plotWidth;
+      const y = (value) => PAD.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+      [0, 0.5, 1].forEach((fraction) => {
+        const value = min + (max - min) * fraction;
+        add('line', { class: 'axis', x1: PAD.left, x2: WIDTH - PAD.right, y1: y(value), y2: y(value) });
+        add('text', { class: 'tick', x: PAD.left - 6, y: y(value) + 4, 'text-anchor': 'end' }).textContent =
+          formatValue(value, serie.unit);
+      });
+      [from, from + span / 2, to].forEach((time, index) => {
+        add('text', {
+          class: 'tick',
+          x: x(time),
+          y: HEIGHT - 8,
+          'text-anchor': ['start', 'middle', 'end'][index],
+        }).textContent = new Date(time).toISOString().slice(0, 10);
+      });
+
+      if (points.length === 0) {
+        add('text', { class: 'empty', x: WIDTH / 2, y: HEIGHT / 2, 'text-anchor': 'middle' }).textContent =
+          'No data for this selection';
+      }
+
+      Object.keys(sources).forEach((source) => {
+        const sourcePoints = points.filter((point) => point.run.source === source);
+        if (sourcePoints.length === 0) return;
+        add('polyline', {
+          fill: 'none',
+          stroke: COLORS[source],
+          'stroke-width': 2,
+          points: sourcePoints.map((point) => x(point.run.time) + ',' + y(point.value)).join(' '),
+        });
+        sourcePoints.forEach((point) => {
+          const circle = add('circle', {
+            class: 'point' + (point.run.reportUrl ? '' : ' no-report'),
+            cx: x(point.run.time),
+            cy: y(point.value),
+            r: 4,
+            fill: COLORS[source],
+          });
+          add('title', {}, circle).textContent =
+            point.run.timestamp + ' · ' + sources[source] + '\\n' + serie.label + ': ' +
+            formatValue(point.value, serie.unit) + (point.run.reportUrl ? '\\nClick to open the report' : '');
+          circle.addEventListener('mousedown', (event) => event.stopPropagation());
+          circle.addEventListener('click', () => {
+            if (point.run.reportUrl) window.open(point.run.reportUrl, '_blank');
+          });
+        });
+      });
+
+      // Drag to zoom
+      const toSvgX = (event) => {
+        const box = svg.getBoundingClientRect();
+        return ((event.clientX - box.left) / box.width) * WIDTH;
+      };
+      let brush = null;
+      let startX = 0;
+      svg.addEventListener('mousedown', (event) => {
+        startX = toSvgX(event);
+        brush = add('rect', { class: 'brush', x: startX, y: PAD.top, width: 0, height: plotHeight });
+      });
+      svg.addEventListener('mousemove', (event) => {
+        if (!brush) return;
+        const current = toSvgX(event);
+        brush.setAttribute('x', Math.min(startX, current));
+        brush.setAttribute('width', Math.abs(current - startX));
+      });
+      const finish = (event) => {
+        if (!brush) return;
+        const endX = toSvgX(event);
+        brush.remove();
+        brush = null;
+        if (Math.abs(endX - startX) < 5) return;
+        const toTime = (svgX) => from + ((Math.min(Math.max(svgX, PAD.left), WIDTH - PAD.right) - PAD.left) / plotWidth) * span;
+        state.from = toTime(Math.min(startX, endX));
+        state.to = toTime(Math.max(startX, endX));
+        render();
+      };
+      svg.addEventListener('mouseup', finish);
+      svg.addEventListener('mouseleave', finish);
+
+      card.appendChild(svg);
+      return card;
+    }
+
+    function renderTable(visible) {
+      const [passRate, duration, flaky] = ['passRate', 'duration', 'flaky'].map((key) =>
+        series.find((serie) => serie.key === key)
+      );
+      document.getElementById('runs').innerHTML = visible
+        .filter((run) => !filtersActive() || matchingRows(run).length > 0)
+        .slice()
+        .reverse()
+        .map((run) =>
+          '<tr><td>' + escapeHtml(run.timestamp) + '</td><td>' + escapeHtml(sources[run.source]) +
+          '</td><td>' + formatValue(valueOf(run, passRate), '%') +
+          '</td><td>' + formatValue(valueOf(run, duration), 'ms') +
+          '</td><td>' + formatValue(valueOf(run, flaky), '') +
+          '</td><td>' + (run.reportUrl ? '<a href="' + escapeHtml(run.reportUrl) + '" target="_blank">Open</a>' : '—') +
+          '</td></tr>'
+        )
+        .join('');
+    }
+
+    function render() {
+      const toDateInput = (time) => (time == null ? '' : new Date(time).toISOString().slice(0, 10));
+      document.getElementById('range-from').value = toDateInput(state.from);
+      document.getElementById('range-to').value = toDateInput(state.to);
+
+      const visible = visibleRuns();
+      const charts = document.getElementById('charts');
+      charts.innerHTML = '';
+      series.forEach((serie) => charts.appendChild(renderChart(serie, visible)));
+      renderTable(visible);
+    }
+
+    dimensions.forEach((dimension) => {
+      const select = document.getElementById('filter-' + dimension);
+      const values = [...new Set(runs.flatMap((run) => run.rows.map((row) => row[dimension])))]
+        .filter((value) => value != null)
+        .sort();
+      select.innerHTML = '<option value="">All</option>' +
+        values.map((value) => '<option>' + escapeHtml(value) + '</option>').join('');
+      select.disabled = values.length === 0;
+      select.addEventListener('change', () => {
+        state.filters[dimension] = select.value || null;
+        render();
+      });
+    });
+
+    document.getElementById('range-from').addEventListener('change', (event) => {
+      state.from = event.target.value ? Date.parse(event.target.value) : null;
+      render();
+    });
+    document.getElementById('range-to').addEventListener('change', (event) => {
+      state.to = event.target.value ? Date.parse(event.target.value) + DAY - 1 : null;
+      render();
+    });
+    document.getElementById('reset').addEventListener('click', () => {
+      state.filters = {};
+      state.from = null;
+      state.to = null;
+      dimensions.forEach((dimension) => (document.getElementById('filter-' + dimension).value = ''));
+      render();
+    });
+
+    document.getElementById('legend').innerHTML = Object.entries(sources)
+      .filter(([source]) => runs.some((run) => run.source === source))
+      .map(([source, label]) => '<span style="--color: ' + COLORS[source] + '">' + escapeHtml(label) + '</span>')
+      .join('');
+
+    render();
+  </script>
+</body>
+</html>`;
+  }
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--metrics-history':
+        args.metricsHistory = next();
+        break;
+      case '--ci-history':
+        args.ciHistory = next();
+        break;
+      case '--output':
+        args.output = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        break;
+    }
+  }
+  return args;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(`Usage: node scripts/reporting/trend-explorer.js [options]
+
+Options:
+  --metrics-history <file>  metrics-collector history (default: ${DEFAULT_INPUTS.metricsHistory})
+  --ci-history <file>       CI aggregate history (default: ${DEFAULT_INPUTS.ciHistory})
+  --output <file>           HTML output (default: reports/dashboard/trends.html)
+`);
+    process.exit(0);
+  }
+
+  new TrendExplorerGenerator(args).generate().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = TrendExplorerGenerator;
@@ -0,0 +1,399 @@
+// @ts-check
+/**
+ * Result Run
+ * The canonical result model every reporter reads. A run is what one or more result files say
+ * about a test execution, normalized by the ingesters in ./ingesters:
+ * - sources: the files read, with their tool and environment
+ * - suites: files, describe blocks, collections and requests, JUnit testsuites
+ * - tests: one per test and project (browser), with attempts (retries) and attachments
+ * - metrics: latency and error rate per load test scenario and per endpoint/transaction
+ * - findings: accessibility violations and security alerts
+ *
+ * Serialized runs follow schema/run.schema.json; SCHEMA_VERSION is bumped on every change to it
+ * (major for breaking changes).
+ */
+
+const SCHEMA_VERSION = '1.0.0';
+
+const TEST_STATUSES = ['passed', 'failed', 'skipped'];
+
+// Shared severity scale for findings, most severe first
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// Suite types reporters break results down by
+const CATEGORIES = ['ui', 'api', 'performance', 'accessibility', 'security'];
+
+// Tools whose scenario metrics are load tests (newman timings are functional runs)
+const LOAD_SOURCES = ['k6', 'jmeter'];
+
+/**
+ * Test category from the tool and spec location, e.g. automated-tests/security-tests/ specs are
+ * security tests
+ * @param {{ source: string, file?: string | null }} test - Test
+ * @returns {string} One of CATEGORIES
+ */
+function categoryOf(test) {
+  if (test.source === 'newman') return 'api';
+  if (test.source === 'k6' || test.source === 'jmeter') return 'performance';
+  const directories = (test.file || '').toLowerCase().split(/[\\/]/).slice(0, -1);
+  return (
+    CATEGORIES.slice(1).find(
+      (category) => directories.includes(category) || directories.includes(`${category}-tests`)
+    ) || 'ui'
+  );
+}
+
+/**
+ * @param {any} value - Date string or epoch ms
+ * @returns {string | null} ISO timestamp
+ */
+function isoTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Count tests by status
+ * @param {Object[]} tests - Canonical tests
+ * @returns {{ total: number, passed: number, failed: number, skipped: number, flaky: number,
+ *   duration: number, passRate: number }} Tally; flaky tests count as passed, and the pass rate is
+ *   passed / total in percent with one decimal
+ */
+function tally(tests) {
+  const counts = { total: 0, passed: 0, failed: 0, skipped: 0, flaky: 0, duration: 0, passRate: 0 };
+  tests.forEach((test) => {
+    counts.total++;
+    counts[test.status]++;
+    if (test.flaky) counts.flaky++;
+    counts.duration += test.duration || 0;
+  });
+  counts.passRate = counts.total > 0 ? Math.round((counts.passed / counts.total) * 1000) / 10 : 0;
+  return counts;
+}
+
+class ResultRun {
+  /**
+   * @param {Object} options - Options
+   * @param {string} [options.id] - Run id (default: run-<epoch ms>)
+   * @param {Object} [options.metadata] - Free-form run metadata, e.g. CI details
+   */
+  constructor(options = {}) {
+    this.schemaVersion = SCHEMA_VERSION;
+    this.id = options.id || `run-${Date.now()}`;
+    this.createdAt = new Date().toISOString();
+    /** @type {string | null} */
+    this.startedAt = null;
+    this.metadata = options.metadata || {};
+    /** @type {any[]} */
+    this.sources = [];
+    /** @type {any[]} */
+    this.suites = [];
+    /** @type {any[]} */
+    this.tests = [];
+    /** @type {any[]} */
+    this.metrics = [];
+    /** @type {any[]} */
+    this.findings = [];
+    /** @type {{ file: string, message: string }[]} */
+    this.errors = [];
+  }
+
+  /**
+   * @param {Object} source - { type, file, environment, startedAt, duration }
+   * @returns {Object} Source with its id
+   */
+  addSource(source) {
+    const entry = {
+      id: `source-${this.sources.length + 1}`,
+      type: source.type,
+      file: source.file || null,
+      environment: source.environment || null,
+      startedAt: isoTimestamp(source.startedAt),
+      duration: source.duration ?? null,
+    };
+    this.sources.push(entry);
+    if (entry.startedAt && (!this.startedAt || entry.startedAt < this.startedAt)) {
+      this.startedAt = entry.startedAt;
+    }
+    return entry;
+  }
+
+  /**
+   * @param {Object} source - Source the suite was read from
+   * @param {Object} suite - { name, file, parentId }
+   * @returns {Object} Suite with its id
+   */
+  addSuite(source, suite) {
+    const entry = {
+      id: `suite-${this.suites.length + 1}`,
+      sourceId: source.id,
+      parentId: suite.parentId || null,
+      name: suite.name,
+      file: suite.file || null,
+    };
+    this.suites.push(entry);
+    return entry;
+  }
+
+  /**
+   * @param {Object} source - Source the test was read from
+   * @param {Object} test - { suiteId, title, titlePath, file, project, status, flaky, duration,
+   *   startTime, error, tags, attempts, attachments }
+   * @returns {Object} Test with its id, key and category
+   */
+  addTest(source, test) {
+    if (!TEST_STATUSES.includes(test.status)) {
+      throw new Error(`Unknown test status "${test.status}" for ${test.title}`);
+    }
+    const titlePath = test.titlePath || [test.title];
+    const entry = {
+      id: `test-${this.tests.length + 1}`,
+      // Identity across runs: file, title path and project
+      key:
+        [test.file, ...titlePath].filter(Boolean).join(' › ') +
+        (test.project ? ` [${test.project}]` : ''),
+      sourceId: source.id,
+      suiteId: test.suiteId || null,
+      source: source.type,
+      category: '',
+      file: test.file || null,
+      title: test.title,
+      titlePath,
+      project: test.project || null,
+      environment: source.environment,
+      status: test.status,
+      flaky: Boolean(test.flaky),
+      duration: test.duration ?? null,
+      startTime: isoTimestamp(test.startTime),
+      error: test.error || null,
+      tags: test.tags || [],
+      attempts: test.attempts || [],
+      attachments: test.attachments || [],
+    };
+    entry.category = categoryOf(entry);
+    this.tests.push(entry);
+    return entry;
+  }
+
+  /**
+   * @param {Object} source - Source the metric was read from
+   * @param {Object} metric - { scenario, name, scope, samples, errors, errorRate, throughput,
+   *   stats: { min, avg, med, p90, p95, p99, max } }; scope is 'scenario' for a whole load test
+   *   and 'endpoint' for one request or transaction within it
+   * @returns {Object} Metric with its id and key
+   */
+  addMetric(source, metric) {
+    const stats = metric.stats || {};
+    const entry = {
+      id: `metric-${this.metrics.length + 1}`,
+      key: [source.type, metric.scenario, metric.scope === 'endpoint' ? metric.name : null]
+        .filter(Boolean)
+        .join(' › '),
+      sourceId: source.id,
+      source: source.type,
+      environment: source.environment,
+      scenario: metric.scenario,
+      name: metric.name,
+      scope: metric.scope,
+      unit: 'ms',
+      samples: metric.samples ?? null,
+      errors: metric.errors ?? null,
+      errorRate: metric.errorRate ?? null,
+      throughput: metric.throughput ?? null,
+      stats: {
+        min: stats.min ?? null,
+        avg: stats.avg ?? null,
+        med: stats.med ?? null,
+        p90: stats.p90 ?? null,
+        p95: stats.p95 ?? null,
+        p99: stats.p99 ?? null,
+        max: stats.max ?? null,
+      },
+    };
+    this.metrics.push(entry);
+    return entry;
+  }
+
+  /**
+   * @param {Object} source - Source the finding was read from
+   * @param {Object} finding - { kind, rule, severity, level, location, description }; severity is
+   *   on the shared scale, level is the tool's own (axe impact, SARIF level, ZAP risk)
+   * @returns {Object} Finding with its id and key
+   */
+  addFinding(source, finding) {
+    if (!SEVERITIES.includes(finding.severity)) {
+      throw new Error(`Unknown finding severity "${finding.severity}" for ${finding.rule}`);
+    }
+    const entry = {
+      id: `finding-${this.findings.length + 1}`,
+      key: [finding.kind, finding.rule, finding.location].join(' › '),
+      sourceId: source.id,
+      source: source.type,
+      environment: source.environment,
+      kind: finding.kind,
+      rule: finding.rule,
+      severity: finding.severity,
+      level: finding.level ?? null,
+      location: finding.location || '',
+      description: finding.description || '',
+    };
+    this.findings.push(entry);
+    return entry;
+  }
+
+  /**
+   * @param {(test: Object) => boolean} [filter] - Tests to count (default all)
+   * @returns {ReturnType<typeof tally>} Test tally
+   */
+  summary(filter) {
+    return tally(filter ? this.tests.filter(filter) : this.tests);
+  }
+
+  /**
+   * Tally tests per value of a field, e.g. groupBy('project') for per-browser results
+   * @param {string | ((test: Object) => string)} field - Test field or key function
+   * @returns {Record<string, ReturnType<typeof tally>>} Tally per value
+   */
+  groupBy(field) {
+    const keyOf = typeof field === 'function' ? field : (test) => test[field] ?? 'unknown';
+    /** @type {Record<string, Object[]>} */
+    const groups = {};
+    this.tests.forEach((test) => {
+      const key = keyOf(test);
+      (groups[key] = groups[key] || []).push(test);
+    });
+    return Object.fromEntries(Object.entries(groups).map(([key, tests]) => [key, tally(tests)]));
+  }
+
+  /**
+   * @param {string} kind - accessibility or security
+   * @returns {Record<string, number>} Finding count per severity
+   */
+  findingCounts(kind) {
+    /** @type {Record<string, number>} */
+    const counts = Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]));
+    this.findings
+      .filter((finding) => finding.kind === kind)
+      .forEach((finding) => counts[finding.severity]++);
+    return counts;
+  }
+
+  /**
+   * @returns {Object[]} Whole-scenario metrics of the k6 and JMeter load tests
+   */
+  loadScenarios() {
+    return this.metrics.filter(
+      (metric) => metric.scope === 'scenario' && LOAD_SOURCES.includes(metric.source)
+    );
+  }
+
+  /**
+   * Load test figures across all scenarios
+   * @returns {{ scenarios: number, requests: number, errors: number, errorRate: number,
+   *   avg: number, p90: number, p95: number, throughput: number }} Request and error totals,
+   *   error rate in percent, sample-weighted average latency, worst p90/p95 and total throughput
+   */
+  loadSummary() {
+    const scenarios = this.loadScenarios();
+    const requests = scenarios.reduce((sum, metric) => sum + (metric.samples || 0), 0);
+    const errors = scenarios.reduce((sum, metric) => sum + (metric.errors || 0), 0);
+    const weighted = scenarios.reduce(
+      (sum, metric) => sum + (metric.stats.avg || 0) * (metric.samples || 0),
+      0
+    );
+    const worst = (/** @type {string} */ stat) =>
+      Math.max(0, ...scenarios.map((metric) => metric.stats[stat] || 0));
+    return {
+      scenarios: scenarios.length,
+      requests,
+      errors,
+      errorRate: requests > 0 ? Math.round((errors / requests) * 10000) / 100 : 0,
+      avg: requests > 0 ? Math.round(weighted / requests) : 0,
+      p90: worst('p90'),
+      p95: worst('p95'),
+      throughput:
+        Math.round(scenarios.reduce((sum, metric) => sum + (metric.throughput || 0), 0) * 100) /
+        100,
+    };
+  }
+
+  /**
+   * Start of the latest source the given entries were read from
+   * @param {{ sourceId: string }[]} entries - Tests, metrics or findings
+   * @returns {string | null} ISO timestamp
+   */
+  lastRunOf(entries) {
+    const ids = new Set(entries.map((entry) => entry.sourceId));
+    const starts = this.sources
+      .filter((source) => ids.has(source.id) && source.startedAt)
+      .map((source) => source.startedAt)
+      .sort();
+    return starts[starts.length - 1] || null;
+  }
+
+  /**
+   * Top-level suite of a test: the spec file, newman collection or JUnit testsuite
+   * @param {Object} test - Canonical test
+   * @returns {Object | null} Suite
+   */
+  rootSuiteOf(test) {
+    let suite = this.suites.find((candidate) => candidate.id === test.suiteId);
+    while (suite?.parentId) {
+      const parentId = suite.parentId;
+      suite = this.suites.find((candidate) => candidate.id === parentId);
+    }
+    return suite || null;
+  }
+
+  toJSON() {
+    return {
+      schemaVersion: this.schemaVersion,
+      id: this.id,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      metadata: this.metadata,
+      sources: this.sources,
+      suites: this.suites,
+      tests: this.tests,
+      metrics: this.metrics,
+      findings: this.findings,
+      errors: this.errors,
+    };
+  }
+
+  /**
+   * Revive a serialized run
+   * @param {Object} data - toJSON() output
+   * @returns {ResultRun} Run
+   */
+  static fromJSON(data) {
+    const major = String(data.schemaVersion || '').split('.')[0];
+    if (major !== SCHEMA_VERSION.split('.')[0]) {
+      throw new Error(
+        `Unsupported result schema version ${data.schemaVersion} (expected ${SCHEMA_VERSION})`
+      );
+    }
+    const run = new ResultRun({ id: data.id, metadata: data.metadata });
+    Object.assign(run, {
+      createdAt: data.createdAt,
+      startedAt: data.startedAt ?? null,
+      sources: data.sources || [],
+      suites: data.suites || [],
+      tests: data.tests || [],
+      metrics: data.metrics || [],
+      findings: data.findings || [],
+      errors: data.errors || [],
+    });
+    return run;
+  }
+}
+
+module.exports = ResultRun;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.LOAD_SOURCES = LOAD_SOURCES;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.TEST_STATUSES = TEST_STATUSES;
+module.exports.categoryOf = categoryOf;
+module.exports.tally = tally;
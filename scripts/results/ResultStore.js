@@ -0,0 +1,225 @@
+// @ts-check
+/**
+ * Result Store
+ * Local, uncapped history of canonical runs (see ResultRun.js). Every run is appended to one
+ * table per entity, as newline-delimited JSON under reports/history/:
+ * - runs.ndjson: one row per run with its totals and CI metadata
+ * - tests.ndjson: one row per test execution (status, duration, retries, error)
+ * - attempts.ndjson: one row per try of a test
+ * - metrics.ndjson: latency and error rate per load test scenario and endpoint
+ * - findings.ndjson: accessibility and security findings
+ *
+ * Rows are only ever appended, so a store can be cached between CI runs and merged by
+ * concatenation. Every row carries its runId and the run's startedAt for time-based queries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tally } = require('./ResultRun');
+
+const DEFAULT_STORE_DIR = path.join('reports', 'history');
+
+const TABLES = ['runs', 'tests', 'attempts', 'metrics', 'findings'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string | null} error - Test error
+ * @returns {string | null} First line, at most 500 characters
+ */
+function firstLine(error) {
+  return error ? error.split('\n')[0].slice(0, 500) : null;
+}
+
+/**
+ * Start of a time window
+ * @param {string} value - ISO date, <N>d or <N>h back from now, or "month" for the calendar month
+ * @param {number} [now] - Reference time (epoch ms)
+ * @returns {string} ISO timestamp
+ */
+function parseSince(value, now = Date.now()) {
+  const relative = /^(\d+)([dh])$/.exec(value);
+  if (relative) {
+    const unit = relative[2] === 'd' ? DAY : DAY / 24;
+    return new Date(now - Number(relative[1]) * unit).toISOString();
+  }
+  if (value === 'month') {
+    const date = new Date(now);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString();
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}" (use an ISO date, <N>d, <N>h or month)`);
+  }
+  return date.toISOString();
+}
+
+class ResultStore {
+  /**
+   * @param {string} [dir] - Store directory (default reports/history)
+   */
+  constructor(dir = DEFAULT_STORE_DIR) {
+    this.dir = dir;
+    /** @type {Record<string, any[]>} */
+    this.cache = {};
+  }
+
+  /**
+   * @param {string} table - One of TABLES
+   * @returns {string} Table file
+   */
+  fileOf(table) {
+    return path.join(this.dir, `${table}.ndjson`);
+  }
+
+  /**
+   * All rows of a table; lines that do not parse (e.g. a write cut short) are skipped
+   * @param {string} table - One of TABLES
+   * @returns {any[]} Rows in append order
+   */
+  read(table) {
+    if (!TABLES.includes(table)) throw new Error(`Unknown table "${table}"`);
+    if (!this.cache[table]) {
+      const file = this.fileOf(table);
+      const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n') : [];
+      this.cache[table] = lines.flatMap((line) => {
+        if (!line.trim()) return [];
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+    }
+    return this.cache[table];
+  }
+
+  /**
+   * @param {string} runId - Run id
+   * @returns {boolean} Whether the run is stored
+   */
+  has(runId) {
+    return this.read('runs').some((row) => row.runId === runId);
+  }
+
+  /**
+   * Append a run to every table
+   * @param {import('./ResultRun')} run - Canonical run
+   * @returns {Record<string, number> | null} Rows appended per table, or null when the run id is
+   *   already stored
+   */
+  append(run) {
+    if (this.has(run.id)) return null;
+
+    const runId = run.id;
+    const startedAt = run.startedAt || run.createdAt;
+    const rows = {
+      runs: [
+        {
+          runId,
+          startedAt,
+          createdAt: run.createdAt,
+          environments: [...new Set(run.sources.map((source) => source.environment))].filter(
+            Boolean
+          ),
+          sources: run.sources.map((source) => source.type),
+          metadata: run.metadata,
+          summary: tally(run.tests),
+          metrics: run.metrics.length,
+          findings: run.findings.length,
+        },
+      ],
+      tests: run.tests.map((test) => ({
+        runId,
+        startedAt,
+        key: test.key,
+        source: test.source,
+        category: test.category,
+        environment: test.environment,
+        file: test.file,
+        title: test.title,
+        suite: test.titlePath.slice(0, -1).join(' › ') || null,
+        project: test.project,
+        status: test.status,
+        flaky: test.flaky,
+        duration: test.duration,
+        attempts: test.attempts.length,
+        error: firstLine(test.error),
+      })),
+      attempts: run.tests.flatMap((test) =>
+        test.attempts.map((/** @type {any} */ attempt) => ({
+          runId,
+          startedAt,
+          key: test.key,
+          index: attempt.index,
+          status: attempt.status,
+          duration: attempt.duration,
+          startTime: attempt.startTime,
+          error: firstLine(attempt.error),
+        }))
+      ),
+      metrics: run.metrics.map((metric) => ({
+        runId,
+        startedAt,
+        key: metric.key,
+        source: metric.source,
+        environment: metric.environment,
+        scenario: metric.scenario,
+        name: metric.name,
+        scope: metric.scope,
+        samples: metric.samples,
+        errors: metric.errors,
+        errorRate: metric.errorRate,
+        throughput: metric.throughput,
+        ...metric.stats,
+      })),
+      findings: run.findings.map((finding) => ({
+        runId,
+        startedAt,
+        key: finding.key,
+        source: finding.source,
+        environment: finding.environment,
+        kind: finding.kind,
+        rule: finding.rule,
+        severity: finding.severity,
+        level: finding.level,
+        location: finding.location,
+      })),
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    // The runs row goes last so a run is only listed once all of its rows are written
+    [...TABLES.slice(1), 'runs'].forEach((table) => {
+      const tableRows = rows[table];
+      if (tableRows.length > 0) {
+        const lines = tableRows.map((row) => JSON.stringify(row)).join('\n');
+        fs.appendFileSync(this.fileOf(table), `${lines}\n`);
+      }
+      this.cache[table] = undefined;
+    });
+    return Object.fromEntries(TABLES.map((table) => [table, rows[table].length]));
+  }
+
+  /**
+   * Ids of the runs in a window
+   * @param {Object} [options] - Options
+   * @param {string} [options.since] - Earliest start (ISO date, <N>d, <N>h or month)
+   * @param {string} [options.until] - Latest start (same formats)
+   * @param {number} [options.lastRuns] - Only the latest N runs in the window
+   * @returns {Set<string>} Run ids
+   */
+  selectRuns(options = {}) {
+    const since = options.since ? parseSince(options.since) : null;
+    const until = options.until ? parseSince(options.until) : null;
+    let runs = this.read('runs')
+      .filter((row) => (!since || row.startedAt >= since) && (!until || row.startedAt <= until))
+      .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+    if (options.lastRuns) runs = runs.slice(-options.lastRuns);
+    return new Set(runs.map((row) => row.runId));
+  }
+}
+
+module.exports = ResultStore;
+module.exports.DEFAULT_STORE_DIR = DEFAULT_STORE_DIR;
+module.exports.TABLES = TABLES;
+module.exports.parseSince = parseSince;
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadResults, saveRun, readRun, validateRun, ResultRun } = require('..');
+
+const playwrightReport = {
+  config: {},
+  stats: { startTime: '2026-03-02T12:00:00.000Z', duration: 4000 },
+  suites: [
+    {
+      title: 'ui-tests/login.spec.js',
+      file: 'ui-tests/login.spec.js',
+      specs: [],
+      suites: [
+        {
+          title: 'Login',
+          file: 'ui-tests/login.spec.js',
+          specs: [
+            {
+              title: 'logs in',
+              file: 'ui-tests/login.spec.js',
+              tags: ['smoke'],
+              tests: [
+                {
+                  projectName: 'chromium',
+                  status: 'expected',
+                  results: [{ retry: 0, status: 'passed', duration: 900 }],
+                },
+                {
+                  projectName: 'firefox',
+                  status: 'flaky',
+                  results: [
+                    { retry: 0, status: 'failed', duration: 1000, error: { message: 'timeout' } },
+                    { retry: 1, status: 'passed', duration: 800 },
+                  ],
+                },
+              ],
+            },
+            {
+              title: 'rejects a bad password',
+              file: 'ui-tests/login.spec.js',
+              tests: [
+                {
+                  projectName: 'chromium',
+                  status: 'unexpected',
+                  results: [
+                    {
+                      retry: 0,
+                      status: 'failed',
+                      duration: 500,
+                      error: { message: '\u001b[31mexpected error banner\u001b[39m' },
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+    {
+      title: 'accessibility-tests/home.spec.js',
+      file: 'accessibility-tests/home.spec.js',
+      specs: [
+        {
+          title: 'has no violations',
+          file: 'accessibility-tests/home.spec.js',
+          tests: [{ projectName: 'chromium', status: 'skipped', results: [] }],
+        },
+      ],
+    },
+  ],
+};
+
+const apiSummary = {
+  collection: 'Store API',
+  environment: 'staging',
+  timestamp: '2026-03-02T12:05:00.000Z',
+  duration: 1200,
+  stats: {},
+  requests: [
+    {
+      name: 'Get product',
+      method: 'GET',
+      url: 'https://api.example.com/products/12',
+      status: 200,
+      responseTime: 120,
+      assertions: [{ assertion: 'status is 200', skipped: false }],
+    },
+    {
+      name: 'Get product',
+      method: 'GET',
+      url: 'https://api.example.com/products/13',
+      status: 500,
+      responseTime: 300,
+      assertions: [
+        {
+          assertion: 'status is 200',
+          skipped: false,
+          error: { message: 'expected 500 to be 200' },
+        },
+      ],
+    },
+  ],
+};
+
+const k6Summary = {
+  generatedAt: '2026-03-02T12:10:00.000Z',
+  testType: 'load',
+  metrics: {
+    total_requests: 1000,
+    error_rate: 0.02,
+    http_req_duration: { min: 50, med: 180, avg: 200, p90: 350, p95: 420, p99: 600, max: 900 },
+  },
+  duration_seconds: 60,
+  request_rate_rps: 16.7,
+  thresholds: { ok: false },
+  status: 'FAIL',
+};
+
+const axeResults = {
+  url: 'https://shop.example.com/',
+  timestamp: '2026-03-02T12:15:00.000Z',
+  testEngine: { name: 'axe-core' },
+  passes: [],
+  violations: [
+    {
+      id: 'color-contrast',
+      impact: 'serious',
+      help: 'Elements must have sufficient color contrast',
+      nodes: [{ target: ['.price'] }, { target: ['.footer a'] }],
+    },
+  ],
+};
+
+describe('Canonical result model', () => {
+  let workDir;
+
+  const write = (relative, content) => {
+    const file = path.join(workDir, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-model-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('reads Playwright tests with retries, flakiness and categories', async () => {
+    write('staging/test-results.json', playwrightReport);
+    const run = await loadResults(workDir);
+
+    expect(run.sources).toHaveLength(1);
+    expect(run.sources[0]).toMatchObject({ type: 'playwright', environment: 'staging' });
+    expect(run.startedAt).toBe('2026-03-02T12:00:00.000Z');
+    expect(run.summary()).toMatchObject({ total: 4, passed: 2, failed: 1, skipped: 1, flaky: 1 });
+
+    const flaky = run.tests.find((test) => test.flaky);
+    expect(flaky.key).toBe('ui-tests/login.spec.js › Login › logs in [firefox]');
+    expect(flaky.attempts.map((attempt) => attempt.status)).toEqual(['failed', 'passed']);
+    expect(flaky.duration).toBe(1800);
+    expect(flaky.error).toBeNull();
+
+    const failed = run.tests.find((test) => test.status === 'failed');
+    expect(failed.error).toBe('expected error banner');
+    expect(run.rootSuiteOf(failed).name).toBe('ui-tests/login.spec.js');
+
+    expect(run.groupBy('category')).toMatchObject({
+      ui: { total: 3, passed: 2, failed: 1 },
+      accessibility: { total: 1, skipped: 1 },
+    });
+    expect(run.groupBy('project').chromium.total).toBe(3);
+  });
+
+  test('skips JUnit files that duplicate a JSON result beside them', async () => {
+    write('api/store-results.json', { run: { executions: [] }, collection: { info: {} } });
+    write(
+      'api/store-junit.xml',
+      '<testsuites><testsuite name="Store"><testcase name="a" classname="Store" time="0.1"/></testsuite></testsuites>'
+    );
+    write(
+      'ui/junit.xml',
+      '<testsuites><testsuite name="Checkout"><testcase name="pays" classname="checkout" time="1.5"><failure message="declined"/></testcase></testsuite></testsuites>'
+    );
+    const run = await loadResults(workDir);
+
+    const junit = run.tests.filter((test) => test.source === 'junit');
+    expect(junit).toHaveLength(1);
+    expect(junit[0]).toMatchObject({ title: 'pays', status: 'failed', duration: 1500 });
+  });
+
+  test('turns newman assertions into tests and response times into endpoint metrics', async () => {
+    write('api/store-summary.json', apiSummary);
+    const run = await loadResults(workDir);
+
+    expect(run.summary((test) => test.category === 'api')).toMatchObject({
+      total: 2,
+      passed: 1,
+      failed: 1,
+    });
+    expect(run.tests.find((test) => test.status === 'failed').error).toBe('expected 500 to be 200');
+
+    const endpoint = run.metrics.find((metric) => metric.scope === 'endpoint');
+    expect(endpoint).toMatchObject({
+      key: 'newman › Store API › GET /products/:id',
+      samples: 2,
+      errors: 1,
+      errorRate: 50,
+    });
+    expect(endpoint.stats.avg).toBe(210);
+  });
+
+  test('summarizes k6 load tests and counts axe findings by severity', async () => {
+    write('k6/load-summary.json', k6Summary);
+    write('a11y/home.json', axeResults);
+    const run = await loadResults(workDir);
+
+    expect(run.tests.find((test) => test.source === 'k6')).toMatchObject({
+      category: 'performance',
+      status: 'failed',
+    });
+    expect(run.loadSummary()).toMatchObject({
+      scenarios: 1,
+      requests: 1000,
+      errors: 20,
+      errorRate: 2,
+      avg: 200,
+      p95: 420,
+    });
+
+    expect(run.findingCounts('accessibility')).toMatchObject({ high: 2, medium: 0 });
+    expect(run.findings[0]).toMatchObject({
+      rule: 'color-contrast',
+      level: 'serious',
+      location: 'https://shop.example.com/ .price',
+    });
+  });
+
+  test('saves runs that match the schema and reads them back', async () => {
+    write('staging/test-results.json', playwrightReport);
+    write('api/store-summary.json', apiSummary);
+    write('k6/load-summary.json', k6Summary);
+    write('a11y/home.json', axeResults);
+    const run = await loadResults(workDir, { id: 'nightly-42' });
+    const file = path.join(workDir, 'out', 'run.json');
+
+    saveRun(run, file);
+    const saved = readRun(file);
+
+    expect(validateRun(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual({
+      valid: true,
+      errors: [],
+    });
+    expect(saved).toBeInstanceOf(ResultRun);
+    expect(saved.id).toBe('nightly-42');
+    expect(saved.summary()).toEqual(run.summary());
+    expect(saved.loadSummary()).toEqual(run.loadSummary());
+  });
+
+  test('rejects runs that do not match the schema', () => {
+    const data = new ResultRun().toJSON();
+    data.tests.push({ id: 'test-1', status: 'broken' });
+
+    const { valid, errors } = validateRun(data);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        expect.stringContaining('/tests/0/status'),
+        expect.stringContaining('missing key'),
+      ])
+    );
+    expect(() => ResultRun.fromJSON({ ...data, schemaVersion: '2.0.0' })).toThrow(
+      /Unsupported result schema version/
+    );
+  });
+
+  test('records unreadable files without stopping', async () => {
+    write('broken/results.json', '{ not json');
+    write('staging/test-results.json', playwrightReport);
+    const run = await loadResults(workDir);
+
+    expect(run.errors).toHaveLength(1);
+    expect(run.errors[0].file).toMatch(/broken/);
+    expect(run.tests).toHaveLength(4);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ResultRun } = require('..');
+const ResultStore = require('../ResultStore');
+const { queryHistory, formatRows } = require('../history-queries');
+
+/**
+ * A run with one Playwright source, a checkout test per browser and a Login load metric
+ * @param {string} id - Run id
+ * @param {string} startedAt - Run start
+ * @param {{ webkit: string, duration: number, p95: number }} values - Per-run values
+ */
+function buildRun(id, startedAt, values) {
+  const run = new ResultRun({ id });
+  const source = run.addSource({ type: 'playwright', file: 'results.json', startedAt });
+  ['chromium', 'webkit'].forEach((project) =>
+    run.addTest(source, {
+      file: 'ui-tests/checkout.spec.js',
+      title: 'pays',
+      titlePath: ['Checkout', 'pays'],
+      project,
+      status: project === 'webkit' ? values.webkit : 'passed',
+      duration: values.duration,
+      attempts: [{ index: 0, status: 'passed', duration: values.duration }],
+    })
+  );
+  const k6 = run.addSource({ type: 'k6', file: 'summary.json', startedAt });
+  run.addMetric(k6, {
+    scenario: 'Login',
+    name: 'http_req_duration',
+    scope: 'scenario',
+    samples: 100,
+    errors: 1,
+    stats: { avg: values.p95 / 2, p95: values.p95 },
+  });
+  return run;
+}
+
+describe('Result history store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new ResultStore(fs.mkdtempSync(path.join(os.tmpdir(), 'result-store-')));
+    store.append(
+      buildRun('run-1', '2026-03-01T10:00:00.000Z', { webkit: 'failed', duration: 1000, p95: 400 })
+    );
+    store.append(
+      buildRun('run-2', '2026-03-02T10:00:00.000Z', { webkit: 'passed', duration: 3000, p95: 500 })
+    );
+    store.append(
+      buildRun('run-3', '2026-03-03T10:00:00.000Z', { webkit: 'failed', duration: 2000, p95: 600 })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(store.dir, { recursive: true, force: true });
+  });
+
+  test('appends every table once per run id', () => {
+    expect(
+      store.append(
+        buildRun('run-3', '2026-03-03T10:00:00.000Z', { webkit: 'passed', duration: 1, p95: 1 })
+      )
+    ).toBeNull();
+    expect(store.read('runs').map((row) => row.runId)).toEqual(['run-1', 'run-2', 'run-3']);
+    expect(store.read('tests')).toHaveLength(6);
+    expect(new ResultStore(store.dir).read('metrics')[0]).toMatchObject({
+      runId: 'run-1',
+      scenario: 'Login',
+      p95: 400,
+    });
+  });
+
+  test('reports failure rates for filtered tests', () => {
+    const rows = queryHistory(store, 'tests', {
+      filters: { file: 'CHECKOUT', project: 'webkit' },
+      groupBy: ['file'],
+    });
+
+    expect(rows).toEqual([
+      expect.objectContaining({
+        file: 'ui-tests/checkout.spec.js',
+        runs: 3,
+        failed: 2,
+        failureRate: 66.7,
+        lastStatus: 'failed',
+      }),
+    ]);
+  });
+
+  test('limits to a run window and sorts by any field', () => {
+    const slowest = queryHistory(store, 'tests', {
+      since: '2026-03-02T00:00:00.000Z',
+      sort: 'avgDuration',
+      limit: 1,
+    });
+    expect(slowest).toHaveLength(1);
+    expect(slowest[0].avgDuration).toBe(2500);
+
+    const series = queryHistory(store, 'metrics', { filters: { name: 'login' }, lastRuns: 2 });
+    expect(series.map((row) => [row.runId, row.p95])).toEqual([
+      ['run-2', 500],
+      ['run-3', 600],
+    ]);
+  });
+
+  test('formats rows as CSV', () => {
+    const rows = queryHistory(store, 'metrics', { groupBy: ['key'] });
+
+    expect(formatRows(rows, 'csv').split('\n')).toEqual([
+      'key,runs,samples,errorRate,avg,p95Median,p95Max,p95Last',
+      'k6 › Login,3,300,1,250,500,600,600',
+    ]);
+  });
+});
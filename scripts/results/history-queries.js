@@ -0,0 +1,334 @@
+// @ts-check
+/**
+ * History Queries
+ * Filters, groups and summarizes ResultStore tables so reports and the query-history CLI answer
+ * questions such as "slowest 20 tests this month" or "p95 of Login over the last 30 runs" the
+ * same way. Every view returns flat rows, ready for JSON, CSV or a console table.
+ */
+
+/**
+ * @typedef {Object} QueryOptions
+ * @property {string} [since] - Earliest run start (ISO date, <N>d, <N>h or month)
+ * @property {string} [until] - Latest run start
+ * @property {number} [lastRuns] - Only the latest N runs
+ * @property {string[]} [groupBy] - Row fields to group by; empty lists rows one by one
+ * @property {string} [sort] - Field to sort by (descending unless ascending is set)
+ * @property {boolean} [ascending] - Sort ascending
+ * @property {number} [limit] - Maximum rows; 0 for all
+ * @property {Record<string, string>} [filters] - Field filters, see FILTERS
+ */
+
+// Filter name → row field and how values match; "contains" is case-insensitive
+const FILTERS = {
+  environment: { field: 'environment', match: 'equals' },
+  project: { field: 'project', match: 'contains' },
+  file: { field: 'file', match: 'contains' },
+  title: { field: 'title', match: 'contains' },
+  suite: { field: 'suite', match: 'contains' },
+  category: { field: 'category', match: 'equals' },
+  source: { field: 'source', match: 'equals' },
+  status: { field: 'status', match: 'equals' },
+  name: { field: 'key', match: 'contains' },
+  scope: { field: 'scope', match: 'equals' },
+  kind: { field: 'kind', match: 'equals' },
+  severity: { field: 'severity', match: 'equals' },
+  rule: { field: 'rule', match: 'contains' },
+};
+
+const round = (/** @type {number | null} */ value, digits = 1) =>
+  value === null || !isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * @param {number[]} values - Values
+ * @param {number} percentile - 0-100
+ * @returns {number | null} Nearest-rank percentile
+ */
+function percentileOf(values, percentile) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)];
+}
+
+/**
+ * @param {any[]} rows - Rows
+ * @param {string} field - Numeric field
+ * @returns {number[]} Values that are numbers
+ */
+const numbers = (rows, field) =>
+  rows.map((row) => row[field]).filter((value) => typeof value === 'number');
+
+const latest = (/** @type {any[]} */ rows) =>
+  rows.reduce((last, row) => (String(row.startedAt) >= String(last.startedAt) ? row : last));
+
+/**
+ * How each view reads, summarizes and sorts its table
+ * @type {Record<string, { table: string, groupBy: string[], sort: string,
+ *   aggregate: (rows: any[]) => Object, describe?: (row: any) => Object }>}
+ */
+const VIEWS = {
+  // Test executions; grouped per test by default
+  tests: {
+    table: 'tests',
+    groupBy: ['key'],
+    sort: 'failureRate',
+    aggregate(rows) {
+      const executed = rows.filter((row) => row.status !== 'skipped');
+      const failed = rows.filter((row) => row.status === 'failed').length;
+      const durations = numbers(executed, 'duration');
+      const last = latest(rows);
+      return {
+        runs: new Set(rows.map((row) => row.runId)).size,
+        executions: rows.length,
+        passed: rows.filter((row) => row.status === 'passed').length,
+        failed,
+        skipped: rows.length - executed.length,
+        flaky: rows.filter((row) => row.flaky).length,
+        retried: rows.filter((row) => row.attempts > 1).length,
+        failureRate: executed.length > 0 ? round((failed / executed.length) * 100) : null,
+        avgDuration: durations.length
+          ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length)
+          : null,
+        p95Duration: percentileOf(durations, 95),
+        maxDuration: durations.length ? Math.max(...durations) : null,
+        lastStatus: last.status,
+        lastRun: last.startedAt,
+      };
+    },
+    describe: (row) => ({
+      runId: row.runId,
+      startedAt: row.startedAt,
+      key: row.key,
+      environment: row.environment,
+      project: row.project,
+      status: row.status,
+      flaky: row.flaky,
+      attempts: row.attempts,
+      duration: row.duration,
+      error: row.error,
+    }),
+  },
+
+  // Try-by-try results; grouped per test by default
+  attempts: {
+    table: 'attempts',
+    groupBy: ['key'],
+    sort: 'failedAttempts',
+    aggregate(rows) {
+      const durations = numbers(rows, 'duration');
+      return {
+        runs: new Set(rows.map((row) => row.runId)).size,
+        attempts: rows.length,
+        failedAttempts: rows.filter((row) => row.status !== 'passed' && row.status !== 'skipped')
+          .length,
+        retries: rows.filter((row) => row.index > 0).length,
+        avgDuration: durations.length
+          ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length)
+          : null,
+      };
+    },
+  },
+
+  // Latency per run and metric by default, e.g. a p95 series for one scenario
+  metrics: {
+    table: 'metrics',
+    groupBy: [],
+    sort: 'startedAt',
+    aggregate(rows) {
+      const samples = rows.reduce((sum, row) => sum + (row.samples || 0), 0);
+      const errors = rows.reduce((sum, row) => sum + (row.errors || 0), 0);
+      const p95s = numbers(rows, 'p95');
+      const weighted = rows.reduce((sum, row) => sum + (row.avg || 0) * (row.samples || 0), 0);
+      return {
+        runs: new Set(rows.map((row) => row.runId)).size,
+        samples,
+        errorRate: samples > 0 ? round((errors / samples) * 100, 2) : null,
+        avg: samples > 0 ? round(weighted / samples) : null,
+        p95Median: percentileOf(p95s, 50),
+        p95Max: p95s.length ? Math.max(...p95s) : null,
+        p95Last: latest(rows).p95 ?? null,
+      };
+    },
+    describe: (row) => ({
+      runId: row.runId,
+      startedAt: row.startedAt,
+      key: row.key,
+      environment: row.environment,
+      samples: row.samples,
+      errorRate: row.errorRate,
+      avg: row.avg,
+      p90: row.p90,
+      p95: row.p95,
+      p99: row.p99,
+      max: row.max,
+    }),
+  },
+
+  // Findings; grouped per finding by default, with when they were first and last seen
+  findings: {
+    table: 'findings',
+    groupBy: ['key'],
+    sort: 'runs',
+    aggregate(rows) {
+      const seen = rows.map((row) => String(row.startedAt)).sort();
+      return {
+        runs: new Set(rows.map((row) => row.runId)).size,
+        severity: rows[0].severity,
+        firstSeen: seen[0],
+        lastSeen: seen[seen.length - 1],
+      };
+    },
+  },
+
+  // One row per run with its totals
+  runs: {
+    table: 'runs',
+    groupBy: [],
+    sort: 'startedAt',
+    aggregate(rows) {
+      return { runs: rows.length };
+    },
+    describe: (row) => ({
+      runId: row.runId,
+      startedAt: row.startedAt,
+      environments: row.environments.join(' '),
+      total: row.summary.total,
+      passed: row.summary.passed,
+      failed: row.summary.failed,
+      skipped: row.summary.skipped,
+      flaky: row.summary.flaky,
+      passRate: row.summary.passRate,
+      metrics: row.metrics,
+      findings: row.findings,
+    }),
+  },
+};
+
+/**
+ * @param {any} row - Row
+ * @param {Record<string, string>} filters - Filter values by name
+ * @returns {boolean} Whether the row passes every filter
+ */
+function matchesFilters(row, filters) {
+  return Object.entries(filters).every(([name, expected]) => {
+    const filter = FILTERS[name];
+    if (!filter) throw new Error(`Unknown filter "${name}"`);
+    const value = row[filter.field];
+    if (value === null || value === undefined) return false;
+    return filter.match === 'equals'
+      ? String(value) === expected
+      : String(value).toLowerCase().includes(expected.toLowerCase());
+  });
+}
+
+/**
+ * Run a view over a store
+ * @param {import('./ResultStore')} store - Store
+ * @param {string} view - One of VIEWS
+ * @param {QueryOptions} [options] - Options
+ * @returns {Object[]} Result rows
+ */
+function queryHistory(store, view, options = {}) {
+  const definition = VIEWS[view];
+  if (!definition) {
+    throw new Error(`Unknown view "${view}" (use ${Object.keys(VIEWS).join(', ')})`);
+  }
+  const runIds = store.selectRuns(options);
+  const rows = store
+    .read(definition.table)
+    .filter((row) => runIds.has(row.runId) && matchesFilters(row, options.filters || {}));
+
+  const groupBy = options.groupBy || definition.groupBy;
+  /** @type {any[]} */
+  let results;
+  if (groupBy.length === 0) {
+    results = rows.map(definition.describe || ((row) => row));
+  } else {
+    /** @type {Map<string, any[]>} */
+    const groups = new Map();
+    rows.forEach((row) => {
+      const id = JSON.stringify(groupBy.map((field) => row[field] ?? null));
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id)?.push(row);
+    });
+    results = [...groups.values()].map((group) => ({
+      ...Object.fromEntries(groupBy.map((field) => [field, group[0][field] ?? null])),
+      ...definition.aggregate(group),
+    }));
+  }
+
+  const sort = options.sort || definition.sort;
+  const direction = options.ascending || (!options.sort && sort === 'startedAt') ? 1 : -1;
+  results.sort((a, b) => {
+    const left = a[sort] ?? null;
+    const right = b[sort] ?? null;
+    // Rows without the value go last either way
+    if (left === right) return 0;
+    if (left === null) return 1;
+    if (right === null) return -1;
+    return (left < right ? -1 : 1) * direction;
+  });
+
+  const limit = options.limit ?? 50;
+  return limit > 0 ? results.slice(0, limit) : results;
+}
+
+/**
+ * @param {Object[]} rows - Query rows
+ * @returns {string} CSV with a header row
+ */
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const cell = (/** @type {any} */ value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.join(','),
+    ...rows.map((row) => columns.map((column) => cell(row[column])).join(',')),
+  ].join('\n');
+}
+
+/**
+ * @param {Object[]} rows - Query rows
+ * @returns {string} Aligned plain-text table
+ */
+function toTable(rows) {
+  if (rows.length === 0) return 'No rows';
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const text = (/** @type {any} */ value) =>
+    value === null || value === undefined ? '—' : String(value);
+  const widths = columns.map((column) =>
+    Math.min(80, Math.max(column.length, ...rows.map((row) => text(row[column]).length)))
+  );
+  const line = (/** @type {string[]} */ cells) =>
+    cells
+      .map((value, index) => value.slice(0, widths[index]).padEnd(widths[index]))
+      .join('  ')
+      .trimEnd();
+  return [
+    line(columns),
+    line(widths.map((width) => '-'.repeat(width))),
+    ...rows.map((row) => line(columns.map((column) => text(row[column])))),
+  ].join('\n');
+}
+
+/**
+ * @param {Object[]} rows - Query rows
+ * @param {string} format - json, csv or table
+ * @returns {string} Formatted rows
+ */
+function formatRows(rows, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'csv':
+      return toCsv(rows);
+    case 'table':
+      return toTable(rows);
+    default:
+      throw new Error(`Unknown format "${format}" (use json, csv or table)`);
+  }
+}
+
+module.exports = { VIEWS, FILTERS, queryHistory, formatRows, toCsv, percentileOf };
@@ -0,0 +1,151 @@
+// @ts-check
+/**
+ * Canonical results
+ * Loads result files of any supported format into one ResultRun, so every reporter counts the
+ * same tests the same way. See ResultRun.js for the model and schema/run.schema.json for its
+ * serialized form.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ResultRun = require('./ResultRun');
+const { INGESTERS, registerIngester } = require('./ingesters');
+const { RUN_SCHEMA, validateRun } = require('./schema');
+
+const ENVIRONMENTS = ['development', 'staging', 'production', 'test'];
+
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Environment a result file belongs to, from a directory in its path
+ * @param {string} file - Result file
+ * @returns {string | null} Environment name
+ */
+function environmentFromPath(file) {
+  return (
+    path
+      .resolve(file)
+      .split(path.sep)
+      .reverse()
+      .find((part) => ENVIRONMENTS.includes(part)) || null
+  );
+}
+
+/**
+ * Add one result file to a run
+ * @param {ResultRun} run - Run to add to
+ * @param {string} file - Result file
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.types] - Only use these ingesters
+ * @param {string} [options.environment] - Environment (default: from the path)
+ * @returns {Promise<string | null>} Type of the ingester that read the file, if any
+ */
+async function ingestFile(run, file, options = {}) {
+  const extension = path.extname(file).toLowerCase();
+  const candidates = INGESTERS.filter(
+    (ingester) =>
+      (!options.types || options.types.includes(ingester.type)) &&
+      ingester.extensions.includes(extension) &&
+      !(ingester.skip && ingester.skip(file))
+  );
+  if (candidates.length === 0) return null;
+
+  const context = { file, environment: options.environment || environmentFromPath(file) };
+  /** @type {any} */
+  let json;
+  try {
+    for (const ingester of candidates) {
+      let data;
+      if (extension === '.json') {
+        json = json === undefined ? JSON.parse(fs.readFileSync(file, 'utf8')) : json;
+        data = json;
+      } else {
+        data = await ingester.read(file);
+      }
+      if (data && ingester.matches(data, file)) {
+        ingester.ingest(data, run, context);
+        return ingester.type;
+      }
+    }
+  } catch (error) {
+    run.errors.push({ file, message: error.message });
+  }
+  return null;
+}
+
+/**
+ * Load every recognized result file under the given paths into one run
+ * @param {string | string[]} paths - Result files or directories
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.types] - Only use these ingesters, e.g. ['playwright']
+ * @param {string} [options.environment] - Environment (default: from each file's path)
+ * @param {string} [options.id] - Run id
+ * @param {Object} [options.metadata] - Run metadata
+ * @returns {Promise<ResultRun>} Run
+ */
+async function loadResults(paths, options = {}) {
+  const run = new ResultRun({ id: options.id, metadata: options.metadata });
+  const seen = new Set();
+  /** @type {string[]} */
+  const files = [];
+
+  /** @param {string} location */
+  const walk = (location) => {
+    if (!fs.existsSync(location)) return;
+    const real = fs.realpathSync(location);
+    if (seen.has(real)) return;
+    seen.add(real);
+
+    if (fs.statSync(real).isDirectory()) {
+      fs.readdirSync(location, { withFileTypes: true })
+        .filter((entry) => !SKIPPED_DIRECTORIES.has(entry.name))
+        .forEach((entry) => walk(path.join(location, entry.name)));
+    } else {
+      files.push(location);
+    }
+  };
+  [].concat(paths).forEach(walk);
+
+  for (const file of files.sort()) {
+    await ingestFile(run, file, options);
+  }
+  run.errors.forEach(({ file, message }) => console.warn(`⚠️  Could not read ${file}: ${message}`));
+  return run;
+}
+
+/**
+ * Validate and write a run
+ * @param {ResultRun} run - Run
+ * @param {string} file - Output file
+ */
+function saveRun(run, file) {
+  const data = run.toJSON();
+  const { valid, errors } = validateRun(data);
+  if (!valid) {
+    throw new Error(`Run does not match the result schema:\n${errors.slice(0, 10).join('\n')}`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * @param {string} file - Saved run
+ * @returns {ResultRun} Run
+ */
+function readRun(file) {
+  return ResultRun.fromJSON(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+module.exports = {
+  ResultRun,
+  SCHEMA_VERSION: ResultRun.SCHEMA_VERSION,
+  RUN_SCHEMA,
+  INGESTERS,
+  registerIngester,
+  environmentFromPath,
+  ingestFile,
+  loadResults,
+  validateRun,
+  saveRun,
+  readRun,
+};
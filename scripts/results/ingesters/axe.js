@@ -0,0 +1,56 @@
+// @ts-check
+/**
+ * axe-core results (AxeBuilder.analyze() output, alone or as an array of pages). Every violating
+ * node is a finding, keyed by rule, page and target.
+ */
+
+// axe impacts on the shared severity scale
+const SEVERITIES = { critical: 'critical', serious: 'high', moderate: 'medium', minor: 'low' };
+
+module.exports = {
+  type: 'axe',
+  extensions: ['.json'],
+
+  /** @param {any} data */
+  matches: (data) =>
+    [].concat(data).length > 0 &&
+    []
+      .concat(data)
+      .every((/** @type {any} */ result) =>
+        Boolean(Array.isArray(result?.violations) && (result.passes || result.testEngine))
+      ),
+
+  /**
+   * @param {any} data - axe results
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(data, run, context) {
+    const pages = [].concat(data);
+    const source = run.addSource({
+      type: 'axe',
+      file: context.file,
+      environment: context.environment,
+      startedAt: pages
+        .map((/** @type {any} */ page) => page.timestamp)
+        .filter(Boolean)
+        .sort()[0],
+    });
+
+    pages.forEach((/** @type {any} */ page) => {
+      page.violations.forEach((/** @type {any} */ violation) => {
+        (violation.nodes?.length ? violation.nodes : [{}]).forEach((/** @type {any} */ node) => {
+          const impact = node.impact || violation.impact;
+          run.addFinding(source, {
+            kind: 'accessibility',
+            rule: violation.id,
+            severity: SEVERITIES[impact] || 'medium',
+            level: impact || null,
+            location: [page.url, [].concat(node.target || []).join(' ')].filter(Boolean).join(' '),
+            description: violation.help || violation.description || '',
+          });
+        });
+      });
+    });
+  },
+};
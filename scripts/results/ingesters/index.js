@@ -0,0 +1,47 @@
+// @ts-check
+/**
+ * Result ingester registry
+ *
+ * An ingester turns one result format into ResultRun entries:
+ *   { type, extensions, skip?(file), read?(file), matches(data, file), ingest(data, run, context) }
+ * JSON files are parsed once and offered to every JSON ingester in order until one matches;
+ * other extensions go through the ingester's own `read`. `skip` drops a file before it is read,
+ * e.g. a JUnit report whose run is also available as JSON.
+ */
+
+const playwright = require('./playwright');
+const junit = require('./junit');
+const newman = require('./newman');
+const k6 = require('./k6');
+const jtl = require('./jtl');
+const jestJson = require('./jest');
+const axe = require('./axe');
+const sarif = require('./sarif');
+const zap = require('./zap');
+
+/** @type {any[]} */
+const INGESTERS = [playwright, newman, k6, jtl, jestJson, axe, sarif, zap, junit];
+
+/**
+ * Make another result format loadable; custom ingesters are tried before the built-in ones
+ * @param {Object} ingester - Ingester
+ */
+function registerIngester(ingester) {
+  const existing = INGESTERS.findIndex((candidate) => candidate.type === ingester.type);
+  if (existing !== -1) INGESTERS.splice(existing, 1);
+  INGESTERS.unshift(ingester);
+}
+
+module.exports = {
+  INGESTERS,
+  registerIngester,
+  playwright,
+  junit,
+  newman,
+  k6,
+  jtl,
+  jest: jestJson,
+  axe,
+  sarif,
+  zap,
+};
@@ -0,0 +1,45 @@
+// @ts-check
+/**
+ * Jest --json output (e.g. the contract tests). Every assertion result is a test, grouped under
+ * its test file.
+ */
+
+const OUTCOMES = { passed: 'passed', failed: 'failed', pending: 'skipped', todo: 'skipped' };
+
+module.exports = {
+  type: 'jest',
+  extensions: ['.json'],
+
+  /** @param {any} data */
+  matches: (data) => typeof data.numTotalTests === 'number' && Array.isArray(data.testResults),
+
+  /**
+   * @param {any} data - Jest JSON results
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(data, run, context) {
+    const source = run.addSource({
+      type: 'jest',
+      file: context.file,
+      environment: context.environment,
+      startedAt: data.startTime ? new Date(data.startTime).toISOString() : null,
+    });
+
+    data.testResults.forEach((/** @type {any} */ fileResult) => {
+      const file = fileResult.name || fileResult.testFilePath;
+      const suite = run.addSuite(source, { name: file, file });
+      (fileResult.assertionResults || []).forEach((/** @type {any} */ assertion) => {
+        run.addTest(source, {
+          suiteId: suite.id,
+          file,
+          title: assertion.title,
+          titlePath: [...(assertion.ancestorTitles || []), assertion.title],
+          status: OUTCOMES[assertion.status] || 'skipped',
+          duration: assertion.duration ?? null,
+          error: assertion.failureMessages?.join('\n') || null,
+        });
+      });
+    });
+  },
+};
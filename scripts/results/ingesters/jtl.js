@@ -0,0 +1,119 @@
+// @ts-check
+/**
+ * JMeter results: raw .jtl files (aggregated with parseJtl) and the <plan>-summary.json files
+ * parseJtl output is saved as. SLO checks from config/performance/slo.json are the tests; the
+ * overall and per-transaction response times are metrics.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseJtl } = require('../../load-testing/jmeter-jtl-parser');
+
+/**
+ * @param {string} file - JTL or summary file
+ * @returns {string} Test plan name
+ */
+function planName(file) {
+  return path
+    .basename(file)
+    .replace(/\.jtl$/i, '')
+    .replace(/-summary\.json$/i, '')
+    .replace(/_\d{8}_\d{6}$/, '')
+    .replace(/-results$/i, '');
+}
+
+module.exports = {
+  type: 'jmeter',
+  extensions: ['.jtl', '.json'],
+
+  // load-test-runner saves the parsed <plan>-results.jtl as <plan>-summary.json
+  /** @param {string} file */
+  skip: (file) =>
+    /-results\.jtl$/i.test(file) && fs.existsSync(file.replace(/-results\.jtl$/i, '-summary.json')),
+
+  /**
+   * @param {string} file - JTL file
+   * @returns {Promise<any>} parseJtl() output
+   */
+  read: async (file) => ({ ...(await parseJtl(file)), testPlan: planName(file) }),
+
+  /** @param {any} data */
+  matches: (data) => data.summary?.total_samples !== undefined,
+
+  /**
+   * @param {any} data - parseJtl() output
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(data, run, context) {
+    const plan = data.testPlan || planName(context.file);
+    const summary = data.summary;
+    const source = run.addSource({
+      type: 'jmeter',
+      file: context.file,
+      environment: context.environment,
+      duration: summary.duration_seconds ? summary.duration_seconds * 1000 : null,
+    });
+    const suite = run.addSuite(source, { name: `JMeter ${plan}` });
+
+    // One test per SLO rule breached, or a single passing one when none was
+    const breaches = data.slo?.breaches || [];
+    if (breaches.length === 0) {
+      run.addTest(source, {
+        suiteId: suite.id,
+        title: 'SLOs',
+        titlePath: [`JMeter ${plan}`, 'SLOs'],
+        status: summary.status === 'FAIL' ? 'failed' : 'passed',
+      });
+    }
+    breaches.forEach((/** @type {any} */ breach) => {
+      const title = [breach.label, breach.metric].filter(Boolean).join(' ');
+      run.addTest(source, {
+        suiteId: suite.id,
+        title,
+        titlePath: [`JMeter ${plan}`, 'SLOs', title],
+        status: 'failed',
+        error: `${breach.metric} ${breach.value} breaches ${JSON.stringify(breach.rule)}`,
+      });
+    });
+
+    run.addMetric(source, {
+      scenario: plan,
+      name: plan,
+      scope: 'scenario',
+      samples: summary.total_samples,
+      errors: summary.error_count ?? null,
+      errorRate: summary.error_percentage ?? null,
+      throughput: summary.throughput ?? null,
+      stats: {
+        min: summary.min_response_time,
+        avg: summary.average_response_time,
+        p90: summary.p90_response_time,
+        p95: summary.p95_response_time,
+        p99: summary.p99_response_time,
+        max: summary.max_response_time,
+      },
+    });
+    (data.transactions || []).forEach((/** @type {any} */ transaction) => {
+      run.addMetric(source, {
+        scenario: plan,
+        name: transaction.name,
+        scope: 'endpoint',
+        samples: transaction.samples,
+        errors: transaction.errors ?? null,
+        errorRate: transaction.error_percentage ?? null,
+        throughput: transaction.throughput ?? null,
+        stats: {
+          min: transaction.min_time,
+          avg: transaction.avg_time,
+          p90: transaction.p90,
+          p95: transaction.p95,
+          p99: transaction.p99,
+          max: transaction.max_time,
+        },
+      });
+    });
+  },
+
+  planName,
+};
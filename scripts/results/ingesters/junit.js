@@ -0,0 +1,121 @@
+// @ts-check
+/**
+ * JUnit XML (Playwright's junit reporter, newman, k6 threshold suites and other tools).
+ * A report written next to a JSON result of the same run (<stem>-junit.xml beside
+ * <stem>-results.json, or k6's <type>-results.junit.xml beside <type>-summary.json) is skipped so
+ * the run is not counted twice.
+ */
+
+const fs = require('fs');
+
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&amp;': '&' };
+
+/** @param {string} text */
+const unescapeXml = (text) =>
+  text.replace(/&(lt|gt|quot|apos|amp);/g, (entity) => ENTITIES[entity]);
+
+/**
+ * @param {string} tag - Attribute part of an opening tag
+ * @returns {Record<string, string>} Attributes
+ */
+function attributesOf(tag) {
+  /** @type {Record<string, string>} */
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+    attributes[match[1]] = unescapeXml(match[2]);
+  }
+  return attributes;
+}
+
+/**
+ * @param {string} xml - XML text
+ * @param {string} tag - Element name
+ * @returns {{ attributes: Record<string, string>, body: string }[]} Elements, without nesting
+ */
+function elements(xml, tag) {
+  const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+  return [...xml.matchAll(pattern)].map((match) => ({
+    attributes: attributesOf(match[1]),
+    body: match[2] || '',
+  }));
+}
+
+/**
+ * @param {string} file - JUnit file
+ * @returns {string[]} JSON results of the same run that take precedence
+ */
+function siblingsOf(file) {
+  const stem = file.replace(/(-results)?[.-]junit\.xml$/i, '');
+  return stem === file ? [] : [`${stem}-results.json`, `${stem}-summary.json`];
+}
+
+module.exports = {
+  type: 'junit',
+  extensions: ['.xml'],
+
+  /** @param {string} file */
+  skip: (file) => siblingsOf(file).some((sibling) => fs.existsSync(sibling)),
+
+  /** @param {string} file */
+  read: (file) => fs.readFileSync(file, 'utf8'),
+
+  /** @param {any} xml - File contents */
+  matches: (xml) => typeof xml === 'string' && /<testsuite\b/.test(xml),
+
+  /**
+   * @param {string} xml - JUnit XML
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(xml, run, context) {
+    const suites = elements(xml, 'testsuite');
+    const startedAt = suites
+      .map((suite) => suite.attributes.timestamp)
+      .filter(Boolean)
+      .sort()[0];
+    const source = run.addSource({
+      type: 'junit',
+      file: context.file,
+      environment: context.environment,
+      startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+      duration: suites.reduce((sum, suite) => sum + Number(suite.attributes.time || 0) * 1000, 0),
+    });
+
+    suites.forEach(({ attributes, body }) => {
+      const suite = run.addSuite(source, {
+        name: attributes.name || 'JUnit',
+        file: attributes.file,
+      });
+
+      elements(body, 'testcase').forEach((testcase) => {
+        const failure =
+          elements(testcase.body, 'failure')[0] || elements(testcase.body, 'error')[0];
+        const skipped = /<skipped\b/.test(testcase.body);
+        const name = testcase.attributes.name || 'unnamed';
+        const output = elements(testcase.body, 'system-out')
+          .map((element) => element.body)
+          .join('\n');
+
+        run.addTest(source, {
+          suiteId: suite.id,
+          file: testcase.attributes.file || testcase.attributes.classname || attributes.name,
+          title: name.split(' › ').pop(),
+          titlePath: name.split(' › '),
+          status: failure ? 'failed' : skipped ? 'skipped' : 'passed',
+          duration: testcase.attributes.time ? Number(testcase.attributes.time) * 1000 : null,
+          error: failure
+            ? failure.attributes.message ||
+              unescapeXml(failure.body.trim().replace(/^<!\[CDATA\[|\]\]>$/g, '')).trim() ||
+              null
+            : null,
+          // Playwright lists attachments in system-out
+          attachments: [...output.matchAll(/\[\[ATTACHMENT\|([^\]]+)\]\]/g)].map((match) => ({
+            name: match[1].split('/').pop() || match[1],
+            contentType: null,
+            path: match[1],
+          })),
+        });
+      });
+    });
+  },
+};
@@ -0,0 +1,62 @@
+// @ts-check
+/**
+ * k6 summaries written by handleSummary in automated-tests/load-tests/k6-load-tests.js
+ * (reports/load-tests/k6/<type>-summary.json). The threshold outcome is a test and the request
+ * duration a metric for the test type; tagged submetrics are only used for SLO evaluation.
+ */
+
+module.exports = {
+  type: 'k6',
+  extensions: ['.json'],
+
+  /** @param {any} data */
+  matches: (data) => Boolean(data.metrics?.http_req_duration) && 'testType' in data,
+
+  /**
+   * @param {any} data - k6 summary
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(data, run, context) {
+    const testType = data.testType || 'k6';
+    const durationMs = data.duration_seconds ? data.duration_seconds * 1000 : null;
+    const source = run.addSource({
+      type: 'k6',
+      file: context.file,
+      environment: context.environment,
+      // handleSummary runs at the end of the test
+      startedAt:
+        data.generatedAt && durationMs
+          ? new Date(Date.parse(data.generatedAt) - durationMs).toISOString()
+          : data.generatedAt || null,
+      duration: durationMs,
+    });
+    const suite = run.addSuite(source, { name: `k6 ${testType}` });
+    const failed = data.status === 'FAIL' || data.thresholds?.ok === false;
+
+    run.addTest(source, {
+      suiteId: suite.id,
+      title: 'thresholds',
+      titlePath: [`k6 ${testType}`, 'thresholds'],
+      status: failed ? 'failed' : 'passed',
+      duration: durationMs,
+      error: failed ? 'One or more k6 thresholds failed' : null,
+    });
+
+    const requests = data.metrics.total_requests ?? null;
+    const errorRate = data.metrics.error_rate;
+    run.addMetric(source, {
+      scenario: testType,
+      name: testType,
+      scope: 'scenario',
+      samples: requests,
+      errors:
+        typeof errorRate === 'number' && requests !== null
+          ? Math.round(errorRate * requests)
+          : null,
+      errorRate: typeof errorRate === 'number' ? Math.round(errorRate * 10000) / 100 : null,
+      throughput: data.request_rate_rps ?? null,
+      stats: data.metrics.http_req_duration,
+    });
+  },
+};
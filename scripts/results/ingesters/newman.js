@@ -0,0 +1,184 @@
+// @ts-check
+/**
+ * newman JSON reporter exports, and the <prefix>-summary.json files scripts/api-tests/
+ * api-test-runner.js writes (skipped when the run's <prefix>-results.json export is beside it).
+ * Every assertion (pm.test) is a test, grouped under its collection and request; response times
+ * become a latency metric for the collection and for each endpoint.
+ */
+
+const fs = require('fs');
+
+/**
+ * @param {any} url - newman request URL (string or Postman Url JSON)
+ * @returns {string | null} URL string
+ */
+function newmanUrl(url) {
+  if (!url) return null;
+  if (typeof url === 'string') return url;
+  const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+  const pathname = Array.isArray(url.path) ? `/${url.path.join('/')}` : url.path || '';
+  const protocol = url.protocol ? `${url.protocol}://` : '';
+  return `${protocol}${host}${url.port ? `:${url.port}` : ''}${pathname}`;
+}
+
+/**
+ * Endpoint key for grouping: method and path with numeric ids replaced, e.g. GET /posts/:id
+ * @param {{ method: string, url?: string | null, name?: string }} call - API call
+ * @returns {string} Endpoint
+ */
+function endpointOf(call) {
+  if (!call.url) return `${call.method} ${call.name}`;
+  let pathname;
+  try {
+    pathname = new URL(call.url).pathname;
+  } catch {
+    pathname = call.url.split('?')[0];
+  }
+  const normalized = pathname
+    .split('/')
+    .map((segment) => (/^\d+$/.test(segment) ? ':id' : segment))
+    .join('/');
+  return `${call.method} ${normalized || '/'}`;
+}
+
+/**
+ * @param {number[]} values - Response times
+ * @returns {Object} min, avg, med, p90, p95, p99, max (nearest rank)
+ */
+function latencyStats(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (/** @type {number} */ percentile) =>
+    sorted[Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)] ?? null;
+  return {
+    min: sorted[0] ?? null,
+    avg:
+      sorted.length > 0
+        ? Math.round((sorted.reduce((sum, value) => sum + value, 0) / sorted.length) * 10) / 10
+        : null,
+    med: rank(50),
+    p90: rank(90),
+    p95: rank(95),
+    p99: rank(99),
+    max: sorted[sorted.length - 1] ?? null,
+  };
+}
+
+/**
+ * @param {any} data - newman export or api-test-runner summary
+ * @returns {{ collection: string, startedAt: string | null, duration: number | null,
+ *   requests: { name: string, method: string, url: string | null, status: any,
+ *   responseTime: number | null, assertions: any[] }[] }} Normalized run
+ */
+function requestsOf(data) {
+  if (Array.isArray(data.run?.executions)) {
+    const timings = data.run.timings || {};
+    return {
+      collection: data.collection?.info?.name || data.run.collection?.info?.name || 'Newman',
+      startedAt: timings.started ? new Date(timings.started).toISOString() : null,
+      duration: timings.completed && timings.started ? timings.completed - timings.started : null,
+      requests: data.run.executions.map((/** @type {any} */ execution) => ({
+        name: execution.item?.name || 'request',
+        method: (execution.request?.method || 'GET').toUpperCase(),
+        url: newmanUrl(execution.request?.url),
+        status: execution.response?.code ?? null,
+        responseTime: execution.response?.responseTime ?? null,
+        assertions: execution.assertions || [],
+      })),
+    };
+  }
+  return {
+    collection: data.collection,
+    startedAt: data.timestamp || null,
+    duration: data.duration ?? null,
+    requests: data.requests.map((/** @type {any} */ request) => ({
+      ...request,
+      method: (request.method || 'GET').toUpperCase(),
+      assertions: request.assertions || [],
+    })),
+  };
+}
+
+module.exports = {
+  type: 'newman',
+  extensions: ['.json'],
+
+  /** @param {string} file */
+  skip: (file) =>
+    /-summary\.json$/.test(file) && fs.existsSync(file.replace(/-summary\.json$/, '-results.json')),
+
+  /** @param {any} data */
+  matches: (data) =>
+    Array.isArray(data.run?.executions) ||
+    (typeof data.collection === 'string' && Array.isArray(data.requests) && Boolean(data.stats)),
+
+  /**
+   * @param {any} data - newman export or api-test-runner summary
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(data, run, context) {
+    const { collection, startedAt, duration, requests } = requestsOf(data);
+    const source = run.addSource({
+      type: 'newman',
+      file: context.file,
+      environment: context.environment,
+      startedAt,
+      duration,
+    });
+    const root = run.addSuite(source, { name: collection });
+    /** @type {Map<string, any>} */
+    const itemSuites = new Map();
+
+    requests.forEach((request) => {
+      if (!itemSuites.has(request.name)) {
+        itemSuites.set(
+          request.name,
+          run.addSuite(source, { name: request.name, parentId: root.id })
+        );
+      }
+      request.assertions.forEach((/** @type {any} */ assertion) => {
+        run.addTest(source, {
+          suiteId: itemSuites.get(request.name).id,
+          title: assertion.assertion,
+          titlePath: [collection, request.name, assertion.assertion],
+          status: assertion.skipped ? 'skipped' : assertion.error ? 'failed' : 'passed',
+          error: assertion.error?.message || null,
+        });
+      });
+    });
+
+    /** @type {Map<string, typeof requests>} */
+    const byEndpoint = new Map();
+    const timed = requests.filter((request) => typeof request.responseTime === 'number');
+    timed.forEach((request) => {
+      const endpoint = endpointOf(request);
+      if (!byEndpoint.has(endpoint)) byEndpoint.set(endpoint, []);
+      byEndpoint.get(endpoint)?.push(request);
+    });
+
+    /**
+     * @param {string} name - Metric name
+     * @param {string} scope - scenario or endpoint
+     * @param {typeof requests} calls - Requests
+     */
+    const addLatency = (name, scope, calls) => {
+      const errors = calls.filter((call) => typeof call.status !== 'number' || call.status >= 400);
+      run.addMetric(source, {
+        scenario: collection,
+        name,
+        scope,
+        samples: calls.length,
+        errors: errors.length,
+        errorRate: Math.round((errors.length / calls.length) * 10000) / 100,
+        throughput: duration ? Math.round((calls.length / (duration / 1000)) * 100) / 100 : null,
+        stats: latencyStats(calls.map((call) => /** @type {number} */ (call.responseTime))),
+      });
+    };
+    if (timed.length > 0) addLatency(collection, 'scenario', timed);
+    byEndpoint.forEach((calls, endpoint) => addLatency(endpoint, 'endpoint', calls));
+  },
+
+  newmanUrl,
+  endpointOf,
+  latencyStats,
+};
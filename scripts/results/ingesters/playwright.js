@@ -0,0 +1,95 @@
+// @ts-check
+/**
+ * Playwright JSON reporter output (reports/test-execution/<env>/test-results.json).
+ * Suites are spec files and describe blocks; every spec has one test per project, whose status
+ * Playwright has already decided across retries (expected, unexpected, flaky or skipped).
+ */
+
+const OUTCOMES = { expected: 'passed', flaky: 'passed', unexpected: 'failed', skipped: 'skipped' };
+
+// eslint-disable-next-line no-control-regex
+const ANSI = /\u001b\[[0-9;]*m/g;
+
+/**
+ * @param {any} error - Playwright TestError
+ * @returns {string | null} Message without terminal colors
+ */
+function messageOf(error) {
+  const message = error?.message || error?.value;
+  return message ? String(message).replace(ANSI, '') : null;
+}
+
+module.exports = {
+  type: 'playwright',
+  extensions: ['.json'],
+
+  /** @param {any} data */
+  matches: (data) => Array.isArray(data.suites) && Boolean(data.config || data.stats),
+
+  /**
+   * @param {any} data - Playwright JSON report
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(data, run, context) {
+    const source = run.addSource({
+      type: 'playwright',
+      file: context.file,
+      environment: context.environment,
+      startedAt: data.stats?.startTime || null,
+      duration: data.stats?.duration ?? null,
+    });
+
+    /**
+     * @param {any} suite - Playwright suite
+     * @param {string | null} parentId - Parent suite id
+     * @param {string[]} titles - Describe titles above this suite
+     */
+    const visit = (suite, parentId, titles) => {
+      // Top-level suites are spec files titled with the file name
+      const isFile = !parentId;
+      const entry = run.addSuite(source, { name: suite.title, file: suite.file, parentId });
+      const path = isFile ? titles : [...titles, suite.title];
+
+      (suite.specs || []).forEach((/** @type {any} */ spec) => {
+        (spec.tests || []).forEach((/** @type {any} */ test) => {
+          const results = test.results || [];
+          const attempts = results.map(
+            (/** @type {any} */ result, /** @type {number} */ index) => ({
+              index: result.retry ?? index,
+              status: result.status,
+              duration: result.duration ?? null,
+              startTime: result.startTime || null,
+              error: messageOf(result.error),
+            })
+          );
+          const failed = [...attempts].reverse().find((attempt) => attempt.error);
+
+          run.addTest(source, {
+            suiteId: entry.id,
+            file: spec.file || suite.file,
+            title: spec.title,
+            titlePath: [...path, spec.title],
+            project: test.projectName || null,
+            status: OUTCOMES[test.status] || 'skipped',
+            flaky: test.status === 'flaky',
+            duration: attempts.reduce((sum, attempt) => sum + (attempt.duration || 0), 0),
+            startTime: attempts[0]?.startTime || null,
+            error: test.status === 'unexpected' ? failed?.error || null : null,
+            tags: spec.tags || [],
+            attempts,
+            attachments: results.flatMap((/** @type {any} */ result) =>
+              (result.attachments || []).map((/** @type {any} */ attachment) => ({
+                name: attachment.name,
+                contentType: attachment.contentType || null,
+                path: attachment.path || null,
+              }))
+            ),
+          });
+        });
+      });
+      (suite.suites || []).forEach((/** @type {any} */ child) => visit(child, entry.id, path));
+    };
+    data.suites.forEach((/** @type {any} */ suite) => visit(suite, null, []));
+  },
+};
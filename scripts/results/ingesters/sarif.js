@@ -0,0 +1,49 @@
+// @ts-check
+/**
+ * SARIF reports, e.g. ZAP's reports/zap/zap-report.sarif.json. Every result is a security
+ * finding, keyed by rule and location.
+ */
+
+// SARIF levels on the shared severity scale
+const SEVERITIES = { error: 'high', warning: 'medium', note: 'low', none: 'info' };
+
+module.exports = {
+  type: 'sarif',
+  extensions: ['.json'],
+
+  /** @param {any} data */
+  matches: (data) =>
+    Array.isArray(data.runs) && data.runs.every((/** @type {any} */ sarifRun) => sarifRun.tool),
+
+  /**
+   * @param {any} data - SARIF log
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(data, run, context) {
+    const source = run.addSource({
+      type: 'sarif',
+      file: context.file,
+      environment: context.environment,
+      startedAt: data.runs[0]?.invocations?.[0]?.startTimeUtc || null,
+    });
+
+    data.runs.forEach((/** @type {any} */ sarifRun) => {
+      const rules = new Map(
+        (sarifRun.tool.driver?.rules || []).map((/** @type {any} */ rule) => [rule.id, rule])
+      );
+      (sarifRun.results || []).forEach((/** @type {any} */ result) => {
+        const rule = rules.get(result.ruleId);
+        const level = result.level || rule?.defaultConfiguration?.level || 'warning';
+        run.addFinding(source, {
+          kind: 'security',
+          rule: result.ruleId || 'unknown',
+          severity: SEVERITIES[level] || 'medium',
+          level,
+          location: result.locations?.[0]?.physicalLocation?.artifactLocation?.uri || '',
+          description: result.message?.text || rule?.shortDescription?.text || '',
+        });
+      });
+    });
+  },
+};
@@ -0,0 +1,47 @@
+// @ts-check
+/**
+ * ZAP traditional JSON reports (site[].alerts[]). Every alert instance is a security finding,
+ * keyed by plugin, URI and parameter.
+ */
+
+// ZAP risk codes on the shared severity scale
+const SEVERITIES = { 3: 'high', 2: 'medium', 1: 'low', 0: 'info' };
+
+module.exports = {
+  type: 'zap',
+  extensions: ['.json'],
+
+  /** @param {any} data */
+  matches: (data) => Array.isArray(data.site),
+
+  /**
+   * @param {any} data - ZAP JSON report
+   * @param {import('../ResultRun')} run - Run to add to
+   * @param {{ file: string, environment: string | null }} context - Source file
+   */
+  ingest(data, run, context) {
+    const generated = data['@generated'] ? new Date(data['@generated']) : null;
+    const source = run.addSource({
+      type: 'zap',
+      file: context.file,
+      environment: context.environment,
+      startedAt: generated && !isNaN(generated.getTime()) ? generated.toISOString() : null,
+    });
+
+    data.site.forEach((/** @type {any} */ site) => {
+      (site.alerts || []).forEach((/** @type {any} */ alert) => {
+        const instances = alert.instances?.length ? alert.instances : [{ uri: site['@name'] }];
+        instances.forEach((/** @type {any} */ instance) => {
+          run.addFinding(source, {
+            kind: 'security',
+            rule: `${alert.pluginid} ${alert.alert || alert.name || ''}`.trim(),
+            severity: SEVERITIES[alert.riskcode] || 'info',
+            level: alert.riskdesc || alert.riskcode || null,
+            location: [instance.method, instance.uri, instance.param].filter(Boolean).join(' '),
+            description: alert.alert || alert.name || '',
+          });
+        });
+      });
+    });
+  },
+};
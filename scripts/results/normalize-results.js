@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * Normalize Results
+ * Writes the canonical run (see ResultRun.js) for a set of result files, or validates a saved
+ * run against schema/run.schema.json. With --store the run is also appended to the local history
+ * store (see ResultStore.js) that query-history.js reads.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { loadResults, saveRun, validateRun, SCHEMA_VERSION } = require('./index');
+const ResultStore = require('./ResultStore');
+
+const DEFAULT_INPUTS = [
+  path.join('reports', 'test-execution'),
+  path.join('reports', 'api-tests'),
+  path.join('reports', 'newman'),
+  path.join('reports', 'load-tests'),
+  path.join('reports', 'accessibility-tests'),
+  path.join('reports', 'zap'),
+];
+
+const DEFAULT_OUTPUT = path.join('reports', 'results', 'run.json');
+
+/**
+ * Run id and metadata from the CI environment, so re-running the same workflow attempt does not
+ * store it twice
+ * @param {NodeJS.ProcessEnv} env - Environment variables
+ * @returns {{ id?: string, metadata: Object }} Run options
+ */
+function ciRunOptions(env) {
+  if (!env.GITHUB_RUN_ID) return { metadata: {} };
+  return {
+    id: `gh-${env.GITHUB_RUN_ID}-${env.GITHUB_RUN_ATTEMPT || 1}`,
+    metadata: {
+      workflow: env.GITHUB_WORKFLOW || null,
+      event: env.GITHUB_EVENT_NAME || null,
+      branch: env.GITHUB_REF_NAME || null,
+      commit: env.GITHUB_SHA || null,
+      url:
+        env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY
+          ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+          : null,
+    },
+  };
+}
+
+/**
+ * @param {string[]} argv - Arguments
+ * @returns {{ inputs: string[], output?: string, environment?: string, validate?: string,
+ *   store?: boolean, storeDir?: string, id?: string, help?: boolean }} Options
+ */
+function parseArgs(argv) {
+  /** @type {{ inputs: string[], output?: string, environment?: string, validate?: string,
+   *   store?: boolean, storeDir?: string, id?: string, help?: boolean }} */
+  const args = { inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--input':
+        args.inputs.push(next());
+        break;
+      case '--output':
+        args.output = next();
+        break;
+      case '--environment':
+        args.environment = next();
+        break;
+      case '--validate':
+        args.validate = next();
+        break;
+      case '--store':
+        args.store = true;
+        break;
+      case '--store-dir':
+        args.store = true;
+        args.storeDir = next();
+        break;
+      case '--id':
+        args.id = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        break;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(`Usage: node scripts/results/normalize-results.js [options]
+
+Reads Playwright JSON, JUnit XML, newman JSON, k6 summaries, JMeter JTL/summaries, Jest JSON,
+axe results and SARIF/ZAP reports into one canonical run (schema version ${SCHEMA_VERSION}).
+
+Options:
+  --input <path>        Result file or directory; repeatable (default: ${DEFAULT_INPUTS.join(', ')})
+  --output <file>       Run file (default: ${DEFAULT_OUTPUT})
+  --environment <env>   Environment for every file (default: from each file's path)
+  --id <id>             Run id (default: from GITHUB_RUN_ID and GITHUB_RUN_ATTEMPT, else run-<time>)
+  --store               Also append the run to the history store
+  --store-dir <dir>     History store directory; implies --store (default: ${ResultStore.DEFAULT_STORE_DIR})
+  --validate <file>     Only validate a saved run against the schema
+`);
+    return;
+  }
+
+  if (args.validate) {
+    const { valid, errors } = validateRun(JSON.parse(fs.readFileSync(args.validate, 'utf8')));
+    if (valid) {
+      console.log(`✅ ${args.validate} matches the result schema`);
+    } else {
+      console.error(`❌ ${args.validate} does not match the result schema:`);
+      errors.forEach((error) => console.error(`   - ${error}`));
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const inputs = args.inputs.length > 0 ? args.inputs : DEFAULT_INPUTS;
+  const output = args.output || DEFAULT_OUTPUT;
+  const ci = ciRunOptions(process.env);
+  const run = await loadResults(inputs, {
+    environment: args.environment,
+    id: args.id || ci.id,
+    metadata: ci.metadata,
+  });
+  saveRun(run, output);
+
+  const summary = run.summary();
+  console.log(
+    `🧪 ${run.sources.length} result files: ${summary.total} tests (${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped), ${run.metrics.length} metrics, ${run.findings.length} findings`
+  );
+  console.log(`📊 Run: ${output}`);
+
+  if (args.store) {
+    const store = new ResultStore(args.storeDir);
+    const appended = store.append(run);
+    if (appended) {
+      console.log(
+        `🗄️  Stored run ${run.id} in ${store.dir} (${appended.tests} tests, ${appended.metrics} metrics, ${appended.findings} findings)`
+      );
+    } else {
+      console.log(`ℹ️  Run ${run.id} is already in ${store.dir}; not stored again`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Failed to normalize results:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, ciRunOptions };
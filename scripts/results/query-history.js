@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * Query History
+ * Answers questions over the local history store (see ResultStore.js), e.g.
+ * - slowest 20 tests this month: tests --since month --sort avgDuration --limit 20
+ * - failure rate of checkout specs on webkit: tests --file checkout --project webkit --group-by file
+ * - p95 of Login over the last 30 runs: metrics --name Login --last-runs 30
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ResultStore = require('./ResultStore');
+const { VIEWS, FILTERS, queryHistory, formatRows } = require('./history-queries');
+
+/**
+ * @typedef {import('./history-queries').QueryOptions & { view?: string, storeDir?: string,
+ *   format: string, output?: string, help?: boolean }} CliOptions
+ */
+
+/**
+ * @param {string[]} argv - Arguments
+ * @returns {CliOptions} Options
+ */
+function parseArgs(argv) {
+  /** @type {CliOptions & { filters: Record<string, string> }} */
+  const args = { format: 'table', filters: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    const name = arg.startsWith('--') ? arg.slice(2) : null;
+    if (name && name in FILTERS) {
+      args.filters[name] = next();
+      continue;
+    }
+    switch (arg) {
+      case '--since':
+        args.since = next();
+        break;
+      case '--until':
+        args.until = next();
+        break;
+      case '--last-runs':
+        args.lastRuns = parseInt(next(), 10);
+        break;
+      case '--group-by': {
+        const fields = next();
+        args.groupBy = fields === 'none' ? [] : fields.split(',').map((field) => field.trim());
+        break;
+      }
+      case '--sort':
+        args.sort = next();
+        break;
+      case '--asc':
+        args.ascending = true;
+        break;
+      case '--limit':
+        args.limit = parseInt(next(), 10);
+        break;
+      case '--format':
+        args.format = next();
+        break;
+      case '--output':
+        args.output = next();
+        break;
+      case '--store-dir':
+        args.storeDir = next();
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (!arg.startsWith('-') && !args.view) args.view = arg;
+        break;
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.view) {
+    console.log(`Usage: node scripts/results/query-history.js <view> [options]
+
+Queries the result history appended by "npm run results:store".
+
+Views:
+  tests      Per test: runs, failures, failure rate, flakiness, durations (group: key)
+  attempts   Per test: attempts, failed attempts, retries (group: key)
+  metrics    Load test latency per run (no grouping; use --group-by key for totals)
+  findings   Accessibility/security findings with first and last seen (group: key)
+  runs       One row per stored run
+
+Run window:
+  --since <when>        ISO date, <N>d, <N>h or month (calendar month so far)
+  --until <when>        Same formats
+  --last-runs <n>       Only the latest N runs in the window
+
+Filters (equals: environment, category, source, status, scope, kind, severity;
+         contains, case-insensitive: project, file, title, suite, name, rule):
+  --${Object.keys(FILTERS).join(' <value>, --')} <value>
+
+Output:
+  --group-by <fields>   Comma-separated row fields, or "none" for one row per record
+  --sort <field>        Sort field, descending (default per view)
+  --asc                 Sort ascending
+  --limit <n>           Maximum rows, 0 for all (default: 50)
+  --format <format>     table, json or csv (default: table)
+  --output <file>       Write to a file instead of stdout
+  --store-dir <dir>     History store (default: ${ResultStore.DEFAULT_STORE_DIR})
+
+Examples:
+  tests --since month --sort avgDuration --limit 20
+  tests --file checkout --project webkit --group-by file
+  metrics --name Login --last-runs 30
+`);
+    return;
+  }
+  if (!(args.view in VIEWS)) {
+    throw new Error(`Unknown view "${args.view}" (use ${Object.keys(VIEWS).join(', ')})`);
+  }
+
+  const store = new ResultStore(args.storeDir);
+  if (!fs.existsSync(store.fileOf('runs'))) {
+    throw new Error(`No history in ${store.dir}; run "npm run results:store" first`);
+  }
+  const text = formatRows(queryHistory(store, args.view, args), args.format);
+
+  if (args.output) {
+    fs.mkdirSync(path.dirname(args.output), { recursive: true });
+    fs.writeFileSync(args.output, `${text}\n`);
+    console.log(`📊 Query results: ${args.output}`);
+  } else {
+    console.log(text);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ Failed to query history:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,79 @@
+// @ts-check
+/**
+ * Result Schema
+ * Validates serialized runs against schema/run.schema.json. Covers the JSON Schema keywords that
+ * schema uses (type, const, enum, required, properties, items, minimum and local $ref) so the
+ * schema file stays the single definition of the format.
+ */
+
+const RUN_SCHEMA = require('./schema/run.schema.json');
+
+/**
+ * @param {any} value - Value
+ * @returns {string} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * @param {any} value - Value to check
+ * @param {any} schema - (Sub)schema
+ * @param {string} location - JSON pointer of the value, for messages
+ * @param {string[]} errors - Collected errors
+ */
+function check(value, schema, location, errors) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace(/^#\/definitions\//, '');
+    check(value, RUN_SCHEMA.definitions[name], location, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const allowed = [].concat(schema.type);
+    const matches =
+      allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${location || '/'}: expected ${allowed.join(' or ')}, got ${actual}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${location}: expected ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${location}: ${value} is below ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((/** @type {string} */ key) => {
+      if (!(key in value)) errors.push(`${location}: missing ${key}`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (key in value) check(value[key], property, `${location}/${key}`, errors);
+    });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => check(item, schema.items, `${location}/${index}`, errors));
+  }
+}
+
+/**
+ * @param {any} data - Serialized run (ResultRun#toJSON() output)
+ * @returns {{ valid: boolean, errors: string[] }} Validation result
+ */
+function validateRun(data) {
+  /** @type {string[]} */
+  const errors = [];
+  check(data, RUN_SCHEMA, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = { RUN_SCHEMA, validateRun };
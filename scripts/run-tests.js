@@ -181,7 +181,7 @@ Options:
   -t, --timeout <seconds>      Test timeout in seconds (default: 300)
   -r, --retries <number>       Number of retries for failed tests (default: 2)
   -p, --pattern <pattern>      Test file pattern to run
-  --no-notifications           Disable email notifications
+  --no-notifications           Disable notifications
   --clean                      Clean previous results before running (default)
   --no-clean                   Don't clean previous results
   -h, --help                   Show this help message
@@ -202,6 +202,18 @@ Environment Variables:
   FAILURE_RECIPIENTS           Comma-separated failure email recipients
   CRITICAL_RECIPIENTS          Comma-separated critical email recipients
   NOTIFICATIONS_ENABLED        Enable/disable notifications (true/false)
+  SLACK_WEBHOOK_URL            Slack-compatible incoming webhook
+  TEAMS_WEBHOOK_URL            Microsoft Teams incoming webhook / Workflows URL
+  NOTIFICATION_WEBHOOK_URL     Generic JSON webhook
+  NOTIFICATION_DROP_DIR        Directory for file-drop notifications
+  NOTIFICATION_ROUTES          Severity routing JSON, e.g. {"critical":["email","slack"],"default":["slack"]}
+  NOTIFICATION_REPEAT_WINDOW_MINUTES  Suppress repeats of the same failure for this long (default 360)
+  NOTIFICATION_ESCALATE_AFTER_RUNS    Escalate a failure open for this many runs
+  NOTIFICATION_ESCALATE_AFTER_MINUTES Escalate a failure open for this long
+  NOTIFICATION_QUIET_HOURS     Only send critical/escalated notifications, e.g. 22:00-07:00
+  NOTIFICATION_TIMEZONE        Time zone for quiet hours (default: system)
+  NOTIFICATION_STATE_FILE      Failure state file (default reports/notifications/state.json)
+  NOTIFICATION_THROTTLE        Set to false to notify every failing run
 `);
   }
 
@@ -306,10 +318,8 @@ Environment Variables:
       // Send summary notification
       await this.notificationManager.sendSummaryNotification(results, trendAnalysis);
 
-      // Send failure notification if there are failures
-      if (results.failed > 0) {
-        await this.notificationManager.sendFailureNotification(results, []);
-      }
+      // Send failure notification, or a recovery when a previously failing run passes
+      await this.notificationManager.sendFailureNotification(results, []);
 
       // Send trend notification if significant trends detected
       if (trendAnalysis && this.notificationManager.hasSignificantTrends(trendAnalysis)) {
@@ -7,6 +7,7 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { loadResults } = require('../results');
 
 /**
  * @typedef {Object} ExecutorConfig
@@ -161,10 +162,18 @@ class TestExecutor {
         args.push(testPattern);
       }
 
-      // Set environment variable
+      // The JSON reporter writes to a file per environment and browser, read back through the
+      // canonical result model (scripts/results) like every other report
+      const reportFile = path.resolve(
+        this.config.reportDir,
+        'test-execution',
+        environment,
+        `playwright-${browser}.json`
+      );
       const env = {
         ...process.env,
         TEST_ENV: environment,
+        PLAYWRIGHT_JSON_OUTPUT_NAME: reportFile,
       };
 
       const playwrightProcess = spawn('npx', ['playwright', ...args], {
@@ -172,34 +181,25 @@ class TestExecutor {
         stdio: ['pipe', 'pipe', 'pipe'],
       });
 
-      let stdout = '';
-      let stderr = '';
-
-      playwrightProcess.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      playwrightProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-        // Also log to console for real-time feedback
-        process.stderr.write(data);
-      });
+      // Forward output for real-time feedback
+      playwrightProcess.stdout.on('data', (data) => process.stdout.write(data));
+      playwrightProcess.stderr.on('data', (data) => process.stderr.write(data));
 
       playwrightProcess.on('close', (code) => {
-        try {
-          // Parse Playwright JSON output
-          const results = this.parsePlaywrightResults(stdout, stderr);
-
-          console.log(`   ✅ ${environment}/${browser}: ${results.passed}/${results.total} passed`);
-
-          resolve(results);
-        } catch (error) {
-          console.error(
-            `   ❌ Failed to parse results for ${environment}/${browser}:`,
-            error.message
-          );
-          resolve({ total: 0, passed: 0, failed: 0, skipped: 0 });
-        }
+        this.readResults(reportFile, environment)
+          .then((results) => {
+            console.log(
+              `   ✅ ${environment}/${browser}: ${results.passed}/${results.total} passed`
+            );
+            resolve(results);
+          })
+          .catch((error) => {
+            console.error(
+              `   ❌ No results for ${environment}/${browser} (exit code ${code}):`,
+              error.message
+            );
+            reject(error);
+          });
       });
 
       playwrightProcess.on('error', (error) => {
@@ -213,80 +213,21 @@ class TestExecutor {
   }
 
   /**
-   * Parse Playwright JSON results
-   * @param {string} stdout - Standard output from Playwright
-   * @param {string} stderr - Standard error from Playwright
-   * @returns {SuiteStats} - Parsed results
+   * Count the tests of a Playwright JSON report with the canonical result model
+   * @param {string} file - Playwright JSON report
+   * @param {string} environment - Environment name
+   * @returns {Promise<SuiteStats>} - Results; flaky tests count as passed
    */
-  parsePlaywrightResults(stdout, stderr) {
-    try {
-      // Try to find JSON output in stdout
-      const lines = stdout.split('\n');
-      let jsonResult = null;
-
-      for (const line of lines) {
-        if (line.trim().startsWith('{') && line.includes('"stats"')) {
-          jsonResult = JSON.parse(line.trim());
-          break;
-        }
-      }
-
-      if (jsonResult && jsonResult.stats) {
-        return {
-          total: jsonResult.stats.total || 0,
-          passed: jsonResult.stats.passed || 0,
-          failed: jsonResult.stats.failed || 0,
-          skipped: jsonResult.stats.skipped || 0,
-        };
-      }
-
-      // Fallback: parse from text output
-      return this.parseTextResults(stdout + stderr);
-    } catch (error) {
-      console.warn('Failed to parse JSON results, falling back to text parsing:', error.message);
-      return this.parseTextResults(stdout + stderr);
+  async readResults(file, environment) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Playwright did not write ${file}`);
     }
-  }
-
-  /**
-   * Parse results from text output
-   * @param {string} output - Combined stdout and stderr
-   * @returns {SuiteStats} - Parsed results
-   */
-  parseTextResults(output) {
-    /** @type {SuiteStats} */
-    const results = { total: 0, passed: 0, failed: 0, skipped: 0 };
-
-    // Look for summary patterns
-    const patterns = [/(\d+) passed/i, /(\d+) failed/i, /(\d+) skipped/i, /(\d+) total/i];
-
-    patterns.forEach((pattern, index) => {
-      const match = output.match(pattern);
-      if (match) {
-        const count = parseInt(match[1]);
-        switch (index) {
-          case 0:
-            results.passed = count;
-            break;
-          case 1:
-            results.failed = count;
-            break;
-          case 2:
-            results.skipped = count;
-            break;
-          case 3:
-            results.total = count;
-            break;
-        }
-      }
-    });
-
-    // If total wasn't found, calculate it
-    if (results.total === 0) {
-      results.total = results.passed + results.failed + results.skipped;
+    const run = await loadResults(file, { types: ['playwright'], environment });
+    if (run.errors.length > 0) {
+      throw new Error(run.errors.map(({ message }) => message).join('; '));
     }
-
-    return results;
+    const { total, passed, failed, skipped } = run.summary();
+    return { total, passed, failed, skipped };
   }
 
   /**
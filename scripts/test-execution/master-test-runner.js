@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn, execSync } = require('child_process');
+const { loadResults } = require('../results');
 
 class MasterTestRunner {
   constructor() {
@@ -428,20 +429,14 @@ class MasterTestRunner {
   }
 
   /**
-   * Parse test results from output files
+   * Parse test results from output files: the suite's tests in the canonical result model
    */
   async parseTestResults(suiteId, environment) {
     try {
-      // Look for test result files based on suite type
-      const resultPaths = this.getResultPaths(suiteId, environment);
-
-      for (const resultPath of resultPaths) {
-        if (fs.existsSync(resultPath)) {
-          const results = await this.parseResultFile(resultPath, suiteId);
-          if (results) {
-            return results;
-          }
-        }
+      const run = await loadResults(this.getResultPaths(suiteId, environment));
+      const { total, passed, failed, skipped } = run.summary((test) => test.category === suiteId);
+      if (total > 0) {
+        return { total, passed, failed, skipped };
       }
     } catch (error) {
       console.warn(`    ⚠️  Could not parse test results: ${error.message}`);
@@ -451,103 +446,36 @@ class MasterTestRunner {
   }
 
   /**
-   * Get potential result file paths
+   * Get directories that may hold the suite's result files
    */
   getResultPaths(suiteId, environment) {
-    const paths = [];
+    const playwrightPaths = [
+      path.join(this.baseDir, 'test-results'),
+      path.join(this.baseDir, 'reports', 'test-execution', environment),
+    ];
 
     switch (suiteId) {
       case 'ui':
-        paths.push(
-          path.join(this.baseDir, 'test-results', 'results.json'),
-          path.join(this.baseDir, 'playwright-report', 'results.json'),
-          path.join(this.baseDir, `reports/test-execution/${environment}/results.json`)
-        );
-        break;
+        return playwrightPaths;
       case 'api':
-        paths.push(
-          path.join(this.baseDir, 'reports/api-tests', 'summary.json'),
-          path.join(this.baseDir, 'reports/newman', 'summary.json')
-        );
-        break;
+        return [
+          path.join(this.baseDir, 'reports', 'api-tests'),
+          path.join(this.baseDir, 'reports', 'newman'),
+        ];
       case 'performance':
-        paths.push(path.join(this.baseDir, 'reports/performance-tests', 'summary.json'));
-        break;
+        return [
+          path.join(this.baseDir, 'reports', 'load-tests'),
+          path.join(this.baseDir, 'reports', 'performance-tests'),
+        ];
       case 'accessibility':
-        paths.push(path.join(this.baseDir, 'reports/accessibility-tests', 'summary.json'));
-        break;
+        return [...playwrightPaths, path.join(this.baseDir, 'reports', 'accessibility-tests')];
       case 'security':
-        paths.push(path.join(this.baseDir, 'reports/security-tests', 'summary.json'));
-        break;
-    }
-
-    return paths;
-  }
-
-  /**
-   * Parse result file based on format
-   */
-  async parseResultFile(filePath, suiteId) {
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const data = JSON.parse(content);
-
-      // Parse based on suite type and file format
-      switch (suiteId) {
-        case 'ui':
-          return this.parsePlaywrightResults(data);
-        case 'api':
-          return this.parseNewmanResults(data);
-        default:
-          return this.parseGenericResults(data);
-      }
-    } catch (error) {
-      console.warn(`Could not parse ${filePath}:`, error.message);
-      return null;
+        return [...playwrightPaths, path.join(this.baseDir, 'reports', 'security-tests')];
+      default:
+        return [];
     }
   }
 
-  /**
-   * Parse Playwright test results
-   */
-  parsePlaywrightResults(data) {
-    // Implementation would parse Playwright-specific format
-    return {
-      total: data.stats?.total || 0,
-      passed: data.stats?.passed || 0,
-      failed: data.stats?.failed || 0,
-      skipped: data.stats?.skipped || 0,
-    };
-  }
-
-  /**
-   * Parse Newman test results
-   */
-  parseNewmanResults(data) {
-    if (data.run && data.run.stats) {
-      const stats = data.run.stats;
-      return {
-        total: stats.tests?.total || 0,
-        passed: (stats.tests?.total || 0) - (stats.tests?.failed || 0),
-        failed: stats.tests?.failed || 0,
-        skipped: 0,
-      };
-    }
-    return null;
-  }
-
-  /**
-   * Parse generic test results
-   */
-  parseGenericResults(data) {
-    return {
-      total: data.total || 0,
-      passed: data.passed || 0,
-      failed: data.failed || 0,
-      skipped: data.skipped || 0,
-    };
-  }
-
   /**
    * Save execution results
    */
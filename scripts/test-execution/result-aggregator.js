@@ -7,6 +7,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadResults } = require('../results');
+
+// Result files to aggregate, in any format scripts/results understands
+const RESULT_INPUTS = [
+  'test-results',
+  'reports/test-execution',
+  'reports/api-tests',
+  'reports/newman',
+  'reports/load-tests',
+  'reports/accessibility-tests',
+  'reports/zap',
+];
 
 class ResultAggregator {
   constructor() {
@@ -58,12 +70,7 @@ class ResultAggregator {
       trends: await this.calculateTrends(),
     };
 
-    // Collect results from different sources
-    await this.collectPlaywrightResults(aggregation);
-    await this.collectNewmanResults(aggregation);
-    await this.collectJMeterResults(aggregation);
-    await this.collectAccessibilityResults(aggregation);
-    await this.collectSecurityResults(aggregation);
+    await this.collectResults(aggregation);
 
     // Calculate final metrics
     this.calculateFinalMetrics(aggregation);
@@ -75,60 +82,18 @@ class ResultAggregator {
   }
 
   /**
-   * Collect Playwright test results
+   * Collect UI, API, performance, accessibility and security test results through the canonical
+   * result model, one suite per test category
    */
-  async collectPlaywrightResults(aggregation) {
-    const playwrightDirs = ['test-results', 'playwright-report', 'reports/test-execution'];
-
-    for (const dir of playwrightDirs) {
-      const fullPath = path.join(this.baseDir, dir);
-      if (fs.existsSync(fullPath)) {
-        try {
-          const results = await this.parsePlaywrightResults(fullPath);
-          if (results) {
-            this.mergeResults(aggregation, 'ui', results);
-          }
-        } catch (error) {
-          console.warn(`Failed to parse Playwright results from ${dir}:`, error.message);
-        }
-      }
-    }
-  }
-
-  /**
-   * Parse Playwright results
-   */
-  async parsePlaywrightResults(dir) {
-    // Implementation would parse actual Playwright results
-    return null;
-  }
-
-  /**
-   * Collect Newman test results
-   */
-  async collectNewmanResults(aggregation) {
-    // Implementation for Newman results
-  }
+  async collectResults(aggregation) {
+    const run = await loadResults(RESULT_INPUTS.map((dir) => path.join(this.baseDir, dir)));
 
-  /**
-   * Collect JMeter results
-   */
-  async collectJMeterResults(aggregation) {
-    // Implementation for JMeter results
-  }
-
-  /**
-   * Collect accessibility results
-   */
-  async collectAccessibilityResults(aggregation) {
-    // Implementation for accessibility results
-  }
-
-  /**
-   * Collect security results
-   */
-  async collectSecurityResults(aggregation) {
-    // Implementation for security results
+    Object.entries(run.groupBy('category')).forEach(([category, results]) => {
+      this.mergeResults(aggregation, category, results);
+    });
+    aggregation.environments = run.groupBy('environment');
+    aggregation.browsers = run.groupBy((test) => (test.category === 'ui' ? test.project : null));
+    delete aggregation.browsers.null;
   }
 
   /**
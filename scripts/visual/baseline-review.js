@@ -0,0 +1,482 @@
+/**
+ * Visual Baseline Review
+ * Builds a static HTML review app from the VisualTestUtils screenshot directories and promotes
+ * individually approved actual screenshots into the baseline directory. Every approval is
+ * recorded (who, when, which image) in baseline/manifest.json.
+ *
+ * Usage:
+ *   node scripts/visual/baseline-review.js generate
+ *   node scripts/visual/baseline-review.js approve --approvals ~/Downloads/visual-approvals.json
+ *   node scripts/visual/baseline-review.js approve home-chromium.png --by "Jane Doe"
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+
+const DEFAULT_SCREENSHOT_DIR = path.join(
+  __dirname,
+  '..',
+  '..',
+  'automated-tests',
+  'ui-tests',
+  'screenshots'
+);
+const DEFAULT_OUTPUT_DIR = path.join('reports', 'visual-review');
+const MANIFEST_FILE = 'manifest.json';
+
+// Comparison statuses that need a reviewer's decision
+const REVIEWABLE_STATUSES = ['failed', 'baseline_created'];
+
+function sha256(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class BaselineReview {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.screenshotDir - Directory holding baseline/, actual/ and diff/
+   * @param {string} options.outputDir - Where the review app is written
+   */
+  constructor(options = {}) {
+    this.screenshotDir = options.screenshotDir || DEFAULT_SCREENSHOT_DIR;
+    this.outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+    this.baselineDir = path.join(this.screenshotDir, 'baseline');
+    this.actualDir = path.join(this.screenshotDir, 'actual');
+    this.diffDir = path.join(this.screenshotDir, 'diff');
+    this.manifestPath = path.join(this.baselineDir, MANIFEST_FILE);
+  }
+
+  /**
+   * Collect comparisons awaiting review from the result files VisualTestUtils writes
+   * @param {Object} options - { all: include passed comparisons }
+   * @returns {Array<Object>} Review entries
+   */
+  collectEntries({ all = false } = {}) {
+    if (!fs.existsSync(this.actualDir)) return [];
+    const manifest = this.loadManifest();
+
+    return fs
+      .readdirSync(this.actualDir)
+      .filter((file) => file.endsWith('.png'))
+      .sort()
+      .map((file) => {
+        const resultPath = path.join(this.actualDir, file.replace(/\.png$/, '.json'));
+        const result = fs.existsSync(resultPath)
+          ? JSON.parse(fs.readFileSync(resultPath, 'utf8'))
+          : { status: 'unknown' };
+        const actualPath = path.join(this.actualDir, file);
+        const baselinePath = path.join(this.baselineDir, file);
+        const diffPath = path.join(this.diffDir, file);
+        const approval = manifest.baselines[file];
+        const actualSha256 = sha256(actualPath);
+
+        return {
+          file,
+          name: result.name || file.replace(/\.png$/, ''),
+          browserName: result.browserName || null,
+          status: result.status,
+          message: result.message || '',
+          mismatchRatio: result.mismatchRatio || 0,
+          diffPixels: result.diffPixels || 0,
+          regions: result.regions || [],
+          sizeMismatch: Boolean(result.sizeMismatch),
+          timestamp: result.timestamp || null,
+          actualSha256,
+          hasBaseline: fs.existsSync(baselinePath),
+          hasDiff: fs.existsSync(diffPath),
+          // A silently created baseline stays reviewable until someone approves it
+          approved: Boolean(approval && approval.sha256 === actualSha256),
+          lastApproval: approval || null,
+        };
+      })
+      .filter((entry) => all || (REVIEWABLE_STATUSES.includes(entry.status) && !entry.approved));
+  }
+
+  /**
+   * Write the review app: index.html plus copies of the images it shows
+   * @param {Object} options - { all: include passed comparisons }
+   * @returns {string} Path to index.html
+   */
+  generate(options = {}) {
+    const entries = this.collectEntries(options);
+    const imageDirs = { baseline: this.baselineDir, actual: this.actualDir, diff: this.diffDir };
+
+    Object.keys(imageDirs).forEach((kind) => {
+      fs.rmSync(path.join(this.outputDir, kind), { recursive: true, force: true });
+      fs.mkdirSync(path.join(this.outputDir, kind), { recursive: true });
+    });
+    entries.forEach((entry) => {
+      Object.entries(imageDirs).forEach(([kind, dir]) => {
+        const source = path.join(dir, entry.file);
+        if (fs.existsSync(source)) {
+          fs.copyFileSync(source, path.join(this.outputDir, kind, entry.file));
+        }
+      });
+    });
+
+    const indexPath = path.join(this.outputDir, 'index.html');
+    fs.writeFileSync(indexPath, this.renderHtml(entries));
+
+    console.log(`🖼️  Visual review: ${entries.length} comparison(s) to review`);
+    console.log(`📄 Review app: ${indexPath}`);
+    return indexPath;
+  }
+
+  renderHtml(entries) {
+    const reviewId = crypto
+      .createHash('sha1')
+      .update(entries.map((e) => e.actualSha256).join(','))
+      .digest('hex')
+      .slice(0, 12);
+    const data = JSON.stringify({
+      reviewId,
+      generatedAt: new Date().toISOString(),
+      entries,
+    }).replace(/</g, '\\u003c');
+
+    const cards = entries
+      .map((entry, index) => {
+        const src = (kind) => `${kind}/${encodeURIComponent(entry.file)}`;
+        const baseline = entry.hasBaseline
+          ? `<img src="${src('baseline')}" alt="Baseline">`
+          : '<p class="empty">No baseline</p>';
+        const diff = entry.hasDiff
+          ? `<img src="${src('diff')}" alt="Diff">`
+          : '<p class="empty">No diff image</p>';
+        const lastApproval = entry.lastApproval
+          ? `Last approved by ${escapeHtml(entry.lastApproval.approvedBy)} on ${escapeHtml(
+              entry.lastApproval.approvedAt
+            )}`
+          : 'Never approved';
+
+        return `
+    <section class="card" data-index="${index}" data-file="${escapeHtml(entry.file)}">
+      <header>
+        <h2>${escapeHtml(entry.name)}</h2>
+        <span class="badge ${escapeHtml(entry.status)}">${escapeHtml(entry.status)}</span>
+        <span class="decision"></span>
+      </header>
+      <p class="meta">${escapeHtml(entry.message)} · ${(entry.mismatchRatio * 100).toFixed(3)}% mismatch · ${entry.regions.length} region(s) · ${lastApproval}</p>
+      <nav class="views">
+        <button data-view="side" class="active">Side by side</button>
+        <button data-view="overlay">Overlay</button>
+        <button data-view="slider">Slider</button>
+      </nav>
+      <div class="view side">
+        <figure><figcaption>Baseline</figcaption>${baseline}</figure>
+        <figure><figcaption>Actual</figcaption><img src="${src('actual')}" alt="Actual"></figure>
+        <figure><figcaption>Diff</figcaption>${diff}</figure>
+      </div>
+      <div class="view overlay" hidden>
+        <label>Actual opacity <input type="range" min="0" max="100" value="50" class="opacity"></label>
+        <div class="stack">${baseline}<img class="top" src="${src('actual')}" alt="Actual" style="opacity:0.5"></div>
+      </div>
+      <div class="view slider" hidden>
+        <label>Baseline ◀ ▶ Actual <input type="range" min="0" max="100" value="50" class="split"></label>
+        <div class="stack">${baseline}<img class="top" src="${src('actual')}" alt="Actual" style="clip-path:inset(0 0 0 50%)"></div>
+      </div>
+      <footer>
+        <button class="approve">Approve</button>
+        <button class="reject">Reject</button>
+      </footer>
+    </section>`;
+      })
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Visual Baseline Review</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f6fa; color: #2c3e50; }
+    .toolbar { position: sticky; top: 0; z-index: 1; display: flex; gap: 12px; align-items: center; padding: 12px 24px; background: #2c3e50; color: #fff; }
+    .toolbar h1 { font-size: 18px; margin: 0 auto 0 0; }
+    .toolbar input { padding: 6px; }
+    main { padding: 24px; }
+    .card { background: #fff; border-radius: 8px; padding: 16px; margin-bottom: 24px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+    .card header { display: flex; gap: 12px; align-items: center; }
+    .card h2 { font-size: 16px; margin: 0; }
+    .badge { padding: 2px 8px; border-radius: 4px; font-size: 12px; background: #95a5a6; color: #fff; }
+    .badge.failed { background: #e74c3c; }
+    .badge.baseline_created { background: #f39c12; }
+    .decision.approved { color: #27ae60; font-weight: bold; }
+    .decision.rejected { color: #e74c3c; font-weight: bold; }
+    .meta { color: #7f8c8d; font-size: 13px; }
+    .views button.active { background: #3498db; color: #fff; }
+    .side { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+    figure { margin: 0; }
+    figcaption { font-size: 12px; color: #7f8c8d; }
+    img { max-width: 100%; border: 1px solid #ddd; display: block; }
+    .stack { position: relative; display: inline-block; max-width: 100%; }
+    .stack .top { position: absolute; top: 0; left: 0; }
+    .empty { color: #95a5a6; font-style: italic; }
+    footer { margin-top: 12px; display: flex; gap: 8px; }
+    button { padding: 6px 14px; border: 1px solid #bdc3c7; border-radius: 4px; background: #fff; cursor: pointer; }
+    .approve { border-color: #27ae60; }
+    .reject { border-color: #e74c3c; }
+    code { background: #ecf0f1; padding: 2px 6px; border-radius: 3px; }
+  </style>
+</head>
+<body>
+  <div class="toolbar">
+    <h1>Visual Baseline Review · ${entries.length} to review</h1>
+    <label>Reviewer <input id="reviewer" placeholder="Your name"></label>
+    <button id="export">Export approvals</button>
+  </div>
+  <main>
+    <p>Approve each change you accept, export the approvals and promote them with
+      <code>npm run visual:approve -- --approvals &lt;downloaded visual-approvals.json&gt;</code>.
+      Only approved screenshots are copied into the baseline directory.</p>
+    ${entries.length > 0 ? cards : '<p class="empty">Nothing to review: every comparison matched its approved baseline.</p>'}
+  </main>
+  <script type="application/json" id="review-data">${data}</script>
+  <script>
+    const review = JSON.parse(document.getElementById('review-data').textContent);
+    const storageKey = 'visual-review-' + review.reviewId;
+    const decisions = JSON.parse(localStorage.getItem(storageKey) || '{}');
+    const reviewer = document.getElementById('reviewer');
+    reviewer.value = localStorage.getItem('visual-reviewer') || '';
+    reviewer.addEventListener('change', () => localStorage.setItem('visual-reviewer', reviewer.value));
+
+    function render(card) {
+      const decision = decisions[card.dataset.file];
+      const label = card.querySelector('.decision');
+      label.className = 'decision ' + (decision ? decision.decision : '');
+      label.textContent = decision ? decision.decision + ' ' + decision.decidedAt : '';
+    }
+
+    document.querySelectorAll('.card').forEach((card) => {
+      const entry = review.entries[Number(card.dataset.index)];
+      const decide = (decision) => {
+        decisions[entry.file] = { decision, decidedAt: new Date().toISOString() };
+        localStorage.setItem(storageKey, JSON.stringify(decisions));
+        render(card);
+      };
+      card.querySelector('.approve').addEventListener('click', () => decide('approved'));
+      card.querySelector('.reject').addEventListener('click', () => decide('rejected'));
+
+      card.querySelectorAll('.views button').forEach((button) => {
+        button.addEventListener('click', () => {
+          card.querySelectorAll('.views button').forEach((b) => b.classList.toggle('active', b === button));
+          card.querySelectorAll('.view').forEach((view) => {
+            view.hidden = !view.classList.contains(button.dataset.view);
+          });
+        });
+      });
+      card.querySelector('.opacity').addEventListener('input', (event) => {
+        card.querySelector('.overlay .top').style.opacity = event.target.value / 100;
+      });
+      card.querySelector('.split').addEventListener('input', (event) => {
+        card.querySelector('.slider .top').style.clipPath = 'inset(0 0 0 ' + event.target.value + '%)';
+      });
+      render(card);
+    });
+
+    document.getElementById('export').addEventListener('click', () => {
+      if (!reviewer.value.trim()) {
+        alert('Enter your name as reviewer before exporting approvals');
+        return;
+      }
+      const approvals = review.entries
+        .filter((entry) => decisions[entry.file])
+        .map((entry) => ({
+          file: entry.file,
+          decision: decisions[entry.file].decision,
+          decidedAt: decisions[entry.file].decidedAt,
+          actualSha256: entry.actualSha256,
+        }));
+      const blob = new Blob(
+        [JSON.stringify({ reviewId: review.reviewId, reviewer: reviewer.value.trim(), approvals }, null, 2)],
+        { type: 'application/json' }
+      );
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'visual-approvals.json';
+      link.click();
+    });
+  </script>
+</body>
+</html>`;
+  }
+
+  loadManifest() {
+    if (!fs.existsSync(this.manifestPath)) return { version: 1, baselines: {} };
+    return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+  }
+
+  saveManifest(manifest) {
+    fs.mkdirSync(this.baselineDir, { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  /**
+   * Promote approved actual screenshots into the baseline directory
+   * @param {Array<Object>} approvals - `{ file, decidedAt?, actualSha256? }` for each approved image
+   * @param {string} approvedBy - Reviewer recorded in the manifest
+   * @returns {Object} { promoted: string[], skipped: Array<{ file, reason }> }
+   */
+  promote(approvals, approvedBy) {
+    const manifest = this.loadManifest();
+    const promoted = [];
+    const skipped = [];
+
+    approvals.forEach((approval) => {
+      const file = path.basename(approval.file);
+      const actualPath = path.join(this.actualDir, file);
+      if (!fs.existsSync(actualPath)) {
+        skipped.push({ file, reason: 'no actual screenshot' });
+        return;
+      }
+
+      const actualSha256 = sha256(actualPath);
+      if (approval.actualSha256 && approval.actualSha256 !== actualSha256) {
+        skipped.push({ file, reason: 'actual screenshot changed since it was reviewed' });
+        return;
+      }
+
+      const baselinePath = path.join(this.baselineDir, file);
+      const previousSha256 = fs.existsSync(baselinePath) ? sha256(baselinePath) : null;
+      fs.mkdirSync(this.baselineDir, { recursive: true });
+      fs.copyFileSync(actualPath, baselinePath);
+      fs.rmSync(path.join(this.diffDir, file), { force: true });
+
+      const resultPath = path.join(this.actualDir, file.replace(/\.png$/, '.json'));
+      const result = fs.existsSync(resultPath)
+        ? JSON.parse(fs.readFileSync(resultPath, 'utf8'))
+        : {};
+      const record = {
+        sha256: actualSha256,
+        previousSha256,
+        approvedBy,
+        approvedAt: approval.decidedAt || new Date().toISOString(),
+        mismatchRatio: result.mismatchRatio ?? null,
+        status: result.status || null,
+      };
+      const history = manifest.baselines[file] ? manifest.baselines[file].history || [] : [];
+      manifest.baselines[file] = { ...record, history: [...history, record] };
+
+      if (fs.existsSync(resultPath)) {
+        fs.writeFileSync(resultPath, JSON.stringify({ ...result, status: 'approved' }, null, 2));
+      }
+      promoted.push(file);
+    });
+
+    this.saveManifest(manifest);
+    return { promoted, skipped };
+  }
+
+  /**
+   * Promote the approved entries of an approvals file exported from the review app
+   * @param {string} approvalsPath - Path to visual-approvals.json
+   * @param {string} approvedBy - Overrides the reviewer named in the file
+   */
+  promoteFromFile(approvalsPath, approvedBy) {
+    const review = JSON.parse(fs.readFileSync(approvalsPath, 'utf8'));
+    const approved = (review.approvals || []).filter((a) => a.decision === 'approved');
+    return this.promote(approved, approvedBy || review.reviewer || BaselineReview.currentUser());
+  }
+
+  /**
+   * Reviewer name when none is given: VISUAL_APPROVER, git user.name, then the OS user
+   */
+  static currentUser() {
+    if (process.env.VISUAL_APPROVER) return process.env.VISUAL_APPROVER;
+    try {
+      const name = execSync('git config user.name', { stdio: ['ignore', 'pipe', 'ignore'] })
+        .toString()
+        .trim();
+      if (name) return name;
+    } catch (_) {
+      // Not a git checkout or no user configured
+    }
+    return os.userInfo().username;
+  }
+}
+
+function parseArgs(argv) {
+  const options = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      options._.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split('=');
+    if (inline !== undefined) options[key] = inline;
+    else if (argv[i + 1] && !argv[i + 1].startsWith('--')) options[key] = argv[++i];
+    else options[key] = true;
+  }
+  return options;
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._.shift() || 'generate';
+
+  if (args.help || command === 'help') {
+    console.log(`
+Visual Baseline Review
+
+Usage:
+  node scripts/visual/baseline-review.js generate [--all] [--out <dir>]
+  node scripts/visual/baseline-review.js approve --approvals <visual-approvals.json> [--by <name>]
+  node scripts/visual/baseline-review.js approve <file.png>... [--by <name>]
+
+Options:
+  --screenshots <dir>   Screenshot root with baseline/, actual/ and diff/
+                        (default: automated-tests/ui-tests/screenshots)
+  --out <dir>           Review app output directory (default: reports/visual-review)
+  --all                 Include comparisons that passed
+  --by <name>           Approver recorded in the manifest (default: reviewer in the approvals
+                        file, VISUAL_APPROVER, git user.name)
+`);
+    process.exit(0);
+  }
+
+  const review = new BaselineReview({ screenshotDir: args.screenshots, outputDir: args.out });
+
+  try {
+    if (command === 'generate') {
+      review.generate({ all: Boolean(args.all) });
+    } else if (command === 'approve') {
+      const by = typeof args.by === 'string' ? args.by : null;
+      const result = args.approvals
+        ? review.promoteFromFile(args.approvals, by)
+        : review.promote(
+            args._.map((file) => ({ file })),
+            by || BaselineReview.currentUser()
+          );
+
+      result.promoted.forEach((file) => console.log(`✅ Promoted ${file} to baseline`));
+      result.skipped.forEach(({ file, reason }) => console.warn(`⚠️  Skipped ${file}: ${reason}`));
+      if (result.promoted.length === 0 && result.skipped.length === 0) {
+        console.log('Nothing approved to promote');
+      }
+      console.log(`📒 Manifest: ${review.manifestPath}`);
+      process.exit(result.skipped.length > 0 ? 1 : 0);
+    } else {
+      console.error(`Unknown command: ${command}. Use generate or approve.`);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Visual review failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = BaselineReview;
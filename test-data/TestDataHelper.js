@@ -3,14 +3,26 @@
  * Main interface for test data operations in Playwright tests
  */
 
+const path = require('path');
 const DataManager = require('./utils/DataManager');
 const DataGenerator = require('./generators/DataGenerator');
+const SeededRandom = require('./generators/SeededRandom');
 const testDataConfig = require('./config/testDataConfig');
 
+// Replays the data of a failed retry: a test's stream depends on its retry number
+const RETRY_ENV_VAR = 'TEST_DATA_RETRY';
+
 class TestDataHelper {
-  constructor(environment = 'development') {
-    this.dataManager = new DataManager();
-    this.dataGenerator = new DataGenerator();
+  /**
+   * @param {string} environment - Target environment
+   * @param {object} options - Options
+   * @param {string|number} options.seed - Data seed (defaults to TEST_DATA_SEED)
+   * @param {string} options.locale - Default data locale (defaults to TEST_DATA_LOCALE / en-US)
+   */
+  constructor(environment = 'development', options = {}) {
+    this.dataGenerator = new DataGenerator({ seed: options.seed, locale: options.locale });
+    this.dataManager = new DataManager({ dataGenerator: this.dataGenerator });
+    this.seed = this.dataGenerator.seed;
     this.environment = environment;
     this.config = testDataConfig;
     this.currentTestData = new Map();
@@ -24,8 +36,10 @@ class TestDataHelper {
     console.log(`Initializing test data for suite: ${suiteName}`);
     this.currentSuite = suiteName;
 
-    // Reset generators for clean state
+    // Reset generators for clean state; each suite gets its own stream of the run seed
     this.dataManager.reset();
+    this.dataGenerator.useStream(suiteName);
+    console.log(`Test data seed: ${this.seed} (replay with ${this.getReplayCommand()})`);
 
     // Log initialization if enabled
     if (this.config.logging.enabled && this.config.logging.logDataGeneration) {
@@ -33,6 +47,53 @@ class TestDataHelper {
     }
   }
 
+  /**
+   * Switch to the data stream of one Playwright test (call from `test.beforeEach`)
+   * @param {import('@playwright/test').TestInfo} testInfo - Test info
+   */
+  initializeTest(testInfo) {
+    this.dataGenerator.useStream(TestDataHelper.streamFor(testInfo));
+    this.dataGenerator.reset();
+  }
+
+  /**
+   * Data stream label of a Playwright test. It is derived from the test's identity (project,
+   * file and title path) rather than the worker running it, so a test replayed on its own
+   * gets the same data as in the full, fully parallel run. Browser projects and retries get
+   * their own streams so they never register the same emails against the shared shop.
+   * @param {import('@playwright/test').TestInfo} testInfo - Test info
+   * @returns {string} e.g. `chromium:checkout-process.spec.js › Checkout Process Tests › ...`
+   */
+  static streamFor(testInfo) {
+    const file = path.relative(testInfo.project.testDir, testInfo.file).split(path.sep).join('/');
+    const title = [file, ...testInfo.titlePath.slice(1)].join(' › ');
+    const retry = testInfo.retry || Number(process.env[RETRY_ENV_VAR] || 0);
+    return `${testInfo.project.name}:${title}${retry > 0 ? `:retry${retry}` : ''}`;
+  }
+
+  /**
+   * Seed details for reports and failure attachments
+   * @returns {object} { seed, stream, locale, referenceDate, replay }
+   */
+  getSeedInfo() {
+    return {
+      seed: this.seed,
+      stream: this.dataGenerator.stream,
+      locale: this.dataGenerator.locale,
+      referenceDate: this.dataGenerator.referenceDate.toISOString().split('T')[0],
+      replay: this.getReplayCommand(),
+    };
+  }
+
+  /**
+   * Environment prefix that reproduces this helper's data
+   * @returns {string} e.g. `TEST_DATA_SEED=1a2b3c4d TEST_DATA_REFERENCE_DATE=2024-05-01`
+   */
+  getReplayCommand() {
+    const date = this.dataGenerator.referenceDate.toISOString().split('T')[0];
+    return `${SeededRandom.SEED_ENV_VAR}=${this.seed} ${SeededRandom.REFERENCE_DATE_ENV_VAR}=${date}`;
+  }
+
   /**
    * Get test data for a specific scenario
    * @param {string} scenarioName - Name of the scenario
@@ -187,18 +248,20 @@ class TestDataHelper {
    * Generate unique test data for a test
    * @param {string} dataType - Type of data to generate
    * @param {object} overrides - Property overrides
+   * @param {object} options - Generation options
+   * @param {string} options.locale - Locale for users and addresses (e.g. `de-DE`)
    * @returns {object} Generated data
    */
-  generateUniqueData(dataType, overrides = {}) {
+  generateUniqueData(dataType, overrides = {}, options = {}) {
     switch (dataType) {
       case 'user':
-        return this.dataGenerator.generateUser(overrides);
+        return this.dataGenerator.generateUser(overrides, options);
       case 'product':
         return this.dataGenerator.generateProduct(overrides);
       case 'creditCard':
         return this.dataGenerator.generateCreditCard(overrides.type || 'visa');
       case 'address':
-        return this.dataGenerator.generateAddress();
+        return { ...this.dataGenerator.generateAddress(options), ...overrides };
       default:
         throw new Error(`Unknown data type for generation: ${dataType}`);
     }
@@ -209,16 +272,17 @@ class TestDataHelper {
    * @param {string} dataType - Type of data to generate
    * @param {number} count - Number of items to generate
    * @param {object} overrides - Common overrides for all items
+   * @param {object} options - Generation options such as `locale`
    * @returns {Array} Array of generated data
    */
-  generateBulkData(dataType, count, overrides = {}) {
+  generateBulkData(dataType, count, overrides = {}, options = {}) {
     if (count > this.config.generation.maxBulkGeneration) {
       throw new Error(
         `Bulk generation count (${count}) exceeds maximum allowed (${this.config.generation.maxBulkGeneration})`
       );
     }
 
-    return this.dataGenerator.generateBulk(dataType, count, overrides);
+    return this.dataGenerator.generateBulk(dataType, count, overrides, options);
   }
 
   /**
@@ -257,12 +321,14 @@ class TestDataHelper {
           testData[key] = this.generateBulkData(
             requirement.dataType,
             requirement.count || this.config.generation.defaultBulkSize,
-            requirement.overrides || {}
+            requirement.overrides || {},
+            { locale: requirement.locale }
           );
         } else {
           testData[key] = this.generateUniqueData(
             requirement.dataType,
-            requirement.overrides || {}
+            requirement.overrides || {},
+            { locale: requirement.locale }
           );
         }
       } else if (requirement.type === 'random') {
@@ -363,3 +429,4 @@ class TestDataHelper {
 }
 
 module.exports = TestDataHelper;
+module.exports.RETRY_ENV_VAR = RETRY_ENV_VAR;
@@ -9,6 +9,7 @@ const testDataConfig = {
     defaultPasswordLength: 12,
     defaultUserAge: { min: 18, max: 65 },
     defaultPhoneFormat: 'US',
+    defaultLocale: 'en-US', // overridden by TEST_DATA_LOCALE; packs live in generators/locales
     uniqueEmailDomain: 'testautomation.com',
 
     // Bulk generation limits
@@ -90,7 +91,8 @@ const testDataConfig = {
       street: { required: true, type: 'string', minLength: 1, maxLength: 100 },
       city: { required: true, type: 'string', minLength: 1, maxLength: 50 },
       state: { required: true, type: 'string', minLength: 2, maxLength: 50 },
-      zipCode: { required: true, type: 'string', pattern: /^\d{5}(-\d{4})?$/ },
+      // Postal codes vary by locale (12345, SW1 2AB, 150-0001)
+      zipCode: { required: true, type: 'string', pattern: /^[A-Za-z0-9][A-Za-z0-9 -]{2,9}$/ },
       country: { required: true, type: 'string', minLength: 1, maxLength: 50 },
     },
 
@@ -1,13 +1,82 @@
 /**
  * Data Generator Utility
- * Provides methods to generate dynamic test data for various test scenarios
+ * Provides methods to generate dynamic test data for various test scenarios.
+ * All randomness comes from a seeded PRNG: the same seed (TEST_DATA_SEED)
+ * and reference date reproduce the same data.
+ * Names, addresses, phone numbers and dates follow a locale pack (see ./locales).
  */
 
+const SeededRandom = require('./SeededRandom');
+const locales = require('./locales');
+
 class DataGenerator {
-  constructor() {
+  /**
+   * @param {object} options - Generator options
+   * @param {string|number} options.seed - PRNG seed (defaults to the shared run seed)
+   * @param {Date} options.referenceDate - "Today" for ages and card expiry
+   * @param {string} options.locale - Default locale (TEST_DATA_LOCALE, then en-US)
+   */
+  constructor(options = {}) {
     this.usedEmails = new Set();
     this.usedUsernames = new Set();
     this.usedPhoneNumbers = new Set();
+
+    this.seed = options.seed !== undefined ? String(options.seed) : SeededRandom.sharedSeed();
+    this.referenceDate = options.referenceDate || SeededRandom.sharedReferenceDate();
+    this.locale = locales.getLocale(options.locale || locales.defaultLocale()).code;
+    this.useStream(null);
+  }
+
+  /**
+   * Switch to an independent, reproducible stream derived from the seed and a label,
+   * so e.g. each suite's data does not depend on which suites ran before it
+   * @param {string|null} label - Stream label (null for the base seed)
+   */
+  useStream(label) {
+    this.stream = label;
+    this.streamSeed = label ? `${this.seed}:${label}` : this.seed;
+    this.rng = new SeededRandom(this.streamSeed);
+    this.sequence = 0;
+  }
+
+  /**
+   * Next pseudo-random float in [0, 1)
+   * @returns {number} Random number from the seeded stream
+   */
+  random() {
+    return this.rng.next();
+  }
+
+  /**
+   * Reproducible unique id
+   * @param {string} prefix - Id prefix
+   * @returns {string} Id such as `user_k3j2a1_7`
+   */
+  generateId(prefix) {
+    this.sequence++;
+    return `${prefix}_${SeededRandom.hashSeed(this.streamSeed).toString(36)}_${this.sequence}`;
+  }
+
+  /**
+   * Resolve a locale pack
+   * @param {string} locale - Locale code (defaults to the generator's locale)
+   * @returns {object} Locale pack
+   */
+  getLocale(locale = this.locale) {
+    return locales.getLocale(locale);
+  }
+
+  /**
+   * Fill a locale format pattern: `#` any digit, `!` a digit 2-9, `?` an uppercase letter
+   * @param {string} pattern - Pattern such as `SW! #??`
+   * @returns {string} Filled value
+   */
+  fillPattern(pattern) {
+    return pattern.replace(/[#!?]/g, (token) => {
+      if (token === '#') return String(this.rng.int(0, 9));
+      if (token === '!') return String(this.rng.int(2, 9));
+      return String.fromCharCode(65 + this.rng.int(0, 25));
+    });
   }
 
   /**
@@ -22,7 +91,7 @@ class DataGenerator {
   ) {
     let result = '';
     for (let i = 0; i < length; i++) {
-      result += charset.charAt(Math.floor(Math.random() * charset.length));
+      result += charset.charAt(Math.floor(this.random() * charset.length));
     }
     return result;
   }
@@ -37,7 +106,7 @@ class DataGenerator {
     do {
       const username =
         this.generateRandomString(8, 'abcdefghijklmnopqrstuvwxyz') +
-        Math.floor(Math.random() * 1000);
+        Math.floor(this.random() * 1000);
       email = `${username}@${domain}`;
     } while (this.usedEmails.has(email));
 
@@ -47,82 +116,33 @@ class DataGenerator {
 
   /**
    * Generate a random first name
+   * @param {string} locale - Locale code (defaults to the generator's locale)
    * @returns {string} Random first name
    */
-  generateFirstName() {
-    const firstNames = [
-      'John',
-      'Jane',
-      'Michael',
-      'Sarah',
-      'David',
-      'Emily',
-      'Robert',
-      'Jessica',
-      'William',
-      'Ashley',
-      'James',
-      'Amanda',
-      'Christopher',
-      'Stephanie',
-      'Daniel',
-      'Melissa',
-      'Matthew',
-      'Nicole',
-      'Anthony',
-      'Elizabeth',
-      'Mark',
-      'Helen',
-      'Donald',
-      'Deborah',
-      'Steven',
-      'Rachel',
-      'Paul',
-      'Carolyn',
-      'Andrew',
-      'Janet',
-    ];
-    return firstNames[Math.floor(Math.random() * firstNames.length)];
+  generateFirstName(locale = this.locale) {
+    return this.rng.pick(this.getLocale(locale).firstNames);
   }
 
   /**
    * Generate a random last name
+   * @param {string} locale - Locale code (defaults to the generator's locale)
    * @returns {string} Random last name
    */
-  generateLastName() {
-    const lastNames = [
-      'Smith',
-      'Johnson',
-      'Williams',
-      'Brown',
-      'Jones',
-      'Garcia',
-      'Miller',
-      'Davis',
-      'Rodriguez',
-      'Martinez',
-      'Hernandez',
-      'Lopez',
-      'Gonzalez',
-      'Wilson',
-      'Anderson',
-      'Thomas',
-      'Taylor',
-      'Moore',
-      'Jackson',
-      'Martin',
-      'Lee',
-      'Perez',
-      'Thompson',
-      'White',
-      'Harris',
-      'Sanchez',
-      'Clark',
-      'Ramirez',
-      'Lewis',
-      'Robinson',
-    ];
-    return lastNames[Math.floor(Math.random() * lastNames.length)];
+  generateLastName(locale = this.locale) {
+    return this.rng.pick(this.getLocale(locale).lastNames);
+  }
+
+  /**
+   * Join a first and last name in the locale's name order (ja-JP puts the family name first)
+   * @param {string} firstName - Given name
+   * @param {string} lastName - Family name
+   * @param {string} locale - Locale code (defaults to the generator's locale)
+   * @returns {string} Full name
+   */
+  formatFullName(firstName, lastName, locale = this.locale) {
+    return this.getLocale(locale).nameOrder === 'family-given'
+      ? `${lastName} ${firstName}`
+      : `${firstName} ${lastName}`;
   }
 
   /**
@@ -139,43 +159,36 @@ class DataGenerator {
     let password = '';
 
     // Ensure at least one character from each category
-    password += lowercase[Math.floor(Math.random() * lowercase.length)];
-    password += uppercase[Math.floor(Math.random() * uppercase.length)];
-    password += numbers[Math.floor(Math.random() * numbers.length)];
-    password += symbols[Math.floor(Math.random() * symbols.length)];
+    password += lowercase[Math.floor(this.random() * lowercase.length)];
+    password += uppercase[Math.floor(this.random() * uppercase.length)];
+    password += numbers[Math.floor(this.random() * numbers.length)];
+    password += symbols[Math.floor(this.random() * symbols.length)];
 
     // Fill the rest randomly
     const allChars = lowercase + uppercase + numbers + symbols;
     for (let i = 4; i < length; i++) {
-      password += allChars[Math.floor(Math.random() * allChars.length)];
+      password += allChars[Math.floor(this.random() * allChars.length)];
     }
 
     // Shuffle the password
-    return password
-      .split('')
-      .sort(() => Math.random() - 0.5)
-      .join('');
+    return this.rng.shuffle(password.split('')).join('');
   }
 
   /**
    * Generate a random phone number
-   * @param {string} format - Phone number format
+   * @param {string} format - Locale code, `US` (same as en-US) or `international`
    * @returns {string} Random phone number
    */
-  generatePhoneNumber(format = 'US') {
+  generatePhoneNumber(format = this.locale) {
+    const locale = format === 'US' ? 'en-US' : format;
     let phoneNumber;
     do {
-      if (format === 'US') {
-        const areaCode = Math.floor(Math.random() * 800) + 200; // 200-999
-        const exchange = Math.floor(Math.random() * 800) + 200; // 200-999
-        const number = Math.floor(Math.random() * 10000)
-          .toString()
-          .padStart(4, '0');
-        phoneNumber = `+1-${areaCode}-${exchange}-${number}`;
+      if (locales.SUPPORTED_LOCALES.includes(locale)) {
+        phoneNumber = this.fillPattern(this.rng.pick(this.getLocale(locale).phoneFormats));
       } else {
         // International format
-        const countryCode = Math.floor(Math.random() * 99) + 1;
-        const number = Math.floor(Math.random() * 1000000000);
+        const countryCode = Math.floor(this.random() * 99) + 1;
+        const number = Math.floor(this.random() * 1000000000);
         phoneNumber = `+${countryCode}-${number}`;
       }
     } while (this.usedPhoneNumbers.has(phoneNumber));
@@ -191,123 +204,102 @@ class DataGenerator {
    * @returns {string} Date of birth in YYYY-MM-DD format
    */
   generateDateOfBirth(minAge = 18, maxAge = 80) {
-    const today = new Date();
-    const minDate = new Date(today.getFullYear() - maxAge, today.getMonth(), today.getDate());
-    const maxDate = new Date(today.getFullYear() - minAge, today.getMonth(), today.getDate());
-
-    const randomTime = minDate.getTime() + Math.random() * (maxDate.getTime() - minDate.getTime());
+    const today = this.referenceDate;
+    const minDate = new Date(
+      Date.UTC(today.getUTCFullYear() - maxAge, today.getUTCMonth(), today.getUTCDate())
+    );
+    const maxDate = new Date(
+      Date.UTC(today.getUTCFullYear() - minAge, today.getUTCMonth(), today.getUTCDate())
+    );
+
+    const randomTime = minDate.getTime() + this.random() * (maxDate.getTime() - minDate.getTime());
     const randomDate = new Date(randomTime);
 
     return randomDate.toISOString().split('T')[0];
   }
 
   /**
-   * Generate a random address
-   * @returns {object} Random address object
+   * Format an ISO date the way a locale writes it
+   * @param {string} isoDate - Date in YYYY-MM-DD format
+   * @param {string} locale - Locale code (defaults to the generator's locale)
+   * @returns {string} e.g. `31.12.1990` for de-DE
+   */
+  formatDate(isoDate, locale = this.locale) {
+    const [year, month, day] = isoDate.split('-');
+    return this.getLocale(locale)
+      .dateFormat.replace('YYYY', year)
+      .replace('MM', month)
+      .replace('DD', day);
+  }
+
+  /**
+   * Format an amount in a locale's currency
+   * @param {number} amount - Amount
+   * @param {string} locale - Locale code (defaults to the generator's locale)
+   * @returns {string} e.g. `1.234,50 €` for de-DE
+   */
+  formatCurrency(amount, locale = this.locale) {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: this.getLocale(locale).currency,
+    }).format(amount);
+  }
+
+  /**
+   * Generate a random address laid out the way the locale writes it
+   * @param {object} options - Options
+   * @param {string} options.locale - Locale code (defaults to the generator's locale)
+   * @returns {object} { street, city, state, zipCode, country, countryCode }
    */
-  generateAddress() {
-    const streets = [
-      'Main Street',
-      'Oak Avenue',
-      'Pine Road',
-      'Elm Street',
-      'Maple Drive',
-      'Cedar Lane',
-      'Park Avenue',
-      'First Street',
-      'Second Street',
-      'Broadway',
-      'Washington Street',
-      'Lincoln Avenue',
-      'Jefferson Road',
-      'Madison Drive',
-    ];
-
-    const cities = [
-      'Springfield',
-      'Riverside',
-      'Franklin',
-      'Georgetown',
-      'Clinton',
-      'Madison',
-      'Washington',
-      'Arlington',
-      'Centerville',
-      'Lebanon',
-      'Kingston',
-      'Salem',
-      'Fairview',
-      'Greenville',
-      'Bristol',
-      'Oxford',
-      'Ashland',
-      'Burlington',
-    ];
-
-    const states = [
-      'CA',
-      'NY',
-      'TX',
-      'FL',
-      'PA',
-      'IL',
-      'OH',
-      'GA',
-      'NC',
-      'MI',
-      'NJ',
-      'VA',
-      'WA',
-      'AZ',
-      'MA',
-      'TN',
-      'IN',
-      'MO',
-      'MD',
-      'WI',
-    ];
-
-    const streetNumber = Math.floor(Math.random() * 9999) + 1;
-    const street = streets[Math.floor(Math.random() * streets.length)];
-    const city = cities[Math.floor(Math.random() * cities.length)];
-    const state = states[Math.floor(Math.random() * states.length)];
-    const zipCode = Math.floor(Math.random() * 90000) + 10000;
+  generateAddress(options = {}) {
+    const { address, country } = this.getLocale(options.locale);
+    const place = this.rng.pick(address.places);
+    const street = address.layout
+      .replace('{number}', this.fillPattern(this.rng.pick(address.houseNumbers)))
+      .replace('{street}', this.rng.pick(address.streets));
 
     return {
-      street: `${streetNumber} ${street}`,
-      city: city,
-      state: state,
-      zipCode: zipCode.toString(),
-      country: 'United States',
+      street,
+      city: place.city,
+      state: place.region,
+      zipCode: this.fillPattern(place.postalCode),
+      country: country.name,
+      countryCode: country.code,
     };
   }
 
   /**
    * Generate a complete user object
    * @param {object} overrides - Properties to override
+   * @param {object} options - Options
+   * @param {string} options.locale - Locale code (defaults to the generator's locale)
    * @returns {object} Complete user object
    */
-  generateUser(overrides = {}) {
-    const firstName = this.generateFirstName();
-    const lastName = this.generateLastName();
+  generateUser(overrides = {}, options = {}) {
+    const locale = this.getLocale(options.locale).code;
+    const firstName = this.generateFirstName(locale);
+    const lastName = this.generateLastName(locale);
     const email = this.generateUniqueEmail();
     const password = this.generateSecurePassword();
-    const phone = this.generatePhoneNumber();
+    const phone = this.generatePhoneNumber(locale);
     const dateOfBirth = this.generateDateOfBirth();
-    const address = this.generateAddress();
+    const address = this.generateAddress({ locale });
 
     return {
-      id: `user_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      id: this.generateId('user'),
+      locale,
       firstName,
       lastName,
+      fullName: this.formatFullName(firstName, lastName, locale),
       email,
       password,
       phone,
       dateOfBirth,
+      dateOfBirthFormatted: this.formatDate(dateOfBirth, locale),
       address,
       preferences: {
-        newsletter: Math.random() > 0.5,
-        notifications: Math.random() > 0.5,
+        newsletter: this.random() > 0.5,
+        notifications: this.random() > 0.5,
       },
       ...overrides,
     };
@@ -337,13 +329,13 @@ class DataGenerator {
     const card = cardData[type] || cardData.visa;
     const cardNumber =
       card.prefix +
-      Math.floor(Math.random() * Math.pow(10, card.length - card.prefix.length))
+      Math.floor(this.random() * Math.pow(10, card.length - card.prefix.length))
         .toString()
         .padStart(card.length - card.prefix.length, '0');
 
-    const currentYear = new Date().getFullYear();
-    const expiryYear = currentYear + Math.floor(Math.random() * 5) + 1; // 1-5 years from now
-    const expiryMonth = Math.floor(Math.random() * 12) + 1;
+    const currentYear = this.referenceDate.getUTCFullYear();
+    const expiryYear = currentYear + Math.floor(this.random() * 5) + 1; // 1-5 years from now
+    const expiryMonth = Math.floor(this.random() * 12) + 1;
 
     return {
       type: 'credit_card',
@@ -352,9 +344,9 @@ class DataGenerator {
       expiryYear: expiryYear.toString(),
       cvv:
         type === 'amex'
-          ? Math.floor(Math.random() * 9000 + 1000).toString() // 4 digits for Amex
-          : Math.floor(Math.random() * 900 + 100).toString(), // 3 digits for others
-      cardholderName: `${this.generateFirstName()} ${this.generateLastName()}`,
+          ? Math.floor(this.random() * 9000 + 1000).toString() // 4 digits for Amex
+          : Math.floor(this.random() * 900 + 100).toString(), // 3 digits for others
+      cardholderName: this.formatFullName(this.generateFirstName(), this.generateLastName()),
     };
   }
 
@@ -367,23 +359,23 @@ class DataGenerator {
     const categories = ['Electronics', 'Clothing', 'Books', 'Home & Garden', 'Sports', 'Toys'];
     const brands = ['TechCorp', 'StyleBrand', 'QualityMaker', 'Innovation Inc', 'Premium Co'];
 
-    const basePrice = Math.floor(Math.random() * 500) + 10; // $10-$510
-    const discount = Math.floor(Math.random() * 50); // 0-50% discount
+    const basePrice = Math.floor(this.random() * 500) + 10; // $10-$510
+    const discount = Math.floor(this.random() * 50); // 0-50% discount
     const salePrice = basePrice * (1 - discount / 100);
 
     return {
-      id: `prod_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-      name: `Test Product ${Math.floor(Math.random() * 1000)}`,
-      category: categories[Math.floor(Math.random() * categories.length)],
+      id: this.generateId('prod'),
+      name: `Test Product ${Math.floor(this.random() * 1000)}`,
+      category: categories[Math.floor(this.random() * categories.length)],
       price: Math.round(salePrice * 100) / 100,
       originalPrice: basePrice,
       discount: discount,
-      rating: Math.round((Math.random() * 2 + 3) * 10) / 10, // 3.0-5.0
-      reviewCount: Math.floor(Math.random() * 5000),
-      inStock: Math.random() > 0.1, // 90% chance of being in stock
-      stockQuantity: Math.floor(Math.random() * 200) + 1,
+      rating: Math.round((this.random() * 2 + 3) * 10) / 10, // 3.0-5.0
+      reviewCount: Math.floor(this.random() * 5000),
+      inStock: this.random() > 0.1, // 90% chance of being in stock
+      stockQuantity: Math.floor(this.random() * 200) + 1,
       description: `This is a test product description for testing purposes.`,
-      brand: brands[Math.floor(Math.random() * brands.length)],
+      brand: brands[Math.floor(this.random() * brands.length)],
       ...overrides,
     };
   }
@@ -395,6 +387,7 @@ class DataGenerator {
     this.usedEmails.clear();
     this.usedUsernames.clear();
     this.usedPhoneNumbers.clear();
+    this.useStream(this.stream);
   }
 
   /**
@@ -402,15 +395,16 @@ class DataGenerator {
    * @param {string} type - Type of data to generate (users, products, etc.)
    * @param {number} count - Number of items to generate
    * @param {object} overrides - Common overrides for all items
+   * @param {object} options - Generation options such as `locale`
    * @returns {Array} Array of generated data
    */
-  generateBulk(type, count, overrides = {}) {
+  generateBulk(type, count, overrides = {}, options = {}) {
     const data = [];
     for (let i = 0; i < count; i++) {
       switch (type) {
         case 'user':
         case 'users':
-          data.push(this.generateUser(overrides));
+          data.push(this.generateUser(overrides, options));
           break;
         case 'product':
         case 'products':
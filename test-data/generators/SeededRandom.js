@@ -0,0 +1,138 @@
+/**
+ * Seeded Random Utility
+ * Deterministic pseudo-random number generator (mulberry32) used by the data generators,
+ * so any run's generated data can be replayed from its seed
+ */
+
+const crypto = require('crypto');
+
+const SEED_ENV_VAR = 'TEST_DATA_SEED';
+const REFERENCE_DATE_ENV_VAR = 'TEST_DATA_REFERENCE_DATE';
+
+/**
+ * Hash any seed value to an unsigned 32-bit integer (FNV-1a)
+ * @param {string|number} seed - Seed value
+ * @returns {number} 32-bit state
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class SeededRandom {
+  /**
+   * @param {string|number} seed - Seed value; equal seeds produce equal sequences
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = hashSeed(this.seed);
+  }
+
+  /**
+   * Next float in [0, 1), a drop-in replacement for Math.random()
+   * @returns {number} Pseudo-random number
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [min, max] inclusive
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Pseudo-random integer
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Pick one element of an array
+   * @param {Array} items - Candidates
+   * @returns {any} Selected element
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Fisher-Yates shuffle returning a new array
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} Shuffled copy
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Generate a fresh random seed
+   * @returns {string} 8 hex characters
+   */
+  static generateSeed() {
+    return crypto.randomBytes(4).toString('hex');
+  }
+
+  /**
+   * Read a seed from the TEST_DATA_SEED environment variable; `playwright test` rejects
+   * unknown CLI flags, so there is no --seed argument
+   * @param {object} env - Environment variables
+   * @returns {string|null} Configured seed, if any
+   */
+  static fromEnvironment(env = process.env) {
+    return env[SEED_ENV_VAR] || null;
+  }
+
+  /**
+   * Seed shared by every generator in this process tree. When none is configured a
+   * random one is generated and exported to TEST_DATA_SEED so child processes
+   * (e.g. Playwright workers) reuse it.
+   * @returns {string} Seed
+   */
+  static sharedSeed() {
+    const seed = SeededRandom.fromEnvironment() || SeededRandom.generateSeed();
+    process.env[SEED_ENV_VAR] = seed;
+    return seed;
+  }
+
+  /**
+   * Reference date for age and expiry calculations, pinned alongside the seed so
+   * replays on a later day produce identical dates
+   * @returns {Date} Reference date (UTC midnight)
+   */
+  static sharedReferenceDate() {
+    const configured = process.env[REFERENCE_DATE_ENV_VAR];
+    const date = configured ? new Date(`${configured}T00:00:00Z`) : new Date();
+    const day = isNaN(date.getTime()) ? new Date() : date;
+    const iso = day.toISOString().split('T')[0];
+    process.env[REFERENCE_DATE_ENV_VAR] = iso;
+    return new Date(`${iso}T00:00:00Z`);
+  }
+
+  /**
+   * Shell prefix that replays the current data set
+   * @returns {string} e.g. `TEST_DATA_SEED=1a2b3c4d TEST_DATA_REFERENCE_DATE=2024-05-01`
+   */
+  static replayCommand() {
+    return `${SEED_ENV_VAR}=${SeededRandom.sharedSeed()} ${REFERENCE_DATE_ENV_VAR}=${SeededRandom.sharedReferenceDate()
+      .toISOString()
+      .slice(0, 10)}`;
+  }
+}
+
+module.exports = SeededRandom;
+module.exports.hashSeed = hashSeed;
+module.exports.SEED_ENV_VAR = SEED_ENV_VAR;
+module.exports.REFERENCE_DATE_ENV_VAR = REFERENCE_DATE_ENV_VAR;
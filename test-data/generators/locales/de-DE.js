@@ -0,0 +1,65 @@
+/**
+ * de-DE Locale Pack
+ * German names with umlauts and ß, street-first addresses, phone numbers and currency
+ */
+
+module.exports = {
+  code: 'de-DE',
+  country: { code: 'DE', name: 'Germany' },
+  currency: 'EUR',
+  dateFormat: 'DD.MM.YYYY',
+  nameOrder: 'given-family',
+  firstNames: [
+    'Jürgen',
+    'Jörg',
+    'Björn',
+    'Günther',
+    'Käthe',
+    'Lena',
+    'Maximilian',
+    'Sören',
+    'Hannelore',
+    'Özlem',
+    'Ute',
+    'Jan-Hendrik',
+  ],
+  lastNames: [
+    'Müller',
+    'Schröder',
+    'Weiß',
+    'Groß',
+    'Köhler',
+    'Schäfer',
+    'Bäcker',
+    'Vogt',
+    'Fuß',
+    'Müller-Lüdenscheidt',
+    'von Böhlen',
+    'Yılmaz',
+  ],
+  phoneFormats: ['+49 15! #######', '+49 30 ########'],
+  address: {
+    layout: '{street} {number}',
+    houseNumbers: ['!', '!#', '!a', '!#b'],
+    streets: [
+      'Hauptstraße',
+      'Bahnhofstraße',
+      'Schloßallee',
+      'Königsweg',
+      'Goethestraße',
+      'Am Mühlbach',
+      'Lindenstraße',
+      'Gartenstraße',
+    ],
+    places: [
+      { city: 'Berlin', region: 'Berlin', postalCode: '10###' },
+      { city: 'München', region: 'Bayern', postalCode: '80###' },
+      { city: 'Köln', region: 'Nordrhein-Westfalen', postalCode: '50###' },
+      { city: 'Düsseldorf', region: 'Nordrhein-Westfalen', postalCode: '40###' },
+      { city: 'Frankfurt am Main', region: 'Hessen', postalCode: '60###' },
+      { city: 'Nürnberg', region: 'Bayern', postalCode: '90###' },
+      { city: 'Lübeck', region: 'Schleswig-Holstein', postalCode: '23###' },
+      { city: 'Würzburg', region: 'Bayern', postalCode: '97###' },
+    ],
+  },
+};
@@ -0,0 +1,66 @@
+/**
+ * en-GB Locale Pack
+ * United Kingdom names (including Irish and Welsh spellings), postcodes, phone numbers
+ * and currency
+ */
+
+module.exports = {
+  code: 'en-GB',
+  country: { code: 'GB', name: 'United Kingdom' },
+  currency: 'GBP',
+  dateFormat: 'DD/MM/YYYY',
+  nameOrder: 'given-family',
+  firstNames: [
+    'Oliver',
+    'Amelia',
+    'Siobhán',
+    'Niamh',
+    'Seán',
+    'Isla',
+    'Harry',
+    'Eilidh',
+    'Rhys',
+    'Ffion',
+    'Zoë',
+    'George',
+  ],
+  lastNames: [
+    "O'Brien",
+    'Smith',
+    'Jones',
+    'Taylor',
+    'Davies',
+    "O'Connor",
+    'McAllister',
+    'Evans',
+    'Wright',
+    'Fitzgerald',
+    'Bowes-Lyon',
+    'Ní Bhriain',
+  ],
+  phoneFormats: ['+44 7### ######', '+44 20 #### ####'],
+  address: {
+    layout: '{number} {street}',
+    houseNumbers: ['!', '!#', '!#a'],
+    streets: [
+      'High Street',
+      'Station Road',
+      "St John's Road",
+      'Church Lane',
+      'Victoria Road',
+      'Mill Lane',
+      "King's Road",
+      'The Crescent',
+    ],
+    places: [
+      { city: 'London', region: 'Greater London', postalCode: 'SW! #??' },
+      { city: 'Manchester', region: 'Greater Manchester', postalCode: 'M!# #??' },
+      { city: 'Birmingham', region: 'West Midlands', postalCode: 'B!# #??' },
+      { city: 'Leeds', region: 'West Yorkshire', postalCode: 'LS! #??' },
+      { city: 'Edinburgh', region: 'City of Edinburgh', postalCode: 'EH! #??' },
+      { city: 'Cardiff', region: 'South Glamorgan', postalCode: 'CF!# #??' },
+      { city: 'Belfast', region: 'County Antrim', postalCode: 'BT! #??' },
+      { city: 'Bristol', region: 'Bristol', postalCode: 'BS! #??' },
+    ],
+  },
+};
@@ -0,0 +1,109 @@
+/**
+ * en-US Locale Pack
+ * United States names, addresses, phone numbers and currency
+ */
+
+module.exports = {
+  code: 'en-US',
+  country: { code: 'US', name: 'United States' },
+  currency: 'USD',
+  dateFormat: 'MM/DD/YYYY',
+  nameOrder: 'given-family',
+  firstNames: [
+    'John',
+    'Jane',
+    'Michael',
+    'Sarah',
+    'David',
+    'Emily',
+    'Robert',
+    'Jessica',
+    'William',
+    'Ashley',
+    'James',
+    'Amanda',
+    'Christopher',
+    'Stephanie',
+    'Daniel',
+    'Melissa',
+    'Matthew',
+    'Nicole',
+    'Anthony',
+    'Elizabeth',
+    'Mark',
+    'Helen',
+    'Donald',
+    'Deborah',
+    'Steven',
+    'Rachel',
+    'Paul',
+    'Carolyn',
+    'Andrew',
+    'Janet',
+  ],
+  lastNames: [
+    'Smith',
+    'Johnson',
+    'Williams',
+    'Brown',
+    'Jones',
+    'Garcia',
+    'Miller',
+    'Davis',
+    'Rodriguez',
+    'Martinez',
+    'Hernandez',
+    'Lopez',
+    'Gonzalez',
+    'Wilson',
+    'Anderson',
+    'Thomas',
+    'Taylor',
+    'Moore',
+    'Jackson',
+    'Martin',
+    'Lee',
+    'Perez',
+    'Thompson',
+    'White',
+    'Harris',
+    'Sanchez',
+    'Clark',
+    'Ramirez',
+    'Lewis',
+    'Robinson',
+  ],
+  phoneFormats: ['+1-!##-!##-####'],
+  address: {
+    layout: '{number} {street}',
+    houseNumbers: ['!', '!#', '!##', '!###'],
+    streets: [
+      'Main Street',
+      'Oak Avenue',
+      'Pine Road',
+      'Elm Street',
+      'Maple Drive',
+      'Cedar Lane',
+      'Park Avenue',
+      'First Street',
+      'Second Street',
+      'Broadway',
+      'Washington Street',
+      'Lincoln Avenue',
+      'Jefferson Road',
+      'Madison Drive',
+    ],
+    places: [
+      { city: 'Springfield', region: 'IL', postalCode: '627##' },
+      { city: 'Riverside', region: 'CA', postalCode: '925##' },
+      { city: 'Franklin', region: 'TN', postalCode: '370##' },
+      { city: 'Georgetown', region: 'TX', postalCode: '786##' },
+      { city: 'Madison', region: 'WI', postalCode: '537##' },
+      { city: 'Arlington', region: 'VA', postalCode: '222##' },
+      { city: 'Salem', region: 'OR', postalCode: '973##' },
+      { city: 'Greenville', region: 'SC', postalCode: '296##' },
+      { city: 'Burlington', region: 'VT', postalCode: '054##' },
+      { city: 'Kingston', region: 'NY', postalCode: '124##' },
+    ],
+  },
+};
@@ -0,0 +1,65 @@
+/**
+ * fr-FR Locale Pack
+ * French names with accents and diaereses, addresses, phone numbers and currency
+ */
+
+module.exports = {
+  code: 'fr-FR',
+  country: { code: 'FR', name: 'France' },
+  currency: 'EUR',
+  dateFormat: 'DD/MM/YYYY',
+  nameOrder: 'given-family',
+  firstNames: [
+    'Hélène',
+    'François',
+    'Zoé',
+    'Jérôme',
+    'Anaïs',
+    'Gaëlle',
+    'Noël',
+    'Céline',
+    'Loïc',
+    'Benoît',
+    'Jean-Baptiste',
+    'Maëlys',
+  ],
+  lastNames: [
+    'Lefèvre',
+    'Dupré',
+    'Bénard',
+    'Girard',
+    'Rousseau',
+    'Lemaître',
+    'Chevalier',
+    'Faure',
+    'Thévenin',
+    'Le Bihan',
+    "D'Arcy",
+    'Ménard',
+  ],
+  phoneFormats: ['+33 6 ## ## ## ##', '+33 7 ## ## ## ##', '+33 1 ## ## ## ##'],
+  address: {
+    layout: '{number} {street}',
+    houseNumbers: ['!', '!#', '!# bis'],
+    streets: [
+      'rue de la Paix',
+      'avenue des Champs-Élysées',
+      'boulevard Saint-Germain',
+      'rue de l’Église',
+      'place de la République',
+      'chemin des Écoliers',
+      'rue du Général-de-Gaulle',
+      'allée des Tilleuls',
+    ],
+    places: [
+      { city: 'Paris', region: 'Île-de-France', postalCode: '750##' },
+      { city: 'Lyon', region: 'Auvergne-Rhône-Alpes', postalCode: '6900!' },
+      { city: 'Marseille', region: "Provence-Alpes-Côte d'Azur", postalCode: '130##' },
+      { city: 'Nîmes', region: 'Occitanie', postalCode: '300##' },
+      { city: 'Besançon', region: 'Bourgogne-Franche-Comté', postalCode: '250##' },
+      { city: 'Orléans', region: 'Centre-Val de Loire', postalCode: '450##' },
+      { city: 'Saint-Étienne', region: 'Auvergne-Rhône-Alpes', postalCode: '420##' },
+      { city: 'Nice', region: "Provence-Alpes-Côte d'Azur", postalCode: '060##' },
+    ],
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * Locale Packs
+ * Names, address layouts, postal-code and phone formats, currency and date format per locale,
+ * used by DataGenerator to produce data that exercises a form's i18n handling.
+ *
+ * Format patterns: `#` any digit, `!` a digit 2-9, `?` an uppercase letter; anything else is
+ * literal. Address layouts use `{street}` and `{number}` placeholders.
+ */
+
+const testDataConfig = require('../../config/testDataConfig');
+
+const LOCALE_ENV_VAR = 'TEST_DATA_LOCALE';
+
+const PACKS = {
+  'en-US': require('./en-US'),
+  'en-GB': require('./en-GB'),
+  'de-DE': require('./de-DE'),
+  'fr-FR': require('./fr-FR'),
+  'ja-JP': require('./ja-JP'),
+};
+
+const SUPPORTED_LOCALES = Object.keys(PACKS);
+
+/**
+ * Look up a locale pack
+ * @param {string} code - Locale code such as `de-DE`
+ * @returns {object} Locale pack
+ */
+function getLocale(code) {
+  const pack = PACKS[code];
+  if (!pack) {
+    throw new Error(`Unknown locale '${code}'. Supported locales: ${SUPPORTED_LOCALES.join(', ')}`);
+  }
+  return pack;
+}
+
+/**
+ * Locale used when none is requested: TEST_DATA_LOCALE, then the configured default
+ * @param {object} env - Environment variables
+ * @returns {string} Locale code
+ */
+function defaultLocale(env = process.env) {
+  return env[LOCALE_ENV_VAR] || testDataConfig.generation.defaultLocale;
+}
+
+/**
+ * Locales a localized test should loop over: only TEST_DATA_LOCALE when set, else every pack
+ * @param {object} env - Environment variables
+ * @returns {string[]} Locale codes
+ */
+function localesUnderTest(env = process.env) {
+  return env[LOCALE_ENV_VAR] ? [getLocale(env[LOCALE_ENV_VAR]).code] : SUPPORTED_LOCALES;
+}
+
+module.exports = { getLocale, defaultLocale, localesUnderTest, SUPPORTED_LOCALES, LOCALE_ENV_VAR };
@@ -0,0 +1,30 @@
+/**
+ * ja-JP Locale Pack
+ * Japanese names in kanji and kana, chōme-banchi-gō addresses, phone numbers and currency
+ */
+
+module.exports = {
+  code: 'ja-JP',
+  country: { code: 'JP', name: 'Japan' },
+  currency: 'JPY',
+  dateFormat: 'YYYY/MM/DD',
+  nameOrder: 'family-given',
+  firstNames: ['翔太', '結衣', '陽菜', '蓮', 'さくら', '大翔', '美咲', '悠真', '葵', '健太'],
+  lastNames: ['佐藤', '鈴木', '高橋', '田中', '渡辺', '伊藤', '山本', '中村', '小林', '加藤'],
+  phoneFormats: ['+81 90-####-####', '+81 80-####-####', '+81 3-####-####'],
+  address: {
+    layout: '{street}{number}',
+    houseNumbers: ['!-!#-!', '!-!-!#'],
+    streets: ['神宮前', '桜丘町', '本町', '栄', '中央', '天神', '錦', '大通西'],
+    places: [
+      { city: '渋谷区', region: '東京都', postalCode: '150-####' },
+      { city: '新宿区', region: '東京都', postalCode: '160-####' },
+      { city: '大阪市北区', region: '大阪府', postalCode: '530-####' },
+      { city: '京都市中京区', region: '京都府', postalCode: '604-####' },
+      { city: '札幌市中央区', region: '北海道', postalCode: '060-####' },
+      { city: '名古屋市中区', region: '愛知県', postalCode: '460-####' },
+      { city: '福岡市博多区', region: '福岡県', postalCode: '812-####' },
+      { city: '横浜市西区', region: '神奈川県', postalCode: '220-####' },
+    ],
+  },
+};
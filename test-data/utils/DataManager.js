@@ -8,8 +8,12 @@ const path = require('path');
 const DataGenerator = require('../generators/DataGenerator');
 
 class DataManager {
-  constructor() {
-    this.dataGenerator = new DataGenerator();
+  /**
+   * @param {object} options - Options
+   * @param {DataGenerator} options.dataGenerator - Generator to share (keeps one seeded stream)
+   */
+  constructor(options = {}) {
+    this.dataGenerator = options.dataGenerator || new DataGenerator();
     this.fixturesPath = path.join(__dirname, '..', 'fixtures');
     this.tempDataPath = path.join(__dirname, '..', 'temp');
     this.loadedFixtures = new Map();
@@ -89,7 +93,7 @@ class DataManager {
       throw new Error(`Data array at '${dataKey}' in fixture '${fixtureName}' is empty`);
     }
 
-    return data[Math.floor(Math.random() * data.length)];
+    return data[Math.floor(this.dataGenerator.random() * data.length)];
   }
 
   /**